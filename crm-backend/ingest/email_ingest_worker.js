@@ -10,6 +10,11 @@ import path from 'path';
 import pdfParse from 'pdf-parse';
 import AWS from 'aws-sdk';
 import mime from 'mime-types';
+import vendorProfiles from '../utils/vendorProfiles.js';
+import poVendorDetector from '../utils/poVendorDetector.js';
+
+const { VENDOR_PROFILES, extractProfileFields, profileForSender } = vendorProfiles;
+const { extractWorkOrderFields } = poVendorDetector;
 
 // ── ENV ──────────────────────────────────────────────────────────────────────
 const {
@@ -32,6 +37,13 @@ const {
   POLL_EVERY_SEC = '45',
   DRY_RUN = 'false', // true = never create WOs, just log what it would do
   CONFIDENCE_MIN = '0.75', // threshold (0..1)
+  // Senders accepted on top of the vendor profiles' domains (comma-separated
+  // "@domain" suffixes); parsed with the generic rules
+  EXTRA_SENDERS = '@yahoo.com',
+  // Mailbox to watch, and how far back to scan on first start or after the
+  // server resets UIDVALIDITY (already-handled Message-IDs are skipped)
+  IMAP_MAILBOX = 'INBOX',
+  BACKFILL_DAYS = '7',
 } = process.env;
 
 const confidenceMin = Math.max(0, Math.min(1, Number(CONFIDENCE_MIN) || 0.75));
@@ -54,42 +66,7 @@ const norm = (v) => (v ?? '').toString().trim();
 const lc = (s) => norm(s).toLowerCase();
 const isEmailFrom = (addr, suffixes=[]) => suffixes.some(s => lc(addr).endsWith(lc(s)));
 
-const VENDOR_ALLOWLIST = [
-  '@truesource.com',
-  '@clearvisionfm.com',
-  '@officetrax.com', // CLM
-  '@kfm247.com',
-  '@1sttimefixed.com',
-  '@yahoo.com',
-];
-
-function pickFirst(...vals) {
-  for (const v of vals) { const s = norm(v); if (s) return s; }
-  return '';
-}
-
-function parseValueAfter(label, body) {
-  // Simple "Label: value" line finder
-  const rx = new RegExp(`^\\s*${label}\\s*:\\s*(.+)$`, 'im');
-  const m = rx.exec(body || '');
-  return m ? norm(m[1]) : '';
-}
-
-function parseAddressBlock(body) {
-  // Try common multi-line address block patterns
-  // Returns single-line string to store as siteAddress
-  const lines = (body || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  // crude: find 2 consecutive lines with a street-looking line then city/state/zip
-  for (let i=0; i<lines.length-1; i++) {
-    const a = lines[i];
-    const b = lines[i+1];
-    if (/\d{1,5}\s+.+(St|Street|Ave|Avenue|Rd|Road|Blvd|Dr|Drive|Ct|Court)/i.test(a) &&
-        /(,?\s*[A-Z]{2}\s*\d{5}(-\d{4})?$)/.test(b)) {
-      return `${a}, ${b}`;
-    }
-  }
-  return '';
-}
+const extraSenders = EXTRA_SENDERS.split(',').map(s => s.trim()).filter(Boolean);
 
 function scoreFields(obj) {
   // simple confidence: count of strong fields present / total
@@ -106,66 +83,25 @@ function isLikelyPOPdfName(name='') {
   return s.includes('po') || s.includes('purchase') || s.startsWith('vendorpo');
 }
 
-// ── VENDOR PARSERS ───────────────────────────────────────────────────────────
-async function parseTrueSourceEmail(body) {
-  const workOrderNumber = parseValueAfter('Work Order', body) || parseValueAfter('WO', body) || '';
-  const customer = parseValueAfter('Customer Name', body);
-  const siteAddress = parseAddressBlock(body) || parseValueAfter('Site Address', body);
-  const siteLocation = parseValueAfter('Site Name', body) || parseValueAfter('Site Store Number', body);
-  const problemDescription = parseValueAfter('Description of Work', body) || parseValueAfter('Service Description', body);
-  const nte = parseValueAfter('NTE', body).replace(/USD|\$/g,'').trim();
-
-  return {
-    vendor: 'TrueSource',
-    workOrderNumber, customer, siteAddress, siteLocation,
-    problemDescription: problemDescription || '',
-    poNumber: '', nte,
-  };
-}
+// ── PARSERS ──────────────────────────────────────────────────────────────────
+// Vendor knowledge (sender domains, field rules, default customer) lives in
+// utils/vendorProfiles.js, shared with the CRM's PDF extractor.
 
-async function parseClearVisionEmail(body) {
-  const workOrderNumber = parseValueAfter('Work Order Number', body).replace(/^#/, '');
-  const customer = pickFirst(parseValueAfter('Service Location', body).split('-')[0]);
-  const siteAddress = parseAddressBlock(body);
-  const problemDescription = pickFirst(
-    parseValueAfter('Additional Details', body),
-    parseValueAfter('Problem', body)
-  );
-  const poNumber = parseValueAfter('PO', body);
-  const nte = parseValueAfter('NTE', body).replace(/USD|\$/g,'').trim();
-
-  return {
-    vendor: 'ClearVision',
-    workOrderNumber, customer,
-    siteAddress, siteLocation: '', problemDescription,
-    poNumber, nte,
-  };
+// PDF (or plain body) text → fields, using the sender's profile when known
+function extractFromText(txt, profileKey) {
+  const { rawText, detectedCustomerProfile, ...fields } = extractWorkOrderFields(txt || '', { profileKey });
+  return fields;
 }
 
-// PDF parsers (CLM/KFM/1stTimeFix): extract text then regex the blocks
-function extractFromPdfText(txt) {
-  const get = (labelArr) => {
-    for (const label of labelArr) {
-      const v = parseValueAfter(label, txt);
-      if (v) return v;
-    }
-    return '';
-  };
-
-  const workOrderNumber = get(['Work Order #','Work Order Number','WO #']).replace(/^#/, '');
-  const poNumber = get(['Client PO #','PO #','PO Number']);
-  const customer = get(['Client Name','Customer','Client']);
-  const siteAddress = parseAddressBlock(txt) || get(['Service Location','Site Address','Address']);
-  const problemDescription = get(['Service Description','Description','Scope of Work','Problem']);
-  const nte = get(['NTE','NTE Amount']).replace(/USD|\$/g,'').trim();
-
-  return { workOrderNumber, poNumber, customer, siteAddress, siteLocation: '', problemDescription, nte };
+// Only the fields that have a value, for layering one parse over another
+function nonEmpty(fields) {
+  return Object.fromEntries(Object.entries(fields || {}).filter(([, v]) => norm(v) !== ''));
 }
 
-async function parsePdf(buffer) {
+async function parsePdf(buffer, profileKey) {
   try {
     const { text } = await pdfParse(buffer);
-    if (text && text.trim().length > 50) return extractFromPdfText(text);
+    if (text && text.trim().length > 50) return extractFromText(text, profileKey);
   } catch {}
   // if we reach here it’s likely scanned → Textract if configured
   if (!S3_BUCKET) return {};
@@ -177,7 +113,7 @@ async function parsePdf(buffer) {
     const { Blocks } = await textract.analyzeDocument({ Document: s3Obj, FeatureTypes: ['TABLES','FORMS'] }).promise();
     const text = (Blocks || []).filter(b => b.BlockType === 'LINE').map(b => b.Text).join('\n');
     await s3.deleteObject({ Bucket: S3_BUCKET, Key }).promise().catch(()=>{});
-    return extractFromPdfText(text || '');
+    return extractFromText(text, profileKey);
   } catch (e) {
     console.warn('Textract failed:', e.message);
     return {};
@@ -186,6 +122,8 @@ async function parsePdf(buffer) {
 
 // ── CRM I/O ──────────────────────────────────────────────────────────────────
 async function searchExisting({ workOrderNumber, poNumber }) {
+  // The CRM search matches everything when both are blank
+  if (!norm(workOrderNumber) && !norm(poNumber)) return [];
   try {
     const { data } = await axios.get(`${CRM_BASE}/work-orders/search`, {
       headers: { Authorization: `Bearer ${CRM_TOKEN}` },
@@ -227,55 +165,68 @@ async function createWorkOrder(payload, files = []) {
   return res.data;
 }
 
+// Ledger + poll bookkeeping (/ingest/poll/*, /ingest/messages/*)
+async function crmPost(pathname, body) {
+  const { data } = await axios.post(`${CRM_BASE}${pathname}`, body, {
+    headers: { Authorization: `Bearer ${CRM_TOKEN}` },
+    timeout: 15000,
+  });
+  return data;
+}
+
+async function crmGet(pathname, params) {
+  const { data } = await axios.get(`${CRM_BASE}${pathname}`, {
+    headers: { Authorization: `Bearer ${CRM_TOKEN}` },
+    params,
+    timeout: 15000,
+  });
+  return data;
+}
+
 // ── MAIN INGEST ──────────────────────────────────────────────────────────────
-async function handleMessage(msg) {
-  const parsed = await simpleParser(msg.source);
+// Returns what happened, for the ledger: { status, outcome, workOrderId?, reviewId? }.
+// Throws when the message should be retried.
+async function handleMessage(parsed) {
   const fromAddr = parsed.from?.value?.[0]?.address || '';
-  if (!isEmailFrom(fromAddr, VENDOR_ALLOWLIST)) {
+  const profileKey = profileForSender(fromAddr);
+  if (!profileKey && !isEmailFrom(fromAddr, extraSenders)) {
     console.log('• Skip non-allowlisted sender:', fromAddr);
-    return;
+    return { status: 'skipped', outcome: 'not-allowlisted' };
   }
+  const profile = VENDOR_PROFILES[profileKey] || null;
+  const vendor = profile ? profile.displayName : 'Unknown';
 
-  const vendor =
-    isEmailFrom(fromAddr, ['@truesource.com']) ? 'TrueSource' :
-    isEmailFrom(fromAddr, ['@clearvisionfm.com']) ? 'ClearVision' :
-    isEmailFrom(fromAddr, ['@officetrax.com']) ? 'CLM' :
-    isEmailFrom(fromAddr, ['@kfm247.com']) ? 'KFM' :
-    isEmailFrom(fromAddr, ['@1sttimefixed.com']) ? 'FirstTimeFix' :
-    'Unknown';
-
-  // Parse…
+  // Parse… accounts that put the work order in the body first, then the PDF
   let fields = {};
   const body = `${parsed.subject || ''}\n\n${parsed.text || ''}`;
 
-  if (vendor === 'TrueSource') fields = await parseTrueSourceEmail(body);
-  else if (vendor === 'ClearVision') fields = await parseClearVisionEmail(body);
-  else {
-    // look for a PO/WO PDF first
+  if (profile?.emailFields) fields = extractProfileFields(profileKey, body, 'emailFields');
+  if (!norm(fields.workOrderNumber)) {
     const atts = parsed.attachments || [];
     const pdf = atts.find(a => (a.contentType === 'application/pdf') || (a.filename||'').toLowerCase().endsWith('.pdf'));
     if (pdf) {
-      fields = await parsePdf(pdf.content);
+      // The PDF fills in what the body didn't; a blank PDF field doesn't erase a body value
+      fields = { ...fields, ...nonEmpty(await parsePdf(pdf.content, profileKey)) };
       // tag file kind if name smells like PO
       pdf.kind = isLikelyPOPdfName(pdf.filename) ? 'po' : 'other';
       fields._pdfAttachment = pdf; // pass through
-    } else {
+    } else if (!profile?.emailFields) {
       // last resort: try body
-      fields = extractFromPdfText(body);
+      fields = extractFromText(body, profileKey);
     }
   }
 
   // Normalize + assemble payload
   const workOrderNumber = norm(fields.workOrderNumber);
   const poNumber = norm(fields.poNumber);
-  const customer = norm(fields.customer) || (vendor === 'TrueSource' ? 'TrueSource' : (vendor === 'ClearVision' ? 'ClearVision' : ''));
+  const customer = norm(fields.customer) || (profile ? profile.displayName : '');
   const siteAddress = norm(fields.siteAddress);
   const siteLocation = norm(fields.siteLocation);
   const problemDescription = norm(fields.problemDescription) || norm(parsed.subject);
 
   const basePayload = {
     customer: customer || '(unknown customer)',
-    billingAddress: '(from email)', // required by your API; you can refine later via QB sync
+    billingAddress: norm(fields.billingAddress) || profile?.billingAddress || '(from email)', // required by your API
     problemDescription,
     siteAddress,
     siteLocation,
@@ -291,22 +242,47 @@ async function handleMessage(msg) {
   // Duplicate check
   const existing = await searchExisting({ workOrderNumber, poNumber });
   if (existing.length) {
-    console.log('  → Skip (duplicate by WO/PO).');
-    return;
+    // Vendor follow-up on a WO we already have (NTE change, reschedule, revised
+    // PO): keep it on that WO. A failure throws, so the ledger retries it.
+    // The search is a LIKE match; prefer the WO whose number is exactly ours
+    const exact = existing.find(w => (workOrderNumber && norm(w.workOrderNumber) === workOrderNumber)
+      || (poNumber && norm(w.poNumber) === poNumber));
+    const workOrderId = (exact || existing[0]).id;
+    if (dryRun) {
+      console.log(`  → DRY_RUN on: would attach to existing WO #${workOrderId}`);
+      return { status: 'skipped', outcome: 'dry-run', workOrderId };
+    }
+    const res = await attachCorrespondence(workOrderId, parsed, { vendor, files: collectEmailFiles(parsed) });
+    console.log(`  → Attached to existing WO #${workOrderId}${res.duplicate ? ' (already attached)' : ''}.`);
+    return { status: 'processed', outcome: 'attached', workOrderId };
   }
 
+  const files = collectFiles(parsed, fields);
+
   if (score < confidenceMin) {
     console.log('  → Below confidence threshold; queued for review, not creating.');
-    await queueForReview(parsed, basePayload, vendor, fields);
-    return;
+    const reviewId = await queueForReview(parsed, { reason: 'low-confidence', vendor, score, payload: basePayload, fields, files });
+    return { status: 'processed', outcome: 'queued', reviewId };
   }
 
-  // Ready to create
+  // Ready to create (a dry run is still recorded, so it isn't repeated every poll)
   if (dryRun) {
     console.log('  → DRY_RUN on: would create with payload:', basePayload);
-    return;
+    return { status: 'skipped', outcome: 'dry-run' };
   }
 
+  try {
+    const res = await createWorkOrder(basePayload, files);
+    console.log('  ✓ Created Work Order:', res);
+    return { status: 'processed', outcome: 'created', workOrderId: res.id };
+  } catch (e) {
+    console.error('  ✖ Create failed:', e.response?.data || e.message);
+    const reviewId = await queueForReview(parsed, { reason: 'create-failed', vendor, score, payload: basePayload, fields, files, error: e.message });
+    return { status: 'processed', outcome: 'queued', reviewId };
+  }
+}
+
+function collectFiles(parsed, fields) {
   const files = [];
   if (fields._pdfAttachment) {
     files.push({
@@ -324,31 +300,192 @@ async function handleMessage(msg) {
       }
     }
   }
+  return files;
+}
+
+// Every PDF/image on the email (collectFiles keeps only the one parsed PDF)
+function collectEmailFiles(parsed) {
+  return (parsed.attachments || [])
+    .filter(a => a.contentType === 'application/pdf' || (a.filename||'').toLowerCase().endsWith('.pdf') || (a.contentType||'').startsWith('image/'))
+    .map(a => ({ buffer: a.content, filename: a.filename || `att.${mime.extension(a.contentType) || 'bin'}` }));
+}
+
+function isLikelyEstimatePdfName(name='') {
+  return /estimate|quote|proposal/i.test(name);
+}
+
+// "YYYY-MM-DD HH:mm:ss" (local) — what the CRM stores in DATETIME columns.
+function sqlDateTime(d) {
+  if (!(d instanceof Date) || isNaN(d)) return '';
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+// Headers + text/HTML bodies; attachments travel as files. Capped so the field
+// stays under the CRM's multipart field limit.
+function rawEmailText(parsed) {
+  const headers = (parsed.headerLines || []).map(h => h.line).join('\n');
+  const raw = `${headers}\n\n${parsed.text || ''}${parsed.html ? `\n\n--- HTML ---\n${parsed.html}` : ''}`;
+  return raw.slice(0, 900 * 1024);
+}
+
+// Queue the email in the CRM's Inbox Review (ingest_review_queue). Only if the
+// CRM can't be reached is it written to ./ingest-review so nothing is lost.
+// Returns the review item id (null when saved locally).
+async function queueForReview(parsed, { reason, vendor, score = null, payload = {}, fields = {}, files = [], error = null }) {
+  const { _pdfAttachment, ...parsedFields } = fields;
+  const form = new FormData();
+  const add = (k, v) => form.append(k, v == null ? '' : String(v));
+  add('reason', reason);
+  add('vendor', vendor);
+  add('fromAddress', parsed.from?.text);
+  add('subject', parsed.subject);
+  add('messageId', parsed.messageId);
+  add('receivedAt', sqlDateTime(parsed.date));
+  add('score', score);
+  add('error', error);
+  add('payload', JSON.stringify(payload));
+  add('parsedFields', JSON.stringify(parsedFields));
+  add('rawEmail', rawEmailText(parsed));
+  // Stored under the original name, so prefix it: two vendors' "po.pdf" must not collide.
+  const stamp = `ingest-${Date.now()}`;
+  files.forEach((f, i) => {
+    const field = (f.kind === 'po' || isLikelyPOPdfName(f.filename)) ? 'poPdf' : 'photo';
+    form.append(field, new Blob([f.buffer]), `${stamp}-${i}-${f.filename || 'att.bin'}`);
+  });
 
   try {
-    const res = await createWorkOrder(basePayload, files);
-    console.log('  ✓ Created Work Order:', res);
+    const { data } = await axios.post(`${CRM_BASE}/ingest/review`, form, {
+      headers: { Authorization: `Bearer ${CRM_TOKEN}` },
+      maxBodyLength: Infinity,
+      timeout: 60000,
+    });
+    console.log(`  → queued for review (#${data.id}${data.duplicate ? ', already queued' : ''})`);
+    return data.id;
   } catch (e) {
-    console.error('  ✖ Create failed:', e.response?.data || e.message);
-    await queueForReview(parsed, basePayload, vendor, fields, { error: e.message });
+    console.error('  ✖ Could not queue for review in CRM:', e.response?.data || e.message);
+    const rec = {
+      at: new Date().toISOString(),
+      reason, vendor, score, error,
+      from: parsed.from?.text, subject: parsed.subject,
+      messageId: parsed.messageId, payload, raw: parsedFields,
+    };
+    const dir = path.resolve(process.cwd(), 'ingest-review');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(rec, null, 2));
+    console.log('  → saved locally instead:', file);
+    return null;
   }
 }
 
-async function queueForReview(parsed, payload, vendor, raw, extra={}) {
-  // Minimal local file log; you could push to S3 or a DB table "ingest_review"
-  const rec = {
-    at: new Date().toISOString(),
-    vendor, from: parsed.from?.text, subject: parsed.subject,
-    messageId: parsed.messageId, payload, raw, ...extra,
-  };
-  const dir = path.resolve(process.cwd(), 'ingest-review');
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
-  fs.writeFileSync(file, JSON.stringify(rec, null, 2));
-  console.log('  → queued for review:', file);
+// Attach the email to an existing WO's correspondence thread. PO-named PDFs
+// are added as POs, estimate/quote PDFs as estimate PDFs; the rest stay on the
+// email. Returns { id, duplicate? }.
+async function attachCorrespondence(workOrderId, parsed, { vendor, files = [] }) {
+  const form = new FormData();
+  const add = (k, v) => form.append(k, v == null ? '' : String(v));
+  add('messageId', parsed.messageId);
+  add('inReplyTo', parsed.inReplyTo);
+  add('references', [].concat(parsed.references || []).join(' '));
+  add('vendor', vendor);
+  add('fromAddress', parsed.from?.text);
+  add('subject', parsed.subject);
+  add('bodyText', (parsed.text || '').slice(0, 900 * 1024));
+  add('receivedAt', sqlDateTime(parsed.date));
+  const stamp = `ingest-${Date.now()}`;
+  files.forEach((f, i) => {
+    // Estimate names first: "proposal" contains "po"
+    const field = isLikelyEstimatePdfName(f.filename) ? 'estimatePdf'
+      : isLikelyPOPdfName(f.filename) ? 'poPdf'
+      : 'attachment';
+    form.append(field, new Blob([f.buffer]), `${stamp}-${i}-${f.filename || 'att.bin'}`);
+  });
+
+  const { data } = await axios.post(`${CRM_BASE}/work-orders/${workOrderId}/correspondence`, form, {
+    headers: { Authorization: `Bearer ${CRM_TOKEN}` },
+    maxBodyLength: Infinity,
+    timeout: 60000,
+  });
+  return data;
 }
 
 // ── IMAP LOOP ────────────────────────────────────────────────────────────────
+// Progress is tracked in the CRM's ingest ledger by UID, not with \Seen flags
+// or a time window: messages opened in a mail client still get ingested, and
+// after downtime the worker picks up from the last UID it handled.
+
+// One message: claim it in the ledger (skips anything already handled, under
+// any UID), run it, record the result. Failures are retried by later polls;
+// when the ledger says the last attempt failed, it goes to Inbox Review.
+async function processMessage(uidValidity, msg) {
+  const parsed = await simpleParser(msg.source).catch(() => null);
+  const claim = await crmPost('/ingest/messages/claim', {
+    mailbox: IMAP_MAILBOX,
+    uidValidity,
+    uid: msg.uid,
+    messageId: parsed?.messageId,
+    fromAddress: parsed?.from?.text,
+    subject: parsed?.subject,
+    receivedAt: parsed ? sqlDateTime(parsed.date) : '',
+  });
+  if (claim.action !== 'process') {
+    if (claim.reason !== 'already-processed' && claim.reason !== 'already-skipped') {
+      console.log(`• UID ${msg.uid}: ${claim.reason}`);
+    }
+    return false;
+  }
+
+  try {
+    if (!parsed) throw new Error('Could not parse message');
+    const result = await handleMessage(parsed);
+    await crmPost(`/ingest/messages/${claim.id}/result`, result);
+  } catch (e) {
+    console.error(`  ✖ Ingest failed (UID ${msg.uid}, attempt ${claim.attempt}):`, e.message);
+    const { final } = await crmPost(`/ingest/messages/${claim.id}/result`, { status: 'failed', error: e.message });
+    if (final) {
+      await queueForReview(parsed || {}, { reason: 'error', vendor: 'Unknown', error: e.message });
+    }
+  }
+  return true;
+}
+
+async function poll(client) {
+  const lock = await client.getMailboxLock(IMAP_MAILBOX);
+  let fetched = 0;
+  let error = null;
+  try {
+    const uidValidity = String(client.mailbox.uidValidity);
+    const state = await crmPost('/ingest/poll/start', { mailbox: IMAP_MAILBOX, uidValidity });
+
+    let uids;
+    if (state.backfill) {
+      const since = new Date(Date.now() - Math.max(1, Number(BACKFILL_DAYS) || 7) * 24 * 60 * 60 * 1000);
+      uids = await client.search({ since }, { uid: true });
+      console.log(`↻ Backfill (${state.reason}): ${uids.length} message(s) since ${since.toISOString().slice(0, 10)}`);
+    } else {
+      // "n:*" always returns the newest message, even when nothing is above n
+      uids = (await client.search({ uid: `${state.lastUid + 1}:*` }, { uid: true })).filter(u => u > state.lastUid);
+    }
+
+    const retries = await crmGet('/ingest/messages/retry', { mailbox: IMAP_MAILBOX, uidValidity });
+    const queue = Array.from(new Set([...uids, ...retries.map(r => r.uid)])).sort((a, b) => a - b);
+
+    for (const uid of queue) {
+      const msg = await client.fetchOne(String(uid), { uid: true, source: true }, { uid: true });
+      if (!msg) continue; // deleted since the search
+      if (await processMessage(uidValidity, msg)) fetched++;
+    }
+  } catch (e) {
+    error = e.response?.data?.error || e.message;
+    console.error('Poll error:', error);
+  } finally {
+    lock.release();
+  }
+  await crmPost('/ingest/poll/finish', { mailbox: IMAP_MAILBOX, fetched, error })
+    .catch(e => console.warn('Could not record poll:', e.message));
+}
+
 async function run() {
   const client = new ImapFlow({
     host: IMAP_HOST,
@@ -358,30 +495,12 @@ async function run() {
   });
 
   await client.connect();
-  await client.mailboxOpen('INBOX');
+  await client.mailboxOpen(IMAP_MAILBOX);
 
-  console.log(`📬 Ingest worker started (poll ${POLL_EVERY_SEC}s, dryRun=${dryRun}, conf>=${confidenceMin})`);
+  console.log(`📬 Ingest worker started (${IMAP_MAILBOX}, poll ${POLL_EVERY_SEC}s, dryRun=${dryRun}, conf>=${confidenceMin})`);
 
   while (true) {
-    try {
-      // search last hour unseen + recent
-      const since = new Date(Date.now() - 1000 * 60 * 60);
-      const lock = await client.getMailboxLock('INBOX');
-      try {
-        for await (const msg of client.fetch(
-          { since, seen: false },
-          { envelope: true, source: true, flags: true }
-        )) {
-          // mark seen so we don't repeat (or leave unseen and store a processed flag via UID map if you prefer)
-          await handleMessage(msg);
-          await client.messageFlagsAdd({ uid: msg.uid }, ['\\Seen']).catch(()=>{});
-        }
-      } finally {
-        lock.release();
-      }
-    } catch (e) {
-      console.error('Loop error:', e.message);
-    }
+    await poll(client).catch(e => console.error('Loop error:', e.message));
     await sleep(Number(POLL_EVERY_SEC) * 1000);
   }
 }
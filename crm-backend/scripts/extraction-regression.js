@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// scripts/extraction-regression.js
+// Golden-file check for the PDF extractors (see utils/extractionHarness.js).
+//
+//   npm run test:extraction                 all fixtures
+//   npm run test:extraction -- kfm          fixtures whose id contains "kfm"
+//   npm run test:extraction -- --update     rewrite expected files from current output
+//
+// Prints a per-field diff for every mismatch and per-field accuracy, and exits
+// non-zero when any fixture fails.
+
+const { runHarness } = require("../utils/extractionHarness");
+
+const short = (v) => {
+  if (v == null) return "(none)";
+  const s = String(v);
+  return JSON.stringify(s.length > 120 ? s.substring(0, 117) + "..." : s);
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes("--update");
+  const filter = args.find((a) => !a.startsWith("--")) || "";
+
+  const report = await runHarness({ filter, update });
+  if (!report.fixtures.length) {
+    console.log(`No fixtures${filter ? ` matching "${filter}"` : ""}.`);
+    return;
+  }
+
+  for (const fx of report.fixtures) {
+    console.log(`${fx.passed ? "✓" : "✖"} ${fx.id}`);
+    if (fx.error) console.log(`    error: ${fx.error}`);
+    for (const f of fx.fields.filter((x) => !x.match)) {
+      console.log(`    ${f.field}`);
+      console.log(`      expected ${short(f.expected)}`);
+      console.log(`      actual   ${short(f.actual)}`);
+    }
+  }
+
+  console.log("\nField accuracy:");
+  for (const [field, { correct, total }] of Object.entries(report.accuracy)) {
+    console.log(`  ${field.padEnd(20)} ${String(correct).padStart(3)}/${total}  ${((correct / total) * 100).toFixed(0)}%`);
+  }
+  console.log(`\n${report.passed} passed, ${report.failed} failed${update ? " (expected files updated)" : ""}`);
+
+  if (report.failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -25,6 +25,12 @@ const crypto     = require('crypto');
 
 // PO PDF vendor/number detection from PDF content (with OCR support)
 const { analyzePoPdf, detectSupplierFromText, detectPoNumberFromText, extractWorkOrderFields, extractTextSmart, extractTextFromPdf, extractTextFromScannedPdf } = require('./utils/poVendorDetector');
+const { VENDOR_PROFILES } = require('./utils/vendorProfiles');
+const { extractFields, diffFields, listFixtures, runHarness } = require('./utils/extractionHarness');
+const { advanceStages } = require('./utils/dunning');
+const { invoiceBalance } = require('./utils/invoiceTotals');
+const { formatDocumentNumber, sequenceValueFor, firstFreeNumber } = require('./utils/documentNumbering');
+const { DEFAULT_TERMS_DAYS, FALLBACK_COLLECTION_POLICY, computeDueDate, dayNumber, computeCollections } = require('./utils/collections');
 const PDFDocument = require('pdfkit');
 
 process.env.TZ = process.env.APP_TZ || 'America/Chicago';
@@ -65,6 +71,16 @@ const {
 const DEFAULT_WINDOW = Math.max(15, Number(DEFAULT_WINDOW_MINUTES) || 120);
 const S3_SIGNED_TTL = Number(process.env.S3_SIGNED_TTL || 900);
 
+// Auth: short-lived access JWTs, renewed with a server-side refresh token that
+// slides forward on every use (so an idle device signs out after N days).
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Math.max(1, Number(process.env.REFRESH_TOKEN_DAYS) || 30);
+
+// /files links handed to the browser (img/a tags can't send a Bearer token)
+// carry an HMAC signature that expires after FILE_URL_TTL seconds.
+const FILE_URL_TTL = Math.max(60, Number(process.env.FILE_URL_TTL) || 1800);
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || JWT_SECRET;
+
 // Limits (env overridable)
 const MAX_FILE_SIZE_MB = Number(process.env.MAX_FILE_SIZE_MB || 75);
 const MAX_FILES_PER_REQUEST = Number(process.env.MAX_FILES_PER_REQUEST || process.env.MAX_FILES || 300);
@@ -383,20 +399,6 @@ function displayStatusOrDefault(s) {
   return canonStatus(s) || (String(s || '').trim() ? String(s) : 'New');
 }
 
-// When a WO moves to "Waiting for Approval", stamp estimateSentAt once.
-// Uses COALESCE so a re-save never resets the clock (only fills when NULL).
-async function stampEstimateSentIfWaiting(woId, statusCanon) {
-  try {
-    if (statusCanon !== 'Waiting for Approval') return;
-    await db.query(
-      "UPDATE work_orders SET estimateSentAt = NOW() WHERE id = ? AND status = 'Waiting for Approval' AND estimateSentAt IS NULL",
-      [Number(woId)]
-    );
-  } catch (e) {
-    console.warn('[stampEstimateSentIfWaiting] failed:', e.message);
-  }
-}
-
 // Add a note as a ROW in work_order_notes (notes were migrated out of the old
 // work_orders.notes TEXT blob). Timestamp uses the same UTC convention the old
 // blob used (toISOString), so display stays consistent with historical notes.
@@ -408,25 +410,8 @@ async function appendWorkOrderNote(woId, text, who) {
   );
 }
 
-// When a work order transitions INTO "Approved" (and wasn't already Approved),
-// append an "Approved <M/D/YYYY>" note (Central time) attributed to the actor.
-// Transition-only guard prevents duplicate notes on re-saves of an already-Approved WO.
-// Never throws — a note failure must not fail the status update.
-async function maybeLogApprovalNote(woId, priorStatus, newStatus, who) {
-  try {
-    if (canonStatus(newStatus) === 'Approved' && canonStatus(priorStatus) !== 'Approved') {
-      const dateStr = new Date().toLocaleDateString('en-US', { timeZone: 'America/Chicago' });
-      await appendWorkOrderNote(woId, `Approved ${dateStr}`, who || 'System');
-      console.log(`[approval-note] WO ${woId}: added "Approved ${dateStr}" (by ${who || 'System'})`);
-    }
-  } catch (e) {
-    console.error('[maybeLogApprovalNote] failed (non-fatal):', e.message);
-  }
-}
-
 // Stamp work_orders.statusChangedAt when a WO actually ENTERS a new status.
-// Same transition-only guard as maybeLogApprovalNote — a re-save that keeps the
-// status identical must not reset the clock, or nothing would ever look stale.
+// Transition-only guard — a re-save that keeps the status identical must not reset the clock, or nothing would ever look stale.
 // A create (priorStatus null) counts as entering its initial status.
 // Never throws: an aging stamp must not fail the status update itself.
 async function stampStatusChangedAt(woId, priorStatus, newStatus) {
@@ -497,6 +482,11 @@ async function ensureCols() {
     // writer anywhere in this file). Left untouched rather than silently
     // repurposed; safe to drop separately.
     { name: 'serviceOrder',      type: 'INT NULL' },
+    // Stamped by the default "Completed" enter hook of the status workflow.
+    { name: 'completedAt',       type: 'DATETIME NULL' },
+    // Newest vendor email attached by the ingest worker that nobody has opened
+    // yet ("new vendor correspondence" flag); cleared when it's acknowledged.
+    { name: 'vendorCorrespondenceAt', type: 'DATETIME NULL' },
   ];
 
   try {
@@ -579,7 +569,7 @@ async function ensureCols() {
 //
 //   Approved             — the auto-note "Approved M/D/YYYY" is written on the
 //                          transition INTO Approved, so its createdAt IS the entry time.
-//   Waiting for Approval — estimateSentAt is stamped by stampEstimateSentIfWaiting
+//   Waiting for Approval — estimateSentAt is stamped by the workflow's enter hook
 //                          only on entering that status, and only while it is NULL.
 //
 // Both are guarded on the WO's CURRENT status: an old Approved note on a WO that
@@ -637,6 +627,319 @@ ensureCols()
   .then(backfillStatusChangedAt)
   .catch(() => {});
 
+// ─── STATUS WORKFLOW (statuses, allowed transitions, hooks) ─────────────────
+// The work-order workflow is data, not code, so dispatchers can change it from
+// the Workflow admin screen without a redeploy:
+//   work_order_statuses    — one row per status: display order, active flag, and
+//                            "enter" hooks that run whenever a WO lands in it
+//   work_order_transitions — one row per ALLOWED from → to move, with hooks that
+//                            run only for that move
+// Both tables are seeded once from STATUS_CANON + defaultWorkflowTransitions()
+// and cached in WORKFLOW; every admin save reloads the cache.
+//
+// Hooks are small JSON objects:
+//   { type: 'append_note', text: 'Approved {date}' }   {date} {from} {to} {who}
+//   { type: 'stamp_timestamp', column: 'estimateSentAt', onlyIfEmpty: true }
+//   { type: 'require_po' }                              guard — WO must carry a PO
+// Guards are checked by the user-facing routes (status, edit) BEFORE the write.
+// Effect hooks run after it via applyStatusTransition and never throw.
+const WORKFLOW_HOOK_TYPES = ['append_note', 'stamp_timestamp', 'require_po'];
+const WORKFLOW_GUARD_TYPES = new Set(['require_po']);
+// Only these work_orders columns may be stamped by a hook (they are interpolated
+// into SQL, so this list is the whitelist).
+const WORKFLOW_STAMP_COLUMNS = ['estimateSentAt', 'completedAt'];
+
+// What the hard-coded helpers used to do, expressed as enter hooks.
+const DEFAULT_STATUS_ENTER_HOOKS = {
+  'Approved': [{ type: 'append_note', text: 'Approved {date}' }],
+  'Waiting for Approval': [{ type: 'stamp_timestamp', column: 'estimateSentAt', onlyIfEmpty: true }],
+  'Completed': [{ type: 'stamp_timestamp', column: 'completedAt', onlyIfEmpty: false }],
+};
+
+// Default graph: everything may move to everything, except that finished work
+// can only step back into billing, and only the two intake queues can go back
+// to New. Dispatchers tighten or loosen it from the admin screen.
+function defaultWorkflowTransitions() {
+  const out = [];
+  const billingOnly = new Set(['Needs to be Invoiced', 'Invoiced Waiting for Payment', 'Completed']);
+  for (const from of STATUS_CANON) {
+    for (const to of STATUS_CANON) {
+      if (from === to) continue;
+      if ((from === 'Completed' || from === 'Invoiced Waiting for Payment') && !billingOnly.has(to)) continue;
+      if (to === 'New' && !['Needs to be Quoted', 'Needs to be Scheduled'].includes(from)) continue;
+      out.push({ fromStatus: from, toStatus: to, hooks: [] });
+    }
+  }
+  return out;
+}
+
+function normalizeWorkflowHook(h) {
+  if (!h || typeof h !== 'object') return null;
+  const type = String(h.type || '').trim();
+  if (type === 'append_note') {
+    const text = String(h.text || '').trim().slice(0, 500);
+    return text ? { type, text } : null;
+  }
+  if (type === 'stamp_timestamp') {
+    const column = WORKFLOW_STAMP_COLUMNS.find((c) => c === h.column);
+    return column ? { type, column, onlyIfEmpty: h.onlyIfEmpty !== false } : null;
+  }
+  if (type === 'require_po') return { type };
+  return null;
+}
+
+function parseWorkflowHooks(raw) {
+  let v = raw;
+  if (typeof raw === 'string') {
+    try { v = JSON.parse(raw); } catch { v = []; }
+  }
+  return Array.isArray(v) ? v.map(normalizeWorkflowHook).filter(Boolean) : [];
+}
+
+const transitionKey = (from, to) => `${from}\u0000${to}`;
+
+// In-memory copy of the workflow. Starts as the seeded defaults so the routes
+// behave sensibly even before (or without) the tables loading.
+const WORKFLOW = { statuses: [], byName: new Map(), transitions: new Map() };
+
+function installWorkflow(statuses, transitions) {
+  WORKFLOW.statuses = statuses;
+  WORKFLOW.byName = new Map(statuses.map((s) => [s.name, s]));
+  WORKFLOW.transitions = new Map(transitions.map((t) => [transitionKey(t.fromStatus, t.toStatus), t]));
+  // Custom statuses must canonicalize like the built-in ones, and a deleted one
+  // must stop canonicalizing, so the lookup is rebuilt from the statuses installed.
+  STATUS_LOOKUP.clear();
+  for (const s of statuses) STATUS_LOOKUP.set(statusKey(s.name), s.name);
+}
+
+installWorkflow(
+  STATUS_CANON.map((name, i) => ({
+    name, sortOrder: i + 1, isActive: true, enterHooks: DEFAULT_STATUS_ENTER_HOOKS[name] || [],
+  })),
+  defaultWorkflowTransitions()
+);
+
+async function loadStatusWorkflow() {
+  const [sRows] = await db.query(
+    'SELECT id, name, sortOrder, isActive, enterHooks FROM work_order_statuses ORDER BY sortOrder ASC, id ASC'
+  );
+  const [tRows] = await db.query('SELECT id, fromStatus, toStatus, hooks FROM work_order_transitions');
+  if (!sRows.length) return; // never seeded — keep the in-memory defaults
+  installWorkflow(
+    sRows.map((r) => ({
+      id: r.id, name: r.name, sortOrder: Number(r.sortOrder) || 0,
+      isActive: !!r.isActive, enterHooks: parseWorkflowHooks(r.enterHooks),
+    })),
+    tRows.map((r) => ({ id: r.id, fromStatus: r.fromStatus, toStatus: r.toStatus, hooks: parseWorkflowHooks(r.hooks) }))
+  );
+}
+
+async function ensureStatusWorkflow() {
+  try {
+    // Custom statuses need a free-text column; very old installs still have the
+    // original 5-value ENUM from the first schema.
+    const t = await getColumnType('work_orders', 'status');
+    if (t && t.startsWith('enum')) {
+      await db.query("ALTER TABLE `work_orders` MODIFY COLUMN `status` VARCHAR(64) NULL DEFAULT 'New'");
+      console.log('[Migration] work_orders.status ENUM -> VARCHAR(64)');
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS work_order_statuses (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        sortOrder INT NOT NULL DEFAULT 0,
+        isActive TINYINT(1) NOT NULL DEFAULT 1,
+        enterHooks TEXT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_wo_status_name (name)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS work_order_transitions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        fromStatus VARCHAR(64) NOT NULL,
+        toStatus VARCHAR(64) NOT NULL,
+        hooks TEXT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_wo_transition (fromStatus, toStatus)
+      )
+    `);
+
+    const [[{ n }]] = await db.query('SELECT COUNT(*) AS n FROM work_order_statuses');
+    if (!Number(n)) {
+      for (const s of WORKFLOW.statuses) {
+        await db.query(
+          'INSERT IGNORE INTO work_order_statuses (name, sortOrder, isActive, enterHooks) VALUES (?, ?, 1, ?)',
+          [s.name, s.sortOrder, JSON.stringify(s.enterHooks)]
+        );
+      }
+      for (const tr of WORKFLOW.transitions.values()) {
+        await db.query(
+          'INSERT IGNORE INTO work_order_transitions (fromStatus, toStatus, hooks) VALUES (?, ?, ?)',
+          [tr.fromStatus, tr.toStatus, JSON.stringify(tr.hooks)]
+        );
+      }
+      console.log('[Workflow] seeded default statuses and transitions');
+    }
+
+    await loadStatusWorkflow();
+    console.log(`[Workflow] ready (${WORKFLOW.statuses.length} statuses, ${WORKFLOW.transitions.size} transitions)`);
+  } catch (e) {
+    console.warn('[Workflow] Could not load workflow tables, using built-in defaults:', e.message);
+  }
+}
+ensureStatusWorkflow().catch(() => {});
+
+// Statuses a WO may move to from `fromStatus`, in display order.
+function allowedNextStatuses(fromStatus) {
+  const from = canonStatus(fromStatus);
+  return WORKFLOW.statuses
+    .filter((s) => s.isActive && s.name !== from && (!from || !WORKFLOW.byName.has(from) || WORKFLOW.transitions.has(transitionKey(from, s.name))))
+    .map((s) => s.name);
+}
+
+// The hooks that fire for prior → next: the transition's own, then the target
+// status's enter hooks. A re-save that keeps the status fires nothing.
+function hooksForTransition(priorStatus, newStatus) {
+  const prior = priorStatus == null ? null : canonStatus(priorStatus);
+  const next = canonStatus(newStatus);
+  if (!next || prior === next) return [];
+  const t = prior ? WORKFLOW.transitions.get(transitionKey(prior, next)) : null;
+  const s = WORKFLOW.byName.get(next);
+  return [...(t ? t.hooks : []), ...(s ? s.enterHooks : [])];
+}
+
+async function workOrderHasPo(woId, pendingPoNumber) {
+  if (String(pendingPoNumber || '').trim()) return true;
+  const [[wo]] = await db.query('SELECT poNumber FROM work_orders WHERE id = ?', [Number(woId)]);
+  if (wo && String(wo.poNumber || '').trim()) return true;
+  const [[po]] = await db.query('SELECT id FROM work_order_pos WHERE workOrderId = ? LIMIT 1', [Number(woId)]);
+  return !!po;
+}
+
+// Decide whether a user-driven move is allowed. Returns null when it is, or
+// { status, error, allowed } for the route to send back. Statuses that aren't
+// part of the workflow (legacy free text) may move anywhere so old rows are
+// never stuck. `ctx.poNumber` lets a request that is adding a PO in the same
+// save satisfy require_po.
+async function checkStatusTransition(woId, priorStatus, newStatus, ctx = {}) {
+  const prior = priorStatus == null ? null : canonStatus(priorStatus);
+  const next = canonStatus(newStatus);
+  if (!next) return { status: 400, error: 'Invalid status value' };
+  if (prior === next) return null;
+
+  const target = WORKFLOW.byName.get(next);
+  if (target && !target.isActive) {
+    return { status: 409, error: `"${next}" is no longer an active status.`, allowed: allowedNextStatuses(prior) };
+  }
+  if (prior && WORKFLOW.byName.has(prior) && !WORKFLOW.transitions.has(transitionKey(prior, next))) {
+    return {
+      status: 409,
+      error: `A work order can't move from "${prior}" to "${next}".`,
+      allowed: allowedNextStatuses(prior),
+    };
+  }
+
+  for (const hook of hooksForTransition(prior, next)) {
+    if (hook.type === 'require_po' && !(await workOrderHasPo(woId, ctx.poNumber))) {
+      return { status: 409, error: `A PO is required before moving to "${next}".` };
+    }
+  }
+  return null;
+}
+
+function fillHookTemplate(text, vars) {
+  return String(text).replace(/\{(date|from|to|who)\}/g, (_, k) => vars[k] || '');
+}
+
+// ─── STATUS HISTORY ─────────────────────────────────────────────────────────
+// statusChangedAt only remembers the LATEST entry, so it can't answer "how long
+// did this sit in Waiting on Parts last month" or "who declined it". Every real
+// transition also lands here as one row: who, from which route/job, from → to.
+async function ensureStatusHistoryTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS work_order_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        workOrderId INT NOT NULL,
+        fromStatus VARCHAR(64) NULL,
+        toStatus VARCHAR(64) NOT NULL,
+        actor VARCHAR(100) NULL,
+        source VARCHAR(64) NULL,
+        changedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_wosh_wo (workOrderId, changedAt),
+        INDEX idx_wosh_changed (changedAt)
+      )
+    `);
+    console.log('[StatusHistory] work_order_status_history table ready');
+  } catch (e) {
+    console.warn('[StatusHistory] Could not create work_order_status_history:', e.message);
+  }
+}
+ensureStatusHistoryTable().catch(() => {});
+
+// Never throws — losing a history row must not fail the status change.
+async function recordStatusHistory(woId, fromStatus, toStatus, actor, source) {
+  try {
+    await db.query(
+      'INSERT INTO work_order_status_history (workOrderId, fromStatus, toStatus, actor, source) VALUES (?, ?, ?, ?, ?)',
+      [Number(woId), fromStatus || null, toStatus, actor || 'System', source || null]
+    );
+  } catch (e) {
+    console.warn('[recordStatusHistory] failed (non-fatal):', e.message);
+  }
+}
+
+// Run the effect hooks for prior → next, stamp statusChangedAt and write the
+// history row. Called by every status writer after its UPDATE; `source` names
+// the route or job that made the move. Never throws — a hook failure must not
+// fail the status change.
+async function applyStatusTransition(woId, priorStatus, newStatus, who, source) {
+  const vars = {
+    date: new Date().toLocaleDateString('en-US', { timeZone: 'America/Chicago' }),
+    from: priorStatus == null ? '' : displayStatusOrDefault(priorStatus),
+    to: canonStatus(newStatus) || String(newStatus || ''),
+    who: who || 'System',
+  };
+  for (const hook of hooksForTransition(priorStatus, newStatus)) {
+    if (WORKFLOW_GUARD_TYPES.has(hook.type)) continue;
+    try {
+      if (hook.type === 'append_note') {
+        const text = fillHookTemplate(hook.text, vars);
+        await appendWorkOrderNote(woId, text, who || 'System');
+        console.log(`[workflow] WO ${woId}: note "${text}" (by ${who || 'System'})`);
+      } else if (hook.type === 'stamp_timestamp' && WORKFLOW_STAMP_COLUMNS.includes(hook.column)) {
+        await db.query(
+          `UPDATE work_orders SET \`${hook.column}\` = NOW() WHERE id = ?${hook.onlyIfEmpty ? ` AND \`${hook.column}\` IS NULL` : ''}`,
+          [Number(woId)]
+        );
+      }
+    } catch (e) {
+      console.warn(`[workflow] ${hook.type} hook failed for WO ${woId} (non-fatal):`, e.message);
+    }
+  }
+  await stampStatusChangedAt(woId, priorStatus, newStatus);
+
+  const prior = priorStatus == null ? null : (canonStatus(priorStatus) || String(priorStatus));
+  const next = canonStatus(newStatus) || String(newStatus || '');
+  if (next && prior !== next) await recordStatusHistory(woId, prior, next, who, source);
+}
+
+// Status writes that happen as a side effect of something else (an invoice is
+// created, a payment clears it, a job ages out) skip workflow enforcement — the
+// business event already happened — but still run hooks and write history.
+// `onlyFrom` limits the move to WOs currently in that status. Returns true if moved.
+async function moveWorkOrderStatus(woId, newStatus, who, source, { onlyFrom = null } = {}) {
+  const [[prev]] = await db.query('SELECT status FROM work_orders WHERE id = ?', [Number(woId)]);
+  if (!prev) return false;
+  if (onlyFrom && canonStatus(prev.status) !== onlyFrom) return false;
+  await db.query('UPDATE work_orders SET status = ? WHERE id = ?', [newStatus, Number(woId)]);
+  await applyStatusTransition(woId, prev.status, newStatus, who, source);
+  return true;
+}
+
 // ─── WORK_ORDER_POS TABLE (multi-PO support) ────────────────────────────────
 async function ensurePoTable() {
   try {
@@ -1251,6 +1554,15 @@ async function ensureCustomerCols() {
     { name: 'siteZip',      type: 'VARCHAR(20) NULL' },
     { name: 'notes',        type: 'TEXT NULL' },
     { name: 'isActive',     type: 'TINYINT(1) NOT NULL DEFAULT 1' },
+    // Sales-tax exemption (resale / non-profit / government certificate on file)
+    { name: 'taxExempt',           type: 'TINYINT(1) NOT NULL DEFAULT 0' },
+    { name: 'taxExemptCertNumber', type: 'VARCHAR(100) NULL' },
+    { name: 'taxExemptCertPath',   type: 'VARCHAR(500) NULL' },
+    { name: 'taxExemptExpiresAt',  type: 'DATE NULL' },
+    // Dunning: send stage reminders without review / stop them while in dispute
+    { name: 'autoReminders',         type: 'TINYINT(1) NOT NULL DEFAULT 0' },
+    { name: 'remindersPaused',       type: 'TINYINT(1) NOT NULL DEFAULT 0' },
+    { name: 'remindersPausedReason', type: 'VARCHAR(255) NULL' },
     { name: 'updatedAt',    type: 'DATETIME DEFAULT CURRENT_TIMESTAMP' },
   ];
 
@@ -1483,13 +1795,102 @@ async function ensureEstimateTables() {
       await db.query("ALTER TABLE estimate_line_items ADD COLUMN itemName VARCHAR(500) NULL AFTER sortOrder");
       console.log('[Estimates] Added itemName column to estimate_line_items');
     }
+    await ensureLineItemCols('estimate_line_items', 'Estimates');
   } catch (e) {
     console.warn('[Estimates] Could not create estimate_line_items table:', e.message);
   }
+
+  // Optional lines and option groups (good/better/best). A line with isOptional
+  // or an optionGroup is a choice; isSelected says whether it's in the total.
+  // Lines sharing an optionGroup are mutually exclusive — exactly one is selected.
+  try {
+    const optionCols = [
+      { name: 'isOptional',  type: 'TINYINT(1) NOT NULL DEFAULT 0' },
+      { name: 'optionGroup', type: 'VARCHAR(100) NULL' },
+      { name: 'isSelected',  type: 'TINYINT(1) NOT NULL DEFAULT 1' },
+    ];
+    for (const { name, type } of optionCols) {
+      const [found] = await db.query('SHOW COLUMNS FROM estimate_line_items LIKE ?', [name]);
+      if (!found.length) {
+        await db.query(`ALTER TABLE estimate_line_items ADD COLUMN \`${name}\` ${type}`);
+        console.log(`[Estimates] Added ${name} column to estimate_line_items`);
+      }
+    }
+  } catch (e) {
+    console.warn('[Estimates] Could not ensure option columns:', e.message);
+  }
+
+  // Revisions: the estimates row is always the current (editable) revision.
+  // Superseded revisions are frozen as a JSON snapshot plus the PDF rendered at
+  // the time; estimate_sends records every copy that went to the customer.
+  try {
+    const [revCol] = await db.query("SHOW COLUMNS FROM estimates LIKE 'revisionNumber'");
+    if (!revCol.length) {
+      await db.query('ALTER TABLE estimates ADD COLUMN revisionNumber INT NOT NULL DEFAULT 1');
+      console.log('[Estimates] Added revisionNumber column');
+    }
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS estimate_revisions (
+        id              INT AUTO_INCREMENT PRIMARY KEY,
+        estimateId      INT NOT NULL,
+        revisionNumber  INT NOT NULL,
+        status          VARCHAR(50) NULL,
+        subtotal        DECIMAL(10,2) DEFAULT 0,
+        taxAmount       DECIMAL(10,2) DEFAULT 0,
+        total           DECIMAL(10,2) DEFAULT 0,
+        snapshot        JSON NOT NULL,
+        pdfPath         VARCHAR(255) NULL,
+        reason          VARCHAR(500) NULL,
+        createdBy       VARCHAR(100) NULL,
+        createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+        supersededAt    DATETIME NULL,
+        UNIQUE KEY uniq_estimate_revision (estimateId, revisionNumber),
+        FOREIGN KEY (estimateId) REFERENCES estimates(id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS estimate_sends (
+        id              INT AUTO_INCREMENT PRIMARY KEY,
+        estimateId      INT NOT NULL,
+        revisionNumber  INT NOT NULL DEFAULT 1,
+        method          VARCHAR(20) NOT NULL DEFAULT 'email',
+        emailLogId      INT NULL,
+        recipientEmail  VARCHAR(255) NULL,
+        subject         VARCHAR(500) NULL,
+        total           DECIMAL(10,2) NULL,
+        pdfPath         VARCHAR(255) NULL,
+        sentBy          VARCHAR(100) NULL,
+        sentAt          DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_estimate_sends (estimateId, revisionNumber),
+        FOREIGN KEY (estimateId) REFERENCES estimates(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('[Estimates] estimate_revisions / estimate_sends tables ready');
+  } catch (e) {
+    console.warn('[Estimates] Could not ensure revision tables:', e.message);
+  }
 }
 
 ensureEstimateTables().catch(() => {});
 
+// Columns shared by estimate/invoice lines. unitCost and markupPct are internal
+// costing and never leave the CRM: the PDF renderers and public pages only print
+// qty/description/amount. taxable = 0 keeps a line (labor) out of sales tax.
+async function ensureLineItemCols(table, tag) {
+  const lineCols = [
+    { name: 'unitCost',  type: 'DECIMAL(10,2) NULL' },
+    { name: 'markupPct', type: 'DECIMAL(6,2) NULL' },
+    { name: 'taxable',   type: 'TINYINT(1) NOT NULL DEFAULT 1' },
+  ];
+  for (const { name, type } of lineCols) {
+    const [found] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [name]);
+    if (!found.length) {
+      await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${type} AFTER amount`);
+      console.log(`[${tag}] Added ${name} column to ${table}`);
+    }
+  }
+}
+
 // ─── INVOICES / PAYMENTS / SETTINGS TABLES ──────────────────────────────────
 async function ensureInvoiceTables() {
   try {
@@ -1500,7 +1901,7 @@ async function ensureInvoiceTables() {
         updatedAt    DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
-    await db.query("INSERT IGNORE INTO settings (settingKey, settingValue) VALUES ('nextInvoiceNumber', '1')");
+    await db.query("INSERT IGNORE INTO settings (settingKey, settingValue) VALUES ('marginFloorPct', '20')");
     await db.query("INSERT IGNORE INTO settings (settingKey, settingValue) VALUES ('defaultInvoiceTerms', ?)", [
       'ALL PAYMENTS MUST BE MADE 45 DAYS AFTER INVOICE DATE OR A 15% LATE FEE WILL BE APPLIED'
     ]);
@@ -1606,6 +2007,7 @@ async function ensureInvoiceTables() {
       await db.query("ALTER TABLE invoice_line_items ADD COLUMN itemName VARCHAR(500) NULL AFTER sortOrder");
       console.log('[Invoices] Added itemName column to invoice_line_items');
     }
+    await ensureLineItemCols('invoice_line_items', 'Invoices');
   } catch (e) {
     console.warn('[Invoices] Could not create invoice_line_items table:', e.message);
   }
@@ -1631,100 +2033,669 @@ async function ensureInvoiceTables() {
 }
 ensureInvoiceTables().catch(() => {});
 
-// ─── PERFORMANCE INDEXES (idempotent, non-destructive: ADD INDEX only) ───────
-// MySQL 8 has no CREATE INDEX IF NOT EXISTS, so we check information_schema first.
-// Each single-column secondary index on InnoDB builds ALGORITHM=INPLACE (online).
-async function ensureIndexes() {
-  const wanted = [
-    { table: 'invoices',       index: 'idx_invoices_workOrderId',   col: 'workOrderId' },
-    { table: 'invoices',       index: 'idx_invoices_status',        col: 'status' },
-    { table: 'invoices',       index: 'idx_invoices_createdAt',     col: 'createdAt' },
-    { table: 'invoices',       index: 'idx_invoices_customerId',    col: 'customerId' },
-    { table: 'invoices',       index: 'idx_invoices_invoiceSentAt', col: 'invoiceSentAt' },
-    { table: 'invoices',       index: 'idx_invoices_dueDate',       col: 'dueDate' },
-    { table: 'work_order_pos', index: 'idx_wop_workOrderId',        col: 'workOrderId' },
-    { table: 'work_orders',    index: 'idx_work_orders_customerId', col: 'customerId' },
-  ];
-  console.log('[ensureIndexes] starting index check…');
-  for (const { table, index, col } of wanted) {
-    try {
-      const [[colRow]] = await db.query(
-        `SELECT COUNT(*) AS c FROM information_schema.columns
-          WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
-        [table, col]
-      );
-      if (!colRow || colRow.c === 0) {
-        console.log(`[ensureIndexes] SKIPPED(no column) ${table}.${col} (${index})`);
-        continue;
-      }
-      const [[idxRow]] = await db.query(
-        `SELECT COUNT(*) AS c FROM information_schema.statistics
-          WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
-        [table, index]
-      );
-      if (idxRow && idxRow.c > 0) {
-        console.log(`[ensureIndexes] SKIPPED(exists) ${index} on ${table}`);
-        continue;
-      }
-      try {
-        await db.query(`ALTER TABLE \`${table}\` ADD INDEX \`${index}\` (\`${col}\`)`);
-        console.log(`[ensureIndexes] CREATED ${index} on ${table}(${col})`);
-      } catch (alterErr) {
-        if (alterErr && alterErr.errno === 1061) {
-          console.log(`[ensureIndexes] SKIPPED(exists/1061) ${index} on ${table}`);
-        } else {
-          console.error(`[ensureIndexes] ERROR ${index} on ${table}: ${alterErr.message}`);
+// ─── SALES TAX TABLES ───────────────────────────────────────────────────────
+// Rates are keyed by jurisdiction (state, optionally narrowed to a city or ZIP)
+// and picked from the job-site address. Estimates/invoices keep a snapshot of
+// the chosen jurisdiction + rate so a later rate change doesn't rewrite history.
+async function ensureSalesTaxSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tax_jurisdictions (
+        id        INT AUTO_INCREMENT PRIMARY KEY,
+        name      VARCHAR(120) NOT NULL,
+        state     VARCHAR(2) NOT NULL,
+        city      VARCHAR(100) NULL,
+        zip       VARCHAR(10) NULL,
+        rate      DECIMAL(6,3) NOT NULL DEFAULT 0,
+        isActive  TINYINT(1) NOT NULL DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_tax_jurisdictions_state (state)
+      )
+    `);
+
+    for (const table of ['estimates', 'invoices']) {
+      const docCols = [
+        { name: 'taxJurisdictionId', type: 'INT NULL' },
+        { name: 'taxableSubtotal',   type: 'DECIMAL(10,2) NULL' },
+        { name: 'taxExempt',         type: 'TINYINT(1) NOT NULL DEFAULT 0' },
+      ];
+      for (const { name, type } of docCols) {
+        const [found] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [name]);
+        if (!found.length) {
+          await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${type}`);
+          console.log(`[SalesTax] Added ${table}.${name}`);
         }
       }
-    } catch (e) {
-      console.error(`[ensureIndexes] ERROR checking ${index} on ${table}: ${e.message}`);
+      // Combined Illinois rates carry three decimals (e.g. 8.875%).
+      const [[rateCol]] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE 'taxRate'`);
+      if (rateCol && /decimal\(5,2\)/i.test(rateCol.Type)) {
+        await db.query(`ALTER TABLE \`${table}\` MODIFY COLUMN taxRate DECIMAL(6,3) DEFAULT 0`);
+        console.log(`[SalesTax] Widened ${table}.taxRate to DECIMAL(6,3)`);
+      }
     }
+    console.log('[SalesTax] tax_jurisdictions ready');
+  } catch (e) {
+    console.warn('[SalesTax] Could not ensure sales tax schema:', e.message);
   }
-  console.log('[ensureIndexes] done.');
 }
-ensureIndexes().catch((e) => console.error('[ensureIndexes] fatal:', e.message));
-
-// ─── LINE ITEM TEMPLATES TABLE ──────────────────────────────────────────────
-async function ensureLineItemTemplateTable() {
+ensureSalesTaxSchema().catch(() => {});
+
+// ─── PROGRESS BILLING TABLES ────────────────────────────────────────────────
+// invoices.billingType: standard | deposit | progress | final | retainage.
+// schedule_of_values is the per-job (work order) breakdown progress invoices
+// bill against; invoice lines point back at it (sovItemId) or, for a deposit
+// credit, at the deposit invoice they credit (creditInvoiceId).
+async function ensureProgressBillingSchema() {
   try {
+    const addCols = [
+      { table: 'invoices',          name: 'billingType',     type: "VARCHAR(20) NOT NULL DEFAULT 'standard'" },
+      { table: 'invoices',          name: 'retainagePct',    type: 'DECIMAL(5,2) NULL' },
+      { table: 'invoices',          name: 'retainageAmount', type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+      { table: 'invoice_line_items', name: 'sovItemId',      type: 'INT NULL' },
+      { table: 'invoice_line_items', name: 'creditInvoiceId', type: 'INT NULL' },
+      { table: 'work_orders',       name: 'retainagePct',    type: 'DECIMAL(5,2) NULL' },
+    ];
+    for (const { table, name, type } of addCols) {
+      const [found] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [name]);
+      if (!found.length) {
+        await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${type}`);
+        console.log(`[Progress Billing] Added ${table}.${name}`);
+      }
+    }
     await db.query(`
-      CREATE TABLE IF NOT EXISTS line_item_templates (
+      CREATE TABLE IF NOT EXISTS schedule_of_values (
         id              INT AUTO_INCREMENT PRIMARY KEY,
+        workOrderId     INT NOT NULL,
+        sortOrder       INT NOT NULL DEFAULT 0,
         description     VARCHAR(500) NOT NULL,
-        defaultQuantity DECIMAL(10,2) DEFAULT 1,
-        defaultAmount   DECIMAL(10,2) NULL,
-        category        VARCHAR(100) NULL,
-        sortOrder       INT DEFAULT 0,
-        isActive        TINYINT(1) DEFAULT 1,
-        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+        scheduledValue  DECIMAL(10,2) NOT NULL DEFAULT 0,
+        taxable         TINYINT(1) NOT NULL DEFAULT 1,
+        createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt       DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_sov_work_order (workOrderId),
+        FOREIGN KEY (workOrderId) REFERENCES work_orders(id) ON DELETE CASCADE
       )
     `);
-    console.log('[Templates] line_item_templates table ready');
+    console.log('[Progress Billing] schedule_of_values ready');
+  } catch (e) {
+    console.warn('[Progress Billing] Could not ensure progress billing schema:', e.message);
+  }
+}
+ensureProgressBillingSchema().catch(() => {});
 
-    const [[{ cnt }]] = await db.query('SELECT COUNT(*) AS cnt FROM line_item_templates');
-    if (cnt === 0) {
-      const seeds = [
-        ['INITIAL SERVICE CALL', 1, 150.00, 'Service Calls', 1],
-        ['EMERGENCY SERVICE CALL', 1, 250.00, 'Service Calls', 2],
-        ['RETURN TRIP', 1, 75.00, 'Service Calls', 3],
-        ['LABOR', null, null, 'Labor', 4],
-      ];
-      for (const [desc, qty, amt, cat, ord] of seeds) {
-        await db.query(
-          'INSERT INTO line_item_templates (description, defaultQuantity, defaultAmount, category, sortOrder) VALUES (?,?,?,?,?)',
-          [desc, qty, amt, cat, ord]
-        );
-      }
-      console.log('[Templates] Seeded 4 default templates');
+// ─── SERVICE AGREEMENTS TABLES ──────────────────────────────────────────────
+// Recurring maintenance contracts: each period the scheduler opens a work order
+// ("Needs to be Scheduled") and a draft invoice. service_agreement_runs has one
+// row per generated period — the unique key keeps a period from being billed twice.
+async function ensureServiceAgreementTables() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS service_agreements (
+        id                 INT AUTO_INCREMENT PRIMARY KEY,
+        customerId         INT NOT NULL,
+        title              VARCHAR(255) NOT NULL,
+        siteLocation       VARCHAR(255) NULL,
+        siteAddress        VARCHAR(255) NULL,
+        frequency          VARCHAR(20) NOT NULL DEFAULT 'monthly',
+        includedWork       TEXT NULL,
+        price              DECIMAL(10,2) NOT NULL DEFAULT 0,
+        taxable            TINYINT(1) NOT NULL DEFAULT 1,
+        poNumber           VARCHAR(64) NULL,
+        startDate          DATE NOT NULL,
+        endDate            DATE NULL,
+        nextRunDate        DATE NULL,
+        autoRenew          TINYINT(1) NOT NULL DEFAULT 0,
+        renewalTermMonths  INT NOT NULL DEFAULT 12,
+        renewalNoticeDays  INT NOT NULL DEFAULT 30,
+        createWorkOrder    TINYINT(1) NOT NULL DEFAULT 1,
+        createInvoice      TINYINT(1) NOT NULL DEFAULT 1,
+        status             VARCHAR(20) NOT NULL DEFAULT 'Active',
+        notes              TEXT NULL,
+        lastRunAt          DATETIME NULL,
+        renewedAt          DATETIME NULL,
+        createdBy          VARCHAR(100) NULL,
+        createdAt          DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt          DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_sa_customer (customerId),
+        KEY idx_sa_next_run (status, nextRunDate)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS service_agreement_runs (
+        id           INT AUTO_INCREMENT PRIMARY KEY,
+        agreementId  INT NOT NULL,
+        periodStart  DATE NOT NULL,
+        periodEnd    DATE NOT NULL,
+        workOrderId  INT NULL,
+        invoiceId    INT NULL,
+        error        VARCHAR(500) NULL,
+        createdBy    VARCHAR(100) NULL,
+        createdAt    DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_sa_period (agreementId, periodStart),
+        FOREIGN KEY (agreementId) REFERENCES service_agreements(id) ON DELETE CASCADE
+      )
+    `);
+    const [found] = await db.query('SHOW COLUMNS FROM `invoices` LIKE ?', ['serviceAgreementId']);
+    if (!found.length) {
+      await db.query('ALTER TABLE `invoices` ADD COLUMN `serviceAgreementId` INT NULL');
+      console.log('[Service Agreements] Added invoices.serviceAgreementId');
     }
+    console.log('[Service Agreements] service_agreements tables ready');
   } catch (e) {
-    console.warn('[Templates] Could not create line_item_templates:', e.message);
+    console.warn('[Service Agreements] Could not create service agreement tables:', e.message);
   }
 }
-ensureLineItemTemplateTable().catch(() => {});
-
-// ─── PDF TEMPLATES TABLE ────────────────────────────────────────────────────
-const DEFAULT_TEMPLATE_CONFIG = {
+ensureServiceAgreementTables().catch(() => {});
+
+// ─── CREDITS / WRITE-OFFS / REFUNDS TABLES ──────────────────────────────────
+// What reduces a customer's balance besides a payment. Credit memos are issued
+// to a customer and applied to one or more invoices; write-offs close out bad
+// debt on one invoice. Both land in invoice_adjustments, which recalcInvoiceTotals
+// subtracts from what's due. Refunds are negative invoice_payments rows
+// (refundOfId -> the payment refunded) so amountPaid stays the net cash received.
+async function ensureCreditsSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS credit_memos (
+        id          INT AUTO_INCREMENT PRIMARY KEY,
+        memoNumber  VARCHAR(30) NULL,
+        customerId  INT NOT NULL,
+        issueDate   DATE NOT NULL,
+        amount      DECIMAL(10,2) NOT NULL,
+        reason      VARCHAR(500) NOT NULL,
+        notes       TEXT NULL,
+        status      VARCHAR(20) NOT NULL DEFAULT 'Open',
+        createdBy   VARCHAR(100) NULL,
+        voidedAt    DATETIME NULL,
+        createdAt   DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt   DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_credit_memos_customer (customerId)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invoice_adjustments (
+        id              INT AUTO_INCREMENT PRIMARY KEY,
+        invoiceId       INT NOT NULL,
+        type            VARCHAR(20) NOT NULL,
+        creditMemoId    INT NULL,
+        paymentId       INT NULL,
+        amount          DECIMAL(10,2) NOT NULL,
+        reason          VARCHAR(500) NULL,
+        adjustmentDate  DATE NOT NULL,
+        createdBy       VARCHAR(100) NULL,
+        createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_invoice_adjustments_invoice (invoiceId),
+        KEY idx_invoice_adjustments_memo (creditMemoId),
+        FOREIGN KEY (invoiceId) REFERENCES invoices(id) ON DELETE CASCADE,
+        FOREIGN KEY (creditMemoId) REFERENCES credit_memos(id) ON DELETE CASCADE
+      )
+    `);
+    const addCols = [
+      { table: 'invoices',         name: 'creditAmount',          type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+      { table: 'invoices',         name: 'writeOffAmount',        type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+      { table: 'invoices',         name: 'refundedAmount',        type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+      { table: 'invoice_payments', name: 'refundOfId',            type: 'INT NULL' },
+      { table: 'invoice_payments', name: 'stripePaymentIntentId', type: 'VARCHAR(255) NULL' },
+      { table: 'invoice_payments', name: 'stripeRefundId',        type: 'VARCHAR(255) NULL' },
+    ];
+    for (const { table, name, type } of addCols) {
+      const [found] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [name]);
+      if (!found.length) {
+        await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${type}`);
+        console.log(`[Credits] Added ${table}.${name}`);
+      }
+    }
+    console.log('[Credits] credit_memos / invoice_adjustments ready');
+  } catch (e) {
+    console.warn('[Credits] Could not ensure credit/refund schema:', e.message);
+  }
+}
+ensureCreditsSchema().catch(() => {});
+
+// ─── DOCUMENT NUMBERING TABLES ──────────────────────────────────────────────
+// One counter row per numbered document (invoice, estimate, work order job #),
+// handed out under a row lock by nextDocumentNumber. Unique keys on the number
+// columns are the backstop; an existing duplicate just leaves the key off with
+// a warning until someone cleans it up.
+async function ensureDocumentNumberingSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        docType      VARCHAR(30) PRIMARY KEY,
+        prefix       VARCHAR(20) NOT NULL DEFAULT '',
+        includeYear  TINYINT(1) NOT NULL DEFAULT 0,
+        padLength    INT NOT NULL DEFAULT 0,
+        yearlyReset  TINYINT(1) NOT NULL DEFAULT 0,
+        nextValue    INT NOT NULL DEFAULT 1,
+        currentYear  INT NULL,
+        updatedAt    DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    const addCols = [
+      { table: 'estimates',   name: 'estimateNumber', type: 'VARCHAR(40) NULL' },
+      { table: 'work_orders', name: 'jobNumber',      type: 'VARCHAR(40) NULL' },
+    ];
+    for (const { table, name, type } of addCols) {
+      const [found] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [name]);
+      if (!found.length) {
+        await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${type}`);
+        console.log(`[Numbering] Added ${table}.${name}`);
+      }
+    }
+
+    // Invoices carry on from the old settings counter; estimates keep printing
+    // their id, so existing ones get it as their number and new ones continue after.
+    const [[invSeq]] = await db.query("SELECT docType FROM document_sequences WHERE docType = 'invoice'");
+    if (!invSeq) {
+      const [[legacy]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'nextInvoiceNumber'").catch(() => [[null]]);
+      await db.query("INSERT IGNORE INTO document_sequences (docType, nextValue) VALUES ('invoice', ?)", [Number(legacy?.settingValue) || 1]);
+      await db.query("DELETE FROM settings WHERE settingKey = 'nextInvoiceNumber'").catch(() => {});
+    }
+    await db.query("UPDATE estimates SET estimateNumber = CAST(id AS CHAR) WHERE estimateNumber IS NULL");
+    const [[{ maxEst }]] = await db.query('SELECT COALESCE(MAX(id), 0) AS maxEst FROM estimates');
+    await db.query("INSERT IGNORE INTO document_sequences (docType, nextValue) VALUES ('estimate', ?)", [maxEst + 1]);
+    await db.query(
+      "INSERT IGNORE INTO document_sequences (docType, prefix, includeYear, padLength, yearlyReset, nextValue) VALUES ('workOrder', 'JOB-', 1, 4, 1, 1)"
+    );
+
+    const uniques = [
+      { table: 'invoices',    index: 'uq_invoices_invoiceNumber',   col: 'invoiceNumber' },
+      { table: 'estimates',   index: 'uq_estimates_estimateNumber', col: 'estimateNumber' },
+      { table: 'work_orders', index: 'uq_work_orders_jobNumber',    col: 'jobNumber' },
+    ];
+    for (const { table, index, col } of uniques) {
+      const [[idxRow]] = await db.query(
+        `SELECT COUNT(*) AS c FROM information_schema.statistics
+          WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
+        [table, index]
+      );
+      if (idxRow.c > 0) continue;
+      try {
+        await db.query(`ALTER TABLE \`${table}\` ADD UNIQUE KEY \`${index}\` (\`${col}\`)`);
+        console.log(`[Numbering] Added unique key ${table}.${col}`);
+      } catch (alterErr) {
+        const [dupes] = await db.query(
+          `SELECT \`${col}\` AS num, COUNT(*) AS n FROM \`${table}\` WHERE \`${col}\` IS NOT NULL GROUP BY \`${col}\` HAVING n > 1 LIMIT 10`
+        );
+        console.warn(`[Numbering] No unique key on ${table}.${col} (${alterErr.message}). Duplicates: ${dupes.map((d) => `${d.num} x${d.n}`).join(', ') || 'none found'}`);
+      }
+    }
+    console.log('[Numbering] document_sequences ready');
+  } catch (e) {
+    console.warn('[Numbering] Could not ensure numbering schema:', e.message);
+  }
+}
+ensureDocumentNumberingSchema().catch(() => {});
+
+// ─── INVOICE BATCH TABLES ───────────────────────────────────────────────────
+// One invoice_batches row per "invoice these work orders" run from the Batch
+// Invoicing page, one item per work order. Items keep the outcome of each step
+// (created / pdf / sent, or failed with the error) so the summary survives a
+// reload; invoices.batchId ties the drafts back to their batch.
+async function ensureInvoiceBatchSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invoice_batches (
+        id           INT AUTO_INCREMENT PRIMARY KEY,
+        lineSource   VARCHAR(20) NOT NULL DEFAULT 'estimate',
+        templateIds  VARCHAR(500) NULL,
+        createdBy    VARCHAR(100) NULL,
+        createdAt    DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invoice_batch_items (
+        id           INT AUTO_INCREMENT PRIMARY KEY,
+        batchId      INT NOT NULL,
+        workOrderId  INT NOT NULL,
+        invoiceId    INT NULL,
+        lineSource   VARCHAR(20) NULL,
+        status       VARCHAR(20) NOT NULL,
+        error        VARCHAR(500) NULL,
+        updatedAt    DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_invoice_batch_items_batch (batchId),
+        FOREIGN KEY (batchId) REFERENCES invoice_batches(id) ON DELETE CASCADE
+      )
+    `);
+    const [found] = await db.query('SHOW COLUMNS FROM `invoices` LIKE ?', ['batchId']);
+    if (!found.length) {
+      await db.query('ALTER TABLE `invoices` ADD COLUMN `batchId` INT NULL');
+      console.log('[Batch] Added invoices.batchId');
+    }
+    console.log('[Batch] invoice_batches / invoice_batch_items ready');
+  } catch (e) {
+    console.warn('[Batch] Could not ensure invoice batch schema:', e.message);
+  }
+}
+ensureInvoiceBatchSchema().catch(() => {});
+
+// ─── CUSTOMER STATEMENTS TABLES ─────────────────────────────────────────────
+// Every statement generated (on demand from the customer page, or by the
+// monthly run) with its balances, stored PDF and who it went to.
+// monthlyPeriod ('2026-09') is set only on the monthly run's rows; its unique
+// key keeps a restart from mailing a customer the same month twice.
+// customers.billingEmail is the AP/billing contact statements go to, falling
+// back to the main email.
+const DEFAULT_STATEMENT_EMAIL_BODY = `Dear {{customerName}},
+
+Please find attached your statement of account for {{statementPeriod}}, listing the invoices, payments and credits for the period and every invoice still open.
+
+Balance Due: {{balanceDue}}
+
+If your records differ from ours, or you have any questions, please let us know.
+
+Thank you for your business.
+
+Best regards,
+First Class Glass & Mirror, Inc.
+1513 Industrial Drive, Itasca, IL 60143
+Phone: 630-250-9777`;
+
+async function ensureCustomerStatementSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customer_statements (
+        id              INT AUTO_INCREMENT PRIMARY KEY,
+        customerId      INT NOT NULL,
+        periodStart     DATE NOT NULL,
+        periodEnd       DATE NOT NULL,
+        openingBalance  DECIMAL(12,2) NOT NULL DEFAULT 0,
+        closingBalance  DECIMAL(12,2) NOT NULL DEFAULT 0,
+        pdfPath         VARCHAR(255) NULL,
+        monthlyPeriod   VARCHAR(7) NULL,
+        status          VARCHAR(20) NOT NULL DEFAULT 'generated',
+        sentTo          VARCHAR(255) NULL,
+        sentAt          DATETIME NULL,
+        error           VARCHAR(500) NULL,
+        createdBy       VARCHAR(100) NULL,
+        createdAt       DATETIME DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_customer_statements_customer (customerId),
+        UNIQUE KEY uq_customer_statements_monthly (customerId, monthlyPeriod)
+      )
+    `);
+    const [found] = await db.query('SHOW COLUMNS FROM `customers` LIKE ?', ['billingEmail']);
+    if (!found.length) {
+      await db.query('ALTER TABLE `customers` ADD COLUMN `billingEmail` VARCHAR(255) NULL AFTER `email`');
+      console.log('[Statements] Added customers.billingEmail');
+    }
+    const [[tpl]] = await db.query("SELECT id FROM email_templates WHERE type = 'statement' LIMIT 1");
+    if (!tpl) {
+      await db.query(
+        'INSERT INTO email_templates (name, type, subject, body, isDefault) VALUES (?, ?, ?, ?, 1)',
+        ['Statement - Monthly', 'statement', 'Statement of Account — {{statementPeriod}}', DEFAULT_STATEMENT_EMAIL_BODY]
+      );
+      console.log('[Statements] Seeded statement email template');
+    }
+    console.log('[Statements] customer_statements ready');
+  } catch (e) {
+    console.warn('[Statements] Could not ensure statement schema:', e.message);
+  }
+}
+ensureCustomerStatementSchema().catch(() => {});
+
+// ─── LATE FEE TABLES ────────────────────────────────────────────────────────
+// One late_fees row per escalation boundary an invoice crosses (level 1 at the
+// due date, 2 at +30 days, ...). The daily run proposes them as 'Pending';
+// approving one bills it as its own finance-charge invoice
+// (invoices.financeChargeForInvoiceId -> the late invoice), waiving one keeps
+// the row with its reason. The unique key stops a boundary being proposed twice.
+async function ensureLateFeeSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS late_fees (
+        id            INT AUTO_INCREMENT PRIMARY KEY,
+        invoiceId     INT NOT NULL,
+        customerId    INT NOT NULL,
+        level         INT NOT NULL,
+        stage         VARCHAR(30) NOT NULL,
+        daysOverdue   INT NOT NULL,
+        basisAmount   DECIMAL(10,2) NOT NULL,
+        amount        DECIMAL(10,2) NOT NULL,
+        status        VARCHAR(20) NOT NULL DEFAULT 'Pending',
+        feeInvoiceId  INT NULL,
+        assessedBy    VARCHAR(100) NULL,
+        assessedAt    DATETIME NULL,
+        waivedBy      VARCHAR(100) NULL,
+        waivedAt      DATETIME NULL,
+        waiveReason   VARCHAR(500) NULL,
+        createdAt     DATETIME DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_late_fees_customer (customerId),
+        UNIQUE KEY uq_late_fees_level (invoiceId, level),
+        FOREIGN KEY (invoiceId) REFERENCES invoices(id) ON DELETE CASCADE
+      )
+    `);
+    const [found] = await db.query('SHOW COLUMNS FROM `invoices` LIKE ?', ['financeChargeForInvoiceId']);
+    if (!found.length) {
+      await db.query('ALTER TABLE `invoices` ADD COLUMN `financeChargeForInvoiceId` INT NULL');
+      console.log('[LateFees] Added invoices.financeChargeForInvoiceId');
+    }
+    console.log('[LateFees] late_fees ready');
+  } catch (e) {
+    console.warn('[LateFees] Could not ensure late fee schema:', e.message);
+  }
+}
+ensureLateFeeSchema().catch(() => {});
+
+// ─── COLLECTION POLICY TABLES ───────────────────────────────────────────────
+// Payment terms and late-fee rules. One policy is the company default; a
+// customer can be put on another (customers.collectionPolicyId). feePct 0 means
+// no late fees ever — the national-accounts policy seeded with the table is
+// given to True Source and CLM, whose contracts don't allow them.
+async function ensureCollectionPolicySchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS collection_policies (
+        id                   INT AUTO_INCREMENT PRIMARY KEY,
+        name                 VARCHAR(100) NOT NULL,
+        netDays              INT NOT NULL DEFAULT 45,
+        feePct               DECIMAL(5,2) NOT NULL DEFAULT 0,
+        compounding          TINYINT(1) NOT NULL DEFAULT 1,
+        escalationDays       INT NOT NULL DEFAULT 30,
+        reminderCadenceDays  INT NOT NULL DEFAULT 30,
+        termsText            VARCHAR(500) NULL,
+        isDefault            TINYINT(1) NOT NULL DEFAULT 0,
+        isActive             TINYINT(1) NOT NULL DEFAULT 1,
+        createdAt            DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt            DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    const [found] = await db.query('SHOW COLUMNS FROM `customers` LIKE ?', ['collectionPolicyId']);
+    if (!found.length) {
+      await db.query('ALTER TABLE `customers` ADD COLUMN `collectionPolicyId` INT NULL');
+      console.log('[Policies] Added customers.collectionPolicyId');
+    }
+    const [[any]] = await db.query('SELECT id FROM collection_policies LIMIT 1');
+    if (!any) {
+      await db.query(
+        `INSERT INTO collection_policies (name, netDays, feePct, compounding, escalationDays, reminderCadenceDays, isDefault)
+         VALUES ('Standard — Net 45, 15% late fee', 45, 15, 1, 30, 30, 1)`
+      );
+      const [national] = await db.query(
+        `INSERT INTO collection_policies (name, netDays, feePct, compounding, escalationDays, reminderCadenceDays, isDefault)
+         VALUES ('National Account — no late fees', 45, 0, 0, 30, 30, 0)`
+      );
+      console.log('[Policies] Seeded standard and national-account policies');
+      // True Source and CLM are on national-account terms. Only exact name
+      // matches are assigned, and each one is logged so a miss is visible.
+      const [matched] = await db.query(
+        `SELECT id, COALESCE(companyName, name) AS label FROM customers
+          WHERE collectionPolicyId IS NULL AND (name IN ('True Source', 'CLM') OR companyName IN ('True Source', 'CLM Midwest'))`
+      );
+      if (matched.length) {
+        await db.query(
+          `UPDATE customers SET collectionPolicyId = ? WHERE id IN (${matched.map(() => '?').join(',')})`,
+          [national.insertId, ...matched.map((c) => c.id)]
+        );
+      }
+      for (const c of matched) console.log(`[Policies] ${c.label} (#${c.id}) → National Account`);
+      if (!matched.length) console.warn('[Policies] No True Source / CLM customer found — assign National Account to them by hand');
+    }
+    console.log('[Policies] collection_policies ready');
+  } catch (e) {
+    console.warn('[Policies] Could not ensure collection policy schema:', e.message);
+  }
+}
+ensureCollectionPolicySchema().catch(() => {});
+
+// ─── DUNNING TABLES ─────────────────────────────────────────────────────────
+// reminder_queue holds the reminder drafted when an invoice enters a new
+// reminderStage — one per invoice and stage — until someone approves (sends)
+// or dismisses it. Customers opted into autoReminders skip the queue;
+// customers.remindersPaused ("in dispute") and addresses on
+// reminder_suppressions stop reminders altogether, automatic or manual.
+async function ensureDunningSchema() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_queue (
+        id           INT AUTO_INCREMENT PRIMARY KEY,
+        invoiceId    INT NOT NULL,
+        customerId   INT NULL,
+        stage        VARCHAR(30) NOT NULL,
+        daysOverdue  INT NOT NULL DEFAULT 0,
+        emailTo      VARCHAR(255) NULL,
+        emailSubject VARCHAR(255) NOT NULL,
+        emailBody    TEXT NOT NULL,
+        status       VARCHAR(20) NOT NULL DEFAULT 'Queued',
+        claimedAt    DATETIME NULL,
+        error        VARCHAR(500) NULL,
+        decidedBy    VARCHAR(100) NULL,
+        decidedAt    DATETIME NULL,
+        createdAt    DATETIME DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_reminder_queue_status (status),
+        UNIQUE KEY uq_reminder_queue_stage (invoiceId, stage),
+        FOREIGN KEY (invoiceId) REFERENCES invoices(id) ON DELETE CASCADE
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reminder_suppressions (
+        id        INT AUTO_INCREMENT PRIMARY KEY,
+        email     VARCHAR(255) NOT NULL,
+        reason    VARCHAR(255) NULL,
+        createdBy VARCHAR(100) NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_reminder_suppressions_email (email)
+      )
+    `);
+    if (!(await columnExists('reminder_queue', 'claimedAt'))) {
+      await db.query('ALTER TABLE reminder_queue ADD COLUMN claimedAt DATETIME NULL AFTER status');
+    }
+    console.log('[Dunning] reminder_queue and reminder_suppressions ready');
+  } catch (e) {
+    console.warn('[Dunning] Could not ensure dunning schema:', e.message);
+  }
+}
+ensureDunningSchema().catch(() => {});
+
+// ─── PERFORMANCE INDEXES (idempotent, non-destructive: ADD INDEX only) ───────
+// MySQL 8 has no CREATE INDEX IF NOT EXISTS, so we check information_schema first.
+// Each single-column secondary index on InnoDB builds ALGORITHM=INPLACE (online).
+async function ensureIndexes() {
+  const wanted = [
+    { table: 'invoices',       index: 'idx_invoices_workOrderId',   col: 'workOrderId' },
+    { table: 'invoices',       index: 'idx_invoices_status',        col: 'status' },
+    { table: 'invoices',       index: 'idx_invoices_createdAt',     col: 'createdAt' },
+    { table: 'invoices',       index: 'idx_invoices_customerId',    col: 'customerId' },
+    { table: 'invoices',       index: 'idx_invoices_invoiceSentAt', col: 'invoiceSentAt' },
+    { table: 'invoices',       index: 'idx_invoices_dueDate',       col: 'dueDate' },
+    { table: 'work_order_pos', index: 'idx_wop_workOrderId',        col: 'workOrderId' },
+    { table: 'work_orders',    index: 'idx_work_orders_customerId', col: 'customerId' },
+  ];
+  console.log('[ensureIndexes] starting index check…');
+  for (const { table, index, col } of wanted) {
+    try {
+      const [[colRow]] = await db.query(
+        `SELECT COUNT(*) AS c FROM information_schema.columns
+          WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+        [table, col]
+      );
+      if (!colRow || colRow.c === 0) {
+        console.log(`[ensureIndexes] SKIPPED(no column) ${table}.${col} (${index})`);
+        continue;
+      }
+      const [[idxRow]] = await db.query(
+        `SELECT COUNT(*) AS c FROM information_schema.statistics
+          WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
+        [table, index]
+      );
+      if (idxRow && idxRow.c > 0) {
+        console.log(`[ensureIndexes] SKIPPED(exists) ${index} on ${table}`);
+        continue;
+      }
+      try {
+        await db.query(`ALTER TABLE \`${table}\` ADD INDEX \`${index}\` (\`${col}\`)`);
+        console.log(`[ensureIndexes] CREATED ${index} on ${table}(${col})`);
+      } catch (alterErr) {
+        if (alterErr && alterErr.errno === 1061) {
+          console.log(`[ensureIndexes] SKIPPED(exists/1061) ${index} on ${table}`);
+        } else {
+          console.error(`[ensureIndexes] ERROR ${index} on ${table}: ${alterErr.message}`);
+        }
+      }
+    } catch (e) {
+      console.error(`[ensureIndexes] ERROR checking ${index} on ${table}: ${e.message}`);
+    }
+  }
+  console.log('[ensureIndexes] done.');
+}
+ensureIndexes().catch((e) => console.error('[ensureIndexes] fatal:', e.message));
+
+// ─── LINE ITEM TEMPLATES TABLE ──────────────────────────────────────────────
+async function ensureLineItemTemplateTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS line_item_templates (
+        id              INT AUTO_INCREMENT PRIMARY KEY,
+        description     VARCHAR(500) NOT NULL,
+        defaultQuantity DECIMAL(10,2) DEFAULT 1,
+        defaultAmount   DECIMAL(10,2) NULL,
+        category        VARCHAR(100) NULL,
+        sortOrder       INT DEFAULT 0,
+        isActive        TINYINT(1) DEFAULT 1,
+        created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('[Templates] line_item_templates table ready');
+
+    for (const [name, type] of [['defaultUnitCost', 'DECIMAL(10,2) NULL'], ['defaultMarkupPct', 'DECIMAL(6,2) NULL']]) {
+      const [found] = await db.query('SHOW COLUMNS FROM line_item_templates LIKE ?', [name]);
+      if (!found.length) {
+        await db.query(`ALTER TABLE line_item_templates ADD COLUMN ${name} ${type} AFTER defaultAmount`);
+        console.log(`[Templates] Added ${name} column`);
+      }
+    }
+    const [taxableCol] = await db.query("SHOW COLUMNS FROM line_item_templates LIKE 'taxable'");
+    if (!taxableCol.length) {
+      await db.query('ALTER TABLE line_item_templates ADD COLUMN taxable TINYINT(1) NOT NULL DEFAULT 1 AFTER defaultMarkupPct');
+      // Illinois doesn't tax labor — start the existing labor templates off non-taxable.
+      await db.query("UPDATE line_item_templates SET taxable = 0 WHERE category = 'Labor'");
+      console.log('[Templates] Added taxable column');
+    }
+
+    const [[{ cnt }]] = await db.query('SELECT COUNT(*) AS cnt FROM line_item_templates');
+    if (cnt === 0) {
+      const seeds = [
+        ['INITIAL SERVICE CALL', 1, 150.00, 'Service Calls', 1],
+        ['EMERGENCY SERVICE CALL', 1, 250.00, 'Service Calls', 2],
+        ['RETURN TRIP', 1, 75.00, 'Service Calls', 3],
+        ['LABOR', null, null, 'Labor', 4],
+      ];
+      for (const [desc, qty, amt, cat, ord] of seeds) {
+        await db.query(
+          'INSERT INTO line_item_templates (description, defaultQuantity, defaultAmount, category, sortOrder) VALUES (?,?,?,?,?)',
+          [desc, qty, amt, cat, ord]
+        );
+      }
+      console.log('[Templates] Seeded 4 default templates');
+    }
+  } catch (e) {
+    console.warn('[Templates] Could not create line_item_templates:', e.message);
+  }
+}
+ensureLineItemTemplateTable().catch(() => {});
+
+// ─── PDF TEMPLATES TABLE ────────────────────────────────────────────────────
+const DEFAULT_TEMPLATE_CONFIG = {
   pageSize: 'LETTER',
   margins: { top: 40, bottom: 40, left: 50, right: 50 },
   companyInfo: {
@@ -1837,6 +2808,27 @@ ensurePdfTemplateTable().catch(() => {});
 })();
 
 // ─── EMAIL TABLES ───────────────────────────────────────────────────────────
+// The overdue reminder template used to quote a flat 15%; the rate is per
+// customer now, so the template uses the {{lateFeeTerms}} field instead.
+const FLAT_LATE_FEE_SENTENCE = 'Per our payment terms, a 15% late fee may be applied to overdue balances.';
+
+const OVERDUE_REMINDER_BODY = `Dear {{customerName}},
+
+Our records indicate that Invoice #{{invoiceNumber}} is past due.
+
+Invoice Date: {{issueDate}}
+Due Date: {{dueDate}}
+Days Overdue: {{daysOverdue}}
+Amount Due: {{balanceDue}}
+
+{{lateFeeTerms}}
+
+Please arrange payment as soon as possible. If you have any questions or need to discuss payment arrangements, please contact us immediately.
+
+Thank you,
+First Class Glass & Mirror, Inc.
+Phone: 630-250-9777`;
+
 async function ensureEmailTables() {
   try {
     await db.query(`
@@ -1967,25 +2959,10 @@ Phone: 630-250-9777`,
           name: 'Payment Reminder - Overdue',
           type: 'payment_reminder',
           subject: 'OVERDUE: Invoice #{{invoiceNumber}} - Payment Required',
-          body: `Dear {{customerName}},
-
-Our records indicate that Invoice #{{invoiceNumber}} is past due.
-
-Invoice Date: {{issueDate}}
-Due Date: {{dueDate}}
-Days Overdue: {{daysOverdue}}
-Amount Due: {{balanceDue}}
-
-Per our payment terms, a 15% late fee may be applied to overdue balances.
-
-Please arrange payment as soon as possible. If you have any questions or need to discuss payment arrangements, please contact us immediately.
-
-Thank you,
-First Class Glass & Mirror, Inc.
-Phone: 630-250-9777`,
-          isDefault: 0
-        }
-      ];
+          body: OVERDUE_REMINDER_BODY,
+          isDefault: 0
+        }
+      ];
 
       for (const s of seeds) {
         await db.query(
@@ -1995,6 +2972,16 @@ Phone: 630-250-9777`,
       }
       console.log('[Email] Seeded 4 default email templates');
     }
+    // Only a stock copy nobody has edited is rewritten; edited templates are
+    // reported so someone can put {{lateFeeTerms}} in them by hand.
+    await db.query(
+      'UPDATE email_templates SET body = ? WHERE body = ?',
+      [OVERDUE_REMINDER_BODY, OVERDUE_REMINDER_BODY.replace('{{lateFeeTerms}}', FLAT_LATE_FEE_SENTENCE)]
+    );
+    const [flat] = await db.query('SELECT name FROM email_templates WHERE INSTR(body, ?) > 0', [FLAT_LATE_FEE_SENTENCE]);
+    for (const t of flat) {
+      console.warn(`[Email] Template "${t.name}" still quotes a flat 15% late fee — replace it with {{lateFeeTerms}}`);
+    }
   } catch (e) {
     console.warn('[Email] Could not create email tables:', e.message);
   }
@@ -2060,6 +3047,17 @@ async function ensurePublicTokenTables() {
       } catch (e) { /* column may already exist */ }
     }
 
+    // Options the customer picked when responding to an estimate (line ids)
+    try {
+      const [selCol] = await db.query("SHOW COLUMNS FROM public_tokens LIKE 'selection'");
+      if (!selCol.length) {
+        await db.query('ALTER TABLE public_tokens ADD COLUMN selection JSON NULL AFTER responseNotes');
+        console.log('[Public Tokens] Added selection column');
+      }
+    } catch (e) {
+      console.warn('[Public Tokens] Could not ensure selection column:', e.message);
+    }
+
     // Add publicToken/tokenExpiresAt to estimates
     const estCols = [
       { name: 'publicToken', def: 'VARCHAR(64) NULL' },
@@ -2172,7 +3170,12 @@ function mergeEmailFields(template, data) {
     companyPhone: '630-250-9777',
     estimateLink: data.estimateLink || '',
     paymentLink: data.paymentLink || '',
+    statementPeriod: data.statementPeriod || '',
+    lateFeeTerms: data.lateFeeTerms || '',
   };
+  // A policy with no late fee merges {{lateFeeTerms}} to nothing; drop its line
+  // (and the blank line after it) rather than leave a gap in the email.
+  if (!fields.lateFeeTerms) result = result.replace(/^[ \t]*\{\{lateFeeTerms\}\}[ \t]*\r?\n(?:[ \t]*\r?\n)?/gm, '');
   for (const [key, value] of Object.entries(fields)) {
     result = result.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value);
   }
@@ -2207,14 +3210,24 @@ async function autoMoveNewToNeedsScheduled() {
     const createdCol = SCHEMA.createdAtCol || 'createdAt';
     if (!SCHEMA.createdAtCol) return;
 
-    const sql = `
-      UPDATE work_orders
-         SET status = 'Needs to be Scheduled'
+    // Select first so each moved WO gets its own history row.
+    const [due] = await db.execute(`
+      SELECT id
+        FROM work_orders
        WHERE status = 'New'
          AND scheduledDate IS NULL
          AND \`${createdCol}\` <= DATE_SUB(NOW(), INTERVAL ? HOUR)
-    `;
-    await db.execute(sql, [hours]);
+    `, [hours]);
+    for (const { id } of due) {
+      // Re-check status in the WHERE so a concurrent manual move wins.
+      const [r] = await db.execute(
+        "UPDATE work_orders SET status = 'Needs to be Scheduled' WHERE id = ? AND status = 'New'",
+        [id]
+      );
+      if (r.affectedRows) {
+        await applyStatusTransition(id, 'New', 'Needs to be Scheduled', 'System', 'auto-new-to-needs-scheduled');
+      }
+    }
   } catch {}
 }
 
@@ -2315,11 +3328,6 @@ const extractUploader = multer({
   }
 });
 
-if (!S3_BUCKET) {
-  const localDir = path.resolve(__dirname, 'uploads');
-  app.use('/uploads', express.static(localDir));
-}
-
 // ─── FIELDNAME NORMALIZATION (STRICT) ───────────────────────────────────────
 const norm = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
 
@@ -2390,12 +3398,211 @@ function enforceImageCountOr413(res, images) {
 // server.js — FULL FILE (Part 4/6)
 // ===============================
 
+// ─── ROLES & PERMISSIONS ─────────────────────────────────────────────────────
+// One matrix for the whole API. Routes ask for a permission, never a role, so
+// moving a capability between roles is a one-line change here. `accountant` is
+// deliberately read-only: it can see money, never change it.
+const ROLES = ['admin', 'dispatcher', 'office', 'tech', 'accountant'];
+const PERMISSIONS = {
+  'workOrders.edit':    ['admin', 'dispatcher', 'office', 'tech'],
+  'workOrders.delete':  ['admin', 'dispatcher'],
+  'ingest.review':      ['admin', 'dispatcher', 'office'],
+  'customers.edit':     ['admin', 'dispatcher', 'office'],
+  'customers.delete':   ['admin', 'dispatcher'],
+  'customers.merge':    ['admin', 'dispatcher'],
+  'estimates.view':     ['admin', 'dispatcher', 'office', 'tech', 'accountant'],
+  'estimates.edit':     ['admin', 'dispatcher', 'office'],
+  'estimates.delete':   ['admin', 'dispatcher'],
+  'invoices.view':      ['admin', 'dispatcher', 'office', 'accountant'],
+  'invoices.edit':      ['admin', 'dispatcher', 'office'],
+  'invoices.delete':    ['admin'],
+  'invoices.adjust':    ['admin', 'office'],
+  'expenses.view':      ['admin', 'office', 'accountant'],
+  'expenses.edit':      ['admin', 'office'],
+  'reports.view':       ['admin', 'dispatcher', 'office', 'accountant'],
+  'templates.edit':     ['admin', 'dispatcher', 'office'],
+  'settings.edit':      ['admin'],
+  'emailSettings.manage': ['admin'],
+  'workflow.edit':      ['admin', 'dispatcher'],
+  'users.manage':       ['admin'],
+  'tools.debug':        ['admin', 'dispatcher'],
+  'timesheets.approve': ['admin', 'dispatcher', 'office'],
+};
+
+function hasPermission(role, perm) {
+  return (PERMISSIONS[perm] || []).includes(role);
+}
+
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((p) => hasPermission(role, p));
+}
+
+// Role and active flag per user id, read from the users table on each request so
+// a role change or deactivation takes effect on every server instance within
+// AUTH_CACHE_TTL_MS instead of when the 8h token expires. Writes to users on this
+// instance drop their entry straight away (forgetUserAccess).
+const AUTH_CACHE_TTL_MS = 15 * 1000;
+const USER_ACCESS_CACHE = new Map(); // id → { access, at }
+
+// { role, isActive } for a user id, or null when the user no longer exists.
+async function getUserAccess(userId) {
+  const id = Number(userId);
+  const hit = USER_ACCESS_CACHE.get(id);
+  if (hit && Date.now() - hit.at < AUTH_CACHE_TTL_MS) return hit.access;
+  const [[row]] = await db.query('SELECT role, isActive FROM users WHERE id = ?', [id]);
+  const access = row ? { role: row.role, isActive: row.isActive !== 0 } : null;
+  USER_ACCESS_CACHE.set(id, { access, at: Date.now() });
+  return access;
+}
+
+const forgetUserAccess = (userId) => USER_ACCESS_CACHE.delete(Number(userId));
+
+async function ensureUserCols() {
+  try {
+    const cols = [
+      { name: 'email', def: 'VARCHAR(255) NULL' },
+      { name: 'isActive', def: 'TINYINT(1) NOT NULL DEFAULT 1' },
+      { name: 'mustChangePassword', def: 'TINYINT(1) NOT NULL DEFAULT 0' },
+      { name: 'lastLoginAt', def: 'DATETIME NULL' },
+      { name: 'createdAt', def: 'DATETIME NULL DEFAULT CURRENT_TIMESTAMP' },
+      // Loaded hourly cost (wage + burden) — prices tracked time for job costing and payroll export
+      { name: 'laborRate', def: 'DECIMAL(8,2) NULL' },
+    ];
+    for (const c of cols) {
+      if (!(await columnExists('users', c.name))) {
+        await db.query(`ALTER TABLE users ADD COLUMN \`${c.name}\` ${c.def}`);
+      }
+    }
+    // `mark` used to be promoted to admin on every request by a hard-coded
+    // override in authenticate. Make that real in the data, but only while
+    // nobody else is admin, so the role can still be changed afterwards.
+    const [[adminRow]] = await db.query("SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND isActive = 1");
+    if (!Number(adminRow?.n)) {
+      await db.query("UPDATE users SET role = 'admin' WHERE LOWER(username) = 'mark'");
+    }
+    const [unknown] = await db.query(
+      `SELECT username, role FROM users WHERE role NOT IN (${ROLES.map(() => '?').join(',')})`, ROLES
+    );
+    for (const u of unknown) console.warn(`[Users] ${u.username} has unknown role "${u.role}" — no permissions granted`);
+    console.log('[Users] Schema ready');
+  } catch (e) {
+    console.warn('[Users] Could not ensure user columns:', e.message);
+  }
+}
+
+ensureUserCols().catch(() => {});
+
+function signUserToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, perms: permissionsForRole(user.role), sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// ─── SESSIONS (refresh tokens) ──────────────────────────────────────────────
+// One row per signed-in device. Only a SHA-256 of the refresh token is stored;
+// the token itself is rotated on every refresh. Revoking a row stops refreshes
+// immediately and, through isSessionRevoked in authenticate, rejects that
+// session's not-yet-expired access tokens too.
+async function ensureSessionsTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId INT NOT NULL,
+        refreshTokenHash CHAR(64) NOT NULL,
+        userAgent VARCHAR(255) NULL,
+        ip VARCHAR(64) NULL,
+        createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expiresAt DATETIME NOT NULL,
+        revokedAt DATETIME NULL,
+        revokedBy VARCHAR(100) NULL,
+        UNIQUE KEY uq_session_token (refreshTokenHash),
+        INDEX idx_session_user (userId, revokedAt)
+      )
+    `);
+    console.log('[Sessions] user_sessions table ready');
+  } catch (e) {
+    console.warn('[Sessions] Could not create user_sessions:', e.message);
+  }
+}
+
+ensureSessionsTable().catch(() => {});
+
+// Session id → revoked flag, read from user_sessions.revokedAt and cached for
+// AUTH_CACHE_TTL_MS, so a revocation on any server instance reaches this one.
+const SESSION_REVOKED_CACHE = new Map(); // sid → { revoked, at }
+
+async function isSessionRevoked(sessionId) {
+  const id = Number(sessionId);
+  const hit = SESSION_REVOKED_CACHE.get(id);
+  if (hit && Date.now() - hit.at < AUTH_CACHE_TTL_MS) return hit.revoked;
+  const [[row]] = await db.query('SELECT revokedAt FROM user_sessions WHERE id = ?', [id]);
+  const revoked = !row || row.revokedAt != null;
+  // Entries only matter for a TTL; drop the lot rather than let it grow unbounded
+  if (SESSION_REVOKED_CACHE.size > 10000) SESSION_REVOKED_CACHE.clear();
+  SESSION_REVOKED_CACHE.set(id, { revoked, at: Date.now() });
+  return revoked;
+}
+
+const clientIp = (req) => String(req.headers['x-forwarded-for'] || req.ip || '').split(',')[0].trim().slice(0, 64) || null;
+
+const hashRefreshToken = (t) => crypto.createHash('sha256').update(String(t)).digest('hex');
+
+async function createSession(req, userId) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const [r] = await db.query(
+    `INSERT INTO user_sessions (userId, refreshTokenHash, userAgent, ip, expiresAt)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, hashRefreshToken(refreshToken), String(req.get('user-agent') || '').slice(0, 255) || null,
+      clientIp(req),
+      REFRESH_TOKEN_DAYS]
+  );
+  return { sessionId: r.insertId, refreshToken };
+}
+
+// Revoke by WHERE clause; returns the number of sessions revoked.
+async function revokeSessions(whereSql, params, revokedBy) {
+  const [rows] = await db.query(`SELECT id FROM user_sessions WHERE revokedAt IS NULL AND ${whereSql}`, params);
+  if (!rows.length) return 0;
+  const ids = rows.map((r) => Number(r.id));
+  await db.query(
+    `UPDATE user_sessions SET revokedAt = NOW(), revokedBy = ? WHERE id IN (${ids.map(() => '?').join(',')})`,
+    [revokedBy || null, ...ids]
+  );
+  for (const id of ids) SESSION_REVOKED_CACHE.set(id, { revoked: true, at: Date.now() });
+  return ids.length;
+}
+
+const SESSION_COLS = 'id, userAgent, ip, createdAt, lastUsedAt, expiresAt';
+
+function generateTempPassword() {
+  return crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '').slice(0, 12);
+}
+
 // ─── AUTH ────────────────────────────────────────────────────────────────────
-app.post('/auth/register', async (req, res) => {
-  const { username, password, role } = coerceBody(req);
+// POST /auth/register — admin-only account creation. The one exception is an
+// empty users table: the very first account may register itself, as admin.
+app.post('/auth/register', async (req, res, next) => {
+  try {
+    const [[row]] = await db.query('SELECT COUNT(*) AS n FROM users');
+    if (Number(row?.n) === 0) { req.bootstrapAdmin = true; return next(); }
+  } catch (err) {
+    console.error('Register bootstrap check error:', err);
+    return res.status(500).json({ error: 'Failed to register user.' });
+  }
+  authenticate(req, res, () => requirePermission('users.manage')(req, res, next));
+}, async (req, res) => {
+  const { username, password } = coerceBody(req);
+  const role = req.bootstrapAdmin ? 'admin' : coerceBody(req).role;
   if (!username || !password || !role) {
     return res.status(400).json({ error: 'username, password & role required' });
   }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
   try {
     const hash = await bcrypt.hash(password, 10);
     await db.execute(
@@ -2404,6 +3611,7 @@ app.post('/auth/register', async (req, res) => {
     );
     res.sendStatus(201);
   } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Username already exists.' });
     console.error('Register error:', err);
     res.status(500).json({ error: 'Failed to register user.' });
   }
@@ -2418,43 +3626,177 @@ app.post('/auth/login', async (req, res) => {
     if (!user || !(await bcrypt.compare(password, user.password_hash))) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    );
-    res.json({ token });
+    if (user.isActive === 0) {
+      return res.status(403).json({ error: 'This account has been deactivated.' });
+    }
+    db.execute('UPDATE users SET lastLoginAt = NOW() WHERE id = ?', [user.id]).catch(() => {});
+    const { sessionId, refreshToken } = await createSession(req, user.id);
+    res.json({
+      token: signUserToken(user, sessionId),
+      refreshToken,
+      mustChangePassword: user.mustChangePassword === 1,
+    });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Login failed.' });
   }
 });
 
-function authenticate(req, res, next) {
+// Bearer token → { user } for a live session, or { error } saying why not.
+async function verifySessionToken(req) {
   const token = (req.headers.authorization || '').split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Missing token' });
+  if (!token) return { error: 'Missing token' };
+  let user;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    // keep your convenience override
-    if (req.user && req.user.username && req.user.username.toLowerCase() === 'mark') {
-      req.user.role = 'admin';
-    }
-    next();
+    user = jwt.verify(token, JWT_SECRET);
   } catch {
-    return res.status(401).json({ error: 'Invalid token' });
+    return { error: 'Invalid token' };
+  }
+  if (user.sid && await isSessionRevoked(user.sid)) return { error: 'Session revoked' };
+  const access = await getUserAccess(user.id);
+  if (!access) return { error: 'Account not found' };
+  if (!access.isActive) return { error: 'Account deactivated' };
+  user.role = access.role;
+  return { user };
+}
+
+async function authenticate(req, res, next) {
+  let session;
+  try {
+    session = await verifySessionToken(req);
+  } catch (err) {
+    console.error('Authenticate error:', err);
+    return res.status(500).json({ error: 'Failed to authenticate.' });
   }
+  if (session.error) return res.status(401).json({ error: session.error });
+  req.user = session.user;
+  next();
 }
 
-function authorize(...roles) {
+// Route guard against the PERMISSIONS matrix. Goes after authenticate.
+function requirePermission(perm) {
+  if (!PERMISSIONS[perm]) throw new Error(`Unknown permission: ${perm}`);
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
+    if (!req.user || !hasPermission(req.user.role, perm)) {
+      return res.status(403).json({ error: 'Forbidden', permission: perm });
     }
     next();
   };
 }
 
-app.get('/auth/me', authenticate, (req, res) => res.json(req.user));
+// GET /auth/me — current user with the permissions of their live role
+app.get('/auth/me', authenticate, (req, res) => {
+  res.json({ ...req.user, perms: permissionsForRole(req.user.role) });
+});
+
+// POST /auth/change-password — self-service; clears the must-change flag
+app.post('/auth/change-password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = coerceBody(req);
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'currentPassword & newPassword required' });
+  }
+  if (String(newPassword).length < 8) {
+    return res.status(400).json({ error: 'New password must be at least 8 characters.' });
+  }
+  try {
+    const [[user]] = await db.execute('SELECT id, password_hash FROM users WHERE id = ?', [req.user.id]);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+      return res.status(400).json({ error: 'Current password is incorrect.' });
+    }
+    const hash = await bcrypt.hash(newPassword, 10);
+    await db.execute('UPDATE users SET password_hash = ?, mustChangePassword = 0 WHERE id = ?', [hash, user.id]);
+    // Whoever knew the old password is signed out everywhere but here.
+    await revokeSessions('userId = ? AND id <> ?', [user.id, Number(req.user.sid) || 0], req.user.username);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Failed to change password.' });
+  }
+});
+
+// POST /auth/refresh — trade a refresh token for a new access token. The refresh
+// token is rotated: the old one stops working as soon as this returns.
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = coerceBody(req);
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+  try {
+    const [[session]] = await db.query(
+      `SELECT s.id, s.userId, s.revokedAt, s.expiresAt < NOW() AS expired, u.username, u.role, u.isActive
+         FROM user_sessions s JOIN users u ON u.id = s.userId
+        WHERE s.refreshTokenHash = ?`,
+      [hashRefreshToken(refreshToken)]
+    );
+    if (!session || session.revokedAt || Number(session.expired) || session.isActive === 0) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    const next = crypto.randomBytes(48).toString('hex');
+    // Rotate only if the token is still the current one: of two refreshes racing
+    // with the same token, the second finds it already replaced and is refused.
+    const [rotated] = await db.query(
+      `UPDATE user_sessions
+          SET refreshTokenHash = ?, lastUsedAt = NOW(), expiresAt = DATE_ADD(NOW(), INTERVAL ? DAY)
+        WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL`,
+      [hashRefreshToken(next), REFRESH_TOKEN_DAYS, session.id, hashRefreshToken(refreshToken)]
+    );
+    if (!rotated.affectedRows) return res.status(401).json({ error: 'Session expired' });
+    const user = { id: session.userId, username: session.username, role: session.role };
+    res.json({ token: signUserToken(user, session.id), refreshToken: next });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh session.' });
+  }
+});
+
+// POST /auth/logout — end this device's session
+app.post('/auth/logout', authenticate, async (req, res) => {
+  try {
+    if (req.user.sid) await revokeSessions('id = ?', [Number(req.user.sid)], req.user.username);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+// POST /auth/logout-all — end every session for the current user, this one included
+app.post('/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeSessions('userId = ?', [Number(req.user.id)], req.user.username);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ error: 'Failed to log out everywhere.' });
+  }
+});
+
+// GET /auth/sessions — the current user's signed-in devices
+app.get('/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT ${SESSION_COLS} FROM user_sessions
+        WHERE userId = ? AND revokedAt IS NULL AND expiresAt > NOW()
+        ORDER BY lastUsedAt DESC`,
+      [Number(req.user.id)]
+    );
+    res.json(rows.map((r) => ({ ...r, current: Number(r.id) === Number(req.user.sid) })));
+  } catch (err) {
+    console.error('Sessions list error:', err);
+    res.status(500).json({ error: 'Failed to fetch sessions.' });
+  }
+});
+
+// DELETE /auth/sessions/:id — sign out one of your own devices
+app.delete('/auth/sessions/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+  try {
+    const revoked = await revokeSessions('id = ? AND userId = ?', [Number(req.params.id), Number(req.user.id)], req.user.username);
+    if (!revoked) return res.status(404).json({ error: 'Session not found.' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to revoke session.' });
+  }
+});
 
 // ─── BASIC ───────────────────────────────────────────────────────────────────
 app.get('/', (_, res) => res.send('API running'));
@@ -2462,7 +3804,7 @@ app.get('/ping', (_, res) => res.send('pong'));
 app.get('/health', (_, res) => res.status(200).json({ ok: true }));
 
 // ─── TEST PDF EXTRACTION WITH OCR (debug endpoint) ─────────────────────────
-app.get('/test-pdf-extract', authenticate, async (req, res) => {
+app.get('/test-pdf-extract', authenticate, requirePermission('tools.debug'), async (req, res) => {
   try {
     const testKey = req.query.key; // e.g., ?key=uploads/PO_123.pdf
     if (!testKey) {
@@ -2535,22 +3877,23 @@ app.get('/users', authenticate, async (req, res) => {
         .map(s => s.trim())
         .filter(Boolean);
 
-      let sql = 'SELECT id, username, role FROM users WHERE role = ?';
+      let sql = 'SELECT id, username, role FROM users WHERE isActive = 1 AND (role = ?';
       const params = ['tech'];
 
       if (extras.length) {
         sql += ` OR username IN (${extras.map(() => '?').join(',')})`;
         params.push(...extras);
       }
+      sql += ')';
 
       const [rows] = await db.execute(sql, params);
       return res.json(rows);
     }
 
-    let sql = 'SELECT id, username, role FROM users';
+    let sql = 'SELECT id, username, role FROM users WHERE isActive = 1';
     const params = [];
     if (role) {
-      sql += ' WHERE role = ?';
+      sql += ' AND role = ?';
       params.push(role);
     }
 
@@ -2562,6 +3905,200 @@ app.get('/users', authenticate, async (req, res) => {
   }
 });
 
+// ─── USER MANAGEMENT (admin) ─────────────────────────────────────────────────
+const USER_ACCOUNT_COLS = 'id, username, role, email, laborRate, isActive, mustChangePassword, lastLoginAt, createdAt';
+
+// Refuse changes that would leave nobody able to manage users.
+async function wouldRemoveLastAdmin(userId, { role, isActive }) {
+  const [[target]] = await db.query('SELECT role, isActive FROM users WHERE id = ?', [userId]);
+  if (!target || target.role !== 'admin' || target.isActive === 0) return false;
+  const stillAdmin = (role ?? target.role) === 'admin' && (isActive ?? 1) !== 0;
+  if (stillAdmin) return false;
+  const [[row]] = await db.query(
+    "SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND isActive = 1 AND id <> ?", [userId]
+  );
+  return !Number(row?.n);
+}
+
+// Email login details for an invite / reset. Returns true if sent; a missing
+// SMTP setup is not an error — the admin still gets the temp password on screen.
+async function emailAccountCredentials(req, email, username, tempPassword, isReset) {
+  if (!email) return false;
+  try {
+    const { transport, settings } = await createEmailTransport();
+    const appUrl = await getAppPublicUrl(req);
+    await transport.sendMail({
+      from: `"${settings.senderName || 'First Class Glass'}" <${settings.senderEmail}>`,
+      to: email,
+      subject: isReset ? 'Your CRM password was reset' : 'You have been invited to the First Class Glass CRM',
+      text: [
+        isReset ? 'An administrator reset your CRM password.' : 'An account has been created for you.',
+        '',
+        `Username: ${username}`,
+        `Temporary password: ${tempPassword}`,
+        appUrl ? `Sign in: ${appUrl}/login` : null,
+        '',
+        'You will be asked to choose a new password after signing in.',
+      ].filter((l) => l !== null).join('\n'),
+    });
+    return true;
+  } catch (e) {
+    console.warn('[Users] Could not email credentials:', e.message);
+    return false;
+  }
+}
+
+// GET /users/accounts — every account, including deactivated ones
+app.get('/users/accounts', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT ${USER_ACCOUNT_COLS},
+              (SELECT COUNT(*) FROM user_sessions s
+                WHERE s.userId = users.id AND s.revokedAt IS NULL AND s.expiresAt > NOW()) AS activeSessions
+         FROM users ORDER BY isActive DESC, username ASC`
+    );
+    res.json({ users: rows, roles: ROLES, permissions: PERMISSIONS });
+  } catch (err) {
+    console.error('User accounts error:', err);
+    res.status(500).json({ error: 'Failed to fetch user accounts.' });
+  }
+});
+
+// POST /users — invite: create the account with a temporary password
+app.post('/users', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const username = String(b.username || '').trim();
+    const email = String(b.email || '').trim() || null;
+    if (!username) return res.status(400).json({ error: 'username is required.' });
+    if (!ROLES.includes(b.role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+
+    const [[dup]] = await db.query('SELECT id FROM users WHERE username = ?', [username]);
+    if (dup) return res.status(409).json({ error: 'Username already exists.' });
+
+    const tempPassword = generateTempPassword();
+    const hash = await bcrypt.hash(tempPassword, 10);
+    const [r] = await db.query(
+      'INSERT INTO users (username, password_hash, role, email, isActive, mustChangePassword) VALUES (?, ?, ?, ?, 1, 1)',
+      [username, hash, b.role, email]
+    );
+    const emailed = await emailAccountCredentials(req, email, username, tempPassword, false);
+    const [[user]] = await db.query(`SELECT ${USER_ACCOUNT_COLS} FROM users WHERE id = ?`, [r.insertId]);
+    res.status(201).json({ user, tempPassword, emailed });
+  } catch (err) {
+    console.error('Invite user error:', err);
+    res.status(500).json({ error: 'Failed to invite user.' });
+  }
+});
+
+// PUT /users/:id — change role and/or email
+app.put('/users/:id', authenticate, requirePermission('users.manage'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const b = coerceBody(req);
+    const sets = [];
+    const params = [];
+    if (b.role !== undefined) {
+      if (!ROLES.includes(b.role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      if (await wouldRemoveLastAdmin(id, { role: b.role })) {
+        return res.status(409).json({ error: 'Cannot remove the last active admin.' });
+      }
+      sets.push('role = ?'); params.push(b.role);
+    }
+    if (b.email !== undefined) { sets.push('email = ?'); params.push(String(b.email || '').trim() || null); }
+    if (b.laborRate !== undefined) {
+      const rate = b.laborRate === null || b.laborRate === '' ? null : Number(b.laborRate);
+      if (rate !== null && (!Number.isFinite(rate) || rate < 0)) return res.status(400).json({ error: 'laborRate must be a positive number.' });
+      sets.push('laborRate = ?'); params.push(rate);
+    }
+    if (!sets.length) return res.status(400).json({ error: 'Nothing to update.' });
+
+    params.push(id);
+    const [r] = await db.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, params);
+    if (!r.affectedRows) return res.status(404).json({ error: 'User not found.' });
+    forgetUserAccess(id);
+    const [[user]] = await db.query(`SELECT ${USER_ACCOUNT_COLS} FROM users WHERE id = ?`, [id]);
+    res.json(user);
+  } catch (err) {
+    console.error('Update user error:', err);
+    res.status(500).json({ error: 'Failed to update user.' });
+  }
+});
+
+// PUT /users/:id/active — deactivate / reactivate. Deactivation blocks login and
+// every live token within AUTH_CACHE_TTL_MS (see getUserAccess).
+app.put('/users/:id/active', authenticate, requirePermission('users.manage'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const isActive = coerceBody(req).isActive ? 1 : 0;
+    if (!isActive && id === Number(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account.' });
+    }
+    if (!isActive && await wouldRemoveLastAdmin(id, { isActive: 0 })) {
+      return res.status(409).json({ error: 'Cannot deactivate the last active admin.' });
+    }
+    const [r] = await db.query('UPDATE users SET isActive = ? WHERE id = ?', [isActive, id]);
+    if (!r.affectedRows) return res.status(404).json({ error: 'User not found.' });
+    if (!isActive) await revokeSessions('userId = ?', [id], req.user.username);
+    forgetUserAccess(id);
+    const [[user]] = await db.query(`SELECT ${USER_ACCOUNT_COLS} FROM users WHERE id = ?`, [id]);
+    res.json(user);
+  } catch (err) {
+    console.error('Set user active error:', err);
+    res.status(500).json({ error: 'Failed to update user.' });
+  }
+});
+
+// POST /users/:id/reset-password — new temporary password, must change on next login
+app.post('/users/:id/reset-password', authenticate, requirePermission('users.manage'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const [[user]] = await db.query('SELECT id, username, email FROM users WHERE id = ?', [id]);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    const tempPassword = generateTempPassword();
+    const hash = await bcrypt.hash(tempPassword, 10);
+    await db.query('UPDATE users SET password_hash = ?, mustChangePassword = 1 WHERE id = ?', [hash, id]);
+    await revokeSessions('userId = ?', [id], req.user.username);
+    const emailed = await emailAccountCredentials(req, user.email, user.username, tempPassword, true);
+    res.json({ tempPassword, emailed });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Failed to reset password.' });
+  }
+});
+
+// GET /users/:id/sessions — a user's active devices (admin)
+app.get('/users/:id/sessions', authenticate, requirePermission('users.manage'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT ${SESSION_COLS} FROM user_sessions
+        WHERE userId = ? AND revokedAt IS NULL AND expiresAt > NOW()
+        ORDER BY lastUsedAt DESC`,
+      [Number(req.params.id)]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('User sessions error:', err);
+    res.status(500).json({ error: 'Failed to fetch sessions.' });
+  }
+});
+
+// POST /users/:id/revoke-sessions — admin force-logout. Body { sessionId } revokes
+// one device; without it every session for the user is revoked.
+app.post('/users/:id/revoke-sessions', authenticate, requirePermission('users.manage'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const userId = Number(req.params.id);
+    const sessionId = Number(coerceBody(req).sessionId) || null;
+    const revoked = sessionId
+      ? await revokeSessions('id = ? AND userId = ?', [sessionId, userId], req.user.username)
+      : await revokeSessions('userId = ?', [userId], req.user.username);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Revoke user sessions error:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions.' });
+  }
+});
+
 // ─── CUSTOMERS ───────────────────────────────────────────────────────────────
 
 // GET /customers — list all customers (active by default)
@@ -2655,6 +4192,7 @@ app.get('/customers/:id', authenticate, requireNumericParam('id'), async (req, r
       [id, cust.companyName || '', cust.name || '']
     );
     cust.woCount = countRows[0]?.cnt || 0;
+    cust.taxExemptCertUrl = signedFileUrl(cust.taxExemptCertPath, req.user.id);
 
     res.json(cust);
   } catch (err) {
@@ -2664,7 +4202,7 @@ app.get('/customers/:id', authenticate, requireNumericParam('id'), async (req, r
 });
 
 // POST /customers — create new customer
-app.post('/customers', authenticate, async (req, res) => {
+app.post('/customers', authenticate, requirePermission('customers.edit'), async (req, res) => {
   const body = coerceBody(req);
   const companyName = body.companyName || body.name;
   if (!companyName) return res.status(400).json({ error: 'companyName is required' });
@@ -2673,7 +4211,7 @@ app.post('/customers', authenticate, async (req, res) => {
     const cols = ['name', 'companyName', 'billingAddress'];
     const vals = [companyName, companyName, body.billingAddress || null];
 
-    const optFields = ['contactName','email','phone','fax','billingCity','billingState','billingZip',
+    const optFields = ['contactName','email','billingEmail','phone','fax','billingCity','billingState','billingZip',
                        'siteAddress','siteCity','siteState','siteZip','notes'];
     for (const f of optFields) {
       if (body[f] !== undefined && body[f] !== null) {
@@ -2681,6 +4219,10 @@ app.post('/customers', authenticate, async (req, res) => {
         vals.push(body[f]);
       }
     }
+    if (Number(body.collectionPolicyId)) {
+      cols.push('collectionPolicyId');
+      vals.push(Number(body.collectionPolicyId));
+    }
 
     const placeholders = cols.map(() => '?').join(',');
     const [r] = await db.execute(
@@ -2761,16 +4303,18 @@ async function findOrCreateCustomer(customerName, billingInfo = {}) {
 }
 
 // PUT /customers/:id — update customer
-app.put('/customers/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/customers/:id', authenticate, requirePermission('customers.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const [[existing]] = await db.execute('SELECT id FROM customers WHERE id = ?', [id]);
+    const [[existing]] = await db.execute('SELECT id, taxExempt, taxExemptExpiresAt FROM customers WHERE id = ?', [id]);
     if (!existing) return res.status(404).json({ error: 'Customer not found.' });
 
     const body = coerceBody(req);
-    const allowed = ['companyName','contactName','email','phone','fax',
+    const allowed = ['companyName','contactName','email','billingEmail','phone','fax',
                      'billingAddress','billingCity','billingState','billingZip',
-                     'siteAddress','siteCity','siteState','siteZip','notes','isActive'];
+                     'siteAddress','siteCity','siteState','siteZip','notes','isActive',
+                     'taxExempt','taxExemptCertNumber','taxExemptExpiresAt',
+                     'autoReminders','remindersPaused','remindersPausedReason'];
     const sets = [];
     const vals = [];
 
@@ -2781,6 +4325,12 @@ app.put('/customers/:id', authenticate, requireNumericParam('id'), async (req, r
       }
     }
 
+    // Blank = back to the company default policy
+    if (body.collectionPolicyId !== undefined) {
+      sets.push('`collectionPolicyId` = ?');
+      vals.push(Number(body.collectionPolicyId) || null);
+    }
+
     // Keep name in sync with companyName
     if (body.companyName) {
       sets.push('`name` = ?');
@@ -2793,6 +4343,10 @@ app.put('/customers/:id', authenticate, requireNumericParam('id'), async (req, r
 
     vals.push(id);
     await db.execute(`UPDATE customers SET ${sets.join(', ')} WHERE id = ?`, vals);
+    const exemptionChanged =
+      (body.taxExempt !== undefined && Number(body.taxExempt) !== Number(existing.taxExempt)) ||
+      (body.taxExemptExpiresAt !== undefined && (body.taxExemptExpiresAt || null) !== (existing.taxExemptExpiresAt || null));
+    if (exemptionChanged) await recalcCustomerDraftTax(id);
 
     const [[updated]] = await db.execute('SELECT * FROM customers WHERE id = ?', [id]);
     res.json(updated);
@@ -2802,8 +4356,45 @@ app.put('/customers/:id', authenticate, requireNumericParam('id'), async (req, r
   }
 });
 
+// POST /customers/:id/tax-exempt-certificate — upload the exemption certificate
+// (PDF or image) and mark the customer exempt; certNumber / expiresAt optional.
+app.post(
+  '/customers/:id/tax-exempt-certificate',
+  authenticate, requirePermission('customers.edit'), requireNumericParam('id'),
+  withMulter(upload.any()),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const [[cust]] = await db.query('SELECT id FROM customers WHERE id = ?', [id]);
+      if (!cust) return res.status(404).json({ error: 'Customer not found.' });
+
+      const files = Array.isArray(req.files) ? req.files : [];
+      const certFile = files.find((f) => isPdf(f) || isImage(f));
+      if (!certFile) return res.status(400).json({ error: 'Please upload the certificate as a PDF or image.' });
+
+      const b = coerceBody(req);
+      await db.query(
+        `UPDATE customers
+            SET taxExempt = 1, taxExemptCertPath = ?,
+                taxExemptCertNumber = COALESCE(?, taxExemptCertNumber),
+                taxExemptExpiresAt = COALESCE(?, taxExemptExpiresAt), updatedAt = NOW()
+          WHERE id = ?`,
+        [fileKey(certFile), b.certNumber || null, b.expiresAt || null, id]
+      );
+      await recalcCustomerDraftTax(id);
+
+      const [[updated]] = await db.query('SELECT * FROM customers WHERE id = ?', [id]);
+      updated.taxExemptCertUrl = signedFileUrl(updated.taxExemptCertPath, req.user.id);
+      res.json(updated);
+    } catch (err) {
+      console.error('Tax exempt certificate upload error:', err);
+      res.status(500).json({ error: 'Failed to upload certificate.' });
+    }
+  }
+);
+
 // DELETE /customers/:id — soft delete
-app.delete('/customers/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/customers/:id', authenticate, requirePermission('customers.delete'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     await db.execute('UPDATE customers SET isActive = 0, updatedAt = NOW() WHERE id = ?', [id]);
@@ -2841,7 +4432,7 @@ app.get('/customers/:id/work-orders', authenticate, requireNumericParam('id'), a
 });
 
 // POST /customers/:targetId/merge — merge source customer into target
-app.post('/customers/:targetId/merge', authenticate, requireNumericParam('targetId'), async (req, res) => {
+app.post('/customers/:targetId/merge', authenticate, requirePermission('customers.merge'), requireNumericParam('targetId'), async (req, res) => {
   try {
     const targetId = Number(req.params.targetId);
     const body = coerceBody(req);
@@ -2859,6 +4450,11 @@ app.post('/customers/:targetId/merge', authenticate, requireNumericParam('target
     const [woResult] = await db.execute('UPDATE work_orders SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
     const [estResult] = await db.execute('UPDATE estimates SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
     const [invResult] = await db.execute('UPDATE invoices SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
+    await db.execute('UPDATE service_agreements SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
+    await db.execute('UPDATE credit_memos SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
+    await db.execute('UPDATE IGNORE customer_statements SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
+    await db.execute('UPDATE late_fees SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
+    await db.execute('UPDATE reminder_queue SET customerId = ? WHERE customerId = ?', [targetId, sourceId]);
 
     // Also update legacy string-based customer field on work orders
     if (source.companyName || source.name) {
@@ -2869,7 +4465,7 @@ app.post('/customers/:targetId/merge', authenticate, requireNumericParam('target
 
     // Smart merge: fill in target's empty fields with source's data
     const isEmpty = (v) => !v || !String(v).trim() || String(v).trim() === '—' || String(v).trim() === '-';
-    const copyFields = ['contactName', 'phone', 'email', 'fax', 'billingAddress', 'billingCity', 'billingState', 'billingZip', 'siteAddress', 'siteCity', 'siteState', 'siteZip'];
+    const copyFields = ['contactName', 'phone', 'email', 'billingEmail', 'fax', 'billingAddress', 'billingCity', 'billingState', 'billingZip', 'siteAddress', 'siteCity', 'siteState', 'siteZip', 'collectionPolicyId'];
     const sets = [];
     const vals = [];
     const fieldsFilled = [];
@@ -2915,7 +4511,7 @@ app.post('/customers/:targetId/merge', authenticate, requireNumericParam('target
 });
 
 // GET /customers/:id/merge-preview — preview what a merge would affect
-app.get('/customers/:id/merge-preview', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/customers/:id/merge-preview', authenticate, requirePermission('customers.merge'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     const [[customer]] = await db.execute('SELECT * FROM customers WHERE id = ?', [id]);
@@ -2956,33 +4552,307 @@ async function uploadToS3IfConfigured(localFilePath, s3Key) {
   }
 }
 
-async function recalcEstimateTotals(estimateId) {
-  const [[{ s }]] = await db.query(
-    'SELECT COALESCE(SUM(amount), 0) AS s FROM estimate_line_items WHERE estimateId = ?',
-    [estimateId]
-  );
-  const subtotal = Number(s) || 0;
-  const [[est]] = await db.query('SELECT taxRate FROM estimates WHERE id = ?', [estimateId]);
-  const taxRate = Number(est?.taxRate) || 0;
-  const taxAmount = Math.round(subtotal * taxRate) / 100;
-  const total = subtotal + taxAmount;
-  await db.query(
-    'UPDATE estimates SET subtotal=?, taxAmount=?, total=?, updatedAt=NOW() WHERE id=?',
-    [subtotal, taxAmount, total, estimateId]
+// ─── SALES TAX ───
+// Tax applies to the taxable lines only, at the document's taxRate (the
+// snapshot of its jurisdiction), unless the customer holds a current exemption
+// certificate.
+const TAX_ADDRESS_PREFIX = { estimates: 'project', invoices: 'shipTo' };
+
+async function customerIsTaxExempt(customerId, asOf) {
+  if (!customerId) return false;
+  const [[c]] = await db.query('SELECT taxExempt, taxExemptExpiresAt FROM customers WHERE id = ?', [customerId]);
+  if (!c || !Number(c.taxExempt)) return false;
+  const day = asOf ? String(asOf).slice(0, 10) : new Date().toISOString().slice(0, 10);
+  return !c.taxExemptExpiresAt || String(c.taxExemptExpiresAt).slice(0, 10) >= day;
+}
+
+// Re-total a customer's drafts after their exemption changes.
+async function recalcCustomerDraftTax(customerId) {
+  const [ests] = await db.query("SELECT id FROM estimates WHERE customerId = ? AND status = 'Draft'", [customerId]);
+  for (const e of ests) await recalcEstimateTotals(e.id);
+  const [invs] = await db.query("SELECT id FROM invoices WHERE customerId = ? AND status = 'Draft'", [customerId]);
+  for (const i of invs) await recalcInvoiceTotals(i.id);
+}
+
+// Drafts follow the customer's current certificate; once a document has gone
+// out, its exemption is frozen so a later certificate change can't move a total.
+async function documentTaxExempt(doc) {
+  if (!doc) return false;
+  if (doc.status && doc.status !== 'Draft') return !!Number(doc.taxExempt);
+  return customerIsTaxExempt(doc.customerId, doc.issueDate);
+}
+
+/**
+ * Subtotal, taxable subtotal and tax for a set of lines. Returns
+ * { subtotal, taxableSubtotal, taxAmount, total, taxExempt }.
+ */
+function computeDocumentTax(lineItems, taxRate, taxExempt) {
+  let subtotal = 0, taxableSubtotal = 0;
+  for (const li of lineItems) {
+    const amt = Number(li.amount) || 0;
+    subtotal += amt;
+    if (li.taxable == null || Number(li.taxable)) taxableSubtotal += amt;
+  }
+  subtotal = round2p(subtotal);
+  taxableSubtotal = round2p(taxableSubtotal);
+  const taxAmount = taxExempt ? 0 : Math.round(taxableSubtotal * (Number(taxRate) || 0)) / 100;
+  return { subtotal, taxableSubtotal, taxAmount, total: round2p(subtotal + taxAmount), taxExempt: taxExempt ? 1 : 0 };
+}
+
+/**
+ * Most specific active jurisdiction for an address: ZIP match, then city,
+ * then a statewide row. Returns null when nothing matches.
+ */
+async function resolveTaxJurisdiction({ city, state, zip } = {}) {
+  const st = String(state || '').trim().toUpperCase();
+  if (!st) return null;
+  const zip5 = String(zip || '').trim().slice(0, 5);
+  const [rows] = await db.query(
+    `SELECT * FROM tax_jurisdictions
+      WHERE isActive = 1 AND state = ?
+        AND ((zip IS NOT NULL AND zip <> '' AND zip = ?)
+          OR ((zip IS NULL OR zip = '') AND city IS NOT NULL AND city <> '' AND LOWER(city) = LOWER(?))
+          OR ((zip IS NULL OR zip = '') AND (city IS NULL OR city = '')))
+      ORDER BY (zip IS NOT NULL AND zip <> '') DESC, (city IS NOT NULL AND city <> '') DESC, id ASC
+      LIMIT 1`,
+    [st, zip5, String(city || '').trim()]
   );
+  return rows[0] || null;
 }
 
-// Format amount to $X,XXX.XX
-function fmtMoney(val) {
-  const n = Number(val) || 0;
-  return '$' + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+/**
+ * Point an estimate/invoice at a jurisdiction and copy its rate. With
+ * jurisdictionId === undefined the job-site address picks one (project/ship-to,
+ * falling back to the customer's site address); null detaches it and leaves
+ * the rate as a manual value. Returns the jurisdiction or null.
+ */
+async function applyTaxJurisdiction(table, id, jurisdictionId) {
+  let j = null;
+  if (jurisdictionId === undefined) {
+    const p = TAX_ADDRESS_PREFIX[table];
+    const [[doc]] = await db.query(
+      `SELECT d.${p}City AS city, d.${p}State AS state, d.${p}Zip AS zip,
+              c.siteCity, c.siteState, c.siteZip
+         FROM ${table} d LEFT JOIN customers c ON c.id = d.customerId
+        WHERE d.id = ?`,
+      [id]
+    );
+    if (!doc) return null;
+    const addr = doc.state || doc.zip
+      ? doc
+      : { city: doc.siteCity, state: doc.siteState, zip: doc.siteZip };
+    j = await resolveTaxJurisdiction(addr);
+    if (!j) return null;
+  } else if (jurisdictionId) {
+    [[j]] = await db.query('SELECT * FROM tax_jurisdictions WHERE id = ?', [jurisdictionId]);
+    if (!j) return null;
+  }
+  if (j) {
+    await db.query(`UPDATE ${table} SET taxJurisdictionId = ?, taxRate = ? WHERE id = ?`, [j.id, j.rate, id]);
+  } else {
+    await db.query(`UPDATE ${table} SET taxJurisdictionId = NULL WHERE id = ?`, [id]);
+  }
+  return j;
 }
 
-// --- Shared PDF generation with template config ---
-async function loadTemplateConfig(templateId, docType) {
-  let tplConfig = JSON.parse(JSON.stringify(DEFAULT_TEMPLATE_CONFIG));
-  console.log('[PDF Gen] loadTemplateConfig called — templateId:', templateId, 'docType:', docType);
-  try {
+/**
+ * Jurisdiction handling for an estimate/invoice create or update body: an
+ * explicit taxJurisdictionId wins ('auto' re-resolves from the address, null
+ * detaches it); otherwise a new/changed job-site address
+ * re-resolves it unless the caller set taxRate by hand. Returns true when the
+ * rate may have changed (caller recalculates totals).
+ */
+async function syncDocumentTaxJurisdiction(table, id, b, { created = false } = {}) {
+  if (b.taxJurisdictionId !== undefined) {
+    const choice = b.taxJurisdictionId === 'auto' ? undefined : (Number(b.taxJurisdictionId) || null);
+    await applyTaxJurisdiction(table, id, choice);
+    return true;
+  }
+  if (b.taxRate !== undefined) return false;
+  const p = TAX_ADDRESS_PREFIX[table];
+  const moved = created || b.customerId !== undefined || ['City', 'State', 'Zip'].some((k) => b[p + k] !== undefined);
+  return moved ? !!(await applyTaxJurisdiction(table, id)) : false;
+}
+
+// ─── OPTIONAL LINES / OPTION GROUPS ───
+const lineIsChoice = (li) => !!(Number(li.isOptional) || li.optionGroup);
+// Invoice lines have none of these columns, so they're always included.
+const lineIncluded = (li) => !lineIsChoice(li) || Number(li.isSelected ?? 1) !== 0;
+const optionGroupName = (v) => (v == null ? null : String(v).trim().slice(0, 100) || null);
+const optionFlag = (v) => (v === true || v === 1 || v === '1' || v === 'true' ? 1 : 0);
+
+/**
+ * Check a customer's picks against an estimate's lines. selectedIds lists the
+ * chosen optional/grouped line ids; every option group needs exactly one.
+ * Returns { error } or { selected: Set<lineId> }.
+ */
+function validateEstimateSelection(lineItems, selectedIds) {
+  const ids = new Set((Array.isArray(selectedIds) ? selectedIds : []).map(Number));
+  const choices = lineItems.filter(lineIsChoice);
+  for (const id of ids) {
+    if (!choices.some((li) => li.id === id)) return { error: `Line ${id} is not an option on this estimate.` };
+  }
+  const groups = new Map();
+  for (const li of choices.filter((l) => l.optionGroup)) {
+    if (!groups.has(li.optionGroup)) groups.set(li.optionGroup, []);
+    groups.get(li.optionGroup).push(li);
+  }
+  for (const [group, lines] of groups) {
+    const picked = lines.filter((li) => ids.has(li.id)).length;
+    if (picked !== 1) return { error: `Choose exactly one option for "${group}".` };
+  }
+  return { selected: ids };
+}
+
+// Persist a validated selection and re-total.
+async function applyEstimateSelection(estimateId, lineItems, selected) {
+  for (const li of lineItems.filter(lineIsChoice)) {
+    const on = selected.has(li.id) ? 1 : 0;
+    if (Number(li.isSelected) !== on) {
+      await db.query('UPDATE estimate_line_items SET isSelected=? WHERE id=? AND estimateId=?', [on, li.id, estimateId]);
+    }
+  }
+  await recalcEstimateTotals(estimateId);
+}
+
+// Keep each option group at exactly one selected line after lines are added,
+// edited or removed (the first selected one wins; none selected picks the first).
+async function normalizeEstimateOptionGroups(estimateId) {
+  const [lines] = await db.query(
+    `SELECT id, optionGroup, isSelected FROM estimate_line_items
+      WHERE estimateId = ? AND optionGroup IS NOT NULL AND optionGroup <> ''
+      ORDER BY sortOrder ASC, id ASC`,
+    [estimateId]
+  );
+  const seen = new Map();
+  for (const li of lines) {
+    if (!seen.has(li.optionGroup)) seen.set(li.optionGroup, lines.find((l) => l.optionGroup === li.optionGroup && Number(l.isSelected)) || li);
+    const on = seen.get(li.optionGroup).id === li.id ? 1 : 0;
+    if (Number(li.isSelected) !== on) await db.query('UPDATE estimate_line_items SET isSelected=? WHERE id=?', [on, li.id]);
+  }
+}
+
+// isOptional / optionGroup / isSelected from a line-item body, for INSERT (all
+// three, with defaults) or UPDATE (only what was sent).
+function lineOptionValues(b) {
+  const optionGroup = optionGroupName(b.optionGroup);
+  const isOptional = optionGroup ? 1 : optionFlag(b.isOptional);
+  // A new add-on starts unselected unless the estimator pre-selects it.
+  const isSelected = b.isSelected !== undefined ? optionFlag(b.isSelected) : (isOptional && !optionGroup ? 0 : 1);
+  return { isOptional, optionGroup, isSelected };
+}
+
+function lineOptionUpdates(b, sets, params) {
+  if (b.optionGroup !== undefined) { sets.push('optionGroup=?'); params.push(optionGroupName(b.optionGroup)); }
+  if (b.isOptional !== undefined) { sets.push('isOptional=?'); params.push(optionFlag(b.isOptional)); }
+  if (b.isSelected !== undefined) { sets.push('isSelected=?'); params.push(optionFlag(b.isSelected)); }
+}
+
+async function recalcEstimateTotals(estimateId) {
+  await normalizeEstimateOptionGroups(estimateId);
+  const [lines] = await db.query(
+    'SELECT amount, taxable, isOptional, optionGroup, isSelected FROM estimate_line_items WHERE estimateId = ?', [estimateId]
+  );
+  const items = lines.filter(lineIncluded);
+  const [[est]] = await db.query('SELECT taxRate, status, customerId, issueDate, taxExempt FROM estimates WHERE id = ?', [estimateId]);
+  const exempt = await documentTaxExempt(est);
+  const t = computeDocumentTax(items, est?.taxRate, exempt);
+  await db.query(
+    'UPDATE estimates SET subtotal=?, taxableSubtotal=?, taxExempt=?, taxAmount=?, total=?, updatedAt=NOW() WHERE id=?',
+    [t.subtotal, t.taxableSubtotal, t.taxExempt, t.taxAmount, t.total, estimateId]
+  );
+}
+
+// ─── LINE ITEM COSTING (internal only) ───
+// A line may carry unitCost + markupPct; when both are set and no explicit
+// amount is sent, the sell price is qty × unitCost × (1 + markup%). Quantity
+// blank means 1, the same way the PDF prints it.
+const lineQty = (q) => (q === null || q === undefined || q === '' ? 1 : Number(q) || 0);
+// Lines are taxable unless explicitly turned off (false / 0 / "0").
+const lineTaxable = (v) => (v === false || v === 0 || v === '0' || v === 'false' ? 0 : 1);
+const optionalNumber = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+function computedSellPrice(quantity, unitCost, markupPct) {
+  if (unitCost == null || markupPct == null) return null;
+  return round2p(lineQty(quantity) * Number(unitCost) * (1 + Number(markupPct) / 100));
+}
+
+/**
+ * Cost fields for an INSERT: { unitCost, markupPct, amount }. amount is the
+ * body's amount when given, otherwise the computed sell price (or null).
+ */
+function lineItemCostValues(b) {
+  const unitCost = optionalNumber(b.unitCost);
+  const markupPct = optionalNumber(b.markupPct);
+  const amount = b.amount !== undefined && b.amount !== ''
+    ? Number(b.amount) || 0
+    : computedSellPrice(b.quantity, unitCost, markupPct);
+  return { unitCost, markupPct, amount };
+}
+
+/**
+ * SET fragments for a line item PUT. When qty, cost or markup changes without
+ * an explicit amount, the amount is re-derived from the merged row.
+ */
+async function lineItemCostUpdates(table, itemId, b, sets, params) {
+  if (b.unitCost !== undefined) { sets.push('unitCost=?'); params.push(optionalNumber(b.unitCost)); }
+  if (b.markupPct !== undefined) { sets.push('markupPct=?'); params.push(optionalNumber(b.markupPct)); }
+  if (b.amount !== undefined) return;
+  if (b.unitCost === undefined && b.markupPct === undefined && b.quantity === undefined) return;
+  const [[cur]] = await db.query(`SELECT quantity, unitCost, markupPct FROM ${table} WHERE id = ?`, [itemId]);
+  if (!cur) return;
+  const merged = {
+    quantity: b.quantity !== undefined ? b.quantity : cur.quantity,
+    unitCost: b.unitCost !== undefined ? optionalNumber(b.unitCost) : cur.unitCost,
+    markupPct: b.markupPct !== undefined ? optionalNumber(b.markupPct) : cur.markupPct,
+  };
+  const amount = computedSellPrice(merged.quantity, merged.unitCost, merged.markupPct);
+  if (amount != null) { sets.push('amount=?'); params.push(amount); }
+}
+
+async function getMarginFloorPct() {
+  const [[row]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'marginFloorPct'");
+  return optionalNumber(row?.settingValue);
+}
+
+/**
+ * Overall margin across the costed lines of an estimate or invoice. Lines
+ * without a unitCost are left out (their cost is unknown, not zero) and
+ * counted in uncostedLines so the UI can say so. Unselected options don't count.
+ */
+async function lineItemMarginSummary(lineItems) {
+  let revenue = 0, cost = 0, costedLines = 0, uncostedLines = 0;
+  for (const li of (lineItems || []).filter(lineIncluded)) {
+    if (li.unitCost == null) { uncostedLines++; continue; }
+    revenue += Number(li.amount) || 0;
+    cost += lineQty(li.quantity) * Number(li.unitCost);
+    costedLines++;
+  }
+  const floorPct = await getMarginFloorPct();
+  const marginPct = costedLines && revenue > 0 ? pct1(revenue - cost, revenue) : null;
+  return {
+    revenue: round2p(revenue),
+    cost: round2p(cost),
+    grossProfit: round2p(revenue - cost),
+    marginPct,
+    costedLines,
+    uncostedLines,
+    floorPct,
+    belowFloor: floorPct != null && marginPct != null && marginPct < floorPct,
+  };
+}
+
+// Format amount to $X,XXX.XX
+function fmtMoney(val) {
+  const n = Number(val) || 0;
+  return '$' + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+// --- Shared PDF generation with template config ---
+async function loadTemplateConfig(templateId, docType) {
+  let tplConfig = JSON.parse(JSON.stringify(DEFAULT_TEMPLATE_CONFIG));
+  console.log('[PDF Gen] loadTemplateConfig called — templateId:', templateId, 'docType:', docType);
+  try {
     if (templateId) {
       const [[tpl]] = await db.query('SELECT id, config FROM pdf_templates WHERE id = ? AND isActive = 1', [templateId]);
       console.log('[PDF Gen] Looked up template id=' + templateId + ' — found:', tpl ? 'YES (config length=' + (tpl.config || '').length + ')' : 'NO');
@@ -3107,7 +4977,7 @@ function generateZonePdf(data, lineItems, cfg, docType) {
           case 'companyPhoneFax':return 'Phone: 630-250-9777\nFax: 630-250-9727';
           case 'companyEmail':   return 'office@firstclassglass.com';
           case 'documentTitle':  return isInvoice ? 'INVOICE' : 'ESTIMATE';
-          case 'documentNumber': return String(isInvoice ? (data.invoiceNumber || '') : (data.id || data.estimateNumber || ''));
+          case 'documentNumber': return String(isInvoice ? (data.invoiceNumber || '') : estimateDocNumber(data));
           case 'date':           return fmtDate(data.issueDate);
           case 'dueDate':        return fmtDate(data.expirationDate || data.dueDate);
           case 'poNumber':       return String(data.poNumber || '');
@@ -3121,8 +4991,10 @@ function generateZonePdf(data, lineItems, cfg, docType) {
 
       const totals = {
         subtotal: Number(data.subtotal || data.total || 0),
+        taxable:  data.taxableSubtotal != null ? Number(data.taxableSubtotal) : null,
         tax:      Number(data.taxAmount || 0),
         total:    Number(data.total || 0),
+        retainage: Number(data.retainageAmount || 0),
         balance:  Number(data.balance ?? data.total ?? 0),
       };
 
@@ -3205,8 +5077,14 @@ function generateZonePdf(data, lineItems, cfg, docType) {
         } else if (el.type === 'totals') {
           const lines = [];
           if (el.totalsKind === 'subtotal' || el.totalsKind === 'block') lines.push(['Subtotal', totals.subtotal]);
-          if (el.totalsKind === 'tax'      || el.totalsKind === 'block') lines.push(['Tax',      totals.tax]);
+          if (el.totalsKind === 'block' && totals.taxable != null && totals.taxable !== totals.subtotal) {
+            lines.push(['Taxable', totals.taxable]);
+          }
+          if (el.totalsKind === 'tax'      || el.totalsKind === 'block') lines.push([pdfTaxLabel(data), totals.tax]);
           if (el.totalsKind === 'total'    || el.totalsKind === 'block') lines.push(['Total',    totals.total]);
+          if ((el.totalsKind === 'total' || el.totalsKind === 'block') && totals.retainage > 0) {
+            lines.push(['Less Retainage', totals.retainage], ['Amount Due', totals.total - totals.retainage]);
+          }
           if (el.totalsKind === 'balance') lines.push(['Balance Due', totals.balance]);
           doc.font(fontName).fontSize(fontSize).fillColor(color);
           let yy = y + padTop;
@@ -3323,7 +5201,36 @@ function generateZonePdf(data, lineItems, cfg, docType) {
   });
 }
 
+// "Tax (Chicago 10.25%)", "Tax (exempt #1234)" — the tax line label on both renderers.
+function pdfTaxLabel(data) {
+  if (Number(data.taxExempt)) {
+    return 'Tax (exempt' + (data.custTaxExemptCertNumber ? ' #' + data.custTaxExemptCertNumber : '') + ')';
+  }
+  const rate = Number(data.taxRate) || 0;
+  if (!rate) return 'Tax';
+  return `Tax (${data.taxJurisdictionName ? data.taxJurisdictionName + ' ' : ''}${Number(rate.toFixed(3))}%)`;
+}
+
+// Estimate number as printed: "1042", or "1042-R2" once it has been revised.
+function estimateDocNumber(data) {
+  const base = String(data.estimateNumber || data.id || '');
+  return Number(data.revisionNumber) > 1 ? `${base}-R${data.revisionNumber}` : base;
+}
+
+// Options print with a label so the customer can tell an alternate from the
+// base scope; unselected ones still print (it's a quote) but say they're not in the total.
+function pdfOptionLine(li) {
+  if (!lineIsChoice(li)) return li;
+  const tag = li.optionGroup ? `OPTION (${li.optionGroup})` : 'OPTIONAL';
+  const note = lineIncluded(li) ? '' : ' — not included in total';
+  return { ...li, description: `${tag}: ${li.description || li.itemName || ''}${note}` };
+}
+
 function generatePdfWithConfig(data, lineItems, cfg, docType) {
+  // Cost and markup are internal-only — strip them so no template, old or new,
+  // can ever print them on a customer-facing document.
+  lineItems = (lineItems || []).map(({ unitCost, markupPct, ...li }) => li);
+
   // ─── New zone-based templates (QuickBooks-style designer) ───
   // Templates created in the rebuilt PdfTemplateBuilder are saved with
   // `layoutMode: "zones"`. They are rendered by a separate top-to-bottom
@@ -3460,6 +5367,10 @@ function generatePdfWithConfig(data, lineItems, cfg, docType) {
         doc.rect(dbX, dbY + dbH, dbW, dbH).stroke();
         doc.font(bodyFont).fontSize(8);
         doc.text(issueDateStr, dbX + 4, dbY + dbH + 4, { width: dbW - 8, align: 'center' });
+        if (Number(data.revisionNumber) > 1) {
+          doc.font(boldFont).fontSize(7);
+          doc.text(`REVISION ${data.revisionNumber}`, dbX + 4, dbY + dbH * 2 + 4, { width: dbW - 8, align: 'center' });
+        }
       }
     }
 
@@ -3750,11 +5661,36 @@ function generatePdfWithConfig(data, lineItems, cfg, docType) {
             }
           }
 
-          const totalStr = fmtMoney(data.total);
-          doc.font(boldFont).fontSize(cfg.footer?.totalFontSize || 10).fillColor(textColor);
-          doc.text('TOTAL', totalLabelX + 4, ftY + (ftH / 2) - 6, { width: totalLabelW - 8, align: 'center' });
-          doc.fontSize(cfg.footer?.totalAmountFontSize || 11);
-          doc.text(totalStr, totalAmountX + 4, ftY + (ftH / 2) - 6, { width: totalAmountW - 8, align: 'right' });
+          const showTax = Number(data.taxAmount) > 0 || Number(data.taxExempt);
+          const retainage = Number(data.retainageAmount) || 0;
+          if (showTax || retainage > 0) {
+            // Tax breakdown: subtotal / tax / total stacked in the total cells,
+            // with the jurisdiction spelled out along the bottom of the terms cell.
+            // Progress invoices add the retainage held back and what's due now.
+            const rows = [['SUBTOTAL', data.subtotal]];
+            if (showTax) rows.push([Number(data.taxExempt) ? 'TAX EXEMPT' : 'TAX', data.taxAmount]);
+            rows.push(['TOTAL', data.total]);
+            if (retainage > 0) rows.push(['LESS RETAINAGE', retainage], ['AMOUNT DUE', Number(data.total) - retainage]);
+            const rowH = (ftH - 4) / rows.length;
+            rows.forEach(([label, val], i) => {
+              const isTotal = i === rows.length - 1;
+              const yy = ftY + 2 + i * rowH + (rowH - 8) / 2;
+              doc.font(isTotal ? boldFont : bodyFont).fontSize(isTotal ? 9 : 7).fillColor(textColor);
+              doc.text(label, totalLabelX + 2, yy, { width: totalLabelW - 4, align: 'center' });
+              doc.text(fmtMoney(val), totalAmountX + 4, yy, { width: totalAmountW - 8, align: 'right' });
+            });
+            if (showTax) {
+              doc.font(bodyFont).fontSize(6.5).fillColor(textColor);
+              doc.text(pdfTaxLabel(data).toUpperCase() + (Number(data.taxExempt) ? '' : ' ON ' + fmtMoney(data.taxableSubtotal ?? data.subtotal) + ' TAXABLE'),
+                ftX + 4, ftY + ftH - 10, { width: termsColW - 8 });
+            }
+          } else {
+            const totalStr = fmtMoney(data.total);
+            doc.font(boldFont).fontSize(cfg.footer?.totalFontSize || 10).fillColor(textColor);
+            doc.text('TOTAL', totalLabelX + 4, ftY + (ftH / 2) - 6, { width: totalLabelW - 8, align: 'center' });
+            doc.fontSize(cfg.footer?.totalAmountFontSize || 11);
+            doc.text(totalStr, totalAmountX + 4, ftY + (ftH / 2) - 6, { width: totalAmountW - 8, align: 'right' });
+          }
         }
       }
     }
@@ -3803,8 +5739,10 @@ async function generateEstimatePdf(estimateId, templateId = null) {
            c.companyName, c.name AS custName,
            c.phone AS custPhone, c.fax AS custFax, c.email AS custEmail,
            c.billingAddress AS custBillingAddress, c.billingCity AS custBillingCity,
-           c.billingState AS custBillingState, c.billingZip AS custBillingZip
+           c.billingState AS custBillingState, c.billingZip AS custBillingZip,
+           tj.name AS taxJurisdictionName, c.taxExemptCertNumber AS custTaxExemptCertNumber
     FROM estimates e LEFT JOIN customers c ON e.customerId = c.id
+    LEFT JOIN tax_jurisdictions tj ON tj.id = e.taxJurisdictionId
     WHERE e.id = ?
   `, [estimateId]);
   if (!estimate) throw new Error('Estimate not found');
@@ -3825,11 +5763,11 @@ async function generateEstimatePdf(estimateId, templateId = null) {
   );
 
   const cfg = await loadTemplateConfig(effectiveTemplateId, 'estimate');
-  return generatePdfWithConfig(estimate, lineItems, cfg, 'estimate');
+  return generatePdfWithConfig(estimate, lineItems.map(pdfOptionLine), cfg, 'estimate');
 }
 
 // GET /estimates - list all estimates
-app.get('/estimates', authenticate, async (req, res) => {
+app.get('/estimates', authenticate, requirePermission('estimates.view'), async (req, res) => {
   try {
     const { status, customerId, workOrderId, search } = req.query;
     let sql = `
@@ -3844,9 +5782,9 @@ app.get('/estimates', authenticate, async (req, res) => {
     if (customerId) { conditions.push('e.customerId = ?'); params.push(Number(customerId)); }
     if (workOrderId) { conditions.push('e.workOrderId = ?'); params.push(Number(workOrderId)); }
     if (search) {
-      conditions.push('(c.companyName LIKE ? OR c.name LIKE ? OR e.projectName LIKE ? OR e.poNumber LIKE ?)');
+      conditions.push('(c.companyName LIKE ? OR c.name LIKE ? OR e.projectName LIKE ? OR e.poNumber LIKE ? OR e.estimateNumber LIKE ?)');
       const s = `%${search}%`;
-      params.push(s, s, s, s);
+      params.push(s, s, s, s, s);
     }
 
     if (conditions.length) sql += ' WHERE ' + conditions.join(' AND ');
@@ -3861,15 +5799,17 @@ app.get('/estimates', authenticate, async (req, res) => {
 });
 
 // GET /estimates/:id - single estimate with line items
-app.get('/estimates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/estimates/:id', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[estimate]] = await db.query(`
       SELECT e.*,
              c.companyName, c.name AS custName,
              c.phone AS custPhone, c.fax AS custFax, c.email AS custEmail,
              c.billingAddress AS custBillingAddress, c.billingCity AS custBillingCity,
-             c.billingState AS custBillingState, c.billingZip AS custBillingZip
+             c.billingState AS custBillingState, c.billingZip AS custBillingZip,
+             tj.name AS taxJurisdictionName, c.taxExemptCertNumber AS custTaxExemptCertNumber
       FROM estimates e LEFT JOIN customers c ON e.customerId = c.id
+      LEFT JOIN tax_jurisdictions tj ON tj.id = e.taxJurisdictionId
       WHERE e.id = ?
     `, [req.params.id]);
     if (!estimate) return res.status(404).json({ error: 'Estimate not found.' });
@@ -3885,6 +5825,21 @@ app.get('/estimates/:id', authenticate, requireNumericParam('id'), async (req, r
       [req.params.id]
     );
     estimate.lineItems = lineItems;
+    estimate.margin = await lineItemMarginSummary(lineItems);
+    estimate.pdfUrl = signedFileUrl(estimate.pdfPath, req.user.id);
+
+    // The options the customer picked on the public page, if they did
+    const [[picked]] = await db.query(
+      `SELECT selection, recipientEmail, respondedAt FROM public_tokens
+        WHERE estimateId = ? AND type = 'estimate_review' AND selection IS NOT NULL
+        ORDER BY respondedAt DESC, id DESC LIMIT 1`,
+      [req.params.id]
+    );
+    estimate.customerSelection = picked ? {
+      lineIds: typeof picked.selection === 'string' ? JSON.parse(picked.selection) : picked.selection,
+      recipientEmail: picked.recipientEmail,
+      respondedAt: picked.respondedAt,
+    } : null;
     res.json(estimate);
   } catch (err) {
     console.error('Error fetching estimate:', err);
@@ -3893,7 +5848,7 @@ app.get('/estimates/:id', authenticate, requireNumericParam('id'), async (req, r
 });
 
 // POST /estimates - create new estimate
-app.post('/estimates', authenticate, async (req, res) => {
+app.post('/estimates', authenticate, requirePermission('estimates.edit'), async (req, res) => {
   try {
     const body = coerceBody(req);
 
@@ -3911,8 +5866,8 @@ app.post('/estimates', authenticate, async (req, res) => {
       resolvedCustomerId = cust.id;
     }
 
-    const cols = ['customerId'];
-    const vals = [resolvedCustomerId];
+    const cols = ['customerId', 'estimateNumber'];
+    const vals = [resolvedCustomerId, await nextDocumentNumber('estimate')];
     const fields = ['workOrderId','status','issueDate','expirationDate','poNumber','projectName',
       'projectAddress','projectCity','projectState','projectZip',
       'billingAddress','billingCity','billingState','billingZip',
@@ -3934,13 +5889,13 @@ app.post('/estimates', authenticate, async (req, res) => {
       `INSERT INTO estimates (${cols.join(',')}) VALUES (${placeholders})`,
       vals
     );
+    await syncDocumentTaxJurisdiction('estimates', result.insertId, body, { created: true });
     const [[newEst]] = await db.query('SELECT * FROM estimates WHERE id = ?', [result.insertId]);
 
     // Auto-update linked work order status to "Waiting for Approval"
     if (body.workOrderId) {
       try {
-        await db.query("UPDATE work_orders SET status='Waiting for Approval' WHERE id=?", [Number(body.workOrderId)]);
-        await stampEstimateSentIfWaiting(Number(body.workOrderId), 'Waiting for Approval');
+        await moveWorkOrderStatus(Number(body.workOrderId), 'Waiting for Approval', req.user?.username || 'System', 'estimate-create');
       } catch (woErr) {
         console.error('Failed to update WO status on estimate create:', woErr.message);
       }
@@ -3954,7 +5909,7 @@ app.post('/estimates', authenticate, async (req, res) => {
 });
 
 // PUT /estimates/:id - update estimate
-app.put('/estimates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/estimates/:id', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const body = coerceBody(req);
     const sets = [];
@@ -3971,14 +5926,15 @@ app.put('/estimates/:id', authenticate, requireNumericParam('id'), async (req, r
       }
     }
 
-    if (sets.length === 0) return res.status(400).json({ error: 'No fields to update.' });
+    if (sets.length === 0 && body.taxJurisdictionId === undefined) return res.status(400).json({ error: 'No fields to update.' });
     sets.push('updatedAt=NOW()');
     params.push(req.params.id);
 
     await db.query(`UPDATE estimates SET ${sets.join(',')} WHERE id=?`, params);
 
-    // Recalculate if taxRate changed
-    if (body.taxRate !== undefined) await recalcEstimateTotals(req.params.id);
+    // Recalculate if the tax rate or jurisdiction changed
+    const taxMoved = await syncDocumentTaxJurisdiction('estimates', req.params.id, body);
+    if (body.taxRate !== undefined || taxMoved) await recalcEstimateTotals(req.params.id);
 
     const [[updated]] = await db.query('SELECT * FROM estimates WHERE id = ?', [req.params.id]);
     res.json(updated);
@@ -3989,7 +5945,7 @@ app.put('/estimates/:id', authenticate, requireNumericParam('id'), async (req, r
 });
 
 // DELETE /estimates/:id
-app.delete('/estimates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/estimates/:id', authenticate, requirePermission('estimates.delete'), requireNumericParam('id'), async (req, res) => {
   try {
     await db.query('DELETE FROM estimates WHERE id = ?', [req.params.id]);
     res.json({ success: true });
@@ -4000,15 +5956,19 @@ app.delete('/estimates/:id', authenticate, requireNumericParam('id'), async (req
 });
 
 // POST /estimates/:id/line-items - add line item
-app.post('/estimates/:id/line-items', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/estimates/:id/line-items', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const body = coerceBody(req);
     if (!body.description && !body.itemName) return res.status(400).json({ error: 'description or itemName is required.' });
-    if (body.amount === undefined) return res.status(400).json({ error: 'amount is required.' });
+    const cost = lineItemCostValues(body);
+    if (cost.amount == null) return res.status(400).json({ error: 'amount (or unitCost and markupPct) is required.' });
 
+    const opt = lineOptionValues(body);
     await db.query(
-      'INSERT INTO estimate_line_items (estimateId, itemName, description, quantity, amount, sortOrder) VALUES (?,?,?,?,?,?)',
-      [req.params.id, body.itemName || null, body.description || '', body.quantity ?? null, Number(body.amount), body.sortOrder || 0]
+      `INSERT INTO estimate_line_items (estimateId, itemName, description, quantity, amount, unitCost, markupPct, taxable,
+        isOptional, optionGroup, isSelected, sortOrder) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+      [req.params.id, body.itemName || null, body.description || '', body.quantity ?? null, cost.amount, cost.unitCost, cost.markupPct,
+        lineTaxable(body.taxable), opt.isOptional, opt.optionGroup, opt.isSelected, body.sortOrder || 0]
     );
     await recalcEstimateTotals(req.params.id);
 
@@ -4018,6 +5978,7 @@ app.post('/estimates/:id/line-items', authenticate, requireNumericParam('id'), a
       [req.params.id]
     );
     estimate.lineItems = lineItems;
+    estimate.margin = await lineItemMarginSummary(lineItems);
     res.status(201).json(estimate);
   } catch (err) {
     console.error('Error adding line item:', err);
@@ -4026,7 +5987,7 @@ app.post('/estimates/:id/line-items', authenticate, requireNumericParam('id'), a
 });
 
 // PUT /estimates/:id/line-items/:itemId - update line item
-app.put('/estimates/:id/line-items/:itemId', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/estimates/:id/line-items/:itemId', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const body = coerceBody(req);
     const sets = [];
@@ -4037,13 +5998,17 @@ app.put('/estimates/:id/line-items/:itemId', authenticate, requireNumericParam('
     if (body.quantity !== undefined) { sets.push('quantity=?'); params.push(body.quantity); }
     if (body.amount !== undefined) { sets.push('amount=?'); params.push(Number(body.amount)); }
     if (body.sortOrder !== undefined) { sets.push('sortOrder=?'); params.push(Number(body.sortOrder)); }
+    if (body.taxable !== undefined) { sets.push('taxable=?'); params.push(lineTaxable(body.taxable)); }
+    lineOptionUpdates(body, sets, params);
+    await lineItemCostUpdates('estimate_line_items', req.params.itemId, body, sets, params);
 
     if (sets.length === 0) return res.status(400).json({ error: 'No fields to update.' });
     params.push(req.params.itemId, req.params.id);
 
     await db.query(`UPDATE estimate_line_items SET ${sets.join(',')} WHERE id=? AND estimateId=?`, params);
     await recalcEstimateTotals(req.params.id);
-    res.json({ success: true });
+    const [lineItems] = await db.query('SELECT * FROM estimate_line_items WHERE estimateId = ?', [req.params.id]);
+    res.json({ success: true, margin: await lineItemMarginSummary(lineItems) });
   } catch (err) {
     console.error('Error updating line item:', err);
     res.status(500).json({ error: 'Failed to update line item.' });
@@ -4051,11 +6016,12 @@ app.put('/estimates/:id/line-items/:itemId', authenticate, requireNumericParam('
 });
 
 // DELETE /estimates/:id/line-items/:itemId
-app.delete('/estimates/:id/line-items/:itemId', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/estimates/:id/line-items/:itemId', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     await db.query('DELETE FROM estimate_line_items WHERE id=? AND estimateId=?', [req.params.itemId, req.params.id]);
     await recalcEstimateTotals(req.params.id);
-    res.json({ success: true });
+    const [lineItems] = await db.query('SELECT * FROM estimate_line_items WHERE estimateId = ?', [req.params.id]);
+    res.json({ success: true, margin: await lineItemMarginSummary(lineItems) });
   } catch (err) {
     console.error('Error deleting line item:', err);
     res.status(500).json({ error: 'Failed to delete line item.' });
@@ -4063,7 +6029,7 @@ app.delete('/estimates/:id/line-items/:itemId', authenticate, requireNumericPara
 });
 
 // PUT /estimates/:id/line-items/reorder
-app.put('/estimates/:id/line-items/reorder', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/estimates/:id/line-items/reorder', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const body = coerceBody(req);
     const items = body.items || [];
@@ -4080,8 +6046,27 @@ app.put('/estimates/:id/line-items/reorder', authenticate, requireNumericParam('
   }
 });
 
+// PUT /estimates/:id/selection — record the customer's option picks taken by
+// phone/email (same rules as the public page: one per option group).
+app.put('/estimates/:id/selection', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const body = coerceBody(req);
+    const [lines] = await db.query(
+      'SELECT id, isOptional, optionGroup, isSelected FROM estimate_line_items WHERE estimateId = ?', [req.params.id]
+    );
+    const selection = validateEstimateSelection(lines, body.selectedLineIds);
+    if (selection.error) return res.status(400).json({ error: selection.error });
+    await applyEstimateSelection(req.params.id, lines, selection.selected);
+    const [[updated]] = await db.query('SELECT * FROM estimates WHERE id = ?', [req.params.id]);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating estimate selection:', err);
+    res.status(500).json({ error: 'Failed to update option selection.' });
+  }
+});
+
 // PUT /estimates/:id/status - update status
-app.put('/estimates/:id/status', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/estimates/:id/status', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const body = coerceBody(req);
     const { status } = body;
@@ -4098,16 +6083,19 @@ app.put('/estimates/:id/status', authenticate, requireNumericParam('id'), async
     params.push(req.params.id);
     await db.query(`UPDATE estimates SET ${sets.join(',')} WHERE id=?`, params);
 
+    // Marked Sent by hand — it went out some other way, but it still counts as a send.
+    if (status === 'Sent') {
+      const [[sent]] = await db.query('SELECT pdfPath FROM estimates WHERE id=?', [req.params.id]);
+      await recordEstimateSend(req.params.id, { method: 'manual', pdfPath: sent?.pdfPath || null, user: req.user?.username || null });
+    }
+
     // Sync status to linked work order (only on Accept)
     if (status === 'Accepted') {
       const [[est]] = await db.query('SELECT workOrderId FROM estimates WHERE id=?', [req.params.id]);
       if (est?.workOrderId) {
         try {
-          const [[prevWo]] = await db.query('SELECT status FROM work_orders WHERE id=?', [est.workOrderId]);
-          await db.query("UPDATE work_orders SET status='Approved' WHERE id=?", [est.workOrderId]);
+          await moveWorkOrderStatus(est.workOrderId, 'Approved', req.user?.username || 'System', 'estimate-status');
           console.log('[Estimate] Accepted - Updated WO #' + est.workOrderId + ' status to Approved');
-          await maybeLogApprovalNote(est.workOrderId, prevWo?.status, 'Approved', req.user?.username || 'System');
-          await stampStatusChangedAt(est.workOrderId, prevWo?.status, 'Approved');
         } catch (woErr) {
           console.warn('[PUT /estimates] Failed to sync WO status:', woErr.message);
         }
@@ -4123,7 +6111,7 @@ app.put('/estimates/:id/status', authenticate, requireNumericParam('id'), async
 });
 
 // POST /estimates/:id/generate-pdf
-app.post('/estimates/:id/generate-pdf', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/estimates/:id/generate-pdf', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     console.log('[PDF Gen] POST /estimates/' + req.params.id + '/generate-pdf — body keys:', Object.keys(b), 'templateId:', b.templateId);
@@ -4147,7 +6135,7 @@ app.post('/estimates/:id/generate-pdf', authenticate, requireNumericParam('id'),
 });
 
 // POST /estimates/:id/send-email (placeholder)
-app.post('/estimates/:id/send-email', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/estimates/:id/send-email', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     // Generate PDF if not already generated
     const [[est]] = await db.query('SELECT pdfPath FROM estimates WHERE id = ?', [req.params.id]);
@@ -4168,6 +6156,7 @@ app.post('/estimates/:id/send-email', authenticate, requireNumericParam('id'), a
 
     // Update status to Sent
     await db.query('UPDATE estimates SET status=?, sentAt=NOW(), updatedAt=NOW() WHERE id=?', ['Sent', req.params.id]);
+    await recordEstimateSend(req.params.id, { method: 'manual', pdfPath, user: req.user?.username || null });
 
     res.json({ message: 'Email sending will be configured soon. PDF has been generated.', pdfPath });
   } catch (err) {
@@ -4176,46 +6165,251 @@ app.post('/estimates/:id/send-email', authenticate, requireNumericParam('id'), a
   }
 });
 
+// ─── ESTIMATE REVISIONS ─────────────────────────────────────────────────────
+// The estimates row is the current revision and stays editable. "Revise" freezes
+// it into estimate_revisions (snapshot + PDF) and bumps revisionNumber, so what
+// the customer was quoted before can't be overwritten by later edits.
+
+const ESTIMATE_SNAPSHOT_FIELDS = ['status', 'issueDate', 'expirationDate', 'poNumber', 'projectName',
+  'projectAddress', 'projectCity', 'projectState', 'projectZip',
+  'billingAddress', 'billingCity', 'billingState', 'billingZip',
+  'subtotal', 'taxableSubtotal', 'taxRate', 'taxAmount', 'total', 'taxJurisdictionId', 'taxExempt', 'notes', 'terms'];
+
+async function snapshotEstimate(estimateId) {
+  const [[est]] = await db.query('SELECT * FROM estimates WHERE id = ?', [estimateId]);
+  if (!est) return null;
+  const [lineItems] = await db.query(
+    `SELECT id, itemName, description, quantity, amount, unitCost, markupPct, taxable,
+            isOptional, optionGroup, isSelected, sortOrder
+       FROM estimate_line_items WHERE estimateId = ? ORDER BY sortOrder ASC, id ASC`,
+    [estimateId]
+  );
+  const header = {};
+  for (const f of ESTIMATE_SNAPSHOT_FIELDS) header[f] = est[f] ?? null;
+  return { estimate: est, snapshot: { ...header, revisionNumber: est.revisionNumber || 1, lineItems } };
+}
+
+// Upsert the snapshot for the estimate's current revision (or a snapshot taken
+// earlier via `snap`). Superseded revisions have a lower number than the live
+// row, so a send can never rewrite them.
+async function saveEstimateRevision(estimateId, { snap = null, pdfPath = null, reason = null, user = null, supersede = false } = {}) {
+  snap = snap || await snapshotEstimate(estimateId);
+  if (!snap) return null;
+  const { estimate, snapshot } = snap;
+  await db.query(
+    `INSERT INTO estimate_revisions
+       (estimateId, revisionNumber, status, subtotal, taxAmount, total, snapshot, pdfPath, reason, createdBy, supersededAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${supersede ? 'NOW()' : 'NULL'})
+     ON DUPLICATE KEY UPDATE status=VALUES(status), subtotal=VALUES(subtotal), taxAmount=VALUES(taxAmount),
+       total=VALUES(total), snapshot=VALUES(snapshot), pdfPath=COALESCE(VALUES(pdfPath), pdfPath),
+       reason=COALESCE(VALUES(reason), reason), supersededAt=VALUES(supersededAt)`,
+    [estimateId, snapshot.revisionNumber, estimate.status, estimate.subtotal || 0, estimate.taxAmount || 0,
+      estimate.total || 0, JSON.stringify(snapshot), pdfPath, reason, user]
+  );
+  return snapshot;
+}
+
+// Record that the current revision went to the customer and keep a snapshot of
+// what it said. Never throws — a missing send record must not fail a send.
+async function recordEstimateSend(estimateId, { method = 'email', emailLogId = null, recipientEmail = null, subject = null, pdfPath = null, user = null } = {}) {
+  try {
+    const snapshot = await saveEstimateRevision(estimateId, { pdfPath, user });
+    if (!snapshot) return;
+    await db.query(
+      `INSERT INTO estimate_sends (estimateId, revisionNumber, method, emailLogId, recipientEmail, subject, total, pdfPath, sentBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [estimateId, snapshot.revisionNumber, method, emailLogId, recipientEmail, subject, snapshot.total, pdfPath, user]
+    );
+  } catch (e) {
+    console.warn('[Estimate Revisions] Could not record send for estimate', estimateId, e.message);
+  }
+}
+
+// GET /estimates/:id/revisions — every revision (oldest first) with its snapshot,
+// PDF and sends; the last entry is the live, editable one.
+app.get('/estimates/:id/revisions', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const snap = await snapshotEstimate(req.params.id);
+    if (!snap) return res.status(404).json({ error: 'Estimate not found.' });
+    const { estimate, snapshot } = snap;
+
+    const [rows] = await db.query(
+      'SELECT * FROM estimate_revisions WHERE estimateId = ? ORDER BY revisionNumber ASC', [req.params.id]
+    );
+    const [sends] = await db.query(
+      'SELECT * FROM estimate_sends WHERE estimateId = ? ORDER BY sentAt ASC, id ASC', [req.params.id]
+    );
+    const sendsFor = (n) => sends
+      .filter((s) => Number(s.revisionNumber) === Number(n))
+      .map((s) => ({ ...s, pdfUrl: signedFileUrl(s.pdfPath, req.user.id) }));
+
+    const revisions = rows
+      .filter((r) => r.revisionNumber < snapshot.revisionNumber)
+      .map((r) => ({
+        revisionNumber: r.revisionNumber,
+        isCurrent: false,
+        status: r.status,
+        subtotal: Number(r.subtotal) || 0,
+        taxAmount: Number(r.taxAmount) || 0,
+        total: Number(r.total) || 0,
+        reason: r.reason,
+        createdBy: r.createdBy,
+        createdAt: r.createdAt,
+        supersededAt: r.supersededAt,
+        pdfUrl: signedFileUrl(r.pdfPath, req.user.id),
+        snapshot: typeof r.snapshot === 'string' ? JSON.parse(r.snapshot) : r.snapshot,
+        sends: sendsFor(r.revisionNumber),
+      }));
+
+    revisions.push({
+      revisionNumber: snapshot.revisionNumber,
+      isCurrent: true,
+      status: estimate.status,
+      subtotal: Number(estimate.subtotal) || 0,
+      taxAmount: Number(estimate.taxAmount) || 0,
+      total: Number(estimate.total) || 0,
+      reason: null,
+      createdBy: null,
+      createdAt: estimate.updatedAt,
+      supersededAt: null,
+      pdfUrl: signedFileUrl(estimate.pdfPath, req.user.id),
+      snapshot,
+      sends: sendsFor(snapshot.revisionNumber),
+    });
+
+    res.json({ currentRevision: snapshot.revisionNumber, revisions });
+  } catch (err) {
+    console.error('Error fetching estimate revisions:', err);
+    res.status(500).json({ error: 'Failed to fetch estimate revisions.' });
+  }
+});
+
+// POST /estimates/:id/revisions — freeze the current revision (snapshot + PDF)
+// and start the next one as a Draft with the same lines.
+app.post('/estimates/:id/revisions', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const snap = await snapshotEstimate(req.params.id);
+    if (!snap) return res.status(404).json({ error: 'Estimate not found.' });
+    const fromRevision = snap.snapshot.revisionNumber;
+
+    // Render the outgoing revision before anything changes so its PDF matches the snapshot.
+    const pdfBuffer = await generateEstimatePdf(req.params.id);
+    const filename = `estimate_${req.params.id}_rev${fromRevision}_${Date.now()}.pdf`;
+    const localDir = path.resolve(__dirname, 'uploads');
+    if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
+    const localPath = path.join(localDir, filename);
+    fs.writeFileSync(localPath, pdfBuffer);
+    const pdfPath = `uploads/${filename}`;
+    await uploadToS3IfConfigured(localPath, pdfPath);
+
+    // Claim the bump conditionally so two clicks can't both create the same revision.
+    const [bump] = await db.query(
+      `UPDATE estimates
+          SET revisionNumber = revisionNumber + 1, status = 'Draft', pdfPath = NULL,
+              sentAt = NULL, acceptedAt = NULL, declinedAt = NULL, publicToken = NULL, tokenExpiresAt = NULL,
+              updatedAt = NOW()
+        WHERE id = ? AND revisionNumber = ?`,
+      [req.params.id, fromRevision]
+    );
+    if (bump.affectedRows === 0) {
+      return res.status(409).json({ error: 'This estimate was revised by someone else. Reload and try again.' });
+    }
+    const reason = b.reason ? String(b.reason).trim().slice(0, 500) || null : null;
+    await saveEstimateRevision(req.params.id, { snap, pdfPath, reason, user: req.user?.username || null, supersede: true });
+
+    // Links already emailed for the old revision must not accept the new one.
+    await db.query(
+      "UPDATE public_tokens SET expiresAt = NOW() WHERE estimateId = ? AND type = 'estimate_review' AND usedAt IS NULL",
+      [req.params.id]
+    );
+
+    const [[updated]] = await db.query('SELECT * FROM estimates WHERE id = ?', [req.params.id]);
+    res.status(201).json(updated);
+  } catch (err) {
+    console.error('Error creating estimate revision:', err);
+    res.status(500).json({ error: 'Failed to create estimate revision.' });
+  }
+});
+
 // ─── INVOICES ───────────────────────────────────────────────────────────────
 
-async function getNextInvoiceNumber() {
-  const [[row]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'nextInvoiceNumber'");
-  const current = Number(row?.settingValue) || 1;
-  await db.query("UPDATE settings SET settingValue = ?, updatedAt = NOW() WHERE settingKey = 'nextInvoiceNumber'", [String(current + 1)]);
-  return String(current);
+// ─── DOCUMENT NUMBERING ─────────────────────────────────────────────────────
+// Where each numbered document keeps its number. Formats live in document_sequences.
+const NUMBERED_DOCUMENTS = {
+  invoice:   { table: 'invoices',    column: 'invoiceNumber',  label: 'Invoices' },
+  estimate:  { table: 'estimates',   column: 'estimateNumber', label: 'Estimates' },
+  workOrder: { table: 'work_orders', column: 'jobNumber',      label: 'Work Orders (Job #)' },
+};
+
+// Allocate the next number for a document type. The sequence row is locked for
+// the transaction so two people creating invoices at once can't get the same
+// number; numbers already in use (counter set back, imported documents) are skipped.
+async function nextDocumentNumber(docType) {
+  const doc = NUMBERED_DOCUMENTS[docType];
+  if (!doc) throw new Error(`Unknown document type "${docType}"`);
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('INSERT IGNORE INTO document_sequences (docType) VALUES (?)', [docType]);
+    const [[seq]] = await conn.query('SELECT * FROM document_sequences WHERE docType = ? FOR UPDATE', [docType]);
+    const year = new Date().getFullYear();
+    const { value, number } = await firstFreeNumber(seq, year, async (candidate) => {
+      const [[taken]] = await conn.query(`SELECT 1 AS x FROM \`${doc.table}\` WHERE \`${doc.column}\` = ? LIMIT 1`, [candidate]);
+      return !!taken;
+    });
+    await conn.query('UPDATE document_sequences SET nextValue = ?, currentYear = ? WHERE docType = ?', [value + 1, year, docType]);
+    await conn.commit();
+    return number;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
 }
 
+// Balance math is invoiceBalance (utils/invoiceTotals); paid is net of refunds.
+// Returns the new figures so payment routes don't recompute them.
 async function recalcInvoiceTotals(invoiceId) {
-  const [[{ s }]] = await db.query(
-    'SELECT COALESCE(SUM(amount), 0) AS s FROM invoice_line_items WHERE invoiceId = ?',
+  const [items] = await db.query('SELECT amount, taxable, creditInvoiceId FROM invoice_line_items WHERE invoiceId = ?', [invoiceId]);
+  const [[inv]] = await db.query('SELECT taxRate, status, customerId, issueDate, taxExempt, retainagePct FROM invoices WHERE id = ?', [invoiceId]);
+  const exempt = await documentTaxExempt(inv);
+  const { subtotal, taxableSubtotal, taxAmount, total, taxExempt } = computeDocumentTax(items, inv?.taxRate, exempt);
+  const [[{ paid, refunded }]] = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS paid, COALESCE(-SUM(CASE WHEN amount < 0 THEN amount END), 0) AS refunded
+       FROM invoice_payments WHERE invoiceId = ?`,
     [invoiceId]
   );
-  const subtotal = Number(s) || 0;
-  const [[inv]] = await db.query('SELECT taxRate, status FROM invoices WHERE id = ?', [invoiceId]);
-  const taxRate = Number(inv?.taxRate) || 0;
-  const taxAmount = Math.round(subtotal * taxRate) / 100;
-  const total = subtotal + taxAmount;
-  const [[{ paid }]] = await db.query(
-    'SELECT COALESCE(SUM(amount), 0) AS paid FROM invoice_payments WHERE invoiceId = ?',
+  const [[adj]] = await db.query(
+    `SELECT COALESCE(SUM(CASE WHEN type IN ('credit','waiver') THEN amount END), 0) AS credits,
+            COALESCE(SUM(CASE WHEN type = 'writeoff' THEN amount END), 0) AS writeOffs
+       FROM invoice_adjustments WHERE invoiceId = ?`,
     [invoiceId]
   );
-  const amountPaid = Number(paid) || 0;
-  const balanceDue = Math.round((total - amountPaid) * 100) / 100;
-
-  let paymentStatus = 'Unpaid';
-  if (amountPaid >= total && total > 0) paymentStatus = 'Paid';
-  else if (amountPaid > 0) paymentStatus = 'Partial';
-
-  const sets = ['subtotal=?', 'taxAmount=?', 'total=?', 'amountPaid=?', 'balanceDue=?', 'paymentStatus=?', 'updatedAt=NOW()'];
-  const params = [subtotal, taxAmount, total, amountPaid, balanceDue, paymentStatus];
-
-  if (balanceDue <= 0 && amountPaid > 0 && inv?.status !== 'Draft' && inv?.status !== 'Void') {
-    sets.push("status='Paid'", 'paidAt=NOW()');
-  } else if (amountPaid > 0 && balanceDue > 0 && inv?.status !== 'Draft' && inv?.status !== 'Void') {
-    sets.push("status='Partial'");
+  const workBilled = items.filter((li) => !li.creditInvoiceId).reduce((s, li) => s + (Number(li.amount) || 0), 0);
+  const { retainageAmount, creditAmount, writeOffAmount, amountDue, amountPaid, balanceDue, settled, paymentStatus } =
+    invoiceBalance({ total, workBilled, retainagePct: inv?.retainagePct, paid, credits: adj.credits, writeOffs: adj.writeOffs });
+
+  const sets = ['subtotal=?', 'taxableSubtotal=?', 'taxExempt=?', 'taxAmount=?', 'total=?', 'retainageAmount=?',
+    'creditAmount=?', 'writeOffAmount=?', 'refundedAmount=?', 'amountPaid=?', 'balanceDue=?', 'paymentStatus=?', 'updatedAt=NOW()'];
+  const params = [subtotal, taxableSubtotal, taxExempt, taxAmount, total, retainageAmount,
+    creditAmount, writeOffAmount, round2p(refunded), amountPaid, balanceDue, paymentStatus];
+
+  const open = inv?.status !== 'Draft' && inv?.status !== 'Void';
+  if (open && settled) {
+    // paidAt (the settled date) before status: MySQL applies SET left to right, so this still sees the old status.
+    sets.push("paidAt=IF(status IN ('Paid','Closed') AND paidAt IS NOT NULL, paidAt, NOW())", 'status=?');
+    params.push(paymentStatus);
+  } else if (open && amountPaid > 0 && balanceDue > 0) {
+    sets.push("status='Partial'", 'paidAt=NULL');
+  } else if (open && (inv?.status === 'Paid' || inv?.status === 'Closed') && balanceDue > 0) {
+    // A refund or reversed credit put money back on it
+    sets.push("status='Sent'", 'paidAt=NULL');
   }
 
   await db.query(`UPDATE invoices SET ${sets.join(',')} WHERE id=?`, [...params, invoiceId]);
+  return { total, amountDue, amountPaid, balanceDue, paymentStatus, creditAmount, writeOffAmount };
 }
 
 // --- Generate professional Invoice PDF matching QuickBooks format ---
@@ -4226,11 +6420,15 @@ async function generateInvoicePdf(invoiceId, templateId = null) {
            c.companyName, c.name AS custName,
            c.phone AS custPhone, c.fax AS custFax, c.email AS custEmail,
            c.billingAddress AS custBillingAddress, c.billingCity AS custBillingCity,
-           c.billingState AS custBillingState, c.billingZip AS custBillingZip
+           c.billingState AS custBillingState, c.billingZip AS custBillingZip,
+           tj.name AS taxJurisdictionName, c.taxExemptCertNumber AS custTaxExemptCertNumber,
+           c.collectionPolicyId
     FROM invoices i LEFT JOIN customers c ON i.customerId = c.id
+    LEFT JOIN tax_jurisdictions tj ON tj.id = i.taxJurisdictionId
     WHERE i.id = ?
   `, [invoiceId]);
   if (!invoice) throw new Error('Invoice not found');
+  invoice.terms = await invoiceTermsText(invoice, (await loadCollectionPolicies()).forCustomer(invoice.collectionPolicyId));
   console.log('[PDF Gen] Invoice loaded — invoice.templateId stored in DB:', invoice.templateId);
 
   // Use explicit templateId param, fall back to invoice's stored templateId
@@ -4252,7 +6450,7 @@ async function generateInvoicePdf(invoiceId, templateId = null) {
 }
 
 // GET /invoices/overdue-summary (must be before :id route)
-app.get('/invoices/overdue-summary', authenticate, async (req, res) => {
+app.get('/invoices/overdue-summary', authenticate, requirePermission('invoices.view'), async (req, res) => {
   try {
     const [[row]] = await db.query(
       "SELECT COUNT(*) AS cnt, COALESCE(SUM(balanceDue), 0) AS total FROM invoices WHERE status IN ('Sent','Overdue') AND dueDate < CURDATE() AND balanceDue > 0"
@@ -4265,7 +6463,7 @@ app.get('/invoices/overdue-summary', authenticate, async (req, res) => {
 });
 
 // GET /invoices - list all invoices
-app.get('/invoices', authenticate, async (req, res) => {
+app.get('/invoices', authenticate, requirePermission('invoices.view'), async (req, res) => {
   try {
     const { status, customerId, workOrderId, search } = req.query;
     let sql = `
@@ -4310,21 +6508,25 @@ app.get('/invoices', authenticate, async (req, res) => {
 
 // GET /invoices/collections — all chaseable invoices with computed overdue/late-fee
 // info. MUST be declared before /invoices/:id so "collections" isn't treated as an id.
-// (Helpers computeCollections/etc. are hoisted function declarations defined below.)
-app.get('/invoices/collections', authenticate, async (req, res) => {
+// (computeCollections is in utils/collections; the other helpers are hoisted declarations below.)
+app.get('/invoices/collections', authenticate, requirePermission('invoices.view'), async (req, res) => {
   try {
     const [rows] = await db.query(`
       SELECT i.*, c.companyName, c.name AS custName, c.email AS custEmail, c.phone AS custPhone,
-             w.workOrderNumber
+             c.collectionPolicyId, c.autoReminders, c.remindersPaused, c.remindersPausedReason, w.workOrderNumber
       FROM invoices i
       LEFT JOIN customers c ON i.customerId = c.id
       LEFT JOIN work_orders w ON i.workOrderId = w.id
       WHERE i.status IN ('Sent','Partial','Overdue','Unpaid')
-        AND (COALESCE(i.total,0) - COALESCE(i.amountPaid,0)) > 0
+        AND (COALESCE(i.total,0) - COALESCE(i.retainageAmount,0) - COALESCE(i.creditAmount,0) - COALESCE(i.writeOffAmount,0) - COALESCE(i.amountPaid,0)) > 0
     `);
 
+    const fees = await lateFeeTotals(rows.map((r) => r.id));
+    const policies = await loadCollectionPolicies();
     const list = rows.map((inv) => {
-      const comp = computeCollections(inv);
+      const policy = policies.forCustomer(inv.collectionPolicyId);
+      const comp = computeCollections(inv, policy);
+      const fee = fees.get(inv.id);
       return {
         id: inv.id,
         invoiceNumber: inv.invoiceNumber,
@@ -4340,10 +6542,21 @@ app.get('/invoices/collections', authenticate, async (req, res) => {
         daysOverdue: comp.daysOverdue,
         dueDate: comp.dueDate,
         reminderStage: comp.reminderStage,
-        lateFee: comp.lateFee,
+        reminderDue: comp.reminderDue,
+        policy: {
+          name: policy.name, netDays: policy.netDays, feePct: policy.feePct,
+          compounding: policy.compounding, escalationDays: policy.escalationDays, reminderCadenceDays: policy.reminderCadenceDays,
+        },
+        lateFee: fee.billed,
+        pendingLateFee: fee.pending,
+        financeChargeForInvoiceId: inv.financeChargeForInvoiceId || null,
         qbPayLink: inv.qbPayLink || '',
         lastReminderAt: inv.lastReminderAt || null,
         storedReminderStage: inv.reminderStage || 'None',
+        customerId: inv.customerId || null,
+        autoReminders: !!Number(inv.autoReminders),
+        remindersPaused: !!Number(inv.remindersPaused),
+        remindersPausedReason: inv.remindersPausedReason || '',
       };
     });
 
@@ -4357,15 +6570,17 @@ app.get('/invoices/collections', authenticate, async (req, res) => {
 });
 
 // GET /invoices/:id - single invoice with line items and payments
-app.get('/invoices/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/invoices/:id', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[invoice]] = await db.query(`
       SELECT i.*,
              c.companyName, c.name AS custName,
              c.phone AS custPhone, c.fax AS custFax, c.email AS custEmail,
              c.billingAddress AS custBillingAddress, c.billingCity AS custBillingCity,
-             c.billingState AS custBillingState, c.billingZip AS custBillingZip
+             c.billingState AS custBillingState, c.billingZip AS custBillingZip,
+             tj.name AS taxJurisdictionName, c.taxExemptCertNumber AS custTaxExemptCertNumber
       FROM invoices i LEFT JOIN customers c ON i.customerId = c.id
+      LEFT JOIN tax_jurisdictions tj ON tj.id = i.taxJurisdictionId
       WHERE i.id = ?
     `, [req.params.id]);
     if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
@@ -4390,7 +6605,15 @@ app.get('/invoices/:id', authenticate, requireNumericParam('id'), async (req, re
       [req.params.id]
     );
     invoice.lineItems = lineItems;
+    invoice.margin = await lineItemMarginSummary(lineItems);
     invoice.payments = payments;
+    const [adjustments] = await db.query(`
+      SELECT a.*, cm.memoNumber
+      FROM invoice_adjustments a LEFT JOIN credit_memos cm ON cm.id = a.creditMemoId
+      WHERE a.invoiceId = ? ORDER BY a.adjustmentDate, a.id
+    `, [req.params.id]);
+    invoice.adjustments = adjustments;
+    invoice.pdfUrl = signedFileUrl(invoice.pdfPath, req.user.id);
     res.json(invoice);
   } catch (err) {
     console.error('Error fetching invoice:', err);
@@ -4398,80 +6621,92 @@ app.get('/invoices/:id', authenticate, requireNumericParam('id'), async (req, re
   }
 });
 
-// POST /invoices - create invoice
-// Company default payment terms (Net 45). Single source of truth for due-date math.
-const DEFAULT_TERMS_DAYS = 45;
+// Insert an invoice header (plus optional lines) the way POST /invoices does:
+// customer resolved or auto-created by name, next invoice number, due date from
+// terms, default terms text, sales-tax jurisdiction from the job site. Shared by
+// POST /invoices, estimate conversion, progress billing, service agreements,
+// batch invoicing and late fees. `extra` carries the columns only the server sets
+// (billingType, retainagePct, serviceAgreementId, taxJurisdictionId, batchId,
+// financeChargeForInvoiceId).
+// Returns { id } or { status, error } when the input is rejected.
+async function insertInvoice(b, { lines = [], extra = {} } = {}) {
+  // Resolve customerId: use provided ID, or find/create by name
+  let resolvedCustomerId = b.customerId ? Number(b.customerId) : null;
+  if (!resolvedCustomerId) {
+    const customerName = b.customerName || b.customerSearch;
+    if (!customerName || !String(customerName).trim()) {
+      return { status: 400, error: 'customerId or customerName is required.' };
+    }
+    const cust = await findOrCreateCustomer(customerName, {
+      billingAddress: b.billingAddress, billingCity: b.billingCity,
+      billingState: b.billingState, billingZip: b.billingZip,
+    });
+    resolvedCustomerId = cust.id;
+  }
+
+  const invoiceNumber = await nextDocumentNumber('invoice');
+  const policy = await collectionPolicyForCustomer(resolvedCustomerId);
+  const issueDate = b.issueDate || new Date().toISOString().split('T')[0];
+  const termsDays = (b.termsDays != null && b.termsDays !== '' && Number.isFinite(Number(b.termsDays))) ? Number(b.termsDays) : null;
+  const dueDate = computeDueDate(issueDate, termsDays, b.dueDate, policy.netDays);
+
+  // Default terms: the customer's own policy, else the settings text
+  let terms = b.terms;
+  if ((terms === undefined || terms === null) && !policy.isDefault) {
+    terms = policyTermsText(policy);
+  } else if (terms === undefined || terms === null) {
+    const [[ts]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'defaultInvoiceTerms'");
+    terms = ts?.settingValue || DEFAULT_TERMS;
+  }
+
+  const cols = ['billingType', 'retainagePct', 'serviceAgreementId', 'taxJurisdictionId', 'batchId', 'financeChargeForInvoiceId'].filter((c) => extra[c] !== undefined);
+  const [result] = await db.query(
+    `INSERT INTO invoices (invoiceNumber, customerId, workOrderId, estimateId, status, issueDate, dueDate, termsDays,
+      poNumber, projectName, shipToAddress, shipToCity, shipToState, shipToZip,
+      billingAddress, billingCity, billingState, billingZip,
+      subtotal, taxRate, taxAmount, total, amountPaid, balanceDue, notes, terms, templateId${cols.map((c) => ', ' + c).join('')})
+     VALUES (?, ?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?${cols.map(() => ', ?').join('')})`,
+    [
+      invoiceNumber, resolvedCustomerId, b.workOrderId || null, b.estimateId || null,
+      issueDate, dueDate, termsDays,
+      b.poNumber || null, b.projectName || null,
+      b.shipToAddress || null, b.shipToCity || null, b.shipToState || null, b.shipToZip || null,
+      b.billingAddress || null, b.billingCity || null, b.billingState || null, b.billingZip || null,
+      Number(b.subtotal) || 0, Number(b.taxRate) || 0, Number(b.taxAmount) || 0, Number(b.total) || 0,
+      Number(b.total) || 0,
+      b.notes || null, terms, b.templateId || null,
+      ...cols.map((c) => extra[c]),
+    ]
+  );
+  const id = result.insertId;
 
-// Resolution rule used EVERYWHERE a due date is set:
-//   dueDate = explicit dueDate if provided, else issueDate + (termsDays ?? 45)
-// Returns 'YYYY-MM-DD' or null when there is no issue date to anchor from.
-function computeDueDate(issueDate, termsDays, explicitDueDate) {
-  if (explicitDueDate && /^\d{4}-\d{2}-\d{2}/.test(String(explicitDueDate))) {
-    return String(explicitDueDate).slice(0, 10);
+  let sortOrder = 0;
+  for (const li of lines) {
+    await db.query(
+      `INSERT INTO invoice_line_items (invoiceId, sortOrder, itemName, description, quantity, amount, unitCost, markupPct, taxable, sovItemId, creditInvoiceId)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, sortOrder++, li.itemName || null, li.description || '', li.quantity ?? null, round2p(li.amount),
+        li.unitCost ?? null, li.markupPct ?? null, lineTaxable(li.taxable), li.sovItemId || null, li.creditInvoiceId || null]
+    );
   }
-  if (!issueDate) return null;
-  const base = new Date(String(issueDate).slice(0, 10) + 'T00:00:00Z');
-  if (isNaN(base.getTime())) return null;
-  const days = (termsDays != null && termsDays !== '' && Number.isFinite(Number(termsDays)))
-    ? Number(termsDays)
-    : DEFAULT_TERMS_DAYS;
-  base.setUTCDate(base.getUTCDate() + days);
-  return base.toISOString().split('T')[0];
+
+  await syncDocumentTaxJurisdiction('invoices', id, b, { created: true });
+  if (lines.length) await recalcInvoiceTotals(id);
+  return { id };
 }
 
-app.post('/invoices', authenticate, async (req, res) => {
+// POST /invoices - create invoice
+app.post('/invoices', authenticate, requirePermission('invoices.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
-
-    // Resolve customerId: use provided ID, or find/create by name
-    let resolvedCustomerId = b.customerId ? Number(b.customerId) : null;
-    if (!resolvedCustomerId) {
-      const customerName = b.customerName || b.customerSearch;
-      if (!customerName || !String(customerName).trim()) {
-        return res.status(400).json({ error: 'customerId or customerName is required.' });
-      }
-      const cust = await findOrCreateCustomer(customerName, {
-        billingAddress: b.billingAddress, billingCity: b.billingCity,
-        billingState: b.billingState, billingZip: b.billingZip,
-      });
-      resolvedCustomerId = cust.id;
-    }
-
-    const invoiceNumber = await getNextInvoiceNumber();
-    const issueDate = b.issueDate || new Date().toISOString().split('T')[0];
-    const termsDays = (b.termsDays != null && b.termsDays !== '' && Number.isFinite(Number(b.termsDays))) ? Number(b.termsDays) : null;
-    const dueDate = computeDueDate(issueDate, termsDays, b.dueDate);
-
-    // Get default terms from settings if not provided
-    let terms = b.terms;
-    if (terms === undefined || terms === null) {
-      const [[ts]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'defaultInvoiceTerms'");
-      terms = ts?.settingValue || DEFAULT_TERMS;
-    }
-
-    const [result] = await db.query(
-      `INSERT INTO invoices (invoiceNumber, customerId, workOrderId, estimateId, status, issueDate, dueDate, termsDays,
-        poNumber, projectName, shipToAddress, shipToCity, shipToState, shipToZip,
-        billingAddress, billingCity, billingState, billingZip,
-        subtotal, taxRate, taxAmount, total, amountPaid, balanceDue, notes, terms, templateId)
-       VALUES (?, ?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`,
-      [
-        invoiceNumber, resolvedCustomerId, b.workOrderId || null, b.estimateId || null,
-        issueDate, dueDate, termsDays,
-        b.poNumber || null, b.projectName || null,
-        b.shipToAddress || null, b.shipToCity || null, b.shipToState || null, b.shipToZip || null,
-        b.billingAddress || null, b.billingCity || null, b.billingState || null, b.billingZip || null,
-        Number(b.subtotal) || 0, Number(b.taxRate) || 0, Number(b.taxAmount) || 0, Number(b.total) || 0,
-        Number(b.total) || 0,
-        b.notes || null, terms, b.templateId || null
-      ]
-    );
+    const out = await insertInvoice(b);
+    if (out.error) return res.status(out.status).json({ error: out.error });
 
     if (b.workOrderId) {
-      await db.query("UPDATE work_orders SET status = 'Invoiced Waiting for Payment' WHERE id = ?", [b.workOrderId]);
+      await moveWorkOrderStatus(b.workOrderId, 'Invoiced Waiting for Payment', req.user?.username || 'System', 'invoice-create');
     }
 
-    const [[created]] = await db.query('SELECT * FROM invoices WHERE id = ?', [result.insertId]);
+    const [[created]] = await db.query('SELECT * FROM invoices WHERE id = ?', [out.id]);
     res.status(201).json(created);
   } catch (err) {
     console.error('Error creating invoice:', err);
@@ -4480,7 +6715,7 @@ app.post('/invoices', authenticate, async (req, res) => {
 });
 
 // PUT /invoices/:id - update invoice
-app.put('/invoices/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/invoices/:id', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const fields = ['customerId', 'workOrderId', 'estimateId', 'issueDate', 'dueDate', 'termsDays', 'poNumber', 'projectName',
@@ -4492,14 +6727,20 @@ app.put('/invoices/:id', authenticate, requireNumericParam('id'), async (req, re
     for (const f of fields) {
       if (b[f] !== undefined) { sets.push(`${f}=?`); params.push(b[f]); }
     }
-    if (!sets.length) return res.status(400).json({ error: 'No fields to update' });
+    if (b.retainagePct !== undefined) {
+      const pct = b.retainagePct === '' || b.retainagePct == null ? null : Number(b.retainagePct);
+      if (pct != null && (!Number.isFinite(pct) || pct < 0 || pct > 100)) return res.status(400).json({ error: 'retainagePct must be between 0 and 100.' });
+      sets.push('retainagePct=?'); params.push(pct || null);
+    }
+    if (!sets.length && b.taxJurisdictionId === undefined) return res.status(400).json({ error: 'No fields to update' });
 
     // Recompute dueDate when issueDate/termsDays change and no explicit dueDate was given.
     if (b.dueDate === undefined && (b.issueDate !== undefined || b.termsDays !== undefined)) {
-      const [[cur]] = await db.query('SELECT issueDate, termsDays FROM invoices WHERE id = ?', [req.params.id]);
+      const [[cur]] = await db.query('SELECT issueDate, termsDays, customerId FROM invoices WHERE id = ?', [req.params.id]);
       const issueDate = b.issueDate !== undefined ? b.issueDate : cur?.issueDate;
       const termsDays = b.termsDays !== undefined ? b.termsDays : cur?.termsDays;
-      const newDue = computeDueDate(issueDate, termsDays, null);
+      const { netDays } = await collectionPolicyForCustomer(cur?.customerId);
+      const newDue = computeDueDate(issueDate, termsDays, null, netDays);
       if (newDue) { sets.push('dueDate=?'); params.push(newDue); }
     }
 
@@ -4507,7 +6748,8 @@ app.put('/invoices/:id', authenticate, requireNumericParam('id'), async (req, re
     params.push(req.params.id);
     await db.query(`UPDATE invoices SET ${sets.join(',')} WHERE id=?`, params);
 
-    if (b.taxRate !== undefined) await recalcInvoiceTotals(req.params.id);
+    const taxMoved = await syncDocumentTaxJurisdiction('invoices', req.params.id, b);
+    if (b.taxRate !== undefined || b.retainagePct !== undefined || taxMoved) await recalcInvoiceTotals(req.params.id);
 
     const [[updated]] = await db.query('SELECT * FROM invoices WHERE id = ?', [req.params.id]);
     res.json(updated);
@@ -4518,7 +6760,7 @@ app.put('/invoices/:id', authenticate, requireNumericParam('id'), async (req, re
 });
 
 // DELETE /invoices/:id
-app.delete('/invoices/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/invoices/:id', authenticate, requirePermission('invoices.delete'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[inv]] = await db.query('SELECT id FROM invoices WHERE id = ?', [req.params.id]);
     if (!inv) return res.status(404).json({ error: 'Invoice not found' });
@@ -4531,17 +6773,20 @@ app.delete('/invoices/:id', authenticate, requireNumericParam('id'), async (req,
 });
 
 // POST /invoices/:id/line-items
-app.post('/invoices/:id/line-items', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/line-items', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
+    const cost = lineItemCostValues(b);
     await db.query(
-      'INSERT INTO invoice_line_items (invoiceId, itemName, description, quantity, amount, sortOrder) VALUES (?, ?, ?, ?, ?, ?)',
-      [req.params.id, b.itemName || null, b.description || '', b.quantity != null ? b.quantity : null, Number(b.amount) || 0, Number(b.sortOrder) || 0]
+      'INSERT INTO invoice_line_items (invoiceId, itemName, description, quantity, amount, unitCost, markupPct, taxable, sortOrder) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [req.params.id, b.itemName || null, b.description || '', b.quantity != null ? b.quantity : null, cost.amount || 0, cost.unitCost, cost.markupPct,
+        lineTaxable(b.taxable), Number(b.sortOrder) || 0]
     );
     await recalcInvoiceTotals(req.params.id);
     const [[invoice]] = await db.query('SELECT * FROM invoices WHERE id = ?', [req.params.id]);
     const [lineItems] = await db.query('SELECT * FROM invoice_line_items WHERE invoiceId = ? ORDER BY sortOrder ASC, id ASC', [req.params.id]);
     invoice.lineItems = lineItems;
+    invoice.margin = await lineItemMarginSummary(lineItems);
     res.json(invoice);
   } catch (err) {
     console.error('Error adding invoice line item:', err);
@@ -4550,7 +6795,7 @@ app.post('/invoices/:id/line-items', authenticate, requireNumericParam('id'), as
 });
 
 // PUT /invoices/:id/line-items/:itemId
-app.put('/invoices/:id/line-items/:itemId', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/invoices/:id/line-items/:itemId', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const sets = [];
@@ -4560,6 +6805,8 @@ app.put('/invoices/:id/line-items/:itemId', authenticate, requireNumericParam('i
     if (b.quantity !== undefined) { sets.push('quantity=?'); params.push(b.quantity); }
     if (b.amount !== undefined) { sets.push('amount=?'); params.push(Number(b.amount) || 0); }
     if (b.sortOrder !== undefined) { sets.push('sortOrder=?'); params.push(Number(b.sortOrder) || 0); }
+    if (b.taxable !== undefined) { sets.push('taxable=?'); params.push(lineTaxable(b.taxable)); }
+    await lineItemCostUpdates('invoice_line_items', req.params.itemId, b, sets, params);
     if (!sets.length) return res.status(400).json({ error: 'No fields to update' });
     params.push(req.params.itemId, req.params.id);
     await db.query(`UPDATE invoice_line_items SET ${sets.join(',')} WHERE id=? AND invoiceId=?`, params);
@@ -4572,7 +6819,7 @@ app.put('/invoices/:id/line-items/:itemId', authenticate, requireNumericParam('i
 });
 
 // DELETE /invoices/:id/line-items/:itemId
-app.delete('/invoices/:id/line-items/:itemId', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/invoices/:id/line-items/:itemId', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     await db.query('DELETE FROM invoice_line_items WHERE id = ? AND invoiceId = ?', [req.params.itemId, req.params.id]);
     await recalcInvoiceTotals(req.params.id);
@@ -4584,7 +6831,7 @@ app.delete('/invoices/:id/line-items/:itemId', authenticate, requireNumericParam
 });
 
 // PUT /invoices/:id/line-items/reorder
-app.put('/invoices/:id/line-items/reorder', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/invoices/:id/line-items/reorder', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const { items } = coerceBody(req);
     if (!Array.isArray(items)) return res.status(400).json({ error: 'items array required' });
@@ -4600,7 +6847,7 @@ app.put('/invoices/:id/line-items/reorder', authenticate, requireNumericParam('i
 });
 
 // PUT /invoices/:id/status
-app.put('/invoices/:id/status', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/invoices/:id/status', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const { status } = coerceBody(req);
     const valid = ['Draft', 'Sent', 'Partial', 'Paid', 'Overdue', 'Void'];
@@ -4621,22 +6868,30 @@ app.put('/invoices/:id/status', authenticate, requireNumericParam('id'), async (
   }
 });
 
+// Render an invoice's PDF, save it under uploads/ (and S3 when configured),
+// point the invoice at it and record it in the document log like an uploaded
+// invoice PDF. Returns the stored pdfPath.
+async function storeInvoicePdf(invoiceId, templateId = null, req = null) {
+  const pdfBuffer = await generateInvoicePdf(invoiceId, templateId);
+  const filename = `invoice_${invoiceId}_${Date.now()}.pdf`;
+  const localDir = path.resolve(__dirname, 'uploads');
+  if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
+  const filePath = path.join(localDir, filename);
+  fs.writeFileSync(filePath, pdfBuffer);
+
+  const pdfPath = `uploads/${filename}`;
+  await db.query('UPDATE invoices SET pdfPath=?, templateId=COALESCE(?,templateId), updatedAt=NOW() WHERE id=?', [pdfPath, templateId, invoiceId]);
+  await uploadToS3IfConfigured(filePath, pdfPath);
+  await logDocumentStored(req, pdfPath, 'generated');
+  return pdfPath;
+}
+
 // POST /invoices/:id/generate-pdf
-app.post('/invoices/:id/generate-pdf', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/generate-pdf', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     console.log('[PDF Gen] POST /invoices/' + req.params.id + '/generate-pdf — body keys:', Object.keys(b), 'templateId:', b.templateId);
-    const pdfBuffer = await generateInvoicePdf(req.params.id, b.templateId || null);
-    const filename = `invoice_${req.params.id}_${Date.now()}.pdf`;
-    const localDir = path.resolve(__dirname, 'uploads');
-    if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
-    const filePath = path.join(localDir, filename);
-    fs.writeFileSync(filePath, pdfBuffer);
-
-    const pdfPath = `uploads/${filename}`;
-    const tplId = b.templateId || null;
-    await db.query('UPDATE invoices SET pdfPath=?, templateId=COALESCE(?,templateId), updatedAt=NOW() WHERE id=?', [pdfPath, tplId, req.params.id]);
-    await uploadToS3IfConfigured(filePath, pdfPath);
+    const pdfPath = await storeInvoicePdf(req.params.id, b.templateId || null, req);
     res.json({ pdfPath });
   } catch (err) {
     console.error('Error generating invoice PDF:', err);
@@ -4645,22 +6900,14 @@ app.post('/invoices/:id/generate-pdf', authenticate, requireNumericParam('id'),
 });
 
 // POST /invoices/:id/send-email (placeholder)
-app.post('/invoices/:id/send-email', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/send-email', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[inv]] = await db.query('SELECT pdfPath FROM invoices WHERE id = ?', [req.params.id]);
     if (!inv) return res.status(404).json({ error: 'Invoice not found' });
 
     let pdfPath = inv.pdfPath;
     if (!pdfPath) {
-      const pdfBuffer = await generateInvoicePdf(req.params.id);
-      const filename = `invoice_${req.params.id}_${Date.now()}.pdf`;
-      const localDir = path.resolve(__dirname, 'uploads');
-      if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
-      const localPath = path.join(localDir, filename);
-      fs.writeFileSync(localPath, pdfBuffer);
-      pdfPath = `uploads/${filename}`;
-      await db.query('UPDATE invoices SET pdfPath=?, updatedAt=NOW() WHERE id=?', [pdfPath, req.params.id]);
-      await uploadToS3IfConfigured(localPath, pdfPath);
+      pdfPath = await storeInvoicePdf(req.params.id, null, req);
     }
 
     await db.query("UPDATE invoices SET status='Sent', sentAt=NOW(), updatedAt=NOW() WHERE id=?", [req.params.id]);
@@ -4672,7 +6919,7 @@ app.post('/invoices/:id/send-email', authenticate, requireNumericParam('id'), as
 });
 
 // GET /invoices/:id/payments - list payments for an invoice
-app.get('/invoices/:id/payments', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/invoices/:id/payments', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const [rows] = await db.query(
       'SELECT * FROM invoice_payments WHERE invoiceId = ? ORDER BY paymentDate ASC, id ASC',
@@ -4685,8 +6932,19 @@ app.get('/invoices/:id/payments', authenticate, requireNumericParam('id'), async
   }
 });
 
+// Keep the linked work order in step with the invoice: Completed once it's paid
+// (or otherwise settled), back to Invoiced Waiting for Payment if it reopens.
+async function syncPaidWorkOrder(workOrderId, paymentStatus, who, source) {
+  if (!workOrderId) return;
+  if (paymentStatus === 'Paid' || paymentStatus === 'Closed') {
+    await moveWorkOrderStatus(workOrderId, 'Completed', who, source);
+  } else {
+    await moveWorkOrderStatus(workOrderId, 'Invoiced Waiting for Payment', who, source, { onlyFrom: 'Completed' });
+  }
+}
+
 // POST /invoices/:id/payments - record a payment
-app.post('/invoices/:id/payments', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/payments', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const amount = Number(b.amount);
@@ -4709,35 +6967,15 @@ app.post('/invoices/:id/payments', authenticate, requireNumericParam('id'), asyn
       [invoiceId, invoice.workOrderId || null, amount, paymentMethod, checkNumber, referenceNote, paymentDate, recordedBy]
     );
 
-    await recalcInvoiceTotals(invoiceId);
-
-    const [[totals]] = await db.query(
-      'SELECT COALESCE(SUM(amount),0) AS totalPaid FROM invoice_payments WHERE invoiceId = ?',
-      [invoiceId]
-    );
-    const totalPaid = parseFloat(totals.totalPaid);
-    const invoiceTotal = parseFloat(invoice.total || 0);
-
-    let paymentStatus = 'Unpaid';
-    if (totalPaid >= invoiceTotal && invoiceTotal > 0) paymentStatus = 'Paid';
-    else if (totalPaid > 0) paymentStatus = 'Partial';
+    const { amountPaid: totalPaid, paymentStatus, balanceDue } = await recalcInvoiceTotals(invoiceId);
+    await syncPaidWorkOrder(invoice.workOrderId, paymentStatus, req.user?.username || 'System', 'invoice-payment');
 
-    await db.query(
-      'UPDATE invoices SET paymentStatus = ?, amountPaid = ? WHERE id = ?',
-      [paymentStatus, totalPaid, invoiceId]
-    );
-
-    if (paymentStatus === 'Paid' && invoice.workOrderId) {
-      await db.query("UPDATE work_orders SET status = 'Completed' WHERE id = ?", [invoice.workOrderId]);
-    }
-
-    const balanceRemaining = Math.round((invoiceTotal - totalPaid) * 100) / 100;
     res.json({
       success: true,
       paymentId: result.insertId,
       totalPaid,
       paymentStatus,
-      balanceRemaining,
+      balanceRemaining: Math.max(0, balanceDue),
     });
   } catch (err) {
     console.error('[Payment] Error:', err.message);
@@ -4746,40 +6984,28 @@ app.post('/invoices/:id/payments', authenticate, requireNumericParam('id'), asyn
 });
 
 // DELETE /invoices/:id/payments/:paymentId
-app.delete('/invoices/:id/payments/:paymentId', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/invoices/:id/payments/:paymentId', authenticate, requirePermission('invoices.delete'), requireNumericParam('id'), async (req, res) => {
   try {
     const invoiceId = req.params.id;
-    await db.query(
-      'DELETE FROM invoice_payments WHERE id = ? AND invoiceId = ?',
+    // A refunded payment keeps its refund rows pointing at it; delete the refunds first.
+    const [[{ refunds }]] = await db.query(
+      'SELECT COUNT(*) AS refunds FROM invoice_payments WHERE refundOfId = ? AND invoiceId = ?',
       [req.params.paymentId, invoiceId]
     );
+    if (refunds > 0) return res.status(409).json({ error: 'This payment has refunds recorded against it — delete those first.' });
+    const [[row]] = await db.query('SELECT stripeRefundId FROM invoice_payments WHERE id = ? AND invoiceId = ?', [req.params.paymentId, invoiceId]);
+    if (row?.stripeRefundId) return res.status(400).json({ error: 'This refund was issued through Stripe and can\'t be deleted here.' });
 
-    await recalcInvoiceTotals(invoiceId);
-
-    const [[totals]] = await db.query(
-      'SELECT COALESCE(SUM(amount),0) AS totalPaid FROM invoice_payments WHERE invoiceId = ?',
-      [invoiceId]
-    );
-    const [[inv]] = await db.query('SELECT total, workOrderId FROM invoices WHERE id = ?', [invoiceId]);
-    const totalPaid = parseFloat(totals.totalPaid);
-    const invoiceTotal = parseFloat(inv?.total || 0);
-
-    let paymentStatus = 'Unpaid';
-    if (totalPaid >= invoiceTotal && invoiceTotal > 0) paymentStatus = 'Paid';
-    else if (totalPaid > 0) paymentStatus = 'Partial';
-
+    // A refund's credit goes with it
+    await db.query('DELETE FROM invoice_adjustments WHERE paymentId = ? AND invoiceId = ?', [req.params.paymentId, invoiceId]);
     await db.query(
-      'UPDATE invoices SET paymentStatus = ?, amountPaid = ? WHERE id = ?',
-      [paymentStatus, totalPaid, invoiceId]
+      'DELETE FROM invoice_payments WHERE id = ? AND invoiceId = ?',
+      [req.params.paymentId, invoiceId]
     );
 
-    // If unpaid/partial after deletion, revert linked WO from Completed back to Invoiced Waiting for Payment
-    if (paymentStatus !== 'Paid' && inv?.workOrderId) {
-      await db.query(
-        "UPDATE work_orders SET status = 'Invoiced Waiting for Payment' WHERE id = ? AND status = 'Completed'",
-        [inv.workOrderId]
-      );
-    }
+    const { amountPaid: totalPaid, paymentStatus } = await recalcInvoiceTotals(invoiceId);
+    const [[inv]] = await db.query('SELECT workOrderId FROM invoices WHERE id = ?', [invoiceId]);
+    await syncPaidWorkOrder(inv?.workOrderId, paymentStatus, req.user?.username || 'System', 'invoice-payment-delete');
 
     res.json({ success: true, totalPaid, paymentStatus });
   } catch (err) {
@@ -4788,95 +7014,430 @@ app.delete('/invoices/:id/payments/:paymentId', authenticate, requireNumericPara
   }
 });
 
-// POST /invoices/:id/duplicate
-app.post('/invoices/:id/duplicate', authenticate, requireNumericParam('id'), async (req, res) => {
-  try {
-    const [[orig]] = await db.query('SELECT * FROM invoices WHERE id = ?', [req.params.id]);
-    if (!orig) return res.status(404).json({ error: 'Invoice not found' });
+// ─── CREDITS / WRITE-OFFS / REFUNDS ─────────────────────────────────────────
+// Credit memos are issued to a customer and spread over any of their open
+// invoices; write-offs close out bad debt on one invoice. Both are rows in
+// invoice_adjustments. Refunds are negative invoice_payments rows pointing at
+// the payment they give back; Stripe payments are refunded through Stripe.
+
+// Memo + what's been applied where. null when it doesn't exist.
+async function loadCreditMemo(memoId) {
+  const [[memo]] = await db.query(`
+    SELECT cm.*, c.companyName, c.name AS custName
+    FROM credit_memos cm LEFT JOIN customers c ON c.id = cm.customerId
+    WHERE cm.id = ?
+  `, [memoId]);
+  if (!memo) return null;
+  const [applications] = await db.query(`
+    SELECT a.id, a.invoiceId, a.amount, a.adjustmentDate, a.createdBy, i.invoiceNumber, i.balanceDue, i.status AS invoiceStatus
+    FROM invoice_adjustments a JOIN invoices i ON i.id = a.invoiceId
+    WHERE a.creditMemoId = ? ORDER BY a.id
+  `, [memoId]);
+  memo.applications = applications;
+  memo.applied = round2p(applications.reduce((s, a) => s + Number(a.amount), 0));
+  memo.unapplied = round2p(Number(memo.amount) - memo.applied);
+  return memo;
+}
 
-    const invoiceNumber = await getNextInvoiceNumber();
-    const issueDate = new Date().toISOString().split('T')[0];
-    const dueDate = (() => { const d = new Date(); d.setDate(d.getDate() + 45); return d.toISOString().split('T')[0]; })();
+async function refreshCreditMemoStatus(memoId) {
+  await db.query(`
+    UPDATE credit_memos cm
+    SET cm.status = IF(cm.amount - (SELECT COALESCE(SUM(a.amount), 0) FROM invoice_adjustments a WHERE a.creditMemoId = cm.id) <= 0, 'Applied', 'Open')
+    WHERE cm.id = ? AND cm.status <> 'Void'
+  `, [memoId]);
+}
 
-    const [result] = await db.query(
-      `INSERT INTO invoices (invoiceNumber, customerId, workOrderId, estimateId, status, issueDate, dueDate,
-        poNumber, projectName, shipToAddress, shipToCity, shipToState, shipToZip,
-        taxRate, notes, terms)
-       VALUES (?, ?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        invoiceNumber, orig.customerId, orig.workOrderId, orig.estimateId,
-        issueDate, dueDate,
-        orig.poNumber, orig.projectName, orig.shipToAddress, orig.shipToCity, orig.shipToState, orig.shipToZip,
-        orig.taxRate, orig.notes, orig.terms
-      ]
-    );
-    const newId = result.insertId;
+// An adjustment can only take an open invoice down to zero.
+async function adjustableInvoice(invoiceId, customerId) {
+  const [[inv]] = await db.query('SELECT id, customerId, workOrderId, status, balanceDue, invoiceNumber FROM invoices WHERE id = ?', [invoiceId]);
+  if (!inv) return { status: 404, error: `Invoice ${invoiceId} not found` };
+  if (customerId && Number(inv.customerId) !== Number(customerId)) {
+    return { status: 400, error: `Invoice #${inv.invoiceNumber} belongs to a different customer` };
+  }
+  if (inv.status === 'Draft' || inv.status === 'Void') {
+    return { status: 400, error: `Invoice #${inv.invoiceNumber} is ${inv.status} — only issued invoices can be credited` };
+  }
+  return { invoice: inv };
+}
 
-    const [origItems] = await db.query('SELECT * FROM invoice_line_items WHERE invoiceId = ? ORDER BY sortOrder ASC', [req.params.id]);
-    for (const li of origItems) {
-      await db.query(
-        'INSERT INTO invoice_line_items (invoiceId, sortOrder, itemName, description, quantity, amount) VALUES (?, ?, ?, ?, ?, ?)',
-        [newId, li.sortOrder, li.itemName || null, li.description, li.quantity, li.amount]
-      );
-    }
-    await recalcInvoiceTotals(newId);
+// Spread a memo over invoices: [{ invoiceId, amount }]. Each amount is capped by
+// that invoice's balance and the lot by what's left on the memo.
+async function applyCreditMemo(memo, applications, who) {
+  const rows = (Array.isArray(applications) ? applications : [])
+    .map((a) => ({ invoiceId: Number(a.invoiceId), amount: round2p(a.amount) }))
+    .filter((a) => a.invoiceId && a.amount > 0);
+  if (!rows.length) return { status: 400, error: 'Choose at least one invoice and an amount to apply' };
+  if (memo.status === 'Void') return { status: 400, error: 'This credit memo is void' };
 
-    const [[created]] = await db.query('SELECT * FROM invoices WHERE id = ?', [newId]);
-    res.status(201).json(created);
-  } catch (err) {
-    console.error('Error duplicating invoice:', err);
-    res.status(500).json({ error: 'Failed to duplicate invoice.' });
+  const requested = round2p(rows.reduce((s, a) => s + a.amount, 0));
+  if (requested > memo.unapplied + 0.001) {
+    return { status: 400, error: `Only ${fmtMoney(memo.unapplied)} of this credit is left to apply` };
+  }
+  const invoices = [];
+  for (const row of rows) {
+    const found = await adjustableInvoice(row.invoiceId, memo.customerId);
+    if (found.error) return found;
+    if (row.amount > Number(found.invoice.balanceDue) + 0.001) {
+      return { status: 400, error: `Invoice #${found.invoice.invoiceNumber} only has ${fmtMoney(found.invoice.balanceDue)} due` };
+    }
+    invoices.push(found.invoice);
+  }
+
+  for (const [i, row] of rows.entries()) {
+    await db.query(
+      `INSERT INTO invoice_adjustments (invoiceId, type, creditMemoId, amount, reason, adjustmentDate, createdBy)
+       VALUES (?, 'credit', ?, ?, ?, CURDATE(), ?)`,
+      [row.invoiceId, memo.id, row.amount, `Credit memo ${memo.memoNumber}: ${memo.reason}`, who]
+    );
+    const { paymentStatus } = await recalcInvoiceTotals(row.invoiceId);
+    await syncPaidWorkOrder(invoices[i].workOrderId, paymentStatus, who, 'credit-memo');
+  }
+  await refreshCreditMemoStatus(memo.id);
+  return { applied: requested };
+}
+
+// Take an adjustment back off its invoice (and return a memo's share to the memo).
+async function removeInvoiceAdjustment(adj, who) {
+  await db.query('DELETE FROM invoice_adjustments WHERE id = ?', [adj.id]);
+  const { paymentStatus } = await recalcInvoiceTotals(adj.invoiceId);
+  const [[inv]] = await db.query('SELECT workOrderId FROM invoices WHERE id = ?', [adj.invoiceId]);
+  await syncPaidWorkOrder(inv?.workOrderId, paymentStatus, who, 'invoice-adjustment-delete');
+  if (adj.creditMemoId) await refreshCreditMemoStatus(adj.creditMemoId);
+}
+
+// GET /credit-memos — list memos (?customerId=, ?status=Open)
+app.get('/credit-memos', authenticate, requirePermission('invoices.view'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.customerId) { where.push('cm.customerId = ?'); params.push(req.query.customerId); }
+    if (req.query.status) { where.push('cm.status = ?'); params.push(req.query.status); }
+    const [rows] = await db.query(`
+      SELECT cm.*, c.companyName, c.name AS custName,
+        (SELECT COALESCE(SUM(a.amount), 0) FROM invoice_adjustments a WHERE a.creditMemoId = cm.id) AS applied
+      FROM credit_memos cm LEFT JOIN customers c ON c.id = cm.customerId
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY cm.issueDate DESC, cm.id DESC
+    `, params);
+    for (const r of rows) r.unapplied = r.status === 'Void' ? 0 : round2p(Number(r.amount) - Number(r.applied));
+    res.json(rows);
+  } catch (err) {
+    console.error('Error listing credit memos:', err);
+    res.status(500).json({ error: 'Failed to load credit memos.' });
   }
 });
 
-// POST /estimates/:id/convert-to-invoice
-app.post('/estimates/:id/convert-to-invoice', authenticate, requireNumericParam('id'), async (req, res) => {
+// GET /credit-memos/:id — memo with its applications
+app.get('/credit-memos/:id', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
-    const [[estimate]] = await db.query(`
-      SELECT e.*, c.companyName, c.name AS custName
-      FROM estimates e LEFT JOIN customers c ON e.customerId = c.id
-      WHERE e.id = ?
-    `, [req.params.id]);
-    if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+    const memo = await loadCreditMemo(req.params.id);
+    if (!memo) return res.status(404).json({ error: 'Credit memo not found' });
+    res.json(memo);
+  } catch (err) {
+    console.error('Error fetching credit memo:', err);
+    res.status(500).json({ error: 'Failed to load credit memo.' });
+  }
+});
+
+// POST /credit-memos — issue a credit { customerId, amount, reason, issueDate?, notes?, applications?: [{ invoiceId, amount }] }
+app.post('/credit-memos', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const amount = round2p(b.amount);
+    const reason = String(b.reason || '').trim();
+    if (!b.customerId) return res.status(400).json({ error: 'customerId is required' });
+    if (!(amount > 0)) return res.status(400).json({ error: 'Credit amount must be greater than zero' });
+    if (!reason) return res.status(400).json({ error: 'A reason is required' });
+    const [[customer]] = await db.query('SELECT id FROM customers WHERE id = ?', [b.customerId]);
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const who = req.user?.username || 'System';
+    const [ins] = await db.query(
+      `INSERT INTO credit_memos (customerId, issueDate, amount, reason, notes, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [b.customerId, b.issueDate || todayYmd(), amount, reason.slice(0, 500), b.notes || null, who]
+    );
+    await db.query('UPDATE credit_memos SET memoNumber = ? WHERE id = ?', [`CM-${ins.insertId}`, ins.insertId]);
+
+    if (Array.isArray(b.applications) && b.applications.length) {
+      const result = await applyCreditMemo(await loadCreditMemo(ins.insertId), b.applications, who);
+      if (result.error) {
+        // Nothing was applied (validation runs first) — don't leave a half-made memo behind.
+        await db.query('DELETE FROM credit_memos WHERE id = ?', [ins.insertId]);
+        return res.status(result.status).json({ error: result.error });
+      }
+    }
+    res.status(201).json(await loadCreditMemo(ins.insertId));
+  } catch (err) {
+    console.error('Error creating credit memo:', err);
+    res.status(500).json({ error: 'Failed to create credit memo.' });
+  }
+});
+
+// POST /credit-memos/:id/apply — apply what's left { applications: [{ invoiceId, amount }] }
+app.post('/credit-memos/:id/apply', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const memo = await loadCreditMemo(req.params.id);
+    if (!memo) return res.status(404).json({ error: 'Credit memo not found' });
+    const b = coerceBody(req);
+    const applications = b.applications || (b.invoiceId ? [{ invoiceId: b.invoiceId, amount: b.amount }] : []);
+    const result = await applyCreditMemo(memo, applications, req.user?.username || 'System');
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(await loadCreditMemo(memo.id));
+  } catch (err) {
+    console.error('Error applying credit memo:', err);
+    res.status(500).json({ error: 'Failed to apply credit memo.' });
+  }
+});
+
+// DELETE /credit-memos/:id/applications/:applicationId — unapply from one invoice
+app.delete('/credit-memos/:id/applications/:applicationId', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), requireNumericParam('applicationId'), async (req, res) => {
+  try {
+    const [[adj]] = await db.query(
+      'SELECT * FROM invoice_adjustments WHERE id = ? AND creditMemoId = ?',
+      [req.params.applicationId, req.params.id]
+    );
+    if (!adj) return res.status(404).json({ error: 'Application not found' });
+    await removeInvoiceAdjustment(adj, req.user?.username || 'System');
+    res.json(await loadCreditMemo(req.params.id));
+  } catch (err) {
+    console.error('Error unapplying credit memo:', err);
+    res.status(500).json({ error: 'Failed to unapply credit.' });
+  }
+});
+
+// POST /credit-memos/:id/void — take it off every invoice and void it { reason? }
+app.post('/credit-memos/:id/void', authenticate, requirePermission('invoices.adjust'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const memo = await loadCreditMemo(req.params.id);
+    if (!memo) return res.status(404).json({ error: 'Credit memo not found' });
+    if (memo.status === 'Void') return res.status(400).json({ error: 'Already void' });
+    const who = req.user?.username || 'System';
+    for (const a of memo.applications) await removeInvoiceAdjustment({ ...a, creditMemoId: memo.id }, who);
+    const reason = String(coerceBody(req).reason || '').trim();
+    await db.query(
+      "UPDATE credit_memos SET status = 'Void', voidedAt = NOW(), notes = CONCAT_WS('\\n', notes, ?) WHERE id = ?",
+      [reason ? `Voided by ${who}: ${reason}` : `Voided by ${who}`, memo.id]
+    );
+    res.json(await loadCreditMemo(memo.id));
+  } catch (err) {
+    console.error('Error voiding credit memo:', err);
+    res.status(500).json({ error: 'Failed to void credit memo.' });
+  }
+});
+
+// POST /invoices/:id/write-off — write off bad debt { amount? (default: the balance), reason }
+app.post('/invoices/:id/write-off', authenticate, requirePermission('invoices.adjust'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const reason = String(b.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A reason is required to write off a balance' });
+    const found = await adjustableInvoice(req.params.id);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const balance = Number(found.invoice.balanceDue) || 0;
+    const amount = b.amount != null && b.amount !== '' ? round2p(b.amount) : round2p(balance);
+    if (!(amount > 0)) return res.status(400).json({ error: 'Nothing to write off' });
+    if (amount > balance + 0.001) return res.status(400).json({ error: `Only ${fmtMoney(balance)} is due on this invoice` });
+
+    const who = req.user?.username || 'System';
+    await db.query(
+      `INSERT INTO invoice_adjustments (invoiceId, type, amount, reason, adjustmentDate, createdBy)
+       VALUES (?, 'writeoff', ?, ?, ?, ?)`,
+      [req.params.id, amount, reason.slice(0, 500), b.adjustmentDate || todayYmd(), who]
+    );
+    const totals = await recalcInvoiceTotals(req.params.id);
+    await syncPaidWorkOrder(found.invoice.workOrderId, totals.paymentStatus, who, 'invoice-write-off');
+    res.json({ success: true, ...totals });
+  } catch (err) {
+    console.error('Error writing off invoice:', err);
+    res.status(500).json({ error: 'Failed to write off balance.' });
+  }
+});
+
+// DELETE /invoices/:id/adjustments/:adjId — reverse a write-off or a credit application
+app.delete('/invoices/:id/adjustments/:adjId', authenticate, requirePermission('invoices.adjust'), requireNumericParam('id'), requireNumericParam('adjId'), async (req, res) => {
+  try {
+    const [[adj]] = await db.query('SELECT * FROM invoice_adjustments WHERE id = ? AND invoiceId = ?', [req.params.adjId, req.params.id]);
+    if (!adj) return res.status(404).json({ error: 'Adjustment not found' });
+    if (adj.paymentId) return res.status(400).json({ error: 'This credit came with a refund — delete the refund instead' });
+    if (adj.type === 'waiver') return res.status(400).json({ error: 'A waived late fee can\'t be reinstated' });
+    await removeInvoiceAdjustment(adj, req.user?.username || 'System');
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing invoice adjustment:', err);
+    res.status(500).json({ error: 'Failed to remove adjustment.' });
+  }
+});
+
+// POST /invoices/:id/refunds — give back (part of) a payment { paymentId, amount?, reason, reopen? }
+// Stripe payments are refunded through Stripe. Unless `reopen` is set, the part
+// that isn't an overpayment is credited so the invoice stays settled; with
+// `reopen` the customer owes it again (e.g. a payment taken by mistake).
+app.post('/invoices/:id/refunds', authenticate, requirePermission('invoices.adjust'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const reason = String(b.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A reason is required for a refund' });
+    const [[payment]] = await db.query(
+      'SELECT * FROM invoice_payments WHERE id = ? AND invoiceId = ? AND amount > 0',
+      [b.paymentId, req.params.id]
+    );
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    const [[{ alreadyRefunded }]] = await db.query(
+      'SELECT COALESCE(-SUM(amount), 0) AS alreadyRefunded FROM invoice_payments WHERE refundOfId = ?',
+      [payment.id]
+    );
+    const refundable = round2p(Number(payment.amount) - Number(alreadyRefunded));
+    const amount = b.amount != null && b.amount !== '' ? round2p(b.amount) : refundable;
+    if (!(amount > 0)) return res.status(400).json({ error: 'Nothing left to refund on this payment' });
+    if (amount > refundable + 0.001) return res.status(400).json({ error: `Only ${fmtMoney(refundable)} of this payment can be refunded` });
+
+    const [[inv]] = await db.query('SELECT workOrderId, balanceDue FROM invoices WHERE id = ?', [req.params.id]);
+    const who = req.user?.username || 'System';
+    const [ins] = await db.query(
+      `INSERT INTO invoice_payments
+        (invoiceId, workOrderId, amount, paymentMethod, referenceNote, paymentDate, recordedBy, refundOfId, stripePaymentIntentId)
+       VALUES (?, ?, ?, ?, ?, CURDATE(), ?, ?, ?)`,
+      [req.params.id, payment.workOrderId, -amount, payment.paymentMethod, `Refund: ${reason}`.slice(0, 500), who,
+        payment.id, payment.stripePaymentIntentId || null]
+    );
+
+    // Ledger row first, so the charge.refunded webhook sees it's already recorded.
+    if (payment.stripePaymentIntentId) {
+      try {
+        const stripe = await getStripeInstance();
+        const refund = await stripe.refunds.create({
+          payment_intent: payment.stripePaymentIntentId,
+          amount: Math.round(amount * 100),
+          metadata: { invoiceId: String(req.params.id), paymentId: String(payment.id), reason: reason.slice(0, 450) },
+        });
+        await db.query('UPDATE invoice_payments SET stripeRefundId = ? WHERE id = ?', [refund.id, ins.insertId]);
+        await db.query(
+          `INSERT INTO payments (invoiceId, amount, paymentMethod, stripePaymentIntentId, status, paidAt, notes)
+           VALUES (?, ?, ?, ?, 'refunded', NOW(), ?)`,
+          [req.params.id, -amount, payment.paymentMethod === 'ach' ? 'ach' : 'card', payment.stripePaymentIntentId, `Refund ${refund.id}: ${reason}`.slice(0, 500)]
+        );
+      } catch (stripeErr) {
+        await db.query('DELETE FROM invoice_payments WHERE id = ?', [ins.insertId]);
+        console.error('[Refund] Stripe refund failed:', stripeErr.message);
+        return res.status(502).json({ error: `Stripe refused the refund: ${stripeErr.message}` });
+      }
+    }
+
+    // Refunding an overpayment doesn't change what's owed; anything beyond it does unless credited.
+    const overpaid = Math.max(0, -(Number(inv?.balanceDue) || 0));
+    const credit = b.reopen ? 0 : round2p(Math.max(0, amount - overpaid));
+    if (credit > 0) {
+      await db.query(
+        `INSERT INTO invoice_adjustments (invoiceId, type, paymentId, amount, reason, adjustmentDate, createdBy)
+         VALUES (?, 'credit', ?, ?, ?, CURDATE(), ?)`,
+        [req.params.id, ins.insertId, credit, `Refund: ${reason}`.slice(0, 500), who]
+      );
+    }
+
+    const totals = await recalcInvoiceTotals(req.params.id);
+    await syncPaidWorkOrder(inv?.workOrderId, totals.paymentStatus, who, 'invoice-refund');
+    res.json({ success: true, refundId: ins.insertId, credited: credit, ...totals });
+  } catch (err) {
+    console.error('Error recording refund:', err);
+    res.status(500).json({ error: 'Failed to record refund.' });
+  }
+});
+
+// POST /invoices/:id/duplicate
+app.post('/invoices/:id/duplicate', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [[orig]] = await db.query('SELECT * FROM invoices WHERE id = ?', [req.params.id]);
+    if (!orig) return res.status(404).json({ error: 'Invoice not found' });
 
-    const invoiceNumber = await getNextInvoiceNumber();
+    const invoiceNumber = await nextDocumentNumber('invoice');
     const issueDate = new Date().toISOString().split('T')[0];
-    const dueDate = (() => { const d = new Date(); d.setDate(d.getDate() + 45); return d.toISOString().split('T')[0]; })();
+    const policy = await collectionPolicyForCustomer(orig.customerId);
+    const dueDate = computeDueDate(issueDate, null, null, policy.netDays);
 
     const [result] = await db.query(
       `INSERT INTO invoices (invoiceNumber, customerId, workOrderId, estimateId, status, issueDate, dueDate,
         poNumber, projectName, shipToAddress, shipToCity, shipToState, shipToZip,
-        taxRate, notes, terms)
-       VALUES (?, ?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        taxRate, taxJurisdictionId, notes, terms)
+       VALUES (?, ?, ?, ?, 'Draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        invoiceNumber, estimate.customerId, estimate.workOrderId || null, estimate.id,
+        invoiceNumber, orig.customerId, orig.workOrderId, orig.estimateId,
         issueDate, dueDate,
-        estimate.poNumber || null, estimate.projectName || null,
-        estimate.projectAddress || null, estimate.projectCity || null, estimate.projectState || null, estimate.projectZip || null,
-        estimate.taxRate || 0, estimate.notes || null, estimate.terms || DEFAULT_TERMS
+        orig.poNumber, orig.projectName, orig.shipToAddress, orig.shipToCity, orig.shipToState, orig.shipToZip,
+        orig.taxRate, orig.taxJurisdictionId ?? null, orig.notes, orig.terms
       ]
     );
     const newId = result.insertId;
 
-    const [estItems] = await db.query('SELECT * FROM estimate_line_items WHERE estimateId = ? ORDER BY sortOrder ASC', [req.params.id]);
-    for (const li of estItems) {
+    const [origItems] = await db.query('SELECT * FROM invoice_line_items WHERE invoiceId = ? ORDER BY sortOrder ASC', [req.params.id]);
+    for (const li of origItems) {
       await db.query(
-        'INSERT INTO invoice_line_items (invoiceId, sortOrder, itemName, description, quantity, amount) VALUES (?, ?, ?, ?, ?, ?)',
-        [newId, li.sortOrder, li.itemName || null, li.description, li.quantity, li.amount]
+        'INSERT INTO invoice_line_items (invoiceId, sortOrder, itemName, description, quantity, amount, unitCost, markupPct, taxable) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [newId, li.sortOrder, li.itemName || null, li.description, li.quantity, li.amount, li.unitCost ?? null, li.markupPct ?? null, lineTaxable(li.taxable)]
       );
     }
     await recalcInvoiceTotals(newId);
 
+    const [[created]] = await db.query('SELECT * FROM invoices WHERE id = ?', [newId]);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('Error duplicating invoice:', err);
+    res.status(500).json({ error: 'Failed to duplicate invoice.' });
+  }
+});
+
+// What an estimate turns into on an invoice: its job/tax header and only the
+// lines the customer chose (unselected add-ons and the other options in a group
+// stay behind). Shared by convert-to-invoice and batch invoicing.
+async function invoiceDraftFromEstimate(estimate) {
+  const [estItems] = await db.query('SELECT * FROM estimate_line_items WHERE estimateId = ? ORDER BY sortOrder ASC, id ASC', [estimate.id]);
+  return {
+    fields: {
+      customerId: estimate.customerId,
+      workOrderId: estimate.workOrderId || null,
+      estimateId: estimate.id,
+      poNumber: estimate.poNumber || null,
+      projectName: estimate.projectName || null,
+      shipToAddress: estimate.projectAddress || null,
+      shipToCity: estimate.projectCity || null,
+      shipToState: estimate.projectState || null,
+      shipToZip: estimate.projectZip || null,
+      // The estimate's rate as quoted — setting it keeps the jurisdiction lookup out of it.
+      taxRate: estimate.taxRate || 0,
+      notes: estimate.notes || null,
+      terms: estimate.terms || DEFAULT_TERMS,
+    },
+    extra: { taxJurisdictionId: estimate.taxJurisdictionId ?? null },
+    lines: estItems.filter(lineIncluded).map((li) => ({
+      itemName: li.itemName, description: li.description, quantity: li.quantity, amount: li.amount,
+      unitCost: li.unitCost, markupPct: li.markupPct, taxable: li.taxable,
+    })),
+  };
+}
+
+// POST /estimates/:id/convert-to-invoice
+app.post('/estimates/:id/convert-to-invoice', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [[estimate]] = await db.query(`
+      SELECT e.*, c.companyName, c.name AS custName
+      FROM estimates e LEFT JOIN customers c ON e.customerId = c.id
+      WHERE e.id = ?
+    `, [req.params.id]);
+    if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+
+    const draft = await invoiceDraftFromEstimate(estimate);
+    const out = await insertInvoice(draft.fields, { lines: draft.lines, extra: draft.extra });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    const newId = out.id;
+
     // Update estimate status to Accepted if Draft or Sent
     if (estimate.status === 'Draft' || estimate.status === 'Sent') {
       await db.query("UPDATE estimates SET status='Accepted', acceptedAt=NOW(), updatedAt=NOW() WHERE id=?", [req.params.id]);
     }
 
     if (estimate.workOrderId) {
-      await db.query(
-        "UPDATE work_orders SET status = 'Invoiced Waiting for Payment' WHERE id = ?",
-        [estimate.workOrderId]
-      );
+      await moveWorkOrderStatus(estimate.workOrderId, 'Invoiced Waiting for Payment', req.user?.username || 'System',
+        'estimate-convert');
     }
 
     const [[created]] = await db.query('SELECT * FROM invoices WHERE id = ?', [newId]);
@@ -4888,36 +7449,1774 @@ app.post('/estimates/:id/convert-to-invoice', authenticate, requireNumericParam(
   }
 });
 
-// GET /settings
-app.get('/settings', authenticate, async (req, res) => {
+// ─── PROGRESS BILLING ───────────────────────────────────────────────────────
+// A job (work order) can be billed in stages instead of one invoice: a deposit
+// when the residential contract is signed, progress invoices against a schedule
+// of values (SOV), a final invoice for whatever is left, and a retainage-release
+// invoice for the amount held back. Progress/final invoices credit the deposit
+// back with negative lines pointing at the deposit invoice (creditInvoiceId).
+
+/**
+ * Everything billed on a job so far. With asOfInvoiceId, SOV amounts are split
+ * into "previous" (earlier invoices) and "thisPeriod" (that invoice) and later
+ * invoices are ignored — the AIA-style view of one pay application.
+ * Void invoices never count.
+ */
+async function jobBillingState(workOrderId, { asOfInvoiceId = null } = {}) {
+  const wid = Number(workOrderId);
+  const [[wo]] = await db.query(
+    'SELECT id, customer, customerId, workOrderNumber, poNumber, siteLocation, siteAddress, retainagePct FROM work_orders WHERE id = ?',
+    [wid]
+  );
+  if (!wo) return null;
+  const [[contract]] = await db.query(
+    'SELECT id, status, contractTotal, downPaymentPercent, signedAt FROM residential_contracts WHERE workOrderId = ? LIMIT 1',
+    [wid]
+  );
+  const [sov] = await db.query('SELECT * FROM schedule_of_values WHERE workOrderId = ? ORDER BY sortOrder ASC, id ASC', [wid]);
+
+  const asOf = Number(asOfInvoiceId) || null;
+  const [invoices] = await db.query(
+    `SELECT id, invoiceNumber, billingType, status, issueDate, subtotal, total, retainagePct, retainageAmount, amountPaid, balanceDue
+       FROM invoices WHERE workOrderId = ? AND status <> 'Void' ${asOf ? 'AND id <= ?' : ''} ORDER BY id ASC`,
+    asOf ? [wid, asOf] : [wid]
+  );
+  const ids = invoices.map((i) => i.id);
+  const [lines] = ids.length
+    ? await db.query('SELECT invoiceId, sovItemId, creditInvoiceId, amount FROM invoice_line_items WHERE invoiceId IN (?)', [ids])
+    : [[]];
+  const typeOf = new Map(invoices.map((i) => [i.id, i.billingType || 'standard']));
+
+  const items = sov.map((it) => {
+    let previous = 0, thisPeriod = 0;
+    for (const li of lines.filter((l) => l.sovItemId === it.id)) {
+      if (asOf && li.invoiceId === asOf) thisPeriod += Number(li.amount) || 0;
+      else previous += Number(li.amount) || 0;
+    }
+    const scheduledValue = Number(it.scheduledValue) || 0;
+    const billedToDate = round2p(previous + thisPeriod);
+    return {
+      ...it,
+      scheduledValue,
+      previous: round2p(previous),
+      thisPeriod: round2p(thisPeriod),
+      billedToDate,
+      remaining: round2p(scheduledValue - billedToDate),
+      pct: pct1(billedToDate, scheduledValue),
+    };
+  });
+
+  const sumLines = (pred) => round2p(lines.filter(pred).reduce((s, l) => s + (Number(l.amount) || 0), 0));
+  const deposits = invoices.filter((i) => i.billingType === 'deposit').map((i) => {
+    const billed = sumLines((l) => l.invoiceId === i.id && !l.creditInvoiceId);
+    const applied = round2p(-sumLines((l) => l.creditInvoiceId === i.id));
+    return { invoiceId: i.id, invoiceNumber: i.invoiceNumber, status: i.status, billed, applied, unapplied: round2p(billed - applied) };
+  });
+  const isScope = (l) => !l.creditInvoiceId && ['progress', 'final'].includes(typeOf.get(l.invoiceId));
+  const scopeBilled = sumLines(isScope);
+
+  const sovTotal = round2p(items.reduce((s, it) => s + it.scheduledValue, 0));
+  const contractTotal = items.length ? sovTotal : (contract?.contractTotal != null ? Number(contract.contractTotal) : null);
+
+  const held = round2p(invoices.filter((i) => i.billingType !== 'retainage').reduce((s, i) => s + (Number(i.retainageAmount) || 0), 0));
+  const released = sumLines((l) => typeOf.get(l.invoiceId) === 'retainage' && !l.creditInvoiceId);
+
+  return {
+    workOrder: wo,
+    contract: contract || null,
+    contractTotal,
+    scheduleOfValues: items,
+    scopeBilled,
+    remaining: contractTotal != null ? round2p(contractTotal - scopeBilled) : null,
+    deposits,
+    depositsBilled: round2p(deposits.reduce((s, d) => s + d.billed, 0)),
+    depositsUnapplied: round2p(deposits.reduce((s, d) => s + d.unapplied, 0)),
+    retainage: {
+      pct: wo.retainagePct != null ? Number(wo.retainagePct) : null,
+      held,
+      released,
+      outstanding: round2p(held - released),
+    },
+    hasFinal: invoices.some((i) => i.billingType === 'final'),
+    invoices,
+  };
+}
+
+/**
+ * Draft invoice for a job with the given lines ({ itemName, description,
+ * amount, taxable, sovItemId, creditInvoiceId }). Customer, PO and job site
+ * come from the work order. Returns the new invoice id.
+ */
+async function createBillingInvoice(wo, { billingType, retainagePct = null, lines, notes = null }) {
+  const out = await insertInvoice({
+    customerId: wo.customerId || null,
+    customerName: wo.customer || `Work Order #${wo.id}`,
+    workOrderId: wo.id,
+    poNumber: wo.poNumber,
+    projectName: wo.siteLocation,
+    shipToAddress: wo.siteAddress,
+    notes,
+  }, {
+    lines,
+    extra: { billingType, retainagePct: Number(retainagePct) > 0 ? Number(retainagePct) : null },
+  });
+  return out.id;
+}
+
+/**
+ * Deposit invoice for a job's residential contract: downPaymentPercent of the
+ * contract total, not taxable (tax is charged on the work as it's billed).
+ * Idempotent — an existing non-void deposit invoice is returned instead.
+ * Returns { invoiceId, created } or { error }.
+ */
+async function createDepositInvoiceForContract(workOrderId) {
+  const state = await jobBillingState(workOrderId);
+  if (!state) return { error: 'Work order not found.' };
+  if (state.deposits.length) return { invoiceId: state.deposits[0].invoiceId, created: false };
+
+  const total = Number(state.contract?.contractTotal) || 0;
+  const pct = Number(state.contract?.downPaymentPercent) || 0;
+  if (!state.contract || total <= 0) return { error: 'The residential contract has no contract total.' };
+  if (pct <= 0) return { error: 'The residential contract has no down payment.' };
+
+  const amount = round2p(total * pct / 100);
+  const invoiceId = await createBillingInvoice(state.workOrder, {
+    billingType: 'deposit',
+    lines: [{
+      itemName: 'Deposit',
+      description: `Deposit — ${Number(pct)}% of contract total ${fmtMoney(total)}`,
+      amount,
+      taxable: 0,
+    }],
+  });
+  console.log(`[Progress Billing] Deposit invoice #${invoiceId} (${fmtMoney(amount)}) for WO #${workOrderId}`);
+  return { invoiceId, created: true };
+}
+
+// Called from the contract signing routes; a billing hiccup must not fail the signature.
+async function createDepositInvoiceOnSign(workOrderId) {
   try {
-    const [rows] = await db.query('SELECT settingKey, settingValue FROM settings');
-    const obj = {};
-    for (const r of rows) obj[r.settingKey] = r.settingValue;
-    res.json(obj);
+    const out = await createDepositInvoiceForContract(workOrderId);
+    if (out.error) console.warn(`[Progress Billing] No deposit invoice for WO #${workOrderId}: ${out.error}`);
+    return out.invoiceId || null;
+  } catch (e) {
+    console.warn(`[Progress Billing] Deposit invoice failed for WO #${workOrderId}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Deposit credit lines for a progress/final invoice billing `scopeAmount` of
+ * work. A progress invoice applies deposits in proportion to the share of the
+ * contract it bills; the final invoice applies whatever is left. The credit
+ * never exceeds the work billed less retainage, so the invoice can't go
+ * negative.
+ */
+function depositCreditLines(state, scopeAmount, { final, retainagePct }) {
+  const cap = round2p(scopeAmount - scopeAmount * (Number(retainagePct) || 0) / 100);
+  let want = final || !(state.contractTotal > 0)
+    ? state.depositsUnapplied
+    : Math.min(state.depositsUnapplied, round2p(state.depositsBilled * scopeAmount / state.contractTotal));
+  want = Math.max(0, Math.min(want, cap));
+
+  const out = [];
+  for (const d of state.deposits) {
+    if (want <= 0) break;
+    const take = round2p(Math.min(d.unapplied, want));
+    if (take <= 0) continue;
+    out.push({
+      itemName: 'Deposit credit',
+      description: `Less deposit applied — Invoice #${d.invoiceNumber}`,
+      amount: -take,
+      taxable: 0,
+      creditInvoiceId: d.invoiceId,
+    });
+    want = round2p(want - take);
+  }
+  return out;
+}
+
+// GET /work-orders/:id/billing — contract, schedule of values, deposits and retainage for a job
+app.get('/work-orders/:id/billing', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const state = await jobBillingState(req.params.id, { asOfInvoiceId: req.query.asOfInvoiceId });
+    if (!state) return res.status(404).json({ error: 'Work order not found.' });
+    res.json(state);
   } catch (err) {
-    console.error('Error fetching settings:', err);
-    res.status(500).json({ error: 'Failed to fetch settings.' });
+    console.error('Error loading job billing:', err);
+    res.status(500).json({ error: 'Failed to load job billing.' });
+  }
+});
+
+// PUT /work-orders/:id/schedule-of-values — replace the SOV ({ items: [{ id?, description, scheduledValue, taxable }] }),
+// seed it from an estimate or invoice ({ fromEstimateId } / { fromInvoiceId }) and/or set { retainagePct }
+app.put('/work-orders/:id/schedule-of-values', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const wid = Number(req.params.id);
+    const state = await jobBillingState(wid);
+    if (!state) return res.status(404).json({ error: 'Work order not found.' });
+
+    if (b.retainagePct !== undefined) {
+      const pct = b.retainagePct === '' || b.retainagePct == null ? null : Number(b.retainagePct);
+      if (pct != null && (!Number.isFinite(pct) || pct < 0 || pct > 100)) return res.status(400).json({ error: 'retainagePct must be between 0 and 100.' });
+      await db.query('UPDATE work_orders SET retainagePct = ? WHERE id = ?', [pct || null, wid]);
+    }
+
+    let items = Array.isArray(b.items) ? b.items : null;
+    if (b.fromEstimateId || b.fromInvoiceId) {
+      if (state.scheduleOfValues.length) return res.status(409).json({ error: 'This job already has a schedule of values.' });
+      const [src] = b.fromEstimateId
+        ? await db.query('SELECT * FROM estimate_line_items WHERE estimateId = ? ORDER BY sortOrder ASC, id ASC', [Number(b.fromEstimateId)])
+        : await db.query('SELECT * FROM invoice_line_items WHERE invoiceId = ? AND creditInvoiceId IS NULL ORDER BY sortOrder ASC, id ASC', [Number(b.fromInvoiceId)]);
+      items = src.filter(lineIncluded).filter((li) => Number(li.amount) > 0).map((li) => ({
+        description: li.itemName || li.description,
+        scheduledValue: li.amount,
+        taxable: li.taxable,
+      }));
+      if (!items.length) return res.status(400).json({ error: 'That document has no billable lines.' });
+    }
+
+    if (items) {
+      const existing = new Map(state.scheduleOfValues.map((it) => [it.id, it]));
+      const keep = new Set();
+      for (const it of items) {
+        if (!String(it.description || '').trim()) return res.status(400).json({ error: 'Every line needs a description.' });
+        const value = Number(it.scheduledValue);
+        if (!Number.isFinite(value) || value < 0) return res.status(400).json({ error: 'Scheduled values must be zero or more.' });
+        if (it.id != null) {
+          const cur = existing.get(Number(it.id));
+          if (!cur) return res.status(400).json({ error: `Line ${it.id} is not on this schedule of values.` });
+          if (value < cur.billedToDate) {
+            return res.status(400).json({ error: `"${cur.description}" has already been billed ${fmtMoney(cur.billedToDate)}.` });
+          }
+          keep.add(cur.id);
+        }
+      }
+      for (const cur of existing.values()) {
+        if (!keep.has(cur.id) && cur.billedToDate !== 0) {
+          return res.status(400).json({ error: `"${cur.description}" has been billed and can't be removed.` });
+        }
+      }
+
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+        const drop = [...existing.keys()].filter((id) => !keep.has(id));
+        if (drop.length) await conn.query('DELETE FROM schedule_of_values WHERE id IN (?)', [drop]);
+        let sortOrder = 0;
+        for (const it of items) {
+          const vals = [String(it.description).trim().slice(0, 500), round2p(it.scheduledValue), lineTaxable(it.taxable), sortOrder++];
+          if (it.id != null) {
+            await conn.query('UPDATE schedule_of_values SET description=?, scheduledValue=?, taxable=?, sortOrder=? WHERE id=?', [...vals, Number(it.id)]);
+          } else {
+            await conn.query('INSERT INTO schedule_of_values (description, scheduledValue, taxable, sortOrder, workOrderId) VALUES (?, ?, ?, ?, ?)', [...vals, wid]);
+          }
+        }
+        await conn.commit();
+      } catch (e) {
+        await conn.rollback();
+        throw e;
+      } finally {
+        conn.release();
+      }
+    }
+
+    res.json(await jobBillingState(wid));
+  } catch (err) {
+    console.error('Error saving schedule of values:', err);
+    res.status(500).json({ error: 'Failed to save schedule of values.' });
+  }
+});
+
+// POST /work-orders/:id/billing/deposit — deposit invoice from the residential contract (if not already billed)
+app.post('/work-orders/:id/billing/deposit', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const out = await createDepositInvoiceForContract(req.params.id);
+    if (out.error) return res.status(out.error === 'Work order not found.' ? 404 : 400).json({ error: out.error });
+    const [[invoice]] = await db.query('SELECT * FROM invoices WHERE id = ?', [out.invoiceId]);
+    res.status(out.created ? 201 : 200).json({ invoiceId: out.invoiceId, created: out.created, invoice });
+  } catch (err) {
+    console.error('Error creating deposit invoice:', err);
+    res.status(500).json({ error: 'Failed to create deposit invoice.' });
+  }
+});
+
+// POST /work-orders/:id/billing/progress — progress (or { final: true }) invoice.
+// With a schedule of values: { items: [{ sovItemId, percentComplete | amount }] } (final bills every line's remainder).
+// Without one: { percentComplete | amount } of the contract total.
+app.post('/work-orders/:id/billing/progress', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const final = optionFlag(b.final) === 1;
+    const state = await jobBillingState(req.params.id);
+    if (!state) return res.status(404).json({ error: 'Work order not found.' });
+    if (state.hasFinal) return res.status(409).json({ error: 'This job already has a final invoice.' });
+
+    // Amount for this period from { percentComplete } (cumulative % of `scheduled`) or { amount }.
+    const periodAmount = (spec, scheduled, billed) => {
+      if (spec.percentComplete != null && spec.percentComplete !== '') {
+        const pct = Number(spec.percentComplete);
+        if (!Number.isFinite(pct) || pct < 0 || pct > 100) return { error: 'percentComplete must be between 0 and 100.' };
+        return { amount: round2p(scheduled * pct / 100 - billed) };
+      }
+      const amount = Number(spec.amount);
+      if (!Number.isFinite(amount)) return { error: 'Give a percentComplete or an amount.' };
+      return { amount: round2p(amount) };
+    };
+
+    const lines = [];
+    if (state.scheduleOfValues.length) {
+      const specs = new Map((Array.isArray(b.items) ? b.items : []).map((s) => [Number(s.sovItemId), s]));
+      for (const id of specs.keys()) {
+        if (!state.scheduleOfValues.some((it) => it.id === id)) return res.status(400).json({ error: `Line ${id} is not on this schedule of values.` });
+      }
+      for (const it of state.scheduleOfValues) {
+        let amount = 0;
+        if (final) amount = it.remaining;
+        else if (specs.has(it.id)) {
+          const out = periodAmount(specs.get(it.id), it.scheduledValue, it.billedToDate);
+          if (out.error) return res.status(400).json({ error: out.error });
+          amount = out.amount;
+        }
+        if (amount < 0) return res.status(400).json({ error: `"${it.description}" is already billed past that point.` });
+        if (amount > it.remaining) return res.status(400).json({ error: `"${it.description}" has only ${fmtMoney(it.remaining)} left to bill.` });
+        if (amount > 0) {
+          const toDate = it.billedToDate + amount;
+          lines.push({
+            itemName: it.description,
+            description: `${it.description} — ${pct1(toDate, it.scheduledValue)}% complete of ${fmtMoney(it.scheduledValue)}`,
+            amount,
+            taxable: it.taxable,
+            sovItemId: it.id,
+          });
+        }
+      }
+    } else {
+      if (!(state.contractTotal > 0)) {
+        return res.status(400).json({ error: 'Set up a schedule of values or a contract total before progress billing.' });
+      }
+      let amount = state.remaining;
+      if (!final) {
+        const out = periodAmount(b, state.contractTotal, state.scopeBilled);
+        if (out.error) return res.status(400).json({ error: out.error });
+        amount = out.amount;
+      }
+      if (amount < 0) return res.status(400).json({ error: 'The job is already billed past that point.' });
+      if (amount > state.remaining) return res.status(400).json({ error: `Only ${fmtMoney(state.remaining)} of the contract is left to bill.` });
+      // The contract total is the quoted price, so it isn't taxed on top.
+      if (amount > 0) {
+        lines.push({
+          itemName: final ? 'Final billing' : 'Progress billing',
+          description: `${final ? 'Final billing' : 'Progress billing'} — ${pct1(state.scopeBilled + amount, state.contractTotal)}% of contract total ${fmtMoney(state.contractTotal)}`,
+          amount,
+          taxable: 0,
+        });
+      }
+    }
+    if (!lines.length) return res.status(400).json({ error: 'Nothing to bill for this period.' });
+
+    const retainagePct = state.retainage.pct || 0;
+    const scopeAmount = round2p(lines.reduce((s, l) => s + l.amount, 0));
+    lines.push(...depositCreditLines(state, scopeAmount, { final, retainagePct }));
+
+    const invoiceId = await createBillingInvoice(state.workOrder, {
+      billingType: final ? 'final' : 'progress',
+      retainagePct,
+      lines,
+    });
+    if (final) {
+      await moveWorkOrderStatus(state.workOrder.id, 'Invoiced Waiting for Payment', req.user?.username || 'System', 'progress-final');
+    }
+    const [[invoice]] = await db.query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+    res.status(201).json({ invoiceId, invoice });
+  } catch (err) {
+    console.error('Error creating progress invoice:', err);
+    res.status(500).json({ error: 'Failed to create progress invoice.' });
+  }
+});
+
+// POST /work-orders/:id/billing/retainage — invoice the retainage held on the job's progress/final invoices
+app.post('/work-orders/:id/billing/retainage', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const state = await jobBillingState(req.params.id);
+    if (!state) return res.status(404).json({ error: 'Work order not found.' });
+    const outstanding = state.retainage.outstanding;
+    if (!(outstanding > 0)) return res.status(400).json({ error: 'No retainage is being held on this job.' });
+
+    const invoiceId = await createBillingInvoice(state.workOrder, {
+      billingType: 'retainage',
+      lines: [{
+        itemName: 'Retainage release',
+        description: `Retainage held on previous invoices (${fmtMoney(state.retainage.held)} held, ${fmtMoney(state.retainage.released)} already billed)`,
+        amount: outstanding,
+        taxable: 0,
+      }],
+    });
+    const [[invoice]] = await db.query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+    res.status(201).json({ invoiceId, invoice });
+  } catch (err) {
+    console.error('Error creating retainage invoice:', err);
+    res.status(500).json({ error: 'Failed to create retainage invoice.' });
+  }
+});
+
+// ─── SERVICE AGREEMENTS ─────────────────────────────────────────────────────
+// Recurring storefront/door maintenance billed monthly, quarterly, etc. Each
+// period opens a work order through insertWorkOrder and a draft invoice through
+// insertInvoice, exactly like hand-made ones. Dates are 'YYYY-MM-DD' strings.
+
+const AGREEMENT_FREQUENCIES = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 };
+const AGREEMENT_FREQUENCY_LABEL = { monthly: 'Monthly', quarterly: 'Quarterly', semiannual: 'Semi-annual', annual: 'Annual' };
+const AGREEMENT_STATUSES = ['Active', 'Paused', 'Expired', 'Cancelled'];
+const todayYmd = () => new Date().toISOString().slice(0, 10);
+
+// Add months to a date, keeping the anchor day where the month allows
+// (a Jan 31 agreement runs Feb 28, then Mar 31 — not Mar 28).
+function addMonthsYmd(ymd, months, anchorDay = null) {
+  const [y, m, d] = String(ymd).slice(0, 10).split('-').map(Number);
+  const first = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(anchorDay || d, lastDay));
+  return first.toISOString().slice(0, 10);
+}
+
+function addDaysYmd(ymd, days) {
+  const d = new Date(String(ymd).slice(0, 10) + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// { periodStart, periodEnd, label } for the period starting at ag.nextRunDate.
+function agreementPeriod(ag) {
+  const months = AGREEMENT_FREQUENCIES[ag.frequency] || 1;
+  const anchor = Number(String(ag.startDate).slice(8, 10));
+  const periodStart = String(ag.nextRunDate).slice(0, 10);
+  const nextStart = addMonthsYmd(periodStart, months, anchor);
+  const periodEnd = addDaysYmd(nextStart, -1);
+  const fmt = (ymd, opts) => new Date(ymd + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', ...opts });
+  const label = months === 1 && periodStart.endsWith('-01')
+    ? fmt(periodStart, { month: 'long', year: 'numeric' })
+    : `${fmt(periodStart, { month: 'short', day: 'numeric', year: 'numeric' })} – ${fmt(periodEnd, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  return { periodStart, periodEnd, nextStart, label };
+}
+
+// List/detail shape: adds the customer name and renewal flags.
+function decorateAgreement(ag) {
+  const today = todayYmd();
+  const end = ag.endDate ? String(ag.endDate).slice(0, 10) : null;
+  const daysToEnd = end ? Math.round((Date.parse(end) - Date.parse(today)) / 86400000) : null;
+  return {
+    ...ag,
+    price: Number(ag.price) || 0,
+    frequencyLabel: AGREEMENT_FREQUENCY_LABEL[ag.frequency] || ag.frequency,
+    customerName: ag.companyName || ag.custName || null,
+    daysToEnd,
+    renewalDue: ag.status === 'Active' && daysToEnd != null && daysToEnd <= (Number(ag.renewalNoticeDays) || 0),
+  };
+}
+
+/**
+ * Validate a create/update body. Returns { error } or { values } holding only
+ * the columns present in the body (all of the required ones on create).
+ */
+function agreementValues(b, { creating = false } = {}) {
+  const v = {};
+  const ymd = (x) => (x && /^\d{4}-\d{2}-\d{2}/.test(String(x)) ? String(x).slice(0, 10) : null);
+  if (b.customerId !== undefined) v.customerId = Number(b.customerId) || null;
+  if (b.title !== undefined) v.title = String(b.title || '').trim().slice(0, 255);
+  for (const f of ['siteLocation', 'siteAddress', 'poNumber']) {
+    if (b[f] !== undefined) v[f] = String(b[f] || '').trim() || null;
+  }
+  for (const f of ['includedWork', 'notes']) {
+    if (b[f] !== undefined) v[f] = String(b[f] || '').trim() || null;
+  }
+  if (b.frequency !== undefined) v.frequency = String(b.frequency || '').toLowerCase();
+  if (b.price !== undefined) v.price = Number(b.price);
+  for (const f of ['taxable', 'autoRenew', 'createWorkOrder', 'createInvoice']) {
+    if (b[f] !== undefined) v[f] = f === 'taxable' ? lineTaxable(b[f]) : optionFlag(b[f]);
+  }
+  for (const f of ['renewalTermMonths', 'renewalNoticeDays']) {
+    if (b[f] !== undefined) v[f] = Math.max(0, Math.round(Number(b[f]) || 0));
+  }
+  for (const f of ['startDate', 'endDate', 'nextRunDate']) {
+    if (b[f] !== undefined) v[f] = ymd(b[f]);
+  }
+  if (b.status !== undefined) v.status = b.status;
+
+  if (creating) {
+    if (!v.customerId) return { error: 'customerId is required.' };
+    if (!v.startDate) return { error: 'startDate is required.' };
+    if (!v.frequency) v.frequency = 'monthly';
+    if (!v.nextRunDate) v.nextRunDate = v.startDate;
+  }
+  if ((creating || v.title !== undefined) && !v.title) return { error: 'title is required.' };
+  if (v.frequency !== undefined && !AGREEMENT_FREQUENCIES[v.frequency]) {
+    return { error: `frequency must be one of ${Object.keys(AGREEMENT_FREQUENCIES).join(', ')}.` };
+  }
+  if (v.price !== undefined && (!Number.isFinite(v.price) || v.price < 0)) return { error: 'price must be zero or more.' };
+  if (v.status !== undefined && !AGREEMENT_STATUSES.includes(v.status)) {
+    return { error: `status must be one of ${AGREEMENT_STATUSES.join(', ')}.` };
+  }
+  if (v.renewalTermMonths === 0) return { error: 'renewalTermMonths must be at least 1.' };
+  if (b.startDate !== undefined && !v.startDate) return { error: 'startDate must be a date.' };
+  return { values: v };
+}
+
+async function loadAgreement(id) {
+  const [[ag]] = await db.query(
+    `SELECT sa.*, c.companyName, c.name AS custName
+       FROM service_agreements sa LEFT JOIN customers c ON c.id = sa.customerId
+      WHERE sa.id = ?`,
+    [id]
+  );
+  return ag || null;
+}
+
+/**
+ * Generate the period starting at the agreement's nextRunDate: claim it by
+ * advancing nextRunDate (a concurrent run loses the conditional update), record
+ * the run, then create the work order and the draft invoice. A failure on one
+ * document is stored on the run row rather than thrown, so the period isn't
+ * retried into duplicates. Returns the run row, or null when another run
+ * already took the period.
+ */
+async function generateAgreementPeriod(ag, who = 'System') {
+  const period = agreementPeriod(ag);
+  const [claim] = await db.query(
+    'UPDATE service_agreements SET nextRunDate = ?, lastRunAt = NOW() WHERE id = ? AND nextRunDate = ?',
+    [period.nextStart, ag.id, period.periodStart]
+  );
+  if (!claim.affectedRows) return null;
+  const [ins] = await db.query(
+    'INSERT IGNORE INTO service_agreement_runs (agreementId, periodStart, periodEnd, createdBy) VALUES (?, ?, ?, ?)',
+    [ag.id, period.periodStart, period.periodEnd, who]
+  );
+  if (!ins.affectedRows) return null;
+  const runId = ins.insertId;
+
+  const [[cust]] = await db.query('SELECT * FROM customers WHERE id = ?', [ag.customerId]);
+  const customerName = cust?.companyName || cust?.name || `Customer #${ag.customerId}`;
+  const siteAddress = ag.siteAddress
+    || [cust?.siteAddress, cust?.siteCity, [cust?.siteState, cust?.siteZip].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+    || null;
+  const billingAddress = [cust?.billingAddress, cust?.billingCity, [cust?.billingState, cust?.billingZip].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ') || siteAddress || customerName;
+  const freq = AGREEMENT_FREQUENCY_LABEL[ag.frequency] || ag.frequency;
+  const heading = `${ag.title} — ${freq} service, ${period.label}`;
+  const errors = [];
+
+  let workOrderId = null;
+  if (Number(ag.createWorkOrder)) {
+    try {
+      const out = await insertWorkOrder({
+        customer: customerName,
+        customerId: ag.customerId,
+        siteLocation: ag.siteLocation || customerName,
+        siteAddress,
+        billingAddress,
+        poNumber: ag.poNumber || '',
+        problemDescription: ag.includedWork ? `${heading}\n\n${ag.includedWork}` : heading,
+        status: 'Needs to be Scheduled',
+        customerPhone: cust?.phone || null,
+        customerEmail: cust?.email || null,
+        notes: `Service agreement #${ag.id}`,
+      }, {}, who, 'service-agreement');
+      if (out.error) errors.push(`Work order: ${out.error}`);
+      else workOrderId = out.id;
+    } catch (e) {
+      errors.push(`Work order: ${e.message}`);
+    }
+  }
+
+  let invoiceId = null;
+  if (Number(ag.createInvoice) && Number(ag.price) > 0) {
+    try {
+      const out = await insertInvoice({
+        customerId: ag.customerId,
+        workOrderId,
+        poNumber: ag.poNumber,
+        projectName: ag.siteLocation || ag.title,
+        shipToAddress: ag.siteAddress,
+        notes: `Service agreement: ${ag.title}\nService period: ${period.label}`,
+      }, {
+        lines: [{ itemName: ag.title, description: heading, quantity: 1, amount: ag.price, taxable: ag.taxable }],
+        extra: { serviceAgreementId: ag.id },
+      });
+      if (out.error) errors.push(`Invoice: ${out.error}`);
+      else invoiceId = out.id;
+    } catch (e) {
+      errors.push(`Invoice: ${e.message}`);
+    }
+  }
+
+  await db.query(
+    'UPDATE service_agreement_runs SET workOrderId = ?, invoiceId = ?, error = ? WHERE id = ?',
+    [workOrderId, invoiceId, errors.length ? errors.join('; ').slice(0, 500) : null, runId]
+  );
+  if (errors.length) console.warn(`[Service Agreements] #${ag.id} ${period.label}: ${errors.join('; ')}`);
+  const [[run]] = await db.query('SELECT * FROM service_agreement_runs WHERE id = ?', [runId]);
+  return run;
+}
+
+// GET /service-agreements — list ({ customerId, status, renewalsDue=1 })
+app.get('/service-agreements', authenticate, requirePermission('invoices.view'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.customerId) { where.push('sa.customerId = ?'); params.push(Number(req.query.customerId)); }
+    if (req.query.status) { where.push('sa.status = ?'); params.push(String(req.query.status)); }
+    const [rows] = await db.query(
+      `SELECT sa.*, c.companyName, c.name AS custName,
+              (SELECT COUNT(*) FROM service_agreement_runs r WHERE r.agreementId = sa.id) AS runCount
+         FROM service_agreements sa LEFT JOIN customers c ON c.id = sa.customerId
+        ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+        ORDER BY FIELD(sa.status, 'Active', 'Paused', 'Expired', 'Cancelled'), sa.nextRunDate ASC, sa.id DESC`,
+      params
+    );
+    let list = rows.map(decorateAgreement);
+    if (req.query.renewalsDue === '1') list = list.filter((a) => a.renewalDue);
+    res.json(list);
+  } catch (err) {
+    console.error('Error listing service agreements:', err);
+    res.status(500).json({ error: 'Failed to load service agreements.' });
+  }
+});
+
+// GET /service-agreements/:id — agreement with its generated periods
+app.get('/service-agreements/:id', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const ag = await loadAgreement(req.params.id);
+    if (!ag) return res.status(404).json({ error: 'Service agreement not found.' });
+    const [runs] = await db.query(
+      `SELECT r.*, w.workOrderNumber, w.status AS workOrderStatus, i.invoiceNumber, i.status AS invoiceStatus, i.total AS invoiceTotal
+         FROM service_agreement_runs r
+         LEFT JOIN work_orders w ON w.id = r.workOrderId
+         LEFT JOIN invoices i ON i.id = r.invoiceId
+        WHERE r.agreementId = ? ORDER BY r.periodStart DESC`,
+      [ag.id]
+    );
+    res.json({ ...decorateAgreement(ag), runs });
+  } catch (err) {
+    console.error('Error loading service agreement:', err);
+    res.status(500).json({ error: 'Failed to load service agreement.' });
+  }
+});
+
+// POST /service-agreements — create
+app.post('/service-agreements', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const { error, values } = agreementValues(coerceBody(req), { creating: true });
+    if (error) return res.status(400).json({ error });
+    const [[cust]] = await db.query('SELECT id FROM customers WHERE id = ?', [values.customerId]);
+    if (!cust) return res.status(400).json({ error: 'Customer not found.' });
+    delete values.status;
+    values.createdBy = req.user?.username || null;
+
+    const cols = Object.keys(values);
+    const [r] = await db.query(
+      `INSERT INTO service_agreements (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map((c) => values[c])
+    );
+    res.status(201).json(decorateAgreement(await loadAgreement(r.insertId)));
+  } catch (err) {
+    console.error('Error creating service agreement:', err);
+    res.status(500).json({ error: 'Failed to create service agreement.' });
+  }
+});
+
+// PUT /service-agreements/:id — update (including status: Active / Paused / Cancelled)
+app.put('/service-agreements/:id', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const ag = await loadAgreement(req.params.id);
+    if (!ag) return res.status(404).json({ error: 'Service agreement not found.' });
+    const { error, values } = agreementValues(coerceBody(req));
+    if (error) return res.status(400).json({ error });
+    if (values.customerId !== undefined) {
+      const [[cust]] = await db.query('SELECT id FROM customers WHERE id = ?', [values.customerId]);
+      if (!cust) return res.status(400).json({ error: 'Customer not found.' });
+    }
+    const cols = Object.keys(values);
+    if (!cols.length) return res.status(400).json({ error: 'No fields to update' });
+    await db.query(
+      `UPDATE service_agreements SET ${cols.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...cols.map((c) => values[c]), ag.id]
+    );
+    res.json(decorateAgreement(await loadAgreement(ag.id)));
+  } catch (err) {
+    console.error('Error updating service agreement:', err);
+    res.status(500).json({ error: 'Failed to update service agreement.' });
+  }
+});
+
+// POST /service-agreements/:id/renew — extend the end date by { termMonths } (default: the agreement's renewal term)
+app.post('/service-agreements/:id/renew', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const ag = await loadAgreement(req.params.id);
+    if (!ag) return res.status(404).json({ error: 'Service agreement not found.' });
+    if (ag.status === 'Cancelled') return res.status(400).json({ error: 'A cancelled agreement can\'t be renewed.' });
+    const b = coerceBody(req);
+    const months = Math.round(Number(b.termMonths ?? ag.renewalTermMonths) || 0);
+    if (months < 1) return res.status(400).json({ error: 'termMonths must be at least 1.' });
+
+    // Renewing a lapsed agreement restarts the term today; otherwise it extends from the current end date.
+    const today = todayYmd();
+    const base = ag.endDate && String(ag.endDate).slice(0, 10) >= today ? String(ag.endDate).slice(0, 10) : addDaysYmd(today, -1);
+    const endDate = addMonthsYmd(base, months);
+    const nextRunDate = ag.nextRunDate && String(ag.nextRunDate).slice(0, 10) >= today ? ag.nextRunDate : today;
+    await db.query(
+      "UPDATE service_agreements SET endDate = ?, nextRunDate = ?, status = 'Active', renewedAt = NOW() WHERE id = ?",
+      [endDate, nextRunDate, ag.id]
+    );
+    console.log(`[Service Agreements] #${ag.id} renewed through ${endDate} by ${req.user?.username || 'unknown'}`);
+    res.json(decorateAgreement(await loadAgreement(ag.id)));
+  } catch (err) {
+    console.error('Error renewing service agreement:', err);
+    res.status(500).json({ error: 'Failed to renew service agreement.' });
+  }
+});
+
+// POST /service-agreements/:id/generate — create the next period's work order and invoice now, ahead of schedule
+app.post('/service-agreements/:id/generate', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const ag = await loadAgreement(req.params.id);
+    if (!ag) return res.status(404).json({ error: 'Service agreement not found.' });
+    if (ag.status !== 'Active') return res.status(400).json({ error: `This agreement is ${ag.status}.` });
+    if (!ag.nextRunDate) return res.status(400).json({ error: 'This agreement has no next service date.' });
+    if (ag.endDate && String(ag.nextRunDate).slice(0, 10) > String(ag.endDate).slice(0, 10)) {
+      return res.status(400).json({ error: 'The next period is past the end date — renew the agreement first.' });
+    }
+    const run = await generateAgreementPeriod(ag, req.user?.username || 'System');
+    if (!run) return res.status(409).json({ error: 'That period was just generated. Refresh and try again.' });
+    res.status(201).json(run);
+  } catch (err) {
+    console.error('Error generating service agreement period:', err);
+    res.status(500).json({ error: 'Failed to generate the next period.' });
+  }
+});
+
+// GET /settings
+app.get('/settings', authenticate, async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT settingKey, settingValue FROM settings');
+    const obj = {};
+    for (const r of rows) obj[r.settingKey] = r.settingValue;
+    res.json(obj);
+  } catch (err) {
+    console.error('Error fetching settings:', err);
+    res.status(500).json({ error: 'Failed to fetch settings.' });
+  }
+});
+
+// PUT /settings
+app.put('/settings', authenticate, requirePermission('settings.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    for (const [key, value] of Object.entries(b)) {
+      await db.query(
+        'INSERT INTO settings (settingKey, settingValue, updatedAt) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE settingValue=?, updatedAt=NOW()',
+        [key, String(value), String(value)]
+      );
+    }
+    const [rows] = await db.query('SELECT settingKey, settingValue FROM settings');
+    const obj = {};
+    for (const r of rows) obj[r.settingKey] = r.settingValue;
+    res.json(obj);
+  } catch (err) {
+    console.error('Error updating settings:', err);
+    res.status(500).json({ error: 'Failed to update settings.' });
+  }
+});
+
+// ─── BATCH INVOICING ────────────────────────────────────────────────────────
+// Invoice many "Needs to be Invoiced" work orders at once: create a draft per
+// WO (lines from its accepted estimate, else from the chosen line-item
+// templates), review, generate the PDFs, then email them all. A WO moves to
+// "Invoiced Waiting for Payment" only once its invoice is actually sent, so a
+// draft that's still being reviewed leaves it on the Ready-to-Invoice list.
+// Every step reports per item; one bad WO never stops the rest.
+
+const MAX_BATCH_SIZE = 100;
+
+// Lines for a WO without an accepted estimate: one per template, quantity and
+// price from the template (cost × markup when it has no fixed amount).
+function invoiceLinesFromTemplates(templates) {
+  return templates.map((t) => {
+    const quantity = t.defaultQuantity != null ? Number(t.defaultQuantity) : null;
+    const sell = t.defaultUnitCost != null && t.defaultMarkupPct != null
+      ? (quantity ?? 1) * Number(t.defaultUnitCost) * (1 + Number(t.defaultMarkupPct) / 100)
+      : 0;
+    return {
+      itemName: t.description,
+      description: '',
+      quantity,
+      amount: t.defaultAmount != null ? Number(t.defaultAmount) : round2p(sell),
+      unitCost: t.defaultUnitCost,
+      markupPct: t.defaultMarkupPct,
+      taxable: t.taxable,
+    };
+  });
+}
+
+// Draft invoice for one WO of a batch. Returns { invoiceId, lineSource } or { error }.
+async function createBatchInvoice(workOrderId, templates, batchId) {
+  const [[wo]] = await db.query(
+    'SELECT id, status, customer, customerId, billingAddress, poNumber, siteLocation, siteAddress FROM work_orders WHERE id = ?',
+    [workOrderId]
+  );
+  if (!wo) return { error: 'Work order not found.' };
+  if (displayStatusOrDefault(wo.status) !== 'Needs to be Invoiced') {
+    return { error: `Work order is "${displayStatusOrDefault(wo.status)}", not "Needs to be Invoiced".` };
+  }
+  const [[existing]] = await db.query(
+    "SELECT invoiceNumber FROM invoices WHERE workOrderId = ? AND status <> 'Void' ORDER BY id DESC LIMIT 1",
+    [workOrderId]
+  );
+  if (existing) return { error: `Already has invoice #${existing.invoiceNumber}.` };
+
+  const [[estimate]] = await db.query(
+    "SELECT * FROM estimates WHERE workOrderId = ? AND status = 'Accepted' ORDER BY acceptedAt DESC, id DESC LIMIT 1",
+    [workOrderId]
+  );
+  let fields, lines, extra = {}, lineSource;
+  if (estimate) {
+    const draft = await invoiceDraftFromEstimate(estimate);
+    ({ fields, lines, extra } = draft);
+    lineSource = 'estimate';
+  } else {
+    fields = {
+      customerId: wo.customerId || null,
+      customerName: wo.customer || `Work Order #${wo.id}`,
+      billingAddress: wo.billingAddress,
+      workOrderId: wo.id,
+      poNumber: wo.poNumber,
+      projectName: wo.siteLocation,
+      shipToAddress: wo.siteAddress,
+    };
+    lines = invoiceLinesFromTemplates(templates);
+    lineSource = 'templates';
+  }
+  if (!lines.length) {
+    return { error: estimate ? 'The accepted estimate has no included lines.' : 'No accepted estimate and no line-item templates chosen.' };
+  }
+
+  const out = await insertInvoice(fields, { lines, extra: { ...extra, batchId } });
+  if (out.error) return { error: out.error };
+  return { invoiceId: out.id, lineSource };
+}
+
+async function loadInvoiceBatch(batchId) {
+  const [[batch]] = await db.query('SELECT * FROM invoice_batches WHERE id = ?', [batchId]);
+  if (!batch) return null;
+  const [items] = await db.query(
+    `SELECT bi.*, i.invoiceNumber, i.status AS invoiceStatus, i.total, i.pdfPath, i.sentAt,
+            w.workOrderNumber, w.customer, w.siteLocation,
+            COALESCE(c.companyName, c.name, w.customer) AS customerName, COALESCE(c.email, w.customerEmail) AS customerEmail
+       FROM invoice_batch_items bi
+       JOIN work_orders w ON w.id = bi.workOrderId
+       LEFT JOIN invoices i ON i.id = bi.invoiceId
+       LEFT JOIN customers c ON c.id = i.customerId
+      WHERE bi.batchId = ?
+      ORDER BY bi.id ASC`,
+    [batchId]
+  );
+  return { ...batch, items };
+}
+
+// Items of a batch that have an invoice, optionally narrowed to itemIds.
+async function batchItemsWithInvoices(batchId, itemIds) {
+  const ids = Array.isArray(itemIds) ? itemIds.map(Number).filter((n) => Number.isInteger(n) && n > 0) : [];
+  const [items] = await db.query(
+    `SELECT bi.*, i.status AS invoiceStatus, i.pdfPath
+       FROM invoice_batch_items bi JOIN invoices i ON i.id = bi.invoiceId
+      WHERE bi.batchId = ? ${ids.length ? 'AND bi.id IN (?)' : ''}
+      ORDER BY bi.id ASC`,
+    ids.length ? [batchId, ids] : [batchId]
+  );
+  return items;
+}
+
+async function setBatchItemResult(itemId, status, error = null) {
+  await db.query('UPDATE invoice_batch_items SET status = ?, error = ? WHERE id = ?', [status, error ? String(error).slice(0, 500) : null, itemId]);
+}
+
+// GET /invoice-batches — recent batches with item counts
+app.get('/invoice-batches', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const [rows] = await db.query(`
+      SELECT b.*, COUNT(bi.id) AS itemCount,
+             SUM(bi.status = 'sent') AS sentCount, SUM(bi.status = 'failed') AS failedCount
+        FROM invoice_batches b LEFT JOIN invoice_batch_items bi ON bi.batchId = b.id
+       GROUP BY b.id
+       ORDER BY b.id DESC
+       LIMIT 25
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching invoice batches:', err);
+    res.status(500).json({ error: 'Failed to fetch invoice batches.' });
+  }
+});
+
+// GET /invoice-batches/:id — batch with its items (invoice, work order, customer email)
+app.get('/invoice-batches/:id', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const batch = await loadInvoiceBatch(Number(req.params.id));
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json(batch);
+  } catch (err) {
+    console.error('Error fetching invoice batch:', err);
+    res.status(500).json({ error: 'Failed to fetch invoice batch.' });
+  }
+});
+
+// POST /invoice-batches — { workOrderIds, templateIds } → draft invoice per work order
+app.post('/invoice-batches', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const workOrderIds = [...new Set((Array.isArray(b.workOrderIds) ? b.workOrderIds : []).map(Number))]
+      .filter((n) => Number.isInteger(n) && n > 0);
+    if (!workOrderIds.length) return res.status(400).json({ error: 'Select at least one work order.' });
+    if (workOrderIds.length > MAX_BATCH_SIZE) return res.status(400).json({ error: `A batch can have at most ${MAX_BATCH_SIZE} work orders.` });
+
+    const templateIds = (Array.isArray(b.templateIds) ? b.templateIds : []).map(Number).filter((n) => Number.isInteger(n) && n > 0);
+    let templates = [];
+    if (templateIds.length) {
+      const [rows] = await db.query('SELECT * FROM line_item_templates WHERE id IN (?) AND isActive = 1', [templateIds]);
+      // Keep the order the templates were picked in.
+      templates = templateIds.map((id) => rows.find((t) => t.id === id)).filter(Boolean);
+    }
+
+    const who = req.user?.username || null;
+    const [batchRes] = await db.query(
+      'INSERT INTO invoice_batches (lineSource, templateIds, createdBy) VALUES (?, ?, ?)',
+      [templates.length ? 'templates' : 'estimate', templates.map((t) => t.id).join(',') || null, who]
+    );
+    const batchId = batchRes.insertId;
+
+    for (const workOrderId of workOrderIds) {
+      let out;
+      try {
+        out = await createBatchInvoice(workOrderId, templates, batchId);
+      } catch (err) {
+        console.error(`[Batch] Could not invoice work order #${workOrderId}:`, err);
+        out = { error: err.message || 'Failed to create invoice.' };
+      }
+      await db.query(
+        'INSERT INTO invoice_batch_items (batchId, workOrderId, invoiceId, lineSource, status, error) VALUES (?, ?, ?, ?, ?, ?)',
+        [batchId, workOrderId, out.invoiceId || null, out.lineSource || null, out.error ? 'failed' : 'created', out.error || null]
+      );
+    }
+
+    res.status(201).json(await loadInvoiceBatch(batchId));
+  } catch (err) {
+    console.error('Error creating invoice batch:', err);
+    res.status(500).json({ error: 'Failed to create invoice batch.' });
+  }
+});
+
+// POST /invoice-batches/:id/pdfs — { itemIds? } (re)generate each draft's PDF
+app.post('/invoice-batches/:id/pdfs', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const batchId = Number(req.params.id);
+    const [[batch]] = await db.query('SELECT id FROM invoice_batches WHERE id = ?', [batchId]);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    const b = coerceBody(req);
+
+    const results = [];
+    for (const item of await batchItemsWithInvoices(batchId, b.itemIds)) {
+      if (item.status === 'sent') continue;
+      try {
+        const pdfPath = await storeInvoicePdf(item.invoiceId, null, req);
+        await setBatchItemResult(item.id, 'pdf');
+        results.push({ itemId: item.id, invoiceId: item.invoiceId, ok: true, pdfPath });
+      } catch (err) {
+        console.error(`[Batch] PDF failed for invoice #${item.invoiceId}:`, err);
+        await setBatchItemResult(item.id, 'failed', `PDF: ${err.message}`);
+        results.push({ itemId: item.id, invoiceId: item.invoiceId, ok: false, error: err.message });
+      }
+    }
+    res.json({ results, batch: await loadInvoiceBatch(batchId) });
+  } catch (err) {
+    console.error('Error generating batch PDFs:', err);
+    res.status(500).json({ error: 'Failed to generate PDFs.' });
+  }
+});
+
+// POST /invoice-batches/:id/send — { itemIds? } email each invoice to its customer and move its WO
+app.post('/invoice-batches/:id/send', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const batchId = Number(req.params.id);
+    const [[batch]] = await db.query('SELECT id FROM invoice_batches WHERE id = ?', [batchId]);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    const b = coerceBody(req);
+    const who = req.user?.username || 'System';
+
+    const results = [];
+    for (const item of await batchItemsWithInvoices(batchId, b.itemIds)) {
+      if (item.status === 'sent') continue;
+      if (item.invoiceStatus === 'Void') {
+        await setBatchItemResult(item.id, 'failed', 'Invoice was voided.');
+        results.push({ itemId: item.id, invoiceId: item.invoiceId, ok: false, error: 'Invoice was voided.' });
+        continue;
+      }
+      try {
+        const out = await sendInvoiceEmail(item.invoiceId, {}, req);
+        if (out.error) throw new Error(out.error);
+        await moveWorkOrderStatus(item.workOrderId, 'Invoiced Waiting for Payment', who, 'invoice-batch');
+        await setBatchItemResult(item.id, 'sent');
+        results.push({ itemId: item.id, invoiceId: item.invoiceId, ok: true, recipientEmail: out.recipientEmail });
+      } catch (err) {
+        console.error(`[Batch] Email failed for invoice #${item.invoiceId}:`, err.message);
+        await setBatchItemResult(item.id, 'failed', `Email: ${err.message}`);
+        results.push({ itemId: item.id, invoiceId: item.invoiceId, ok: false, error: err.message });
+      }
+    }
+    res.json({ results, batch: await loadInvoiceBatch(batchId) });
+  } catch (err) {
+    console.error('Error sending batch invoices:', err);
+    res.status(500).json({ error: 'Failed to send invoices.' });
+  }
+});
+
+// ─── CUSTOMER STATEMENTS ────────────────────────────────────────────────────
+// A statement of account per customer and date range: opening balance, the
+// period's invoices, payments, refunds, credits and write-offs, the closing
+// balance, and every invoice still open at the end of the period with aging.
+// Balances follow recalcInvoiceTotals — an invoice is charged net of retainage
+// (the release invoice bills that later); Draft and Void invoices aren't on it.
+// Unapplied credit memos are listed but don't change the closing balance until
+// they're applied to an invoice.
+
+const STATEMENT_AGING = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: 'd1_30', label: '1-30', max: 30 },
+  { key: 'd31_60', label: '31-60', max: 60 },
+  { key: 'd61_90', label: '61-90', max: 90 },
+  { key: 'd90plus', label: '90+', max: Infinity },
+];
+
+const statementYmd = (x) => (/^\d{4}-\d{2}-\d{2}$/.test(String(x || '')) ? String(x) : null);
+const daysBetweenYmd = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+
+function statementPeriodLabel(from, to) {
+  const f = (ymd) => new Date(ymd + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  return `${f(from)} – ${f(to)}`;
+}
+
+function paymentLabel(p) {
+  if (Number(p.amount) < 0) return 'Refund';
+  if (p.paymentMethod === 'check' && p.checkNumber) return `Check #${p.checkNumber}`;
+  const method = { check: 'check', credit_card: 'card', ach: 'ACH', cash: 'cash' }[p.paymentMethod];
+  return method ? `Payment (${method})` : 'Payment';
+}
+
+/**
+ * Everything on a customer's statement for [from, to]. Returns null if the
+ * customer doesn't exist.
+ */
+async function buildCustomerStatement(customerId, from, to) {
+  const [[customer]] = await db.query(
+    `SELECT id, name, companyName, contactName, email, billingEmail, phone,
+            billingAddress, billingCity, billingState, billingZip
+       FROM customers WHERE id = ?`,
+    [customerId]
+  );
+  if (!customer) return null;
+
+  const issued = "i.customerId = ? AND i.status NOT IN ('Draft','Void')";
+  const [invoices] = await db.query(
+    `SELECT i.id, i.invoiceNumber, i.issueDate, i.dueDate, i.projectName, i.poNumber, i.total,
+            COALESCE(i.retainageAmount, 0) AS retainageAmount, src.invoiceNumber AS financeChargeFor
+       FROM invoices i LEFT JOIN invoices src ON src.id = i.financeChargeForInvoiceId
+      WHERE ${issued} AND i.issueDate <= ?`,
+    [customerId, to]
+  );
+  const [payments] = await db.query(
+    `SELECT p.id, p.invoiceId, i.invoiceNumber, p.paymentDate, p.amount, p.paymentMethod, p.checkNumber
+       FROM invoice_payments p JOIN invoices i ON i.id = p.invoiceId
+      WHERE ${issued} AND p.paymentDate <= ?`,
+    [customerId, to]
+  );
+  const [adjustments] = await db.query(
+    `SELECT a.id, a.invoiceId, i.invoiceNumber, a.type, a.amount, a.reason, a.adjustmentDate, cm.memoNumber
+       FROM invoice_adjustments a JOIN invoices i ON i.id = a.invoiceId
+       LEFT JOIN credit_memos cm ON cm.id = a.creditMemoId
+      WHERE ${issued} AND a.adjustmentDate <= ?`,
+    [customerId, to]
+  );
+
+  // Signed entries: charges up, payments/credits down, refunds back up.
+  const entries = [
+    ...invoices.map((i) => (i.financeChargeFor ? {
+      date: i.issueDate, order: 0, id: i.id, invoiceId: i.id, type: 'fee',
+      reference: `Finance charge #${i.invoiceNumber}`,
+      description: `Late fee on Invoice #${i.financeChargeFor}`,
+      amount: round2p(i.total),
+    } : {
+      date: i.issueDate, order: 0, id: i.id, invoiceId: i.id, type: 'invoice',
+      reference: `Invoice #${i.invoiceNumber}`,
+      description: [i.projectName, i.poNumber ? `PO ${i.poNumber}` : null,
+        Number(i.retainageAmount) > 0 ? `${fmtMoney(i.retainageAmount)} retainage held` : null].filter(Boolean).join(' · '),
+      amount: round2p(Number(i.total) - Number(i.retainageAmount)),
+    })),
+    ...payments.map((p) => ({
+      date: p.paymentDate, order: 1, id: p.id, invoiceId: p.invoiceId, type: Number(p.amount) < 0 ? 'refund' : 'payment',
+      reference: paymentLabel(p), description: `Invoice #${p.invoiceNumber}`,
+      amount: round2p(-Number(p.amount)),
+    })),
+    ...adjustments.map((a) => ({
+      date: a.adjustmentDate, order: 2, id: a.id, invoiceId: a.invoiceId, type: a.type === 'writeoff' ? 'writeoff' : 'credit',
+      reference: a.type === 'writeoff' ? 'Write-off' : a.type === 'waiver' ? 'Late fee waived' : a.memoNumber ? `Credit ${a.memoNumber}` : 'Credit',
+      description: [`Invoice #${a.invoiceNumber}`, a.reason].filter(Boolean).join(' · '),
+      amount: round2p(-Number(a.amount)),
+    })),
+  ].sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : x.order - y.order || x.id - y.id));
+
+  let openingBalance = 0;
+  const activity = [];
+  const totals = { invoiced: 0, financeCharges: 0, paid: 0, refunded: 0, credited: 0, writtenOff: 0 };
+  const invoiceBalance = new Map();
+  for (const e of entries) {
+    invoiceBalance.set(e.invoiceId, round2p((invoiceBalance.get(e.invoiceId) || 0) + e.amount));
+    if (e.date < from) {
+      openingBalance = round2p(openingBalance + e.amount);
+      continue;
+    }
+    const bucket = { invoice: 'invoiced', fee: 'financeCharges', payment: 'paid', refund: 'refunded', credit: 'credited', writeoff: 'writtenOff' }[e.type];
+    totals[bucket] = round2p(totals[bucket] + Math.abs(e.amount));
+    activity.push(e);
+  }
+  let running = openingBalance;
+  for (const e of activity) {
+    running = round2p(running + e.amount);
+    e.balance = running;
+  }
+
+  // Open as of the statement date, aged by days past due on that date.
+  const aging = Object.fromEntries(STATEMENT_AGING.map((b) => [b.key, 0]));
+  const openInvoices = invoices
+    .map((i) => ({ ...i, balance: invoiceBalance.get(i.id) || 0 }))
+    .filter((i) => i.balance > 0.005)
+    .sort((a, b) => (a.issueDate < b.issueDate ? -1 : a.issueDate > b.issueDate ? 1 : a.id - b.id))
+    .map((i) => {
+      const daysPastDue = i.dueDate ? Math.max(0, daysBetweenYmd(String(i.dueDate).slice(0, 10), to)) : 0;
+      const bucket = STATEMENT_AGING.find((b) => daysPastDue <= b.max);
+      aging[bucket.key] = round2p(aging[bucket.key] + i.balance);
+      return {
+        id: i.id, invoiceNumber: i.invoiceNumber, issueDate: i.issueDate, dueDate: i.dueDate,
+        projectName: i.projectName, poNumber: i.poNumber, total: Number(i.total), balance: i.balance, daysPastDue,
+      };
+    });
+
+  const [[{ unapplied }]] = await db.query(
+    `SELECT COALESCE(SUM(cm.amount - COALESCE((SELECT SUM(a.amount) FROM invoice_adjustments a WHERE a.creditMemoId = cm.id), 0)), 0) AS unapplied
+       FROM credit_memos cm WHERE cm.customerId = ? AND cm.status = 'Open' AND cm.issueDate <= ?`,
+    [customerId, to]
+  );
+
+  return {
+    customer,
+    from,
+    to,
+    periodLabel: statementPeriodLabel(from, to),
+    openingBalance,
+    totals,
+    closingBalance: running,
+    activity,
+    openInvoices,
+    aging,
+    unappliedCredit: round2p(Math.max(0, Number(unapplied) || 0)),
+  };
+}
+
+// Statement PDF, drawn with the same pdfkit setup, fonts and colors as the
+// zone-template invoices (the default invoice template's theme, if it's a zone one).
+async function generateStatementPdf(st) {
+  const cfg = await loadTemplateConfig(null, 'invoice');
+  const zoned = cfg && cfg.layoutMode === 'zones';
+  const theme = (zoned && ZONE_FONT_THEMES[cfg.fontTheme]) || ZONE_FONT_THEMES.modern;
+  const scheme = (zoned && ZONE_COLOR_SCHEMES[cfg.colorScheme]) || ZONE_COLOR_SCHEMES.green;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const MARGIN_X = 50;
+      const MARGIN_TOP = 40;
+      const MARGIN_BOTTOM = 40;
+      const doc = new PDFDocument({ size: 'LETTER', margins: { top: MARGIN_TOP, bottom: MARGIN_BOTTOM, left: MARGIN_X, right: MARGIN_X } });
+      const chunks = [];
+      doc.on('data', (c) => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const PAGE_H = doc.page.height;
+      const CONTENT_W = doc.page.width - MARGIN_X * 2;
+      const fmtDate = (d) => (d ? new Date(String(d).slice(0, 10) + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC' }) : '');
+      const c = st.customer;
+
+      // ───── header ─────
+      let y = MARGIN_TOP;
+      const logoPath = path.resolve(__dirname, 'assets', 'logo.png');
+      let textX = MARGIN_X;
+      if (fs.existsSync(logoPath)) {
+        try { doc.image(logoPath, MARGIN_X, y, { width: 64, height: 64 }); textX = MARGIN_X + 76; } catch (e) {}
+      }
+      doc.font(theme.bold).fontSize(12).fillColor('#000000').text(FCG_COMPANY.name, textX, y, { width: 260 });
+      doc.font(theme.body).fontSize(9)
+        .text('1513 Industrial Drive\nItasca, IL 60143\nPhone: 630-250-9777\noffice@firstclassglass.com', textX, y + 16, { width: 260 });
+
+      doc.font(theme.bold).fontSize(20).fillColor(scheme.titleColor).text('STATEMENT', MARGIN_X, y, { width: CONTENT_W, align: 'right' });
+      doc.font(theme.body).fontSize(9).fillColor('#000000')
+        .text(`Statement date: ${fmtDate(st.to)}\nPeriod: ${st.periodLabel}\nAccount #: ${c.id}`, MARGIN_X, y + 28, { width: CONTENT_W, align: 'right' });
+      y += 84;
+
+      // ───── bill-to + summary ─────
+      doc.font(theme.bold).fontSize(8).fillColor(scheme.primary).text('BILL TO', MARGIN_X, y);
+      const billTo = [
+        (c.companyName || c.name || '').toUpperCase(),
+        c.contactName ? `Attn: ${c.contactName}` : null,
+        (c.billingAddress || '').toUpperCase(),
+        [[c.billingCity, c.billingState].filter(Boolean).join(', '), c.billingZip].filter(Boolean).join(' ').toUpperCase(),
+      ].filter(Boolean).join('\n');
+      doc.font(theme.body).fontSize(10).fillColor('#000000').text(billTo, MARGIN_X, y + 11, { width: 250 });
+
+      const SUM_W = 230;
+      const sumX = MARGIN_X + CONTENT_W - SUM_W;
+      const summary = [
+        ['Opening balance', st.openingBalance],
+        ['Invoices', st.totals.invoiced],
+        ...(st.totals.financeCharges ? [['Finance charges', st.totals.financeCharges]] : []),
+        ['Payments', -st.totals.paid],
+        ...(st.totals.refunded ? [['Refunds', st.totals.refunded]] : []),
+        ['Credits', -st.totals.credited],
+        ...(st.totals.writtenOff ? [['Written off', -st.totals.writtenOff]] : []),
+      ];
+      let sy = y;
+      doc.font(theme.body).fontSize(9).fillColor('#000000');
+      for (const [label, v] of summary) {
+        doc.text(label, sumX, sy, { width: SUM_W / 2 });
+        doc.text(fmtMoney(v), sumX + SUM_W / 2, sy, { width: SUM_W / 2, align: 'right' });
+        sy += 13;
+      }
+      doc.save();
+      doc.rect(sumX, sy, SUM_W, 20).fill(scheme.tableHeader);
+      doc.restore();
+      doc.font(theme.bold).fontSize(10).fillColor('#000000')
+        .text('Balance due', sumX + 6, sy + 5, { width: SUM_W / 2 })
+        .text(fmtMoney(st.closingBalance), sumX + SUM_W / 2, sy + 5, { width: SUM_W / 2 - 6, align: 'right' });
+      y = Math.max(doc.y, sy + 20) + 18;
+
+      // ───── tables ─────
+      const table = (title, cols, rows) => {
+        const headerH = 18;
+        const drawHeader = () => {
+          doc.save();
+          doc.rect(MARGIN_X, y, CONTENT_W, headerH).fill(scheme.tableHeader);
+          doc.restore();
+          let cx = MARGIN_X;
+          doc.font(theme.bold).fontSize(8).fillColor('#000000');
+          for (const col of cols) {
+            doc.text(col.label, cx + 4, y + 5, { width: col.width - 8, align: col.align || 'left' });
+            cx += col.width;
+          }
+          y += headerH;
+        };
+        if (y + 40 > PAGE_H - MARGIN_BOTTOM) { doc.addPage(); y = MARGIN_TOP; }
+        doc.font(theme.bold).fontSize(11).fillColor(scheme.primary).text(title, MARGIN_X, y);
+        y += 16;
+        drawHeader();
+        doc.font(theme.body).fontSize(9);
+        rows.forEach((row, i) => {
+          const rowH = Math.max(16, ...cols.map((col) => doc.heightOfString(String(row[col.key] ?? ''), { width: col.width - 8 }) + 6));
+          if (y + rowH > PAGE_H - MARGIN_BOTTOM) {
+            doc.addPage();
+            y = MARGIN_TOP;
+            drawHeader();
+            doc.font(theme.body).fontSize(9);
+          }
+          if (i % 2 === 1) {
+            doc.save();
+            doc.rect(MARGIN_X, y, CONTENT_W, rowH).fill('#f9fafb');
+            doc.restore();
+          }
+          let cx = MARGIN_X;
+          doc.font(row.bold ? theme.bold : theme.body).fillColor('#000000');
+          for (const col of cols) {
+            doc.text(String(row[col.key] ?? ''), cx + 4, y + 3, { width: col.width - 8, align: col.align || 'left' });
+            cx += col.width;
+          }
+          y += rowH;
+        });
+        y += 16;
+      };
+
+      const signed = (v) => (v < 0 ? `(${fmtMoney(-v)})` : fmtMoney(v));
+      table('Account Activity', [
+        { key: 'date', label: 'DATE', width: 62 },
+        { key: 'reference', label: 'TRANSACTION', width: 110 },
+        { key: 'description', label: 'DETAILS', width: CONTENT_W - 62 - 110 - 80 - 80 },
+        { key: 'amount', label: 'AMOUNT', width: 80, align: 'right' },
+        { key: 'balance', label: 'BALANCE', width: 80, align: 'right' },
+      ], [
+        { date: fmtDate(st.from), reference: 'Opening balance', description: '', amount: '', balance: signed(st.openingBalance), bold: true },
+        ...st.activity.map((e) => ({ date: fmtDate(e.date), reference: e.reference, description: e.description, amount: signed(e.amount), balance: signed(e.balance) })),
+        { date: fmtDate(st.to), reference: 'Closing balance', description: '', amount: '', balance: signed(st.closingBalance), bold: true },
+      ]);
+
+      if (st.openInvoices.length) {
+        table('Open Invoices', [
+          { key: 'invoiceNumber', label: 'INVOICE #', width: 70 },
+          { key: 'issueDate', label: 'DATE', width: 62 },
+          { key: 'dueDate', label: 'DUE', width: 62 },
+          { key: 'project', label: 'PROJECT / PO', width: CONTENT_W - 70 - 62 - 62 - 60 - 80 - 80 },
+          { key: 'daysPastDue', label: 'DAYS PAST DUE', width: 60, align: 'center' },
+          { key: 'total', label: 'TOTAL', width: 80, align: 'right' },
+          { key: 'balance', label: 'BALANCE', width: 80, align: 'right' },
+        ], st.openInvoices.map((i) => ({
+          invoiceNumber: i.invoiceNumber,
+          issueDate: fmtDate(i.issueDate),
+          dueDate: fmtDate(i.dueDate),
+          project: [i.projectName, i.poNumber ? `PO ${i.poNumber}` : null].filter(Boolean).join(' · '),
+          daysPastDue: i.daysPastDue ? String(i.daysPastDue) : '—',
+          total: fmtMoney(i.total),
+          balance: fmtMoney(i.balance),
+        })));
+
+        const w = CONTENT_W / STATEMENT_AGING.length;
+        table('Aging', STATEMENT_AGING.map((b) => ({ key: b.key, label: b.label === 'Current' ? 'CURRENT' : `${b.label} DAYS`, width: w, align: 'right' })),
+          [Object.fromEntries(STATEMENT_AGING.map((b) => [b.key, fmtMoney(st.aging[b.key])]))]);
+      }
+
+      if (y + 40 > PAGE_H - MARGIN_BOTTOM) { doc.addPage(); y = MARGIN_TOP; }
+      const notes = [];
+      if (st.unappliedCredit > 0) notes.push(`You have ${fmtMoney(st.unappliedCredit)} in unapplied credit on account, which will be applied to an open invoice.`);
+      notes.push(`Please remit payment to ${FCG_COMPANY.name}, ${FCG_COMPANY.address}. Questions about this statement? Call ${FCG_COMPANY.phone}.`);
+      doc.font(theme.body).fontSize(9).fillColor('#000000').text(notes.join('\n'), MARGIN_X, y, { width: CONTENT_W });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+/**
+ * Build, render and store a statement. Returns the customer_statements row
+ * (plus the statement data) or null if the customer doesn't exist.
+ * `monthlyPeriod` marks the monthly run's row; `statement` skips rebuilding
+ * one the caller already has.
+ */
+async function createCustomerStatement(customerId, from, to, { createdBy = null, monthlyPeriod = null, statement = null } = {}) {
+  const st = statement || (await buildCustomerStatement(customerId, from, to));
+  if (!st) return null;
+  const pdfBuffer = await generateStatementPdf(st);
+  const filename = `statement_${customerId}_${to}_${Date.now()}.pdf`;
+  const localDir = path.resolve(__dirname, 'uploads');
+  if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
+  const filePath = path.join(localDir, filename);
+  fs.writeFileSync(filePath, pdfBuffer);
+  const pdfPath = `uploads/${filename}`;
+  await uploadToS3IfConfigured(filePath, pdfPath);
+
+  const [r] = await db.query(
+    `INSERT INTO customer_statements (customerId, periodStart, periodEnd, openingBalance, closingBalance, pdfPath, monthlyPeriod, createdBy)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [customerId, from, to, st.openingBalance, st.closingBalance, pdfPath, monthlyPeriod, createdBy]
+  );
+  const [[row]] = await db.query('SELECT * FROM customer_statements WHERE id = ?', [r.insertId]);
+  return { ...row, statement: st };
+}
+
+// Email a stored statement to the customer's billing contact (or recipientEmail).
+// Returns { recipientEmail } or { status, error }; send failures are recorded
+// on the statement and rethrown.
+async function sendStatementEmail(statementId, b = {}, who = null) {
+  const [[row]] = await db.query(
+    `SELECT s.*, c.companyName, c.name AS custName, c.email, c.billingEmail
+       FROM customer_statements s JOIN customers c ON c.id = s.customerId
+      WHERE s.id = ?`,
+    [statementId]
+  );
+  if (!row) return { status: 404, error: 'Statement not found' };
+  const recipientEmail = String(b.recipientEmail || row.billingEmail || row.email || '').trim();
+  if (!recipientEmail) return { status: 400, error: 'No billing email on file for this customer.' };
+
+  const data = {
+    companyName: row.companyName, custName: row.custName,
+    balanceDue: row.closingBalance,
+    statementPeriod: statementPeriodLabel(String(row.periodStart).slice(0, 10), String(row.periodEnd).slice(0, 10)),
+  };
+  let { subject, body } = b;
+  if (!subject || !body) {
+    const [[tmpl]] = await db.query("SELECT * FROM email_templates WHERE type = 'statement' AND isActive = 1 ORDER BY isDefault DESC, id ASC LIMIT 1");
+    subject = subject || mergeEmailFields(tmpl?.subject || 'Statement of Account — {{statementPeriod}}', data);
+    body = body || mergeEmailFields(tmpl?.body || DEFAULT_STATEMENT_EMAIL_BODY, data);
+  }
+
+  try {
+    const attachment = await resolvePdfAttachment(row.pdfPath);
+    const { transport, settings } = await createEmailTransport();
+    await transport.sendMail({
+      from: `"${settings.senderName || 'First Class Glass'}" <${settings.senderEmail}>`,
+      replyTo: settings.replyTo || settings.senderEmail,
+      to: recipientEmail,
+      subject,
+      text: body,
+      html: `<div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;max-width:600px">${escHtml(body).replace(/\n/g, '<br>')}</div>`,
+      attachments: [{ filename: `Statement ${String(row.periodEnd).slice(0, 10)}.pdf`, content: attachment.buffer, contentType: 'application/pdf' }],
+    });
+  } catch (err) {
+    await db.query("UPDATE customer_statements SET status = 'failed', error = ? WHERE id = ?", [String(err.message).slice(0, 500), statementId]);
+    await db.query(
+      'INSERT INTO email_log (recipientEmail, subject, status, errorMessage, sentBy) VALUES (?, ?, ?, ?, ?)',
+      [recipientEmail, subject, 'failed', err.message, who]
+    ).catch(() => {});
+    throw err;
+  }
+
+  await db.query("UPDATE customer_statements SET status = 'sent', sentTo = ?, sentAt = NOW(), error = NULL WHERE id = ?", [recipientEmail, statementId]);
+  await db.query(
+    'INSERT INTO email_log (recipientEmail, recipientName, subject, body, attachmentPath, status, sentBy) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [recipientEmail, row.companyName || row.custName || null, subject, body, row.pdfPath, 'sent', who]
+  );
+  return { recipientEmail };
+}
+
+function statementRange(q) {
+  const to = statementYmd(q.to) || todayYmd();
+  const from = statementYmd(q.from) || `${to.slice(0, 7)}-01`;
+  if (from > to) return { error: 'The start date must be on or before the end date.' };
+  return { from, to };
+}
+
+// GET /customers/:id/statement?from&to — statement data (preview; nothing stored)
+app.get('/customers/:id/statement', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const range = statementRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const st = await buildCustomerStatement(Number(req.params.id), range.from, range.to);
+    if (!st) return res.status(404).json({ error: 'Customer not found' });
+    res.json(st);
+  } catch (err) {
+    console.error('Error building statement:', err);
+    res.status(500).json({ error: 'Failed to build statement.' });
+  }
+});
+
+// GET /customers/:id/statements — statements generated for this customer
+app.get('/customers/:id/statements', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT * FROM customer_statements WHERE customerId = ? ORDER BY id DESC LIMIT 50',
+      [req.params.id]
+    );
+    res.json(rows.map((r) => ({ ...r, pdfUrl: signedFileUrl(r.pdfPath, req.user.id) })));
+  } catch (err) {
+    console.error('Error fetching statements:', err);
+    res.status(500).json({ error: 'Failed to fetch statements.' });
+  }
+});
+
+// POST /customers/:id/statements — { from, to, email?, recipientEmail? } generate the PDF (and optionally email it)
+app.post('/customers/:id/statements', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const range = statementRange(b);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const who = req.user?.username || null;
+    const created = await createCustomerStatement(Number(req.params.id), range.from, range.to, { createdBy: who });
+    if (!created) return res.status(404).json({ error: 'Customer not found' });
+
+    let emailError = null;
+    if (b.email) {
+      try {
+        const out = await sendStatementEmail(created.id, b, who);
+        if (out.error) emailError = out.error;
+      } catch (err) {
+        console.error('Error emailing statement:', err);
+        emailError = err.message || 'Failed to send email.';
+      }
+    }
+    const [[row]] = await db.query('SELECT * FROM customer_statements WHERE id = ?', [created.id]);
+    res.status(201).json({ ...row, pdfUrl: signedFileUrl(row.pdfPath, req.user.id), emailError });
+  } catch (err) {
+    console.error('Error generating statement:', err);
+    res.status(500).json({ error: 'Failed to generate statement.' });
+  }
+});
+
+// POST /customer-statements/:id/email — { recipientEmail?, subject?, body? }
+app.post('/customer-statements/:id/email', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const out = await sendStatementEmail(Number(req.params.id), coerceBody(req), req.user?.username || null);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    res.json({ message: `Statement sent to ${out.recipientEmail}` });
+  } catch (err) {
+    console.error('Error emailing statement:', err);
+    res.status(500).json({ error: err.message || 'Failed to send email.' });
+  }
+});
+
+// ─── NUMBERING FORMATS ──────────────────────────────────────────────────────
+
+function numberingRow(seq) {
+  const year = new Date().getFullYear();
+  const nextValue = sequenceValueFor(seq, year);
+  return {
+    docType: seq.docType,
+    label: NUMBERED_DOCUMENTS[seq.docType]?.label || seq.docType,
+    prefix: seq.prefix || '',
+    includeYear: !!Number(seq.includeYear),
+    padLength: Number(seq.padLength) || 0,
+    yearlyReset: !!Number(seq.yearlyReset),
+    nextValue,
+    preview: formatDocumentNumber(seq, nextValue, year),
+  };
+}
+
+// GET /numbering — format and next number for invoices, estimates and work orders
+app.get('/numbering', authenticate, async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM document_sequences');
+    const byType = Object.fromEntries(rows.map((r) => [r.docType, r]));
+    res.json(Object.keys(NUMBERED_DOCUMENTS).map((docType) => numberingRow(byType[docType] || { docType })));
+  } catch (err) {
+    console.error('Error fetching numbering formats:', err);
+    res.status(500).json({ error: 'Failed to fetch numbering formats.' });
+  }
+});
+
+// PUT /numbering/:docType — { prefix, includeYear, padLength, yearlyReset, nextValue }
+app.put('/numbering/:docType', authenticate, requirePermission('settings.edit'), async (req, res) => {
+  try {
+    const { docType } = req.params;
+    if (!NUMBERED_DOCUMENTS[docType]) return res.status(404).json({ error: 'Unknown document type' });
+    const b = coerceBody(req);
+    const prefix = String(b.prefix ?? '').trim();
+    if (prefix.length > 20 || !/^[A-Za-z0-9\-_/.#]*$/.test(prefix)) {
+      return res.status(400).json({ error: 'Prefix can be up to 20 letters, digits or - _ / . #' });
+    }
+    const padLength = Number(b.padLength) || 0;
+    if (!Number.isInteger(padLength) || padLength < 0 || padLength > 12) {
+      return res.status(400).json({ error: 'Zero-padding must be a whole number from 0 to 12' });
+    }
+    const nextValue = Number(b.nextValue);
+    if (!Number.isInteger(nextValue) || nextValue < 1) return res.status(400).json({ error: 'Next number must be a whole number of at least 1' });
+
+    // Setting the next number by hand counts as this year's, so a yearly reset doesn't undo it.
+    await db.query(
+      `INSERT INTO document_sequences (docType, prefix, includeYear, padLength, yearlyReset, nextValue, currentYear)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE prefix = VALUES(prefix), includeYear = VALUES(includeYear), padLength = VALUES(padLength),
+         yearlyReset = VALUES(yearlyReset), nextValue = VALUES(nextValue), currentYear = VALUES(currentYear)`,
+      [docType, prefix, b.includeYear ? 1 : 0, padLength, b.yearlyReset ? 1 : 0, nextValue, new Date().getFullYear()]
+    );
+    const [[seq]] = await db.query('SELECT * FROM document_sequences WHERE docType = ?', [docType]);
+    res.json(numberingRow(seq));
+  } catch (err) {
+    console.error('Error updating numbering format:', err);
+    res.status(500).json({ error: 'Failed to update numbering format.' });
+  }
+});
+
+// ─── TAX JURISDICTIONS ──────────────────────────────────────────────────────
+
+function taxJurisdictionFields(b) {
+  const out = {};
+  if (b.name !== undefined) out.name = String(b.name || '').trim();
+  if (b.state !== undefined) out.state = String(b.state || '').trim().toUpperCase();
+  if (b.city !== undefined) out.city = String(b.city || '').trim() || null;
+  if (b.zip !== undefined) out.zip = String(b.zip || '').trim().slice(0, 5) || null;
+  if (b.rate !== undefined) out.rate = optionalNumber(b.rate);
+  if (b.isActive !== undefined) out.isActive = b.isActive ? 1 : 0;
+  return out;
+}
+
+function taxJurisdictionError(f, creating) {
+  if ((creating || f.name !== undefined) && !f.name) return 'name is required.';
+  if ((creating || f.state !== undefined) && !/^[A-Z]{2}$/.test(f.state || '')) return 'state must be a two-letter code.';
+  if ((creating || f.rate !== undefined) && (f.rate == null || f.rate < 0 || f.rate > 30)) return 'rate must be a percentage between 0 and 30.';
+  return null;
+}
+
+// GET /tax-jurisdictions — active rates (?all=1 includes retired ones)
+app.get('/tax-jurisdictions', authenticate, async (req, res) => {
+  try {
+    const where = req.query.all ? '' : 'WHERE isActive = 1';
+    const [rows] = await db.query(`SELECT * FROM tax_jurisdictions ${where} ORDER BY state, name`);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching tax jurisdictions:', err);
+    res.status(500).json({ error: 'Failed to fetch tax jurisdictions.' });
+  }
+});
+
+// GET /tax-jurisdictions/resolve?city&state&zip — which rate an address would get
+app.get('/tax-jurisdictions/resolve', authenticate, async (req, res) => {
+  try {
+    const j = await resolveTaxJurisdiction(req.query);
+    res.json({ jurisdiction: j });
+  } catch (err) {
+    console.error('Error resolving tax jurisdiction:', err);
+    res.status(500).json({ error: 'Failed to resolve tax jurisdiction.' });
+  }
+});
+
+// POST /tax-jurisdictions
+app.post('/tax-jurisdictions', authenticate, requirePermission('settings.edit'), async (req, res) => {
+  try {
+    const f = taxJurisdictionFields(coerceBody(req));
+    const error = taxJurisdictionError(f, true);
+    if (error) return res.status(400).json({ error });
+    const [r] = await db.query(
+      'INSERT INTO tax_jurisdictions (name, state, city, zip, rate) VALUES (?,?,?,?,?)',
+      [f.name, f.state, f.city ?? null, f.zip ?? null, f.rate]
+    );
+    const [[created]] = await db.query('SELECT * FROM tax_jurisdictions WHERE id = ?', [r.insertId]);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('Error creating tax jurisdiction:', err);
+    res.status(500).json({ error: 'Failed to create tax jurisdiction.' });
+  }
+});
+
+// PUT /tax-jurisdictions/:id — rate changes apply to new/draft documents only;
+// issued estimates and invoices keep the rate they were totalled with.
+app.put('/tax-jurisdictions/:id', authenticate, requirePermission('settings.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const f = taxJurisdictionFields(coerceBody(req));
+    const error = taxJurisdictionError(f, false);
+    if (error) return res.status(400).json({ error });
+    const keys = Object.keys(f);
+    if (!keys.length) return res.status(400).json({ error: 'No fields to update.' });
+    const [r] = await db.query(
+      `UPDATE tax_jurisdictions SET ${keys.map((k) => `${k}=?`).join(',')} WHERE id=?`,
+      [...keys.map((k) => f[k]), req.params.id]
+    );
+    if (!r.affectedRows) return res.status(404).json({ error: 'Tax jurisdiction not found.' });
+    const [[updated]] = await db.query('SELECT * FROM tax_jurisdictions WHERE id = ?', [req.params.id]);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating tax jurisdiction:', err);
+    res.status(500).json({ error: 'Failed to update tax jurisdiction.' });
+  }
+});
+
+// DELETE /tax-jurisdictions/:id (soft delete — documents still reference it)
+app.delete('/tax-jurisdictions/:id', authenticate, requirePermission('settings.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    await db.query('UPDATE tax_jurisdictions SET isActive = 0 WHERE id = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting tax jurisdiction:', err);
+    res.status(500).json({ error: 'Failed to delete tax jurisdiction.' });
+  }
+});
+
+// ─── COLLECTION POLICIES ────────────────────────────────────────────────────
+// Payment terms + late-fee rules (see loadCollectionPolicies). Changing a policy
+// moves due dates only for invoices created or re-dated afterwards; fees and
+// reminder stages follow it from the next run.
+
+function collectionPolicyFields(b) {
+  const out = {};
+  if (b.name !== undefined) out.name = String(b.name || '').trim();
+  if (b.netDays !== undefined) out.netDays = optionalNumber(b.netDays);
+  if (b.feePct !== undefined) out.feePct = optionalNumber(b.feePct) ?? 0;
+  if (b.compounding !== undefined) out.compounding = b.compounding && b.compounding !== '0' ? 1 : 0;
+  if (b.escalationDays !== undefined) out.escalationDays = optionalNumber(b.escalationDays);
+  if (b.reminderCadenceDays !== undefined) out.reminderCadenceDays = optionalNumber(b.reminderCadenceDays);
+  if (b.termsText !== undefined) out.termsText = String(b.termsText || '').trim().slice(0, 500) || null;
+  return out;
+}
+
+function collectionPolicyError(f, creating) {
+  const days = (v) => Number.isInteger(v) && v >= 0 && v <= 365;
+  if ((creating || f.name !== undefined) && !f.name) return 'name is required.';
+  if ((creating || f.netDays !== undefined) && !days(f.netDays)) return 'Net days must be a whole number from 0 to 365.';
+  if (f.feePct !== undefined && (f.feePct < 0 || f.feePct > 25)) return 'Late fee must be a percentage between 0 and 25.';
+  if (f.escalationDays !== undefined && !(days(f.escalationDays) && f.escalationDays > 0)) return 'Escalation interval must be 1 to 365 days.';
+  if (f.reminderCadenceDays !== undefined && !(days(f.reminderCadenceDays) && f.reminderCadenceDays > 0)) return 'Reminder cadence must be 1 to 365 days.';
+  return null;
+}
+
+// Make one policy the company default (and only that one).
+async function setDefaultCollectionPolicy(id) {
+  await db.query('UPDATE collection_policies SET isDefault = (id = ?)', [id]);
+}
+
+// GET /collection-policies — active policies, default first, with how many customers use each
+app.get('/collection-policies', authenticate, async (req, res) => {
+  try {
+    const [rows] = await db.query(`
+      SELECT p.*, (SELECT COUNT(*) FROM customers c WHERE c.collectionPolicyId = p.id) AS customerCount
+        FROM collection_policies p WHERE p.isActive = 1 ORDER BY p.isDefault DESC, p.name`);
+    res.json(rows.map((r) => ({ ...collectionPolicyRow(r), termsPreview: policyTermsText(collectionPolicyRow(r)) })));
+  } catch (err) {
+    console.error('Error fetching collection policies:', err);
+    res.status(500).json({ error: 'Failed to fetch collection policies.' });
+  }
+});
+
+// POST /collection-policies
+app.post('/collection-policies', authenticate, requirePermission('settings.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const f = collectionPolicyFields(b);
+    const error = collectionPolicyError(f, true);
+    if (error) return res.status(400).json({ error });
+    const [r] = await db.query(
+      `INSERT INTO collection_policies (name, netDays, feePct, compounding, escalationDays, reminderCadenceDays, termsText)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [f.name, f.netDays, f.feePct ?? 0, f.compounding ?? 1, f.escalationDays ?? 30, f.reminderCadenceDays ?? 30, f.termsText ?? null]
+    );
+    if (b.isDefault) await setDefaultCollectionPolicy(r.insertId);
+    const [[created]] = await db.query('SELECT * FROM collection_policies WHERE id = ?', [r.insertId]);
+    res.status(201).json(collectionPolicyRow(created));
+  } catch (err) {
+    console.error('Error creating collection policy:', err);
+    res.status(500).json({ error: 'Failed to create collection policy.' });
   }
 });
 
-// PUT /settings
-app.put('/settings', authenticate, async (req, res) => {
+// PUT /collection-policies/:id — { isDefault: true } makes it the company default
+app.put('/collection-policies/:id', authenticate, requirePermission('settings.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
-    for (const [key, value] of Object.entries(b)) {
+    const f = collectionPolicyFields(b);
+    const error = collectionPolicyError(f, false);
+    if (error) return res.status(400).json({ error });
+    const [[existing]] = await db.query('SELECT id FROM collection_policies WHERE id = ? AND isActive = 1', [req.params.id]);
+    if (!existing) return res.status(404).json({ error: 'Collection policy not found.' });
+    const keys = Object.keys(f);
+    if (!keys.length && !b.isDefault) return res.status(400).json({ error: 'No fields to update.' });
+    if (keys.length) {
       await db.query(
-        'INSERT INTO settings (settingKey, settingValue, updatedAt) VALUES (?, ?, NOW()) ON DUPLICATE KEY UPDATE settingValue=?, updatedAt=NOW()',
-        [key, String(value), String(value)]
+        `UPDATE collection_policies SET ${keys.map((k) => `${k}=?`).join(',')} WHERE id=?`,
+        [...keys.map((k) => f[k]), req.params.id]
       );
     }
-    const [rows] = await db.query('SELECT settingKey, settingValue FROM settings');
-    const obj = {};
-    for (const r of rows) obj[r.settingKey] = r.settingValue;
-    res.json(obj);
+    if (b.isDefault) await setDefaultCollectionPolicy(Number(req.params.id));
+    const [[updated]] = await db.query('SELECT * FROM collection_policies WHERE id = ?', [req.params.id]);
+    res.json(collectionPolicyRow(updated));
   } catch (err) {
-    console.error('Error updating settings:', err);
-    res.status(500).json({ error: 'Failed to update settings.' });
+    console.error('Error updating collection policy:', err);
+    res.status(500).json({ error: 'Failed to update collection policy.' });
+  }
+});
+
+// DELETE /collection-policies/:id — retire it; its customers go back to the company default
+app.delete('/collection-policies/:id', authenticate, requirePermission('settings.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [[policy]] = await db.query('SELECT isDefault FROM collection_policies WHERE id = ?', [req.params.id]);
+    if (!policy) return res.status(404).json({ error: 'Collection policy not found.' });
+    if (Number(policy.isDefault)) return res.status(400).json({ error: 'Make another policy the default before retiring this one.' });
+    await db.query('UPDATE collection_policies SET isActive = 0 WHERE id = ?', [req.params.id]);
+    await db.query('UPDATE customers SET collectionPolicyId = NULL WHERE collectionPolicyId = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting collection policy:', err);
+    res.status(500).json({ error: 'Failed to delete collection policy.' });
   }
 });
 
@@ -4943,15 +9242,16 @@ app.get('/line-item-templates', authenticate, async (req, res) => {
 });
 
 // POST /line-item-templates
-app.post('/line-item-templates', authenticate, async (req, res) => {
+app.post('/line-item-templates', authenticate, requirePermission('templates.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
     if (!b.description || !String(b.description).trim()) {
       return res.status(400).json({ error: 'description is required' });
     }
     const [r] = await db.query(
-      'INSERT INTO line_item_templates (description, defaultQuantity, defaultAmount, category) VALUES (?,?,?,?)',
-      [String(b.description).trim(), b.defaultQuantity ?? 1, b.defaultAmount ?? null, b.category ? String(b.category).trim() : null]
+      'INSERT INTO line_item_templates (description, defaultQuantity, defaultAmount, defaultUnitCost, defaultMarkupPct, taxable, category) VALUES (?,?,?,?,?,?,?)',
+      [String(b.description).trim(), b.defaultQuantity ?? 1, b.defaultAmount ?? null,
+        optionalNumber(b.defaultUnitCost), optionalNumber(b.defaultMarkupPct), lineTaxable(b.taxable), b.category ? String(b.category).trim() : null]
     );
     const [[created]] = await db.query('SELECT * FROM line_item_templates WHERE id = ?', [r.insertId]);
     res.status(201).json(created);
@@ -4962,13 +9262,17 @@ app.post('/line-item-templates', authenticate, async (req, res) => {
 });
 
 // PUT /line-item-templates/:id
-app.put('/line-item-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/line-item-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const sets = [], params = [];
-    for (const f of ['description', 'defaultQuantity', 'defaultAmount', 'category', 'sortOrder']) {
-      if (b[f] !== undefined) { sets.push(`${f}=?`); params.push(b[f]); }
+    for (const f of ['description', 'defaultQuantity', 'defaultAmount', 'defaultUnitCost', 'defaultMarkupPct', 'category', 'sortOrder']) {
+      if (b[f] !== undefined) {
+        sets.push(`${f}=?`);
+        params.push(f === 'defaultUnitCost' || f === 'defaultMarkupPct' ? optionalNumber(b[f]) : b[f]);
+      }
     }
+    if (b.taxable !== undefined) { sets.push('taxable=?'); params.push(lineTaxable(b.taxable)); }
     if (!sets.length) return res.status(400).json({ error: 'No fields to update.' });
     params.push(req.params.id);
     await db.query(`UPDATE line_item_templates SET ${sets.join(',')} WHERE id=?`, params);
@@ -4981,7 +9285,7 @@ app.put('/line-item-templates/:id', authenticate, requireNumericParam('id'), asy
 });
 
 // DELETE /line-item-templates/:id (soft delete)
-app.delete('/line-item-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/line-item-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     await db.query('UPDATE line_item_templates SET isActive = 0 WHERE id = ?', [req.params.id]);
     res.json({ success: true });
@@ -5058,7 +9362,7 @@ app.get('/pdf-templates/:id', authenticate, requireNumericParam('id'), async (re
 });
 
 // POST /pdf-templates
-app.post('/pdf-templates', authenticate, async (req, res) => {
+app.post('/pdf-templates', authenticate, requirePermission('templates.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
     if (!b.name?.trim()) return res.status(400).json({ error: 'name is required' });
@@ -5078,7 +9382,7 @@ app.post('/pdf-templates', authenticate, async (req, res) => {
 });
 
 // PUT /pdf-templates/:id
-app.put('/pdf-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/pdf-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const sets = [], params = [];
@@ -5118,7 +9422,7 @@ app.put('/pdf-templates/:id', authenticate, requireNumericParam('id'), async (re
 });
 
 // DELETE /pdf-templates/:id (soft delete)
-app.delete('/pdf-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/pdf-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[tpl]] = await db.query('SELECT isDefault FROM pdf_templates WHERE id = ?', [req.params.id]);
     if (!tpl) return res.status(404).json({ error: 'Template not found.' });
@@ -5132,7 +9436,7 @@ app.delete('/pdf-templates/:id', authenticate, requireNumericParam('id'), async
 });
 
 // POST /pdf-templates/:id/duplicate
-app.post('/pdf-templates/:id/duplicate', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/pdf-templates/:id/duplicate', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const [[orig]] = await db.query('SELECT * FROM pdf_templates WHERE id = ? AND isActive = 1', [req.params.id]);
     if (!orig) return res.status(404).json({ error: 'Template not found.' });
@@ -5149,7 +9453,7 @@ app.post('/pdf-templates/:id/duplicate', authenticate, requireNumericParam('id')
 });
 
 // POST /pdf-templates/preview — generate sample PDF with given config
-app.post('/pdf-templates/preview', authenticate, async (req, res) => {
+app.post('/pdf-templates/preview', authenticate, requirePermission('templates.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
     let config = DEFAULT_TEMPLATE_CONFIG;
@@ -5230,7 +9534,7 @@ app.get('/assets/logo-green', (req, res) => {
 // ─── EMAIL SETTINGS ENDPOINTS ───────────────────────────────────────────────
 
 // GET /email-settings
-app.get('/email-settings', authenticate, async (req, res) => {
+app.get('/email-settings', authenticate, requirePermission('emailSettings.manage'), async (req, res) => {
   try {
     const [[settings]] = await db.query('SELECT * FROM email_settings WHERE id = 1');
     if (settings) {
@@ -5246,7 +9550,7 @@ app.get('/email-settings', authenticate, async (req, res) => {
 });
 
 // PUT /email-settings
-app.put('/email-settings', authenticate, async (req, res) => {
+app.put('/email-settings', authenticate, requirePermission('emailSettings.manage'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const fields = [];
@@ -5280,7 +9584,7 @@ app.put('/email-settings', authenticate, async (req, res) => {
 });
 
 // POST /email-settings/test
-app.post('/email-settings/test', authenticate, async (req, res) => {
+app.post('/email-settings/test', authenticate, requirePermission('emailSettings.manage'), async (req, res) => {
   try {
     const { transport, settings } = await createEmailTransport();
     await transport.sendMail({
@@ -5329,7 +9633,7 @@ app.get('/email-templates/:id', authenticate, requireNumericParam('id'), async (
 });
 
 // POST /email-templates
-app.post('/email-templates', authenticate, async (req, res) => {
+app.post('/email-templates', authenticate, requirePermission('templates.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
     if (!b.name || !b.type || !b.subject || !b.body) {
@@ -5351,7 +9655,7 @@ app.post('/email-templates', authenticate, async (req, res) => {
 });
 
 // PUT /email-templates/:id
-app.put('/email-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/email-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const fields = [];
@@ -5379,7 +9683,7 @@ app.put('/email-templates/:id', authenticate, requireNumericParam('id'), async (
 });
 
 // DELETE /email-templates/:id
-app.delete('/email-templates/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/email-templates/:id', authenticate, requirePermission('templates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     await db.query('UPDATE email_templates SET isActive = 0 WHERE id = ?', [req.params.id]);
     res.json({ message: 'Template deleted.' });
@@ -5413,7 +9717,7 @@ async function resolvePdfAttachment(pdfPath) {
 }
 
 // POST /email/send-estimate/:estimateId
-app.post('/email/send-estimate/:estimateId', authenticate, requireNumericParam('estimateId'), async (req, res) => {
+app.post('/email/send-estimate/:estimateId', authenticate, requirePermission('estimates.edit'), requireNumericParam('estimateId'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const estimateId = Number(req.params.estimateId);
@@ -5531,13 +9835,16 @@ app.post('/email/send-estimate/:estimateId', authenticate, requireNumericParam('
     });
 
     // Log
-    await db.query(
+    const [logResult] = await db.query(
       'INSERT INTO email_log (templateId, estimateId, recipientEmail, recipientName, subject, body, attachmentPath, status, sentBy) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
       [b.templateId || null, estimateId, recipientEmail, b.recipientName || est.companyName || est.custName || null, subject, body, pdfPath, 'sent', req.user?.username || null]
     );
 
     // Update status
     await db.query("UPDATE estimates SET status='Sent', sentAt=NOW(), updatedAt=NOW() WHERE id=?", [estimateId]);
+    await recordEstimateSend(estimateId, {
+      emailLogId: logResult.insertId, recipientEmail, subject, pdfPath, user: req.user?.username || null,
+    });
 
     res.json({ message: 'Email sent successfully!' });
   } catch (err) {
@@ -5554,38 +9861,28 @@ app.post('/email/send-estimate/:estimateId', authenticate, requireNumericParam('
   }
 });
 
-// POST /email/send-invoice/:invoiceId
-app.post('/email/send-invoice/:invoiceId', authenticate, requireNumericParam('invoiceId'), async (req, res) => {
+// Email an invoice to the customer: PDF attached (generated if it has none), a
+// fresh pay-online link, the default invoice template unless subject/body are
+// given. Marks it Sent. Shared by POST /email/send-invoice/:invoiceId and batch
+// invoicing. Returns { recipientEmail } or { status, error }; send failures are
+// logged to email_log and rethrown.
+async function sendInvoiceEmail(invoiceId, b, req) {
   try {
-    const b = coerceBody(req);
-    const invoiceId = Number(req.params.invoiceId);
-
     const [[inv]] = await db.query(`
       SELECT i.*, c.companyName, c.name AS custName, c.phone AS custPhone, c.email AS custEmail
       FROM invoices i LEFT JOIN customers c ON i.customerId = c.id
       WHERE i.id = ?
     `, [invoiceId]);
-    if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
+    if (!inv) return { status: 404, error: 'Invoice not found.' };
 
     const recipientEmail = b.recipientEmail || inv.custEmail;
-    if (!recipientEmail) return res.status(400).json({ error: 'Recipient email is required.' });
+    if (!recipientEmail) return { status: 400, error: 'Recipient email is required.' };
 
     if (b.saveEmail && b.recipientEmail && inv.customerId) {
       await db.query('UPDATE customers SET email = ? WHERE id = ?', [b.recipientEmail, inv.customerId]);
     }
 
-    let pdfPath = inv.pdfPath;
-    if (!pdfPath) {
-      const pdfBuffer = await generateInvoicePdf(invoiceId);
-      const filename = `invoice_${invoiceId}_${Date.now()}.pdf`;
-      const localDir = path.resolve(__dirname, 'uploads');
-      if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
-      const localPath = path.join(localDir, filename);
-      fs.writeFileSync(localPath, pdfBuffer);
-      pdfPath = `uploads/${filename}`;
-      await db.query('UPDATE invoices SET pdfPath=?, updatedAt=NOW() WHERE id=?', [pdfPath, invoiceId]);
-      await uploadToS3IfConfigured(localPath, pdfPath);
-    }
+    const pdfPath = inv.pdfPath || (await storeInvoicePdf(invoiceId, null, req));
 
     const attachment = await resolvePdfAttachment(pdfPath);
 
@@ -5602,6 +9899,8 @@ app.post('/email/send-invoice/:invoiceId', authenticate, requireNumericParam('in
     const paymentUrl = appUrl ? `${appUrl}/public/invoice/${pubToken}` : '';
     inv.paymentLink = paymentUrl;
 
+    inv.lateFeeTerms = policyLateFeeSentence(await collectionPolicyForCustomer(inv.customerId));
+
     // Calculate daysOverdue for merge
     if (inv.dueDate) {
       const due = new Date(inv.dueDate);
@@ -5672,33 +9971,44 @@ app.post('/email/send-invoice/:invoiceId', authenticate, requireNumericParam('in
 
     await db.query(
       'INSERT INTO email_log (templateId, invoiceId, recipientEmail, recipientName, subject, body, attachmentPath, status, sentBy) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [b.templateId || null, invoiceId, recipientEmail, b.recipientName || inv.companyName || inv.custName || null, subject, body, pdfPath, 'sent', req.user?.username || null]
+      [b.templateId || null, invoiceId, recipientEmail, b.recipientName || inv.companyName || inv.custName || null, subject, body, pdfPath, 'sent', req?.user?.username || null]
     );
 
     await db.query("UPDATE invoices SET status='Sent', sentAt=NOW(), updatedAt=NOW() WHERE id=?", [invoiceId]);
 
-    res.json({ message: 'Email sent successfully!' });
+    return { recipientEmail };
   } catch (err) {
-    console.error('Error sending invoice email:', err);
     try {
-      const b = coerceBody(req);
       await db.query(
         'INSERT INTO email_log (invoiceId, recipientEmail, subject, status, errorMessage, sentBy) VALUES (?, ?, ?, ?, ?, ?)',
-        [req.params.invoiceId, b.recipientEmail || '', b.subject || '', 'failed', err.message, req.user?.username || null]
+        [invoiceId, b.recipientEmail || '', b.subject || '', 'failed', err.message, req?.user?.username || null]
       );
     } catch (logErr) { /* ignore */ }
+    throw err;
+  }
+}
+
+// POST /email/send-invoice/:invoiceId
+app.post('/email/send-invoice/:invoiceId', authenticate, requirePermission('invoices.edit'), requireNumericParam('invoiceId'), async (req, res) => {
+  try {
+    const out = await sendInvoiceEmail(Number(req.params.invoiceId), coerceBody(req), req);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    res.json({ message: 'Email sent successfully!' });
+  } catch (err) {
+    console.error('Error sending invoice email:', err);
     res.status(500).json({ error: err.message || 'Failed to send email.' });
   }
 });
 
 // POST /email/send-reminder/:invoiceId
-app.post('/email/send-reminder/:invoiceId', authenticate, requireNumericParam('invoiceId'), async (req, res) => {
+app.post('/email/send-reminder/:invoiceId', authenticate, requirePermission('invoices.edit'), requireNumericParam('invoiceId'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const invoiceId = Number(req.params.invoiceId);
 
     const [[inv]] = await db.query(`
-      SELECT i.*, c.companyName, c.name AS custName, c.phone AS custPhone, c.email AS custEmail
+      SELECT i.*, c.companyName, c.name AS custName, c.phone AS custPhone, c.email AS custEmail,
+             c.remindersPaused, c.remindersPausedReason
       FROM invoices i LEFT JOIN customers c ON i.customerId = c.id
       WHERE i.id = ?
     `, [invoiceId]);
@@ -5706,6 +10016,8 @@ app.post('/email/send-reminder/:invoiceId', authenticate, requireNumericParam('i
 
     const recipientEmail = b.recipientEmail || inv.custEmail;
     if (!recipientEmail) return res.status(400).json({ error: 'Recipient email is required.' });
+    const blocked = await reminderBlockedReason(inv, recipientEmail);
+    if (blocked) return res.status(409).json({ error: blocked });
 
     if (b.saveEmail && b.recipientEmail && inv.customerId) {
       await db.query('UPDATE customers SET email = ? WHERE id = ?', [b.recipientEmail, inv.customerId]);
@@ -5714,18 +10026,11 @@ app.post('/email/send-reminder/:invoiceId', authenticate, requireNumericParam('i
     // Generate PDF if needed
     let pdfPath = inv.pdfPath;
     if (!pdfPath) {
-      const pdfBuffer = await generateInvoicePdf(invoiceId);
-      const filename = `invoice_${invoiceId}_${Date.now()}.pdf`;
-      const localDir = path.resolve(__dirname, 'uploads');
-      if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
-      const localPath = path.join(localDir, filename);
-      fs.writeFileSync(localPath, pdfBuffer);
-      pdfPath = `uploads/${filename}`;
-      await db.query('UPDATE invoices SET pdfPath=?, updatedAt=NOW() WHERE id=?', [pdfPath, invoiceId]);
-      await uploadToS3IfConfigured(localPath, pdfPath);
+      pdfPath = await storeInvoicePdf(invoiceId, null, req);
     }
 
     const attachment = await resolvePdfAttachment(pdfPath);
+    inv.lateFeeTerms = policyLateFeeSentence(await collectionPolicyForCustomer(inv.customerId));
 
     // Calculate daysOverdue
     if (inv.dueDate) {
@@ -5810,93 +10115,68 @@ app.post('/email/send-reminder/:invoiceId', authenticate, requireNumericParam('i
 // ════════════════════════════════════════════════════════════════════════════
 
 const COLLECTIONS_CHASEABLE = ['Sent', 'Partial', 'Overdue', 'Unpaid'];
-const LATE_FEE_RATE = 0.15;       // 15%
-const NET_TERM_DAYS = 45;         // invoice becomes due 45 days after the invoice date
-const ESCALATION_EVERY_DAYS = 30; // additional 15% every 30 days thereafter
 
 function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
 
-// Calendar-day number (UTC) for a date — used for exact whole-day differences
-// that do NOT drift across daylight-saving boundaries.
-function dayNumber(d) {
-  const x = new Date(d);
-  return Math.floor(Date.UTC(x.getFullYear(), x.getMonth(), x.getDate()) / (24 * 60 * 60 * 1000));
+// ─── Collection policies ─────────────────────────────────────────────────────
+// Terms and late-fee rules come from the customer's collection policy, else the
+// company default policy, else FALLBACK_COLLECTION_POLICY (utils/collections).
+function collectionPolicyRow(r) {
+  return {
+    ...r,
+    netDays: Number(r.netDays),
+    feePct: Number(r.feePct),
+    compounding: Number(r.compounding) ? 1 : 0,
+    escalationDays: Math.max(1, Number(r.escalationDays) || 30),
+    reminderCadenceDays: Math.max(1, Number(r.reminderCadenceDays) || 30),
+    isDefault: Number(r.isDefault) ? 1 : 0,
+  };
 }
 
-// Compute collections fields for an invoice row.
-// Returns { daysOverdue, daysSinceInvoice, dueDate, outstanding, lateFee, reminderStage }.
-function computeCollections(inv, now = new Date()) {
-  const total = Number(inv.total) || 0;
-  const amountPaid = Number(inv.amountPaid) || 0;
-  const outstanding = round2(Math.max(0, total - amountPaid));
-
-  const todayNum = dayNumber(now);
-  // Collections clock start: when the invoice was emailed to the customer
-  // (invoiceSentAt) takes precedence — the 45-day term runs from the send.
-  // Fall back to invoice date / docDate / createdAt for invoices never sent here.
-  const clockStartObj = inv.invoiceSentAt
-    ? new Date(inv.invoiceSentAt)
-    : (inv.issueDate ? new Date(inv.issueDate)
-      : (inv.docDate ? new Date(inv.docDate)
-        : (inv.createdAt ? new Date(inv.createdAt) : new Date(now))));
-  const issueNum = dayNumber(clockStartObj);
-
-  // dueDate = clockStart + 45 when sent; else explicit invoices.dueDate; else invoice date + 45 (net-45 term)
-  let dueNum, dueLabel;
-  if (inv.invoiceSentAt) {
-    dueNum = issueNum + NET_TERM_DAYS;
-    dueLabel = new Date(clockStartObj);
-    dueLabel.setDate(dueLabel.getDate() + NET_TERM_DAYS);
-  } else if (inv.dueDate) {
-    dueNum = dayNumber(inv.dueDate);
-    dueLabel = new Date(inv.dueDate);
-  } else {
-    dueNum = issueNum + NET_TERM_DAYS;
-    dueLabel = new Date(clockStartObj);
-    dueLabel.setDate(dueLabel.getDate() + NET_TERM_DAYS);
-  }
-
-  const daysOverdue = todayNum - dueNum;          // negative => not yet due
-  const daysSinceInvoice = todayNum - issueNum;
-
-  // ── Late fee policy (auditable) ──────────────────────────────────────────
-  //   Let B = outstanding balance (total - amountPaid).
-  //   When the invoice reaches its due date (daysOverdue >= 0, i.e. 45 days
-  //   after the invoice date), a 15% late fee is applied to B.
-  //   Then for every additional full 30 days it remains unpaid, another 15%
-  //   is applied to the *running* (fee-inclusive) balance — i.e. it COMPOUNDS:
-  //       balance *= 1.15  at the due date, then *= 1.15 again every +30 days.
-  //   Number of 15% applications:  n = 1 + floor(daysOverdue / 30).
-  //   Total owed with fees = B * (1.15 ^ n).
-  //   lateFee = totalOwed - B = B * (1.15^n - 1).
-  let lateFee = 0;
-  if (daysOverdue >= 0 && outstanding > 0) {
-    const n = 1 + Math.floor(daysOverdue / ESCALATION_EVERY_DAYS);
-    lateFee = round2(outstanding * (Math.pow(1 + LATE_FEE_RATE, n) - 1));
-  }
-
-  // ── Reminder stage ───────────────────────────────────────────────────────
-  let reminderStage;
-  if (daysOverdue >= 0) {
-    const level = Math.floor(daysOverdue / ESCALATION_EVERY_DAYS); // 0 at due, 1 at +30, ...
-    reminderStage = level === 0 ? 'Past Due' : `Escalation +${level * ESCALATION_EVERY_DAYS}`;
-  } else if (daysSinceInvoice >= 0) {
-    reminderStage = 'Due Soon';   // issued, in the 0..44 day pre-due window (gentle nudge)
-  } else {
-    reminderStage = 'None';       // future-dated / not yet issued
-  }
+// Active policies plus a lookup that falls back to the default for customers
+// with no policy (or a retired one).
+async function loadCollectionPolicies() {
+  const [rows] = await db.query('SELECT * FROM collection_policies WHERE isActive = 1 ORDER BY isDefault DESC, name');
+  const list = rows.map(collectionPolicyRow);
+  const byId = new Map(list.map((p) => [p.id, p]));
+  const fallback = list.find((p) => p.isDefault) || FALLBACK_COLLECTION_POLICY;
+  return { list, default: fallback, forCustomer: (policyId) => byId.get(Number(policyId)) || fallback };
+}
 
-  const pad = (n) => String(n).padStart(2, '0');
-  const dueDateStr = `${dueLabel.getFullYear()}-${pad(dueLabel.getMonth() + 1)}-${pad(dueLabel.getDate())}`;
+async function collectionPolicyForCustomer(customerId) {
+  const policies = await loadCollectionPolicies();
+  if (!customerId) return policies.default;
+  const [[c]] = await db.query('SELECT collectionPolicyId FROM customers WHERE id = ?', [customerId]);
+  return policies.forCustomer(c?.collectionPolicyId);
+}
 
-  return {
-    daysOverdue,
-    daysSinceInvoice,
-    dueDate: dueDateStr,
-    outstanding,
-    lateFee,
-    reminderStage,
-  };
+// Invoice terms wording for a policy: its own text, else spelled out from its numbers.
+function policyTermsText(p) {
+  if (p.termsText) return p.termsText;
+  const pay = `ALL PAYMENTS MUST BE MADE ${p.netDays} DAYS AFTER INVOICE DATE`;
+  if (!(p.feePct > 0)) return pay;
+  return `${pay} OR A ${p.feePct}% LATE FEE WILL BE APPLIED, WITH A FURTHER ${p.feePct}%${p.compounding ? ' (COMPOUNDED)' : ''} EVERY ${p.escalationDays} DAYS IT REMAINS UNPAID`;
+}
+
+// The late-fee rule in a sentence for reminder emails ({{lateFeeTerms}}), or ''
+// when the policy charges none.
+function policyLateFeeSentence(p) {
+  if (!(p.feePct > 0)) return '';
+  return `Per our terms, a ${p.feePct}% late fee applies once an invoice is ${p.netDays} days past the invoice date, with an additional ${p.feePct}% ${p.compounding ? 'of the running balance ' : ''}added every ${p.escalationDays} days it remains unpaid.`;
+}
+
+// Terms printed on an invoice. When the customer is on a policy of their own,
+// stock wording (the built-in default or the Default Invoice Terms setting) is
+// swapped for that policy's terms; terms someone typed on the invoice stay.
+async function invoiceTermsText(inv, policy) {
+  if (!policy || policy.isDefault) return inv.terms;
+  const current = String(inv.terms || '').trim();
+  if (current) {
+    const [[ts]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'defaultInvoiceTerms'");
+    const stock = [DEFAULT_TERMS, ts?.settingValue].filter(Boolean).map((t) => String(t).trim());
+    if (!stock.includes(current)) return inv.terms;
+  }
+  return policyTermsText(policy);
 }
 
 function fmtMoneyServer(n) {
@@ -5904,13 +10184,15 @@ function fmtMoneyServer(n) {
 }
 
 // Build the reminder email draft (subject/body/to) for an invoice's current stage.
-function buildReminderDraft(inv, comp) {
+// Only finance charges actually billed (lateFeeTotals) are quoted — a fee still
+// waiting for approval isn't owed yet — with the terms of the customer's policy.
+function buildReminderDraft(inv, comp, fees, policy) {
   const custName = inv.companyName || inv.custName || 'Customer';
   const invNo = inv.invoiceNumber || inv.qbDocNumber || inv.id;
   const total = Number(inv.total) || 0;
   const amountPaid = Number(inv.amountPaid) || 0;
   const isPartial = amountPaid > 0 && amountPaid < total;
-  const totalDueNow = round2(comp.outstanding + comp.lateFee);
+  const totalDueNow = round2(comp.outstanding + fees.billed);
 
   let subject;
   if (comp.reminderStage === 'Due Soon') {
@@ -5939,11 +10221,13 @@ function buildReminderDraft(inv, comp) {
   if (comp.daysOverdue >= 0) {
     lines.push(`Days past due: ${comp.daysOverdue}`);
   }
-  if (comp.lateFee > 0) {
+  if (fees.billed > 0) {
     lines.push('');
-    lines.push(`Late fee: ${fmtMoneyServer(comp.lateFee)}`);
-    lines.push(`(Per our terms, a 15% late fee applies once an invoice is ${NET_TERM_DAYS} days past the invoice date, with an additional 15% added every 30 days it remains unpaid.)`);
-    lines.push(`Total due now (balance + late fee): ${fmtMoneyServer(totalDueNow)}`);
+    lines.push(`Late fees billed: ${fmtMoneyServer(fees.billed)} (finance charge invoice${fees.feeInvoices.length === 1 ? '' : 's'} #${fees.feeInvoices.join(', #')})`);
+    if (policy.feePct > 0) {
+      lines.push(`(${policyLateFeeSentence(policy)})`);
+    }
+    lines.push(`Total due now (balance + late fees): ${fmtMoneyServer(totalDueNow)}`);
   }
   lines.push('');
   if (inv.qbPayLink) {
@@ -5960,7 +10244,8 @@ function buildReminderDraft(inv, comp) {
     body: lines.join('\n'),
     to: inv.custEmail || '',
     payLinkOnFile: !!inv.qbPayLink,
-    lateFee: comp.lateFee,
+    lateFee: fees.billed,
+    pendingLateFee: fees.pending,
     outstanding: comp.outstanding,
     reminderStage: comp.reminderStage,
     daysOverdue: comp.daysOverdue,
@@ -5969,7 +10254,8 @@ function buildReminderDraft(inv, comp) {
 
 async function getInvoiceWithCustomer(id) {
   const [[inv]] = await db.query(`
-    SELECT i.*, c.companyName, c.name AS custName, c.email AS custEmail, c.phone AS custPhone
+    SELECT i.*, c.companyName, c.name AS custName, c.email AS custEmail, c.phone AS custPhone,
+           c.collectionPolicyId, c.autoReminders, c.remindersPaused, c.remindersPausedReason
     FROM invoices i LEFT JOIN customers c ON i.customerId = c.id
     WHERE i.id = ?
   `, [id]);
@@ -5977,7 +10263,7 @@ async function getInvoiceWithCustomer(id) {
 }
 
 // PUT /invoices/:id/paylink — save the QuickBooks hosted-payment URL
-app.put('/invoices/:id/paylink', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/invoices/:id/paylink', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const link = b.qbPayLink == null ? null : String(b.qbPayLink).trim();
@@ -5991,15 +10277,18 @@ app.put('/invoices/:id/paylink', authenticate, requireNumericParam('id'), async
 });
 
 // POST /invoices/:id/reminder/draft — build (do NOT send) the reminder for review
-app.post('/invoices/:id/reminder/draft', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/reminder/draft', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const inv = await getInvoiceWithCustomer(Number(req.params.id));
     if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
-    const comp = computeCollections(inv);
-    const draft = buildReminderDraft(inv, comp);
+    const policy = (await loadCollectionPolicies()).forCustomer(inv.collectionPolicyId);
+    const comp = computeCollections(inv, policy);
+    const fees = (await lateFeeTotals([inv.id])).get(inv.id);
+    const draft = buildReminderDraft(inv, comp, fees, policy);
     res.json({
       ...draft,
       invoiceNumber: inv.invoiceNumber,
+      blockedReason: await reminderBlockedReason(inv, draft.to),
       noPayLinkWarning: inv.qbPayLink ? null : 'No QuickBooks pay link is on file for this invoice. The reminder will ask the customer to reply or call. Add a pay link to include a one-click payment URL.',
     });
   } catch (err) {
@@ -6009,92 +10298,566 @@ app.post('/invoices/:id/reminder/draft', authenticate, requireNumericParam('id')
 });
 
 // POST /invoices/:id/reminder/send — send the (possibly edited) reminder
-app.post('/invoices/:id/reminder/send', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/invoices/:id/reminder/send', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
-    const invoiceId = Number(req.params.id);
     const b = coerceBody(req);
+    const inv = await getInvoiceWithCustomer(Number(req.params.id));
+    if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
+    const result = await sendReminderEmail(inv, b, req.user?.username || null);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Reminder send error:', err);
+    res.status(500).json({ error: err.message || 'Failed to send reminder.' });
+  }
+});
+
+// POST /invoices/:id/reminder/skip — log that the user chose not to chase this cycle
+app.post('/invoices/:id/reminder/skip', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const invoiceId = Number(req.params.id);
     const inv = await getInvoiceWithCustomer(invoiceId);
     if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
+    const comp = computeCollections(inv, (await loadCollectionPolicies()).forCustomer(inv.collectionPolicyId));
+    const fees = (await lateFeeTotals([invoiceId])).get(invoiceId);
+    await db.query(
+      `INSERT INTO invoice_reminders (invoiceId, stage, daysOverdue, lateFeeAtSend, sentBy, status)
+       VALUES (?, ?, ?, ?, ?, 'Skipped')`,
+      [invoiceId, comp.reminderStage, comp.daysOverdue, fees.billed, req.user?.username || null]
+    );
+    await db.query('UPDATE invoices SET lastReminderAt = NOW(), updatedAt = NOW() WHERE id = ?', [invoiceId]);
+    await db.query(
+      "UPDATE reminder_queue SET status = 'Dismissed', decidedBy = ?, decidedAt = NOW() WHERE invoiceId = ? AND status = 'Queued'",
+      [req.user?.username || null, invoiceId]
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Reminder skip error:', err);
+    res.status(500).json({ error: 'Failed to skip reminder.' });
+  }
+});
 
-    const comp = computeCollections(inv);
-    const stage = comp.reminderStage;
-    const to = (b.to || inv.custEmail || '').trim();
-    const subject = (b.subject || '').trim();
-    const body = b.body || '';
-    if (!to) return res.status(400).json({ error: 'Recipient email is required.' });
-    if (!subject || !body) return res.status(400).json({ error: 'Subject and body are required.' });
-
-    // Atomic double-send guard: refuse if a 'Sent' reminder already exists for
-    // this invoice + stage within the last 12 hours (blocks double-click).
-    const [[recent]] = await db.query(
-      `SELECT id FROM invoice_reminders
-        WHERE invoiceId = ? AND stage = ? AND status = 'Sent'
-          AND createdAt >= DATE_SUB(NOW(), INTERVAL 12 HOUR)
-        LIMIT 1`,
-      [invoiceId, stage]
-    );
-    if (recent) {
-      return res.status(409).json({ error: `A "${stage}" reminder for this invoice was already sent in the last 12 hours.` });
-    }
-
-    // Branded HTML wrapper (matches the existing reminder email styling)
-    const html = `
-      <div style="max-width:600px;margin:0 auto;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif">
-        <div style="background:white;padding:30px 20px;text-align:center;border-bottom:3px solid #1b5e20;border-radius:12px 12px 0 0">
-          <div style="color:#1b5e20;font-size:20px;font-weight:700;letter-spacing:2px;text-transform:uppercase">PAYMENT REMINDER</div>
-        </div>
-        <div style="background:white;padding:30px;border:1px solid #e0e0e0;border-top:none;border-radius:0 0 12px 12px">
-          ${String(body).replace(/\n/g, '<br>')}
-        </div>
-        <div style="text-align:center;padding:16px;color:#999;font-size:11px">
-          First Class Glass &amp; Mirror, Inc. | 1513 Industrial Drive, Itasca, IL 60143 | 630-250-9777
-        </div>
-      </div>`;
+// ─── DUNNING ────────────────────────────────────────────────────────────────
+// The daily run (advanceReminderStages) drafts a reminder whenever an invoice
+// enters a new past-due stage — 'Past Due', then each 'Escalation +N'. 'Due
+// Soon' starts the day an invoice goes out, so it stays a manual nudge. Drafts
+// wait in reminder_queue for approval, or go straight out for customers on
+// autoReminders. Nothing is drafted or sent — here or by hand — while the
+// customer is paused (in dispute) or the address is on the suppression list.
+
+const isDunningStage = (stage) => stage === 'Past Due' || stage.startsWith('Escalation');
+
+// Why a reminder to this customer/address must not go out, or null.
+async function reminderBlockedReason(inv, to) {
+  if (Number(inv.remindersPaused)) {
+    return `Reminders are paused for this customer — in dispute${inv.remindersPausedReason ? `: ${inv.remindersPausedReason}` : ''}.`;
+  }
+  const emails = String(to || '').split(/[,;]/).map((e) => e.trim().toLowerCase()).filter(Boolean);
+  if (!emails.length) return null;
+  const [[hit]] = await db.query('SELECT email FROM reminder_suppressions WHERE email IN (?) LIMIT 1', [emails]);
+  return hit ? `${hit.email} is on the reminder suppression list.` : null;
+}
 
-    const { transport, settings } = await createEmailTransport();
-    await transport.sendMail({
-      from: `"${settings.senderName || 'First Class Glass'}" <${settings.senderEmail}>`,
-      replyTo: settings.replyTo || settings.senderEmail,
-      to,
-      subject,
-      text: body,
-      html,
-    });
+// Email a reminder ({ to, subject, body }) for the invoice's current stage and
+// log it. Returns { stage, lateFee, sentTo } or { status, error }; SMTP
+// failures throw.
+async function sendReminderEmail(inv, msg, who) {
+  const comp = computeCollections(inv, (await loadCollectionPolicies()).forCustomer(inv.collectionPolicyId));
+  const fees = (await lateFeeTotals([inv.id])).get(inv.id);
+  const stage = comp.reminderStage;
+  const to = (msg.to || inv.custEmail || '').trim();
+  const subject = (msg.subject || '').trim();
+  const body = msg.body || '';
+  if (!to) return { status: 400, error: 'Recipient email is required.' };
+  if (!subject || !body) return { status: 400, error: 'Subject and body are required.' };
+  const blocked = await reminderBlockedReason(inv, to);
+  if (blocked) return { status: 409, error: blocked };
+
+  // Atomic double-send guard: refuse if a 'Sent' reminder already exists for
+  // this invoice + stage within the last 12 hours (blocks double-click).
+  const [[recent]] = await db.query(
+    `SELECT id FROM invoice_reminders
+      WHERE invoiceId = ? AND stage = ? AND status = 'Sent'
+        AND createdAt >= DATE_SUB(NOW(), INTERVAL 12 HOUR)
+      LIMIT 1`,
+    [inv.id, stage]
+  );
+  if (recent) {
+    return { status: 409, error: `A "${stage}" reminder for this invoice was already sent in the last 12 hours.` };
+  }
+
+  // Branded HTML wrapper (matches the existing reminder email styling)
+  const html = `
+    <div style="max-width:600px;margin:0 auto;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif">
+      <div style="background:white;padding:30px 20px;text-align:center;border-bottom:3px solid #1b5e20;border-radius:12px 12px 0 0">
+        <div style="color:#1b5e20;font-size:20px;font-weight:700;letter-spacing:2px;text-transform:uppercase">PAYMENT REMINDER</div>
+      </div>
+      <div style="background:white;padding:30px;border:1px solid #e0e0e0;border-top:none;border-radius:0 0 12px 12px">
+        ${String(body).replace(/\n/g, '<br>')}
+      </div>
+      <div style="text-align:center;padding:16px;color:#999;font-size:11px">
+        First Class Glass &amp; Mirror, Inc. | 1513 Industrial Drive, Itasca, IL 60143 | 630-250-9777
+      </div>
+    </div>`;
+
+  const { transport, settings } = await createEmailTransport();
+  await transport.sendMail({
+    from: `"${settings.senderName || 'First Class Glass'}" <${settings.senderEmail}>`,
+    replyTo: settings.replyTo || settings.senderEmail,
+    to,
+    subject,
+    text: body,
+    html,
+  });
+
+  await db.query(
+    `INSERT INTO invoice_reminders (invoiceId, stage, daysOverdue, lateFeeAtSend, sentBy, sentTo, emailSubject, emailBody, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Sent')`,
+    [inv.id, stage, comp.daysOverdue, fees.billed, who, to, subject, body]
+  );
+  await db.query(
+    'UPDATE invoices SET reminderStage = ?, lastReminderAt = NOW(), updatedAt = NOW() WHERE id = ?',
+    [stage, inv.id]
+  );
+  // A hand-sent reminder answers whatever the scheduler had queued.
+  await db.query(
+    "UPDATE reminder_queue SET status = 'Sent', decidedBy = ?, decidedAt = NOW() WHERE invoiceId = ? AND status = 'Queued'",
+    [who, inv.id]
+  );
+  return { stage, lateFee: fees.billed, sentTo: to };
+}
+
+// A 'Sending' claim older than this was abandoned (the server stopped mid-send)
+const REMINDER_SEND_TIMEOUT_MINUTES = 10;
+
+// Send one queued draft as drafted. A draft whose invoice has since been paid
+// or moved on to another stage is closed instead; a failed send stays queued
+// with its error. Returns { sentTo } or { status, error }.
+async function sendQueuedReminder(queueId, who) {
+  const [claimed] = await db.query(
+    "UPDATE reminder_queue SET status = 'Sending', claimedAt = NOW() WHERE id = ? AND status = 'Queued'",
+    [queueId]
+  );
+  const [[q]] = await db.query('SELECT * FROM reminder_queue WHERE id = ?', [queueId]);
+  if (!q) return { status: 404, error: 'Queued reminder not found.' };
+  if (!claimed.affectedRows) return { status: 409, error: `This reminder is already ${q.status.toLowerCase()}.` };
 
+  const close = async (status, error) => {
     await db.query(
-      `INSERT INTO invoice_reminders (invoiceId, stage, daysOverdue, lateFeeAtSend, sentBy, sentTo, emailSubject, emailBody, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Sent')`,
-      [invoiceId, stage, comp.daysOverdue, comp.lateFee, req.user?.username || null, to, subject, body]
+      'UPDATE reminder_queue SET status = ?, error = ?, decidedBy = ?, decidedAt = NOW() WHERE id = ?',
+      [status, error, who, queueId]
+    );
+  };
+  try {
+    const inv = await getInvoiceWithCustomer(q.invoiceId);
+    const comp = inv && computeCollections(inv, (await loadCollectionPolicies()).forCustomer(inv.collectionPolicyId));
+    if (!inv || !['Sent', 'Partial', 'Overdue', 'Unpaid'].includes(inv.status) || comp.outstanding <= 0) {
+      await close('Dismissed', 'Invoice is no longer open.');
+      return { status: 400, error: 'Invoice is no longer open.' };
+    }
+    if (comp.reminderStage !== q.stage) {
+      const error = `Invoice has moved to "${comp.reminderStage}" since this was drafted.`;
+      await close('Superseded', error);
+      return { status: 400, error };
+    }
+    const result = await sendReminderEmail(inv, { to: q.emailTo, subject: q.emailSubject, body: q.emailBody }, who);
+    if (result.error) {
+      await db.query("UPDATE reminder_queue SET status = 'Queued', error = ? WHERE id = ?", [result.error, queueId]);
+      return result;
+    }
+    await close('Sent', null);
+    return { sentTo: result.sentTo };
+  } catch (err) {
+    await db.query("UPDATE reminder_queue SET status = 'Queued', error = ? WHERE id = ?", [String(err.message).slice(0, 500), queueId]);
+    return { status: 500, error: err.message || 'Failed to send reminder.' };
+  }
+}
+
+// Draft the reminder for the stage an invoice has just entered. Returns
+// 'queued', 'sent' (autoReminders), 'held' (paused/suppressed) or null.
+async function queueStageReminder(inv, policy) {
+  const comp = computeCollections(inv, policy);
+  if (!isDunningStage(comp.reminderStage) || comp.outstanding <= 0 || inv.financeChargeForInvoiceId) return null;
+  if (await reminderBlockedReason(inv, inv.custEmail)) return 'held';
+  const fees = (await lateFeeTotals([inv.id])).get(inv.id);
+  const draft = buildReminderDraft(inv, comp, fees, policy);
+
+  // A draft still waiting from an earlier stage is out of date now.
+  await db.query(
+    "UPDATE reminder_queue SET status = 'Superseded', decidedAt = NOW() WHERE invoiceId = ? AND stage <> ? AND status = 'Queued'",
+    [inv.id, comp.reminderStage]
+  );
+  const [r] = await db.query(
+    `INSERT IGNORE INTO reminder_queue (invoiceId, customerId, stage, daysOverdue, emailTo, emailSubject, emailBody)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [inv.id, inv.customerId, comp.reminderStage, comp.daysOverdue, draft.to || null, draft.subject, draft.body]
+  );
+  if (!r.affectedRows) return null;
+  if (!Number(inv.autoReminders)) return 'queued';
+  const sent = await sendQueuedReminder(r.insertId, 'Automatic reminders');
+  return sent.error ? 'queued' : 'sent';
+}
+
+// Bring every open invoice's stored reminderStage up to date, drafting the
+// reminder for each that entered a new one (see utils/dunning.js for which
+// invoices keep their old stage to be retried). Drafts stuck in 'Sending' go
+// back to the queue first.
+async function advanceReminderStages() {
+  await db.query(
+    `UPDATE reminder_queue SET status = 'Queued', error = 'Sending was interrupted; queued again.'
+      WHERE status = 'Sending' AND (claimedAt IS NULL OR claimedAt < NOW() - INTERVAL ? MINUTE)`,
+    [REMINDER_SEND_TIMEOUT_MINUTES]
+  );
+  const [rows] = await db.query(`
+    SELECT i.*, c.companyName, c.name AS custName, c.email AS custEmail,
+           c.collectionPolicyId, c.autoReminders, c.remindersPaused, c.remindersPausedReason
+      FROM invoices i LEFT JOIN customers c ON c.id = i.customerId
+     WHERE i.status IN ('Sent','Partial','Overdue','Unpaid')
+       AND (COALESCE(i.total,0) - COALESCE(i.retainageAmount,0) - COALESCE(i.creditAmount,0) - COALESCE(i.writeOffAmount,0) - COALESCE(i.amountPaid,0)) > 0`
+  );
+  const policies = await loadCollectionPolicies();
+  const policyFor = (inv) => policies.forCustomer(inv.collectionPolicyId);
+  return advanceStages(rows, {
+    stageFor: (inv) => computeCollections(inv, policyFor(inv)).reminderStage,
+    draft: (inv) => queueStageReminder(inv, policyFor(inv)),
+    saveStage: (inv, stage) => db.query('UPDATE invoices SET reminderStage = ?, updatedAt = NOW() WHERE id = ?', [stage, inv.id]),
+    onError: (inv, err) => console.error(`[Dunning] Invoice #${inv.id} failed:`, err.message),
+  });
+}
+
+// GET /reminder-queue — drafted reminders (?status=Queued by default; 'All' for history)
+app.get('/reminder-queue', authenticate, requirePermission('invoices.view'), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'Queued');
+    const [rows] = await db.query(
+      `SELECT q.*, i.invoiceNumber, i.balanceDue, c.companyName, c.name AS custName, c.autoReminders
+         FROM reminder_queue q
+         JOIN invoices i ON i.id = q.invoiceId
+         LEFT JOIN customers c ON c.id = q.customerId
+        ${status === 'All' ? '' : 'WHERE q.status = ?'}
+        ORDER BY q.createdAt DESC, q.id DESC
+        LIMIT 500`,
+      status === 'All' ? [] : [status]
+    );
+    res.json(rows.map((r) => ({ ...r, customer: r.companyName || r.custName || '—' })));
+  } catch (err) {
+    console.error('Error fetching reminder queue:', err);
+    res.status(500).json({ error: 'Failed to fetch reminder queue.' });
+  }
+});
+
+// POST /reminder-queue/run — look for invoices entering a new stage now instead of waiting for the daily run
+app.post('/reminder-queue/run', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    res.json(await advanceReminderStages());
+  } catch (err) {
+    console.error('Error running dunning:', err);
+    res.status(500).json({ error: 'Failed to check for reminders.' });
+  }
+});
+
+// POST /reminder-queue/approve — send queued drafts as drafted { ids: [...] }
+app.post('/reminder-queue/approve', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const ids = [...new Set((coerceBody(req).ids || []).map(Number).filter(Boolean))];
+    if (!ids.length) return res.status(400).json({ error: 'Select at least one reminder to send.' });
+    const results = [];
+    for (const id of ids) {
+      const out = await sendQueuedReminder(id, req.user?.username || null);
+      results.push(out.error ? { id, ok: false, error: out.error } : { id, ok: true, sentTo: out.sentTo });
+    }
+    const sent = results.filter((r) => r.ok).length;
+    res.json({ sent, failed: results.length - sent, results });
+  } catch (err) {
+    console.error('Error approving reminders:', err);
+    res.status(500).json({ error: 'Failed to send reminders.' });
+  }
+});
+
+// POST /reminder-queue/:id/dismiss — drop a queued draft without sending it
+app.post('/reminder-queue/:id/dismiss', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [r] = await db.query(
+      "UPDATE reminder_queue SET status = 'Dismissed', decidedBy = ?, decidedAt = NOW() WHERE id = ? AND status = 'Queued'",
+      [req.user?.username || null, req.params.id]
     );
+    if (!r.affectedRows) return res.status(404).json({ error: 'No queued reminder with that id.' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing reminder:', err);
+    res.status(500).json({ error: 'Failed to dismiss reminder.' });
+  }
+});
+
+// GET /reminder-suppressions — addresses that never get payment reminders
+app.get('/reminder-suppressions', authenticate, requirePermission('invoices.view'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM reminder_suppressions ORDER BY email');
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching reminder suppressions:', err);
+    res.status(500).json({ error: 'Failed to fetch suppression list.' });
+  }
+});
+
+// POST /reminder-suppressions — { email, reason }
+app.post('/reminder-suppressions', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const email = String(b.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'A valid email address is required.' });
+    const reason = String(b.reason || '').trim().slice(0, 255) || null;
     await db.query(
-      'UPDATE invoices SET reminderStage = ?, lastReminderAt = NOW(), lateFeeAmount = ?, updatedAt = NOW() WHERE id = ?',
-      [stage, comp.lateFee, invoiceId]
+      `INSERT INTO reminder_suppressions (email, reason, createdBy) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [email, reason, req.user?.username || null]
+    );
+    const [[row]] = await db.query('SELECT * FROM reminder_suppressions WHERE email = ?', [email]);
+    res.status(201).json(row);
+  } catch (err) {
+    console.error('Error adding reminder suppression:', err);
+    res.status(500).json({ error: 'Failed to add to suppression list.' });
+  }
+});
+
+// DELETE /reminder-suppressions/:id
+app.delete('/reminder-suppressions/:id', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [r] = await db.query('DELETE FROM reminder_suppressions WHERE id = ?', [req.params.id]);
+    if (!r.affectedRows) return res.status(404).json({ error: 'Suppression not found.' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing reminder suppression:', err);
+    res.status(500).json({ error: 'Failed to remove from suppression list.' });
+  }
+});
+
+// ─── LATE FEES ──────────────────────────────────────────────────────────────
+// computeCollections says what the policy fee is; this is where it reaches the
+// books. Each day every late invoice that has crossed a new escalation boundary
+// gets a 'Pending' late_fees row for the part of the policy fee not yet charged
+// or waived, so a skipped boundary catches up and a waived fee isn't charged
+// again at the next one. Approving a fee bills it as its own finance-charge
+// invoice: due on receipt, untaxed, never fee'd itself, and not tied to the
+// work order so paying it can't close the job. From then on it's an ordinary
+// receivable — in balanceDue, aging, statements and, once paid, revenue.
+// Waiving a billed fee credits its invoice ('waiver' adjustment) rather than
+// voiding it, so the charge and the waiver both stay on the customer's ledger.
+
+// Per late invoice: open balance of its billed finance charges (and their
+// numbers) plus what's still waiting for approval. Every id gets an entry.
+async function lateFeeTotals(invoiceIds) {
+  const totals = new Map(invoiceIds.map((id) => [id, { billed: 0, pending: 0, feeInvoices: [] }]));
+  if (!invoiceIds.length) return totals;
+  const [rows] = await db.query(
+    `SELECT lf.invoiceId, lf.status, lf.amount, fi.invoiceNumber AS feeInvoiceNumber, fi.balanceDue AS feeBalance
+       FROM late_fees lf LEFT JOIN invoices fi ON fi.id = lf.feeInvoiceId AND fi.status <> 'Void'
+      WHERE lf.invoiceId IN (?) AND lf.status IN ('Pending','Assessed')`,
+    [invoiceIds]
+  );
+  for (const r of rows) {
+    const t = totals.get(r.invoiceId);
+    if (r.status === 'Pending') {
+      t.pending = round2(t.pending + Number(r.amount));
+    } else if (Number(r.feeBalance) > 0) {
+      t.billed = round2(t.billed + Number(r.feeBalance));
+      t.feeInvoices.push(r.feeInvoiceNumber);
+    }
+  }
+  return totals;
+}
+
+// invoices.lateFeeAmount = fees billed on it and not waived.
+async function syncLateFeeAmount(invoiceId) {
+  await db.query(
+    `UPDATE invoices SET lateFeeAmount = (
+       SELECT COALESCE(SUM(amount), 0) FROM late_fees WHERE invoiceId = ? AND status = 'Assessed'
+     ) WHERE id = ?`,
+    [invoiceId, invoiceId]
+  );
+}
+
+// Propose the fee for the boundary each late invoice has reached, once.
+// Returns how many were proposed.
+async function proposeLateFees() {
+  const [rows] = await db.query(
+    `SELECT i.id, i.customerId, i.total, i.retainageAmount, i.creditAmount, i.writeOffAmount, i.amountPaid,
+            i.invoiceSentAt, i.issueDate, i.dueDate, i.createdAt, c.collectionPolicyId
+       FROM invoices i JOIN customers c ON c.id = i.customerId
+      WHERE i.status IN ('Sent','Partial','Overdue','Unpaid') AND i.financeChargeForInvoiceId IS NULL
+        AND (COALESCE(i.total,0) - COALESCE(i.retainageAmount,0) - COALESCE(i.creditAmount,0) - COALESCE(i.writeOffAmount,0) - COALESCE(i.amountPaid,0)) > 0`
+  );
+  const policies = await loadCollectionPolicies();
+  let proposed = 0;
+  for (const inv of rows) {
+    const comp = computeCollections(inv, policies.forCustomer(inv.collectionPolicyId));
+    if (!comp.feeLevel) continue;
+    const [[prior]] = await db.query(
+      'SELECT COUNT(CASE WHEN level = ? THEN 1 END) AS atLevel, COALESCE(SUM(amount), 0) AS charged FROM late_fees WHERE invoiceId = ?',
+      [comp.feeLevel, inv.id]
+    );
+    if (Number(prior.atLevel)) continue;
+    const amount = round2(comp.lateFee - Number(prior.charged));
+    if (amount < 0.01) continue;
+    const [r] = await db.query(
+      `INSERT IGNORE INTO late_fees (invoiceId, customerId, level, stage, daysOverdue, basisAmount, amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [inv.id, inv.customerId, comp.feeLevel, comp.reminderStage, comp.daysOverdue, comp.outstanding, amount]
+    );
+    proposed += r.affectedRows;
+  }
+  return proposed;
+}
+
+// Approve a pending fee: bill it as a finance-charge invoice and email that
+// invoice like any other (which marks it Sent). If the customer has no address or
+// the send fails, the invoice stays a Draft to send by hand and emailError says why.
+// Returns { feeInvoiceId, emailError } or { status, error }.
+async function assessLateFee(feeId, req) {
+  const who = req.user?.username || null;
+  const [[fee]] = await db.query('SELECT * FROM late_fees WHERE id = ?', [feeId]);
+  if (!fee) return { status: 404, error: 'Late fee not found.' };
+  if (fee.status !== 'Pending') return { status: 400, error: `This late fee is already ${fee.status.toLowerCase()}.` };
+  // Claim it first so a double-click can't bill it twice.
+  const [claimed] = await db.query(
+    "UPDATE late_fees SET status = 'Assessed', assessedBy = ?, assessedAt = NOW() WHERE id = ? AND status = 'Pending'",
+    [who, feeId]
+  );
+  if (!claimed.affectedRows) return { status: 409, error: 'This late fee was just approved or waived by someone else.' };
+
+  let created;
+  try {
+    const [[src]] = await db.query('SELECT * FROM invoices WHERE id = ?', [fee.invoiceId]);
+    const today = todayYmd();
+    created = await insertInvoice({
+      customerId: fee.customerId,
+      projectName: src.projectName, poNumber: src.poNumber,
+      billingAddress: src.billingAddress, billingCity: src.billingCity, billingState: src.billingState, billingZip: src.billingZip,
+      shipToAddress: src.shipToAddress, shipToCity: src.shipToCity, shipToState: src.shipToState, shipToZip: src.shipToZip,
+      issueDate: today, dueDate: today, terms: 'Due on receipt.',
+      notes: `Finance charge on Invoice #${src.invoiceNumber}, ${fee.daysOverdue} days past due.`,
+    }, {
+      lines: [{
+        itemName: 'Finance Charge',
+        description: `Late fee on Invoice #${src.invoiceNumber} (${fee.stage}) — ${fmtMoney(fee.basisAmount)} outstanding`,
+        quantity: 1, amount: fee.amount, taxable: false,
+      }],
+      extra: { financeChargeForInvoiceId: src.id },
+    });
+    if (created.error) throw new Error(created.error);
+    await db.query('UPDATE late_fees SET feeInvoiceId = ? WHERE id = ?', [created.id, feeId]);
+    await syncLateFeeAmount(fee.invoiceId);
+  } catch (err) {
+    await db.query("UPDATE late_fees SET status = 'Pending', assessedBy = NULL, assessedAt = NULL WHERE id = ?", [feeId]);
+    throw err;
+  }
+
+  let emailError = null;
+  try {
+    const sent = await sendInvoiceEmail(created.id, {}, req);
+    if (sent.error) emailError = sent.error;
+  } catch (err) {
+    console.error(`[Late Fees] Could not email finance-charge invoice #${created.id}:`, err.message);
+    emailError = err.message || 'Failed to send email.';
+  }
+  return { feeInvoiceId: created.id, emailError };
+}
+
+// Waive a fee with a reason. A billed one has whatever's still open on its
+// finance-charge invoice credited off. Returns { waived } or { status, error }.
+async function waiveLateFee(feeId, reason, who) {
+  const [[fee]] = await db.query('SELECT * FROM late_fees WHERE id = ?', [feeId]);
+  if (!fee) return { status: 404, error: 'Late fee not found.' };
+  if (fee.status === 'Waived') return { status: 400, error: 'This late fee is already waived.' };
+  if (fee.feeInvoiceId) {
+    const [[fi]] = await db.query('SELECT status, amountPaid, balanceDue FROM invoices WHERE id = ?', [fee.feeInvoiceId]);
+    if (fi && fi.status !== 'Void' && Number(fi.amountPaid) > 0 && Number(fi.balanceDue) <= 0) {
+      return { status: 409, error: 'This late fee has already been paid. Refund it from its finance-charge invoice instead.' };
+    }
+  }
+  const [claimed] = await db.query(
+    "UPDATE late_fees SET status = 'Waived', waivedBy = ?, waivedAt = NOW(), waiveReason = ? WHERE id = ? AND status = ?",
+    [who, reason, feeId, fee.status]
+  );
+  if (!claimed.affectedRows) return { status: 409, error: 'This late fee was just changed by someone else.' };
+
+  let waived = Number(fee.amount);
+  if (fee.feeInvoiceId) {
+    const [[fi]] = await db.query('SELECT id, status, balanceDue FROM invoices WHERE id = ?', [fee.feeInvoiceId]);
+    waived = fi && fi.status !== 'Void' ? Math.max(0, round2(fi.balanceDue)) : 0;
+    if (waived > 0) {
+      await db.query(
+        `INSERT INTO invoice_adjustments (invoiceId, type, amount, reason, adjustmentDate, createdBy)
+         VALUES (?, 'waiver', ?, ?, ?, ?)`,
+        [fi.id, waived, `Late fee waived: ${reason}`, todayYmd(), who]
+      );
+      await recalcInvoiceTotals(fi.id);
+    }
+  }
+  await syncLateFeeAmount(fee.invoiceId);
+  return { waived };
+}
+
+// GET /late-fees — proposed, billed and waived fees (?status=, ?customerId=, ?invoiceId=)
+app.get('/late-fees', authenticate, requirePermission('invoices.view'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.status) { where.push('lf.status = ?'); params.push(String(req.query.status)); }
+    if (req.query.customerId) { where.push('lf.customerId = ?'); params.push(Number(req.query.customerId)); }
+    if (req.query.invoiceId) { where.push('lf.invoiceId = ?'); params.push(Number(req.query.invoiceId)); }
+    const [rows] = await db.query(
+      `SELECT lf.*, i.invoiceNumber, i.balanceDue AS invoiceBalance, c.companyName, c.name AS custName,
+              fi.invoiceNumber AS feeInvoiceNumber, fi.status AS feeInvoiceStatus, fi.balanceDue AS feeInvoiceBalance
+         FROM late_fees lf
+         JOIN invoices i ON i.id = lf.invoiceId
+         LEFT JOIN customers c ON c.id = lf.customerId
+         LEFT JOIN invoices fi ON fi.id = lf.feeInvoiceId
+        ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+        ORDER BY lf.createdAt DESC, lf.id DESC
+        LIMIT 500`,
+      params
     );
+    res.json(rows.map((r) => ({ ...r, customer: r.companyName || r.custName || '—' })));
+  } catch (err) {
+    console.error('Error fetching late fees:', err);
+    res.status(500).json({ error: 'Failed to fetch late fees.' });
+  }
+});
+
+// POST /late-fees/propose — check for newly reached boundaries now instead of waiting for the daily run
+app.post('/late-fees/propose', authenticate, requirePermission('invoices.edit'), async (req, res) => {
+  try {
+    res.json({ proposed: await proposeLateFees() });
+  } catch (err) {
+    console.error('Error proposing late fees:', err);
+    res.status(500).json({ error: 'Failed to check for late fees.' });
+  }
+});
 
-    res.json({ ok: true, stage, lateFee: comp.lateFee, sentTo: to });
+// POST /late-fees/:id/approve — bill a pending fee as a finance-charge invoice and email it
+app.post('/late-fees/:id/approve', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const result = await assessLateFee(Number(req.params.id), req);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('Reminder send error:', err);
-    res.status(500).json({ error: err.message || 'Failed to send reminder.' });
+    console.error('Error approving late fee:', err);
+    res.status(500).json({ error: 'Failed to approve late fee.' });
   }
 });
 
-// POST /invoices/:id/reminder/skip — log that the user chose not to chase this cycle
-app.post('/invoices/:id/reminder/skip', authenticate, requireNumericParam('id'), async (req, res) => {
+// POST /late-fees/:id/waive — waive a pending or billed fee { reason }
+app.post('/late-fees/:id/waive', authenticate, requirePermission('invoices.adjust'), requireNumericParam('id'), async (req, res) => {
   try {
-    const invoiceId = Number(req.params.id);
-    const inv = await getInvoiceWithCustomer(invoiceId);
-    if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
-    const comp = computeCollections(inv);
-    await db.query(
-      `INSERT INTO invoice_reminders (invoiceId, stage, daysOverdue, lateFeeAtSend, sentBy, status)
-       VALUES (?, ?, ?, ?, ?, 'Skipped')`,
-      [invoiceId, comp.reminderStage, comp.daysOverdue, comp.lateFee, req.user?.username || null]
-    );
-    await db.query('UPDATE invoices SET lastReminderAt = NOW(), updatedAt = NOW() WHERE id = ?', [invoiceId]);
-    res.json({ ok: true });
+    const reason = String(coerceBody(req).reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A reason is required to waive a late fee' });
+    const result = await waiveLateFee(Number(req.params.id), reason.slice(0, 450), req.user?.username || null);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('Reminder skip error:', err);
-    res.status(500).json({ error: 'Failed to skip reminder.' });
+    console.error('Error waiving late fee:', err);
+    res.status(500).json({ error: 'Failed to waive late fee.' });
   }
 });
 
@@ -6141,6 +10904,7 @@ app.post('/email/preview', authenticate, async (req, res) => {
           const diff = Math.floor((new Date() - new Date(inv.dueDate)) / (1000 * 60 * 60 * 24));
           inv.daysOverdue = diff > 0 ? String(diff) : '0';
         }
+        inv.lateFeeTerms = policyLateFeeSentence(await collectionPolicyForCustomer(inv.customerId));
         data = inv;
         recipientEmail = inv.custEmail || '';
         recipientName = inv.companyName || inv.custName || '';
@@ -6159,7 +10923,7 @@ app.post('/email/preview', authenticate, async (req, res) => {
 });
 
 // GET /email-log
-app.get('/email-log', authenticate, async (req, res) => {
+app.get('/email-log', authenticate, requirePermission('invoices.view'), async (req, res) => {
   try {
     let sql = 'SELECT * FROM email_log WHERE 1=1';
     const params = [];
@@ -6177,7 +10941,7 @@ app.get('/email-log', authenticate, async (req, res) => {
 // ─── REPORTS ENDPOINTS ──────────────────────────────────────────────────────
 
 // GET /reports/dashboard — single call for Home page dashboard
-app.get('/reports/dashboard', authenticate, async (req, res) => {
+app.get('/reports/dashboard', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const now = new Date();
     const curYear = now.getFullYear();
@@ -6187,29 +10951,29 @@ app.get('/reports/dashboard', authenticate, async (req, res) => {
 
     // Current month revenue (paid invoices)
     const [[cmRev]] = await db.query(
-      "SELECT COALESCE(SUM(total), 0) AS rev FROM invoices WHERE status = 'Paid' AND YEAR(paidAt) = ? AND MONTH(paidAt) = ?",
+      `SELECT COALESCE(SUM(${netRevenueSql()}), 0) AS rev FROM invoices WHERE ${settledInvoiceSql()} AND YEAR(paidAt) = ? AND MONTH(paidAt) = ?`,
       [curYear, curMonth]
     );
     const currentMonthRevenue = Number(cmRev.rev) || 0;
 
     // Last month revenue
     const [[lmRev]] = await db.query(
-      "SELECT COALESCE(SUM(total), 0) AS rev FROM invoices WHERE status = 'Paid' AND YEAR(paidAt) = ? AND MONTH(paidAt) = ?",
+      `SELECT COALESCE(SUM(${netRevenueSql()}), 0) AS rev FROM invoices WHERE ${settledInvoiceSql()} AND YEAR(paidAt) = ? AND MONTH(paidAt) = ?`,
       [prevYear, prevMonth]
     );
     const lastMonthRevenue = Number(lmRev.rev) || 0;
 
     // Revenue by month (last 6 months for sparkline)
     const [revByMonth] = await db.query(
-      `SELECT DATE_FORMAT(paidAt, '%Y-%m') AS month, COALESCE(SUM(total), 0) AS revenue
-       FROM invoices WHERE status = 'Paid' AND paidAt >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
+      `SELECT DATE_FORMAT(paidAt, '%Y-%m') AS month, COALESCE(SUM(${netRevenueSql()}), 0) AS revenue
+       FROM invoices WHERE ${settledInvoiceSql()} AND paidAt >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
        GROUP BY month ORDER BY month`
     );
     const revenueByMonth = revByMonth.map(r => ({ month: r.month, revenue: Number(r.revenue) || 0 }));
 
     // Outstanding totals
     const [[outst]] = await db.query(
-      "SELECT COUNT(*) AS cnt, COALESCE(SUM(balanceDue), 0) AS total FROM invoices WHERE balanceDue > 0 AND status NOT IN ('Void','Paid','Draft')"
+      "SELECT COUNT(*) AS cnt, COALESCE(SUM(balanceDue), 0) AS total FROM invoices WHERE balanceDue > 0 AND status NOT IN ('Void','Paid','Closed','Draft')"
     );
     const outstandingTotal = Number(outst.total) || 0;
     const unpaidCount = Number(outst.cnt) || 0;
@@ -6268,8 +11032,8 @@ app.get('/reports/dashboard', authenticate, async (req, res) => {
 
     // Monthly revenue (last 12 months for bar chart)
     const [monthlyRevenue] = await db.query(
-      `SELECT DATE_FORMAT(paidAt, '%Y-%m') AS month, COALESCE(SUM(total), 0) AS revenue
-       FROM invoices WHERE status = 'Paid' AND paidAt >= DATE_SUB(CURDATE(), INTERVAL 12 MONTH)
+      `SELECT DATE_FORMAT(paidAt, '%Y-%m') AS month, COALESCE(SUM(${netRevenueSql()}), 0) AS revenue
+       FROM invoices WHERE ${settledInvoiceSql()} AND paidAt >= DATE_SUB(CURDATE(), INTERVAL 12 MONTH)
        GROUP BY month ORDER BY month`
     );
     const monthLabels = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
@@ -6320,7 +11084,7 @@ app.get('/reports/dashboard', authenticate, async (req, res) => {
 });
 
 // GET /reports/revenue — monthly revenue breakdown for date range
-app.get('/reports/revenue', authenticate, async (req, res) => {
+app.get('/reports/revenue', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
     const params = [];
@@ -6333,8 +11097,8 @@ app.get('/reports/revenue', authenticate, async (req, res) => {
         COUNT(*) AS totalInvoices,
         COUNT(CASE WHEN i.status IN ('Sent','Overdue') THEN 1 END) AS invoicesSent,
         COUNT(CASE WHEN i.status = 'Paid' THEN 1 END) AS invoicesPaid,
-        COALESCE(SUM(CASE WHEN i.status = 'Paid' THEN i.total ELSE 0 END), 0) AS revenue,
-        COALESCE(SUM(CASE WHEN i.status NOT IN ('Paid','Void','Draft') THEN i.balanceDue ELSE 0 END), 0) AS outstanding
+        COALESCE(SUM(CASE WHEN ${settledInvoiceSql('i.')} THEN ${netRevenueSql('i.')} ELSE 0 END), 0) AS revenue,
+        COALESCE(SUM(CASE WHEN i.status NOT IN ('Paid','Closed','Void','Draft') THEN i.balanceDue ELSE 0 END), 0) AS outstanding
        FROM invoices i WHERE ${where}
        GROUP BY DATE_FORMAT(i.issueDate, '%Y-%m')
        ORDER BY month`, params
@@ -6376,14 +11140,14 @@ app.get('/reports/revenue', authenticate, async (req, res) => {
 });
 
 // GET /reports/aging — accounts receivable aging
-app.get('/reports/aging', authenticate, async (req, res) => {
+app.get('/reports/aging', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const [rows] = await db.query(
       `SELECT i.id, i.invoiceNumber, c.companyName AS customerName,
         i.issueDate, i.dueDate, i.total, i.balanceDue,
         DATEDIFF(CURDATE(), i.dueDate) AS daysOverdue
        FROM invoices i LEFT JOIN customers c ON c.id = i.customerId
-       WHERE i.balanceDue > 0 AND i.status NOT IN ('Void','Draft','Paid')
+       WHERE i.balanceDue > 0 AND i.status NOT IN ('Void','Draft','Paid','Closed')
        ORDER BY i.dueDate ASC`
     );
 
@@ -6423,7 +11187,7 @@ app.get('/reports/aging', authenticate, async (req, res) => {
 });
 
 // GET /reports/customers — customer revenue breakdown
-app.get('/reports/customers', authenticate, async (req, res) => {
+app.get('/reports/customers', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
     const params = [];
@@ -6442,7 +11206,7 @@ app.get('/reports/customers', authenticate, async (req, res) => {
     const [rows] = await db.query(
       `SELECT c.id, c.companyName AS customerName,
         COUNT(DISTINCT i.id) AS invoiceCount,
-        COALESCE(SUM(i.total), 0) AS totalInvoiced,
+        COALESCE(SUM(${netRevenueSql('i.')}), 0) AS totalInvoiced,
         COALESCE(SUM(i.amountPaid), 0) AS totalPaid,
         COALESCE(SUM(i.balanceDue), 0) AS outstanding,
         (SELECT COUNT(*) FROM work_orders wo WHERE wo.customerId = c.id) AS workOrderCount
@@ -6471,7 +11235,7 @@ app.get('/reports/customers', authenticate, async (req, res) => {
 });
 
 // GET /reports/estimates — estimate statistics
-app.get('/reports/estimates', authenticate, async (req, res) => {
+app.get('/reports/estimates', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
     const params = [];
@@ -6517,7 +11281,7 @@ app.get('/reports/estimates', authenticate, async (req, res) => {
 });
 
 // GET /reports/work-orders — work order statistics
-app.get('/reports/work-orders', authenticate, async (req, res) => {
+app.get('/reports/work-orders', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
     const params = [];
@@ -6564,24 +11328,124 @@ app.get('/reports/work-orders', authenticate, async (req, res) => {
   }
 });
 
+// GET /reports/time-in-status — how long work orders sit in each status.
+// Each history row opens a "stint" in its toStatus that ends at the WO's next
+// row (or now, if it's still there). Stints are clipped to [from, to] so a job
+// that waited all of March counts only March's share when March is selected.
+// Only covers time since status history started being recorded.
+app.get('/reports/time-in-status', authenticate, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const toSqlDate = (s) => new Date(String(s).replace(' ', 'T'));
+    const rangeStart = from ? new Date(`${from}T00:00:00`) : null;
+    const rangeEnd = to ? new Date(`${to}T23:59:59`) : new Date();
+    if ((rangeStart && isNaN(rangeStart)) || isNaN(rangeEnd)) {
+      return res.status(400).json({ error: 'Invalid from/to date.' });
+    }
+
+    const params = [];
+    let where = '1=1';
+    if (to) { where += ' AND h.changedAt <= ?'; params.push(`${to} 23:59:59`); }
+    const [rows] = await db.query(
+      `SELECT h.id, h.workOrderId, h.toStatus, h.changedAt, wo.workOrderNumber, wo.customer
+         FROM work_order_status_history h
+         LEFT JOIN work_orders wo ON wo.id = h.workOrderId
+        WHERE ${where}
+        ORDER BY h.workOrderId ASC, h.changedAt ASC, h.id ASC`,
+      params
+    );
+
+    const DAY_MS = 86400000;
+    const now = new Date();
+    const stints = [];
+    for (let i = 0; i < rows.length; i++) {
+      const r = rows[i];
+      const nextRow = rows[i + 1] && rows[i + 1].workOrderId === r.workOrderId ? rows[i + 1] : null;
+      const open = !nextRow;
+      const start = toSqlDate(r.changedAt);
+      const end = nextRow ? toSqlDate(nextRow.changedAt) : now;
+      const clipStart = rangeStart && rangeStart > start ? rangeStart : start;
+      const clipEnd = rangeEnd < end ? rangeEnd : end;
+      if (!(clipEnd > clipStart)) continue;
+      stints.push({
+        workOrderId: r.workOrderId,
+        workOrderNumber: r.workOrderNumber,
+        customer: r.customer,
+        status: displayStatusOrDefault(r.toStatus),
+        enteredAt: r.changedAt,
+        leftAt: nextRow ? nextRow.changedAt : null,
+        open,
+        days: (clipEnd - clipStart) / DAY_MS,
+      });
+    }
+
+    const groups = new Map();
+    for (const st of stints) {
+      if (!groups.has(st.status)) groups.set(st.status, []);
+      groups.get(st.status).push(st);
+    }
+    const round1 = (n) => Math.round(n * 10) / 10;
+    const order = new Map(WORKFLOW.statuses.map((st, i) => [st.name, i]));
+    const byStatus = [...groups.entries()].map(([status, list]) => {
+      const days = list.map(x => x.days).sort((a, b) => a - b);
+      const total = days.reduce((sum, d) => sum + d, 0);
+      const mid = Math.floor(days.length / 2);
+      const median = days.length % 2 ? days[mid] : (days[mid - 1] + days[mid]) / 2;
+      return {
+        status,
+        stints: list.length,
+        workOrders: new Set(list.map(x => x.workOrderId)).size,
+        currentlyIn: list.filter(x => x.open).length,
+        totalDays: round1(total),
+        avgDays: round1(total / list.length),
+        medianDays: round1(median),
+        maxDays: round1(days[days.length - 1]),
+      };
+    }).sort((a, b) => (order.get(a.status) ?? 999) - (order.get(b.status) ?? 999));
+
+    const longest = [...stints]
+      .sort((a, b) => b.days - a.days)
+      .slice(0, 15)
+      .map(st => ({ ...st, days: round1(st.days) }));
+
+    res.json({ byStatus, longest, stintCount: stints.length });
+  } catch (err) {
+    console.error('Error fetching time-in-status report:', err);
+    res.status(500).json({ error: 'Failed to fetch time-in-status report.' });
+  }
+});
+
 // GET /reports/profit-loss — simple P&L (revenue only)
 const PNL_MONTH_LABELS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
 const round2p = (n) => Math.round((Number(n) || 0) * 100) / 100;
 const pct1 = (num, den) => (den > 0 ? Math.round((num / den) * 1000) / 10 : 0);
 
+// What a paid invoice earned: its total less retainage held, credits and
+// write-offs. Shared by the P&L and the dashboard so the two always agree.
+function netRevenueSql(alias = '') {
+  return `${alias}total - COALESCE(${alias}retainageAmount,0) - COALESCE(${alias}creditAmount,0) - COALESCE(${alias}writeOffAmount,0)`;
+}
+
+// Settled invoices: paid, or closed by credits / a write-off. Net of those, a
+// closed invoice earned exactly what was paid on it, so both count as revenue.
+function settledInvoiceSql(alias = '') {
+  return `${alias}status IN ('Paid','Closed')`;
+}
+
 // Operating P&L for a date range. Single source used by /reports/profit-loss and
 // /api/reports/pnl-monthly so both stay consistent.
-//   REVENUE  = paid invoices (i.total WHERE Paid) by paidAt — cash basis.
+//   REVENUE  = paid invoices by paidAt, net of retainage held, credits and write-offs — cash basis.
 //   COGS     = PO materials (work_order_pos.amount by createdAt) + entered Materials expenses.
 //   OPEX     = expenses (excluding Materials) grouped by category.
 async function computePnL(from, to) {
   // Revenue by month (cash basis, paidAt) — inclusive full day on `to`.
   const revP = [];
-  let revW = "i.status = 'Paid' AND i.paidAt IS NOT NULL";
+  let revW = `${settledInvoiceSql('i.')} AND i.paidAt IS NOT NULL`;
   if (from) { revW += ' AND DATE(i.paidAt) >= ?'; revP.push(from); }
   if (to)   { revW += ' AND DATE(i.paidAt) <= ?'; revP.push(to); }
   const [revRows] = await db.query(
-    `SELECT DATE_FORMAT(i.paidAt,'%Y-%m') AS month, COALESCE(SUM(i.total),0) AS revenue
+    `SELECT DATE_FORMAT(i.paidAt,'%Y-%m') AS month,
+       COALESCE(SUM(${netRevenueSql('i.')}),0) AS revenue
      FROM invoices i WHERE ${revW} GROUP BY month`, revP
   );
 
@@ -6653,7 +11517,7 @@ async function computePnL(from, to) {
 
   return {
     revenue,
-    revenueBasis: 'cash basis - paid invoices',
+    revenueBasis: 'cash basis - paid invoices, net of credits, write-offs and held retainage',
     cogs: {
       poMaterials, enteredMaterials, total: cogsTotal,
       note: 'POs are the primary material source; "Entered materials" are Materials-category expenses (supplemental — not double-counted).',
@@ -6668,17 +11532,723 @@ async function computePnL(from, to) {
   };
 }
 
-app.get('/reports/profit-loss', authenticate, async (req, res) => {
+app.get('/reports/profit-loss', authenticate, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const pnl = await computePnL(from || null, to || null);
+    res.json({
+      ...pnl,
+      note: 'Operating P&L — cash-basis revenue, PO-based materials. Payroll/taxes/depreciation live in QuickBooks.',
+    });
+  } catch (err) {
+    console.error('Error fetching P&L report:', err);
+    res.status(500).json({ error: 'Failed to fetch P&L report.' });
+  }
+});
+
+// ─── TIME TRACKING (tech clock-in / clock-out per work order) ───────────────
+// One row per stretch of work; a running timer has endedAt NULL. Stored UTC
+// like every other timestamp here. Techs log their own time on work orders
+// they're assigned to (assignedTo or work_order_techs); timesheets.approve can
+// log, correct and approve anyone's. Approved entries are locked and are what
+// the payroll export reads; every finished entry × users.laborRate is the
+// labor line in job costing.
+const TIME_ENTRY_MAX_HOURS = 16;
+
+async function ensureTimeEntriesTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        workOrderId INT NOT NULL,
+        userId INT NOT NULL,
+        startedAt DATETIME NOT NULL,
+        endedAt DATETIME NULL,
+        notes VARCHAR(500) NULL,
+        source VARCHAR(10) NOT NULL DEFAULT 'timer',
+        createdBy VARCHAR(100) NULL,
+        approvedBy VARCHAR(100) NULL,
+        approvedAt DATETIME NULL,
+        createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_te_user (userId, startedAt),
+        INDEX idx_te_wo (workOrderId),
+        FOREIGN KEY (workOrderId) REFERENCES work_orders(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('[Time Tracking] time_entries table ready');
+  } catch (e) {
+    console.warn('[Time Tracking] Could not create time_entries:', e.message);
+  }
+}
+
+ensureTimeEntriesTable().catch(() => {});
+
+const utcSql = (d) => d.toISOString().replace('T', ' ').slice(0, 19);
+const fromUtcSql = (s) => (s ? new Date(String(s).replace(' ', 'T') + 'Z') : null);
+
+// Client times: ISO with a zone, or a zone-less "YYYY-MM-DDTHH:mm" from a
+// datetime-local input, which is company-local (process TZ).
+function parseEntryTime(raw) {
+  if (!raw) return null;
+  const d = new Date(String(raw).trim());
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Monday 00:00 local of the week containing `ymd` → [start, end) as Dates
+function timesheetWeek(ymd) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(ymd || ''));
+  const base = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date();
+  base.setHours(0, 0, 0, 0);
+  const start = new Date(base);
+  start.setDate(base.getDate() - ((base.getDay() + 6) % 7));
+  const end = new Date(start);
+  end.setDate(start.getDate() + 7);
+  return { start, end };
+}
+
+const localYmd = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+function shapeTimeEntry(row, now = new Date()) {
+  const start = fromUtcSql(row.startedAt);
+  const end = fromUtcSql(row.endedAt);
+  return {
+    ...row,
+    running: !row.endedAt,
+    approved: !!row.approvedAt,
+    minutes: Math.max(0, Math.round(((end || now) - start) / 60000)),
+  };
+}
+
+async function isAssignedTech(workOrderId, userId) {
+  const [[row]] = await db.query(
+    `SELECT 1 AS ok FROM work_orders WHERE id = ? AND assignedTo = ?
+     UNION SELECT 1 FROM work_order_techs WHERE workOrderId = ? AND userId = ?
+     LIMIT 1`,
+    [workOrderId, userId, workOrderId, userId]
+  );
+  return !!row;
+}
+
+// Any other entry of the user's that shares time with [start, end)
+// (end null = still running).
+async function findOverlappingEntry(userId, start, end, excludeId = 0) {
+  const [[row]] = await db.query(
+    `SELECT id, workOrderId, startedAt, endedAt FROM time_entries
+      WHERE userId = ? AND id <> ?
+        AND (? IS NULL OR startedAt < ?)
+        AND (endedAt IS NULL OR endedAt > ?)
+      LIMIT 1`,
+    [userId, excludeId, end ? utcSql(end) : null, end ? utcSql(end) : null, utcSql(start)]
+  );
+  return row || null;
+}
+
+const overlapError = (o) => ({
+  error: `Overlaps another time entry (WO #${o.workOrderId}, started ${o.startedAt} UTC${o.endedAt ? '' : ', still running'}).`,
+  conflictId: o.id,
+});
+
+// Whose time a request is about: approvers may name anyone, everyone else only themselves.
+function timeEntryUserId(req, requested) {
+  const me = Number(req.user.id);
+  if (requested === undefined || requested === null || requested === '') return me;
+  const uid = Number(requested);
+  if (uid !== me && !hasPermission(req.user.role, 'timesheets.approve')) return null;
+  return Number.isFinite(uid) ? uid : null;
+}
+
+async function loadTimeEntryForChange(req, res) {
+  const [[row]] = await db.query('SELECT * FROM time_entries WHERE id = ?', [Number(req.params.id)]);
+  if (!row) { res.status(404).json({ error: 'Time entry not found.' }); return null; }
+  if (Number(row.userId) !== Number(req.user.id) && !hasPermission(req.user.role, 'timesheets.approve')) {
+    res.status(403).json({ error: 'Forbidden', permission: 'timesheets.approve' });
+    return null;
+  }
+  if (row.approvedAt) { res.status(409).json({ error: 'This entry is on an approved timesheet; reopen the week first.' }); return null; }
+  return row;
+}
+
+// Validates a finished [start, end) pair; returns an error message or null.
+function checkEntryRange(start, end) {
+  if (!start || !end) return 'startedAt and endedAt are required.';
+  if (end <= start) return 'The end time must be after the start time.';
+  if (end - start > TIME_ENTRY_MAX_HOURS * 3600000) return `An entry can't be longer than ${TIME_ENTRY_MAX_HOURS} hours.`;
+  if (end > new Date(Date.now() + 5 * 60000)) return "An entry can't end in the future.";
+  return null;
+}
+
+// GET /work-orders/:id/time-entries — every entry on the WO, newest first
+app.get('/work-orders/:id/time-entries', authenticate, requireNumericParam('id'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT t.*, u.username FROM time_entries t LEFT JOIN users u ON u.id = t.userId
+        WHERE t.workOrderId = ? ORDER BY t.startedAt DESC, t.id DESC`,
+      [Number(req.params.id)]
+    );
+    const now = new Date();
+    const entries = rows.map((r) => shapeTimeEntry(r, now));
+    res.json({
+      entries,
+      totalMinutes: entries.reduce((s, e) => s + e.minutes, 0),
+      assigned: await isAssignedTech(Number(req.params.id), Number(req.user.id)),
+    });
+  } catch (err) {
+    console.error('Time entries list error:', err);
+    res.status(500).json({ error: 'Failed to load time entries.' });
+  }
+});
+
+// POST /work-orders/:id/time-entries/start — { userId? } start a timer now
+app.post('/work-orders/:id/time-entries/start', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const wid = Number(req.params.id);
+    const uid = timeEntryUserId(req, coerceBody(req).userId);
+    if (!uid) return res.status(403).json({ error: 'Forbidden', permission: 'timesheets.approve' });
+    const [[wo]] = await db.query('SELECT id FROM work_orders WHERE id = ?', [wid]);
+    if (!wo) return res.status(404).json({ error: 'Work order not found.' });
+    if (!(await isAssignedTech(wid, uid))) {
+      return res.status(400).json({ error: 'That tech is not assigned to this work order.' });
+    }
+
+    const now = new Date();
+    const overlap = await findOverlappingEntry(uid, now, null);
+    if (overlap) return res.status(409).json(overlapError(overlap));
+
+    const [r] = await db.query(
+      "INSERT INTO time_entries (workOrderId, userId, startedAt, source, createdBy) VALUES (?, ?, ?, 'timer', ?)",
+      [wid, uid, utcSql(now), req.user.username || null]
+    );
+    const [[row]] = await db.query('SELECT * FROM time_entries WHERE id = ?', [r.insertId]);
+    res.status(201).json(shapeTimeEntry(row));
+  } catch (err) {
+    console.error('Time entry start error:', err);
+    res.status(500).json({ error: 'Failed to start timer.' });
+  }
+});
+
+// POST /time-entries/:id/stop — stop a running timer now
+app.post('/time-entries/:id/stop', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const row = await loadTimeEntryForChange(req, res);
+    if (!row) return;
+    if (row.endedAt) return res.status(409).json({ error: 'This timer is already stopped.' });
+    await db.query('UPDATE time_entries SET endedAt = ? WHERE id = ? AND endedAt IS NULL', [utcSql(new Date()), row.id]);
+    const [[updated]] = await db.query('SELECT * FROM time_entries WHERE id = ?', [row.id]);
+    res.json(shapeTimeEntry(updated));
+  } catch (err) {
+    console.error('Time entry stop error:', err);
+    res.status(500).json({ error: 'Failed to stop timer.' });
+  }
+});
+
+// POST /work-orders/:id/time-entries — manual entry { userId?, startedAt, endedAt, notes? }
+app.post('/work-orders/:id/time-entries', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const wid = Number(req.params.id);
+    const b = coerceBody(req);
+    const uid = timeEntryUserId(req, b.userId);
+    if (!uid) return res.status(403).json({ error: 'Forbidden', permission: 'timesheets.approve' });
+    const [[wo]] = await db.query('SELECT id FROM work_orders WHERE id = ?', [wid]);
+    if (!wo) return res.status(404).json({ error: 'Work order not found.' });
+    if (!(await isAssignedTech(wid, uid))) {
+      return res.status(400).json({ error: 'That tech is not assigned to this work order.' });
+    }
+
+    const start = parseEntryTime(b.startedAt);
+    const end = parseEntryTime(b.endedAt);
+    const invalid = checkEntryRange(start, end);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const overlap = await findOverlappingEntry(uid, start, end);
+    if (overlap) return res.status(409).json(overlapError(overlap));
+
+    const [r] = await db.query(
+      `INSERT INTO time_entries (workOrderId, userId, startedAt, endedAt, notes, source, createdBy)
+       VALUES (?, ?, ?, ?, ?, 'manual', ?)`,
+      [wid, uid, utcSql(start), utcSql(end), String(b.notes || '').trim().slice(0, 500) || null, req.user.username || null]
+    );
+    const [[row]] = await db.query('SELECT * FROM time_entries WHERE id = ?', [r.insertId]);
+    res.status(201).json(shapeTimeEntry(row));
+  } catch (err) {
+    console.error('Time entry create error:', err);
+    res.status(500).json({ error: 'Failed to add time entry.' });
+  }
+});
+
+// PUT /time-entries/:id — { startedAt?, endedAt?, notes? } (not once approved)
+app.put('/time-entries/:id', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const row = await loadTimeEntryForChange(req, res);
+    if (!row) return;
+    const b = coerceBody(req);
+    const start = b.startedAt !== undefined ? parseEntryTime(b.startedAt) : fromUtcSql(row.startedAt);
+    const end = b.endedAt !== undefined ? parseEntryTime(b.endedAt) : fromUtcSql(row.endedAt);
+    if (!start) return res.status(400).json({ error: 'startedAt is invalid.' });
+    if (end || row.endedAt) {
+      const invalid = checkEntryRange(start, end);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    const overlap = await findOverlappingEntry(row.userId, start, end, row.id);
+    if (overlap) return res.status(409).json(overlapError(overlap));
+
+    const notes = b.notes !== undefined ? (String(b.notes || '').trim().slice(0, 500) || null) : row.notes;
+    await db.query(
+      'UPDATE time_entries SET startedAt = ?, endedAt = ?, notes = ? WHERE id = ?',
+      [utcSql(start), end ? utcSql(end) : null, notes, row.id]
+    );
+    const [[updated]] = await db.query('SELECT * FROM time_entries WHERE id = ?', [row.id]);
+    res.json(shapeTimeEntry(updated));
+  } catch (err) {
+    console.error('Time entry update error:', err);
+    res.status(500).json({ error: 'Failed to update time entry.' });
+  }
+});
+
+// DELETE /time-entries/:id — (not once approved)
+app.delete('/time-entries/:id', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const row = await loadTimeEntryForChange(req, res);
+    if (!row) return;
+    await db.query('DELETE FROM time_entries WHERE id = ?', [row.id]);
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error('Time entry delete error:', err);
+    res.status(500).json({ error: 'Failed to delete time entry.' });
+  }
+});
+
+// GET /timesheets?userId=&week=YYYY-MM-DD — one tech's Monday–Sunday week,
+// entries grouped by local day. Without timesheets.approve, always your own.
+app.get('/timesheets', authenticate, async (req, res) => {
+  try {
+    const uid = timeEntryUserId(req, req.query.userId);
+    if (!uid) return res.status(403).json({ error: 'Forbidden', permission: 'timesheets.approve' });
+    const { start, end } = timesheetWeek(req.query.week);
+
+    const [[user]] = await db.query('SELECT id, username, laborRate FROM users WHERE id = ?', [uid]);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    const [rows] = await db.query(
+      `SELECT t.*, w.workOrderNumber, w.customer, w.siteLocation
+         FROM time_entries t LEFT JOIN work_orders w ON w.id = t.workOrderId
+        WHERE t.userId = ? AND t.startedAt >= ? AND t.startedAt < ?
+        ORDER BY t.startedAt ASC, t.id ASC`,
+      [uid, utcSql(start), utcSql(end)]
+    );
+
+    const now = new Date();
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const d = new Date(start);
+      d.setDate(start.getDate() + i);
+      days.push({ date: localYmd(d), minutes: 0, entries: [] });
+    }
+    const byDate = new Map(days.map((d) => [d.date, d]));
+    let approvedMinutes = 0;
+    let pendingMinutes = 0;
+    for (const r of rows) {
+      const e = shapeTimeEntry(r, now);
+      const day = byDate.get(localYmd(fromUtcSql(r.startedAt)));
+      if (!day) continue;
+      day.entries.push(e);
+      day.minutes += e.minutes;
+      if (e.approved) approvedMinutes += e.minutes;
+      else if (!e.running) pendingMinutes += e.minutes;
+    }
+
+    res.json({
+      user: { id: user.id, username: user.username, laborRate: user.laborRate == null ? null : Number(user.laborRate) },
+      weekStart: localYmd(start),
+      weekEnd: localYmd(new Date(end.getTime() - 86400000)),
+      days,
+      totalMinutes: days.reduce((s, d) => s + d.minutes, 0),
+      approvedMinutes,
+      pendingMinutes,
+      running: rows.some((r) => !r.endedAt),
+      canApprove: hasPermission(req.user.role, 'timesheets.approve'),
+    });
+  } catch (err) {
+    console.error('Timesheet error:', err);
+    res.status(500).json({ error: 'Failed to load timesheet.' });
+  }
+});
+
+// Approve (lock) or reopen one tech's week. Running timers are never approved.
+async function setTimesheetApproval(req, res, approve) {
+  try {
+    const b = coerceBody(req);
+    const uid = Number(b.userId);
+    if (!Number.isFinite(uid) || uid <= 0) return res.status(400).json({ error: 'userId is required.' });
+    const { start, end } = timesheetWeek(b.week);
+    const [r] = approve
+      ? await db.query(
+        `UPDATE time_entries SET approvedBy = ?, approvedAt = ?
+          WHERE userId = ? AND startedAt >= ? AND startedAt < ? AND endedAt IS NOT NULL AND approvedAt IS NULL`,
+        [req.user.username || null, utcSql(new Date()), uid, utcSql(start), utcSql(end)]
+      )
+      : await db.query(
+        `UPDATE time_entries SET approvedBy = NULL, approvedAt = NULL
+          WHERE userId = ? AND startedAt >= ? AND startedAt < ? AND approvedAt IS NOT NULL`,
+        [uid, utcSql(start), utcSql(end)]
+      );
+    res.json({ updated: r.affectedRows });
+  } catch (err) {
+    console.error('Timesheet approval error:', err);
+    res.status(500).json({ error: 'Failed to update timesheet.' });
+  }
+}
+
+// POST /timesheets/approve — { userId, week } approve every finished entry of the week
+app.post('/timesheets/approve', authenticate, requirePermission('timesheets.approve'), (req, res) => setTimesheetApproval(req, res, true));
+
+// POST /timesheets/reopen — { userId, week } unlock the week for corrections
+app.post('/timesheets/reopen', authenticate, requirePermission('timesheets.approve'), (req, res) => setTimesheetApproval(req, res, false));
+
+// GET /timesheets/export?from=&to= — approved entries (by local start date)
+// with hours and labor cost, one row per entry; the page turns it into CSV.
+app.get('/timesheets/export', authenticate, requirePermission('timesheets.approve'), async (req, res) => {
+  try {
+    const fromDay = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.from || ''))
+      ? new Date(`${req.query.from}T00:00:00`)
+      : timesheetWeek().start;
+    const toDay = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to || '')) ? new Date(`${req.query.to}T00:00:00`) : new Date();
+    toDay.setHours(0, 0, 0, 0);
+    toDay.setDate(toDay.getDate() + 1);
+
+    const [rows] = await db.query(
+      `SELECT t.*, u.username, u.laborRate, w.workOrderNumber, w.customer
+         FROM time_entries t
+         LEFT JOIN users u ON u.id = t.userId
+         LEFT JOIN work_orders w ON w.id = t.workOrderId
+        WHERE t.approvedAt IS NOT NULL AND t.startedAt >= ? AND t.startedAt < ?
+        ORDER BY u.username ASC, t.startedAt ASC`,
+      [utcSql(fromDay), utcSql(toDay)]
+    );
+    const entries = rows.map((r) => {
+      const e = shapeTimeEntry(r);
+      const hours = Math.round((e.minutes / 60) * 100) / 100;
+      const rate = r.laborRate == null ? null : Number(r.laborRate);
+      return {
+        id: r.id,
+        username: r.username,
+        date: localYmd(fromUtcSql(r.startedAt)),
+        workOrderId: r.workOrderId,
+        workOrderNumber: r.workOrderNumber,
+        customer: r.customer,
+        startedAt: r.startedAt,
+        endedAt: r.endedAt,
+        hours,
+        laborRate: rate,
+        laborCost: rate == null ? null : round2p(hours * rate),
+        approvedBy: r.approvedBy,
+        notes: r.notes,
+      };
+    });
+    const totals = {};
+    for (const e of entries) {
+      const t = (totals[e.username] = totals[e.username] || { username: e.username, hours: 0, laborCost: 0 });
+      t.hours = Math.round((t.hours + e.hours) * 100) / 100;
+      t.laborCost = round2p(t.laborCost + (e.laborCost || 0));
+    }
+    res.json({ from: localYmd(fromDay), to: localYmd(new Date(toDay.getTime() - 86400000)), entries, totals: Object.values(totals) });
+  } catch (err) {
+    console.error('Timesheet export error:', err);
+    res.status(500).json({ error: 'Failed to export timesheets.' });
+  }
+});
+
+// ─── JOB COSTING (per work order) ────────────────────────────────────────────
+// Combines what a job billed with what it cost, from data recorded elsewhere:
+//   REVENUE   = invoices on the WO that were issued (not Draft / Void) — accrual,
+//               unlike the cash-basis P&L above.
+//   MATERIALS = work_order_pos.amount + Materials expenses tagged to the WO.
+//   LABOR     = finished time entries × the tech's laborRate, plus Payroll /
+//               Subcontractor expenses tagged to the WO.
+//   EXPENSES  = every other expense tagged to the WO.
+// Job type: Residential when the WO has a residential contract, else Commercial.
+const JOB_LABOR_CATEGORIES = ['Payroll', 'Subcontractor'];
+
+function emptyJobCost(workOrderId) {
+  return {
+    workOrderId,
+    revenue: 0,
+    invoiceCount: 0,
+    costs: {
+      poMaterials: 0, enteredMaterials: 0, materials: 0,
+      laborTime: 0, laborExpenses: 0, labor: 0, laborHours: 0, unpricedTimeEntries: 0, pendingHours: 0,
+      expenses: 0, total: 0,
+    },
+    grossProfit: 0,
+    grossMarginPct: 0,
+  };
+}
+
+// { [workOrderId]: jobCost } for the given WOs (every id gets an entry).
+async function computeJobCosts(workOrderIds) {
+  const ids = [...new Set((workOrderIds || []).map(Number).filter(Number.isFinite))];
+  const out = {};
+  for (const id of ids) out[id] = emptyJobCost(id);
+  if (!ids.length) return out;
+  const inList = ids.map(() => '?').join(',');
+
+  const [invRows] = await db.query(
+    `SELECT workOrderId, COUNT(*) AS n, COALESCE(SUM(${netRevenueSql()}),0) AS revenue
+       FROM invoices
+      WHERE workOrderId IN (${inList}) AND status NOT IN ('Draft','Void')
+      GROUP BY workOrderId`, ids
+  );
+  const [poRows] = await db.query(
+    `SELECT workOrderId, COALESCE(SUM(amount),0) AS po
+       FROM work_order_pos
+      WHERE workOrderId IN (${inList}) AND amount IS NOT NULL
+      GROUP BY workOrderId`, ids
+  );
+  const [expRows] = await db.query(
+    `SELECT workOrderId, category, COALESCE(SUM(amount),0) AS amt
+       FROM expenses
+      WHERE workOrderId IN (${inList})
+      GROUP BY workOrderId, category`, ids
+  );
+
+  // Only approved hours are costed; ones still awaiting approval are reported
+  // separately so the job page can show them.
+  const [timeRows] = await db.query(
+    `SELECT t.workOrderId,
+            SUM(CASE WHEN t.approvedAt IS NOT NULL THEN TIMESTAMPDIFF(SECOND, t.startedAt, t.endedAt) END) / 3600 AS hours,
+            SUM(CASE WHEN t.approvedAt IS NOT NULL THEN TIMESTAMPDIFF(SECOND, t.startedAt, t.endedAt) / 3600 * COALESCE(u.laborRate, 0) END) AS cost,
+            SUM(t.approvedAt IS NOT NULL AND u.laborRate IS NULL) AS unpriced,
+            SUM(CASE WHEN t.approvedAt IS NULL THEN TIMESTAMPDIFF(SECOND, t.startedAt, t.endedAt) END) / 3600 AS pendingHours
+       FROM time_entries t LEFT JOIN users u ON u.id = t.userId
+      WHERE t.workOrderId IN (${inList}) AND t.endedAt IS NOT NULL
+      GROUP BY t.workOrderId`, ids
+  );
+
+  for (const r of invRows) Object.assign(out[r.workOrderId], { revenue: round2p(r.revenue), invoiceCount: Number(r.n) || 0 });
+  for (const r of timeRows) {
+    Object.assign(out[r.workOrderId].costs, {
+      laborTime: round2p(r.cost),
+      laborHours: Math.round((Number(r.hours) || 0) * 100) / 100,
+      unpricedTimeEntries: Number(r.unpriced) || 0,
+      pendingHours: Math.round((Number(r.pendingHours) || 0) * 100) / 100,
+    });
+  }
+  for (const r of poRows) out[r.workOrderId].costs.poMaterials = round2p(r.po);
+  for (const r of expRows) {
+    const c = out[r.workOrderId].costs;
+    const amt = round2p(r.amt);
+    if (r.category === 'Materials') c.enteredMaterials = round2p(c.enteredMaterials + amt);
+    else if (JOB_LABOR_CATEGORIES.includes(r.category)) c.laborExpenses = round2p(c.laborExpenses + amt);
+    else c.expenses = round2p(c.expenses + amt);
+  }
+
+  for (const job of Object.values(out)) {
+    const c = job.costs;
+    c.materials = round2p(c.poMaterials + c.enteredMaterials);
+    c.labor = round2p(c.laborTime + c.laborExpenses);
+    c.total = round2p(c.materials + c.labor + c.expenses);
+    job.grossProfit = round2p(job.revenue - c.total);
+    job.grossMarginPct = pct1(job.grossProfit, job.revenue);
+  }
+  return out;
+}
+
+// GET /work-orders/:id/job-cost — revenue vs. costs for one WO, with the
+// invoices, POs and expenses behind each number
+app.get('/work-orders/:id/job-cost', authenticate, requirePermission('reports.view'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const wid = Number(req.params.id);
+    const [[wo]] = await db.query('SELECT id FROM work_orders WHERE id = ?', [wid]);
+    if (!wo) return res.status(404).json({ error: 'Work order not found.' });
+
+    const job = (await computeJobCosts([wid]))[wid];
+    const [invoices] = await db.query(
+      `SELECT id, invoiceNumber, status, issueDate, total, amountPaid, balanceDue
+         FROM invoices WHERE workOrderId = ? ORDER BY issueDate ASC, id ASC`, [wid]
+    );
+    const [pos] = await db.query(
+      'SELECT id, poNumber, poSupplier, amount, createdAt FROM work_order_pos WHERE workOrderId = ? ORDER BY createdAt ASC', [wid]
+    );
+    const [expenses] = await db.query(
+      `SELECT id, expenseDate, category, vendor, description, amount
+         FROM expenses WHERE workOrderId = ? ORDER BY expenseDate ASC, id ASC`, [wid]
+    );
+    const [timeEntries] = await db.query(
+      `SELECT t.id, t.userId, u.username, u.laborRate, t.startedAt, t.endedAt, t.approvedAt,
+              ROUND(TIMESTAMPDIFF(SECOND, t.startedAt, t.endedAt) / 3600, 2) AS hours
+         FROM time_entries t LEFT JOIN users u ON u.id = t.userId
+        WHERE t.workOrderId = ? AND t.endedAt IS NOT NULL
+        ORDER BY t.startedAt ASC`, [wid]
+    );
+    res.json({
+      ...job,
+      timeEntries: timeEntries.map((t) => ({
+        ...t,
+        hours: Number(t.hours) || 0,
+        cost: t.laborRate == null ? null : round2p((Number(t.hours) || 0) * Number(t.laborRate)),
+      })),
+      invoices: invoices.map((i) => ({ ...i, counted: !['Draft', 'Void'].includes(i.status) })),
+      pos,
+      expenses: expenses.map((e) => ({
+        ...e,
+        bucket: e.category === 'Materials' ? 'materials' : JOB_LABOR_CATEGORIES.includes(e.category) ? 'labor' : 'expenses',
+      })),
+      laborCategories: JOB_LABOR_CATEGORIES,
+    });
+  } catch (err) {
+    console.error('Job cost error:', err);
+    res.status(500).json({ error: 'Failed to load job cost.' });
+  }
+});
+
+// GET /reports/job-costing — every job invoiced in the period (by issueDate),
+// least profitable first, rolled up by job type and by customer.
+app.get('/reports/job-costing', authenticate, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const params = [];
+    let where = "i.workOrderId IS NOT NULL AND i.status NOT IN ('Draft','Void')";
+    if (from) { where += ' AND i.issueDate >= ?'; params.push(from); }
+    if (to) { where += ' AND i.issueDate <= ?'; params.push(to); }
+
+    const [woRows] = await db.query(
+      `SELECT w.id, w.workOrderNumber, w.status, w.siteLocation,
+              COALESCE(NULLIF(c.companyName,''), w.customer) AS customer,
+              (rc.workOrderId IS NOT NULL) AS isResidential
+         FROM work_orders w
+         LEFT JOIN customers c ON c.id = w.customerId
+         LEFT JOIN (SELECT DISTINCT workOrderId FROM residential_contracts) rc ON rc.workOrderId = w.id
+        WHERE w.id IN (SELECT DISTINCT i.workOrderId FROM invoices i WHERE ${where})`,
+      params
+    );
+    const costs = await computeJobCosts(woRows.map((w) => w.id));
+
+    const jobs = woRows.map((w) => ({
+      ...costs[w.id],
+      workOrderNumber: w.workOrderNumber,
+      status: displayStatusOrDefault(w.status),
+      siteLocation: w.siteLocation,
+      customer: w.customer || '(no customer)',
+      jobType: w.isResidential ? 'Residential' : 'Commercial',
+    })).sort((a, b) => a.grossProfit - b.grossProfit || a.grossMarginPct - b.grossMarginPct);
+
+    const rollup = (keyOf) => {
+      const map = new Map();
+      for (const j of jobs) {
+        const key = keyOf(j);
+        if (!map.has(key)) map.set(key, { key, jobs: 0, losingJobs: 0, revenue: 0, costs: 0, grossProfit: 0 });
+        const g = map.get(key);
+        g.jobs++;
+        if (j.grossProfit < 0) g.losingJobs++;
+        g.revenue = round2p(g.revenue + j.revenue);
+        g.costs = round2p(g.costs + j.costs.total);
+        g.grossProfit = round2p(g.grossProfit + j.grossProfit);
+      }
+      return [...map.values()]
+        .map((g) => ({ ...g, grossMarginPct: pct1(g.grossProfit, g.revenue) }))
+        .sort((a, b) => a.grossProfit - b.grossProfit);
+    };
+
+    const revenue = round2p(jobs.reduce((s, j) => s + j.revenue, 0));
+    const totalCosts = round2p(jobs.reduce((s, j) => s + j.costs.total, 0));
+    res.json({
+      jobs,
+      byJobType: rollup((j) => j.jobType),
+      byCustomer: rollup((j) => j.customer),
+      totals: {
+        jobs: jobs.length,
+        losingJobs: jobs.filter((j) => j.grossProfit < 0).length,
+        revenue,
+        costs: totalCosts,
+        grossProfit: round2p(revenue - totalCosts),
+        grossMarginPct: pct1(revenue - totalCosts, revenue),
+      },
+      note: 'Jobs with an issued invoice in the period. Revenue is everything invoiced on the job; costs are POs with an amount and expenses tagged to the work order.',
+    });
+  } catch (err) {
+    console.error('Job costing report error:', err);
+    res.status(500).json({ error: 'Failed to fetch job costing report.' });
+  }
+});
+
+// GET /reports/sales-tax?from&to&groupBy=month|quarter — sales-tax liability by
+// jurisdiction and filing period. Accrual basis: tax is owed on invoices issued in
+// the period (Draft and Void excluded), paid or not.
+app.get('/reports/sales-tax', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
-    const pnl = await computePnL(from || null, to || null);
+    const groupBy = req.query.groupBy === 'quarter' ? 'quarter' : 'month';
+    const periodExpr = groupBy === 'quarter'
+      ? "CONCAT(YEAR(i.issueDate), '-Q', QUARTER(i.issueDate))"
+      : "DATE_FORMAT(i.issueDate, '%Y-%m')";
+    const params = [];
+    let where = "i.status NOT IN ('Draft','Void')";
+    if (from) { where += ' AND i.issueDate >= ?'; params.push(from); }
+    if (to) { where += ' AND i.issueDate <= ?'; params.push(to); }
+
+    // Pre-jurisdiction invoices have no taxableSubtotal; their whole subtotal was taxed.
+    const [rows] = await db.query(
+      `SELECT ${periodExpr} AS period,
+              i.taxJurisdictionId, tj.name AS jurisdiction, tj.state, i.taxRate,
+              COUNT(*) AS invoices,
+              COALESCE(SUM(i.subtotal), 0) AS grossSales,
+              COALESCE(SUM(CASE WHEN i.taxExempt = 1 THEN 0 ELSE COALESCE(i.taxableSubtotal, i.subtotal) END), 0) AS taxableSales,
+              COALESCE(SUM(CASE WHEN i.taxExempt = 1 THEN COALESCE(i.taxableSubtotal, i.subtotal) ELSE 0 END), 0) AS exemptSales,
+              COALESCE(SUM(i.taxAmount), 0) AS taxDue
+         FROM invoices i
+         LEFT JOIN tax_jurisdictions tj ON tj.id = i.taxJurisdictionId
+        WHERE ${where}
+        GROUP BY period, i.taxJurisdictionId, tj.name, tj.state, i.taxRate
+        ORDER BY period ASC, tj.state ASC, tj.name ASC`,
+      params
+    );
+
+    const shaped = rows.map((r) => {
+      const grossSales = round2p(r.grossSales);
+      const taxableSales = round2p(r.taxableSales);
+      const exemptSales = round2p(r.exemptSales);
+      return {
+        period: r.period,
+        taxJurisdictionId: r.taxJurisdictionId,
+        jurisdiction: r.jurisdiction || (Number(r.taxRate) > 0 ? '(manual rate)' : '(no sales tax)'),
+        state: r.state || null,
+        taxRate: Number(r.taxRate) || 0,
+        invoices: Number(r.invoices) || 0,
+        grossSales,
+        taxableSales,
+        nonTaxableSales: round2p(grossSales - taxableSales - exemptSales),
+        exemptSales,
+        taxDue: round2p(r.taxDue),
+      };
+    });
+
+    const byJurisdiction = new Map();
+    for (const r of shaped) {
+      const key = `${r.jurisdiction}|${r.taxRate}`;
+      if (!byJurisdiction.has(key)) {
+        byJurisdiction.set(key, { jurisdiction: r.jurisdiction, state: r.state, taxRate: r.taxRate,
+          invoices: 0, grossSales: 0, taxableSales: 0, nonTaxableSales: 0, exemptSales: 0, taxDue: 0 });
+      }
+      const g = byJurisdiction.get(key);
+      g.invoices += r.invoices;
+      for (const k of ['grossSales', 'taxableSales', 'nonTaxableSales', 'exemptSales', 'taxDue']) g[k] = round2p(g[k] + r[k]);
+    }
+
+    const sum = (k) => round2p(shaped.reduce((t, r) => t + r[k], 0));
     res.json({
-      ...pnl,
-      note: 'Operating P&L — cash-basis revenue, PO-based materials. Payroll/taxes/depreciation live in QuickBooks.',
+      groupBy,
+      rows: shaped,
+      byJurisdiction: [...byJurisdiction.values()].sort((a, b) => b.taxDue - a.taxDue),
+      totals: {
+        invoices: shaped.reduce((t, r) => t + r.invoices, 0),
+        grossSales: sum('grossSales'),
+        taxableSales: sum('taxableSales'),
+        nonTaxableSales: sum('nonTaxableSales'),
+        exemptSales: sum('exemptSales'),
+        taxDue: sum('taxDue'),
+      },
+      note: 'Accrual basis: invoices issued in the period (Draft and Void excluded). Non-taxable is lines marked non-taxable (e.g. labor); exempt is sales to customers with an exemption certificate.',
     });
   } catch (err) {
-    console.error('Error fetching P&L report:', err);
-    res.status(500).json({ error: 'Failed to fetch P&L report.' });
+    console.error('Sales tax report error:', err);
+    res.status(500).json({ error: 'Failed to fetch sales tax report.' });
   }
 });
 
@@ -6686,7 +12256,7 @@ app.get('/reports/profit-loss', authenticate, async (req, res) => {
 // Shared category list (single source of truth) for the frontend dropdown.
 app.get('/expense-categories', authenticate, (req, res) => res.json({ categories: EXPENSE_CATEGORIES }));
 
-app.get('/expenses', authenticate, async (req, res) => {
+app.get('/expenses', authenticate, requirePermission('expenses.view'), async (req, res) => {
   try {
     const { from, to, category } = req.query;
     const wheres = [];
@@ -6709,7 +12279,7 @@ app.get('/expenses', authenticate, async (req, res) => {
   }
 });
 
-app.post('/expenses', authenticate, async (req, res) => {
+app.post('/expenses', authenticate, requirePermission('expenses.edit'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const expenseDate = b.expenseDate && /^\d{4}-\d{2}-\d{2}/.test(String(b.expenseDate)) ? String(b.expenseDate).slice(0, 10) : null;
@@ -6733,7 +12303,7 @@ app.post('/expenses', authenticate, async (req, res) => {
   }
 });
 
-app.put('/expenses/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/expenses/:id', authenticate, requirePermission('expenses.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const b = coerceBody(req);
     const sets = [];
@@ -6770,7 +12340,7 @@ app.put('/expenses/:id', authenticate, requireNumericParam('id'), async (req, re
   }
 });
 
-app.delete('/expenses/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/expenses/:id', authenticate, requirePermission('expenses.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const [result] = await db.query('DELETE FROM expenses WHERE id = ?', [req.params.id]);
     if (!result.affectedRows) return res.status(404).json({ error: 'Expense not found.' });
@@ -6782,7 +12352,7 @@ app.delete('/expenses/:id', authenticate, requireNumericParam('id'), async (req,
 });
 
 // PUT /work-orders/:id/pos/:poId — set/edit a PO's material cost (amount) + fields.
-app.put('/work-orders/:id/pos/:poId', authenticate, requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
+app.put('/work-orders/:id/pos/:poId', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const poId = Number(req.params.poId);
@@ -6811,7 +12381,7 @@ app.put('/work-orders/:id/pos/:poId', authenticate, requireNumericParam('id'), r
 
 // ─── EXCEL / POWER QUERY ENDPOINTS (read-only, JWT-auth like the other reports) ──
 // GET /api/reports/pnl-monthly — flat monthly P&L series for the workbook.
-app.get('/api/reports/pnl-monthly', authenticate, async (req, res) => {
+app.get('/api/reports/pnl-monthly', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const { from, to } = req.query;
     const pnl = await computePnL(from || null, to || null);
@@ -6838,14 +12408,14 @@ app.get('/api/reports/pnl-monthly', authenticate, async (req, res) => {
 });
 
 // GET /api/reports/aging-summary — bucket totals + per-invoice rows for the workbook.
-app.get('/api/reports/aging-summary', authenticate, async (req, res) => {
+app.get('/api/reports/aging-summary', authenticate, requirePermission('reports.view'), async (req, res) => {
   try {
     const [rows] = await db.query(
       `SELECT i.id, i.invoiceNumber, c.companyName AS customerName,
         i.issueDate, i.dueDate, i.total, i.balanceDue,
         DATEDIFF(CURDATE(), i.dueDate) AS daysOverdue
        FROM invoices i LEFT JOIN customers c ON c.id = i.customerId
-       WHERE i.balanceDue > 0 AND i.status NOT IN ('Void','Draft','Paid')
+       WHERE i.balanceDue > 0 AND i.status NOT IN ('Void','Draft','Paid','Closed')
        ORDER BY i.dueDate ASC`
     );
     const bucketOf = (d) => (d <= 0 ? 'Current' : d <= 30 ? '1-30 Days' : d <= 60 ? '31-60 Days' : d <= 90 ? '61-90 Days' : '90+ Days');
@@ -6902,7 +12472,7 @@ function poStatusFromRow(r) {
 // ─── WORK ORDERS SEARCH/LIST/CRUD ───────────────────────────────────────────
 
 // DEBUG: Show all distinct status values in database (temporary endpoint)
-app.get('/debug/status-values', authenticate, async (req, res) => {
+app.get('/debug/status-values', authenticate, requirePermission('tools.debug'), async (req, res) => {
   try {
     const [rawStatus] = await db.execute('SELECT DISTINCT status FROM work_orders ORDER BY status');
     const [waitingRows] = await db.execute(
@@ -6941,7 +12511,7 @@ app.get('/debug/status-values', authenticate, async (req, res) => {
 });
 
 // DEBUG: Check a specific work order by ID
-app.get('/debug/work-order/:id', authenticate, async (req, res) => {
+app.get('/debug/work-order/:id', authenticate, requirePermission('tools.debug'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [[row]] = await db.execute('SELECT * FROM work_orders WHERE id = ?', [wid]);
@@ -7053,10 +12623,17 @@ app.get('/work-orders/by-status/:status', authenticate, async (req, res) => {
         if (!estMap[e.workOrderId]) estMap[e.workOrderId] = [];
         estMap[e.workOrderId].push(e);
       }
+      // A draft already waiting in a batch (or made by hand) shouldn't be invoiced twice.
+      const [invoices] = await db.query(
+        `SELECT id, workOrderId, invoiceNumber, status, batchId FROM invoices
+          WHERE status <> 'Void' AND workOrderId IN (${woIds.map(() => '?').join(',')}) ORDER BY id DESC`,
+        woIds
+      );
       for (const r of rows) {
         r.linkedEstimates = estMap[r.id] || [];
         const accepted = r.linkedEstimates.find(e => e.status === 'Accepted');
         r.acceptedEstimate = accepted || null;
+        r.openInvoice = invoices.find(i => i.workOrderId === r.id) || null;
       }
     }
 
@@ -7197,7 +12774,7 @@ app.get('/work-orders/by-po/:poNumber/pdf', authenticate, async (req, res) => {
     const key = pickPdfKeyFromRow(row);
     if (!key) return res.status(404).json({ error: 'No PDF found for that PO.' });
 
-    const href = `/files?key=${encodeURIComponent(key)}`;
+    const href = signedFileUrl(key, req.user.id);
 
     if (format === 'json') {
       return res.json({
@@ -7334,6 +12911,15 @@ app.get('/work-orders/:id', authenticate, requireNumericParam('id'), async (req,
       row.signOff = null;
     }
 
+    // Signed /files links for every document and photo on the WO, by key.
+    const rc = row.residentialContract;
+    row.fileUrls = signedFileUrlMap([
+      row.pdfPath, row.estimatePdfPath, row.poPdfPath,
+      ...String(row.photoPath || '').split(',').map((k) => k.trim()),
+      ...row.qbDocuments.map((d) => d.pdfPath),
+      rc?.generatedPdfPath, rc?.signedPdfPath,
+    ], req.user.id);
+
     res.json(row);
   } catch (err) {
     console.error('Work-order get-by-id error:', err);
@@ -7363,7 +12949,7 @@ app.get('/work-orders/:id/techs', authenticate, requireNumericParam('id'), async
 
 // PUT replace assigned techs. Body: { userIds: number[] }
 // First entry becomes the primary tech (work_orders.assignedTo).
-app.put('/work-orders/:id/techs', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/work-orders/:id/techs', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     const raw = Array.isArray(req.body?.userIds) ? req.body.userIds : [];
@@ -7402,7 +12988,7 @@ app.put('/work-orders/:id/techs', authenticate, requireNumericParam('id'), async
 
 // EXTRACT work order fields from PDF (OCR)
 // Uses extractUploader (disk-based) instead of upload (S3) so we can read the file directly
-app.post('/work-orders/extract-pdf', authenticate, extractUploader.single('pdf'), async (req, res) => {
+app.post('/work-orders/extract-pdf', authenticate, requirePermission('workOrders.edit'), extractUploader.single('pdf'), async (req, res) => {
   console.log("\n" + "=".repeat(60));
   console.log("=== PDF EXTRACTION ENDPOINT HIT ===");
   console.log("=".repeat(60));
@@ -7535,229 +13121,300 @@ app.post('/work-orders/extract-pdf', authenticate, extractUploader.single('pdf')
   }
 });
 
-// DEBUG ENDPOINT: Full raw text extraction + field detection for debugging
-app.post('/api/debug-extract-pdf', authenticate, extractUploader.single('pdf'), async (req, res) => {
-  console.log("\n" + "=".repeat(60));
-  console.log("=== DEBUG PDF EXTRACTION ===");
-  console.log("=".repeat(60));
-
-  let filePath = null;
-
-  try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No PDF file uploaded. Use field name "pdf".' });
-    }
+// ─── EXTRACTION PLAYGROUND ───────────────────────────────────────────────────
+// Try the PDF extractors on a sample and compare against what you expected.
+// Backed by the same harness as `npm run test:extraction`; a sample that comes
+// out right here can be saved as a fixture under fixtures/extraction/.
 
-    filePath = req.file.path;
-    console.log("[DEBUG-PDF] File:", req.file.originalname, "Size:", req.file.size);
+// Which tools OCR depends on (missing ones are the usual reason scans come back empty)
+function ocrDependencies() {
+  const { execSync } = require('child_process');
+  const probe = (cmd) => {
+    try { return execSync(`${cmd} 2>&1`).toString().split('\n')[0].trim(); } catch (e) { return null; }
+  };
+  return {
+    graphicsmagick: probe('gm -version'),
+    imagemagick: probe('convert -version'),
+    ghostscript: probe('gs --version'),
+  };
+}
 
-    // Step 1: Try digital extraction first
-    let digitalText = "";
-    let ocrText = "";
-    let extractionMethod = "none";
+// GET /extraction/profiles — vendor profiles, fixture list and OCR tool check
+app.get('/extraction/profiles', authenticate, requirePermission('tools.debug'), (req, res) => {
+  res.json({
+    profiles: Object.entries(VENDOR_PROFILES).map(([key, p]) => ({
+      key,
+      displayName: p.displayName,
+      billingAddress: p.billingAddress,
+      senderDomains: p.senderDomains || [],
+      names: p.names,
+    })),
+    fixtures: listFixtures().map(({ id, kind }) => ({ id, kind })),
+    dependencies: ocrDependencies(),
+  });
+});
 
-    try {
-      digitalText = await extractTextFromPdf(filePath);
-      console.log("[DEBUG-PDF] Digital extraction: " + digitalText.length + " chars");
-    } catch (err) {
-      console.log("[DEBUG-PDF] Digital extraction FAILED:", err.message);
+// POST /extraction/playground — multipart: pdf (file) or text, kind
+// ('work-orders' | 'purchase-orders'), profileKey (force a profile), expected (JSON)
+app.post('/extraction/playground', authenticate, requirePermission('tools.debug'), extractUploader.single('pdf'), async (req, res) => {
+  const filePath = req.file ? req.file.path : null;
+  try {
+    const kind = req.body.kind || 'work-orders';
+    if (!['work-orders', 'purchase-orders'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be work-orders or purchase-orders.' });
+    }
+    const profileKey = req.body.profileKey || '';
+    if (profileKey && !VENDOR_PROFILES[profileKey]) {
+      return res.status(400).json({ error: `Unknown vendor profile "${profileKey}".` });
+    }
+    let expected = null;
+    if (req.body.expected) {
+      try { expected = JSON.parse(req.body.expected); } catch (e) {
+        return res.status(400).json({ error: 'expected must be a JSON object.' });
+      }
     }
 
-    if (digitalText.length < 50) {
-      console.log("[DEBUG-PDF] Digital text too short, trying OCR...");
-      try {
-        ocrText = await extractTextFromScannedPdf(filePath);
-        console.log("[DEBUG-PDF] OCR extraction: " + ocrText.length + " chars");
-      } catch (err) {
-        console.log("[DEBUG-PDF] OCR extraction FAILED:", err.message);
+    // Text: pasted as-is, or digital first then OCR (same order as extractTextSmart)
+    let text = '';
+    let extractionMethod = 'text';
+    if (filePath) {
+      let digitalText = '';
+      try { digitalText = await extractTextFromPdf(filePath); } catch (e) {
+        console.log('[PLAYGROUND] Digital extraction failed:', e.message);
       }
-      extractionMethod = ocrText.length > digitalText.length ? "ocr" : "digital";
+      text = digitalText;
+      extractionMethod = 'digital';
+      if (digitalText.trim().length < 50) {
+        let ocrText = '';
+        try { ocrText = await extractTextFromScannedPdf(filePath); } catch (e) {
+          console.log('[PLAYGROUND] OCR extraction failed:', e.message);
+        }
+        if (ocrText.length > digitalText.length) {
+          text = ocrText;
+          extractionMethod = 'ocr';
+        }
+      }
+    } else if (typeof req.body.text === 'string' && req.body.text.trim()) {
+      text = req.body.text;
     } else {
-      extractionMethod = "digital";
+      return res.status(400).json({ error: 'Upload a PDF (field "pdf") or paste text.' });
     }
 
-    const finalText = extractionMethod === "ocr" ? ocrText : digitalText;
-
-    // Step 2: Run field extraction
-    const extracted = extractWorkOrderFields(finalText);
-
-    // Step 3: Clean up
-    try { fs.unlinkSync(filePath); filePath = null; } catch (e) {}
-
-    // Return FULL raw text (not truncated)
+    const fields = extractFields(kind, text, { profileKey });
     res.json({
-      success: true,
+      kind,
       extractionMethod,
-      digitalTextLength: digitalText.length,
-      ocrTextLength: ocrText.length,
-      finalTextLength: finalText.length,
-      rawText: finalText,
-      rawTextFirst2000: finalText.substring(0, 2000),
-      detectedCustomer: extracted.customer,
-      detectedCustomerProfile: extracted.detectedCustomerProfile,
-      extractedFields: {
-        customer: extracted.customer,
-        billingAddress: extracted.billingAddress,
-        workOrderNumber: extracted.workOrderNumber,
-        poNumber: extracted.poNumber,
-        siteLocation: extracted.siteLocation,
-        siteAddress: extracted.siteAddress,
-        problemDescription: extracted.problemDescription,
-      },
-      // Show character codes for first 500 chars (helps debug hidden chars)
-      charCodes: finalText.substring(0, 500).split('').map((c, i) => ({
-        pos: i,
-        char: c === '\n' ? '\\n' : c === '\r' ? '\\r' : c === '\t' ? '\\t' : c,
-        code: c.charCodeAt(0)
-      }))
+      textLength: text.length,
+      rawText: text,
+      fields,
+      diff: expected ? diffFields(expected, fields) : null,
     });
-
   } catch (err) {
-    console.error("[DEBUG-PDF] Error:", err.message);
-    if (filePath && fs.existsSync(filePath)) {
-      try { fs.unlinkSync(filePath); } catch (e) {}
-    }
-    res.status(500).json({ success: false, error: err.message });
+    console.error('Extraction playground error:', err);
+    res.status(500).json({ error: 'Failed to extract: ' + err.message });
+  } finally {
+    if (filePath) fs.unlink(filePath, () => {});
   }
 });
 
-// TEST ENDPOINT: Test PDF extraction on an existing file
-app.get('/test-extract-pdf', authenticate, async (req, res) => {
-  console.log("\n=== TEST PDF EXTRACTION ===");
-
+// POST /extraction/fixtures/run — run the golden-file fixtures { filter }
+app.post('/extraction/fixtures/run', authenticate, requirePermission('tools.debug'), async (req, res) => {
   try {
-    // Check if GraphicsMagick/ImageMagick are available
-    const { execSync } = require('child_process');
-    let gmVersion = null, imVersion = null, gsVersion = null;
-
-    try {
-      gmVersion = execSync('gm -version 2>&1').toString().split('\n')[0];
-      console.log("[TEST] GraphicsMagick:", gmVersion);
-    } catch (e) {
-      console.log("[TEST] GraphicsMagick: NOT INSTALLED");
-    }
+    const filter = typeof req.body?.filter === 'string' ? req.body.filter.trim() : '';
+    res.json(await runHarness({ filter }));
+  } catch (err) {
+    console.error('Extraction fixtures error:', err);
+    res.status(500).json({ error: 'Failed to run extraction fixtures.' });
+  }
+});
 
-    try {
-      imVersion = execSync('convert -version 2>&1').toString().split('\n')[0];
-      console.log("[TEST] ImageMagick:", imVersion);
-    } catch (e) {
-      console.log("[TEST] ImageMagick: NOT INSTALLED");
-    }
+// Insert a work order plus everything a create implies: initial status history,
+// extra photos, photo phase, customer link (auto-created when no customerId) and
+// the tech junction. Shared by POST /work-orders and ingest review approval, so
+// both create identical rows. Files arrive as already-stored keys. Returns
+// { id } or { status, error } when the input is rejected.
+async function insertWorkOrder(fields, files = {}, who = 'System', source = 'work-order-create') {
+  if (!SCHEMA.columnsReady) {
+    return { status: 500, error: 'Database columns missing (estimatePdfPath/poPdfPath). Check DB privileges.' };
+  }
 
-    try {
-      gsVersion = execSync('gs --version 2>&1').toString().trim();
-      console.log("[TEST] Ghostscript:", gsVersion);
-    } catch (e) {
-      console.log("[TEST] Ghostscript: NOT INSTALLED");
-    }
+  const {
+    workOrderNumber = '',
+    poNumber = '',
+    customer,
+    siteLocation = '',
+    siteAddress = null,
+    billingAddress,
+    problemDescription,
+    status = 'New',
+    assignedTo,
 
-    // Find a PDF file to test with
-    const uploadsDir = path.resolve(__dirname, 'uploads');
-    let testFile = req.query.file;
+    billingPhone = null,
+    sitePhone = null,
+    customerPhone = null,
+    customerEmail = null,
+    notes = null,
 
-    if (!testFile) {
-      // Find first PDF in uploads
-      if (fs.existsSync(uploadsDir)) {
-        const files = fs.readdirSync(uploadsDir).filter(f => f.toLowerCase().endsWith('.pdf'));
-        if (files.length > 0) {
-          testFile = path.join(uploadsDir, files[0]);
-          console.log("[TEST] Using first PDF found:", testFile);
-        }
-      }
-    }
+    poSupplier = null,
+    poPickedUp = 0,
 
-    if (!testFile) {
-      return res.json({
-        success: false,
-        error: 'No PDF file to test. Pass ?file=/path/to/file.pdf or add PDFs to uploads folder',
-        dependencies: { graphicsmagick: gmVersion, imagemagick: imVersion, ghostscript: gsVersion }
-      });
-    }
+    scheduledDate: scheduledDateRaw = null,
+    endTime = null,
+    timeWindow = null,
+    customerId = null,
+    referralSource = null,
+  } = fields;
 
-    if (!fs.existsSync(testFile)) {
-      return res.json({
-        success: false,
-        error: 'Test file not found: ' + testFile,
-        dependencies: { graphicsmagick: gmVersion, imagemagick: imVersion, ghostscript: gsVersion }
-      });
-    }
+  if (!customer || !billingAddress || !problemDescription) {
+    return { status: 400, error: 'Missing required fields' };
+  }
 
-    console.log("[TEST] Testing extraction on:", testFile);
+  let startSqlMaybe = (scheduledDateRaw === '') ? null : parseDateTimeFlexible(scheduledDateRaw);
+  const { startSql, endSql } = windowSql({ dateSql: startSqlMaybe, endTime, timeWindow });
+  const scheduledDate = startSql || null;
+  const scheduledEnd  = endSql   || null;
 
-    // Run extraction
-    const text = await extractTextSmart(testFile);
-    console.log("[TEST] Extracted", text.length, "characters");
-    console.log("[TEST] First 500 chars:", text.substring(0, 500));
+  const {
+    pdfPath = null,
+    estimatePdfPath = null,
+    poPdfPath = null,
+    imageKeys = [],
+    extraPdfKeys = [],
+    photoPhase = null,
+  } = files;
+
+  const firstImg = imageKeys[0] || null;
+  const initialAttachments = [firstImg, ...extraPdfKeys].filter(Boolean).join(',');
+
+  const cStatus = canonStatus(status) || 'New';
+
+  const cols = [
+    'jobNumber',
+    'workOrderNumber','poNumber','customer','siteLocation','siteAddress','billingAddress',
+    'problemDescription','status',
+    'pdfPath','estimatePdfPath','poPdfPath','photoPath',
+    'billingPhone','sitePhone','customerPhone','customerEmail','notes',
+    'poSupplier','poPickedUp',
+    'scheduledDate','scheduledEnd',
+    'referralSource'
+  ];
 
-    const extracted = extractWorkOrderFields(text);
-    console.log("[TEST] Extracted fields:", extracted);
+  const vals = [
+    await nextDocumentNumber('workOrder'),
+    workOrderNumber || null,
+    poNumber || null,
+    customer,
+    siteLocation,
+    siteAddress || null,
+    billingAddress,
+    problemDescription,
+    cStatus,
+    pdfPath,
+    estimatePdfPath,
+    poPdfPath,
+    initialAttachments,
+    billingPhone || null,
+    sitePhone || null,
+    customerPhone || null,
+    customerEmail || null,
+    notes,
+    poSupplier || null,
+    Number(poPickedUp) ? 1 : 0,
+    scheduledDate,
+    scheduledEnd,
+    (typeof referralSource === 'string' && referralSource.trim()) ? referralSource.trim() : null
+  ];
 
-    res.json({
-      success: true,
-      testFile,
-      dependencies: {
-        graphicsmagick: gmVersion || 'NOT INSTALLED',
-        imagemagick: imVersion || 'NOT INSTALLED',
-        ghostscript: gsVersion || 'NOT INSTALLED'
-      },
-      textLength: text.length,
-      rawText: text.substring(0, 1000),
-      extracted
-    });
+  if (SCHEMA.hasAssignedTo && assignedTo !== undefined && assignedTo !== '') {
+    const assignedToVal = Number.isFinite(Number(assignedTo)) ? Number(assignedTo) : null;
+    cols.push('assignedTo');
+    vals.push(assignedToVal);
+  }
 
-  } catch (err) {
-    console.error("[TEST] Error:", err);
-    res.json({
-      success: false,
-      error: err.message,
-      stack: err.stack
-    });
+  if (customerId && Number.isFinite(Number(customerId))) {
+    cols.push('customerId');
+    vals.push(Number(customerId));
   }
-});
 
-// CREATE work order
-app.post('/work-orders', authenticate, withMulter(upload.any()), async (req, res) => {
-  try {
-    if (!SCHEMA.columnsReady) {
-      return res.status(500).json({ error: 'Database columns missing (estimatePdfPath/poPdfPath). Check DB privileges.' });
-    }
+  const placeholders = cols.map(() => '?').join(',');
+  const [r] = await db.execute(
+    `INSERT INTO work_orders (${cols.join(',')}) VALUES (${placeholders})`,
+    vals
+  );
 
-    const {
-      workOrderNumber = '',
-      poNumber = '',
-      customer,
-      siteLocation = '',
-      siteAddress = null,
-      billingAddress,
-      problemDescription,
-      status = 'New',
-      assignedTo,
+  // A create counts as entering its initial status (e.g. created already Approved).
+  await applyStatusTransition(r.insertId, null, cStatus, who, source);
 
-      billingPhone = null,
-      sitePhone = null,
-      customerPhone = null,
-      customerEmail = null,
-      notes = null,
+  // If more than 1 image uploaded, append remaining to photoPath
+  if (imageKeys.length > 1) {
+    const wid = r.insertId;
+    const moreKeys = imageKeys.slice(1);
+    const [[existing]] = await db.execute('SELECT photoPath FROM work_orders WHERE id = ?', [wid]);
+    const current = (existing?.photoPath || '').split(',').filter(Boolean);
+    await db.execute(
+      'UPDATE work_orders SET photoPath = ? WHERE id = ?',
+      [[...current, ...moreKeys].join(','), wid]
+    );
+  }
 
-      poSupplier = null,
-      poPickedUp = 0,
+  // Photos sent inline with the create request are "before" photos only when the
+  // caller says so (web AddWorkOrder). Without the flag they stay unclassified —
+  // that keeps the Field-tech-app's create-with-photo path landing in general.
+  await recordPhotoPhase(r.insertId, imageKeys, photoPhase);
 
-      scheduledDate: scheduledDateRaw = null,
-      endTime = null,
-      timeWindow = null,
-      customerId = null,
-      referralSource = null,
-    } = req.body;
+  // Auto-create customer and link to work order if no customerId was provided
+  if (!customerId || !Number.isFinite(Number(customerId))) {
+    try {
+      const cust = await findOrCreateCustomer(customer, {
+        billingAddress, phone: customerPhone, email: customerEmail,
+      });
+      await db.execute('UPDATE work_orders SET customerId = ? WHERE id = ?', [cust.id, r.insertId]);
+    } catch (autoErr) {
+      console.warn('[POST /work-orders] Auto-create customer failed:', autoErr.message);
+    }
+  }
 
-    if (!customer || !billingAddress || !problemDescription) {
-      return res.status(400).json({ error: 'Missing required fields' });
+  // Sync multi-tech junction. Prefer explicit techIds (JSON string or array)
+  // from the create form; fall back to the primary assignedTo so single-tech
+  // creators (e.g. field-app submit-for-self) still land a junction row.
+  try {
+    let techIds = [];
+    const rawTechIds = fields.techIds;
+    if (Array.isArray(rawTechIds)) {
+      techIds = rawTechIds;
+    } else if (typeof rawTechIds === 'string' && rawTechIds.trim()) {
+      try {
+        const parsed = JSON.parse(rawTechIds);
+        if (Array.isArray(parsed)) techIds = parsed;
+      } catch {
+        // Not JSON — accept comma-separated form: "1,2,3"
+        techIds = rawTechIds.split(',').map(s => s.trim()).filter(Boolean);
+      }
+    }
+    const uniqueIds = Array.from(new Set(
+      techIds.map(v => Number(v)).filter(v => Number.isFinite(v) && v > 0)
+    ));
+    const fallbackId = Number(assignedTo);
+    if (uniqueIds.length === 0 && Number.isFinite(fallbackId) && fallbackId > 0) {
+      uniqueIds.push(fallbackId);
+    }
+    if (uniqueIds.length > 0) {
+      const values = uniqueIds.map(uid => [r.insertId, uid]);
+      await db.query('INSERT IGNORE INTO work_order_techs (workOrderId, userId) VALUES ?', [values]);
+      if (SCHEMA.hasAssignedTo) {
+        await db.execute('UPDATE work_orders SET assignedTo = ? WHERE id = ?', [uniqueIds[0], r.insertId]);
+      }
     }
+  } catch (techErr) {
+    console.warn('[POST /work-orders] Tech junction sync failed:', techErr.message);
+  }
 
-    let startSqlMaybe = (scheduledDateRaw === '') ? null : parseDateTimeFlexible(scheduledDateRaw);
-    const { startSql, endSql } = windowSql({ dateSql: startSqlMaybe, endTime, timeWindow });
-    const scheduledDate = startSql || null;
-    const scheduledEnd  = endSql   || null;
+  return { id: r.insertId };
+}
 
+// CREATE work order
+app.post('/work-orders', authenticate, requirePermission('workOrders.edit'), withMulter(upload.any()), async (req, res) => {
+  try {
     const files = req.files || [];
     const primaryPdf   = pickPdfByFields(files, FIELD_SETS.work);
     const estimatePdf  = pickPdfByFields(files, FIELD_SETS.est);
@@ -7767,137 +13424,17 @@ app.post('/work-orders', authenticate, withMulter(upload.any()), async (req, res
 
     if (!enforceImageCountOr413(res, images)) return;
 
-    const pdfPath         = primaryPdf  ? fileKey(primaryPdf)  : null;
-    const estimatePdfPath = estimatePdf ? fileKey(estimatePdf) : null;
-    const poPdfPath       = poPdf       ? fileKey(poPdf)       : null;
-
-    const firstImg = images[0] ? fileKey(images[0]) : null;
-    const extraPdfKeys = otherPdfs.map(fileKey);
-    const initialAttachments = [firstImg, ...extraPdfKeys].filter(Boolean).join(',');
-
-    const cStatus = canonStatus(status) || 'New';
-
-    const cols = [
-      'workOrderNumber','poNumber','customer','siteLocation','siteAddress','billingAddress',
-      'problemDescription','status',
-      'pdfPath','estimatePdfPath','poPdfPath','photoPath',
-      'billingPhone','sitePhone','customerPhone','customerEmail','notes',
-      'poSupplier','poPickedUp',
-      'scheduledDate','scheduledEnd',
-      'referralSource'
-    ];
-
-    const vals = [
-      workOrderNumber || null,
-      poNumber || null,
-      customer,
-      siteLocation,
-      siteAddress || null,
-      billingAddress,
-      problemDescription,
-      cStatus,
-      pdfPath,
-      estimatePdfPath,
-      poPdfPath,
-      initialAttachments,
-      billingPhone || null,
-      sitePhone || null,
-      customerPhone || null,
-      customerEmail || null,
-      notes,
-      poSupplier || null,
-      Number(poPickedUp) ? 1 : 0,
-      scheduledDate,
-      scheduledEnd,
-      (typeof referralSource === 'string' && referralSource.trim()) ? referralSource.trim() : null
-    ];
-
-    if (SCHEMA.hasAssignedTo && assignedTo !== undefined && assignedTo !== '') {
-      const assignedToVal = Number.isFinite(Number(assignedTo)) ? Number(assignedTo) : null;
-      cols.push('assignedTo');
-      vals.push(assignedToVal);
-    }
-
-    if (customerId && Number.isFinite(Number(customerId))) {
-      cols.push('customerId');
-      vals.push(Number(customerId));
-    }
-
-    const placeholders = cols.map(() => '?').join(',');
-    const [r] = await db.execute(
-      `INSERT INTO work_orders (${cols.join(',')}) VALUES (${placeholders})`,
-      vals
-    );
-
-    // If a WO is created already in Approved status, record the approval note (no prior status).
-    await maybeLogApprovalNote(r.insertId, null, cStatus, req.user?.username || 'System');
-    await stampStatusChangedAt(r.insertId, null, cStatus);
-
-    // If more than 1 image uploaded, append remaining to photoPath
-    if (images.length > 1) {
-      const wid = r.insertId;
-      const moreKeys = images.slice(1).map(fileKey);
-      const [[existing]] = await db.execute('SELECT photoPath FROM work_orders WHERE id = ?', [wid]);
-      const current = (existing?.photoPath || '').split(',').filter(Boolean);
-      await db.execute(
-        'UPDATE work_orders SET photoPath = ? WHERE id = ?',
-        [[...current, ...moreKeys].join(','), wid]
-      );
-    }
-
-    // Photos sent inline with the create request are "before" photos only when the
-    // caller says so (web AddWorkOrder). Without the flag they stay unclassified —
-    // that keeps the Field-tech-app's create-with-photo path landing in general.
-    await recordPhotoPhase(r.insertId, images.map(fileKey), readPhotoPhase(req));
-
-    // Auto-create customer and link to work order if no customerId was provided
-    if (!customerId || !Number.isFinite(Number(customerId))) {
-      try {
-        const cust = await findOrCreateCustomer(customer, {
-          billingAddress, phone: customerPhone, email: customerEmail,
-        });
-        await db.execute('UPDATE work_orders SET customerId = ? WHERE id = ?', [cust.id, r.insertId]);
-      } catch (autoErr) {
-        console.warn('[POST /work-orders] Auto-create customer failed:', autoErr.message);
-      }
-    }
-
-    // Sync multi-tech junction. Prefer explicit techIds (JSON string or array)
-    // from the create form; fall back to the primary assignedTo so single-tech
-    // creators (e.g. field-app submit-for-self) still land a junction row.
-    try {
-      let techIds = [];
-      const rawTechIds = req.body.techIds;
-      if (Array.isArray(rawTechIds)) {
-        techIds = rawTechIds;
-      } else if (typeof rawTechIds === 'string' && rawTechIds.trim()) {
-        try {
-          const parsed = JSON.parse(rawTechIds);
-          if (Array.isArray(parsed)) techIds = parsed;
-        } catch {
-          // Not JSON — accept comma-separated form: "1,2,3"
-          techIds = rawTechIds.split(',').map(s => s.trim()).filter(Boolean);
-        }
-      }
-      const uniqueIds = Array.from(new Set(
-        techIds.map(v => Number(v)).filter(v => Number.isFinite(v) && v > 0)
-      ));
-      const fallbackId = Number(assignedTo);
-      if (uniqueIds.length === 0 && Number.isFinite(fallbackId) && fallbackId > 0) {
-        uniqueIds.push(fallbackId);
-      }
-      if (uniqueIds.length > 0) {
-        const values = uniqueIds.map(uid => [r.insertId, uid]);
-        await db.query('INSERT IGNORE INTO work_order_techs (workOrderId, userId) VALUES ?', [values]);
-        if (SCHEMA.hasAssignedTo) {
-          await db.execute('UPDATE work_orders SET assignedTo = ? WHERE id = ?', [uniqueIds[0], r.insertId]);
-        }
-      }
-    } catch (techErr) {
-      console.warn('[POST /work-orders] Tech junction sync failed:', techErr.message);
-    }
-
-    res.status(201).json({ id: r.insertId, workOrderId: r.insertId });
+    const created = await insertWorkOrder(req.body, {
+      pdfPath:         primaryPdf  ? fileKey(primaryPdf)  : null,
+      estimatePdfPath: estimatePdf ? fileKey(estimatePdf) : null,
+      poPdfPath:       poPdf       ? fileKey(poPdf)       : null,
+      imageKeys:       images.map(fileKey),
+      extraPdfKeys:    otherPdfs.map(fileKey),
+      photoPhase:      readPhotoPhase(req),
+    }, req.user?.username || 'System');
+    if (created.error) return res.status(created.status).json({ error: created.error });
+
+    res.status(201).json({ id: created.id, workOrderId: created.id });
   } catch (err) {
     console.error('Work-order create error:', err);
     res.status(500).json({ error: 'Failed to save work order.' });
@@ -7905,7 +13442,7 @@ app.post('/work-orders', authenticate, withMulter(upload.any()), async (req, res
 });
 
 // EDIT work order
-app.put('/work-orders/:id/edit', authenticate, requireNumericParam('id'), withMulter(upload.any()), async (req, res) => {
+app.put('/work-orders/:id/edit', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), withMulter(upload.any()), async (req, res) => {
   try {
     if (!SCHEMA.columnsReady) {
       return res.status(500).json({ error: 'Database columns missing (estimatePdfPath/poPdfPath). Check DB privileges.' });
@@ -8121,6 +13658,15 @@ app.put('/work-orders/:id/edit', authenticate, requireNumericParam('id'), withMu
       console.log('[PO Upload] DB SAVE - WO#', wid, '| poSupplier:', JSON.stringify(poSupplier), '| poNumber:', JSON.stringify(finalPoNumber), '| poPdfPath:', JSON.stringify(poPdfPath));
     }
 
+    const cStatus = canonStatus(status) || existing.status;
+
+    // Enforce the workflow before anything is written. A PO arriving in this
+    // same save counts toward a "require PO" guard.
+    const blocked = await checkStatusTransition(wid, existing.status, cStatus, { poNumber: finalPoNumber });
+    if (blocked) {
+      return res.status(blocked.status).json({ error: blocked.error, allowed: blocked.allowed });
+    }
+
     // Insert into work_order_pos table for multi-PO support
     if (newPoPdfFile && wantReplacePo && poPdfPath) {
       try {
@@ -8135,8 +13681,6 @@ app.put('/work-orders/:id/edit', authenticate, requireNumericParam('id'), withMu
       }
     }
 
-    const cStatus = canonStatus(status) || existing.status;
-
     // DEBUG: Log status processing for "Waiting on Parts" investigation
     if (status !== existing.status || (status && status.toLowerCase().includes('waiting'))) {
       console.log(`[STATUS-DEBUG] WO ${wid}: incoming="${status}", canonStatus="${canonStatus(status)}", final="${cStatus}", existing="${existing.status}"`);
@@ -8244,9 +13788,7 @@ app.put('/work-orders/:id/edit', authenticate, requireNumericParam('id'), withMu
     params.push(wid);
 
     await db.execute(sql, params);
-    await stampEstimateSentIfWaiting(wid, cStatus);
-    await maybeLogApprovalNote(wid, existing.status, cStatus, req.user?.username || 'System');
-    await stampStatusChangedAt(wid, existing.status, cStatus);
+    await applyStatusTransition(wid, existing.status, cStatus, req.user?.username || 'System', 'work-order-edit');
 
     // Tag this batch's photos only if the caller passed photoPhase. The web
     // AddWorkOrder uploads its creation photos through here one at a time with
@@ -8270,7 +13812,7 @@ app.put('/work-orders/:id/edit', authenticate, requireNumericParam('id'), withMu
 });
 
 // NOTES
-app.put('/work-orders/:id/notes', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/work-orders/:id/notes', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -8306,7 +13848,7 @@ app.put('/work-orders/:id/notes', authenticate, requireNumericParam('id'), async
 });
 
 // DELETE a single note row (verifies it belongs to this work order).
-app.delete('/work-orders/:id/notes/:noteId', authenticate, requireNumericParam('id'), requireNumericParam('noteId'), async (req, res) => {
+app.delete('/work-orders/:id/notes/:noteId', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), requireNumericParam('noteId'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const noteId = Number(req.params.noteId);
@@ -8325,7 +13867,7 @@ app.delete('/work-orders/:id/notes/:noteId', authenticate, requireNumericParam('
 });
 
 // STATUS
-app.put('/work-orders/:id/status', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/work-orders/:id/status', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   const b = coerceBody(req);
   const incoming = b.status ?? b.value ?? b.newStatus ?? b.s ?? b.text;
   if (incoming == null || String(incoming).trim() === '') {
@@ -8333,21 +13875,170 @@ app.put('/work-orders/:id/status', authenticate, requireNumericParam('id'), asyn
   }
 
   try {
-    const c = canonStatus(incoming);
-    if (!c) return res.status(400).json({ error: 'Invalid status value' });
+    const c = canonStatus(incoming);
+    if (!c) return res.status(400).json({ error: 'Invalid status value' });
+
+    const [[prevRow]] = await db.execute('SELECT status FROM work_orders WHERE id = ?', [Number(req.params.id)]);
+    if (!prevRow) return res.status(404).json({ error: 'Not found.' });
+
+    const blocked = await checkStatusTransition(Number(req.params.id), prevRow.status, c);
+    if (blocked) {
+      return res.status(blocked.status).json({ error: blocked.error, allowed: blocked.allowed });
+    }
+
+    await db.execute('UPDATE work_orders SET status = ? WHERE id = ?', [c, Number(req.params.id)]);
+    await applyStatusTransition(Number(req.params.id), prevRow.status, c, req.user?.username || 'System', 'work-order-status');
+    const [[updated]] = await db.execute('SELECT * FROM work_orders WHERE id = ?', [Number(req.params.id)]);
+
+    res.json({ ...updated, status: displayStatusOrDefault(updated.status) });
+  } catch (err) {
+    console.error('Work-order status update error:', err);
+    res.status(500).json({ error: 'Failed to update status.' });
+  }
+});
+
+// ─── STATUS WORKFLOW ADMIN ──────────────────────────────────────────────────
+
+function workflowPayload() {
+  return {
+    statuses: WORKFLOW.statuses.map((s) => ({
+      name: s.name, sortOrder: s.sortOrder, isActive: s.isActive,
+      builtIn: STATUS_CANON.includes(s.name), enterHooks: s.enterHooks,
+    })),
+    transitions: [...WORKFLOW.transitions.values()].map((t) => ({
+      fromStatus: t.fromStatus, toStatus: t.toStatus, hooks: t.hooks,
+    })),
+    hookTypes: WORKFLOW_HOOK_TYPES,
+    stampColumns: WORKFLOW_STAMP_COLUMNS,
+  };
+}
+
+// GET /workflow — statuses, allowed transitions and hooks (read by every status picker)
+app.get('/workflow', authenticate, (req, res) => {
+  res.json(workflowPayload());
+});
+
+// GET /work-orders/:id/next-statuses — statuses this WO may move to right now
+app.get('/work-orders/:id/next-statuses', authenticate, requireNumericParam('id'), async (req, res) => {
+  try {
+    const [[wo]] = await db.query('SELECT status FROM work_orders WHERE id = ?', [Number(req.params.id)]);
+    if (!wo) return res.status(404).json({ error: 'Work order not found.' });
+    res.json({ status: displayStatusOrDefault(wo.status), allowed: allowedNextStatuses(wo.status) });
+  } catch (err) {
+    console.error('Next statuses error:', err);
+    res.status(500).json({ error: 'Failed to load allowed statuses.' });
+  }
+});
+
+// GET /work-orders/:id/status-history — every recorded transition, oldest first
+app.get('/work-orders/:id/status-history', authenticate, requireNumericParam('id'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT id, fromStatus, toStatus, actor, source, changedAt
+         FROM work_order_status_history
+        WHERE workOrderId = ?
+        ORDER BY changedAt ASC, id ASC`,
+      [Number(req.params.id)]
+    );
+    res.json(rows.map(r => ({
+      ...r,
+      fromStatus: r.fromStatus == null ? null : displayStatusOrDefault(r.fromStatus),
+      toStatus: displayStatusOrDefault(r.toStatus),
+    })));
+  } catch (err) {
+    console.error('Status history error:', err);
+    res.status(500).json({ error: 'Failed to load status history.' });
+  }
+});
+
+// PUT /workflow — replace the whole definition in one save.
+// Body: { statuses: [{ name, isActive, enterHooks }], transitions: [{ fromStatus, toStatus, hooks }] }
+// Status order is the array order. Built-in statuses can be deactivated but not
+// removed (other routes write them by name); custom ones can only be removed
+// while no work order sits in them.
+app.put('/workflow', authenticate, requirePermission('workflow.edit'), async (req, res) => {
+  const b = coerceBody(req);
+  const inStatuses = Array.isArray(b.statuses) ? b.statuses : [];
+  const inTransitions = Array.isArray(b.transitions) ? b.transitions : [];
+
+  const statuses = [];
+  const seen = new Set();
+  for (const raw of inStatuses) {
+    const name = String(raw?.name || '').replace(/\s+/g, ' ').trim();
+    if (!name) return res.status(400).json({ error: 'Every status needs a name.' });
+    if (name.length > 64) return res.status(400).json({ error: `Status name too long: "${name}".` });
+    // Reuse the canonical spelling for built-ins so "needs to be invoiced" can't fork one.
+    const canonical = STATUS_CANON.find((s) => statusKey(s) === statusKey(name)) || name;
+    if (seen.has(statusKey(canonical))) return res.status(400).json({ error: `Duplicate status "${canonical}".` });
+    seen.add(statusKey(canonical));
+    statuses.push({
+      name: canonical,
+      sortOrder: statuses.length + 1,
+      isActive: raw.isActive !== false && raw.isActive !== 0,
+      enterHooks: parseWorkflowHooks(raw.enterHooks),
+    });
+  }
+  const missingBuiltIns = STATUS_CANON.filter((s) => !seen.has(statusKey(s)));
+  if (missingBuiltIns.length) {
+    return res.status(400).json({ error: `Built-in statuses can be deactivated but not removed: ${missingBuiltIns.join(', ')}.` });
+  }
+
+  const names = new Map(statuses.map((s) => [statusKey(s.name), s.name]));
+  const transitions = new Map();
+  for (const raw of inTransitions) {
+    const from = names.get(statusKey(raw?.fromStatus));
+    const to = names.get(statusKey(raw?.toStatus));
+    if (!from || !to) {
+      return res.status(400).json({ error: `Transition "${raw?.fromStatus}" → "${raw?.toStatus}" uses an unknown status.` });
+    }
+    if (from === to) continue;
+    transitions.set(transitionKey(from, to), { fromStatus: from, toStatus: to, hooks: parseWorkflowHooks(raw.hooks) });
+  }
+
+  let conn;
+  try {
+    const removed = WORKFLOW.statuses.filter((s) => !names.has(statusKey(s.name))).map((s) => s.name);
+    if (removed.length) {
+      const [inUse] = await db.query(
+        `SELECT status, COUNT(*) AS n FROM work_orders WHERE status IN (${removed.map(() => '?').join(',')}) GROUP BY status`,
+        removed
+      );
+      if (inUse.length) {
+        const list = inUse.map((r) => `${r.status} (${r.n})`).join(', ');
+        return res.status(409).json({ error: `Still used by work orders — deactivate instead: ${list}.` });
+      }
+    }
 
-    const [[prevRow]] = await db.execute('SELECT status FROM work_orders WHERE id = ?', [Number(req.params.id)]);
-    await db.execute('UPDATE work_orders SET status = ? WHERE id = ?', [c, Number(req.params.id)]);
-    await stampEstimateSentIfWaiting(Number(req.params.id), c);
-    await maybeLogApprovalNote(Number(req.params.id), prevRow?.status, c, req.user?.username || 'System');
-    await stampStatusChangedAt(Number(req.params.id), prevRow?.status, c);
-    const [[updated]] = await db.execute('SELECT * FROM work_orders WHERE id = ?', [Number(req.params.id)]);
-    if (!updated) return res.status(404).json({ error: 'Not found.' });
+    conn = await db.getConnection();
+    await conn.beginTransaction();
+    if (removed.length) {
+      await conn.query(`DELETE FROM work_order_statuses WHERE name IN (${removed.map(() => '?').join(',')})`, removed);
+    }
+    for (const s of statuses) {
+      await conn.query(
+        `INSERT INTO work_order_statuses (name, sortOrder, isActive, enterHooks) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE sortOrder = VALUES(sortOrder), isActive = VALUES(isActive), enterHooks = VALUES(enterHooks)`,
+        [s.name, s.sortOrder, s.isActive ? 1 : 0, JSON.stringify(s.enterHooks)]
+      );
+    }
+    await conn.query('DELETE FROM work_order_transitions');
+    for (const t of transitions.values()) {
+      await conn.query(
+        'INSERT INTO work_order_transitions (fromStatus, toStatus, hooks) VALUES (?, ?, ?)',
+        [t.fromStatus, t.toStatus, JSON.stringify(t.hooks)]
+      );
+    }
+    await conn.commit();
 
-    res.json({ ...updated, status: displayStatusOrDefault(updated.status) });
+    await loadStatusWorkflow();
+    console.log(`[Workflow] saved by ${req.user?.username || '?'}: ${statuses.length} statuses, ${transitions.size} transitions`);
+    res.json(workflowPayload());
   } catch (err) {
-    console.error('Work-order status update error:', err);
-    res.status(500).json({ error: 'Failed to update status.' });
+    if (conn) { try { await conn.rollback(); } catch {} }
+    console.error('Workflow save error:', err);
+    res.status(500).json({ error: 'Failed to save workflow.' });
+  } finally {
+    if (conn) { try { conn.release(); } catch {} }
   }
 });
 
@@ -8399,7 +14090,7 @@ async function deleteStoredFileByKey(rawKey) {
 // Work orders scheduled that day but NOT in orderedIds are left alone rather
 // than nulled — a client sending a filtered subset should never silently wipe
 // the rest of the day's sequence. Unsequenced rows are NULL and sort last.
-app.put('/work-orders/day-order', authenticate, async (req, res) => {
+app.put('/work-orders/day-order', authenticate, requirePermission('workOrders.edit'), async (req, res) => {
   const b = coerceBody(req);
   const date = String(b?.date || '').trim();
   const rawIds = Array.isArray(b?.orderedIds) ? b.orderedIds : [];
@@ -8468,9 +14159,7 @@ app.put('/work-orders/day-order', authenticate, async (req, res) => {
 // Optional: pass ?deleteFiles=1 to also delete stored uploads linked to the work order
 app.delete(
   '/work-orders/:id',
-  authenticate,
-  authorize('admin', 'dispatcher'),
-  requireNumericParam('id'),
+  authenticate, requirePermission('workOrders.delete'), requireNumericParam('id'),
   async (req, res) => {
     const wid = Number(req.params.id);
     const deleteFiles = String(req.query.deleteFiles || '').trim() === '1';
@@ -8527,8 +14216,7 @@ app.delete(
 // Body: { key: "uploads/Photo-12345-2025-02-05-1703345678901.jpg" }
 app.delete(
   '/work-orders/:id/attachments',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'),
   async (req, res) => {
     const wid = Number(req.params.id);
     const key = String(req.body?.key || '').trim();
@@ -8591,7 +14279,7 @@ app.get('/work-orders/:id/pos', authenticate, requireNumericParam('id'), async (
 });
 
 // DELETE /work-orders/:id/pos/:poId — delete a specific PO
-app.delete('/work-orders/:id/pos/:poId', authenticate, requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
+app.delete('/work-orders/:id/pos/:poId', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const poId = Number(req.params.poId);
@@ -8613,7 +14301,7 @@ app.delete('/work-orders/:id/pos/:poId', authenticate, requireNumericParam('id')
 });
 
 // PUT /work-orders/:id/pos/:poId/mark-picked-up — mark a specific PO as picked up
-app.put('/work-orders/:id/pos/:poId/mark-picked-up', authenticate, requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
+app.put('/work-orders/:id/pos/:poId/mark-picked-up', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), requireNumericParam('poId'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const poId = Number(req.params.poId);
@@ -8657,7 +14345,7 @@ app.get('/work-orders/:id/followup-calls', authenticate, requireNumericParam('id
 });
 
 // POST /work-orders/:id/followup-calls — log a new follow-up call attempt
-app.post('/work-orders/:id/followup-calls', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/followup-calls', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -8692,7 +14380,7 @@ function firstNameFrom(name) {
 }
 
 // GET /work-orders/:id/estimate-send/draft — prefilled compose data (no send)
-app.get('/work-orders/:id/estimate-send/draft', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/estimate-send/draft', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [[wo]] = await db.query(
@@ -8726,7 +14414,7 @@ First Class Glass & Mirror, Inc.
       [wid]
     );
     const backendBase = `${req.headers['x-forwarded-proto'] || req.protocol || 'https'}://${req.get('host')}`;
-    const fileUrl = (k) => `${backendBase}/files?key=${encodeURIComponent(k)}`;
+    const fileUrl = (k) => signedFileUrl(k, req.user.id, backendBase);
 
     const estimatePdfs = estPdfs.map((p) => ({
       id: p.id,
@@ -8765,7 +14453,7 @@ First Class Glass & Mirror, Inc.
 });
 
 // POST /work-orders/:id/estimate-send — send the (edited) estimate email
-app.post('/work-orders/:id/estimate-send', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/estimate-send', authenticate, requirePermission('estimates.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -8931,7 +14619,7 @@ app.post('/work-orders/:id/estimate-send', authenticate, requireNumericParam('id
 });
 
 // GET /work-orders/:id/estimate-sends — send history (for "Sent to X on DATE" on cards)
-app.get('/work-orders/:id/estimate-sends', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/estimate-sends', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const [rows] = await db.query(
       'SELECT id, workOrderId, estimatePdfId, sentTo, sentBy, attachmentCount, sentAt FROM estimate_sends WHERE workOrderId = ? ORDER BY sentAt DESC, id DESC',
@@ -8947,7 +14635,7 @@ app.get('/work-orders/:id/estimate-sends', authenticate, requireNumericParam('id
 // ─── SEND INVOICE TO CUSTOMER (mirrors estimate-send; CRM-sent, no pay link) ──
 
 // GET /work-orders/:id/invoice-send/draft — prefilled compose data (no send)
-app.get('/work-orders/:id/invoice-send/draft', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/invoice-send/draft', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [[wo]] = await db.query(
@@ -8983,7 +14671,7 @@ First Class Glass & Mirror, Inc.
       [wid]
     );
     const backendBase = `${req.headers['x-forwarded-proto'] || req.protocol || 'https'}://${req.get('host')}`;
-    const fileUrl = (k) => `${backendBase}/files?key=${encodeURIComponent(k)}`;
+    const fileUrl = (k) => signedFileUrl(k, req.user.id, backendBase);
     const invoicePdfs = invRows.map((p) => ({
       id: p.id,
       number: p.qbDocNumber || p.invoiceNumber || String(p.id),
@@ -9016,7 +14704,7 @@ First Class Glass & Mirror, Inc.
 });
 
 // POST /work-orders/:id/invoice-send — send the (edited) invoice email
-app.post('/work-orders/:id/invoice-send', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/invoice-send', authenticate, requirePermission('invoices.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -9165,7 +14853,7 @@ app.post('/work-orders/:id/invoice-send', authenticate, requireNumericParam('id'
 });
 
 // GET /work-orders/:id/invoice-sends — send history (for "Sent to X on DATE" on cards)
-app.get('/work-orders/:id/invoice-sends', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/invoice-sends', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const [rows] = await db.query(
       'SELECT id, workOrderId, invoiceId, sentTo, sentBy, attachmentCount, sentAt FROM invoice_sends WHERE workOrderId = ? ORDER BY sentAt DESC, id DESC',
@@ -9178,14 +14866,14 @@ app.get('/work-orders/:id/invoice-sends', authenticate, requireNumericParam('id'
   }
 });
 
-app.get('/work-orders/:id/estimate-pdfs', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/estimate-pdfs', authenticate, requirePermission('estimates.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [rows] = await db.query(
       'SELECT id, workOrderId, filename, originalName, status, qbDocNumber, amount, docDate, uploadedAt FROM work_order_estimate_pdfs WHERE workOrderId = ? ORDER BY uploadedAt ASC, id ASC',
       [wid]
     );
-    res.json(rows);
+    res.json(rows.map((r) => ({ ...r, url: signedFileUrl(r.filename, req.user.id) })));
   } catch (err) {
     console.error('Estimate PDFs list error:', err);
     res.status(500).json({ error: 'Failed to fetch estimate PDFs for this work order.' });
@@ -9195,8 +14883,7 @@ app.get('/work-orders/:id/estimate-pdfs', authenticate, requireNumericParam('id'
 // POST /work-orders/:id/estimate-pdfs — upload a new estimate PDF (adds, does not replace)
 app.post(
   '/work-orders/:id/estimate-pdfs',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('estimates.edit'), requireNumericParam('id'),
   withMulter(upload.any()),
   async (req, res) => {
     try {
@@ -9229,7 +14916,7 @@ app.post(
         'SELECT id, workOrderId, filename, originalName, status, qbDocNumber, amount, docDate, uploadedAt FROM work_order_estimate_pdfs WHERE id = ?',
         [result.insertId]
       );
-      res.status(201).json(row);
+      res.status(201).json({ ...row, url: signedFileUrl(row.filename, req.user.id) });
     } catch (err) {
       console.error('Estimate PDF upload error:', err);
       res.status(500).json({ error: 'Failed to upload estimate PDF.' });
@@ -9240,8 +14927,7 @@ app.post(
 // DELETE /work-orders/:id/estimate-pdfs/:pdfId — remove one estimate PDF
 app.delete(
   '/work-orders/:id/estimate-pdfs/:pdfId',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('estimates.edit'), requireNumericParam('id'),
   requireNumericParam('pdfId'),
   async (req, res) => {
     try {
@@ -9271,8 +14957,7 @@ app.delete(
 // PUT /work-orders/:id/estimate-pdfs/:pdfId/status — update approval status
 app.put(
   '/work-orders/:id/estimate-pdfs/:pdfId/status',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('estimates.edit'), requireNumericParam('id'),
   requireNumericParam('pdfId'),
   async (req, res) => {
     try {
@@ -9306,8 +14991,7 @@ app.put(
 // POST /work-orders/:id/invoices/upload — create an invoice from a QB PDF + fields
 app.post(
   '/work-orders/:id/invoices/upload',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   withMulter(upload.any()),
   async (req, res) => {
     try {
@@ -9333,7 +15017,7 @@ app.post(
       if (!customerId) return res.status(400).json({ error: 'Could not resolve a customer for this work order.' });
 
       const qbDocNumber = body.qbDocNumber ? String(body.qbDocNumber).trim() : '';
-      const invoiceNumber = qbDocNumber || (await getNextInvoiceNumber());
+      const invoiceNumber = qbDocNumber || (await nextDocumentNumber('invoice'));
       const total = body.amount !== undefined && body.amount !== '' && Number.isFinite(Number(body.amount)) ? Number(body.amount) : 0;
       const amountPaid = body.amountPaid !== undefined && body.amountPaid !== '' && Number.isFinite(Number(body.amountPaid)) ? Number(body.amountPaid) : 0;
       const allowedStatus = ['Sent', 'Partial', 'Paid'];
@@ -9342,7 +15026,8 @@ app.post(
       const issueDate = docDate || new Date().toISOString().split('T')[0];
       const balanceDue = Math.max(0, total - amountPaid);
       const termsDays = (body.termsDays != null && body.termsDays !== '' && Number.isFinite(Number(body.termsDays))) ? Number(body.termsDays) : null;
-      const dueDate = computeDueDate(issueDate, termsDays, body.dueDate);
+      const { netDays } = await collectionPolicyForCustomer(customerId);
+      const dueDate = computeDueDate(issueDate, termsDays, body.dueDate, netDays);
 
       const [result] = await db.query(
         `INSERT INTO invoices
@@ -9356,6 +15041,7 @@ app.post(
       const [[row]] = await db.query('SELECT * FROM invoices WHERE id = ?', [result.insertId]);
       res.status(201).json(row);
     } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'An invoice with that number already exists.' });
       console.error('Invoice upload error:', err);
       res.status(500).json({ error: 'Failed to upload invoice.' });
     }
@@ -9365,8 +15051,7 @@ app.post(
 // PUT /work-orders/:id/invoices/:invId/qb — edit captured QB invoice fields
 app.put(
   '/work-orders/:id/invoices/:invId/qb',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   requireNumericParam('invId'),
   async (req, res) => {
     try {
@@ -9404,7 +15089,8 @@ app.put(
         const dd = /^\d{4}-\d{2}-\d{2}/.test(String(b.dueDate)) ? String(b.dueDate).slice(0, 10) : null;
         if (dd) { sets.push('dueDate=?'); params.push(dd); }
       } else if (b.docDate !== undefined || b.termsDays !== undefined) {
-        const newDue = computeDueDate(effIssueDate, effTermsDays, null);
+        const { netDays } = await collectionPolicyForCustomer(inv.customerId);
+        const newDue = computeDueDate(effIssueDate, effTermsDays, null, netDays);
         if (newDue) { sets.push('dueDate=?'); params.push(newDue); }
       }
 
@@ -9416,6 +15102,7 @@ app.put(
       const [[row]] = await db.query('SELECT * FROM invoices WHERE id = ?', [invId]);
       res.json(row);
     } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'An invoice with that number already exists.' });
       console.error('Invoice QB update error:', err);
       res.status(500).json({ error: 'Failed to update invoice.' });
     }
@@ -9425,8 +15112,7 @@ app.put(
 // DELETE /work-orders/:id/invoices/:invId — remove invoice + stored PDF
 app.delete(
   '/work-orders/:id/invoices/:invId',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   requireNumericParam('invId'),
   async (req, res) => {
     try {
@@ -9489,14 +15175,14 @@ function normalizeQbFields(body, existing = {}) {
 }
 
 // GET /work-orders/:id/qb-documents — list all QB docs for a WO
-app.get('/work-orders/:id/qb-documents', authenticate, requireNumericParam('id'), async (req, res) => {
+app.get('/work-orders/:id/qb-documents', authenticate, requirePermission('invoices.view'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [rows] = await db.query(
       'SELECT id, workOrderId, docType, qbDocNumber, amount, docDate, status, amountPaid, pdfPath, notes, createdAt FROM qb_documents WHERE workOrderId = ? ORDER BY docDate DESC, id DESC',
       [wid]
     );
-    res.json(rows);
+    res.json(rows.map((r) => ({ ...r, pdfUrl: signedFileUrl(r.pdfPath, req.user.id) })));
   } catch (err) {
     console.error('QB documents list error:', err);
     res.status(500).json({ error: 'Failed to fetch QuickBooks documents.' });
@@ -9506,8 +15192,7 @@ app.get('/work-orders/:id/qb-documents', authenticate, requireNumericParam('id')
 // POST /work-orders/:id/qb-documents — attach a QB invoice/estimate PDF + capture fields
 app.post(
   '/work-orders/:id/qb-documents',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   withMulter(upload.any()),
   async (req, res) => {
     try {
@@ -9544,11 +15229,13 @@ app.post(
         ]
       );
 
+      if (pdfPath) await logDocumentStored(req, pdfPath, 'uploaded');
+
       const [[row]] = await db.query(
         'SELECT id, workOrderId, docType, qbDocNumber, amount, docDate, status, amountPaid, pdfPath, notes, createdAt FROM qb_documents WHERE id = ?',
         [result.insertId]
       );
-      res.status(201).json(row);
+      res.status(201).json({ ...row, pdfUrl: signedFileUrl(row.pdfPath, req.user.id) });
     } catch (err) {
       console.error('QB document upload error:', err);
       res.status(500).json({ error: 'Failed to attach QuickBooks document.' });
@@ -9559,8 +15246,7 @@ app.post(
 // PUT /work-orders/:id/qb-documents/:docId — update fields (mark Paid, amountPaid, etc.)
 app.put(
   '/work-orders/:id/qb-documents/:docId',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   requireNumericParam('docId'),
   async (req, res) => {
     try {
@@ -9588,7 +15274,7 @@ app.put(
         'SELECT id, workOrderId, docType, qbDocNumber, amount, docDate, status, amountPaid, pdfPath, notes, createdAt FROM qb_documents WHERE id = ?',
         [docId]
       );
-      res.json(row);
+      res.json({ ...row, pdfUrl: signedFileUrl(row.pdfPath, req.user.id) });
     } catch (err) {
       console.error('QB document update error:', err);
       res.status(500).json({ error: 'Failed to update QuickBooks document.' });
@@ -9599,8 +15285,7 @@ app.put(
 // DELETE /work-orders/:id/qb-documents/:docId — remove row + stored PDF
 app.delete(
   '/work-orders/:id/qb-documents/:docId',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('invoices.edit'), requireNumericParam('id'),
   requireNumericParam('docId'),
   async (req, res) => {
     try {
@@ -9981,8 +15666,7 @@ async function resolveSignOffDoc(wid, wo) {
 // signedPdfPath, status -> Signed). Mirrors how a signed sign-off sheet is attached.
 app.post(
   '/work-orders/:id/residential-contract/upload-signed',
-  authenticate,
-  requireNumericParam('id'),
+  authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'),
   withMulter(upload.any()),
   async (req, res) => {
     try {
@@ -10036,7 +15720,7 @@ app.get('/work-orders/:id/residential-contract', authenticate, requireNumericPar
 
 // PUT /work-orders/:id/residential-contract — upsert draft fields. Signed contracts
 // are read-only; sending/signing is handled by dedicated routes (Phase 3).
-app.put('/work-orders/:id/residential-contract', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/work-orders/:id/residential-contract', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
 
@@ -10114,7 +15798,7 @@ app.put('/work-orders/:id/residential-contract', authenticate, requireNumericPar
 });
 
 // POST /work-orders/:id/residential-contract/generate — (re)build the contract PDF
-app.post('/work-orders/:id/residential-contract/generate', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/residential-contract/generate', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = (req.body && typeof req.body === 'object') ? req.body : {};
@@ -10131,7 +15815,7 @@ app.post('/work-orders/:id/residential-contract/generate', authenticate, require
 
 // POST /work-orders/:id/residential-contract/sign-infield (authenticate)
 // In-field signing by the technician (no token — the tech is authenticated).
-app.post('/work-orders/:id/residential-contract/sign-infield', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/residential-contract/sign-infield', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -10150,8 +15834,9 @@ app.post('/work-orders/:id/residential-contract/sign-infield', authenticate, req
       [signerName, signatureData, wid]
     );
     const signedPdfPath = await renderSignedResidentialContractPdf(wid);
+    const depositInvoiceId = await createDepositInvoiceOnSign(wid);
     const [[row]] = await db.query('SELECT * FROM residential_contracts WHERE workOrderId = ? LIMIT 1', [wid]);
-    res.json({ ok: true, signedPdfPath, contract: row });
+    res.json({ ok: true, signedPdfPath, contract: row, depositInvoiceId });
   } catch (err) {
     console.error('Residential contract sign-infield error:', err);
     res.status(500).json({ error: err.message || 'Failed to sign contract.' });
@@ -10161,7 +15846,7 @@ app.post('/work-orders/:id/residential-contract/sign-infield', authenticate, req
 // POST /work-orders/:id/residential-contract/send (authenticate)
 // Email-for-signature: ensure a generated PDF exists, mint a public 'contract'
 // token (DELETE-before-INSERT dup prevention), email the customer the sign link.
-app.post('/work-orders/:id/residential-contract/send', authenticate, requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/residential-contract/send', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const b = coerceBody(req);
@@ -10313,7 +15998,7 @@ app.get('/purchase-orders', authenticate, async (req, res) => {
 });
 
 // PUT /purchase-orders/:id/mark-picked-up   (id = work_order_pos.id)
-app.put('/purchase-orders/:id/mark-picked-up', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/purchase-orders/:id/mark-picked-up', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const poId = Number(req.params.id);
 
@@ -10421,7 +16106,7 @@ app.get('/supplier-pickups/suppliers', authenticate, async (req, res) => {
 });
 
 // POST /supplier-pickups  { supplier, scheduledDate, notes, assignedTech }
-app.post('/supplier-pickups', authenticate, async (req, res) => {
+app.post('/supplier-pickups', authenticate, requirePermission('workOrders.edit'), async (req, res) => {
   try {
     const supplier = String(req.body?.supplier || '').trim();
     const scheduledDateRaw = String(req.body?.scheduledDate || '').trim();
@@ -10447,7 +16132,7 @@ app.post('/supplier-pickups', authenticate, async (req, res) => {
 });
 
 // PUT /supplier-pickups/:id  (used for drag-and-drop reschedule; partial update)
-app.put('/supplier-pickups/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.put('/supplier-pickups/:id', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     const fields = [];
@@ -10488,7 +16173,7 @@ app.put('/supplier-pickups/:id', authenticate, requireNumericParam('id'), async
 });
 
 // DELETE /supplier-pickups/:id
-app.delete('/supplier-pickups/:id', authenticate, requireNumericParam('id'), async (req, res) => {
+app.delete('/supplier-pickups/:id', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     const [result] = await db.execute('DELETE FROM supplier_pickups WHERE id = ?', [id]);
@@ -11364,76 +17049,878 @@ app.post('/route-builder/find-nearby', authenticate, async (req, res) => {
       tiers[key].sort((a, b) => a.driveMinutes - b.driveMinutes);
     }
 
-    const totalInTiers = tiers.closest.length + tiers.near.length + tiers.moderate.length + tiers.further.length;
-    const beyondMax = results.length - totalInTiers;
-    console.log(`[Route Builder] Tiers: closest=${tiers.closest.length}, near=${tiers.near.length}, moderate=${tiers.moderate.length}, further=${tiers.further.length}`);
-    if (beyondMax > 0) console.log(`[Route Builder] ${beyondMax} results beyond ${maxMinutes} min max`);
-    console.log('[Route Builder] ===== Find Nearby Complete =====');
-
-    let warning;
-    if (method === 'haversine_estimate') {
-      warning = 'Using estimated drive times (straight-line distance). Actual drive times may differ.';
-    } else if (distanceMatrixFailed && results.length > 0) {
-      warning = 'Some Distance Matrix API calls failed. Results may be incomplete.';
+    const totalInTiers = tiers.closest.length + tiers.near.length + tiers.moderate.length + tiers.further.length;
+    const beyondMax = results.length - totalInTiers;
+    console.log(`[Route Builder] Tiers: closest=${tiers.closest.length}, near=${tiers.near.length}, moderate=${tiers.moderate.length}, further=${tiers.further.length}`);
+    if (beyondMax > 0) console.log(`[Route Builder] ${beyondMax} results beyond ${maxMinutes} min max`);
+    console.log('[Route Builder] ===== Find Nearby Complete =====');
+
+    let warning;
+    if (method === 'haversine_estimate') {
+      warning = 'Using estimated drive times (straight-line distance). Actual drive times may differ.';
+    } else if (distanceMatrixFailed && results.length > 0) {
+      warning = 'Some Distance Matrix API calls failed. Results may be incomplete.';
+    }
+
+    res.json({
+      ok: true, anchor: anchorInfo, tiers,
+      totalCandidates: withAddr.length, skippedNoAddress,
+      maxDriveMinutes: maxMinutes, method,
+      warning,
+    });
+  } catch (err) {
+    console.error('[Route Builder] Error in find-nearby:', err);
+    res.status(500).json({ error: 'Failed to find nearby work orders.' });
+  }
+});
+
+// POST /route-builder/confirm-route — bulk schedule work orders
+app.post('/route-builder/confirm-route', authenticate, requirePermission('workOrders.edit'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const ids = Array.isArray(b.workOrderIds) ? b.workOrderIds.map(Number).filter(n => n > 0) : [];
+    if (ids.length === 0) return res.status(400).json({ error: 'No work order IDs provided.' });
+
+    const rawDate = String(b.scheduledDate || '').trim();
+    if (!rawDate) return res.status(400).json({ error: 'scheduledDate is required.' });
+
+    const scheduledDate = parseDateTimeFlexible(rawDate);
+    if (!scheduledDate) return res.status(400).json({ error: 'Invalid scheduledDate format.' });
+
+    const scheduledEnd = addMinutesToSql(scheduledDate, DEFAULT_WINDOW);
+    const assignedTo = b.assignedTo ? Number(b.assignedTo) : null;
+
+    const updated = [];
+    const skipped = [];
+
+    for (const id of ids) {
+      const [[current]] = await db.execute('SELECT id, status FROM work_orders WHERE id = ?', [id]);
+      if (!current) { skipped.push({ id, reason: 'not found' }); continue; }
+
+      await db.execute(
+        `UPDATE work_orders SET status = 'Scheduled', scheduledDate = ?, scheduledEnd = ?, assignedTo = ? WHERE id = ?`,
+        [scheduledDate, scheduledEnd, assignedTo, id]
+      );
+      await applyStatusTransition(id, current.status, 'Scheduled', req.user?.username || 'System', 'route-builder');
+      updated.push(id);
+    }
+
+    // Fetch updated rows
+    let workOrders = [];
+    if (updated.length > 0) {
+      const placeholders = updated.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT id, workOrderNumber, customer, siteAddress, siteLocation, status, scheduledDate, assignedTo
+         FROM work_orders WHERE id IN (${placeholders})`, updated
+      );
+      workOrders = rows;
+    }
+
+    res.json({ ok: true, updated: updated.length, skipped, scheduledDate, assignedTo, workOrders });
+  } catch (err) {
+    console.error('Error in confirm-route:', err);
+    res.status(500).json({ error: 'Failed to confirm route.' });
+  }
+});
+
+// ─── INGEST REVIEW QUEUE ────────────────────────────────────────────────────
+// Emails the ingest worker (ingest/email_ingest_worker.js) could not turn into a
+// work order on its own: extraction scored below CONFIDENCE_MIN, the create call
+// failed, or the message blew up mid-parse. Each row keeps the raw email, what
+// the parser pulled out, the score and the stored attachments, until a
+// dispatcher approves it (creating the WO via insertWorkOrder, exactly like
+// POST /work-orders) or rejects it on the Inbox Review page.
+const INGEST_REVIEW_REASONS = ['low-confidence', 'create-failed', 'error'];
+
+// Fields a reviewer may correct before approving.
+const INGEST_EDITABLE_FIELDS = [
+  'customer', 'billingAddress', 'siteLocation', 'siteAddress', 'problemDescription',
+  'workOrderNumber', 'poNumber', 'customerPhone', 'customerEmail',
+];
+
+async function ensureIngestReviewTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ingest_review_queue (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+        reason VARCHAR(30) NOT NULL,
+        vendor VARCHAR(50) NULL,
+        fromAddress VARCHAR(255) NULL,
+        subject VARCHAR(500) NULL,
+        messageId VARCHAR(255) NULL,
+        receivedAt DATETIME NULL,
+        score DECIMAL(4,3) NULL,
+        error TEXT NULL,
+        payload TEXT NULL,
+        parsedFields TEXT NULL,
+        attachments TEXT NULL,
+        rawEmail MEDIUMTEXT NULL,
+        workOrderId INT NULL,
+        reviewedBy VARCHAR(100) NULL,
+        reviewedAt DATETIME NULL,
+        rejectReason VARCHAR(500) NULL,
+        createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_irq_status (status, createdAt),
+        INDEX idx_irq_message (messageId)
+      )
+    `);
+    console.log('[Ingest Review] ingest_review_queue table ready');
+  } catch (e) {
+    console.warn('[Ingest Review] Could not create ingest_review_queue:', e.message);
+  }
+}
+
+ensureIngestReviewTable().catch(() => {});
+
+function parseJsonColumn(raw, fallback) {
+  if (raw == null || raw === '') return fallback;
+  if (typeof raw !== 'string') return raw;
+  try { return JSON.parse(raw); } catch { return fallback; }
+}
+
+function shapeIngestReview(row, uid, { withRaw = false } = {}) {
+  const attachments = parseJsonColumn(row.attachments, []);
+  const out = {
+    ...row,
+    score: row.score == null ? null : Number(row.score),
+    payload: parseJsonColumn(row.payload, {}),
+    parsedFields: parseJsonColumn(row.parsedFields, {}),
+    attachments: attachments.map((a) => ({ ...a, url: signedFileUrl(a.key, uid) })),
+  };
+  if (!withRaw) delete out.rawEmail;
+  return out;
+}
+
+// POST /ingest/review — the worker queues an email it couldn't create a WO from.
+// Multipart: fields + the email's PDFs/images (poPdf = the PO, photo = others).
+app.post('/ingest/review', authenticate, requirePermission('ingest.review'), withMulter(upload.any()), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const reason = INGEST_REVIEW_REASONS.includes(b.reason) ? b.reason : 'error';
+    const messageId = String(b.messageId || '').trim().slice(0, 255) || null;
+
+    // A worker retry of the same message updates nothing and re-queues nothing.
+    if (messageId) {
+      const [[dup]] = await db.query(
+        "SELECT id FROM ingest_review_queue WHERE messageId = ? AND status = 'Pending' LIMIT 1",
+        [messageId]
+      );
+      if (dup) return res.json({ id: dup.id, duplicate: true });
+    }
+
+    const attachments = (req.files || []).map((f) => ({
+      key: fileKey(f),
+      filename: f.originalname || null,
+      kind: FIELD_SETS.po.has(norm(f.fieldname)) ? 'po' : (isPdf(f) ? 'pdf' : 'image'),
+      contentType: f.mimetype || null,
+      size: f.size || null,
+    }));
+    const score = Number(b.score);
+    const receivedAt = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(b.receivedAt || '')) ? b.receivedAt : null;
+
+    const [r] = await db.query(
+      `INSERT INTO ingest_review_queue
+         (reason, vendor, fromAddress, subject, messageId, receivedAt, score, error, payload, parsedFields, attachments, rawEmail)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        reason,
+        String(b.vendor || '').slice(0, 50) || null,
+        String(b.fromAddress || '').slice(0, 255) || null,
+        String(b.subject || '').slice(0, 500) || null,
+        messageId,
+        receivedAt || null,
+        Number.isFinite(score) ? score : null,
+        b.error ? String(b.error) : null,
+        JSON.stringify(parseJsonColumn(b.payload, {})),
+        JSON.stringify(parseJsonColumn(b.parsedFields, {})),
+        JSON.stringify(attachments),
+        b.rawEmail ? String(b.rawEmail) : null,
+      ]
+    );
+    res.status(201).json({ id: r.insertId });
+  } catch (err) {
+    console.error('Ingest review enqueue error:', err);
+    res.status(500).json({ error: 'Failed to queue email for review.' });
+  }
+});
+
+// GET /ingest/review — queue list (?status=Pending|Approved|Rejected|all) plus counts
+app.get('/ingest/review', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'Pending');
+    const where = status === 'all' ? '' : 'WHERE status = ?';
+    const [rows] = await db.query(
+      `SELECT id, status, reason, vendor, fromAddress, subject, messageId, receivedAt, score, error,
+              payload, parsedFields, attachments, workOrderId, reviewedBy, reviewedAt, rejectReason, createdAt
+         FROM ingest_review_queue ${where}
+        ORDER BY createdAt DESC, id DESC
+        LIMIT 500`,
+      status === 'all' ? [] : [status]
+    );
+    const [countRows] = await db.query('SELECT status, COUNT(*) AS n FROM ingest_review_queue GROUP BY status');
+    const counts = {};
+    for (const c of countRows) counts[c.status] = Number(c.n);
+    res.json({ items: rows.map((r) => shapeIngestReview(r, req.user.id)), counts });
+  } catch (err) {
+    console.error('Ingest review list error:', err);
+    res.status(500).json({ error: 'Failed to load the review queue.' });
+  }
+});
+
+// GET /ingest/review/:id — one item including the raw email
+app.get('/ingest/review/:id', authenticate, requirePermission('ingest.review'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const [[row]] = await db.query('SELECT * FROM ingest_review_queue WHERE id = ?', [Number(req.params.id)]);
+    if (!row) return res.status(404).json({ error: 'Review item not found.' });
+    res.json(shapeIngestReview(row, req.user.id, { withRaw: true }));
+  } catch (err) {
+    console.error('Ingest review get error:', err);
+    res.status(500).json({ error: 'Failed to load review item.' });
+  }
+});
+
+// POST /ingest/review/:id/approve — create the WO from the (corrected) fields.
+// 409 when a WO with the same WO/PO number exists, unless allowDuplicate is set.
+app.post('/ingest/review/:id/approve', authenticate, requirePermission('ingest.review'), requireNumericParam('id'), async (req, res) => {
+  const id = Number(req.params.id);
+  const who = req.user?.username || 'System';
+  try {
+    const b = coerceBody(req);
+    const [[row]] = await db.query('SELECT * FROM ingest_review_queue WHERE id = ?', [id]);
+    if (!row) return res.status(404).json({ error: 'Review item not found.' });
+    if (row.status !== 'Pending') return res.status(409).json({ error: `Already ${row.status.toLowerCase()}.` });
+
+    const payload = parseJsonColumn(row.payload, {});
+    const edits = (b.fields && typeof b.fields === 'object') ? b.fields : {};
+    for (const f of INGEST_EDITABLE_FIELDS) {
+      if (edits[f] !== undefined) payload[f] = String(edits[f] ?? '').trim();
+    }
+    if (!payload.customer || !payload.billingAddress || !payload.problemDescription) {
+      return res.status(400).json({ error: 'Customer, billing address and problem description are required.' });
+    }
+
+    if (!b.allowDuplicate && (payload.workOrderNumber || payload.poNumber)) {
+      const [[existing]] = await db.query(
+        `SELECT id FROM work_orders
+          WHERE (? <> '' AND workOrderNumber = ?) OR (? <> '' AND poNumber = ?)
+          LIMIT 1`,
+        [payload.workOrderNumber || '', payload.workOrderNumber || '', payload.poNumber || '', payload.poNumber || '']
+      );
+      if (existing) {
+        return res.status(409).json({ error: 'A work order with this WO/PO number already exists.', workOrderId: existing.id });
+      }
+    }
+
+    // Claim the item first so a double-click can't create two work orders.
+    const [claim] = await db.query(
+      "UPDATE ingest_review_queue SET status = 'Approved', reviewedBy = ?, reviewedAt = NOW(), payload = ? WHERE id = ? AND status = 'Pending'",
+      [who, JSON.stringify(payload), id]
+    );
+    if (!claim.affectedRows) return res.status(409).json({ error: 'Already reviewed.' });
+
+    const attachments = parseJsonColumn(row.attachments, []);
+    const po = attachments.find((a) => a.kind === 'po');
+    let created;
+    try {
+      created = await insertWorkOrder(payload, {
+        poPdfPath: po ? po.key : null,
+        imageKeys: attachments.filter((a) => a.kind === 'image').map((a) => a.key),
+        extraPdfKeys: attachments.filter((a) => a.kind === 'pdf').map((a) => a.key),
+      }, who, 'ingest-review');
+    } catch (e) {
+      created = { status: 500, error: e.message };
+    }
+    if (created.error) {
+      await db.query(
+        "UPDATE ingest_review_queue SET status = 'Pending', reviewedBy = NULL, reviewedAt = NULL WHERE id = ?",
+        [id]
+      );
+      if (created.status === 500) throw new Error(created.error);
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    await db.query('UPDATE ingest_review_queue SET workOrderId = ? WHERE id = ?', [created.id, id]);
+    res.json({ id, status: 'Approved', workOrderId: created.id });
+  } catch (err) {
+    console.error('Ingest review approve error:', err);
+    res.status(500).json({ error: 'Failed to approve review item.' });
+  }
+});
+
+// POST /ingest/review/:id/reject — { reason? }
+app.post('/ingest/review/:id/reject', authenticate, requirePermission('ingest.review'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const reason = String(coerceBody(req).reason || '').trim().slice(0, 500) || null;
+    const [r] = await db.query(
+      "UPDATE ingest_review_queue SET status = 'Rejected', reviewedBy = ?, reviewedAt = NOW(), rejectReason = ? WHERE id = ? AND status = 'Pending'",
+      [req.user?.username || 'System', reason, id]
+    );
+    if (!r.affectedRows) {
+      const [[row]] = await db.query('SELECT status FROM ingest_review_queue WHERE id = ?', [id]);
+      if (!row) return res.status(404).json({ error: 'Review item not found.' });
+      return res.status(409).json({ error: `Already ${row.status.toLowerCase()}.` });
+    }
+    res.json({ id, status: 'Rejected' });
+  } catch (err) {
+    console.error('Ingest review reject error:', err);
+    res.status(500).json({ error: 'Failed to reject review item.' });
+  }
+});
+
+// ─── INGEST LEDGER (IMAP state) ─────────────────────────────────────────────
+// The ingest worker's memory of what it has read, so nothing depends on the
+// mailbox's \Seen flags or a time window. Per mailbox we keep the UIDVALIDITY and
+// the highest UID handled; per message a ledger row keyed by (mailbox,
+// uidValidity, uid) and matched on Message-ID, so a re-delivered message or a
+// UIDVALIDITY reset never creates a second work order. Failed messages are
+// retried with backoff until INGEST_MAX_ATTEMPTS, then go to Inbox Review.
+const INGEST_MAX_ATTEMPTS = Math.max(1, Number(process.env.INGEST_MAX_ATTEMPTS) || 5);
+const INGEST_RETRY_BASE_MINUTES = 5;    // 5, 10, 20, 40 … minutes between attempts
+const INGEST_CLAIM_TIMEOUT_MINUTES = 10; // a 'processing' row older than this was abandoned
+const INGEST_POLL_STALE_MINUTES = 15;    // /ingest/status flags a worker silent this long
+const INGEST_LEDGER_STATUSES = ['processing', 'processed', 'failed', 'skipped'];
+
+async function ensureIngestLedgerTables() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ingest_mailbox_state (
+        mailbox VARCHAR(100) PRIMARY KEY,
+        uidValidity BIGINT UNSIGNED NULL,
+        lastUid BIGINT UNSIGNED NOT NULL DEFAULT 0,
+        lastPollStartedAt DATETIME NULL,
+        lastPollAt DATETIME NULL,
+        lastPollFetched INT NULL,
+        lastPollError TEXT NULL,
+        lastSuccessAt DATETIME NULL,
+        uidValidityChangedAt DATETIME NULL
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ingest_message_ledger (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        mailbox VARCHAR(100) NOT NULL,
+        uidValidity BIGINT UNSIGNED NOT NULL,
+        uid BIGINT UNSIGNED NOT NULL,
+        messageId VARCHAR(255) NULL,
+        fromAddress VARCHAR(255) NULL,
+        subject VARCHAR(500) NULL,
+        receivedAt DATETIME NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing',
+        outcome VARCHAR(40) NULL,
+        workOrderId INT NULL,
+        reviewId INT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        lastError TEXT NULL,
+        nextRetryAt DATETIME NULL,
+        claimedAt DATETIME NULL,
+        finishedAt DATETIME NULL,
+        createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_iml_uid (mailbox, uidValidity, uid),
+        INDEX idx_iml_message (messageId),
+        INDEX idx_iml_status (status, nextRetryAt)
+      )
+    `);
+    console.log('[Ingest Ledger] ingest_mailbox_state / ingest_message_ledger tables ready');
+  } catch (e) {
+    console.warn('[Ingest Ledger] Could not create ledger tables:', e.message);
+  }
+}
+
+ensureIngestLedgerTables().catch(() => {});
+
+const ingestMailbox = (v) => String(v || 'INBOX').trim().slice(0, 100) || 'INBOX';
+// UIDVALIDITY / UIDs are unsigned 32-bit on the wire; keep them as digit strings
+const ingestUidValue = (v) => (/^\d{1,20}$/.test(String(v ?? '').trim()) ? String(v).trim() : null);
+
+// Moves the mailbox cursor past a UID that has been dealt with (processed, failed or skipped)
+async function advanceIngestCursor(mailbox, uidValidity, uid) {
+  await db.query(
+    'UPDATE ingest_mailbox_state SET lastUid = GREATEST(lastUid, ?) WHERE mailbox = ? AND uidValidity = ?',
+    [uid, mailbox, uidValidity]
+  );
+}
+
+// POST /ingest/poll/start — { mailbox, uidValidity } → { lastUid, backfill }
+// backfill: first run, or the server reset UIDVALIDITY (every UID changed), so
+// the worker scans by date and relies on Message-ID matching instead of lastUid.
+app.post('/ingest/poll/start', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const mailbox = ingestMailbox(b.mailbox);
+    const uidValidity = ingestUidValue(b.uidValidity);
+    if (!uidValidity) return res.status(400).json({ error: 'uidValidity is required.' });
+
+    const [[state]] = await db.query('SELECT * FROM ingest_mailbox_state WHERE mailbox = ?', [mailbox]);
+    if (!state) {
+      await db.query(
+        'INSERT INTO ingest_mailbox_state (mailbox, uidValidity, lastUid, lastPollStartedAt) VALUES (?, ?, 0, NOW())',
+        [mailbox, uidValidity]
+      );
+      return res.json({ mailbox, lastUid: 0, backfill: true, reason: 'first-run' });
+    }
+
+    if (String(state.uidValidity) !== uidValidity) {
+      await db.query(
+        `UPDATE ingest_mailbox_state
+            SET uidValidity = ?, lastUid = 0, uidValidityChangedAt = NOW(), lastPollStartedAt = NOW()
+          WHERE mailbox = ?`,
+        [uidValidity, mailbox]
+      );
+      // Old UIDs are meaningless now; the backfill finds those messages again by date.
+      await db.query(
+        `UPDATE ingest_message_ledger
+            SET status = 'skipped', outcome = 'uidvalidity-reset', nextRetryAt = NULL, finishedAt = NOW()
+          WHERE mailbox = ? AND uidValidity <> ? AND status IN ('processing', 'failed')`,
+        [mailbox, uidValidity]
+      );
+      console.warn(`[Ingest Ledger] UIDVALIDITY changed for ${mailbox} (${state.uidValidity} → ${uidValidity}); backfilling`);
+      return res.json({ mailbox, lastUid: 0, backfill: true, reason: 'uidvalidity-changed' });
+    }
+
+    await db.query('UPDATE ingest_mailbox_state SET lastPollStartedAt = NOW() WHERE mailbox = ?', [mailbox]);
+    res.json({ mailbox, lastUid: Number(state.lastUid) || 0, backfill: false });
+  } catch (err) {
+    console.error('Ingest poll start error:', err);
+    res.status(500).json({ error: 'Failed to start ingest poll.' });
+  }
+});
+
+// POST /ingest/poll/finish — { mailbox, fetched, error }
+app.post('/ingest/poll/finish', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const error = b.error ? String(b.error).slice(0, 2000) : null;
+    await db.query(
+      `UPDATE ingest_mailbox_state
+          SET lastPollAt = NOW(), lastPollFetched = ?, lastPollError = ?,
+              lastSuccessAt = IF(? IS NULL, NOW(), lastSuccessAt)
+        WHERE mailbox = ?`,
+      [Math.max(0, Number(b.fetched) || 0), error, error, ingestMailbox(b.mailbox)]
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Ingest poll finish error:', err);
+    res.status(500).json({ error: 'Failed to record ingest poll.' });
+  }
+});
+
+// POST /ingest/messages/claim — { mailbox, uidValidity, uid, messageId, fromAddress, subject, receivedAt }
+// → { action: 'process', id, attempt } or { action: 'skip', reason }. Claiming is
+// what makes a retry idempotent: a message already handled (under any UID) is skipped.
+app.post('/ingest/messages/claim', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const b = coerceBody(req);
+    const mailbox = ingestMailbox(b.mailbox);
+    const uidValidity = ingestUidValue(b.uidValidity);
+    const uid = ingestUidValue(b.uid);
+    if (!uidValidity || !uid) return res.status(400).json({ error: 'uidValidity and uid are required.' });
+    const messageId = String(b.messageId || '').trim().slice(0, 255) || null;
+    const receivedAt = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(b.receivedAt || '')) ? b.receivedAt : null;
+
+    const [[row]] = await db.query(
+      'SELECT * FROM ingest_message_ledger WHERE mailbox = ? AND uidValidity = ? AND uid = ?',
+      [mailbox, uidValidity, uid]
+    );
+
+    if (!row && messageId) {
+      const [[done]] = await db.query(
+        `SELECT id, status FROM ingest_message_ledger
+          WHERE messageId = ? AND (status = 'processed' OR (status = 'skipped' AND outcome <> 'uidvalidity-reset'))
+          LIMIT 1`,
+        [messageId]
+      );
+      if (done) {
+        // Record the duplicate under its own UID so the mailbox cursor moves past it
+        // instead of the worker re-fetching it on every poll.
+        await db.query(
+          `INSERT IGNORE INTO ingest_message_ledger
+             (mailbox, uidValidity, uid, messageId, fromAddress, subject, receivedAt, status, outcome, finishedAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'skipped', 'duplicate', NOW())`,
+          [
+            mailbox, uidValidity, uid, messageId,
+            String(b.fromAddress || '').slice(0, 255) || null,
+            String(b.subject || '').slice(0, 500) || null,
+            receivedAt,
+          ]
+        );
+        await advanceIngestCursor(mailbox, uidValidity, uid);
+        return res.json({ action: 'skip', reason: 'already-processed', id: done.id });
+      }
+    }
+
+    if (row) {
+      if (row.status === 'processed' || row.status === 'skipped') {
+        return res.json({ action: 'skip', reason: `already-${row.status}`, id: row.id });
+      }
+      if (row.status === 'processing') {
+        const [[{ fresh }]] = await db.query(
+          'SELECT claimedAt > NOW() - INTERVAL ? MINUTE AS fresh FROM ingest_message_ledger WHERE id = ?',
+          [INGEST_CLAIM_TIMEOUT_MINUTES, row.id]
+        );
+        if (fresh) return res.json({ action: 'skip', reason: 'in-progress', id: row.id });
+      }
+      if (row.status === 'failed') {
+        if (row.attempts >= INGEST_MAX_ATTEMPTS) return res.json({ action: 'skip', reason: 'gave-up', id: row.id });
+        const [[{ due }]] = await db.query(
+          'SELECT nextRetryAt IS NULL OR nextRetryAt <= NOW() AS due FROM ingest_message_ledger WHERE id = ?',
+          [row.id]
+        );
+        if (!due) return res.json({ action: 'skip', reason: 'retry-later', id: row.id });
+      }
+      await db.query(
+        "UPDATE ingest_message_ledger SET status = 'processing', attempts = attempts + 1, claimedAt = NOW() WHERE id = ?",
+        [row.id]
+      );
+      return res.json({ action: 'process', id: row.id, attempt: row.attempts + 1 });
+    }
+
+    try {
+      const [r] = await db.query(
+        `INSERT INTO ingest_message_ledger
+           (mailbox, uidValidity, uid, messageId, fromAddress, subject, receivedAt, status, attempts, claimedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'processing', 1, NOW())`,
+        [
+          mailbox, uidValidity, uid, messageId,
+          String(b.fromAddress || '').slice(0, 255) || null,
+          String(b.subject || '').slice(0, 500) || null,
+          receivedAt,
+        ]
+      );
+      res.json({ action: 'process', id: r.insertId, attempt: 1 });
+    } catch (e) {
+      if (e.code === 'ER_DUP_ENTRY') return res.json({ action: 'skip', reason: 'in-progress' });
+      throw e;
+    }
+  } catch (err) {
+    console.error('Ingest claim error:', err);
+    res.status(500).json({ error: 'Failed to claim message.' });
+  }
+});
+
+// POST /ingest/messages/:id/result — { status: processed|failed|skipped, outcome, workOrderId, reviewId, error }
+// → { final } (true when a failure used up the last attempt). Also moves the
+// mailbox cursor past this UID: failures come back through /ingest/messages/retry.
+app.post('/ingest/messages/:id/result', authenticate, requirePermission('ingest.review'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const b = coerceBody(req);
+    const status = String(b.status || '');
+    if (!INGEST_LEDGER_STATUSES.includes(status) || status === 'processing') {
+      return res.status(400).json({ error: 'status must be processed, failed or skipped.' });
     }
+    const [[row]] = await db.query('SELECT * FROM ingest_message_ledger WHERE id = ?', [id]);
+    if (!row) return res.status(404).json({ error: 'Ledger entry not found.' });
+
+    const final = status === 'failed' && row.attempts >= INGEST_MAX_ATTEMPTS;
+    const retryMinutes = INGEST_RETRY_BASE_MINUTES * 2 ** Math.max(0, row.attempts - 1);
+    await db.query(
+      `UPDATE ingest_message_ledger
+          SET status = ?, outcome = ?, workOrderId = ?, reviewId = ?, lastError = ?,
+              nextRetryAt = IF(? = 'failed' AND NOT ?, NOW() + INTERVAL ? MINUTE, NULL),
+              finishedAt = NOW()
+        WHERE id = ?`,
+      [
+        status,
+        String(b.outcome || '').slice(0, 40) || null,
+        Number(b.workOrderId) || null,
+        Number(b.reviewId) || null,
+        status === 'failed' ? String(b.error || 'Unknown error').slice(0, 2000) : null,
+        status, final, retryMinutes,
+        id,
+      ]
+    );
+    await advanceIngestCursor(row.mailbox, row.uidValidity, row.uid);
+    res.json({ id, status, final });
+  } catch (err) {
+    console.error('Ingest result error:', err);
+    res.status(500).json({ error: 'Failed to record message result.' });
+  }
+});
+
+// GET /ingest/messages/retry?mailbox=&uidValidity= — failed messages that are due
+// again, plus claims abandoned mid-message (worker crash or restart)
+app.get('/ingest/messages/retry', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const uidValidity = ingestUidValue(req.query.uidValidity);
+    if (!uidValidity) return res.status(400).json({ error: 'uidValidity is required.' });
+    const [rows] = await db.query(
+      `SELECT id, uid, messageId, attempts FROM ingest_message_ledger
+        WHERE mailbox = ? AND uidValidity = ?
+          AND ((status = 'failed' AND attempts < ? AND (nextRetryAt IS NULL OR nextRetryAt <= NOW()))
+            OR (status = 'processing' AND claimedAt < NOW() - INTERVAL ? MINUTE))
+        ORDER BY uid
+        LIMIT 200`,
+      [ingestMailbox(req.query.mailbox), uidValidity, INGEST_MAX_ATTEMPTS, INGEST_CLAIM_TIMEOUT_MINUTES]
+    );
+    res.json(rows.map((r) => ({ ...r, uid: Number(r.uid) })));
+  } catch (err) {
+    console.error('Ingest retry list error:', err);
+    res.status(500).json({ error: 'Failed to list retries.' });
+  }
+});
+
+// GET /ingest/status — worker health: last poll per mailbox, ledger counts, recent errors
+app.get('/ingest/status', authenticate, requirePermission('ingest.review'), async (req, res) => {
+  try {
+    const [mailboxes] = await db.query(
+      `SELECT mailbox, uidValidity, lastUid, lastPollStartedAt, lastPollAt, lastPollFetched, lastPollError,
+              lastSuccessAt, uidValidityChangedAt,
+              (lastPollAt IS NULL OR lastPollAt < NOW() - INTERVAL ? MINUTE) AS stale
+         FROM ingest_mailbox_state ORDER BY mailbox`,
+      [INGEST_POLL_STALE_MINUTES]
+    );
+    const [counts] = await db.query(
+      `SELECT status, COUNT(*) AS total, SUM(createdAt >= NOW() - INTERVAL 1 DAY) AS last24h
+         FROM ingest_message_ledger GROUP BY status`
+    );
+    const [[retries]] = await db.query(
+      `SELECT SUM(status = 'failed' AND attempts < ?) AS pendingRetry,
+              SUM(status = 'failed' AND attempts >= ?) AS gaveUp
+         FROM ingest_message_ledger`,
+      [INGEST_MAX_ATTEMPTS, INGEST_MAX_ATTEMPTS]
+    );
+    const [recentErrors] = await db.query(
+      `SELECT id, mailbox, uid, messageId, fromAddress, subject, attempts, lastError, nextRetryAt, finishedAt
+         FROM ingest_message_ledger
+        WHERE status = 'failed'
+        ORDER BY finishedAt DESC
+        LIMIT 20`
+    );
+    const [[review]] = await db.query("SELECT COUNT(*) AS pending FROM ingest_review_queue WHERE status = 'Pending'");
+
+    const byStatus = Object.fromEntries(INGEST_LEDGER_STATUSES.map((s) => [s, { total: 0, last24h: 0 }]));
+    for (const c of counts) byStatus[c.status] = { total: Number(c.total) || 0, last24h: Number(c.last24h) || 0 };
 
     res.json({
-      ok: true, anchor: anchorInfo, tiers,
-      totalCandidates: withAddr.length, skippedNoAddress,
-      maxDriveMinutes: maxMinutes, method,
-      warning,
+      mailboxes: mailboxes.map((m) => ({ ...m, lastUid: Number(m.lastUid) || 0, stale: !!m.stale })),
+      lastPollAt: mailboxes.reduce((max, m) => (m.lastPollAt && (!max || m.lastPollAt > max) ? m.lastPollAt : max), null),
+      counts: byStatus,
+      pendingRetry: Number(retries.pendingRetry) || 0,
+      gaveUp: Number(retries.gaveUp) || 0,
+      maxAttempts: INGEST_MAX_ATTEMPTS,
+      reviewPending: Number(review.pending) || 0,
+      recentErrors,
     });
   } catch (err) {
-    console.error('[Route Builder] Error in find-nearby:', err);
-    res.status(500).json({ error: 'Failed to find nearby work orders.' });
+    console.error('Ingest status error:', err);
+    res.status(500).json({ error: 'Failed to load ingest status.' });
   }
 });
 
-// POST /route-builder/confirm-route — bulk schedule work orders
-app.post('/route-builder/confirm-route', authenticate, async (req, res) => {
+// ─── WORK ORDER CORRESPONDENCE (vendor email on existing WOs) ───────────────
+// When the ingest worker matches an email to a work order that already exists
+// (same WO # / PO #), the email is attached here instead of being dropped:
+// NTE changes, reschedule requests, revised PO PDFs. PDFs also land where an
+// upload would put them (work_order_pos / work_order_estimate_pdfs), and the
+// WO's vendorCorrespondenceAt flag stays set until someone acknowledges it.
+
+async function ensureWorkOrderCorrespondenceTable() {
   try {
-    const b = coerceBody(req);
-    const ids = Array.isArray(b.workOrderIds) ? b.workOrderIds.map(Number).filter(n => n > 0) : [];
-    if (ids.length === 0) return res.status(400).json({ error: 'No work order IDs provided.' });
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS work_order_correspondence (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        workOrderId INT NOT NULL,
+        threadKey VARCHAR(255) NOT NULL,
+        messageId VARCHAR(255) NULL,
+        inReplyTo VARCHAR(255) NULL,
+        vendor VARCHAR(50) NULL,
+        fromAddress VARCHAR(255) NULL,
+        subject VARCHAR(500) NULL,
+        bodyText MEDIUMTEXT NULL,
+        attachments TEXT NULL,
+        receivedAt DATETIME NULL,
+        acknowledgedBy VARCHAR(100) NULL,
+        acknowledgedAt DATETIME NULL,
+        createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_woc_message (workOrderId, messageId),
+        INDEX idx_woc_thread (workOrderId, threadKey),
+        FOREIGN KEY (workOrderId) REFERENCES work_orders(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('[Correspondence] work_order_correspondence table ready');
+  } catch (e) {
+    console.warn('[Correspondence] Could not create work_order_correspondence:', e.message);
+  }
+}
 
-    const rawDate = String(b.scheduledDate || '').trim();
-    if (!rawDate) return res.status(400).json({ error: 'scheduledDate is required.' });
+ensureWorkOrderCorrespondenceTable().catch(() => {});
 
-    const scheduledDate = parseDateTimeFlexible(rawDate);
-    if (!scheduledDate) return res.status(400).json({ error: 'Invalid scheduledDate format.' });
+// "Re: FW: NTE increase - WO 123" → "nte increase - wo 123"
+function correspondenceSubjectKey(subject) {
+  return String(subject || '')
+    .replace(/^\s*((re|fw|fwd|aw)\s*:\s*)+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .slice(0, 255);
+}
 
-    const scheduledEnd = addMinutesToSql(scheduledDate, DEFAULT_WINDOW);
-    const assignedTo = b.assignedTo ? Number(b.assignedTo) : null;
+// An uploaded PDF as a local file for analyzePoPdf (S3 uploads are downloaded
+// to a temp file first, same as the PO upload route).
+async function withUploadedPdf(f, fn) {
+  if (!S3_BUCKET) return fn(path.resolve(__dirname, 'uploads', f.filename));
+  const tmpPath = path.join(require('os').tmpdir(), `corr-${Date.now()}.pdf`);
+  try {
+    const s3Obj = await s3.getObject({ Bucket: S3_BUCKET, Key: f.key }).promise();
+    fs.writeFileSync(tmpPath, s3Obj.Body);
+    return await fn(tmpPath);
+  } finally {
+    fs.unlink(tmpPath, () => {});
+  }
+}
 
-    const updated = [];
-    const skipped = [];
+// POST /work-orders/:id/correspondence — the worker attaches a vendor email.
+// Multipart: messageId, inReplyTo, references (space-separated), vendor,
+// fromAddress, subject, bodyText, receivedAt + files (poPdf = a PO,
+// estimatePdf = a quote/estimate, anything else is kept on the email only).
+app.post(
+  '/work-orders/:id/correspondence',
+  authenticate, requirePermission('ingest.review'), requireNumericParam('id'),
+  withMulter(upload.any()),
+  async (req, res) => {
+    try {
+      const wid = Number(req.params.id);
+      const [[wo]] = await db.query('SELECT id FROM work_orders WHERE id = ?', [wid]);
+      if (!wo) return res.status(404).json({ error: 'Work order not found.' });
 
-    for (const id of ids) {
-      const [[current]] = await db.execute('SELECT id, status FROM work_orders WHERE id = ?', [id]);
-      if (!current) { skipped.push({ id, reason: 'not found' }); continue; }
+      const b = coerceBody(req);
+      const messageId = String(b.messageId || '').trim().slice(0, 255) || null;
+      const inReplyTo = String(b.inReplyTo || '').trim().slice(0, 255) || null;
+
+      // A worker retry of the same message attaches nothing twice.
+      if (messageId) {
+        const [[dup]] = await db.query(
+          'SELECT id FROM work_order_correspondence WHERE workOrderId = ? AND messageId = ?',
+          [wid, messageId]
+        );
+        if (dup) return res.json({ id: dup.id, duplicate: true });
+      }
 
-      await db.execute(
-        `UPDATE work_orders SET status = 'Scheduled', scheduledDate = ?, scheduledEnd = ?, assignedTo = ? WHERE id = ?`,
-        [scheduledDate, scheduledEnd, assignedTo, id]
-      );
-      updated.push(id);
-    }
+      // Join the thread of whichever earlier email this one replies to;
+      // otherwise thread by subject.
+      const refs = [inReplyTo, ...String(b.references || '').split(/\s+/)].filter(Boolean);
+      let threadKey = null;
+      if (refs.length) {
+        const [[parent]] = await db.query(
+          `SELECT threadKey FROM work_order_correspondence
+            WHERE workOrderId = ? AND messageId IN (${refs.map(() => '?').join(',')})
+            ORDER BY id DESC LIMIT 1`,
+          [wid, ...refs]
+        );
+        threadKey = parent?.threadKey || null;
+      }
+      if (!threadKey) threadKey = correspondenceSubjectKey(b.subject) || messageId || `wo-${wid}`;
 
-    // Fetch updated rows
-    let workOrders = [];
-    if (updated.length > 0) {
-      const placeholders = updated.map(() => '?').join(',');
-      const [rows] = await db.execute(
-        `SELECT id, workOrderNumber, customer, siteAddress, siteLocation, status, scheduledDate, assignedTo
-         FROM work_orders WHERE id IN (${placeholders})`, updated
+      const attachments = [];
+      for (const f of req.files || []) {
+        const field = norm(f.fieldname);
+        const att = {
+          key: fileKey(f),
+          filename: f.originalname || null,
+          kind: isPdf(f) ? 'pdf' : 'image',
+          contentType: f.mimetype || null,
+          size: f.size || null,
+        };
+
+        if (isPdf(f) && FIELD_SETS.po.has(field)) {
+          try {
+            const analysis = await withUploadedPdf(f, (p) => analyzePoPdf(p));
+            const [r] = await db.query(
+              'INSERT INTO work_order_pos (workOrderId, poNumber, poSupplier, poPdfPath) VALUES (?, ?, ?, ?)',
+              [wid, analysis.poNumber || null, analysis.supplier || null, att.key]
+            );
+            Object.assign(att, { kind: 'po', poId: r.insertId, poNumber: analysis.poNumber || null });
+          } catch (e) {
+            console.warn('[Correspondence] PO insert failed for WO#', wid, e.message);
+          }
+        } else if (isPdf(f) && FIELD_SETS.est.has(field)) {
+          try {
+            const [r] = await db.query(
+              "INSERT INTO work_order_estimate_pdfs (workOrderId, filename, originalName, status) VALUES (?, ?, ?, 'Pending')",
+              [wid, att.key, att.filename]
+            );
+            Object.assign(att, { kind: 'estimate', estimatePdfId: r.insertId });
+          } catch (e) {
+            console.warn('[Correspondence] Estimate PDF insert failed for WO#', wid, e.message);
+          }
+        }
+        attachments.push(att);
+      }
+
+      const receivedAt = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(b.receivedAt || '')) ? b.receivedAt : null;
+      const [r] = await db.query(
+        `INSERT INTO work_order_correspondence
+           (workOrderId, threadKey, messageId, inReplyTo, vendor, fromAddress, subject, bodyText, attachments, receivedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          wid, threadKey, messageId, inReplyTo,
+          String(b.vendor || '').slice(0, 50) || null,
+          String(b.fromAddress || '').slice(0, 255) || null,
+          String(b.subject || '').slice(0, 500) || null,
+          b.bodyText ? String(b.bodyText) : null,
+          JSON.stringify(attachments),
+          receivedAt,
+        ]
       );
-      workOrders = rows;
+      await db.query(
+        'UPDATE work_orders SET vendorCorrespondenceAt = COALESCE(?, NOW()) WHERE id = ?',
+        [receivedAt, wid]
+      );
+      res.status(201).json({ id: r.insertId, threadKey, attachments });
+    } catch (err) {
+      console.error('Correspondence attach error:', err);
+      res.status(500).json({ error: 'Failed to attach email to work order.' });
     }
+  }
+);
 
-    res.json({ ok: true, updated: updated.length, skipped, scheduledDate, assignedTo, workOrders });
+// GET /work-orders/:id/correspondence — attached vendor emails grouped into
+// threads, newest thread first, emails oldest first within a thread
+app.get('/work-orders/:id/correspondence', authenticate, requireNumericParam('id'), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT * FROM work_order_correspondence
+        WHERE workOrderId = ?
+        ORDER BY COALESCE(receivedAt, createdAt) ASC, id ASC`,
+      [Number(req.params.id)]
+    );
+    const threads = new Map();
+    for (const row of rows) {
+      const attachments = parseJsonColumn(row.attachments, []);
+      const msg = { ...row, attachments: attachments.map((a) => ({ ...a, url: signedFileUrl(a.key, req.user.id) })) };
+      if (!threads.has(row.threadKey)) threads.set(row.threadKey, { threadKey: row.threadKey, subject: row.subject, messages: [] });
+      threads.get(row.threadKey).messages.push(msg);
+    }
+    const list = [...threads.values()].map((t) => ({
+      ...t,
+      lastAt: t.messages[t.messages.length - 1].receivedAt || t.messages[t.messages.length - 1].createdAt,
+      unread: t.messages.filter((m) => !m.acknowledgedAt).length,
+    }));
+    list.sort((a, b) => String(b.lastAt).localeCompare(String(a.lastAt)));
+    res.json(list);
   } catch (err) {
-    console.error('Error in confirm-route:', err);
-    res.status(500).json({ error: 'Failed to confirm route.' });
+    console.error('Correspondence list error:', err);
+    res.status(500).json({ error: 'Failed to load correspondence.' });
+  }
+});
+
+// POST /work-orders/:id/correspondence/acknowledge — mark every attached email
+// read and clear the WO's "new vendor correspondence" flag
+app.post('/work-orders/:id/correspondence/acknowledge', authenticate, requirePermission('workOrders.edit'), requireNumericParam('id'), async (req, res) => {
+  try {
+    const wid = Number(req.params.id);
+    const [r] = await db.query(
+      `UPDATE work_order_correspondence SET acknowledgedBy = ?, acknowledgedAt = NOW()
+        WHERE workOrderId = ? AND acknowledgedAt IS NULL`,
+      [req.user.username || null, wid]
+    );
+    await db.query('UPDATE work_orders SET vendorCorrespondenceAt = NULL WHERE id = ?', [wid]);
+    res.json({ acknowledged: r.affectedRows });
+  } catch (err) {
+    console.error('Correspondence acknowledge error:', err);
+    res.status(500).json({ error: 'Failed to acknowledge correspondence.' });
   }
 });
 
@@ -11490,7 +17977,7 @@ async function fixRowKeys(row) {
   return upd;
 }
 
-app.post('/work-orders/:id/fix-keys', authenticate, authorize('admin','dispatcher'), requireNumericParam('id'), async (req, res) => {
+app.post('/work-orders/:id/fix-keys', authenticate, requirePermission('tools.debug'), requireNumericParam('id'), async (req, res) => {
   try {
     const wid = Number(req.params.id);
     const [[row]] = await db.execute('SELECT * FROM work_orders WHERE id = ?', [wid]);
@@ -11503,7 +17990,7 @@ app.post('/work-orders/:id/fix-keys', authenticate, authorize('admin','dispatche
   } catch (e) { console.error('fix-keys error:', e); res.status(500).json({ error: 'Failed to fix keys' }); }
 });
 
-app.post('/work-orders/fix-keys', authenticate, authorize('admin','dispatcher'), async (req, res) => {
+app.post('/work-orders/fix-keys', authenticate, requirePermission('tools.debug'), async (req, res) => {
   try {
     const [rows] = await db.execute('SELECT id,pdfPath,estimatePdfPath,poPdfPath,photoPath FROM work_orders');
     let changed = 0;
@@ -11519,12 +18006,177 @@ app.post('/work-orders/fix-keys', authenticate, authorize('admin','dispatcher'),
   } catch (e) { console.error('bulk fix-keys error:', e); res.status(500).json({ error: 'Failed to bulk fix keys' }); }
 });
 
+// ─── FILE ACCESS (signed URLs + document audit) ─────────────────────────────
+// /files serves a request only with a valid, unexpired signature or a live
+// Bearer session. Signatures cover the normalized key, the expiry and the user
+// the link was issued to, so a link also dies when that user is deactivated.
+// Public token pages (contract signing, estimate approval) sign as user 0.
+function fileSignature(key, exp, uid) {
+  return crypto.createHmac('sha256', FILE_URL_SECRET)
+    .update(`${normalizeStoredKey(key)}|${exp}|${uid}`)
+    .digest('base64url');
+}
+
+function signedFileUrl(key, uid = 0, base = '') {
+  if (!key) return null;
+  const exp = Math.floor(Date.now() / 1000) + FILE_URL_TTL;
+  const u = Number(uid) || 0;
+  return `${base}/files?key=${encodeURIComponent(key)}&exp=${exp}&u=${u}&sig=${fileSignature(key, exp, u)}`;
+}
+
+// { key: signedUrl } for every non-empty key — attached to detail responses so
+// the UI can look a link up by the key it already has.
+function signedFileUrlMap(keys, uid) {
+  const out = {};
+  for (const k of keys) {
+    if (k && !out[k]) out[k] = signedFileUrl(k, uid);
+  }
+  return out;
+}
+
+// How this /files request is allowed: { via, userId, username } or null.
+async function resolveFileAccess(req, rawKey) {
+  const { exp, u, sig } = req.query;
+  if (sig) {
+    const expN = Number(exp);
+    const uid = Number(u) || 0;
+    if (!Number.isFinite(expN) || expN < Date.now() / 1000) return null;
+    const given = Buffer.from(String(sig));
+    const expected = Buffer.from(fileSignature(rawKey, expN, uid));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    if (!uid) return { via: 'public', userId: null, username: null };
+    const access = await getUserAccess(uid);
+    if (!access || !access.isActive) return null;
+    return { via: 'signature', userId: uid, username: null };
+  }
+  const { user } = await verifySessionToken(req);
+  return user ? { via: 'session', userId: Number(user.id), username: user.username } : null;
+}
+
+async function ensureDocumentAccessLogTable() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_access_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        fileKey VARCHAR(500) NOT NULL,
+        docType VARCHAR(20) NOT NULL,
+        docId INT NULL,
+        workOrderId INT NULL,
+        userId INT NULL,
+        username VARCHAR(100) NULL,
+        via VARCHAR(20) NOT NULL,
+        ip VARCHAR(64) NULL,
+        userAgent VARCHAR(255) NULL,
+        accessedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_dal_wo (workOrderId, accessedAt),
+        INDEX idx_dal_at (accessedAt)
+      )
+    `);
+    console.log('[Files] document_access_log table ready');
+  } catch (e) {
+    console.warn('[Files] Could not create document_access_log:', e.message);
+  }
+}
+
+ensureDocumentAccessLogTable().catch(() => {});
+
+// Contracts and invoices are always PDFs, so photos never cost a lookup.
+// Returns { docType, docId, workOrderId } or null for anything else.
+async function classifyDocumentKey(rawKey) {
+  if (!/\.pdf$/i.test(String(rawKey))) return null;
+  const keys = Array.from(new Set([String(rawKey), normalizeStoredKey(rawKey)]));
+  const lookups = [
+    ['contract', 'SELECT id, workOrderId FROM residential_contracts WHERE generatedPdfPath IN (?) OR signedPdfPath IN (?) LIMIT 1', [keys, keys]],
+    ['invoice', 'SELECT id, workOrderId FROM invoices WHERE pdfPath IN (?) LIMIT 1', [keys]],
+    ['invoice', "SELECT id, workOrderId FROM qb_documents WHERE docType = 'Invoice' AND pdfPath IN (?) LIMIT 1", [keys]],
+  ];
+  for (const [docType, sql, params] of lookups) {
+    try {
+      const [[row]] = await db.query(sql, params);
+      if (row) return { docType, docId: row.id, workOrderId: row.workOrderId || null };
+    } catch { /* table missing on older installs */ }
+  }
+  return null;
+}
+
+// One document_access_log row. `via` is how the file was reached (session,
+// signature, public) or how it got there (generated, uploaded).
+async function recordDocumentEvent(req, rawKey, doc, { userId, username, via }) {
+  await db.query(
+    `INSERT INTO document_access_log (fileKey, docType, docId, workOrderId, userId, username, via, ip, userAgent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [normalizeStoredKey(rawKey), doc.docType, doc.docId, doc.workOrderId, userId || null, username || null, via,
+      req ? clientIp(req) : null, String(req?.get?.('user-agent') || '').slice(0, 255) || null]
+  );
+}
+
+// Best-effort: a failed audit write never blocks the download.
+async function logDocumentAccess(req, rawKey, access) {
+  try {
+    const doc = await classifyDocumentKey(rawKey);
+    if (!doc) return;
+    let username = access.username;
+    if (!username && access.userId) {
+      const [[u]] = await db.query('SELECT username FROM users WHERE id = ?', [access.userId]);
+      username = u?.username || null;
+    }
+    await recordDocumentEvent(req, rawKey, doc, { userId: access.userId, username, via: access.via });
+  } catch (e) {
+    console.warn('[Files] Could not log document access:', e.message);
+  }
+}
+
+// A contract/invoice PDF that was just generated or uploaded; req is null for
+// server-side runs. Best-effort like logDocumentAccess.
+async function logDocumentStored(req, rawKey, via) {
+  try {
+    const doc = await classifyDocumentKey(rawKey);
+    if (!doc) return;
+    await recordDocumentEvent(req, rawKey, doc, { userId: req?.user?.id, username: req?.user?.username, via });
+  } catch (e) {
+    console.warn('[Files] Could not log stored document:', e.message);
+  }
+}
+
+// POST /files/sign — signed URLs for keys the UI already has: { keys } → { urls }
+app.post('/files/sign', authenticate, async (req, res) => {
+  const keys = coerceBody(req).keys;
+  if (!Array.isArray(keys)) return res.status(400).json({ error: 'keys must be an array' });
+  if (keys.length > 500) return res.status(400).json({ error: 'Too many keys (max 500).' });
+  res.json({ urls: signedFileUrlMap(keys.map((k) => String(k || '').trim()), req.user.id), expiresIn: FILE_URL_TTL });
+});
+
+// GET /files/access-log — who generated, uploaded or opened contract/invoice PDFs (?workOrderId=, ?docType=)
+app.get('/files/access-log', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.workOrderId) { where.push('workOrderId = ?'); params.push(Number(req.query.workOrderId) || 0); }
+    if (req.query.docType) { where.push('docType = ?'); params.push(String(req.query.docType)); }
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+    const [rows] = await db.query(
+      `SELECT * FROM document_access_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY accessedAt DESC, id DESC LIMIT ${limit}`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Document access log error:', err);
+    res.status(500).json({ error: 'Failed to load document access log.' });
+  }
+});
+
 // ─── FILE RESOLVER (S3 or local) ────────────────────────────────────────────
 app.get('/files', async (req, res) => {
   try {
     const raw = req.query.key;
     if (!raw) return res.status(400).json({ error: 'Missing ?key=' });
 
+    const access = await resolveFileAccess(req, raw);
+    if (!access) return res.status(401).json({ error: 'This link has expired or is not valid.' });
+    // Range requests (PDF viewers fetch in chunks) only log the first chunk.
+    if (!/^bytes=[1-9]/.test(req.headers.range || '')) logDocumentAccess(req, raw, access);
+
     let key = normalizeStoredKey(raw);
     const ext = path.extname(key).toLowerCase();
     const mimeMap = {
@@ -11703,6 +18355,11 @@ th:last-child,td:last-child{text-align:right}
 .status-sent{background:#fff8e1;color:#f57f17}
 .status-paid{background:#e8f5e9;color:#1b5e20}
 .status-overdue{background:#ffebee;color:#c62828}
+.opt-hint{font-size:13px;color:#666;margin-bottom:4px}
+.opt-row label{cursor:pointer}
+.opt-row.opt-off td{color:#aaa}
+.opt-tag{display:inline-block;padding:1px 6px;border-radius:4px;background:#e8f5e9;color:#1b5e20;font-size:10px;font-weight:700;text-transform:uppercase}
+.opt-group-title td{background:#fafafa;font-size:12px;font-weight:700;color:#1b5e20;padding:8px 12px}
 .notes-input{width:100%;padding:12px;border:1px solid #ddd;border-radius:8px;font-size:14px;margin-top:8px;resize:vertical;min-height:60px;font-family:inherit}
 .page-footer{text-align:center;color:#999;font-size:12px;padding:20px}
 .msg{text-align:center;padding:40px;font-size:16px}
@@ -11754,9 +18411,66 @@ app.get('/public/estimate/:token', async (req, res) => {
       ? `<div style="text-align:center;margin:20px 0"><span class="status-badge ${est.status === 'Accepted' ? 'status-accepted' : 'status-declined'}" style="font-size:16px;padding:10px 24px">${est.status === 'Accepted' ? '✓ Estimate Accepted' : '✗ Estimate Declined'}</span></div>`
       : '';
 
-    const lineItemsHtml = lineItems.map(li =>
-      `<tr><td>${escHtml(li.quantity)}</td><td>${escHtml(li.description)}</td><td>${fmtPublicMoney(li.amount)}</td></tr>`
-    ).join('');
+    // Base lines print as-is; add-ons get a checkbox and each option group a set
+    // of radios (gathered under one heading). Choices lock once responded.
+    const hasChoices = lineItems.some(lineIsChoice);
+    const groupIndex = new Map();
+    const choiceInput = (li) => {
+      if (!lineIsChoice(li)) return '';
+      const checked = lineIncluded(li) ? ' checked' : '';
+      const locked = alreadyResponded ? ' disabled' : '';
+      if (!li.optionGroup) return `<input type="checkbox" class="opt-input" value="${li.id}"${checked}${locked}> `;
+      return `<input type="radio" class="opt-input" name="grp${groupIndex.get(li.optionGroup)}" value="${li.id}"${checked}${locked}> `;
+    };
+    const lineRow = (li) => `<tr class="${lineIsChoice(li) ? 'opt-row' : ''}${lineIsChoice(li) && !lineIncluded(li) ? ' opt-off' : ''}"
+      data-amount="${Number(li.amount) || 0}" data-taxable="${li.taxable == null || Number(li.taxable) ? 1 : 0}" data-id="${li.id}">
+      <td>${escHtml(li.quantity)}</td>
+      <td><label>${choiceInput(li)}${!li.optionGroup && Number(li.isOptional) ? '<span class="opt-tag">Optional</span> ' : ''}${escHtml(li.description)}</label></td>
+      <td>${fmtPublicMoney(li.amount)}</td></tr>`;
+    const rowsHtml = [];
+    for (const li of lineItems) {
+      if (!li.optionGroup) { rowsHtml.push(lineRow(li)); continue; }
+      if (groupIndex.has(li.optionGroup)) continue;
+      groupIndex.set(li.optionGroup, groupIndex.size);
+      rowsHtml.push(`<tr class="opt-group-title"><td></td><td colspan="2">${escHtml(li.optionGroup)} — choose one</td></tr>`);
+      for (const member of lineItems.filter((l) => l.optionGroup === li.optionGroup)) rowsHtml.push(lineRow(member));
+    }
+    const lineItemsHtml = rowsHtml.join('');
+
+    const taxRate = Number(est.taxExempt) ? 0 : Number(est.taxRate) || 0;
+    const showTax = taxRate > 0 || Number(est.taxAmount) > 0;
+    const totalsHtml = `
+        <div class="detail-row"${showTax || hasChoices ? '' : ' style="display:none"'}><span class="detail-label">Subtotal</span><span class="detail-value" id="est-subtotal">${fmtPublicMoney(est.subtotal)}</span></div>
+        ${showTax ? `<div class="detail-row"><span class="detail-label">Tax</span><span class="detail-value" id="est-tax">${fmtPublicMoney(est.taxAmount)}</span></div>` : ''}
+        <div class="total-row">Total: <span id="est-total">${fmtPublicMoney(est.total)}</span></div>`;
+
+    // Mirrors computeDocumentTax so the live total matches what we'll store.
+    const liveTotalsScript = hasChoices && !alreadyResponded ? `
+      <script>
+        var TAX_RATE = ${JSON.stringify(taxRate)};
+        function money(n){return '$'+n.toFixed(2).replace(/\\B(?=(\\d{3})+(?!\\d))/g,',');}
+        function selectedOptions(){
+          return Array.prototype.map.call(document.querySelectorAll('.opt-input:checked'), function(i){return Number(i.value);});
+        }
+        function retotal(){
+          var sub=0, taxable=0;
+          document.querySelectorAll('tr[data-id]').forEach(function(tr){
+            var input=tr.querySelector('.opt-input');
+            var on=!input||input.checked;
+            tr.classList.toggle('opt-off', !on);
+            if(!on) return;
+            var amt=Number(tr.getAttribute('data-amount'))||0;
+            sub+=amt; if(tr.getAttribute('data-taxable')==='1') taxable+=amt;
+          });
+          sub=Math.round(sub*100)/100; taxable=Math.round(taxable*100)/100;
+          var tax=Math.round(taxable*TAX_RATE)/100;
+          document.getElementById('est-subtotal').textContent=money(sub);
+          var taxEl=document.getElementById('est-tax'); if(taxEl) taxEl.textContent=money(tax);
+          document.getElementById('est-total').textContent=money(Math.round((sub+tax)*100)/100);
+        }
+        document.querySelectorAll('.opt-input').forEach(function(i){i.addEventListener('change', retotal);});
+        retotal();
+      </script>` : '';
 
     const actionsHtml = alreadyResponded ? '' : `
       <div style="margin-top:24px">
@@ -11776,9 +18490,10 @@ app.get('/public/estimate/:token', async (req, res) => {
           var btns = document.querySelectorAll('.btn');
           btns.forEach(function(b){b.disabled=true;b.style.opacity='0.5'});
           try {
+            var picks = typeof selectedOptions === 'function' ? selectedOptions() : [];
             var res = await fetch('/public/estimate/${req.params.token}/respond', {
               method:'POST', headers:{'Content-Type':'application/json'},
-              body:JSON.stringify({response:response,notes:notes})
+              body:JSON.stringify({response:response,notes:notes,selectedLineIds:picks})
             });
             var data = await res.json();
             if (data.success) {
@@ -11788,6 +18503,7 @@ app.get('/public/estimate/:token', async (req, res) => {
                   : '<span class="status-badge status-declined" style="font-size:18px;padding:12px 24px">Estimate Declined</span>';
               var noteDiv = document.querySelector('.notes-input');
               if(noteDiv && noteDiv.parentNode) noteDiv.parentNode.style.display='none';
+              document.querySelectorAll('.opt-input').forEach(function(i){i.disabled=true;});
             } else { alert(data.error||'Error'); _submitting=false; btns.forEach(function(b){b.disabled=false;b.style.opacity='1'}); }
           } catch(e) { alert('Error submitting response. Please try again.'); _submitting=false; btns.forEach(function(b){b.disabled=false;b.style.opacity='1'}); }
         }
@@ -11807,13 +18523,14 @@ app.get('/public/estimate/:token', async (req, res) => {
           </div>
         </div>
         <div class="section-title">Line Items</div>
+        ${hasChoices && !alreadyResponded ? '<div class="opt-hint">This estimate includes options. Select the ones you want — the total updates as you choose, and your selection is sent with your acceptance.</div>' : ''}
         <table>
           <thead><tr><th>Qty</th><th>Description</th><th>Amount</th></tr></thead>
           <tbody>${lineItemsHtml}</tbody>
         </table>
-        ${est.taxAmount && Number(est.taxAmount) > 0 ? `<div class="detail-row"><span class="detail-label">Subtotal</span><span class="detail-value">${fmtPublicMoney(est.subtotal)}</span></div><div class="detail-row"><span class="detail-label">Tax</span><span class="detail-value">${fmtPublicMoney(est.taxAmount)}</span></div>` : ''}
-        <div class="total-row">Total: ${fmtPublicMoney(est.total)}</div>
+        ${totalsHtml}
         ${actionsHtml}
+        ${liveTotalsScript}
       </div>
     `, 'ESTIMATE'));
   } catch (err) {
@@ -11838,6 +18555,19 @@ app.post('/public/estimate/:token/respond', async (req, res) => {
 
     const newStatus = response === 'accepted' ? 'Accepted' : 'Declined';
 
+    // Options are only binding on an acceptance; check them before the token is spent.
+    let selection = null;
+    const [estLines] = await db.query(
+      'SELECT id, isOptional, optionGroup, isSelected FROM estimate_line_items WHERE estimateId = ?', [tok.estimateId]
+    );
+    if (response === 'accepted' && estLines.some(lineIsChoice)) {
+      const picked = Array.isArray(req.body?.selectedLineIds)
+        ? req.body.selectedLineIds
+        : estLines.filter((li) => lineIsChoice(li) && lineIncluded(li)).map((li) => li.id);
+      selection = validateEstimateSelection(estLines, picked);
+      if (selection.error) return res.status(400).json({ error: selection.error });
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // Mark token as used IMMEDIATELY — this is the real race-condition lock
     // ═══════════════════════════════════════════════════════════════════════
@@ -11853,7 +18583,18 @@ app.post('/public/estimate/:token/respond', async (req, res) => {
       return res.json({ success: true, status: est?.status || newStatus, message: 'Already responded' });
     }
 
-    // Token claimed — now update estimate status
+    // Token claimed — lock in the customer's options (and total) before the status flips
+    if (selection) {
+      const [[current]] = await db.query('SELECT status FROM estimates WHERE id = ?', [tok.estimateId]);
+      if (current && !['Accepted', 'Declined'].includes(current.status)) {
+        await applyEstimateSelection(tok.estimateId, estLines, selection.selected);
+        try {
+          await db.query('UPDATE public_tokens SET selection=? WHERE id=?', [JSON.stringify([...selection.selected]), tok.id]);
+        } catch (e) { /* non-fatal */ }
+      }
+    }
+
+    // Now update estimate status
     const [updateResult] = await db.query(
       "UPDATE estimates SET status=?, updatedAt=NOW() WHERE id=? AND status NOT IN ('Accepted','Declined')",
       [newStatus, tok.estimateId]
@@ -11892,11 +18633,8 @@ app.post('/public/estimate/:token/respond', async (req, res) => {
         console.log('[DEBUG] Estimate row:', JSON.stringify(est));
         console.log('[DEBUG] woId resolved to:', woId);
         if (woId) {
-          const [[prevWo]] = await db.query('SELECT status FROM work_orders WHERE id=?', [woId]);
-          const [woResult] = await db.query("UPDATE work_orders SET status='Approved' WHERE id=?", [woId]);
-          console.log('[DEBUG] WO update affectedRows:', woResult.affectedRows);
-          await maybeLogApprovalNote(woId, prevWo?.status, 'Approved', 'System');
-          await stampStatusChangedAt(woId, prevWo?.status, 'Approved');
+          const moved = await moveWorkOrderStatus(woId, 'Approved', 'System', 'public-estimate-respond');
+          console.log('[DEBUG] WO moved to Approved:', moved);
         } else {
           console.log('[DEBUG] No workOrderId on estimate — work order NOT updated');
         }
@@ -11949,7 +18687,7 @@ app.get(['/public/contract/:token', '/api/public/contract/:token'], async (req,
     const { contract, data } = await loadResidentialContractData(tok.workOrderId);
     const backendBase = `${req.headers['x-forwarded-proto'] || req.protocol || 'https'}://${req.get('host')}`;
     const pdfUrl = contract.generatedPdfPath
-      ? `${backendBase}/files?key=${encodeURIComponent(contract.generatedPdfPath)}`
+      ? signedFileUrl(contract.generatedPdfPath, 0, backendBase)
       : null;
 
     res.json({
@@ -12012,6 +18750,7 @@ app.post(['/public/contract/:token/sign', '/api/public/contract/:token/sign'], a
     );
     const signedPdfPath = await renderSignedResidentialContractPdf(wid);
     await db.query('UPDATE public_tokens SET response=?, respondedAt=NOW() WHERE id=?', ['signed', tok.id]);
+    await createDepositInvoiceOnSign(wid);
 
     // Confirmation emails (customer + office), once
     try {
@@ -12062,7 +18801,7 @@ app.get(['/public/estimate-response/:token', '/api/public/estimate-response/:tok
       const [[pdf]] = await db.query('SELECT filename, amount FROM work_order_estimate_pdfs WHERE id = ?', [tok.estimatePdfId]);
       if (pdf) {
         const backendBase = `${req.headers['x-forwarded-proto'] || req.protocol || 'https'}://${req.get('host')}`;
-        pdfUrl = `${backendBase}/files?key=${encodeURIComponent(pdf.filename)}`;
+        pdfUrl = signedFileUrl(pdf.filename, 0, backendBase);
         amount = pdf.amount;
       }
     }
@@ -12116,8 +18855,7 @@ app.post(['/public/estimate-response/:token', '/api/public/estimate-response/:to
     const newWoStatus = action === 'accept' ? canonStatus('Approved') : canonStatus('Declined');
     const [[prevWo]] = await db.execute('SELECT status FROM work_orders WHERE id = ?', [wid]);
     await db.execute('UPDATE work_orders SET status = ? WHERE id = ?', [newWoStatus, wid]);
-    await maybeLogApprovalNote(wid, prevWo?.status, newWoStatus, 'System');
-    await stampStatusChangedAt(wid, prevWo?.status, newWoStatus);
+    await applyStatusTransition(wid, prevWo?.status, newWoStatus, 'System', 'public-estimate-response');
 
     // Mark this estimate PDF Approved/Declined (same column the per-card dropdown uses)
     if (tok.estimatePdfId) {
@@ -12171,7 +18909,7 @@ app.get('/public/invoice/:token', async (req, res) => {
 
     const [lineItems] = await db.query('SELECT * FROM invoice_line_items WHERE invoiceId = ? ORDER BY sortOrder ASC, id ASC', [tok.invoiceId]);
 
-    const isPaid = inv.status === 'Paid';
+    const isPaid = inv.status === 'Paid' || inv.status === 'Closed';
     const balanceDue = Number(inv.balanceDue ?? inv.total) || 0;
     const isOverdue = inv.dueDate && new Date(inv.dueDate) < new Date() && !isPaid;
 
@@ -12246,7 +18984,7 @@ app.post('/public/invoice/:token/pay', async (req, res) => {
     `, [tok.invoiceId]);
     if (!inv) return res.status(404).json({ error: 'Invoice not found.' });
 
-    if (inv.status === 'Paid') return res.json({ url: `/public/invoice/${req.params.token}?payment=success` });
+    if (inv.status === 'Paid' || inv.status === 'Closed') return res.json({ url: `/public/invoice/${req.params.token}?payment=success` });
 
     const paymentMethod = req.body?.paymentMethod || 'card';
     const stripe = await getStripeInstance();
@@ -12369,21 +19107,39 @@ async function handleStripeWebhook(req, res) {
       const paymentIntent = session.payment_intent || null;
       const paidVia = session.metadata?.paymentMethod || 'card';
 
+      // Update payment record. Stripe retries webhooks, so only the delivery
+      // that flips it to completed goes on to record the payment.
+      const [claimed] = await db.query(
+        "UPDATE payments SET status='completed', stripePaymentIntentId=?, paidAt=NOW() WHERE stripeSessionId=? AND status<>'completed'",
+        [paymentIntent, session.id]
+      );
+      if (!claimed.affectedRows) {
+        const [[known]] = await db.query('SELECT id FROM payments WHERE stripeSessionId=?', [session.id]);
+        if (known) {
+          console.log(`[Stripe] Session ${session.id} already recorded — skipping`);
+          return res.json({ received: true });
+        }
+      }
+
       // Update invoice — paidAmount is the invoice amount (without fee)
       const invoiceAmount = Number(session.metadata?.invoiceAmount || amountPaid);
       await db.query(
-        "UPDATE invoices SET status='Paid', paidAt=NOW(), paidAmount=?, stripePaymentIntentId=?, paymentMethod=?, updatedAt=NOW() WHERE id=?",
+        'UPDATE invoices SET paidAmount=?, stripePaymentIntentId=?, paymentMethod=?, updatedAt=NOW() WHERE id=?',
         [invoiceAmount, paymentIntent, paidVia, invoiceId]
       );
 
-      // Update balanceDue based on the invoice amount (not including processing fee)
-      await db.query('UPDATE invoices SET balanceDue = GREATEST(0, COALESCE(total,0) - ?) WHERE id = ?', [invoiceAmount, invoiceId]);
-
-      // Update payment record
+      // Into the payment ledger like a check would be, so balances, statements
+      // and refunds all see it. The processing fee isn't invoice money.
+      const [[invRow]] = await db.query('SELECT workOrderId FROM invoices WHERE id = ?', [invoiceId]);
       await db.query(
-        "UPDATE payments SET status='completed', stripePaymentIntentId=?, paidAt=NOW() WHERE stripeSessionId=?",
-        [paymentIntent, session.id]
+        `INSERT INTO invoice_payments
+          (invoiceId, workOrderId, amount, paymentMethod, referenceNote, paymentDate, recordedBy, stripePaymentIntentId)
+         VALUES (?, ?, ?, ?, ?, CURDATE(), 'Stripe', ?)`,
+        [invoiceId, invRow?.workOrderId || null, invoiceAmount, paidVia === 'ach' ? 'ach' : 'credit_card',
+          `Online payment (${paidVia === 'ach' ? 'ACH' : 'card'})`, paymentIntent]
       );
+      const { paymentStatus } = await recalcInvoiceTotals(invoiceId);
+      await syncPaidWorkOrder(invRow?.workOrderId, paymentStatus, 'Stripe', 'stripe-payment');
 
       // Mark token as used
       if (session.metadata?.token) {
@@ -12409,6 +19165,32 @@ async function handleStripeWebhook(req, res) {
       }
 
       console.log(`[Stripe] Payment completed: Invoice #${invoiceId}, $${amountPaid}`);
+    } else if (event.type === 'charge.refunded') {
+      // Refunds issued from the Stripe dashboard. Ones issued from the invoice
+      // page are already in the ledger, so only the unrecorded difference lands.
+      const charge = event.data.object;
+      const [[payment]] = charge.payment_intent
+        ? await db.query('SELECT * FROM invoice_payments WHERE stripePaymentIntentId = ? AND amount > 0 ORDER BY id LIMIT 1', [charge.payment_intent])
+        : [[null]];
+      if (payment) {
+        const [[{ recorded }]] = await db.query(
+          'SELECT COALESCE(-SUM(amount), 0) AS recorded FROM invoice_payments WHERE refundOfId = ?',
+          [payment.id]
+        );
+        const refundedTotal = Math.min((charge.amount_refunded || 0) / 100, Number(payment.amount));
+        const unrecorded = round2p(refundedTotal - Number(recorded));
+        if (unrecorded > 0) {
+          await db.query(
+            `INSERT INTO invoice_payments
+              (invoiceId, workOrderId, amount, paymentMethod, referenceNote, paymentDate, recordedBy, refundOfId, stripePaymentIntentId)
+             VALUES (?, ?, ?, ?, 'Refunded in Stripe', CURDATE(), 'Stripe', ?, ?)`,
+            [payment.invoiceId, payment.workOrderId, -unrecorded, payment.paymentMethod, payment.id, charge.payment_intent]
+          );
+          const { paymentStatus } = await recalcInvoiceTotals(payment.invoiceId);
+          await syncPaidWorkOrder(payment.workOrderId, paymentStatus, 'Stripe', 'stripe-refund');
+          console.log(`[Stripe] Refund recorded: Invoice #${payment.invoiceId}, $${unrecorded}`);
+        }
+      }
     }
   } catch (err) {
     console.error('[Stripe] Error processing webhook event:', err);
@@ -12452,37 +19234,152 @@ const autoDeclineStaleWorkOrders = async () => {
 autoDeclineStaleWorkOrders();
 setInterval(autoDeclineStaleWorkOrders, 24 * 60 * 60 * 1000);
 
-// ─── DAILY COLLECTIONS RECOMPUTE (NO AUTO-SEND) ──────────────────────────────
-// Keeps reminderStage + lateFeeAmount current for unpaid/partial invoices so the
-// Collections list and late fees are fresh each morning. This NEVER sends email —
-// all reminders are review-before-send via the /reminder/draft + /reminder/send flow.
+// ─── DAILY COLLECTIONS RECOMPUTE + DUNNING ───────────────────────────────────
+// Keeps reminderStage current for unpaid/partial invoices, drafts the reminder
+// for each that entered a new past-due stage (see advanceReminderStages), and
+// proposes the late fees for boundaries crossed since yesterday, so the
+// Collections queues are fresh each morning. Reminders only go out unreviewed
+// for customers opted into autoReminders; fees always wait for approval.
 const recomputeInvoiceCollections = async () => {
   try {
-    const [rows] = await db.query(
-      `SELECT id, total, amountPaid, issueDate, dueDate, createdAt
-         FROM invoices
-        WHERE status IN ('Sent','Partial','Overdue','Unpaid')
-          AND (COALESCE(total,0) - COALESCE(amountPaid,0)) > 0`
-    );
-    let updated = 0;
-    for (const inv of rows) {
-      const comp = computeCollections(inv);
-      await db.query(
-        'UPDATE invoices SET reminderStage = ?, lateFeeAmount = ?, updatedAt = NOW() WHERE id = ?',
-        [comp.reminderStage, comp.lateFee, inv.id]
-      );
-      updated++;
+    const { updated, queued, sent, held } = await advanceReminderStages();
+    if (updated > 0 || held > 0) {
+      console.log(`[Collections] ${updated} invoice(s) moved to a new stage: ${queued} reminder(s) queued, ${sent} sent automatically; ${held} held (paused/suppressed)`);
     }
-    if (updated > 0) {
-      console.log(`[Collections] Recomputed ${updated} invoice(s): overdue stage + late fees updated (no emails sent)`);
+    const proposed = await proposeLateFees();
+    if (proposed > 0) {
+      console.log(`[Collections] Proposed ${proposed} late fee(s) for approval`);
     }
   } catch (err) {
     console.error('[Collections] Recompute failed:', err.message);
   }
 };
-recomputeInvoiceCollections();
+// First run waits for the schema ensures (reminder_queue, late_fees) to settle.
+setTimeout(recomputeInvoiceCollections, 60 * 1000);
 setInterval(recomputeInvoiceCollections, 24 * 60 * 60 * 1000);
 
+// ─── DAILY SERVICE AGREEMENT RUN ─────────────────────────────────────────────
+// Every active agreement whose next service date has arrived gets its work
+// order and draft invoice — up to its end date, so the last periods of a term
+// are billed before it lapses. Lapsed agreements then auto-renew for another
+// term (and catch up on the renewed term's due periods) or expire. A server that
+// was down for a while catches up period by period (capped so a bad date can't
+// flood the board).
+const generateDueAgreementPeriods = async (today) => {
+  const [due] = await db.query(
+    `SELECT * FROM service_agreements
+      WHERE status = 'Active' AND nextRunDate <= ? AND (endDate IS NULL OR nextRunDate <= endDate)`,
+    [today]
+  );
+  let generated = 0;
+  for (const ag of due) {
+    for (let i = 0; i < 12 && ag.nextRunDate <= today && (!ag.endDate || ag.nextRunDate <= ag.endDate); i++) {
+      const run = await generateAgreementPeriod(ag);
+      if (!run) break;
+      generated++;
+      ag.nextRunDate = agreementPeriod(ag).nextStart;
+    }
+  }
+  return generated;
+};
+
+const runServiceAgreements = async () => {
+  try {
+    const today = todayYmd();
+    let generated = await generateDueAgreementPeriods(today);
+
+    const [lapsed] = await db.query(
+      "SELECT id, endDate, autoRenew, renewalTermMonths FROM service_agreements WHERE status = 'Active' AND endDate < ?",
+      [today]
+    );
+    let renewed = 0;
+    for (const ag of lapsed) {
+      if (Number(ag.autoRenew)) {
+        const term = Math.max(1, Number(ag.renewalTermMonths) || 12);
+        let endDate = String(ag.endDate).slice(0, 10);
+        while (endDate < today) endDate = addMonthsYmd(endDate, term);
+        await db.query('UPDATE service_agreements SET endDate = ?, renewedAt = NOW() WHERE id = ?', [endDate, ag.id]);
+        console.log(`[Service Agreements] #${ag.id} auto-renewed through ${endDate}`);
+        renewed++;
+      } else {
+        await db.query("UPDATE service_agreements SET status = 'Expired' WHERE id = ?", [ag.id]);
+        console.log(`[Service Agreements] #${ag.id} expired`);
+      }
+    }
+    if (renewed > 0) generated += await generateDueAgreementPeriods(today);
+
+    if (generated > 0) console.log(`[Service Agreements] Generated ${generated} period(s)`);
+  } catch (err) {
+    console.error('[Service Agreements] Run failed:', err.message);
+  }
+};
+// First run waits for the schema ensures above to settle — a period claimed
+// before the tables are ready would be recorded as failed, not retried.
+setTimeout(runServiceAgreements, 60 * 1000);
+setInterval(runServiceAgreements, 24 * 60 * 60 * 1000);
+
+// ─── MONTHLY CUSTOMER STATEMENTS ─────────────────────────────────────────────
+// With the monthlyStatements setting on, every customer who owed money at the
+// end of last month gets last month's statement emailed to their billing
+// contact. Runs daily, so a server that was down on the 1st catches up; the
+// monthlyPeriod key allows one statement per customer per month, and a send
+// that failed (no email on file, SMTP down) is retried on the next run.
+const runMonthlyStatements = async () => {
+  try {
+    const [[flag]] = await db.query("SELECT settingValue FROM settings WHERE settingKey = 'monthlyStatements'");
+    if (!flag || !['1', 'true'].includes(String(flag.settingValue))) return;
+
+    const now = new Date();
+    const from = localYmd(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+    const to = localYmd(new Date(now.getFullYear(), now.getMonth(), 0));
+    const monthlyPeriod = from.slice(0, 7);
+
+    // Anything still owed, or touched since the period began (recalc bumps
+    // updatedAt), could have had a balance on the last day of the month.
+    const [candidates] = await db.query(
+      `SELECT DISTINCT customerId FROM invoices
+        WHERE customerId IS NOT NULL AND status NOT IN ('Draft','Void') AND issueDate <= ?
+          AND (balanceDue > 0.005 OR updatedAt >= ?)`,
+      [to, from]
+    );
+    let sent = 0, failed = 0;
+    for (const { customerId } of candidates) {
+      try {
+        let [[row]] = await db.query(
+          'SELECT id, status, closingBalance FROM customer_statements WHERE customerId = ? AND monthlyPeriod = ?',
+          [customerId, monthlyPeriod]
+        );
+        if (row?.status === 'sent') continue;
+        if (!row) {
+          const st = await buildCustomerStatement(customerId, from, to);
+          if (!st || st.closingBalance <= 0.005) continue;
+          try {
+            row = await createCustomerStatement(customerId, from, to, { createdBy: 'Monthly statements', monthlyPeriod, statement: st });
+          } catch (err) {
+            if (err.code === 'ER_DUP_ENTRY') continue;
+            throw err;
+          }
+        }
+        const out = await sendStatementEmail(row.id, {}, 'Monthly statements');
+        if (out.error) {
+          await db.query("UPDATE customer_statements SET status = 'failed', error = ? WHERE id = ?", [out.error, row.id]);
+          failed++;
+        } else {
+          sent++;
+        }
+      } catch (err) {
+        console.error(`[Statements] Customer #${customerId} failed:`, err.message);
+        failed++;
+      }
+    }
+    if (sent || failed) console.log(`[Statements] ${monthlyPeriod}: sent ${sent}, failed ${failed}`);
+  } catch (err) {
+    console.error('[Statements] Monthly run failed:', err.message);
+  }
+};
+setTimeout(runMonthlyStatements, 2 * 60 * 1000);
+setInterval(runMonthlyStatements, 24 * 60 * 60 * 1000);
+
 // ─── START ───────────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 80;
 app.listen(PORT, '0.0.0.0', () => console.log(`✅ Server listening on 0.0.0.0:${PORT}`));
@@ -0,0 +1,86 @@
+// test/collections.test.js — npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeDueDate, computeCollections, FALLBACK_COLLECTION_POLICY } = require("../utils/collections");
+
+// Local-midnight dates, the way mysql2 hands back DATE columns.
+const day = (y, m, d) => new Date(y, m - 1, d);
+const net30 = { ...FALLBACK_COLLECTION_POLICY, netDays: 30, feePct: 10, compounding: 0, escalationDays: 30 };
+const invoice = { total: 1000, amountPaid: 0, issueDate: day(2026, 1, 1) }; // due 2026-01-31 on Net 30
+
+test("computeDueDate: an explicit due date wins", () => {
+  assert.strictEqual(computeDueDate("2026-01-01", 30, "2026-02-15"), "2026-02-15");
+});
+
+test("computeDueDate: terms days run from the issue date, across month ends", () => {
+  assert.strictEqual(computeDueDate("2026-01-31", 30, null), "2026-03-02");
+  assert.strictEqual(computeDueDate("2026-01-01", 0, null), "2026-01-01");
+});
+
+test("computeDueDate: blank terms fall back to the policy's net days, then Net 45", () => {
+  assert.strictEqual(computeDueDate("2026-01-01", "", null, 15), "2026-01-16");
+  assert.strictEqual(computeDueDate("2026-01-01", null, null), "2026-02-15");
+  assert.strictEqual(computeDueDate(null, 30, null), null);
+});
+
+test("the day before the due date is Due Soon with no fee", () => {
+  const c = computeCollections(invoice, net30, day(2026, 1, 30));
+  assert.strictEqual(c.dueDate, "2026-01-31");
+  assert.strictEqual(c.daysOverdue, -1);
+  assert.strictEqual(c.reminderStage, "Due Soon");
+  assert.strictEqual(c.lateFee, 0);
+  assert.strictEqual(c.reminderDue, false);
+});
+
+test("the first fee applies on the due date itself", () => {
+  const c = computeCollections(invoice, net30, day(2026, 1, 31));
+  assert.strictEqual(c.daysOverdue, 0);
+  assert.strictEqual(c.reminderStage, "Past Due");
+  assert.strictEqual(c.feeLevel, 1);
+  assert.strictEqual(c.lateFee, 100);
+  assert.strictEqual(c.reminderDue, true);
+});
+
+test("the next fee waits for a full escalation interval", () => {
+  const before = computeCollections(invoice, net30, day(2026, 3, 1)); // due + 29
+  assert.strictEqual(before.feeLevel, 1);
+  assert.strictEqual(before.reminderStage, "Past Due");
+
+  const at = computeCollections(invoice, net30, day(2026, 3, 2)); // due + 30
+  assert.strictEqual(at.feeLevel, 2);
+  assert.strictEqual(at.lateFee, 200);
+  assert.strictEqual(at.reminderStage, "Escalation +30");
+});
+
+test("compounding fees apply to the running balance", () => {
+  const c = computeCollections(invoice, { ...net30, compounding: 1 }, day(2026, 3, 2));
+  assert.strictEqual(c.lateFee, 210); // 1000 × (1.10² − 1)
+});
+
+test("fees are charged on what is still owed after retainage, credits, write-offs and payments", () => {
+  const inv = { ...invoice, retainageAmount: 100, creditAmount: 50, writeOffAmount: 50, amountPaid: 300 };
+  const c = computeCollections(inv, net30, day(2026, 1, 31));
+  assert.strictEqual(c.outstanding, 500);
+  assert.strictEqual(c.lateFee, 50);
+});
+
+test("no fee on a 0% policy, a settled invoice or a finance-charge invoice", () => {
+  const now = day(2026, 2, 15);
+  assert.strictEqual(computeCollections(invoice, { ...net30, feePct: 0 }, now).lateFee, 0);
+  assert.strictEqual(computeCollections({ ...invoice, amountPaid: 1000 }, net30, now).lateFee, 0);
+  assert.strictEqual(computeCollections({ ...invoice, financeChargeForInvoiceId: 9 }, net30, now).lateFee, 0);
+});
+
+test("the net term runs from the send date, ahead of a stored due date", () => {
+  const inv = { ...invoice, dueDate: day(2026, 1, 10), invoiceSentAt: day(2026, 1, 5) };
+  const c = computeCollections(inv, net30, day(2026, 2, 3));
+  assert.strictEqual(c.dueDate, "2026-02-04");
+  assert.strictEqual(c.daysOverdue, -1);
+});
+
+test("a reminder is due again only after the policy's cadence", () => {
+  const policy = { ...net30, reminderCadenceDays: 7 };
+  const reminded = { ...invoice, lastReminderAt: day(2026, 2, 1) };
+  assert.strictEqual(computeCollections(reminded, policy, day(2026, 2, 7)).reminderDue, false);
+  assert.strictEqual(computeCollections(reminded, policy, day(2026, 2, 8)).reminderDue, true);
+});
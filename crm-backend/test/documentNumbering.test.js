@@ -0,0 +1,41 @@
+// test/documentNumbering.test.js — npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { formatDocumentNumber, sequenceValueFor, firstFreeNumber } = require("../utils/documentNumbering");
+
+const seq = { prefix: "INV-", includeYear: 1, padLength: 4, yearlyReset: 1, nextValue: 42, currentYear: 2026 };
+
+test("numbers carry the prefix, year and zero padding", () => {
+  assert.strictEqual(formatDocumentNumber(seq, 42, 2026), "INV-2026-0042");
+  assert.strictEqual(formatDocumentNumber({ ...seq, includeYear: 0 }, 42, 2026), "INV-0042");
+  assert.strictEqual(formatDocumentNumber({ prefix: "", padLength: 0 }, 7, 2026), "7");
+});
+
+test("a value wider than the padding is not truncated", () => {
+  assert.strictEqual(formatDocumentNumber(seq, 12345, 2026), "INV-2026-12345");
+});
+
+test("padding is capped at 12 digits", () => {
+  assert.strictEqual(formatDocumentNumber({ padLength: 40 }, 1, 2026), "000000000001");
+});
+
+test("the counter continues within the same year", () => {
+  assert.strictEqual(sequenceValueFor(seq, 2026), 42);
+});
+
+test("a yearly-reset counter rolls over to 1 in a new year", () => {
+  assert.strictEqual(sequenceValueFor(seq, 2027), 1);
+  assert.strictEqual(formatDocumentNumber(seq, sequenceValueFor(seq, 2027), 2027), "INV-2027-0001");
+});
+
+test("without yearly reset, or before the first number, the counter carries on", () => {
+  assert.strictEqual(sequenceValueFor({ ...seq, yearlyReset: 0 }, 2027), 42);
+  assert.strictEqual(sequenceValueFor({ ...seq, currentYear: null }, 2027), 42);
+  assert.strictEqual(sequenceValueFor({ nextValue: 0 }, 2026), 1);
+});
+
+test("numbers already in use are skipped", async () => {
+  const taken = new Set(["INV-2026-0042", "INV-2026-0043"]);
+  const r = await firstFreeNumber(seq, 2026, async (n) => taken.has(n));
+  assert.deepStrictEqual(r, { value: 44, number: "INV-2026-0044" });
+});
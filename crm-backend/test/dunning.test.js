@@ -0,0 +1,64 @@
+// test/dunning.test.js — npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { advanceStages } = require("../utils/dunning");
+
+// One past-due invoice whose customer can be paused; drafts land in `queue`.
+function setup() {
+  const customer = { remindersPaused: true };
+  const inv = { id: 7, reminderStage: "Due Soon" };
+  const queue = [];
+  const hooks = {
+    stageFor: () => "Past Due",
+    draft: async (i) => {
+      if (customer.remindersPaused) return "held";
+      queue.push({ invoiceId: i.id, stage: "Past Due" });
+      return "queued";
+    },
+    saveStage: async (i, stage) => { i.reminderStage = stage; },
+  };
+  return { customer, inv, queue, hooks };
+}
+
+test("a held invoice keeps its stage and is drafted once the pause lifts", async () => {
+  const { customer, inv, queue, hooks } = setup();
+
+  const paused = await advanceStages([inv], hooks);
+  assert.deepStrictEqual(paused, { updated: 0, queued: 0, sent: 0, held: 1 });
+  assert.strictEqual(inv.reminderStage, "Due Soon");
+  assert.strictEqual(queue.length, 0);
+
+  customer.remindersPaused = false;
+  const resumed = await advanceStages([inv], hooks);
+  assert.deepStrictEqual(resumed, { updated: 1, queued: 1, sent: 0, held: 0 });
+  assert.strictEqual(inv.reminderStage, "Past Due");
+  assert.deepStrictEqual(queue, [{ invoiceId: 7, stage: "Past Due" }]);
+
+  // Nothing new the day after
+  await advanceStages([inv], hooks);
+  assert.strictEqual(queue.length, 1);
+});
+
+test("a failed draft keeps the old stage so the next run retries", async () => {
+  const { customer, inv, queue, hooks } = setup();
+  customer.remindersPaused = false;
+  const errors = [];
+  let fail = true;
+  const flaky = {
+    ...hooks,
+    draft: async (i) => {
+      if (fail) throw new Error("SMTP down");
+      return hooks.draft(i);
+    },
+    onError: (i, err) => errors.push(err.message),
+  };
+
+  await advanceStages([inv], flaky);
+  assert.strictEqual(inv.reminderStage, "Due Soon");
+  assert.deepStrictEqual(errors, ["SMTP down"]);
+
+  fail = false;
+  await advanceStages([inv], flaky);
+  assert.strictEqual(inv.reminderStage, "Past Due");
+  assert.strictEqual(queue.length, 1);
+});
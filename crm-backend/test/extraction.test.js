@@ -0,0 +1,17 @@
+// test/extraction.test.js — npm test
+// The golden-file extraction check (npm run test:extraction), one subtest per fixture.
+const test = require("node:test");
+const assert = require("node:assert");
+const { runHarness } = require("../utils/extractionHarness");
+
+test("PDF extraction matches the golden files", async (t) => {
+  const report = await runHarness();
+  assert.ok(report.fixtures.length > 0, "no extraction fixtures found");
+  for (const fx of report.fixtures) {
+    await t.test(fx.id, () => {
+      assert.ifError(fx.error);
+      const misses = fx.fields.filter((f) => !f.match).map((f) => ({ field: f.field, expected: f.expected, actual: f.actual }));
+      assert.deepStrictEqual(misses, []);
+    });
+  }
+});
@@ -0,0 +1,60 @@
+// test/invoiceTotals.test.js — npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const { invoiceBalance } = require("../utils/invoiceTotals");
+
+const base = { total: 1000, workBilled: 1000, retainagePct: 0, paid: 0, credits: 0, writeOffs: 0 };
+
+test("an unpaid invoice owes its total", () => {
+  const r = invoiceBalance(base);
+  assert.strictEqual(r.amountDue, 1000);
+  assert.strictEqual(r.balanceDue, 1000);
+  assert.strictEqual(r.settled, false);
+  assert.strictEqual(r.paymentStatus, "Unpaid");
+});
+
+test("retainage is held back on work billed, not on deposit credit lines", () => {
+  // $1,000 of work less a $300 deposit credit line → total $700; 10% retainage on the $1,000
+  const r = invoiceBalance({ ...base, total: 700, workBilled: 1000, retainagePct: 10 });
+  assert.strictEqual(r.retainageAmount, 100);
+  assert.strictEqual(r.amountDue, 600);
+});
+
+test("paying everything but the retainage settles the invoice as Paid", () => {
+  const r = invoiceBalance({ ...base, retainagePct: 5, paid: 950 });
+  assert.strictEqual(r.balanceDue, 0);
+  assert.strictEqual(r.settled, true);
+  assert.strictEqual(r.paymentStatus, "Paid");
+});
+
+test("credits and write-offs come off what is due", () => {
+  const r = invoiceBalance({ ...base, paid: 400, credits: 100.005, writeOffs: 50 });
+  assert.strictEqual(r.creditAmount, 100.01);
+  assert.strictEqual(r.amountDue, 849.99);
+  assert.strictEqual(r.balanceDue, 449.99);
+  assert.strictEqual(r.paymentStatus, "Partial");
+});
+
+test("an invoice settled by a write-off is Closed, not Paid", () => {
+  const r = invoiceBalance({ ...base, paid: 600, writeOffs: 400 });
+  assert.strictEqual(r.settled, true);
+  assert.strictEqual(r.paymentStatus, "Closed");
+});
+
+test("an invoice settled by credits alone is Closed", () => {
+  const r = invoiceBalance({ ...base, credits: 1000 });
+  assert.strictEqual(r.settled, true);
+  assert.strictEqual(r.paymentStatus, "Closed");
+});
+
+test("a zero invoice with nothing applied is not settled", () => {
+  const r = invoiceBalance({ ...base, total: 0, workBilled: 0 });
+  assert.strictEqual(r.settled, false);
+  assert.strictEqual(r.paymentStatus, "Unpaid");
+});
+
+test("a refund that reopens the balance drops back to Partial", () => {
+  const r = invoiceBalance({ ...base, paid: 1000 - 250 });
+  assert.strictEqual(r.balanceDue, 250);
+  assert.strictEqual(r.paymentStatus, "Partial");
+});
@@ -0,0 +1,144 @@
+// utils/collections.js
+// Due dates, late fees and reminder stages under a collection policy — the pure
+// part of collections in server.js, kept apart from the database so the
+// boundaries can be tested on their own.
+
+// Net days when no collection policy applies (Net 45).
+const DEFAULT_TERMS_DAYS = 45;
+
+// Resolution rule used EVERYWHERE a due date is set:
+//   dueDate = explicit dueDate if provided, else issueDate + (termsDays ?? policy net days)
+// Callers pass the customer's collection policy net days as netDays.
+// Returns 'YYYY-MM-DD' or null when there is no issue date to anchor from.
+function computeDueDate(issueDate, termsDays, explicitDueDate, netDays = DEFAULT_TERMS_DAYS) {
+  if (explicitDueDate && /^\d{4}-\d{2}-\d{2}/.test(String(explicitDueDate))) {
+    return String(explicitDueDate).slice(0, 10);
+  }
+  if (!issueDate) return null;
+  const base = new Date(String(issueDate).slice(0, 10) + "T00:00:00Z");
+  if (isNaN(base.getTime())) return null;
+  const days = (termsDays != null && termsDays !== "" && Number.isFinite(Number(termsDays)))
+    ? Number(termsDays)
+    : netDays;
+  base.setUTCDate(base.getUTCDate() + days);
+  return base.toISOString().split("T")[0];
+}
+
+// Terms and late-fee rules come from the customer's collection policy, else the
+// company default policy, else this: the terms the shop has always used.
+const FALLBACK_COLLECTION_POLICY = {
+  id: null, name: "Company default", netDays: DEFAULT_TERMS_DAYS, feePct: 15, compounding: 1,
+  escalationDays: 30, reminderCadenceDays: 30, termsText: null, isDefault: 1,
+};
+
+function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+// Calendar-day number (UTC) for a date — used for exact whole-day differences
+// that do NOT drift across daylight-saving boundaries.
+function dayNumber(d) {
+  const x = new Date(d);
+  return Math.floor(Date.UTC(x.getFullYear(), x.getMonth(), x.getDate()) / (24 * 60 * 60 * 1000));
+}
+
+// Compute collections fields for an invoice row under the customer's policy.
+// Returns { daysOverdue, daysSinceInvoice, dueDate, outstanding, lateFee, feeLevel, reminderStage, reminderDue }.
+// lateFee is what the policy says is owed by now; it's only billed once the
+// matching late_fees row is approved (see LATE FEES in server.js).
+function computeCollections(inv, policy = FALLBACK_COLLECTION_POLICY, now = new Date()) {
+  // Retainage held on a progress invoice isn't due until it's billed separately;
+  // credits and write-offs are no longer owed at all.
+  const total = (Number(inv.total) || 0) - (Number(inv.retainageAmount) || 0)
+    - (Number(inv.creditAmount) || 0) - (Number(inv.writeOffAmount) || 0);
+  const amountPaid = Number(inv.amountPaid) || 0;
+  const outstanding = round2(Math.max(0, total - amountPaid));
+
+  const todayNum = dayNumber(now);
+  // Collections clock start: when the invoice was emailed to the customer
+  // (invoiceSentAt) takes precedence — the net term runs from the send.
+  // Fall back to invoice date / docDate / createdAt for invoices never sent here.
+  const clockStartObj = inv.invoiceSentAt
+    ? new Date(inv.invoiceSentAt)
+    : (inv.issueDate ? new Date(inv.issueDate)
+      : (inv.docDate ? new Date(inv.docDate)
+        : (inv.createdAt ? new Date(inv.createdAt) : new Date(now))));
+  const issueNum = dayNumber(clockStartObj);
+
+  // dueDate = clockStart + net days when sent; else explicit invoices.dueDate; else invoice date + net days
+  const netDays = policy.netDays;
+  let dueNum, dueLabel;
+  if (inv.invoiceSentAt) {
+    dueNum = issueNum + netDays;
+    dueLabel = new Date(clockStartObj);
+    dueLabel.setDate(dueLabel.getDate() + netDays);
+  } else if (inv.dueDate) {
+    dueNum = dayNumber(inv.dueDate);
+    dueLabel = new Date(inv.dueDate);
+  } else {
+    dueNum = issueNum + netDays;
+    dueLabel = new Date(clockStartObj);
+    dueLabel.setDate(dueLabel.getDate() + netDays);
+  }
+
+  const daysOverdue = todayNum - dueNum;          // negative => not yet due
+  const daysSinceInvoice = todayNum - issueNum;
+
+  // ── Late fee policy (auditable) ──────────────────────────────────────────
+  //   Let B = outstanding balance (total - amountPaid), r = policy fee rate,
+  //   E = escalation interval (days).
+  //   When the invoice reaches its due date (daysOverdue >= 0), a fee of r is
+  //   applied to B; then another r for every additional full E days unpaid.
+  //   Number of applications:  n = 1 + floor(daysOverdue / E).
+  //   Compounding (each r applies to the running, fee-inclusive balance):
+  //       lateFee = B * ((1 + r)^n - 1)
+  //   Simple (each r applies to B only):
+  //       lateFee = B * r * n
+  //   A policy with a 0% rate never charges a fee, and a finance-charge
+  //   invoice never carries a fee of its own.
+  const escalationDays = policy.escalationDays;
+  const rate = (Number(policy.feePct) || 0) / 100;
+  let lateFee = 0;
+  let feeLevel = 0;
+  if (daysOverdue >= 0 && outstanding > 0 && rate > 0 && !inv.financeChargeForInvoiceId) {
+    feeLevel = 1 + Math.floor(daysOverdue / escalationDays);
+    lateFee = round2(policy.compounding
+      ? outstanding * (Math.pow(1 + rate, feeLevel) - 1)
+      : outstanding * rate * feeLevel);
+  }
+
+  // ── Reminder stage ───────────────────────────────────────────────────────
+  let reminderStage;
+  if (daysOverdue >= 0) {
+    const level = Math.floor(daysOverdue / escalationDays); // 0 at due, 1 at +E, ...
+    reminderStage = level === 0 ? "Past Due" : `Escalation +${level * escalationDays}`;
+  } else if (daysSinceInvoice >= 0) {
+    reminderStage = "Due Soon";   // issued, in the pre-due window (gentle nudge)
+  } else {
+    reminderStage = "None";       // future-dated / not yet issued
+  }
+
+  // Past due and not reminded within the policy's cadence.
+  const reminderDue = daysOverdue >= 0 && outstanding > 0 &&
+    (!inv.lastReminderAt || todayNum - dayNumber(inv.lastReminderAt) >= policy.reminderCadenceDays);
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const dueDateStr = `${dueLabel.getFullYear()}-${pad(dueLabel.getMonth() + 1)}-${pad(dueLabel.getDate())}`;
+
+  return {
+    daysOverdue,
+    daysSinceInvoice,
+    dueDate: dueDateStr,
+    outstanding,
+    lateFee,
+    feeLevel,
+    reminderStage,
+    reminderDue,
+  };
+}
+
+module.exports = {
+  DEFAULT_TERMS_DAYS,
+  FALLBACK_COLLECTION_POLICY,
+  computeDueDate,
+  dayNumber,
+  computeCollections,
+};
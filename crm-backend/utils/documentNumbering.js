@@ -0,0 +1,39 @@
+// utils/documentNumbering.js
+// Formatting and counter rules for invoice / estimate / job numbers. The row
+// locking lives in nextDocumentNumber (server.js); this is the arithmetic it
+// and the numbering settings preview share.
+
+// "INV-2026-0042" from prefix "INV-", includeYear, padLength 4 and value 42.
+function formatDocumentNumber(seq, value, year = new Date().getFullYear()) {
+  const digits = String(value).padStart(Math.min(Number(seq.padLength) || 0, 12), "0");
+  return `${seq.prefix || ""}${Number(seq.includeYear) ? `${year}-` : ""}${digits}`;
+}
+
+// The counter value the next document will get (yearly reset applied).
+function sequenceValueFor(seq, year) {
+  if (Number(seq.yearlyReset) && seq.currentYear != null && Number(seq.currentYear) !== year) return 1;
+  return Math.max(1, Number(seq.nextValue) || 1);
+}
+
+/**
+ * The first number at or after the sequence's next value that isn't already
+ * in use (counter set back, imported documents). Stops after 1000 tries with
+ * the last candidate.
+ *
+ * @param {object} seq  document_sequences row
+ * @param {number} year
+ * @param {(number: string) => Promise<boolean>} isTaken
+ * @returns {Promise<{ value: number, number: string }>}
+ */
+async function firstFreeNumber(seq, year, isTaken) {
+  let value = sequenceValueFor(seq, year);
+  let number = formatDocumentNumber(seq, value, year);
+  for (let tries = 0; tries < 1000; tries++) {
+    if (!(await isTaken(number))) break;
+    value += 1;
+    number = formatDocumentNumber(seq, value, year);
+  }
+  return { value, number };
+}
+
+module.exports = { formatDocumentNumber, sequenceValueFor, firstFreeNumber };
@@ -0,0 +1,39 @@
+// utils/dunning.js
+// The stage-advance step of the daily dunning run (advanceReminderStages in
+// server.js), kept apart from the database so it can be tested on its own.
+
+/**
+ * For every invoice whose computed reminderStage differs from its stored one,
+ * draft the reminder for the new stage and then store the stage.
+ *
+ * An invoice whose reminder is held (customer paused / in dispute, address
+ * suppressed) or whose draft failed keeps its old stage, so it still looks
+ * "new" on the next run and is drafted once the hold lifts.
+ *
+ * @param {object[]} invoices  open invoices, each with its stored reminderStage
+ * @param {object} hooks
+ * @param {(inv: object) => string} hooks.stageFor  the stage the invoice is in today
+ * @param {(inv: object) => Promise<'queued'|'sent'|'held'|null>} hooks.draft
+ * @param {(inv: object, stage: string) => Promise<void>} hooks.saveStage
+ * @param {(inv: object, err: Error) => void} [hooks.onError]
+ * @returns {Promise<{ updated: number, queued: number, sent: number, held: number }>}
+ */
+async function advanceStages(invoices, { stageFor, draft, saveStage, onError }) {
+  const counts = { updated: 0, queued: 0, sent: 0, held: 0 };
+  for (const inv of invoices) {
+    const stage = stageFor(inv);
+    if (stage === (inv.reminderStage || "None")) continue;
+    try {
+      const outcome = await draft(inv);
+      if (outcome) counts[outcome]++;
+      if (outcome === "held") continue;
+      await saveStage(inv, stage);
+      counts.updated++;
+    } catch (err) {
+      if (onError) onError(inv, err);
+    }
+  }
+  return counts;
+}
+
+module.exports = { advanceStages };
@@ -0,0 +1,167 @@
+// utils/extractionHarness.js
+// ============================================================
+// EXTRACTION HARNESS - golden-file regression checks
+// ============================================================
+//
+// Fixtures live under fixtures/extraction/<kind>/ (any depth), one sample per
+// file plus the output we expect from it:
+//
+//   work-orders/kfm/victorias-secret-doors.txt             sample (.txt or .pdf)
+//   work-orders/kfm/victorias-secret-doors.expected.json   expected fields
+//
+// Kinds: "work-orders" runs extractWorkOrderFields (what /work-orders/extract-pdf
+// returns), "purchase-orders" runs analyzePoText (supplier + PO # detection).
+// Only the fields listed in the expected file are scored; null means "expect
+// nothing found". .txt samples are the text a PDF produced, so they run without
+// pdf-parse or OCR; .pdf samples go through extractTextSmart like an upload.
+//
+// Used by scripts/extraction-regression.js and the /extraction playground routes.
+
+const fs = require("fs");
+const path = require("path");
+const { extractTextSmart, extractWorkOrderFields, analyzePoText } = require("./poVendorDetector");
+
+const FIXTURE_ROOT = path.resolve(__dirname, "..", "fixtures", "extraction");
+const SAMPLE_EXTENSIONS = [".txt", ".pdf"];
+
+const WORK_ORDER_FIELDS = [
+  "customer",
+  "billingAddress",
+  "workOrderNumber",
+  "poNumber",
+  "siteLocation",
+  "siteAddress",
+  "problemDescription",
+];
+const PURCHASE_ORDER_FIELDS = ["supplier", "poNumber"];
+
+const KINDS = {
+  "work-orders": {
+    fields: WORK_ORDER_FIELDS,
+    extract: (text, { profileKey } = {}) => extractWorkOrderFields(text, { profileKey }),
+  },
+  "purchase-orders": {
+    fields: PURCHASE_ORDER_FIELDS,
+    extract: (text) => analyzePoText(text),
+  },
+};
+
+// The extractors log every regex attempt; that drowns a 50-fixture report.
+// They're synchronous, so muting around the call can't swallow anyone else's logs.
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Run one kind's extractor over text and keep only the scored fields.
+ */
+function extractFields(kind, text, { profileKey, quiet = true } = {}) {
+  const spec = KINDS[kind];
+  if (!spec) throw new Error(`Unknown extraction kind "${kind}"`);
+  const run = () => spec.extract(text || "", { profileKey });
+  const raw = quiet ? quietly(run) : run();
+  const fields = {};
+  for (const f of spec.fields) fields[f] = raw[f] ?? null;
+  return fields;
+}
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null) || (!a && !b);
+
+/**
+ * Field-by-field comparison. Returns [{ field, expected, actual, match }] for
+ * every field named in `expected`.
+ */
+function diffFields(expected, actual) {
+  return Object.keys(expected || {}).map((field) => ({
+    field,
+    expected: expected[field] ?? null,
+    actual: actual[field] ?? null,
+    match: sameValue(expected[field], actual[field]),
+  }));
+}
+
+/**
+ * Every fixture under FIXTURE_ROOT. `filter` is a substring of the fixture id
+ * ("work-orders/kfm/victorias-secret-doors").
+ */
+function listFixtures(filter = "") {
+  const out = [];
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        continue;
+      }
+      const ext = path.extname(entry.name).toLowerCase();
+      if (!SAMPLE_EXTENSIONS.includes(ext)) continue;
+      const id = path.relative(FIXTURE_ROOT, full).slice(0, -ext.length).split(path.sep).join("/");
+      const kind = id.split("/")[0];
+      if (!KINDS[kind] || (filter && !id.includes(filter))) continue;
+      out.push({ id, kind, samplePath: full, expectedPath: full.slice(0, -ext.length) + ".expected.json" });
+    }
+  };
+  walk(FIXTURE_ROOT);
+  return out.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function readSampleText(samplePath) {
+  if (path.extname(samplePath).toLowerCase() === ".pdf") return extractTextSmart(samplePath);
+  return fs.readFileSync(samplePath, "utf8");
+}
+
+/**
+ * Run fixtures and score them. With `update`, the current output is written as
+ * the new expected file (review the git diff before committing it).
+ * Returns { fixtures, accuracy: { field: { correct, total } }, passed, failed }.
+ */
+async function runHarness({ filter = "", update = false } = {}) {
+  const fixtures = [];
+  const accuracy = {};
+
+  for (const fx of listFixtures(filter)) {
+    const result = { id: fx.id, kind: fx.kind, fields: [], passed: false, error: null };
+    try {
+      const text = await readSampleText(fx.samplePath);
+      const actual = extractFields(fx.kind, text);
+
+      if (update) {
+        fs.writeFileSync(fx.expectedPath, JSON.stringify(actual, null, 2) + "\n");
+      } else if (!fs.existsSync(fx.expectedPath)) {
+        throw new Error("No .expected.json — run with --update to create it");
+      }
+
+      const expected = JSON.parse(fs.readFileSync(fx.expectedPath, "utf8"));
+      result.fields = diffFields(expected, actual);
+      result.passed = result.fields.every((f) => f.match);
+      for (const f of result.fields) {
+        const acc = (accuracy[f.field] = accuracy[f.field] || { correct: 0, total: 0 });
+        acc.total++;
+        if (f.match) acc.correct++;
+      }
+    } catch (err) {
+      result.error = err.message;
+    }
+    fixtures.push(result);
+  }
+
+  const passed = fixtures.filter((f) => f.passed).length;
+  return { fixtures, accuracy, passed, failed: fixtures.length - passed };
+}
+
+module.exports = {
+  FIXTURE_ROOT,
+  WORK_ORDER_FIELDS,
+  PURCHASE_ORDER_FIELDS,
+  extractFields,
+  diffFields,
+  listFixtures,
+  runHarness,
+};
@@ -0,0 +1,42 @@
+// utils/invoiceTotals.js
+// The balance arithmetic of recalcInvoiceTotals (server.js): what an invoice
+// still owes once retainage, credits and write-offs come off, and whether that
+// settles it. Kept apart from the database so it can be tested on its own.
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Due = total - retainage held - credits (incl. waived late fees) - write-offs.
+ *
+ * Retainage is held back on the work billed (deposit credit lines aren't work)
+ * and isn't due until a retainage-release invoice bills it. A settled invoice is
+ * 'Paid' when the customer's money settled it, 'Closed' when a write-off or
+ * credits alone did.
+ *
+ * @param {object} f
+ * @param {number} f.total         invoice total including tax
+ * @param {number} f.workBilled    sum of the lines that aren't deposit credits
+ * @param {number} f.retainagePct  percent of workBilled held back
+ * @param {number} f.paid          payments, net of refunds
+ * @param {number} f.credits       credit memos and waived late fees
+ * @param {number} f.writeOffs
+ * @returns {{ retainageAmount: number, creditAmount: number, writeOffAmount: number, amountDue: number,
+ *   amountPaid: number, balanceDue: number, settled: boolean, paymentStatus: 'Paid'|'Closed'|'Partial'|'Unpaid' }}
+ */
+function invoiceBalance({ total, workBilled, retainagePct, paid, credits, writeOffs }) {
+  const retainageAmount = Number(retainagePct) > 0 ? Math.round((Number(workBilled) || 0) * Number(retainagePct)) / 100 : 0;
+  const creditAmount = round2(credits);
+  const writeOffAmount = round2(writeOffs);
+  const amountDue = round2((Number(total) || 0) - retainageAmount - creditAmount - writeOffAmount);
+  const amountPaid = round2(paid);
+  const balanceDue = round2(amountDue - amountPaid);
+  const settled = balanceDue <= 0 && (amountPaid > 0 || creditAmount > 0 || writeOffAmount > 0);
+
+  let paymentStatus = "Unpaid";
+  if (settled) paymentStatus = writeOffAmount > 0 || amountPaid <= 0 ? "Closed" : "Paid";
+  else if (amountPaid > 0) paymentStatus = "Partial";
+
+  return { retainageAmount, creditAmount, writeOffAmount, amountDue, amountPaid, balanceDue, settled, paymentStatus };
+}
+
+module.exports = { invoiceBalance };
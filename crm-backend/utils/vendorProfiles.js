@@ -0,0 +1,422 @@
+// utils/vendorProfiles.js
+// ============================================================
+// VENDOR PROFILES - one registry for every national account
+// ============================================================
+//
+// Shared by the PDF extractor (poVendorDetector → /work-orders/extract-pdf) and
+// the email ingest worker, so onboarding a new account means adding one entry
+// here instead of touching both.
+//
+// A profile is:
+//   displayName     customer name written onto the work order
+//   billingAddress  that customer's billing address (the default customer)
+//   senderDomains   email domains the worker accepts work orders from
+//   names           markers that identify the account in PDF text (substring,
+//                   case-insensitive; first profile to match wins, so order matters)
+//   skipPoNumber    never fall back to the generic PO # detector
+//   fields          PDF text → field rules (see extractProfileFields)
+//   emailFields     email body → field rules, for accounts that send the work
+//                   order in the body instead of as a PDF
+//
+// Field rules are tried in order; the first one that yields a value wins. A rule
+// is a RegExp (capture group 1, trimmed), { re, format, within } where
+// format(match) shapes the value (return null to keep looking) and `within`
+// limits the search to the first N characters, or a function (text) => value.
+
+/**
+ * Title-case a string: "sweetgreen restaurant #122" → "Sweetgreen Restaurant #122"
+ */
+function toTitleCase(str) {
+  if (!str) return str;
+  return str.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+const firstGroup = (m) => (m[1] || '').trim();
+const oneLine = (s) => String(s || '').replace(/\n+/g, ' ').replace(/\s+/g, ' ').trim();
+const stripPageNumber = (s) => s.replace(/\s*page\s*\d+\s*(?:of\s*\d+)?\s*$/gi, '').trim();
+
+/**
+ * "9800 76th st\npleasant prairie, wi 53158" → "9800 76th St, Pleasant Prairie, WI 53158[, USA]"
+ */
+function formatStreetAddress(raw, { appendUsa = false } = {}) {
+  let addr = String(raw || '').replace(/\n+/g, ', ').replace(/[ \t]+/g, ' ').replace(/,\s*,/g, ',').trim();
+  if (!addr) return null;
+
+  const parts = addr.match(/^(.+?),\s*(.+?),?\s+([a-z]{2})\s+(\d{5}(?:-\d{4})?)(.*)$/i);
+  if (parts) {
+    addr = `${toTitleCase(parts[1].trim())}, ${toTitleCase(parts[2].trim())}, ${parts[3].toUpperCase()} ${parts[4]}`;
+    if (appendUsa) addr += ', USA';
+  } else {
+    addr = toTitleCase(addr);
+    if (appendUsa && !addr.toLowerCase().includes('usa')) addr += ', USA';
+  }
+  return addr;
+}
+
+// Address rules: one capture (whole address) or two (street, city/state/zip)
+const usAddress = (m) => formatStreetAddress(m[2] ? `${m[1].trim()}, ${m[2].trim()}` : m[1], { appendUsa: true });
+
+/**
+ * "{site} at&t #atr001998" → "AT&T #atr001998" (store name uppercased; the
+ * #identifier too when upperId is set)
+ */
+function formatStoreLocation(raw, { upperId = false } = {}) {
+  const loc = String(raw || '').trim().replace(/^\{?\s*site\s*\}?\s*/i, '');
+  if (!loc) return null;
+  const parts = loc.match(/^(.+?)\s*(#[a-z0-9]+)$/i);
+  if (!parts) return loc.toUpperCase();
+  return `${parts[1].trim().toUpperCase()} ${upperId ? parts[2].toUpperCase() : parts[2]}`;
+}
+
+// Email bodies: "Label: value" lines and street + city/state/zip line pairs
+function valueAfter(label) {
+  return new RegExp(`^\\s*${label}\\s*:\\s*(.+)$`, 'im');
+}
+
+function addressBlock(body) {
+  const lines = String(body || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (/\d{1,5}\s+.+(St|Street|Ave|Avenue|Rd|Road|Blvd|Dr|Drive|Ct|Court)/i.test(lines[i]) &&
+        /(,?\s*[A-Z]{2}\s*\d{5}(-\d{4})?$)/.test(lines[i + 1])) {
+      return `${lines[i]}, ${lines[i + 1]}`;
+    }
+  }
+  return null;
+}
+
+const nteAmount = (m) => m[1].replace(/USD|\$/g, '').trim();
+
+// Store name + address block shared by the 1st Time Fixed location and address rules
+const FTF_CUSTOMER_BLOCK = /customer\s*\/?\s*location[: \t]*([\s\S]*?)(?=\n[ \t]*(?:phone|fax|email|vendor\b|w\.?o\.?\s|work\s*desc|store\s*manager|special|billing|nte\b|\n[ \t]*\n))/i;
+const blockLines = (m) => m[1].split('\n').map(l => l.trim()).filter(l => l.length > 0);
+
+const VENDOR_PROFILES = {
+  /**
+   * Clear Vision (OCR text is always lowercase)
+   *
+   *   #R77544
+   *   SERVICE LOCATION
+   *   #122 Sweetgreen Restaurant #122
+   *   1471 N. Milwaukee Ave Wicker Park
+   *   Chicago IL  60622
+   *   SERVICE INSTRUCTIONS
+   *   The door near the restrooms is not closing properly. ...
+   */
+  CLEAR_VISION: {
+    displayName: "Clear Vision",
+    billingAddress: "1525 Rancho Conejo Blvd. STE #207, Newbury Park, CA 91320",
+    senderDomains: ["clearvisionfm.com"],
+    names: ["CLEAR VISION", "CLEARVISION", "CLEAR VISION FACILITIES"],
+    fields: {
+      workOrderNumber: [/#?(r\d{4,6})/i],
+      // "#122 sweetgreen restaurant #122" → "Sweetgreen Restaurant #122"
+      siteLocation: [
+        { re: /service location\s*\n+\s*([^\n]+)/i, format: (m) => toTitleCase(m[1].trim().replace(/^#\d+\s+/, '')) },
+      ],
+      // Street line, then "chicago il  60622" → "Chicago, IL 60622"
+      siteAddress: [{
+        re: /service location\s*\n+[^\n]+\n+\s*(\d+[^\n]+)\n+\s*([^\n]*\d{5}[^\n]*)/i,
+        format: (m) => {
+          let cityLine = m[2].trim().replace(/\s+/g, ' ');
+          const csz = cityLine.match(/^(.+?)\s+([a-z]{2})\s+(\d{5}(?:-\d{4})?)(.*)$/i);
+          if (csz) {
+            const rest = csz[4] ? csz[4].trim() : '';
+            cityLine = `${toTitleCase(csz[1])}, ${csz[2].toUpperCase()} ${csz[3]}${rest ? ' ' + rest : ''}`;
+          } else {
+            cityLine = toTitleCase(cityLine);
+          }
+          return `${toTitleCase(m[1].trim())}, ${cityLine}`;
+        },
+      }],
+      // Only the SERVICE INSTRUCTIONS text — stop before WO numbers, labels, dates or a blank line
+      problemDescription: [{
+        re: /service instructions\s*\n+([\s\S]*?)(?=#?r\d{4,6}|\bwork order\b|\bdate\s*:|\n\s*\n|$)/i,
+        format: (m) => {
+          let desc = m[1].trim()
+            .replace(/#?r\d{4,6}/gi, '')
+            .replace(/work\s*order[^.\n]*/gi, '')
+            .replace(/date:\s*\d{4}-\d{2}-\d{2}/gi, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+          if (!desc) return null;
+          desc = desc.charAt(0).toUpperCase() + desc.slice(1);
+          return desc.replace(/\.\s+([a-z])/g, (_, c) => '. ' + c.toUpperCase());
+        },
+      }],
+    },
+    emailFields: {
+      workOrderNumber: [{ re: valueAfter('Work Order Number'), format: (m) => m[1].trim().replace(/^#/, '') }],
+      siteLocation: [{ re: valueAfter('Service Location'), format: (m) => m[1].split('-')[0].trim() }],
+      siteAddress: [addressBlock],
+      problemDescription: [valueAfter('Additional Details'), valueAfter('Problem')],
+      poNumber: [valueAfter('PO')],
+      nte: [{ re: valueAfter('NTE'), format: nteAmount }],
+    },
+  },
+
+  /**
+   * True Source (OCR text is always lowercase)
+   *
+   *   WO #: WO-03237351
+   *   Site Name & Number:
+   *   at&t #atr001998
+   *   Site Address:
+   *   9800 76th St, Pleasant Prairie, WI 53158
+   *   Problem Reported:
+   *   lock/unlock door *262-220-1545 zachary* wo check in/out phone #: ...
+   */
+  TRUE_SOURCE: {
+    displayName: "True Source",
+    billingAddress: "263 Jenckes Hill Rd, Lincoln, RI 02865",
+    senderDomains: ["truesource.com"],
+    names: ["TRUESOURCE", "TRUE SOURCE", "TRUESOURCE.COM"],
+    skipPoNumber: true,
+    fields: {
+      workOrderNumber: [
+        /wo[#:\s-]*wo-?(\d{7,8})/i,
+        /work\s*order[#:\s-]*(\d{7,8})/i,
+        /\bwo-(\d{7,8})\b/i,
+        /\b(0\d{7})\b/, // standalone 0-prefixed 8-digit number
+      ],
+      siteLocation: [
+        { re: /site\s*name\s*(?:&|and)?\s*(?:number)?[:\s]*\n+\s*([^\n]+)/i, format: (m) => formatStoreLocation(m[1]) },
+        { re: /\b([a-z][a-z&'.]+\s*#[a-z0-9]+)\b/i, format: (m) => formatStoreLocation(m[1]) },
+      ],
+      // Most specific first. [: \t]* rather than [:\s]* so the header can't eat the newline.
+      siteAddress: [
+        { re: /site\s*address[: \t]*\n+[ \t]*([\s\S]*?)(?=\n[ \t]*(?:site\s*contact|contact\s*name|contact\s*phone|customer\b|phone\b|problem|scope|description|priority|trade|nte\b|service\s*type|dispatch|wo\s|work\s*order)|\n[ \t]*\n)/i, format: usAddress },
+        { re: /site\s*address[: \t]+(\d+[^\n]+)/i, format: usAddress },
+        { re: /(?:service\s*)?address[: \t]*\n+[ \t]*([\s\S]*?)(?=\n[ \t]*(?:contact|phone|problem|scope|description|priority|trade|nte\b|dispatch|wo\s|work\s*order)|\n[ \t]*\n)/i, format: usAddress },
+        { re: /(?:service\s*)?address[: \t]+(\d+[^\n]+)/i, format: usAddress },
+        { re: /(\d+[^\n]+(?:st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|parkway|hwy|highway)\.?)[ \t]*[,\n]+[ \t]*([a-z][a-z \t.]+,?[ \t]*[a-z]{2}[ \t]+\d{5}(?:-\d{4})?)/i, format: usAddress },
+        { re: /(\d+[ \t]+[^\n]{3,30})\n+[ \t]*([a-z][a-z \t.]+,?[ \t]*[a-z]{2}[ \t]+\d{5}(?:-\d{4})?)/i, format: usAddress },
+        { re: /(\d+[^\n,]+,[ \t]*[a-z][a-z \t.]+,?[ \t]*[a-z]{2}[ \t]+\d{5}(?:-\d{4})?)/i, format: usAddress },
+      ],
+      // Techs need everything after the header: contacts, phone numbers, IVR codes, store hours
+      problemDescription: [
+        { re: /(?:problem\s*reported|scope\s*of\s*work|work\s*description|description|notes|instructions)[:\s]*\n+([\s\S]*?)(?=\n\s*(?:attachments|documents|files|action\s*required|work\s*plan|vendor\s*info|billing|payment|dispatch|technician\s*notes)\b|\s*$)/i, format: (m) => stripPageNumber(oneLine(m[1])) },
+        { re: /((?:lock\/unlock|check\s*in\/out|phone\s*#|ivr\s*code|service\s*type)[\s\S]+?)(?=\n\s*(?:attachments|documents|vendor|billing|payment|dispatch)\b|\s*$)/i, format: (m) => oneLine(m[1]) },
+      ],
+    },
+    emailFields: {
+      workOrderNumber: [valueAfter('Work Order'), valueAfter('WO')],
+      siteLocation: [valueAfter('Site Name'), valueAfter('Site Store Number')],
+      siteAddress: [addressBlock, valueAfter('Site Address')],
+      problemDescription: [valueAfter('Description of Work'), valueAfter('Service Description')],
+      nte: [{ re: valueAfter('NTE'), format: nteAmount }],
+    },
+  },
+
+  /**
+   * CLM (OCR text is always lowercase). The "VENDOR PO #" is our work order number.
+   *
+   *   VENDOR PO #
+   *   450089-01
+   *   SERVICE LOCATION
+   *   CVS #07142I01
+   *   16760 W 167th St
+   *   Lockport, IL 60441
+   *   SERVICE DESCRIPTION
+   *   front store / door - automatic / sliding doors / cracked/broken glass / ...
+   */
+  CLM_MIDWEST: {
+    displayName: "CLM",
+    billingAddress: "2655 Erie St. River Grove, IL 60171",
+    senderDomains: ["officetrax.com"],
+    names: ["CLM MIDWEST", "CLM", "CLMMIDWEST", "CLM SERVICES", "C.L.M"],
+    skipPoNumber: true,
+    fields: {
+      workOrderNumber: [
+        /vendor\s*po\s*#?\s*[:\s]*?(\d+[\-–—]?\d*)/i,
+        /vendor\s*po[\s#:]*(\d{4,}[\-–—]?\d*)/i,
+        /vendor\s*po[^\n]*\n\s*(\d{4,}[\-–—]?\d*)/i,
+        { re: /\b(\d{5,}[\-–—]\d{1,3})\b/, within: 500 }, // "450089-01" near the top
+      ],
+      siteLocation: [
+        { re: /service\s*location[: \t]*\n+[ \t]*([^\n]+)/i, format: (m) => formatStoreLocation(m[1], { upperId: true }) },
+        { re: /\b([a-z][a-z&'.]+\s*#[a-z0-9]+)\b/i, format: (m) => formatStoreLocation(m[1], { upperId: true }) },
+      ],
+      siteAddress: [
+        { re: /service\s*location[: \t]*\n+[^\n]+\n+[ \t]*([\s\S]*?)(?=\n[ \t]*(?:phone|service\s*description|service\s*type|contact|billing|nte\b|store\s*stamp|dispatch|\n[ \t]*\n))/i, format: usAddress },
+        { re: /(?:site\s*)?address[: \t]*\n+[ \t]*([\s\S]*?)(?=\n[ \t]*(?:contact|phone|problem|service\s*description|billing|nte\b|dispatch|\n[ \t]*\n))/i, format: usAddress },
+        { re: /(\d+[^\n]+(?:st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|hwy)\.?)[ \t]*[,\n]+[ \t]*([a-z][a-z \t.]+,?[ \t]*[a-z]{2}[ \t]+\d{5}(?:-\d{4})?)/i, format: usAddress },
+        { re: /(\d+[^\n,]+,[ \t]*[a-z][a-z \t.]+,?[ \t]*[a-z]{2}[ \t]+\d{5}(?:-\d{4})?)/i, format: usAddress },
+      ],
+      problemDescription: [
+        { re: /service\s*description[: \t]*\n+([\s\S]*?)(?=\n[ \t]*(?:billing|store\s*stamp|nte\b|vendor|payment|dispatch|technician|attachments|documents|\n[ \t]*\n)|\s*$)/i, format: (m) => stripPageNumber(oneLine(m[1])) },
+        { re: /(?:problem|issue|description|scope|notes|instructions)[: \t]*\n+([\s\S]*?)(?=\n[ \t]*(?:billing|contact|phone|attachments|documents|\n[ \t]*\n)|\s*$)/i, format: (m) => oneLine(m[1]) },
+      ],
+    },
+  },
+
+  /**
+   * 1st Time Fixed (OCR text is always lowercase)
+   *
+   *   CUSTOMER / LOCATION:
+   *   LITTLE CAESARS 01724
+   *   6233 Hohman Ave
+   *   Hammond, IN 46324
+   *   W.O. NUMBER: 336317184
+   *   WORK DESCRIPTION:
+   *   "CUSTOMER AREA / DOOR REPAIR / ENTRY DOOR / DOOR CLOSER / DOOR CLOSER BROKEN ..."
+   */
+  FIRST_TIME_FIXED: {
+    displayName: "1st Time Fixed",
+    billingAddress: "334 Kevyn Ln, Bensenville, IL 60106",
+    senderDomains: ["1sttimefixed.com"],
+    names: ["1ST TIME FIXED", "1st Time Fixed", "1STTIMEFIXED", "FIRST TIME FIXED"],
+    skipPoNumber: true,
+    fields: {
+      workOrderNumber: [
+        /w\.?o\.?\s*(?:#|number)[:\s]*(\d+)/i,
+        /w\.?o\.?\s*(?:#|number)[: \t]*\n[ \t]*(\d+)/i,
+      ],
+      // The store name sits on the label line or the one after it; drop a trailing store code ("01724")
+      siteLocation: [{
+        re: FTF_CUSTOMER_BLOCK,
+        format: (m) => {
+          const [name] = blockLines(m);
+          return name ? name.replace(/\s+\d{4,}$/, '').toUpperCase().trim() : null;
+        },
+      }],
+      // The lines after the store name, up to the next section
+      siteAddress: [{
+        re: FTF_CUSTOMER_BLOCK,
+        format: (m) => {
+          const addrLines = [];
+          for (const line of blockLines(m).slice(1)) {
+            if (/^(?:phone|fax|email|vendor|w\.?o\.?|work\s*desc|store|special|billing)/i.test(line)) break;
+            addrLines.push(line);
+          }
+          const raw = addrLines.join(', ');
+          // 1TF's own billing address is not a job site
+          if (!raw || /bensenville|kevyn/i.test(raw)) return null;
+          return formatStreetAddress(raw);
+        },
+      }],
+      // "work description" only — plain "description" hits invoice boilerplate
+      problemDescription: [
+        { re: /work\s*description[: \t]*\n?[ \t]*"([^"]+)"/i, format: (m) => oneLine(m[1]).toUpperCase() },
+        {
+          re: /work\s*description[: \t]*\n?[ \t]*([\s\S]*?)(?=\n[ \t]*(?:special\s*instruction|store\s*manager|store\s*stamp|vendor\b|submit\s*all|before\s*and\s*after|invoice|billing|nte\b|\n[ \t]*\n))/i,
+          format: (m) => oneLine(m[1].trim().replace(/^"/, '').replace(/"$/, '')).toUpperCase(),
+        },
+      ],
+    },
+  },
+
+  /**
+   * KFM (digital PDF). pdf-parse separates words with tabs and glues labels to
+   * their values ("LocationVictoria's", "Address52"). The WO # in the header is
+   * an image, so the Client Tracking Number stands in for it.
+   *
+   *   Repair\tTypeDoors\t-\tDoor\tRepair
+   *   VS\tfront\tdoors,\tnext\tto\trevolving\tdoors, ...
+   *   LocationVictoria's\tSecret\t/\tVSS-405
+   *   Address52\tOAKBROOK\tCTR,\tSPACE\t52\t,\t60523,\tOak
+   *   Brook,\tIllinois,\tUnited\tStates
+   *   Client\tTracking\tNumber\t#5116700
+   */
+  KFM: {
+    displayName: "KFM",
+    billingAddress: "15947 Frederick Road, Woodbine, MD 21797",
+    senderDomains: ["kfm247.com"],
+    names: ["KFM", "KFM247", "KFM 247"],
+    fields: {
+      workOrderNumber: [
+        /Work\s*Order\s*Number\s*#?\s*(\d+)/i,
+        /Client\s+Tracking\s+Number\s+#(\d+)/i,
+      ],
+      // Not "Location\tPhone" — that's the phone field
+      siteLocation: [{ re: /\nLocation(?![\s\t]*Phone)(.+)/i, format: (m) => m[1].replace(/\t/g, ' ').trim() }],
+      siteAddress: [{
+        re: /\nAddress(\d[\s\S]*?)(?:\nRT-|\nCompleted|\nIVR|\nClient|\nBefore|\nNeeded)/i,
+        format: (m) => m[1]
+          .replace(/,?\s*United\s+States\s*$/i, '')
+          .replace(/[\t\n]+/g, ' ').replace(/\s+/g, ' ').trim()
+          .replace(/\s*,\s*/g, ', ').replace(/,\s*$/, '').trim(),
+      }],
+      // Unlabelled text between the "Repair Type" line and "Location"
+      problemDescription: [
+        { re: /Repair\s+Type[^\n]*\n([\s\S]*?)\nLocation/i, format: (m) => oneLine(m[1].replace(/\t/g, ' ')).substring(0, 1000).trim() },
+        { re: /Description\s+from\s+Client\s*\n?([\s\S]*?)(?:\nLocation|\nService\s+Location|\nService\s+Requested)/i, format: (m) => oneLine(m[1].replace(/\t/g, ' ')).substring(0, 1000).trim() },
+      ],
+    },
+  },
+};
+
+/**
+ * Run a profile's field rules over text. Returns only the fields that matched.
+ * `which` picks the rule set: "fields" (PDF text) or "emailFields" (email body).
+ */
+function extractProfileFields(profileKey, text, which = "fields") {
+  const profile = VENDOR_PROFILES[profileKey];
+  const rules = profile && profile[which];
+  const result = {};
+  if (!rules || !text) return result;
+
+  for (const [field, candidates] of Object.entries(rules)) {
+    for (let i = 0; i < candidates.length; i++) {
+      const rule = candidates[i];
+      let value = null;
+      if (typeof rule === 'function') {
+        value = rule(text);
+      } else {
+        const { re, format = firstGroup, within } = rule instanceof RegExp ? { re: rule } : rule;
+        const m = (within ? text.substring(0, within) : text).match(re);
+        if (m) value = format(m);
+      }
+      if (value) {
+        result[field] = value;
+        console.log(`[${profile.displayName}] ${field} matched rule ${i + 1}:`, String(value).substring(0, 100));
+        break;
+      }
+    }
+    if (!result[field]) console.log(`[${profile.displayName}] WARNING: no ${field} found`);
+  }
+
+  return result;
+}
+
+/**
+ * Which profile a PDF / email body belongs to. Returns the profile key
+ * (e.g. "CLEAR_VISION") or null.
+ */
+function detectVendorProfile(text) {
+  if (!text) return null;
+  const upperText = text.toUpperCase();
+
+  for (const [profileKey, profile] of Object.entries(VENDOR_PROFILES)) {
+    for (const name of profile.names) {
+      if (upperText.includes(name.toUpperCase())) {
+        console.log(`[WO Extract] Detected customer: ${profile.displayName} (matched "${name}")`);
+        return profileKey;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Which profile an email sender belongs to ("dispatch@kfm247.com" → "KFM").
+ * Subdomains count ("x@mail.truesource.com"). Returns the profile key or null.
+ */
+function profileForSender(address) {
+  const domain = String(address || '').trim().toLowerCase().split('@').pop();
+  if (!domain) return null;
+
+  for (const [profileKey, profile] of Object.entries(VENDOR_PROFILES)) {
+    if ((profile.senderDomains || []).some(d => domain === d || domain.endsWith(`.${d}`))) {
+      return profileKey;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  VENDOR_PROFILES,
+  toTitleCase,
+  extractProfileFields,
+  detectVendorProfile,
+  profileForSender,
+};
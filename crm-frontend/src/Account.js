@@ -0,0 +1,238 @@
+// File: src/Account.js
+// Change your own password and manage signed-in devices. Login sends users here
+// when an admin invite or reset left them on a temporary password
+// (mustChangePassword).
+import React, { useCallback, useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import api, { clearSession } from "./api";
+import { getSession } from "./auth";
+import "./Invoices.css";
+
+const FIELD = {
+  boxSizing: "border-box",
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: 8,
+  fontSize: 14,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const LABEL = { fontSize: 12, fontWeight: 600, color: "var(--text-secondary)", display: "block", marginBottom: 4 };
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  whiteSpace: "nowrap",
+};
+
+const fmtWhen = (d) => {
+  if (!d) return "—";
+  const dt = new Date(String(d).replace(" ", "T"));
+  return isNaN(dt) ? String(d) : dt.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+};
+
+// "Mozilla/5.0 (iPhone; …) … Safari/…" → "Safari on iPhone". Good enough to tell devices apart.
+function describeDevice(ua) {
+  const s = String(ua || "");
+  if (!s) return "Unknown device";
+  const os = /iPhone|iPad/.test(s) ? (s.match(/iPhone|iPad/) || [])[0]
+    : /Android/.test(s) ? "Android"
+    : /Mac OS X/.test(s) ? "Mac"
+    : /Windows/.test(s) ? "Windows"
+    : /Linux/.test(s) ? "Linux" : "Unknown OS";
+  const browser = /Edg\//.test(s) ? "Edge"
+    : /Chrome\//.test(s) ? "Chrome"
+    : /Firefox\//.test(s) ? "Firefox"
+    : /Safari\//.test(s) ? "Safari" : "Browser";
+  return `${browser} on ${os}`;
+}
+
+export default function Account() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const forced = !!location.state?.mustChangePassword;
+  const me = getSession();
+  const [form, setForm] = useState({ currentPassword: "", newPassword: "", confirm: "" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+  const [sessions, setSessions] = useState([]);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await api.get("/auth/sessions");
+      setSessions(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (s) => {
+    try {
+      await api.delete(`/auth/sessions/${s.id}`);
+      setSessions((prev) => prev.filter((x) => x.id !== s.id));
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to sign out that device.");
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm("Sign out of every device, including this one?")) return;
+    try {
+      await api.post("/auth/logout-all");
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to sign out everywhere.");
+      return;
+    }
+    clearSession();
+    navigate("/login");
+  };
+
+  const patch = (p) => setForm((f) => ({ ...f, ...p }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (form.newPassword.length < 8) return setError("New password must be at least 8 characters.");
+    if (form.newPassword !== form.confirm) return setError("New passwords don't match.");
+    setSaving(true);
+    try {
+      await api.post("/auth/change-password", {
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword,
+      });
+      setDone(true);
+      setForm({ currentPassword: "", newPassword: "", confirm: "" });
+      fetchSessions(); // other devices were signed out
+      if (forced) navigate("/work-orders", { replace: true });
+    } catch (err) {
+      setError(err?.response?.data?.error || "Failed to change password.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container" style={{ maxWidth: 520 }}>
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">My Account</h2>
+            <div className="inv-subtitle">
+              {me ? `Signed in as ${me.username} (${me.role})` : ""}
+            </div>
+          </div>
+        </div>
+
+        <form className="cust-section-card" onSubmit={handleSubmit}>
+          <h3 style={{ margin: "0 0 12px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" }}>Change password</h3>
+          {forced && (
+            <p style={{ fontSize: 13, color: "var(--accent-orange, #ff9f0a)", margin: "0 0 12px" }}>
+              You signed in with a temporary password. Choose a new one to continue.
+            </p>
+          )}
+          <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+            <div>
+              <label style={LABEL} htmlFor="acct-current">Current password</label>
+              <input
+                id="acct-current"
+                type="password"
+                style={FIELD}
+                autoComplete="current-password"
+                value={form.currentPassword}
+                onChange={(e) => patch({ currentPassword: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label style={LABEL} htmlFor="acct-new">New password</label>
+              <input
+                id="acct-new"
+                type="password"
+                style={FIELD}
+                autoComplete="new-password"
+                value={form.newPassword}
+                onChange={(e) => patch({ newPassword: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label style={LABEL} htmlFor="acct-confirm">Confirm new password</label>
+              <input
+                id="acct-confirm"
+                type="password"
+                style={FIELD}
+                autoComplete="new-password"
+                value={form.confirm}
+                onChange={(e) => patch({ confirm: e.target.value })}
+                required
+              />
+            </div>
+            {error && <div style={{ fontSize: 13, color: "var(--accent-red)" }}>{error}</div>}
+            {done && !error && <div style={{ fontSize: 13, color: "var(--accent-green, #34c759)" }}>Password changed.</div>}
+            <div>
+              <button
+                type="submit"
+                className="btn-primary-apple"
+                disabled={saving}
+                style={saving ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+              >
+                {saving ? "Saving…" : "Change Password"}
+              </button>
+            </div>
+          </div>
+        </form>
+
+        <div className="cust-section-card" style={{ marginTop: 16 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+            <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: "var(--text-primary)" }}>Signed-in devices</h3>
+            <button type="button" style={{ ...ROW_BTN, color: "var(--accent-red)" }} onClick={handleLogoutEverywhere}>
+              Log out everywhere
+            </button>
+          </div>
+          {sessions.length === 0 ? (
+            <p style={{ fontSize: 13, color: "var(--text-tertiary)", margin: 0 }}>No active sessions.</p>
+          ) : (
+            <table className="inv-table">
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>Last active</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((s) => (
+                  <tr key={s.id}>
+                    <td style={{ fontSize: 13 }}>
+                      {describeDevice(s.userAgent)}
+                      {s.ip ? <span style={{ fontSize: 11, color: "var(--text-tertiary)", marginLeft: 6 }}>{s.ip}</span> : null}
+                    </td>
+                    <td style={{ fontSize: 12 }}>{fmtWhen(s.lastUsedAt)}</td>
+                    <td style={{ textAlign: "right" }}>
+                      {s.current ? (
+                        <span style={{ fontSize: 11, color: "var(--accent-blue)" }}>this device</span>
+                      ) : (
+                        <button type="button" style={ROW_BTN} onClick={() => handleRevoke(s)}>Sign out</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
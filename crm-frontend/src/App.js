@@ -27,11 +27,18 @@ const ViewCustomer = React.lazy(() => import("./ViewCustomer"));
 const ViewEstimate = React.lazy(() => import("./ViewEstimate"));
 const ViewInvoice = React.lazy(() => import("./ViewInvoice"));
 const Collections = React.lazy(() => import("./Collections"));
+const BatchInvoicing = React.lazy(() => import("./BatchInvoicing"));
 const SignContract = React.lazy(() => import("./SignContract"));
 const EstimateResponse = React.lazy(() => import("./EstimateResponse"));
 const Reports = React.lazy(() => import("./Reports"));
 const RouteBuilder = React.lazy(() => import("./RouteBuilder"));
 const EmailTemplates = React.lazy(() => import("./EmailTemplates"));
+const Workflow = React.lazy(() => import("./Workflow"));
+const Users = React.lazy(() => import("./Users"));
+const Account = React.lazy(() => import("./Account"));
+const InboxReview = React.lazy(() => import("./InboxReview"));
+const ExtractionPlayground = React.lazy(() => import("./ExtractionPlayground"));
+const Timesheets = React.lazy(() => import("./Timesheets"));
 // Note: Bootstrap is imported in index.js before our custom styles
 
 // Lightweight centered spinner shown while a lazy route chunk loads.
@@ -159,6 +166,16 @@ export default function App() {
               }
             />
 
+            {/* Batch invoicing: drafts, PDFs and email for many Ready-to-Invoice work orders */}
+            <Route
+              path="/batch-invoicing"
+              element={
+                <PrivateRoute>
+                  <BatchInvoicing />
+                </PrivateRoute>
+              }
+            />
+
             {/* Estimates — VIEW only (standalone list/create pages retired; creation in QuickBooks).
                 Kept because ViewWorkOrder links to /estimates/:id for CRM-created estimates. */}
             <Route
@@ -201,6 +218,66 @@ export default function App() {
               }
             />
 
+            {/* Work-order status workflow (statuses, allowed moves, hooks) */}
+            <Route
+              path="/workflow"
+              element={
+                <PrivateRoute>
+                  <Workflow />
+                </PrivateRoute>
+              }
+            />
+
+            {/* Email-ingest review queue */}
+            <Route
+              path="/inbox-review"
+              element={
+                <PrivateRoute>
+                  <InboxReview />
+                </PrivateRoute>
+              }
+            />
+
+            {/* PDF extractor testing + golden fixtures */}
+            <Route
+              path="/extraction-playground"
+              element={
+                <PrivateRoute>
+                  <ExtractionPlayground />
+                </PrivateRoute>
+              }
+            />
+
+            {/* Weekly tech timesheets, approval + payroll export */}
+            <Route
+              path="/timesheets"
+              element={
+                <PrivateRoute>
+                  <Timesheets />
+                </PrivateRoute>
+              }
+            />
+
+            {/* User management (admin) */}
+            <Route
+              path="/users"
+              element={
+                <PrivateRoute>
+                  <Users />
+                </PrivateRoute>
+              }
+            />
+
+            {/* Own account / change password */}
+            <Route
+              path="/account"
+              element={
+                <PrivateRoute>
+                  <Account />
+                </PrivateRoute>
+              }
+            />
+
             {/* Reports */}
             <Route
               path="/reports"
@@ -0,0 +1,320 @@
+// File: src/BatchInvoicing.js
+// Invoice many "Needs to be Invoiced" work orders in one pass. Pick the WOs
+// (GET /work-orders/by-status/Needs to be Invoiced), create a draft each
+// (POST /invoice-batches — lines from the accepted estimate, else from the
+// line-item templates picked here), review them, then generate the PDFs and
+// email them all (POST /invoice-batches/:id/{pdfs,send}). Sending moves each WO
+// to "Invoiced Waiting for Payment". Every step shows a per-item result.
+//
+// Table, header and status-pill styling reuse Invoices.css (same as Collections).
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api from "./api";
+import "./Invoices.css";
+import "./BatchInvoicing.css";
+
+function fmtMoney(val) {
+  const n = Number(val) || 0;
+  return "$" + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+function fmtDate(d) {
+  if (!d) return "—";
+  try {
+    return new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+  } catch {
+    return d;
+  }
+}
+
+const ITEM_STATUS = {
+  created: { label: "Draft created", cls: "inv-status-draft" },
+  pdf: { label: "PDF ready", cls: "inv-status-partial" },
+  sent: { label: "Sent", cls: "inv-status-paid" },
+  failed: { label: "Failed", cls: "inv-status-overdue" },
+};
+
+export default function BatchInvoicing() {
+  const [orders, setOrders] = useState([]);
+  const [ordersLoading, setOrdersLoading] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState([]); // work order ids
+  const [templateIds, setTemplateIds] = useState([]); // in the order picked
+  const [recent, setRecent] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [busy, setBusy] = useState(""); // "create" | "pdfs" | "send"
+  const [lastRun, setLastRun] = useState(null); // { action, ok, failed }
+
+  const fetchOrders = useCallback(async () => {
+    setOrdersLoading(true);
+    try {
+      const res = await api.get(`/work-orders/by-status/${encodeURIComponent("Needs to be Invoiced")}`);
+      setOrders(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching work orders to invoice:", err);
+      setOrders([]);
+    } finally {
+      setOrdersLoading(false);
+    }
+  }, []);
+
+  const fetchRecent = useCallback(async () => {
+    try {
+      const res = await api.get("/invoice-batches");
+      setRecent(Array.isArray(res.data) ? res.data : []);
+    } catch {
+      setRecent([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+    fetchRecent();
+    api.get("/line-item-templates")
+      .then((res) => setTemplates(Array.isArray(res.data) ? res.data : []))
+      .catch(() => setTemplates([]));
+  }, [fetchOrders, fetchRecent]);
+
+  const selectable = orders.filter((wo) => !wo.openInvoice);
+  const allSelected = selectable.length > 0 && selectable.every((wo) => selected.includes(wo.id));
+  const needTemplates = orders.filter((wo) => selected.includes(wo.id) && !wo.acceptedEstimate).length;
+
+  const toggleOrder = (id) =>
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  const toggleAll = () => setSelected(allSelected ? [] : selectable.map((wo) => wo.id));
+  const toggleTemplate = (id) =>
+    setTemplateIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  const createDrafts = async () => {
+    if (!selected.length || busy) return;
+    if (needTemplates && !templateIds.length &&
+      !window.confirm(`${needTemplates} selected work order(s) have no accepted estimate and no templates are picked — they will fail. Continue?`)) return;
+    setBusy("create");
+    try {
+      const res = await api.post("/invoice-batches", { workOrderIds: selected, templateIds });
+      const items = res.data?.items || [];
+      setBatch(res.data);
+      setLastRun({ action: "Drafts created", ok: items.filter((i) => i.status !== "failed").length, failed: items.filter((i) => i.status === "failed").length });
+      setSelected([]);
+      fetchOrders();
+      fetchRecent();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to create drafts.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const openBatch = async (id) => {
+    if (!id) return;
+    try {
+      const res = await api.get(`/invoice-batches/${id}`);
+      setBatch(res.data);
+      setLastRun(null);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to load batch.");
+    }
+  };
+
+  const runStep = async (step) => {
+    if (!batch || busy) return;
+    const pending = batch.items.filter((i) => i.invoiceId && i.status !== "sent");
+    if (!pending.length) return;
+    if (step === "send" && !window.confirm(`Email ${pending.length} invoice(s) to their customers?`)) return;
+    setBusy(step);
+    try {
+      const res = await api.post(`/invoice-batches/${batch.id}/${step}`, {});
+      const results = res.data?.results || [];
+      setBatch(res.data?.batch || batch);
+      setLastRun({
+        action: step === "send" ? "Emailed" : "PDFs generated",
+        ok: results.filter((r) => r.ok).length,
+        failed: results.filter((r) => !r.ok).length,
+      });
+      fetchRecent();
+      if (step === "send") fetchOrders();
+    } catch (err) {
+      alert(err?.response?.data?.error || (step === "send" ? "Failed to send invoices." : "Failed to generate PDFs."));
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const pendingCount = batch ? batch.items.filter((i) => i.invoiceId && i.status !== "sent").length : 0;
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Batch Invoicing</h2>
+            <div className="inv-subtitle">
+              Draft invoices for many work orders at once — lines come from the accepted estimate, or from the templates picked below when there isn't one. Review the drafts, then generate PDFs and email them all.
+            </div>
+          </div>
+          {recent.length > 0 && (
+            <select className="inv-filter-select" value={batch?.id || ""} onChange={(e) => openBatch(e.target.value)}>
+              <option value="">Recent batches…</option>
+              {recent.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {`#${b.id} · ${fmtDate(b.createdAt)} · ${b.itemCount} WO${Number(b.itemCount) === 1 ? "" : "s"}` +
+                    (Number(b.sentCount) ? ` · ${b.sentCount} sent` : "") +
+                    (Number(b.failedCount) ? ` · ${b.failedCount} failed` : "")}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {batch && (
+          <div className="bi-section">
+            <div className="bi-section-head">
+              <h3 className="bi-section-title">Batch #{batch.id}</h3>
+              <div className="bi-actions">
+                <button type="button" className="bi-btn bi-btn-secondary" disabled={!!busy || !pendingCount} onClick={() => runStep("pdfs")}>
+                  {busy === "pdfs" ? "Generating…" : "Generate PDFs"}
+                </button>
+                <button type="button" className="bi-btn" disabled={!!busy || !pendingCount} onClick={() => runStep("send")}>
+                  {busy === "send" ? "Sending…" : `Email All (${pendingCount})`}
+                </button>
+                <button type="button" className="bi-btn bi-btn-secondary" disabled={!!busy} onClick={() => { setBatch(null); setLastRun(null); }}>
+                  Close
+                </button>
+              </div>
+            </div>
+            {lastRun && (
+              <div className={`bi-summary${lastRun.failed ? " bi-summary-warn" : ""}`}>
+                {lastRun.action}: {lastRun.ok} succeeded{lastRun.failed ? `, ${lastRun.failed} failed — see the rows marked Failed` : ""}.
+              </div>
+            )}
+            <div style={{ overflowX: "auto" }}>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th>Work Order</th>
+                    <th>Customer</th>
+                    <th>Invoice</th>
+                    <th>Lines From</th>
+                    <th style={{ textAlign: "right" }}>Total</th>
+                    <th>Email To</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batch.items.map((item) => {
+                    const st = ITEM_STATUS[item.status] || { label: item.status, cls: "" };
+                    return (
+                      <tr key={item.id}>
+                        <td data-label="Work Order">
+                          <Link className="inv-rti-wo-link" to={`/view-work-order/${item.workOrderId}`}>
+                            WO #{item.workOrderNumber || item.workOrderId}
+                          </Link>
+                          {item.siteLocation && <div className="bi-muted">{item.siteLocation}</div>}
+                        </td>
+                        <td data-label="Customer">{item.customerName || item.customer || "—"}</td>
+                        <td data-label="Invoice">
+                          {item.invoiceId ? <Link className="inv-rti-wo-link" to={`/invoices/${item.invoiceId}`}>#{item.invoiceNumber}</Link> : "—"}
+                        </td>
+                        <td data-label="Lines From">{item.lineSource === "estimate" ? "Estimate" : item.lineSource === "templates" ? "Templates" : "—"}</td>
+                        <td data-label="Total" style={{ textAlign: "right" }}>{item.invoiceId ? fmtMoney(item.total) : "—"}</td>
+                        <td data-label="Email To">
+                          {item.customerEmail || (item.invoiceId ? <span className="bi-warn">No email on file</span> : "—")}
+                        </td>
+                        <td data-label="Status">
+                          <span className={`inv-status-pill ${st.cls}`}>{st.label}</span>
+                          {item.error && <div className="bi-error">{item.error}</div>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="bi-section">
+          <div className="bi-section-head">
+            <h3 className="bi-section-title">
+              Ready to Invoice <span className="inv-rti-count">{orders.length}</span>
+            </h3>
+            <button type="button" className="bi-btn" disabled={!selected.length || !!busy} onClick={createDrafts}>
+              {busy === "create" ? "Creating…" : `Create ${selected.length || ""} Draft${selected.length === 1 ? "" : "s"}`}
+            </button>
+          </div>
+
+          {templates.length > 0 && (
+            <div className="bi-templates">
+              <span className="bi-muted">Lines for work orders without an accepted estimate:</span>
+              {templates.map((t) => {
+                const pos = templateIds.indexOf(t.id);
+                return (
+                  <button
+                    key={t.id}
+                    type="button"
+                    className={`bi-chip${pos >= 0 ? " active" : ""}`}
+                    onClick={() => toggleTemplate(t.id)}
+                    title={t.defaultAmount != null ? fmtMoney(t.defaultAmount) : "Priced from cost × markup"}
+                  >
+                    {pos >= 0 && <span className="bi-chip-pos">{pos + 1}</span>}
+                    {t.description}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          <div style={{ overflowX: "auto" }}>
+            <table className="inv-table">
+              <thead>
+                <tr>
+                  <th style={{ width: 36 }}>
+                    <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={!selectable.length} aria-label="Select all" />
+                  </th>
+                  <th>Customer / Work Order</th>
+                  <th>Site</th>
+                  <th>PO</th>
+                  <th>Lines From</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length === 0 && !ordersLoading && (
+                  <tr><td colSpan={5}><div className="inv-empty">No work orders are waiting to be invoiced.</div></td></tr>
+                )}
+                {orders.map((wo) => (
+                  <tr key={wo.id} className={wo.openInvoice ? "bi-row-disabled" : undefined}>
+                    <td>
+                      <input type="checkbox" checked={selected.includes(wo.id)} disabled={!!wo.openInvoice} onChange={() => toggleOrder(wo.id)} aria-label={`Select work order ${wo.id}`} />
+                    </td>
+                    <td data-label="Customer">
+                      <div style={{ fontWeight: 600 }}>{wo.customer || "—"}</div>
+                      <Link className="inv-rti-wo-link" to={`/view-work-order/${wo.id}`}>WO #{wo.workOrderNumber || wo.id}</Link>
+                    </td>
+                    <td data-label="Site">{wo.siteLocation || wo.siteAddress || "—"}</td>
+                    <td data-label="PO">{wo.allPoNumbersFormatted || wo.poNumber || "—"}</td>
+                    <td data-label="Lines From">
+                      {wo.openInvoice ? (
+                        <Link className="inv-rti-wo-link" to={`/invoices/${wo.openInvoice.id}`}>
+                          Has invoice #{wo.openInvoice.invoiceNumber} ({wo.openInvoice.status})
+                        </Link>
+                      ) : wo.acceptedEstimate ? (
+                        <span className="inv-rti-estimate-tag">Estimate · {fmtMoney(wo.acceptedEstimate.total)}</span>
+                      ) : templateIds.length ? (
+                        <span className="bi-muted">Templates</span>
+                      ) : (
+                        <span className="bi-warn">No accepted estimate — pick templates</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {ordersLoading && (
+            <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
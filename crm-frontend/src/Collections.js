@@ -3,7 +3,13 @@
 // Invoices list page when the standalone Estimates/Invoices nav pages were retired
 // (invoice creation now happens in QuickBooks). Reads the unchanged collections
 // backend: GET /invoices/collections, PUT /invoices/:id/paylink,
-// POST /invoices/:id/reminder/{draft,send,skip}.
+// POST /invoices/:id/reminder/{draft,send,skip}. Late fees proposed by the daily
+// run wait above the list for approval (billed as a finance-charge invoice) or a
+// waive-with-reason: GET /late-fees, POST /late-fees/{propose,:id/approve,:id/waive}.
+// Reminders the daily run drafts for invoices entering a new past-due stage wait
+// in their own queue for bulk sending (GET /reminder-queue, POST
+// /reminder-queue/{run,approve,:id/dismiss}); addresses on the suppression list
+// (/reminder-suppressions) and customers paused "in dispute" get none.
 //
 // Styling: Apple Design System tokens only (var(--bg-card-solid), --bg-secondary,
 // --text-primary, --text-secondary, --border-color, --accent-blue/green/orange/red).
@@ -12,6 +18,7 @@
 import React, { useCallback, useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "./api";
+import { can } from "./auth";
 import "./Invoices.css";
 
 function fmtMoney(val) {
@@ -28,6 +35,12 @@ function fmtDate(d) {
   }
 }
 
+// "15% at the 45-day due date, compounding +15% every 30 days." from a customer's collection policy
+function policyFeeRule(p) {
+  const pct = `${Number(p.feePct)}%`;
+  return `${pct} at the ${p.netDays}-day due date, ${p.compounding ? "compounding" : "plus"} +${pct} every ${p.escalationDays} days.`;
+}
+
 // ── Shared design-system button styles (theme tokens; even sizing) ───────────
 // Secondary/ghost button = the same treatment the estimate-send modal's Cancel uses.
 const SECONDARY_BTN = {
@@ -67,6 +80,14 @@ export default function Collections() {
   const [collectionsLoading, setCollectionsLoading] = useState(false);
   const [payLinkEdit, setPayLinkEdit] = useState({}); // { [invoiceId]: draftValue }
   const [draftModal, setDraftModal] = useState(null);
+  const [pendingFees, setPendingFees] = useState([]);
+  const [feeBusy, setFeeBusy] = useState(null); // fee id (or "check") being worked on
+  const [queued, setQueued] = useState([]);
+  const [queueSelected, setQueueSelected] = useState([]); // reminder_queue ids ticked for bulk send
+  const [queueOpen, setQueueOpen] = useState(null); // id whose drafted email is expanded
+  const [queueBusy, setQueueBusy] = useState(null); // "check" | "send" | queue id
+  const [suppressions, setSuppressions] = useState([]);
+  const [suppressForm, setSuppressForm] = useState({ email: "", reason: "" });
 
   const fetchCollections = useCallback(async () => {
     setCollectionsLoading(true);
@@ -81,9 +102,155 @@ export default function Collections() {
     }
   }, []);
 
+  const fetchPendingFees = useCallback(async () => {
+    try {
+      const res = await api.get("/late-fees", { params: { status: "Pending" } });
+      setPendingFees(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching late fees:", err);
+    }
+  }, []);
+
+  const fetchQueued = useCallback(async () => {
+    try {
+      const res = await api.get("/reminder-queue", { params: { status: "Queued" } });
+      const rows = Array.isArray(res.data) ? res.data : [];
+      setQueued(rows);
+      setQueueSelected((sel) => sel.filter((id) => rows.some((q) => q.id === id)));
+    } catch (err) {
+      console.error("Error fetching reminder queue:", err);
+    }
+  }, []);
+
+  const fetchSuppressions = useCallback(async () => {
+    try {
+      const res = await api.get("/reminder-suppressions");
+      setSuppressions(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching suppression list:", err);
+    }
+  }, []);
+
   useEffect(() => {
     fetchCollections();
-  }, [fetchCollections]);
+    fetchPendingFees();
+    fetchQueued();
+    fetchSuppressions();
+  }, [fetchCollections, fetchPendingFees, fetchQueued, fetchSuppressions]);
+
+  const checkForReminders = async () => {
+    setQueueBusy("check");
+    try {
+      const res = await api.post("/reminder-queue/run", {});
+      const { queued: q = 0, sent = 0, held = 0 } = res.data || {};
+      if (q || sent || held) {
+        alert(`${q} reminder(s) queued, ${sent} sent automatically, ${held} held for paused or suppressed customers.`);
+      }
+      await Promise.all([fetchQueued(), fetchCollections()]);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to check for reminders.");
+    } finally {
+      setQueueBusy(null);
+    }
+  };
+
+  const sendQueued = async () => {
+    if (!queueSelected.length) return;
+    if (!window.confirm(`Send ${queueSelected.length} reminder(s) exactly as drafted?`)) return;
+    setQueueBusy("send");
+    try {
+      const res = await api.post("/reminder-queue/approve", { ids: queueSelected });
+      const failed = (res.data?.results || []).filter((r) => !r.ok);
+      if (failed.length) {
+        const label = (id) => queued.find((q) => q.id === id)?.invoiceNumber || id;
+        alert(`Sent ${res.data.sent}. Not sent:\n${failed.map((f) => `#${label(f.id)}: ${f.error}`).join("\n")}`);
+      }
+      setQueueSelected([]);
+      await Promise.all([fetchQueued(), fetchCollections()]);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to send reminders.");
+    } finally {
+      setQueueBusy(null);
+    }
+  };
+
+  const dismissQueued = async (q) => {
+    setQueueBusy(q.id);
+    try {
+      await api.post(`/reminder-queue/${q.id}/dismiss`, {});
+      await fetchQueued();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to dismiss reminder.");
+    } finally {
+      setQueueBusy(null);
+    }
+  };
+
+  const toggleQueued = (id) => {
+    setQueueSelected((sel) => (sel.includes(id) ? sel.filter((x) => x !== id) : [...sel, id]));
+  };
+
+  const addSuppression = async () => {
+    if (!suppressForm.email.trim()) return;
+    try {
+      await api.post("/reminder-suppressions", suppressForm);
+      setSuppressForm({ email: "", reason: "" });
+      await fetchSuppressions();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to add to the suppression list.");
+    }
+  };
+
+  const removeSuppression = async (sup) => {
+    if (!window.confirm(`Allow payment reminders to ${sup.email} again?`)) return;
+    try {
+      await api.delete(`/reminder-suppressions/${sup.id}`);
+      setSuppressions((prev) => prev.filter((x) => x.id !== sup.id));
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to remove from the suppression list.");
+    }
+  };
+
+  const checkForFees = async () => {
+    setFeeBusy("check");
+    try {
+      await api.post("/late-fees/propose", {});
+      await fetchPendingFees();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to check for late fees.");
+    } finally {
+      setFeeBusy(null);
+    }
+  };
+
+  const approveFee = async (fee) => {
+    if (!window.confirm(`Bill and email ${fee.customer} a ${fmtMoney(fee.amount)} finance charge on invoice #${fee.invoiceNumber}?`)) return;
+    setFeeBusy(fee.id);
+    try {
+      const res = await api.post(`/late-fees/${fee.id}/approve`, {});
+      await Promise.all([fetchPendingFees(), fetchCollections()]);
+      if (res.data.emailError) alert(`Finance-charge invoice created as a draft but not emailed: ${res.data.emailError}`);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to approve late fee.");
+    } finally {
+      setFeeBusy(null);
+    }
+  };
+
+  const waiveFee = async (fee) => {
+    const reason = window.prompt(`Reason for waiving the ${fmtMoney(fee.amount)} late fee on invoice #${fee.invoiceNumber}:`);
+    if (reason == null) return;
+    if (!reason.trim()) return alert("A reason is required to waive a late fee.");
+    setFeeBusy(fee.id);
+    try {
+      await api.post(`/late-fees/${fee.id}/waive`, { reason: reason.trim() });
+      await fetchPendingFees();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to waive late fee.");
+    } finally {
+      setFeeBusy(null);
+    }
+  };
 
   const savePayLink = async (invoiceId) => {
     const link = payLinkEdit[invoiceId] ?? "";
@@ -107,10 +274,12 @@ export default function Collections() {
         subject: d.subject || "",
         body: d.body || "",
         lateFee: d.lateFee ?? row.lateFee ?? 0,
+        pendingLateFee: d.pendingLateFee ?? row.pendingLateFee ?? 0,
         outstanding: d.outstanding ?? row.outstanding ?? 0,
         reminderStage: d.reminderStage || row.reminderStage,
         payLinkOnFile: !!d.payLinkOnFile,
         noPayLinkWarning: d.noPayLinkWarning || null,
+        blockedReason: d.blockedReason || null,
         sending: false,
       });
     } catch (err) {
@@ -128,7 +297,7 @@ export default function Collections() {
         body: draftModal.body,
       });
       setDraftModal(null);
-      await fetchCollections();
+      await Promise.all([fetchCollections(), fetchQueued()]);
     } catch (err) {
       alert(err?.response?.data?.error || "Failed to send reminder.");
       setDraftModal((m) => (m ? { ...m, sending: false } : m));
@@ -138,7 +307,7 @@ export default function Collections() {
   const skipReminder = async (invoiceId) => {
     try {
       await api.post(`/invoices/${invoiceId}/reminder/skip`, {});
-      await fetchCollections();
+      await Promise.all([fetchCollections(), fetchQueued()]);
     } catch (err) {
       alert(err?.response?.data?.error || "Failed to skip.");
     }
@@ -158,11 +327,148 @@ export default function Collections() {
           <div>
             <h2 className="inv-title">Collections</h2>
             <div className="inv-subtitle">
-              Unpaid &amp; partial invoices, most overdue first. QuickBooks Desktop is the source of truth — the CRM tracks overdue status, computes late fees, and drafts reminders for your review before sending.
+              Unpaid &amp; partial invoices, most overdue first. QuickBooks Desktop is the source of truth — the CRM tracks overdue status, proposes late fees for your approval, and drafts a reminder whenever an invoice reaches a new past-due stage — queued for your review, or sent automatically for customers opted in.
             </div>
           </div>
         </div>
 
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <div className="cust-section-header">
+            <span>Reminders Awaiting Approval ({queued.length})</span>
+            <div style={{ display: "inline-flex", gap: 6 }}>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={checkForReminders} disabled={queueBusy === "check"}>
+                {queueBusy === "check" ? "Checking…" : "Check Now"}
+              </button>
+              {can("invoices.edit") && (
+                <button type="button" className="btn-primary-apple" style={ROW_BTN} onClick={sendQueued} disabled={!queueSelected.length || queueBusy === "send"}>
+                  {queueBusy === "send" ? "Sending…" : `Send Selected (${queueSelected.length})`}
+                </button>
+              )}
+            </div>
+          </div>
+          {queued.length === 0 ? (
+            <div className="inv-empty">No reminders waiting. A draft is queued each morning for every invoice that reaches a new past-due stage.</div>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th style={{ width: 32 }}>
+                      <input
+                        type="checkbox"
+                        aria-label="Select all"
+                        checked={queueSelected.length === queued.length}
+                        onChange={(e) => setQueueSelected(e.target.checked ? queued.map((q) => q.id) : [])}
+                      />
+                    </th>
+                    <th>Customer / Invoice #</th>
+                    <th>Stage</th>
+                    <th>To</th>
+                    <th>Subject</th>
+                    <th>Drafted</th>
+                    <th style={{ width: 160 }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {queued.map((q) => (
+                    <React.Fragment key={q.id}>
+                      <tr>
+                        <td><input type="checkbox" checked={queueSelected.includes(q.id)} onChange={() => toggleQueued(q.id)} /></td>
+                        <td data-label="Customer">
+                          <div style={{ fontWeight: 600 }}>{q.customer}</div>
+                          <div style={{ fontSize: 12, color: "var(--text-tertiary)" }}>#{q.invoiceNumber} · {fmtMoney(q.balanceDue)} open</div>
+                        </td>
+                        <td data-label="Stage" style={{ color: "var(--text-primary)" }}>
+                          {q.stage}
+                          <div style={{ fontSize: 11, color: "var(--text-tertiary)" }}>{q.daysOverdue}d past due</div>
+                        </td>
+                        <td data-label="To" style={{ fontSize: 12 }}>
+                          {q.emailTo || <span style={{ color: "var(--accent-red)" }}>No email on file</span>}
+                        </td>
+                        <td data-label="Subject" style={{ fontSize: 12, color: "var(--text-secondary)" }}>
+                          {q.emailSubject}
+                          {q.error && <div style={{ fontSize: 11, color: "var(--accent-red)" }}>Last attempt: {q.error}</div>}
+                        </td>
+                        <td data-label="Drafted" style={{ fontSize: 12, color: "var(--text-secondary)" }}>{fmtDate(q.createdAt)}</td>
+                        <td style={{ whiteSpace: "nowrap" }}>
+                          <div style={{ display: "inline-flex", gap: 6 }}>
+                            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setQueueOpen(queueOpen === q.id ? null : q.id)}>
+                              {queueOpen === q.id ? "Hide" : "View"}
+                            </button>
+                            {can("invoices.edit") && (
+                              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} disabled={queueBusy === q.id} onClick={() => dismissQueued(q)}>Dismiss</button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                      {queueOpen === q.id && (
+                        <tr>
+                          <td></td>
+                          <td colSpan={6}>
+                            <pre style={{ whiteSpace: "pre-wrap", fontFamily: "inherit", fontSize: 13, margin: 0, color: "var(--text-secondary)" }}>{q.emailBody}</pre>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <div className="cust-section-header">
+            <span>Late Fees Awaiting Approval ({pendingFees.length})</span>
+            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={checkForFees} disabled={feeBusy === "check"}>
+              {feeBusy === "check" ? "Checking…" : "Check Now"}
+            </button>
+          </div>
+          {pendingFees.length === 0 ? (
+            <div className="inv-empty">No late fees waiting. New ones are proposed each morning as invoices cross a fee date.</div>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th>Customer / Invoice #</th>
+                    <th>Stage</th>
+                    <th style={{ textAlign: "right" }}>Outstanding</th>
+                    <th style={{ textAlign: "right" }}>Fee</th>
+                    <th>Proposed</th>
+                    <th style={{ width: 170 }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pendingFees.map((fee) => (
+                    <tr key={fee.id}>
+                      <td data-label="Customer">
+                        <div style={{ fontWeight: 600 }}>{fee.customer}</div>
+                        <div style={{ fontSize: 12, color: "var(--text-tertiary)" }}>#{fee.invoiceNumber}</div>
+                      </td>
+                      <td data-label="Stage" style={{ color: "var(--text-primary)" }}>
+                        {fee.stage}
+                        <div style={{ fontSize: 11, color: "var(--text-tertiary)" }}>{fee.daysOverdue}d past due</div>
+                      </td>
+                      <td data-label="Outstanding" style={{ textAlign: "right" }}>{fmtMoney(fee.basisAmount)}</td>
+                      <td data-label="Fee" style={{ textAlign: "right", fontWeight: 700, color: "var(--accent-red)" }}>{fmtMoney(fee.amount)}</td>
+                      <td data-label="Proposed" style={{ fontSize: 12, color: "var(--text-secondary)" }}>{fmtDate(fee.createdAt)}</td>
+                      <td style={{ whiteSpace: "nowrap" }}>
+                        <div style={{ display: "inline-flex", gap: 6 }}>
+                          <button type="button" className="btn-primary-apple" style={ROW_BTN} disabled={feeBusy === fee.id} onClick={() => approveFee(fee)}>Approve</button>
+                          {can("invoices.adjust") && (
+                            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} disabled={feeBusy === fee.id} onClick={() => waiveFee(fee)}>Waive</button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         <div className="cust-section-card">
           <div style={{ overflowX: "auto" }}>
             <table className="inv-table">
@@ -186,15 +492,21 @@ export default function Collections() {
                   const badge = daysOverdueBadge(row.daysOverdue);
                   const isPartial = Number(row.amountPaid) > 0 && Number(row.amountPaid) < Number(row.total);
                   const editing = Object.prototype.hasOwnProperty.call(payLinkEdit, row.id);
-                  const lateFeeTip =
-                    row.lateFee > 0
-                      ? `15% applied at the 45-day due date, compounding +15% every 30 days. Outstanding ${fmtMoney(row.outstanding)} → late fee ${fmtMoney(row.lateFee)} (stage: ${row.reminderStage}).`
-                      : "No late fee — not yet 45 days past the invoice date.";
+                  const policy = row.policy || {};
+                  const lateFeeTip = row.financeChargeForInvoiceId
+                    ? "This is a finance-charge invoice — it doesn't carry late fees of its own."
+                    : !(policy.feePct > 0)
+                      ? `${policy.name || "This customer's policy"} charges no late fees.`
+                      : row.lateFee > 0 || row.pendingLateFee > 0
+                        ? `${policyFeeRule(policy)} Billed and unpaid: ${fmtMoney(row.lateFee)}${row.pendingLateFee > 0 ? `; ${fmtMoney(row.pendingLateFee)} awaiting approval` : ""}.`
+                        : `No late fee billed — not yet ${policy.netDays} days past the invoice date, or none approved yet. ${policyFeeRule(policy)}`;
                   return (
                     <tr key={row.id}>
                       <td data-label="Customer">
                         <div style={{ fontWeight: 600 }}>{row.customer}</div>
-                        <div style={{ fontSize: 12, color: "var(--text-tertiary)" }}>#{row.invoiceNumber}</div>
+                        <div style={{ fontSize: 12, color: "var(--text-tertiary)" }}>
+                          #{row.invoiceNumber}{row.financeChargeForInvoiceId ? " · finance charge" : ""}
+                        </div>
                       </td>
                       <td data-label="Outstanding" style={{ textAlign: "right" }}>
                         <div style={{ fontWeight: 700 }}>{fmtMoney(row.outstanding)}</div>
@@ -213,10 +525,27 @@ export default function Collections() {
                         <span title={lateFeeTip} style={{ color: row.lateFee > 0 ? "var(--accent-red)" : "var(--text-tertiary)", fontWeight: row.lateFee > 0 ? 700 : 400, cursor: "help" }}>
                           {fmtMoney(row.lateFee)}
                         </span>
+                        {row.pendingLateFee > 0 && (
+                          <div style={{ fontSize: 11, color: "var(--accent-orange)" }}>+{fmtMoney(row.pendingLateFee)} pending</div>
+                        )}
+                      </td>
+                      <td data-label="Stage" style={{ color: "var(--text-primary)" }}>
+                        {row.reminderStage}
+                        {row.remindersPaused ? (
+                          <div style={{ fontSize: 11, color: "var(--accent-red)", fontWeight: 600 }} title={row.remindersPausedReason || undefined}>
+                            Paused: in dispute
+                          </div>
+                        ) : row.autoReminders && (
+                          <div style={{ fontSize: 11, color: "var(--text-tertiary)" }}>Automatic reminders</div>
+                        )}
                       </td>
-                      <td data-label="Stage" style={{ color: "var(--text-primary)" }}>{row.reminderStage}</td>
                       <td data-label="Last Reminded" style={{ fontSize: 12, color: "var(--text-secondary)" }}>
                         {row.lastReminderAt ? fmtDate(row.lastReminderAt) : <span style={{ color: "var(--text-tertiary)" }}>Never</span>}
+                        {row.reminderDue && (
+                          <div style={{ fontSize: 11, color: "var(--accent-orange)", fontWeight: 600 }} title={`Reminders repeat every ${policy.reminderCadenceDays} days under ${policy.name}.`}>
+                            Reminder due
+                          </div>
+                        )}
                       </td>
                       <td data-label="Pay Link">
                         {!editing && row.qbPayLink ? (
@@ -242,7 +571,16 @@ export default function Collections() {
                       </td>
                       <td style={{ whiteSpace: "nowrap" }}>
                         <div style={{ display: "inline-flex", gap: 6 }}>
-                          <button type="button" className="btn-primary-apple" style={ROW_BTN} onClick={() => openDraft(row)}>Draft Reminder</button>
+                          <button
+                            type="button"
+                            className="btn-primary-apple"
+                            style={row.remindersPaused ? { ...ROW_BTN, opacity: 0.5, cursor: "not-allowed" } : ROW_BTN}
+                            disabled={row.remindersPaused}
+                            title={row.remindersPaused ? "Reminders are paused for this customer (in dispute)." : undefined}
+                            onClick={() => openDraft(row)}
+                          >
+                            Draft Reminder
+                          </button>
                           <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => navigate(`/invoices/${row.id}`)}>Open</button>
                           <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => skipReminder(row.id)}>Skip</button>
                         </div>
@@ -257,6 +595,64 @@ export default function Collections() {
             <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
           )}
         </div>
+
+        <div className="cust-section-card" style={{ marginTop: 16 }}>
+          <div className="cust-section-header">
+            <span>Reminder Suppression List ({suppressions.length})</span>
+          </div>
+          <div style={{ padding: "0 16px 12px", fontSize: 12, color: "var(--text-tertiary)" }}>
+            Addresses here never get payment reminders, automatic or manual. To stop reminders for a whole customer while you negotiate, pause them on the customer record instead.
+          </div>
+          {suppressions.length > 0 && (
+            <div style={{ overflowX: "auto" }}>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th>Email</th>
+                    <th>Reason</th>
+                    <th>Added</th>
+                    <th style={{ width: 90 }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {suppressions.map((sup) => (
+                    <tr key={sup.id}>
+                      <td data-label="Email" style={{ fontWeight: 600 }}>{sup.email}</td>
+                      <td data-label="Reason" style={{ fontSize: 12, color: "var(--text-secondary)" }}>{sup.reason || "—"}</td>
+                      <td data-label="Added" style={{ fontSize: 12, color: "var(--text-secondary)" }}>
+                        {fmtDate(sup.createdAt)}{sup.createdBy ? ` · ${sup.createdBy}` : ""}
+                      </td>
+                      <td>
+                        {can("invoices.edit") && (
+                          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => removeSuppression(sup)}>Remove</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {can("invoices.edit") && (
+            <div style={{ display: "flex", gap: 8, padding: 16, flexWrap: "wrap" }}>
+              <input
+                type="email"
+                value={suppressForm.email}
+                onChange={(e) => setSuppressForm((f) => ({ ...f, email: e.target.value }))}
+                placeholder="ap@customer.com"
+                style={{ ...FIELD, width: 220 }}
+              />
+              <input
+                type="text"
+                value={suppressForm.reason}
+                onChange={(e) => setSuppressForm((f) => ({ ...f, reason: e.target.value }))}
+                placeholder="Reason (optional)"
+                style={{ ...FIELD, flex: 1, minWidth: 180 }}
+              />
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={addSuppression} disabled={!suppressForm.email.trim()}>Add</button>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Review-before-send Draft Reminder modal */}
@@ -275,10 +671,16 @@ export default function Collections() {
               <span>Stage: <strong style={{ color: "var(--text-primary)" }}>{draftModal.reminderStage}</strong></span>
               <span>Outstanding: <strong style={{ color: "var(--text-primary)" }}>{fmtMoney(draftModal.outstanding)}</strong></span>
               <span>
-                Late fee: <strong style={{ color: draftModal.lateFee > 0 ? "var(--accent-red)" : "var(--text-primary)" }}>{fmtMoney(draftModal.lateFee)}</strong>
+                Late fees billed: <strong style={{ color: draftModal.lateFee > 0 ? "var(--accent-red)" : "var(--text-primary)" }}>{fmtMoney(draftModal.lateFee)}</strong>
+                {draftModal.pendingLateFee > 0 && <> (+{fmtMoney(draftModal.pendingLateFee)} awaiting approval, not quoted)</>}
               </span>
               <span>Pay link: <strong style={{ color: draftModal.payLinkOnFile ? "var(--accent-green)" : "var(--accent-red)" }}>{draftModal.payLinkOnFile ? "✓ included" : "none on file"}</strong></span>
             </div>
+            {draftModal.blockedReason && (
+              <div style={{ background: "rgba(255,59,48,0.12)", border: "1px solid var(--accent-red)", color: "var(--accent-red)", borderRadius: 8, padding: "8px 12px", fontSize: 12, marginBottom: 12 }}>
+                {draftModal.blockedReason} This reminder can't be sent.
+              </div>
+            )}
             {draftModal.noPayLinkWarning && (
               <div style={{ background: "rgba(255,149,0,0.12)", border: "1px solid var(--accent-orange)", color: "var(--accent-orange)", borderRadius: 8, padding: "8px 12px", fontSize: 12, marginBottom: 12 }}>
                 {draftModal.noPayLinkWarning}
@@ -292,7 +694,7 @@ export default function Collections() {
             <textarea value={draftModal.body} onChange={(e) => setDraftModal((m) => ({ ...m, body: e.target.value }))} rows={14} style={{ ...FIELD, resize: "vertical", fontFamily: "inherit", fontSize: 13 }} />
             <div style={{ display: "flex", justifyContent: "flex-end", gap: 10, marginTop: 16 }}>
               <button type="button" onClick={() => setDraftModal(null)} disabled={draftModal.sending} style={{ ...SECONDARY_BTN, padding: "10px 18px", borderRadius: 8, cursor: "pointer" }}>Cancel</button>
-              <button type="button" className="btn-primary-apple" onClick={sendDraft} disabled={draftModal.sending || !draftModal.to || !draftModal.subject || !draftModal.body} style={(draftModal.sending || !draftModal.to || !draftModal.subject || !draftModal.body) ? { opacity: 0.5, cursor: "not-allowed" } : undefined}>
+              <button type="button" className="btn-primary-apple" onClick={sendDraft} disabled={draftModal.sending || !!draftModal.blockedReason || !draftModal.to || !draftModal.subject || !draftModal.body} style={(draftModal.sending || draftModal.blockedReason || !draftModal.to || !draftModal.subject || !draftModal.body) ? { opacity: 0.5, cursor: "not-allowed" } : undefined}>
                 {draftModal.sending ? "Sending…" : "Send"}
               </button>
             </div>
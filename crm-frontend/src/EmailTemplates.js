@@ -17,6 +17,8 @@ const MERGE_FIELDS = [
   "{{dueDate}}",
   "{{balanceDue}}",
   "{{daysOverdue}}",
+  "{{statementPeriod}}",
+  "{{lateFeeTerms}}",
   "{{terms}}",
   "{{companyName}}",
   "{{companyPhone}}",
@@ -26,12 +28,14 @@ const TYPE_OPTIONS = [
   { value: "estimate", label: "Estimate" },
   { value: "invoice", label: "Invoice" },
   { value: "payment_reminder", label: "Payment Reminder" },
+  { value: "statement", label: "Statement" },
 ];
 
 const TYPE_LABELS = {
   estimate: "Estimate",
   invoice: "Invoice",
   payment_reminder: "Payment Reminder",
+  statement: "Statement",
 };
 
 export default function EmailTemplates() {
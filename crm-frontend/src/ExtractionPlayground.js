@@ -0,0 +1,362 @@
+// File: src/ExtractionPlayground.js
+// Extraction Playground: run the PO / work-order PDF extractors on an uploaded
+// PDF or pasted text, force a vendor profile, and compare against the values you
+// expected. A sample that comes out right can be downloaded as a golden fixture
+// (sample .txt + .expected.json for crm-backend/fixtures/extraction/), and the
+// whole fixture set can be re-run from here. Backed by /extraction/*
+// (tools.debug permission).
+//
+// Styling follows Collections.js: design-system tokens + inline styles.
+import React, { useEffect, useState } from "react";
+import api from "./api";
+import "./Invoices.css";
+
+const KIND_FIELDS = {
+  "work-orders": [
+    { key: "customer", label: "Customer" },
+    { key: "billingAddress", label: "Billing address" },
+    { key: "workOrderNumber", label: "Work order #" },
+    { key: "poNumber", label: "PO #" },
+    { key: "siteLocation", label: "Site location" },
+    { key: "siteAddress", label: "Site address" },
+    { key: "problemDescription", label: "Problem description" },
+  ],
+  "purchase-orders": [
+    { key: "supplier", label: "Supplier" },
+    { key: "poNumber", label: "PO #" },
+  ],
+};
+
+const SECONDARY_BTN = {
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  display: "inline-flex",
+  alignItems: "center",
+  justifyContent: "center",
+  whiteSpace: "nowrap",
+  boxSizing: "border-box",
+  lineHeight: 1,
+};
+const FIELD = {
+  boxSizing: "border-box",
+  width: "100%",
+  padding: "6px 8px",
+  borderRadius: 8,
+  fontSize: 13,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const LABEL = { fontSize: 12, fontWeight: 600, color: "var(--text-secondary)", display: "block", marginBottom: 4 };
+const SECTION_TITLE = { margin: "0 0 4px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" };
+const HINT = { fontSize: 12, color: "var(--text-tertiary)", margin: "0 0 12px" };
+const MONO = { fontFamily: "var(--font-mono, monospace)", fontSize: 12 };
+
+const matchMark = (match) => (
+  <span style={{ fontWeight: 700, color: match ? "var(--accent-green, #34c759)" : "var(--accent-red)" }}>
+    {match ? "✓" : "✖"}
+  </span>
+);
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ExtractionPlayground() {
+  const [meta, setMeta] = useState({ profiles: [], fixtures: [], dependencies: {} });
+  const [kind, setKind] = useState("work-orders");
+  const [profileKey, setProfileKey] = useState("");
+  const [file, setFile] = useState(null);
+  const [text, setText] = useState("");
+  // field → expected value; blank fields aren't scored
+  const [expected, setExpected] = useState({});
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [showRaw, setShowRaw] = useState(false);
+  const [fixtureName, setFixtureName] = useState("");
+  const [filter, setFilter] = useState("");
+  const [report, setReport] = useState(null);
+  const [runningFixtures, setRunningFixtures] = useState(false);
+
+  useEffect(() => {
+    api
+      .get("/extraction/profiles")
+      .then((res) => setMeta(res.data || {}))
+      .catch((err) => console.error("Error fetching extraction profiles:", err));
+  }, []);
+
+  const fields = KIND_FIELDS[kind];
+
+  const expectedJson = () => {
+    const out = {};
+    for (const { key } of fields) {
+      if (String(expected[key] ?? "").trim()) out[key] = expected[key];
+    }
+    return out;
+  };
+
+  const handleRun = async () => {
+    if (!file && !text.trim()) return;
+    setRunning(true);
+    try {
+      const form = new FormData();
+      form.append("kind", kind);
+      if (profileKey) form.append("profileKey", profileKey);
+      if (file) form.append("pdf", file);
+      else form.append("text", text);
+      const exp = expectedJson();
+      if (Object.keys(exp).length) form.append("expected", JSON.stringify(exp));
+      const res = await api.post("/extraction/playground", form, { timeout: 120000 });
+      setResult(res.data);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Extraction failed.");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleUseAsExpected = () => {
+    if (!result) return;
+    setExpected(Object.fromEntries(fields.map(({ key }) => [key, result.fields[key] ?? ""])));
+  };
+
+  const handleDownloadFixture = (part) => {
+    const name = fixtureName.trim() || "sample";
+    if (part === "sample") download(`${name}.txt`, result.rawText, "text/plain");
+    else download(`${name}.expected.json`, JSON.stringify(expectedJson(), null, 2) + "\n", "application/json");
+  };
+
+  const handleRunFixtures = async () => {
+    setRunningFixtures(true);
+    try {
+      const res = await api.post("/extraction/fixtures/run", { filter }, { timeout: 300000 });
+      setReport(res.data);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to run fixtures.");
+    } finally {
+      setRunningFixtures(false);
+    }
+  };
+
+  const diffByField = Object.fromEntries((result?.diff || []).map((d) => [d.field, d]));
+  const missingTools = Object.entries(meta.dependencies || {}).filter(([, v]) => !v).map(([k]) => k);
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Extraction Playground</h2>
+            <div className="inv-subtitle">
+              Test the PDF extractors on a sample and check them against the golden fixtures before changing a vendor profile.
+            </div>
+          </div>
+        </div>
+
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <h3 style={SECTION_TITLE}>Sample</h3>
+          <p style={HINT}>
+            Upload the PDF, or paste the text it produced. Fill in the values you expect to see them scored.
+            {missingTools.length > 0 && ` OCR tools missing on the server: ${missingTools.join(", ")}.`}
+          </p>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 12, marginBottom: 12 }}>
+            <div>
+              <label style={LABEL} htmlFor="xp-kind">Extractor</label>
+              <select
+                id="xp-kind"
+                style={FIELD}
+                value={kind}
+                onChange={(e) => {
+                  setKind(e.target.value);
+                  setExpected({});
+                  setResult(null);
+                }}
+              >
+                <option value="work-orders">Work order (customer PDF)</option>
+                <option value="purchase-orders">Purchase order (supplier + PO #)</option>
+              </select>
+            </div>
+            {kind === "work-orders" && (
+              <div>
+                <label style={LABEL} htmlFor="xp-profile">Vendor profile</label>
+                <select id="xp-profile" style={FIELD} value={profileKey} onChange={(e) => setProfileKey(e.target.value)}>
+                  <option value="">Auto-detect</option>
+                  {meta.profiles.map((p) => (
+                    <option key={p.key} value={p.key}>{p.displayName}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label style={LABEL} htmlFor="xp-file">PDF</label>
+              <input id="xp-file" type="file" accept="application/pdf" onChange={(e) => setFile(e.target.files?.[0] || null)} />
+            </div>
+          </div>
+          {!file && (
+            <div style={{ marginBottom: 12 }}>
+              <label style={LABEL} htmlFor="xp-text">Or paste text</label>
+              <textarea
+                id="xp-text"
+                style={{ ...FIELD, ...MONO, minHeight: 140, resize: "vertical" }}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+              />
+            </div>
+          )}
+          <button
+            type="button"
+            className="btn-primary-apple"
+            onClick={handleRun}
+            disabled={running || (!file && !text.trim())}
+            style={running || (!file && !text.trim()) ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+          >
+            {running ? "Extracting…" : "Extract"}
+          </button>
+        </div>
+
+        {result && (
+          <div className="cust-section-card" style={{ marginBottom: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+              <div>
+                <h3 style={SECTION_TITLE}>Result</h3>
+                <p style={HINT}>
+                  {result.extractionMethod === "ocr" ? "Scanned PDF (OCR)" : result.extractionMethod === "digital" ? "Digital PDF text" : "Pasted text"}
+                  {" · "}
+                  {result.textLength} characters
+                </p>
+              </div>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={handleUseAsExpected}>
+                Use as expected
+              </button>
+            </div>
+            <table className="inv-table">
+              <thead>
+                <tr>
+                  <th style={{ width: 160 }}>Field</th>
+                  <th>Extracted</th>
+                  <th>Expected</th>
+                  <th style={{ width: 40 }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map(({ key, label }) => (
+                  <tr key={key}>
+                    <td style={{ fontWeight: 600, fontSize: 12 }}>{label}</td>
+                    <td style={{ fontSize: 12, whiteSpace: "pre-wrap" }}>
+                      {result.fields[key] ?? <span style={{ color: "var(--text-tertiary)" }}>(none)</span>}
+                    </td>
+                    <td>
+                      <input
+                        style={{ ...FIELD, fontSize: 12 }}
+                        value={expected[key] ?? ""}
+                        onChange={(e) => setExpected((v) => ({ ...v, [key]: e.target.value }))}
+                      />
+                    </td>
+                    <td style={{ textAlign: "center" }}>{diffByField[key] ? matchMark(diffByField[key].match) : null}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.diff == null && <p style={{ ...HINT, margin: "8px 0 0" }}>Fill in expected values and extract again to score them.</p>}
+
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+              <input
+                style={{ ...FIELD, width: 260 }}
+                placeholder="Fixture name (e.g. kfm-mall-doors)"
+                value={fixtureName}
+                onChange={(e) => setFixtureName(e.target.value)}
+              />
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => handleDownloadFixture("sample")}>
+                Download sample .txt
+              </button>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => handleDownloadFixture("expected")}>
+                Download .expected.json
+              </button>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setShowRaw((v) => !v)}>
+                {showRaw ? "Hide raw text" : "Show raw text"}
+              </button>
+            </div>
+            {showRaw && (
+              <pre style={{ ...MONO, whiteSpace: "pre-wrap", maxHeight: 400, overflow: "auto", marginTop: 12, padding: 12, borderRadius: 8, background: "var(--bg-secondary)" }}>
+                {result.rawText}
+              </pre>
+            )}
+          </div>
+        )}
+
+        <div className="cust-section-card">
+          <h3 style={SECTION_TITLE}>Golden fixtures</h3>
+          <p style={HINT}>
+            {meta.fixtures.length} fixture{meta.fixtures.length === 1 ? "" : "s"} in crm-backend/fixtures/extraction — the same set
+            <code style={MONO}> npm run test:extraction</code> checks.
+          </p>
+          <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+            <input style={{ ...FIELD, width: 260 }} placeholder="Filter (e.g. kfm)" value={filter} onChange={(e) => setFilter(e.target.value)} />
+            <button
+              type="button"
+              className="btn-primary-apple"
+              onClick={handleRunFixtures}
+              disabled={runningFixtures}
+              style={runningFixtures ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+            >
+              {runningFixtures ? "Running…" : "Run fixtures"}
+            </button>
+          </div>
+
+          {report && (
+            <>
+              <div style={{ fontSize: 13, marginBottom: 8, color: "var(--text-primary)" }}>
+                <strong>{report.passed}</strong> passed, <strong>{report.failed}</strong> failed
+              </div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+                {Object.entries(report.accuracy).map(([field, { correct, total }]) => (
+                  <span key={field} style={{ fontSize: 12, padding: "2px 8px", borderRadius: 6, background: "var(--bg-secondary)" }}>
+                    {field} {Math.round((correct / total) * 100)}%
+                  </span>
+                ))}
+              </div>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th style={{ width: 40 }}></th>
+                    <th>Fixture</th>
+                    <th>Mismatches</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.fixtures.map((fx) => (
+                    <tr key={fx.id}>
+                      <td style={{ textAlign: "center" }}>{matchMark(fx.passed)}</td>
+                      <td style={MONO}>{fx.id}</td>
+                      <td style={{ fontSize: 12 }}>
+                        {fx.error && <div style={{ color: "var(--accent-red)" }}>{fx.error}</div>}
+                        {fx.fields.filter((f) => !f.match).map((f) => (
+                          <div key={f.field}>
+                            <strong>{f.field}</strong>: expected {JSON.stringify(f.expected)}, got {JSON.stringify(f.actual)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -36,6 +36,7 @@ const PIE_COLORS = {
   Sent: "#0071e3",
   Partial: "#ff9f0a",
   Paid: "#34c759",
+  Closed: "#5ac8fa",
   Overdue: "#ff3b30",
   Void: "#636366",
 };
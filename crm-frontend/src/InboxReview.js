@@ -0,0 +1,375 @@
+// File: src/InboxReview.js
+// Inbox Review: emails the ingest worker couldn't turn into a work order on its
+// own (low extraction score, failed create, parse error). A dispatcher corrects
+// the extracted fields against the raw email and attachments, then approves
+// (the server creates the WO through the same path as POST /work-orders) or
+// rejects. Backed by /ingest/review (ingest.review permission); the strip under
+// the header is the worker's health from /ingest/status.
+//
+// Styling follows Collections.js: design-system tokens + inline styles.
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api from "./api";
+import API_BASE_URL from "./config";
+import "./Invoices.css";
+
+const STATUS_TABS = ["Pending", "Approved", "Rejected"];
+
+const REASON_LABELS = {
+  "low-confidence": "Low confidence",
+  "create-failed": "Create failed",
+  error: "Parse error",
+};
+
+// Same set the server accepts on approve (INGEST_EDITABLE_FIELDS).
+const EDIT_FIELDS = [
+  { key: "customer", label: "Customer", required: true },
+  { key: "billingAddress", label: "Billing address", required: true },
+  { key: "siteLocation", label: "Site name / location" },
+  { key: "siteAddress", label: "Site address" },
+  { key: "workOrderNumber", label: "Work order #" },
+  { key: "poNumber", label: "PO #" },
+  { key: "customerPhone", label: "Customer phone" },
+  { key: "customerEmail", label: "Customer email" },
+  { key: "problemDescription", label: "Problem description", required: true, multiline: true },
+];
+
+const SECONDARY_BTN = {
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  display: "inline-flex",
+  alignItems: "center",
+  justifyContent: "center",
+  whiteSpace: "nowrap",
+  boxSizing: "border-box",
+  lineHeight: 1,
+};
+const FIELD = {
+  boxSizing: "border-box",
+  width: "100%",
+  padding: "6px 8px",
+  borderRadius: 8,
+  fontSize: 13,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const LABEL = { fontSize: 12, fontWeight: 600, color: "var(--text-secondary)", display: "block", marginBottom: 4 };
+const SECTION_TITLE = { margin: "0 0 4px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" };
+const HINT = { fontSize: 12, color: "var(--text-tertiary)", margin: "0 0 12px" };
+
+const fmtWhen = (d) => {
+  if (!d) return "—";
+  const dt = new Date(String(d).replace(" ", "T"));
+  return isNaN(dt) ? String(d) : dt.toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+};
+
+const fmtScore = (s) => (s == null ? "—" : `${Math.round(Number(s) * 100)}%`);
+
+// "(unknown customer)" / "(from email)" are the worker's placeholders, not data.
+const isPlaceholder = (v) => /^\(.*\)$/.test(String(v || "").trim());
+
+function initialForm(item) {
+  const p = item?.payload || {};
+  const out = {};
+  for (const f of EDIT_FIELDS) out[f.key] = isPlaceholder(p[f.key]) ? "" : String(p[f.key] ?? "");
+  return out;
+}
+
+export default function InboxReview() {
+  const [status, setStatus] = useState("Pending");
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null); // full item incl. rawEmail
+  const [form, setForm] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [showRaw, setShowRaw] = useState(false);
+  const [worker, setWorker] = useState(null); // /ingest/status
+
+  const fetchItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get("/ingest/review", { params: { status } });
+      setItems(res.data?.items || []);
+      setCounts(res.data?.counts || {});
+    } catch (err) {
+      console.error("Error fetching review queue:", err);
+    } finally {
+      setLoading(false);
+    }
+    api
+      .get("/ingest/status")
+      .then((res) => setWorker(res.data))
+      .catch((err) => console.error("Error fetching ingest status:", err));
+  }, [status]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const openItem = async (item) => {
+    setError("");
+    setShowRaw(false);
+    try {
+      const res = await api.get(`/ingest/review/${item.id}`);
+      setSelected(res.data);
+      setForm(initialForm(res.data));
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to load review item.");
+    }
+  };
+
+  const closeItem = () => {
+    setSelected(null);
+    setError("");
+  };
+
+  const approve = async (allowDuplicate = false) => {
+    const missing = EDIT_FIELDS.filter((f) => f.required && !String(form[f.key] || "").trim());
+    if (missing.length) return setError(`Required: ${missing.map((f) => f.label).join(", ")}.`);
+    setBusy(true);
+    setError("");
+    try {
+      const res = await api.post(`/ingest/review/${selected.id}/approve`, { fields: form, allowDuplicate });
+      setSelected((s) => ({ ...s, status: "Approved", workOrderId: res.data.workOrderId }));
+      fetchItems();
+    } catch (err) {
+      const data = err?.response?.data;
+      if (err?.response?.status === 409 && data?.workOrderId) {
+        if (window.confirm(`Work order #${data.workOrderId} already has this WO/PO number. Create another one anyway?`)) {
+          await approve(true);
+        }
+      } else {
+        setError(data?.error || "Failed to approve.");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reject = async () => {
+    const reason = window.prompt("Reject this email? Optional reason:", "");
+    if (reason === null) return;
+    setBusy(true);
+    try {
+      await api.post(`/ingest/review/${selected.id}/reject`, { reason });
+      closeItem();
+      fetchItems();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Failed to reject.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pending = selected?.status === "Pending";
+  const workerStale = !!worker && (!worker.mailboxes?.length || worker.mailboxes.some((m) => m.stale));
+  const workerError = worker?.mailboxes?.find((m) => m.lastPollError)?.lastPollError;
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Inbox Review</h2>
+            <div className="inv-subtitle">Vendor emails the ingest worker couldn't file on its own. Correct the fields, then approve or reject.</div>
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            {STATUS_TABS.map((s) => (
+              <button
+                key={s}
+                type="button"
+                className={status === s ? "btn-primary-apple" : undefined}
+                style={status === s ? undefined : { ...ROW_BTN, ...SECONDARY_BTN, height: 34 }}
+                onClick={() => { setStatus(s); closeItem(); }}
+              >
+                {s}{counts[s] ? ` (${counts[s]})` : ""}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {worker && (
+          <div style={{ ...HINT, color: workerStale || workerError ? "var(--accent-red)" : HINT.color }}>
+            Ingest worker: last poll {fmtWhen(worker.lastPollAt)}
+            {workerStale ? " (not polling)" : ""} · {worker.counts?.processed?.last24h || 0} processed,{" "}
+            {worker.counts?.failed?.last24h || 0} failed in the last 24h
+            {worker.pendingRetry ? ` · ${worker.pendingRetry} waiting to retry` : ""}
+            {worker.gaveUp ? ` · ${worker.gaveUp} gave up after ${worker.maxAttempts} attempts` : ""}
+            {workerError ? ` · last poll error: ${workerError}` : ""}
+          </div>
+        )}
+
+        {selected && (
+          <div className="cust-section-card" style={{ marginBottom: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+              <div>
+                <h3 style={SECTION_TITLE}>{selected.subject || "(no subject)"}</h3>
+                <p style={HINT}>
+                  {selected.fromAddress || "Unknown sender"} · {fmtWhen(selected.receivedAt || selected.createdAt)} ·{" "}
+                  {selected.vendor || "Unknown vendor"} · score {fmtScore(selected.score)} · {REASON_LABELS[selected.reason] || selected.reason}
+                </p>
+              </div>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={closeItem}>✕</button>
+            </div>
+
+            {selected.error && (
+              <div style={{ fontSize: 12, color: "var(--accent-red)", marginBottom: 12 }}>Error: {selected.error}</div>
+            )}
+            {selected.status === "Approved" && selected.workOrderId && (
+              <div style={{ fontSize: 13, marginBottom: 12 }}>
+                Approved by {selected.reviewedBy || "—"} →{" "}
+                <Link to={`/view-work-order/${selected.workOrderId}`}>work order #{selected.workOrderId}</Link>
+              </div>
+            )}
+            {selected.status === "Rejected" && (
+              <div style={{ fontSize: 13, marginBottom: 12 }}>
+                Rejected by {selected.reviewedBy || "—"}{selected.rejectReason ? `: ${selected.rejectReason}` : ""}
+              </div>
+            )}
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))", gap: 12 }}>
+              {EDIT_FIELDS.map((f) => {
+                const parsed = selected.parsedFields?.[f.key];
+                return (
+                  <div key={f.key} style={f.multiline ? { gridColumn: "1 / -1" } : undefined}>
+                    <label style={LABEL} htmlFor={`irq-${f.key}`}>{f.label}{f.required ? " *" : ""}</label>
+                    {f.multiline ? (
+                      <textarea
+                        id={`irq-${f.key}`}
+                        style={{ ...FIELD, minHeight: 80, resize: "vertical" }}
+                        value={form[f.key] || ""}
+                        disabled={!pending}
+                        onChange={(e) => setForm((v) => ({ ...v, [f.key]: e.target.value }))}
+                      />
+                    ) : (
+                      <input
+                        id={`irq-${f.key}`}
+                        style={FIELD}
+                        value={form[f.key] || ""}
+                        disabled={!pending}
+                        onChange={(e) => setForm((v) => ({ ...v, [f.key]: e.target.value }))}
+                      />
+                    )}
+                    {parsed && String(parsed) !== String(form[f.key] || "") && (
+                      <div style={{ fontSize: 11, color: "var(--text-tertiary)", marginTop: 2 }}>Parsed: {String(parsed)}</div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {selected.attachments?.length > 0 && (
+              <div style={{ marginTop: 16 }}>
+                <div style={LABEL}>Attachments</div>
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  {selected.attachments.map((a) => (
+                    <a
+                      key={a.key}
+                      href={a.url ? `${API_BASE_URL}${a.url}` : undefined}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{ ...ROW_BTN, ...SECONDARY_BTN, textDecoration: "none" }}
+                    >
+                      {a.kind === "po" ? "PO · " : ""}{a.filename || a.key.split("/").pop()}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div style={{ marginTop: 16 }}>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setShowRaw((v) => !v)}>
+                {showRaw ? "Hide raw email" : "Show raw email"}
+              </button>
+              {showRaw && (
+                <pre
+                  style={{
+                    marginTop: 8, maxHeight: 360, overflow: "auto", fontSize: 11, whiteSpace: "pre-wrap",
+                    background: "var(--bg-secondary)", padding: 10, borderRadius: 8, color: "var(--text-primary)",
+                  }}
+                >
+                  {selected.rawEmail || "(not stored)"}
+                </pre>
+              )}
+            </div>
+
+            {error && <div style={{ fontSize: 13, color: "var(--accent-red)", marginTop: 12 }}>{error}</div>}
+            {pending && (
+              <div style={{ display: "flex", gap: 8, marginTop: 16 }}>
+                <button
+                  type="button"
+                  className="btn-primary-apple"
+                  disabled={busy}
+                  style={busy ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+                  onClick={() => approve(false)}
+                >
+                  {busy ? "Working…" : "Approve & Create Work Order"}
+                </button>
+                <button
+                  type="button"
+                  style={{ ...ROW_BTN, ...SECONDARY_BTN, height: 34, color: "var(--accent-red)" }}
+                  disabled={busy}
+                  onClick={reject}
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="cust-section-card">
+          {loading ? (
+            <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
+          ) : items.length === 0 ? (
+            <p style={{ ...HINT, margin: 0 }}>Nothing {status.toLowerCase()}.</p>
+          ) : (
+            <table className="inv-table">
+              <thead>
+                <tr>
+                  <th>Received</th>
+                  <th>From</th>
+                  <th>Subject</th>
+                  <th>Vendor</th>
+                  <th style={{ textAlign: "center" }}>Score</th>
+                  <th>Why</th>
+                  {status !== "Pending" && <th>Reviewed</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((it) => (
+                  <tr
+                    key={it.id}
+                    onClick={() => openItem(it)}
+                    style={{ cursor: "pointer", background: selected?.id === it.id ? "var(--bg-secondary)" : undefined }}
+                  >
+                    <td style={{ fontSize: 12, whiteSpace: "nowrap" }}>{fmtWhen(it.receivedAt || it.createdAt)}</td>
+                    <td style={{ fontSize: 12 }}>{it.fromAddress || "—"}</td>
+                    <td style={{ fontWeight: 600 }}>{it.subject || "(no subject)"}</td>
+                    <td style={{ fontSize: 12 }}>{it.vendor || "—"}</td>
+                    <td style={{ fontSize: 12, textAlign: "center" }}>{fmtScore(it.score)}</td>
+                    <td style={{ fontSize: 12 }}>{REASON_LABELS[it.reason] || it.reason}</td>
+                    {status !== "Pending" && (
+                      <td style={{ fontSize: 12 }}>{it.reviewedBy || "—"} · {fmtWhen(it.reviewedAt)}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,11 @@
 // File: src/LineItemEditor.js
 // Shared line item editor with template autocomplete on ITEM field.
-// Column order: ITEM | QTY | DESCRIPTION | AMOUNT
+// Column order: ITEM | QTY | DESCRIPTION | COST | MARKUP % | AMOUNT | TAX | MARGIN
 // Used by both CreateEstimate.js and CreateInvoice.js.
+// Cost, markup and margin are internal only — the PDF never prints them.
+// Filling cost + markup computes the amount; editing the amount of a costed
+// line back-solves the markup instead. TAX unchecked keeps a line (labor) out
+// of sales tax; templates carry their own default.
 
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import api from "./api";
@@ -15,7 +19,34 @@ function fmtMoney(val) {
 
 const MAX_DROPDOWN = 6;
 
-export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cssPrefix }) {
+const isBlank = (v) => v === "" || v == null;
+const lineQty = (q) => (isBlank(q) ? 1 : Number(q) || 0);
+
+function sellPrice(li) {
+  if (isBlank(li.unitCost) || isBlank(li.markupPct)) return null;
+  const amt = lineQty(li.quantity) * Number(li.unitCost) * (1 + Number(li.markupPct) / 100);
+  return (Math.round(amt * 100) / 100).toFixed(2);
+}
+
+function lineMarginPct(li) {
+  const amt = Number(li.amount) || 0;
+  if (isBlank(li.unitCost) || amt <= 0) return null;
+  const cost = lineQty(li.quantity) * Number(li.unitCost);
+  return Math.round(((amt - cost) / amt) * 1000) / 10;
+}
+
+// Overall margin across lines that have a cost (uncosted lines are unknown, not free).
+export function lineItemsMarginPct(lineItems) {
+  let revenue = 0, cost = 0;
+  for (const li of lineItems) {
+    if (isBlank(li.unitCost)) continue;
+    revenue += Number(li.amount) || 0;
+    cost += lineQty(li.quantity) * Number(li.unitCost);
+  }
+  return revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : null;
+}
+
+export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cssPrefix, marginFloorPct }) {
   const p = cssPrefix; // shorthand
 
   // Template state
@@ -68,7 +99,7 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
     const newId = nextTempId.current++;
     setLineItems((prev) => [
       ...prev,
-      { tempId: newId, itemName: "", description: "", quantity: "", amount: "", sortOrder: prev.length },
+      { tempId: newId, itemName: "", description: "", quantity: "", unitCost: "", markupPct: "", amount: "", taxable: true, sortOrder: prev.length },
     ]);
     pendingFocus.current = newId;
     return newId;
@@ -76,7 +107,18 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
 
   const updateLineItem = useCallback((tempId, field, value) => {
     setLineItems((prev) =>
-      prev.map((li) => (li.tempId === tempId ? { ...li, [field]: value } : li))
+      prev.map((li) => {
+        if (li.tempId !== tempId) return li;
+        const next = { ...li, [field]: value };
+        if (field === "quantity" || field === "unitCost" || field === "markupPct") {
+          const price = sellPrice(next);
+          if (price != null) next.amount = price;
+        } else if (field === "amount" && Number(next.unitCost) > 0 && !isBlank(value)) {
+          const cost = lineQty(next.quantity) * Number(next.unitCost);
+          if (cost > 0) next.markupPct = String(Math.round((Number(value) / cost - 1) * 10000) / 100);
+        }
+        return next;
+      })
     );
   }, [setLineItems]);
 
@@ -108,11 +150,16 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
     setLineItems((prev) =>
       prev.map((li) => {
         if (li.tempId !== tempId) return li;
-        return {
+        const next = {
           ...li,
           itemName: template.description,
+          unitCost: template.defaultUnitCost != null ? String(template.defaultUnitCost) : li.unitCost,
+          markupPct: template.defaultMarkupPct != null ? String(template.defaultMarkupPct) : li.markupPct,
+          taxable: template.taxable != null ? !!Number(template.taxable) : li.taxable,
           amount: template.defaultAmount != null ? String(template.defaultAmount) : li.amount,
         };
+        if (template.defaultAmount == null) next.amount = sellPrice(next) ?? next.amount;
+        return next;
       })
     );
     setActiveDropdown(null);
@@ -129,6 +176,9 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
         description: (li.itemName || "").trim(),
         defaultQuantity: li.quantity ? Number(li.quantity) : 1,
         defaultAmount: li.amount ? Number(li.amount) : null,
+        defaultUnitCost: !isBlank(li.unitCost) ? Number(li.unitCost) : null,
+        defaultMarkupPct: !isBlank(li.markupPct) ? Number(li.markupPct) : null,
+        taxable: li.taxable !== false,
       });
       setTemplates((prev) => [...prev, res.data]);
     } catch {
@@ -218,6 +268,10 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
     );
   };
 
+  const floor = isBlank(marginFloorPct) ? null : Number(marginFloorPct);
+  const overallMargin = lineItemsMarginPct(lineItems);
+  const belowFloor = floor != null && overallMargin != null && overallMargin < floor;
+
   return (
     <>
       {lineItems.length > 0 && (
@@ -225,7 +279,11 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
           <span>Item</span>
           <span>Qty</span>
           <span>Description</span>
+          <span style={{ textAlign: "right" }}>Cost ($)</span>
+          <span style={{ textAlign: "right" }}>Markup %</span>
           <span style={{ textAlign: "right" }}>Amount ($)</span>
+          <span style={{ textAlign: "center" }}>Tax</span>
+          <span style={{ textAlign: "right" }} title="Internal only — not printed">Margin</span>
           <span></span>
           <span></span>
           <span></span>
@@ -236,6 +294,7 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
         const filtered = activeDropdown === li.tempId
           ? getFilteredTemplates(li.itemName)
           : [];
+        const margin = lineMarginPct(li);
 
         return (
           <div
@@ -323,6 +382,29 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
               ref={(el) => { descRefs.current[li.tempId] = el; }}
             />
 
+            {/* COST (per unit, internal) */}
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={li.unitCost ?? ""}
+              onChange={(e) => updateLineItem(li.tempId, "unitCost", e.target.value)}
+              className={`${p}-li-input`}
+              placeholder="Cost"
+              style={{ textAlign: "right" }}
+            />
+
+            {/* MARKUP % (internal) */}
+            <input
+              type="number"
+              step="0.1"
+              value={li.markupPct ?? ""}
+              onChange={(e) => updateLineItem(li.tempId, "markupPct", e.target.value)}
+              className={`${p}-li-input`}
+              placeholder="%"
+              style={{ textAlign: "right" }}
+            />
+
             {/* AMOUNT */}
             <input
               type="number"
@@ -337,6 +419,24 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
               ref={(el) => { amtRefs.current[li.tempId] = el; }}
             />
 
+            {/* TAXABLE */}
+            <input
+              type="checkbox"
+              checked={li.taxable !== false && li.taxable !== 0}
+              onChange={(e) => updateLineItem(li.tempId, "taxable", e.target.checked)}
+              tabIndex={-1}
+              title="Taxable"
+              style={{ justifySelf: "center" }}
+            />
+
+            {/* MARGIN (internal, read-only) */}
+            <span
+              className={`li-margin${margin != null && floor != null && margin < floor ? " low" : ""}`}
+              title="Internal only — not printed"
+            >
+              {margin != null ? `${margin}%` : "—"}
+            </span>
+
             {/* Move up */}
             <button
               type="button"
@@ -375,6 +475,12 @@ export default function LineItemEditor({ lineItems, setLineItems, nextTempId, cs
         );
       })}
 
+      {belowFloor && (
+        <div className="li-margin-warning">
+          Margin on costed lines is {overallMargin}% — below the {floor}% floor.
+        </div>
+      )}
+
       <div className="li-footer-row">
         <button type="button" className={`${p}-add-line`} onClick={addLineItem}>
           + Add Line Item
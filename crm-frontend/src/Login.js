@@ -18,10 +18,16 @@ export default function Login() {
 
     try {
       const { data } = await api.post("/auth/login", { username, password });
-      // store the token
+      // store the access token + the refresh token api.js renews it with
       localStorage.setItem("jwt", data.token);
-      // navigate into the protected app
-      navigate("/work-orders");
+      localStorage.setItem("refreshToken", data.refreshToken);
+      // navigate into the protected app — or straight to choosing a real
+      // password if this login used an admin-issued temporary one
+      if (data.mustChangePassword) {
+        navigate("/account", { state: { mustChangePassword: true } });
+      } else {
+        navigate("/work-orders");
+      }
     } catch (err) {
       console.error("Login error:", err.response?.data || err);
       setError(err.response?.data?.error || "Login failed. Please check your credentials.");
@@ -4,7 +4,8 @@ import React, { useState, useEffect, useCallback, useMemo, useRef } from "react"
 import { Link, NavLink, useNavigate, useLocation } from "react-router-dom";
 import { DndProvider, useDrag, useDrop } from "react-dnd";
 import { HTML5Backend } from "react-dnd-html5-backend";
-import api from "./api";
+import api, { clearSession } from "./api";
+import { can } from "./auth";
 import ThemeToggle from "./components/ThemeToggle";
 import "./Navbar.css";
 
@@ -23,15 +24,25 @@ const NAV_ITEMS = [
       // "History" lives in the navbar search box (Enter → /history?q=…), not here.
       // Collections, Email Templates and Route Builder demoted from top level.
       // Every route below is unchanged — only where the link lives moved.
+      // `perm` hides a link from roles the server would refuse anyway.
       { label: "Customers", to: "/customers" },
-      { label: "Reports", to: "/reports" },
-      { label: "Collections", to: "/collections" },
-      { label: "Email Templates", to: "/email-templates" },
+      { label: "Reports", to: "/reports", perm: "reports.view" },
+      { label: "Collections", to: "/collections", perm: "invoices.view" },
+      { label: "Batch Invoicing", to: "/batch-invoicing", perm: "invoices.edit" },
+      { label: "Email Templates", to: "/email-templates", perm: "templates.edit" },
+      { label: "Inbox Review", to: "/inbox-review", perm: "ingest.review" },
+      { label: "Extraction Playground", to: "/extraction-playground", perm: "tools.debug" },
       { label: "Route Builder", to: "/route-builder" },
+      { label: "Timesheets", to: "/timesheets" },
+      { label: "Workflow", to: "/workflow", perm: "workflow.edit" },
+      { label: "Users", to: "/users", perm: "users.manage" },
+      { label: "My Account", to: "/account" },
     ],
   },
 ];
 
+const visibleChildren = (item) => item.children.filter((c) => !c.perm || can(c.perm));
+
 const NAV_ITEMS_MAP = new Map(NAV_ITEMS.map((i) => [i.id, i]));
 const DEFAULT_ORDER = NAV_ITEMS.map((i) => i.id);
 const STORAGE_KEY = "navbar-order";
@@ -103,9 +114,22 @@ function SortableNavItem({ id, label, index, moveItem }) {
 }
 
 /* ========== Settings Modal ========== */
+// Mirrors formatDocumentNumber on the server so the preview updates as you type.
+function previewDocumentNumber(fmt) {
+  const pad = Math.min(Math.max(Number(fmt.padLength) || 0, 0), 12);
+  const value = String(Math.max(1, parseInt(fmt.nextValue, 10) || 1)).padStart(pad, "0");
+  return `${fmt.prefix || ""}${fmt.includeYear ? `${new Date().getFullYear()}-` : ""}${value}`;
+}
+
 function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
-  const [nextInvoiceNumber, setNextInvoiceNumber] = useState("");
+  // Everyone can reorder the navbar; the rest is gated like the server routes.
+  const canEditSettings = can("settings.edit");
+  const canEmailSettings = can("emailSettings.manage");
+  const canTemplates = can("templates.edit");
+  const [numbering, setNumbering] = useState([]);
   const [defaultInvoiceTerms, setDefaultInvoiceTerms] = useState("");
+  const [marginFloorPct, setMarginFloorPct] = useState("");
+  const [monthlyStatements, setMonthlyStatements] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [localOrder, setLocalOrder] = useState(navOrder);
@@ -126,20 +150,39 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
   const [editingTpl, setEditingTpl] = useState(null); // id of template being edited
   const [editForm, setEditForm] = useState({});
   const [addingTpl, setAddingTpl] = useState(false);
-  const [newTpl, setNewTpl] = useState({ description: "", defaultQuantity: "1", defaultAmount: "", category: "" });
+  const [newTpl, setNewTpl] = useState({ description: "", defaultQuantity: "1", defaultAmount: "", defaultUnitCost: "", defaultMarkupPct: "", taxable: true, category: "" });
+
+  // Sales tax jurisdictions
+  const EMPTY_JUR = { name: "", state: "IL", city: "", zip: "", rate: "" };
+  const [jurisdictions, setJurisdictions] = useState([]);
+  const [editingJur, setEditingJur] = useState(null); // id being edited, or "new"
+  const [jurForm, setJurForm] = useState(EMPTY_JUR);
+
+  // Collection policies (terms + late fees per customer)
+  const EMPTY_POLICY = { name: "", netDays: "45", feePct: "15", compounding: true, escalationDays: "30", reminderCadenceDays: "30" };
+  const [policies, setPolicies] = useState([]);
+  const [editingPolicy, setEditingPolicy] = useState(null); // id being edited, or "new"
+  const [policyForm, setPolicyForm] = useState(EMPTY_POLICY);
 
   const fetchSettings = useCallback(async () => {
     setLoading(true);
     try {
-      const [settingsRes, tplRes, emailRes] = await Promise.all([
+      const [settingsRes, tplRes, emailRes, jurRes, numRes, policyRes] = await Promise.all([
         api.get("/settings"),
         api.get("/line-item-templates"),
-        api.get("/email-settings").catch(() => ({ data: {} })),
+        canEmailSettings ? api.get("/email-settings").catch(() => ({ data: {} })) : { data: {} },
+        canEditSettings ? api.get("/tax-jurisdictions").catch(() => ({ data: [] })) : { data: [] },
+        canEditSettings ? api.get("/numbering").catch(() => ({ data: [] })) : { data: [] },
+        canEditSettings ? api.get("/collection-policies").catch(() => ({ data: [] })) : { data: [] },
       ]);
       const s = settingsRes.data || {};
-      setNextInvoiceNumber(s.nextInvoiceNumber || "1");
+      setNumbering(Array.isArray(numRes.data) ? numRes.data.map((n) => ({ ...n, nextValue: String(n.nextValue) })) : []);
       setDefaultInvoiceTerms(s.defaultInvoiceTerms || "");
+      setMarginFloorPct(s.marginFloorPct || "");
+      setMonthlyStatements(s.monthlyStatements === "1" || s.monthlyStatements === "true");
       setTemplates(tplRes.data || []);
+      setJurisdictions(Array.isArray(jurRes.data) ? jurRes.data : []);
+      setPolicies(Array.isArray(policyRes.data) ? policyRes.data : []);
       const es = emailRes.data || {};
       setEmailSettings({
         senderEmail: es.senderEmail || "",
@@ -157,7 +200,7 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [canEmailSettings, canEditSettings]);
 
   useEffect(() => {
     fetchSettings();
@@ -169,6 +212,9 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
       description: tpl.description,
       defaultQuantity: tpl.defaultQuantity != null ? String(tpl.defaultQuantity) : "",
       defaultAmount: tpl.defaultAmount != null ? String(tpl.defaultAmount) : "",
+      defaultUnitCost: tpl.defaultUnitCost != null ? String(tpl.defaultUnitCost) : "",
+      defaultMarkupPct: tpl.defaultMarkupPct != null ? String(tpl.defaultMarkupPct) : "",
+      taxable: tpl.taxable == null || !!Number(tpl.taxable),
       category: tpl.category || "",
     });
   };
@@ -179,6 +225,9 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
         description: editForm.description,
         defaultQuantity: editForm.defaultQuantity ? Number(editForm.defaultQuantity) : null,
         defaultAmount: editForm.defaultAmount ? Number(editForm.defaultAmount) : null,
+        defaultUnitCost: editForm.defaultUnitCost !== "" ? Number(editForm.defaultUnitCost) : null,
+        defaultMarkupPct: editForm.defaultMarkupPct !== "" ? Number(editForm.defaultMarkupPct) : null,
+        taxable: editForm.taxable,
         category: editForm.category || null,
       });
       setEditingTpl(null);
@@ -206,16 +255,117 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
         description: newTpl.description.trim(),
         defaultQuantity: newTpl.defaultQuantity ? Number(newTpl.defaultQuantity) : 1,
         defaultAmount: newTpl.defaultAmount ? Number(newTpl.defaultAmount) : null,
+        defaultUnitCost: newTpl.defaultUnitCost !== "" ? Number(newTpl.defaultUnitCost) : null,
+        defaultMarkupPct: newTpl.defaultMarkupPct !== "" ? Number(newTpl.defaultMarkupPct) : null,
+        taxable: newTpl.taxable,
         category: newTpl.category.trim() || null,
       });
       setTemplates((prev) => [...prev, res.data]);
-      setNewTpl({ description: "", defaultQuantity: "1", defaultAmount: "", category: "" });
+      setNewTpl({ description: "", defaultQuantity: "1", defaultAmount: "", defaultUnitCost: "", defaultMarkupPct: "", taxable: true, category: "" });
       setAddingTpl(false);
     } catch (err) {
       console.error("Error adding template:", err);
     }
   };
 
+  const handleEditJur = (j) => {
+    setEditingJur(j ? j.id : "new");
+    setJurForm(j
+      ? { name: j.name, state: j.state, city: j.city || "", zip: j.zip || "", rate: String(Number(j.rate)) }
+      : EMPTY_JUR);
+  };
+
+  const handleSaveJur = async () => {
+    try {
+      if (editingJur === "new") await api.post("/tax-jurisdictions", jurForm);
+      else await api.put(`/tax-jurisdictions/${editingJur}`, jurForm);
+      setEditingJur(null);
+      const res = await api.get("/tax-jurisdictions");
+      setJurisdictions(res.data || []);
+    } catch (err) {
+      console.error("Error saving tax jurisdiction:", err);
+      alert(err?.response?.data?.error || "Failed to save tax jurisdiction.");
+    }
+  };
+
+  const handleDeleteJur = async (id) => {
+    if (!window.confirm("Retire this tax jurisdiction? Existing estimates and invoices keep their rate.")) return;
+    try {
+      await api.delete(`/tax-jurisdictions/${id}`);
+      setJurisdictions((prev) => prev.filter((j) => j.id !== id));
+    } catch (err) {
+      console.error("Error deleting tax jurisdiction:", err);
+    }
+  };
+
+  const reloadPolicies = async () => {
+    const res = await api.get("/collection-policies");
+    setPolicies(res.data || []);
+  };
+
+  const handleEditPolicy = (p) => {
+    setEditingPolicy(p ? p.id : "new");
+    setPolicyForm(p
+      ? {
+          name: p.name,
+          netDays: String(p.netDays),
+          feePct: String(p.feePct),
+          compounding: !!p.compounding,
+          escalationDays: String(p.escalationDays),
+          reminderCadenceDays: String(p.reminderCadenceDays),
+        }
+      : EMPTY_POLICY);
+  };
+
+  const handleSavePolicy = async () => {
+    try {
+      if (editingPolicy === "new") await api.post("/collection-policies", policyForm);
+      else await api.put(`/collection-policies/${editingPolicy}`, policyForm);
+      setEditingPolicy(null);
+      await reloadPolicies();
+    } catch (err) {
+      console.error("Error saving collection policy:", err);
+      alert(err?.response?.data?.error || "Failed to save collection policy.");
+    }
+  };
+
+  const handleDefaultPolicy = async (id) => {
+    try {
+      await api.put(`/collection-policies/${id}`, { isDefault: true });
+      await reloadPolicies();
+    } catch (err) {
+      console.error("Error setting default collection policy:", err);
+      alert(err?.response?.data?.error || "Failed to set the default policy.");
+    }
+  };
+
+  const handleDeletePolicy = async (p) => {
+    const moved = p.customerCount ? ` Its ${p.customerCount} customer(s) move to the default policy.` : "";
+    if (!window.confirm(`Retire "${p.name}"?${moved}`)) return;
+    try {
+      await api.delete(`/collection-policies/${p.id}`);
+      await reloadPolicies();
+    } catch (err) {
+      console.error("Error deleting collection policy:", err);
+      alert(err?.response?.data?.error || "Failed to retire collection policy.");
+    }
+  };
+
+  const policyInputs = (
+    <>
+      <input className="settings-input settings-tpl-input" placeholder="Name" value={policyForm.name} onChange={(e) => setPolicyForm({ ...policyForm, name: e.target.value })} />
+      <input className="settings-input settings-tpl-input" type="number" min="0" placeholder="Net" value={policyForm.netDays} onChange={(e) => setPolicyForm({ ...policyForm, netDays: e.target.value })} />
+      <input className="settings-input settings-tpl-input" type="number" step="0.01" min="0" placeholder="Fee %" value={policyForm.feePct} onChange={(e) => setPolicyForm({ ...policyForm, feePct: e.target.value })} />
+      <input type="checkbox" title="Compound the fee on the balance plus fees already charged" checked={policyForm.compounding} onChange={(e) => setPolicyForm({ ...policyForm, compounding: e.target.checked })} style={{ width: 16, height: 16, accentColor: "var(--accent-blue)" }} />
+      <input className="settings-input settings-tpl-input" type="number" min="1" placeholder="Every" value={policyForm.escalationDays} onChange={(e) => setPolicyForm({ ...policyForm, escalationDays: e.target.value })} />
+      <input className="settings-input settings-tpl-input" type="number" min="1" placeholder="Remind" value={policyForm.reminderCadenceDays} onChange={(e) => setPolicyForm({ ...policyForm, reminderCadenceDays: e.target.value })} />
+      <div className="settings-tpl-actions">
+        <button type="button" className="settings-tpl-action-btn" onClick={handleSavePolicy}>Save</button>
+        <button type="button" className="settings-tpl-action-btn" onClick={() => setEditingPolicy(null)}>Cancel</button>
+      </div>
+    </>
+  );
+
   const moveItem = useCallback((fromIndex, toIndex) => {
     setLocalOrder((prev) => {
       const updated = [...prev];
@@ -233,15 +383,16 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
     setSaving(true);
     try {
       await Promise.all([
-        api.put("/settings", { nextInvoiceNumber, defaultInvoiceTerms }),
-        api.put("/email-settings", emailSettings),
+        canEditSettings && api.put("/settings", { defaultInvoiceTerms, marginFloorPct, monthlyStatements: monthlyStatements ? "1" : "0" }),
+        canEmailSettings && api.put("/email-settings", emailSettings),
+        ...(canEditSettings ? numbering.filter((n) => n.dirty).map((n) => api.put(`/numbering/${n.docType}`, n)) : []),
       ]);
       saveNavOrder(localOrder);
       onNavOrderChange(localOrder);
       onClose();
     } catch (err) {
       console.error("Error saving settings:", err);
-      alert("Failed to save settings.");
+      alert(err?.response?.data?.error || "Failed to save settings.");
     } finally {
       setSaving(false);
     }
@@ -271,275 +422,474 @@ function SettingsModal({ onClose, navOrder, onNavOrderChange }) {
           <p style={{ color: "var(--text-tertiary)", fontSize: 14 }}>Loading...</p>
         ) : (
           <>
-            <div className="settings-field">
-              <label className="settings-label">Next Invoice Number</label>
-              <input
-                className="settings-input"
-                value={nextInvoiceNumber}
-                onChange={(e) => setNextInvoiceNumber(e.target.value)}
-              />
-            </div>
-
-            <div className="settings-field">
-              <label className="settings-label">Default Payment Terms</label>
-              <textarea
-                className="settings-input settings-textarea"
-                value={defaultInvoiceTerms}
-                onChange={(e) => setDefaultInvoiceTerms(e.target.value)}
-                rows={4}
-              />
-            </div>
-
-            <div className="settings-divider" />
-
-            {/* Email Configuration */}
-            <div className="settings-field">
-              <label className="settings-label">Email Configuration</label>
-              <p className="settings-hint">
-                Configure Yahoo Mail to send estimates, invoices, and payment reminders.
-                You need a Yahoo App Password (Account Settings → Security → Generate App Password).
-              </p>
-            </div>
-
-            <div className="settings-field">
-              <label className="settings-label" style={{ fontSize: 11 }}>Yahoo Email Address</label>
-              <input
-                className="settings-input"
-                type="email"
-                value={emailSettings.senderEmail}
-                onChange={(e) => setEmailSettings((s) => ({ ...s, senderEmail: e.target.value }))}
-                placeholder="youremail@yahoo.com"
-              />
-            </div>
-
-            <div className="settings-field">
-              <label className="settings-label" style={{ fontSize: 11 }}>App Password</label>
-              <div style={{ position: "relative" }}>
-                <input
-                  className="settings-input"
-                  type={showPassword ? "text" : "password"}
-                  value={emailSettings.senderPassword}
-                  onChange={(e) => setEmailSettings((s) => ({ ...s, senderPassword: e.target.value }))}
-                  placeholder="Yahoo app password"
-                  style={{ paddingRight: 60 }}
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  style={{
-                    position: "absolute", right: 8, top: "50%", transform: "translateY(-50%)",
-                    background: "none", border: "none", color: "var(--accent-blue)",
-                    cursor: "pointer", fontSize: 12, fontWeight: 600
-                  }}
-                >
-                  {showPassword ? "Hide" : "Show"}
-                </button>
-              </div>
-            </div>
+            {canEditSettings && (
+              <>
+                <div className="settings-field">
+                  <label className="settings-label">Document Numbering</label>
+                  <p className="settings-hint">
+                    Numbers are handed out one at a time, so two people saving at once never get the same one.
+                    Numbers already in use are skipped.
+                  </p>
+                  <div className="settings-tpl-table">
+                    <div className="settings-tpl-header settings-num-grid">
+                      <span>Document</span>
+                      <span>Prefix</span>
+                      <span>Year</span>
+                      <span>Digits</span>
+                      <span>Reset yearly</span>
+                      <span>Next #</span>
+                      <span>Preview</span>
+                    </div>
+                    {numbering.map((n, i) => {
+                      const patch = (changes) =>
+                        setNumbering((list) => list.map((x, j) => (j === i ? { ...x, ...changes, dirty: true } : x)));
+                      return (
+                        <div className="settings-tpl-row settings-num-grid" key={n.docType}>
+                          <span className="settings-tpl-desc">{n.label}</span>
+                          <input className="settings-input settings-tpl-input" maxLength={20} value={n.prefix} onChange={(e) => patch({ prefix: e.target.value })} />
+                          <input type="checkbox" checked={n.includeYear} onChange={(e) => patch({ includeYear: e.target.checked })} />
+                          <input className="settings-input settings-tpl-input" type="number" min="0" max="12" value={n.padLength} onChange={(e) => patch({ padLength: e.target.value })} />
+                          <input type="checkbox" checked={n.yearlyReset} onChange={(e) => patch({ yearlyReset: e.target.checked })} />
+                          <input className="settings-input settings-tpl-input" type="number" min="1" value={n.nextValue} onChange={(e) => patch({ nextValue: e.target.value })} />
+                          <span className="settings-num-preview">{previewDocumentNumber(n)}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
 
-            <div className="settings-field">
-              <label className="settings-label" style={{ fontSize: 11 }}>Sender Display Name</label>
-              <input
-                className="settings-input"
-                value={emailSettings.senderName}
-                onChange={(e) => setEmailSettings((s) => ({ ...s, senderName: e.target.value }))}
-                placeholder="First Class Glass & Mirror, Inc."
-              />
-            </div>
+                <div className="settings-field">
+                  <label className="settings-label">Default Payment Terms</label>
+                  <textarea
+                    className="settings-input settings-textarea"
+                    value={defaultInvoiceTerms}
+                    onChange={(e) => setDefaultInvoiceTerms(e.target.value)}
+                    rows={4}
+                  />
+                </div>
 
-            <div className="settings-field">
-              <label className="settings-label" style={{ fontSize: 11 }}>Reply-To Email (optional)</label>
-              <input
-                className="settings-input"
-                type="email"
-                value={emailSettings.replyTo}
-                onChange={(e) => setEmailSettings((s) => ({ ...s, replyTo: e.target.value }))}
-                placeholder="Leave blank to use sender email"
-              />
-            </div>
+                <div className="settings-field">
+                  <label className="settings-label">Estimate Margin Floor (%)</label>
+                  <p className="settings-hint">
+                    Estimates whose margin on costed lines falls below this show a warning. Internal only — never printed.
+                  </p>
+                  <input
+                    className="settings-input"
+                    type="number"
+                    step="0.1"
+                    value={marginFloorPct}
+                    onChange={(e) => setMarginFloorPct(e.target.value)}
+                    placeholder="e.g. 20"
+                  />
+                </div>
 
-            <div className="settings-field">
-              <button
-                type="button"
-                className="settings-btn-test"
-                onClick={handleTestEmail}
-                disabled={testingEmail || !emailSettings.senderEmail || !emailSettings.senderPassword}
-                style={{
-                  padding: "8px 16px", borderRadius: 8, border: "1px solid var(--border-color-strong)",
-                  background: "var(--bg-secondary)", color: "var(--text-primary)", cursor: "pointer",
-                  fontSize: 13, fontWeight: 600, transition: "var(--transition-fast)",
-                  opacity: (testingEmail || !emailSettings.senderEmail || !emailSettings.senderPassword) ? 0.5 : 1
-                }}
-              >
-                {testingEmail ? "Testing..." : "Test Connection"}
-              </button>
-              {emailTestResult && (
-                <span style={{
-                  marginLeft: 12, fontSize: 13, fontWeight: 500,
-                  color: emailTestResult.includes("success") || emailTestResult.includes("sent") ? "var(--accent-green)" : "var(--accent-red)"
-                }}>
-                  {emailTestResult}
-                </span>
-              )}
-            </div>
+                <div className="settings-field">
+                  <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, fontWeight: 600, color: "var(--text-primary)" }}>
+                    <input
+                      type="checkbox"
+                      checked={monthlyStatements}
+                      onChange={(e) => setMonthlyStatements(e.target.checked)}
+                      style={{ width: 16, height: 16, accentColor: "var(--accent-blue)" }}
+                    />
+                    Email Monthly Statements
+                  </label>
+                  <p className="settings-hint">
+                    Early each month, every customer with an open balance is emailed last month's statement at their billing email.
+                  </p>
+                </div>
 
-            <div className="settings-divider" />
+                <div className="settings-field">
+                  <label className="settings-label">Sales Tax Jurisdictions</label>
+                  <p className="settings-hint">
+                    Picked automatically from the job-site address: a ZIP match wins, then city, then a statewide row.
+                    Rate changes only affect drafts — issued estimates and invoices keep their rate.
+                  </p>
+                  <div className="settings-tpl-table">
+                    <div className="settings-tpl-header settings-tax-grid">
+                      <span>Name</span>
+                      <span>State</span>
+                      <span>City</span>
+                      <span>ZIP</span>
+                      <span>Rate</span>
+                      <span></span>
+                    </div>
+                    {jurisdictions.map((j) => (
+                      <div className="settings-tpl-row settings-tax-grid" key={j.id}>
+                        {editingJur === j.id ? (
+                          <>
+                            <input className="settings-input settings-tpl-input" placeholder="Name" value={jurForm.name} onChange={(e) => setJurForm({ ...jurForm, name: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" placeholder="ST" maxLength={2} value={jurForm.state} onChange={(e) => setJurForm({ ...jurForm, state: e.target.value.toUpperCase() })} />
+                            <input className="settings-input settings-tpl-input" placeholder="City (any)" value={jurForm.city} onChange={(e) => setJurForm({ ...jurForm, city: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" placeholder="ZIP (any)" value={jurForm.zip} onChange={(e) => setJurForm({ ...jurForm, zip: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" step="0.001" placeholder="Rate %" value={jurForm.rate} onChange={(e) => setJurForm({ ...jurForm, rate: e.target.value })} />
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={handleSaveJur}>Save</button>
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => setEditingJur(null)}>Cancel</button>
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <span className="settings-tpl-desc">{j.name}</span>
+                            <span className="settings-tpl-qty">{j.state}</span>
+                            <span className="settings-tpl-cat">{j.city || "—"}</span>
+                            <span className="settings-tpl-cat">{j.zip || "—"}</span>
+                            <span className="settings-tpl-amt">{Number(j.rate)}%</span>
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => handleEditJur(j)}>Edit</button>
+                              <button type="button" className="settings-tpl-action-btn danger" onClick={() => handleDeleteJur(j.id)}>Del</button>
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    ))}
+                    {editingJur === "new" ? (
+                      <div className="settings-tpl-row settings-tax-grid">
+                          <>
+                            <input className="settings-input settings-tpl-input" placeholder="Name" value={jurForm.name} onChange={(e) => setJurForm({ ...jurForm, name: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" placeholder="ST" maxLength={2} value={jurForm.state} onChange={(e) => setJurForm({ ...jurForm, state: e.target.value.toUpperCase() })} />
+                            <input className="settings-input settings-tpl-input" placeholder="City (any)" value={jurForm.city} onChange={(e) => setJurForm({ ...jurForm, city: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" placeholder="ZIP (any)" value={jurForm.zip} onChange={(e) => setJurForm({ ...jurForm, zip: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" step="0.001" placeholder="Rate %" value={jurForm.rate} onChange={(e) => setJurForm({ ...jurForm, rate: e.target.value })} />
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={handleSaveJur}>Save</button>
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => setEditingJur(null)}>Cancel</button>
+                            </div>
+                          </>
+                      </div>
+                    ) : (
+                      <button type="button" className="settings-tpl-add-btn" onClick={() => handleEditJur(null)}>
+                        + Add Jurisdiction
+                      </button>
+                    )}
+                  </div>
+                </div>
 
-            {/* Stripe Payment Configuration */}
-            <div className="settings-field">
-              <label className="settings-label">Stripe Payment Configuration</label>
-              <p className="settings-hint">
-                Enable online payments for invoices via Stripe. Get your API keys at{" "}
-                <a href="https://dashboard.stripe.com/apikeys" target="_blank" rel="noopener noreferrer" style={{ color: "var(--accent-blue)" }}>
-                  dashboard.stripe.com/apikeys
-                </a>
-              </p>
-            </div>
+                <div className="settings-field">
+                  <label className="settings-label">Collection Policies</label>
+                  <p className="settings-hint">
+                    Payment terms and late-fee rules. Customers without a policy use the default. A 0% fee means no late fees;
+                    the fee is charged every escalation interval past due, and reminders repeat at the reminder cadence.
+                    New net terms apply to invoices created or re-dated afterwards.
+                  </p>
+                  <div className="settings-tpl-table">
+                    <div className="settings-tpl-header settings-policy-grid">
+                      <span>Name</span>
+                      <span>Net</span>
+                      <span>Fee</span>
+                      <span title="Compounding">Cmp</span>
+                      <span>Every</span>
+                      <span>Remind</span>
+                      <span></span>
+                    </div>
+                    {policies.map((p) => (
+                      <div className="settings-tpl-row settings-policy-grid" key={p.id}>
+                        {editingPolicy === p.id ? policyInputs : (
+                          <>
+                            <span className="settings-tpl-desc" title={p.termsPreview}>
+                              {p.name}{p.isDefault ? " (default)" : ""}
+                              {p.customerCount > 0 && <span className="settings-tpl-cat"> · {p.customerCount} cust.</span>}
+                            </span>
+                            <span className="settings-tpl-qty">{p.netDays}d</span>
+                            <span className="settings-tpl-amt">{Number(p.feePct) > 0 ? `${Number(p.feePct)}%` : "None"}</span>
+                            <span className="settings-tpl-qty">{p.compounding ? "Yes" : "No"}</span>
+                            <span className="settings-tpl-qty">{p.escalationDays}d</span>
+                            <span className="settings-tpl-qty">{p.reminderCadenceDays}d</span>
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => handleEditPolicy(p)}>Edit</button>
+                              {!p.isDefault && (
+                                <>
+                                  <button type="button" className="settings-tpl-action-btn" onClick={() => handleDefaultPolicy(p.id)}>Default</button>
+                                  <button type="button" className="settings-tpl-action-btn danger" onClick={() => handleDeletePolicy(p)}>Del</button>
+                                </>
+                              )}
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    ))}
+                    {editingPolicy === "new" ? (
+                      <div className="settings-tpl-row settings-policy-grid">{policyInputs}</div>
+                    ) : (
+                      <button type="button" className="settings-tpl-add-btn" onClick={() => handleEditPolicy(null)}>
+                        + Add Policy
+                      </button>
+                    )}
+                  </div>
+                </div>
 
-            <div className="settings-field">
-              <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, fontWeight: 600, color: "var(--text-primary)" }}>
-                <input
-                  type="checkbox"
-                  checked={emailSettings.stripeEnabled}
-                  onChange={(e) => setEmailSettings((s) => ({ ...s, stripeEnabled: e.target.checked }))}
-                  style={{ width: 16, height: 16, accentColor: "var(--accent-blue)" }}
-                />
-                Enable Stripe Payments
-              </label>
-            </div>
+                <div className="settings-divider" />
+              </>
+            )}
 
-            {emailSettings.stripeEnabled && (
+            {canEmailSettings && (
               <>
+                {/* Email Configuration */}
                 <div className="settings-field">
-                  <label className="settings-label" style={{ fontSize: 11 }}>Publishable Key</label>
+                  <label className="settings-label">Email Configuration</label>
+                  <p className="settings-hint">
+                    Configure Yahoo Mail to send estimates, invoices, and payment reminders.
+                    You need a Yahoo App Password (Account Settings → Security → Generate App Password).
+                  </p>
+                </div>
+
+                <div className="settings-field">
+                  <label className="settings-label" style={{ fontSize: 11 }}>Yahoo Email Address</label>
                   <input
                     className="settings-input"
-                    value={emailSettings.stripePublishableKey}
-                    onChange={(e) => setEmailSettings((s) => ({ ...s, stripePublishableKey: e.target.value }))}
-                    placeholder="pk_test_... or pk_live_..."
+                    type="email"
+                    value={emailSettings.senderEmail}
+                    onChange={(e) => setEmailSettings((s) => ({ ...s, senderEmail: e.target.value }))}
+                    placeholder="youremail@yahoo.com"
                   />
                 </div>
 
                 <div className="settings-field">
-                  <label className="settings-label" style={{ fontSize: 11 }}>Secret Key</label>
+                  <label className="settings-label" style={{ fontSize: 11 }}>App Password</label>
                   <div style={{ position: "relative" }}>
                     <input
                       className="settings-input"
-                      type={showStripeSecret ? "text" : "password"}
-                      value={emailSettings.stripeSecretKey}
-                      onChange={(e) => setEmailSettings((s) => ({ ...s, stripeSecretKey: e.target.value }))}
-                      placeholder="sk_test_... or sk_live_..."
+                      type={showPassword ? "text" : "password"}
+                      value={emailSettings.senderPassword}
+                      onChange={(e) => setEmailSettings((s) => ({ ...s, senderPassword: e.target.value }))}
+                      placeholder="Yahoo app password"
                       style={{ paddingRight: 60 }}
                     />
                     <button
                       type="button"
-                      onClick={() => setShowStripeSecret(!showStripeSecret)}
+                      onClick={() => setShowPassword(!showPassword)}
                       style={{
                         position: "absolute", right: 8, top: "50%", transform: "translateY(-50%)",
                         background: "none", border: "none", color: "var(--accent-blue)",
                         cursor: "pointer", fontSize: 12, fontWeight: 600
                       }}
                     >
-                      {showStripeSecret ? "Hide" : "Show"}
+                      {showPassword ? "Hide" : "Show"}
                     </button>
                   </div>
                 </div>
 
                 <div className="settings-field">
-                  <label className="settings-label" style={{ fontSize: 11 }}>Webhook Secret (optional)</label>
+                  <label className="settings-label" style={{ fontSize: 11 }}>Sender Display Name</label>
                   <input
                     className="settings-input"
-                    type="password"
-                    value={emailSettings.stripeWebhookSecret}
-                    onChange={(e) => setEmailSettings((s) => ({ ...s, stripeWebhookSecret: e.target.value }))}
-                    placeholder="whsec_..."
+                    value={emailSettings.senderName}
+                    onChange={(e) => setEmailSettings((s) => ({ ...s, senderName: e.target.value }))}
+                    placeholder="First Class Glass & Mirror, Inc."
                   />
-                  <p className="settings-hint" style={{ marginTop: 4 }}>
-                    Set up a webhook at dashboard.stripe.com/webhooks pointing to your backend URL + /api/stripe/webhook
-                  </p>
                 </div>
 
                 <div className="settings-field">
-                  <label className="settings-label" style={{ fontSize: 11 }}>Backend Public URL</label>
+                  <label className="settings-label" style={{ fontSize: 11 }}>Reply-To Email (optional)</label>
                   <input
                     className="settings-input"
-                    value={emailSettings.appPublicUrl}
-                    onChange={(e) => setEmailSettings((s) => ({ ...s, appPublicUrl: e.target.value }))}
-                    placeholder="https://your-app.elasticbeanstalk.com"
+                    type="email"
+                    value={emailSettings.replyTo}
+                    onChange={(e) => setEmailSettings((s) => ({ ...s, replyTo: e.target.value }))}
+                    placeholder="Leave blank to use sender email"
                   />
-                  <p className="settings-hint" style={{ marginTop: 4 }}>
-                    The public URL where customers access estimate review and invoice payment pages.
+                </div>
+
+                <div className="settings-field">
+                  <button
+                    type="button"
+                    className="settings-btn-test"
+                    onClick={handleTestEmail}
+                    disabled={testingEmail || !emailSettings.senderEmail || !emailSettings.senderPassword}
+                    style={{
+                      padding: "8px 16px", borderRadius: 8, border: "1px solid var(--border-color-strong)",
+                      background: "var(--bg-secondary)", color: "var(--text-primary)", cursor: "pointer",
+                      fontSize: 13, fontWeight: 600, transition: "var(--transition-fast)",
+                      opacity: (testingEmail || !emailSettings.senderEmail || !emailSettings.senderPassword) ? 0.5 : 1
+                    }}
+                  >
+                    {testingEmail ? "Testing..." : "Test Connection"}
+                  </button>
+                  {emailTestResult && (
+                    <span style={{
+                      marginLeft: 12, fontSize: 13, fontWeight: 500,
+                      color: emailTestResult.includes("success") || emailTestResult.includes("sent") ? "var(--accent-green)" : "var(--accent-red)"
+                    }}>
+                      {emailTestResult}
+                    </span>
+                  )}
+                </div>
+
+                <div className="settings-divider" />
+
+                {/* Stripe Payment Configuration */}
+                <div className="settings-field">
+                  <label className="settings-label">Stripe Payment Configuration</label>
+                  <p className="settings-hint">
+                    Enable online payments for invoices via Stripe. Get your API keys at{" "}
+                    <a href="https://dashboard.stripe.com/apikeys" target="_blank" rel="noopener noreferrer" style={{ color: "var(--accent-blue)" }}>
+                      dashboard.stripe.com/apikeys
+                    </a>
                   </p>
                 </div>
+
+                <div className="settings-field">
+                  <label style={{ display: "flex", alignItems: "center", gap: 8, cursor: "pointer", fontSize: 13, fontWeight: 600, color: "var(--text-primary)" }}>
+                    <input
+                      type="checkbox"
+                      checked={emailSettings.stripeEnabled}
+                      onChange={(e) => setEmailSettings((s) => ({ ...s, stripeEnabled: e.target.checked }))}
+                      style={{ width: 16, height: 16, accentColor: "var(--accent-blue)" }}
+                    />
+                    Enable Stripe Payments
+                  </label>
+                </div>
+
+                {emailSettings.stripeEnabled && (
+                  <>
+                    <div className="settings-field">
+                      <label className="settings-label" style={{ fontSize: 11 }}>Publishable Key</label>
+                      <input
+                        className="settings-input"
+                        value={emailSettings.stripePublishableKey}
+                        onChange={(e) => setEmailSettings((s) => ({ ...s, stripePublishableKey: e.target.value }))}
+                        placeholder="pk_test_... or pk_live_..."
+                      />
+                    </div>
+
+                    <div className="settings-field">
+                      <label className="settings-label" style={{ fontSize: 11 }}>Secret Key</label>
+                      <div style={{ position: "relative" }}>
+                        <input
+                          className="settings-input"
+                          type={showStripeSecret ? "text" : "password"}
+                          value={emailSettings.stripeSecretKey}
+                          onChange={(e) => setEmailSettings((s) => ({ ...s, stripeSecretKey: e.target.value }))}
+                          placeholder="sk_test_... or sk_live_..."
+                          style={{ paddingRight: 60 }}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setShowStripeSecret(!showStripeSecret)}
+                          style={{
+                            position: "absolute", right: 8, top: "50%", transform: "translateY(-50%)",
+                            background: "none", border: "none", color: "var(--accent-blue)",
+                            cursor: "pointer", fontSize: 12, fontWeight: 600
+                          }}
+                        >
+                          {showStripeSecret ? "Hide" : "Show"}
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="settings-field">
+                      <label className="settings-label" style={{ fontSize: 11 }}>Webhook Secret (optional)</label>
+                      <input
+                        className="settings-input"
+                        type="password"
+                        value={emailSettings.stripeWebhookSecret}
+                        onChange={(e) => setEmailSettings((s) => ({ ...s, stripeWebhookSecret: e.target.value }))}
+                        placeholder="whsec_..."
+                      />
+                      <p className="settings-hint" style={{ marginTop: 4 }}>
+                        Set up a webhook at dashboard.stripe.com/webhooks pointing to your backend URL + /api/stripe/webhook
+                      </p>
+                    </div>
+
+                    <div className="settings-field">
+                      <label className="settings-label" style={{ fontSize: 11 }}>Backend Public URL</label>
+                      <input
+                        className="settings-input"
+                        value={emailSettings.appPublicUrl}
+                        onChange={(e) => setEmailSettings((s) => ({ ...s, appPublicUrl: e.target.value }))}
+                        placeholder="https://your-app.elasticbeanstalk.com"
+                      />
+                      <p className="settings-hint" style={{ marginTop: 4 }}>
+                        The public URL where customers access estimate review and invoice payment pages.
+                      </p>
+                    </div>
+                  </>
+                )}
+
+                <div className="settings-divider" />
               </>
             )}
 
-            <div className="settings-divider" />
+            {canTemplates && (
+              <>
+                {/* Line Item Templates */}
+                <div className="settings-field">
+                  <label className="settings-label">Line Item Templates</label>
+                  <p className="settings-hint">Saved templates appear as autocomplete suggestions when adding line items.</p>
+                  <div className="settings-tpl-table">
+                    <div className="settings-tpl-header">
+                      <span>Description</span>
+                      <span>Qty</span>
+                      <span>Amount</span>
+                      <span>Cost</span>
+                      <span>Markup %</span>
+                      <span>Tax</span>
+                      <span>Category</span>
+                      <span></span>
+                    </div>
+                    {templates.map((tpl) => (
+                      <div className="settings-tpl-row" key={tpl.id}>
+                        {editingTpl === tpl.id ? (
+                          <>
+                            <input className="settings-input settings-tpl-input" value={editForm.description} onChange={(e) => setEditForm({ ...editForm, description: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" value={editForm.defaultQuantity} onChange={(e) => setEditForm({ ...editForm, defaultQuantity: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" step="0.01" value={editForm.defaultAmount} onChange={(e) => setEditForm({ ...editForm, defaultAmount: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" step="0.01" value={editForm.defaultUnitCost} onChange={(e) => setEditForm({ ...editForm, defaultUnitCost: e.target.value })} />
+                            <input className="settings-input settings-tpl-input" type="number" step="0.1" value={editForm.defaultMarkupPct} onChange={(e) => setEditForm({ ...editForm, defaultMarkupPct: e.target.value })} />
+                            <input type="checkbox" title="Taxable" checked={editForm.taxable} onChange={(e) => setEditForm({ ...editForm, taxable: e.target.checked })} />
+                            <input className="settings-input settings-tpl-input" value={editForm.category} onChange={(e) => setEditForm({ ...editForm, category: e.target.value })} />
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => handleSaveTpl(tpl.id)} title="Save">Save</button>
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => setEditingTpl(null)} title="Cancel">Cancel</button>
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <span className="settings-tpl-desc">{tpl.description}</span>
+                            <span className="settings-tpl-qty">{tpl.defaultQuantity != null ? tpl.defaultQuantity : "—"}</span>
+                            <span className="settings-tpl-amt">{tpl.defaultAmount != null ? "$" + Number(tpl.defaultAmount).toFixed(2) : "—"}</span>
+                            <span className="settings-tpl-amt">{tpl.defaultUnitCost != null ? "$" + Number(tpl.defaultUnitCost).toFixed(2) : "—"}</span>
+                            <span className="settings-tpl-amt">{tpl.defaultMarkupPct != null ? Number(tpl.defaultMarkupPct) + "%" : "—"}</span>
+                            <span className="settings-tpl-qty">{tpl.taxable == null || Number(tpl.taxable) ? "Yes" : "No"}</span>
+                            <span className="settings-tpl-cat">{tpl.category || "—"}</span>
+                            <div className="settings-tpl-actions">
+                              <button type="button" className="settings-tpl-action-btn" onClick={() => handleEditTpl(tpl)} title="Edit">Edit</button>
+                              <button type="button" className="settings-tpl-action-btn danger" onClick={() => handleDeleteTpl(tpl.id)} title="Delete">Del</button>
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    ))}
 
-            {/* Line Item Templates */}
-            <div className="settings-field">
-              <label className="settings-label">Line Item Templates</label>
-              <p className="settings-hint">Saved templates appear as autocomplete suggestions when adding line items.</p>
-              <div className="settings-tpl-table">
-                <div className="settings-tpl-header">
-                  <span>Description</span>
-                  <span>Qty</span>
-                  <span>Amount</span>
-                  <span>Category</span>
-                  <span></span>
-                </div>
-                {templates.map((tpl) => (
-                  <div className="settings-tpl-row" key={tpl.id}>
-                    {editingTpl === tpl.id ? (
-                      <>
-                        <input className="settings-input settings-tpl-input" value={editForm.description} onChange={(e) => setEditForm({ ...editForm, description: e.target.value })} />
-                        <input className="settings-input settings-tpl-input" type="number" value={editForm.defaultQuantity} onChange={(e) => setEditForm({ ...editForm, defaultQuantity: e.target.value })} />
-                        <input className="settings-input settings-tpl-input" type="number" step="0.01" value={editForm.defaultAmount} onChange={(e) => setEditForm({ ...editForm, defaultAmount: e.target.value })} />
-                        <input className="settings-input settings-tpl-input" value={editForm.category} onChange={(e) => setEditForm({ ...editForm, category: e.target.value })} />
+                    {addingTpl ? (
+                      <div className="settings-tpl-row">
+                        <input className="settings-input settings-tpl-input" placeholder="Description" value={newTpl.description} onChange={(e) => setNewTpl({ ...newTpl, description: e.target.value })} />
+                        <input className="settings-input settings-tpl-input" type="number" placeholder="Qty" value={newTpl.defaultQuantity} onChange={(e) => setNewTpl({ ...newTpl, defaultQuantity: e.target.value })} />
+                        <input className="settings-input settings-tpl-input" type="number" step="0.01" placeholder="Amount" value={newTpl.defaultAmount} onChange={(e) => setNewTpl({ ...newTpl, defaultAmount: e.target.value })} />
+                        <input className="settings-input settings-tpl-input" type="number" step="0.01" placeholder="Cost" value={newTpl.defaultUnitCost} onChange={(e) => setNewTpl({ ...newTpl, defaultUnitCost: e.target.value })} />
+                        <input className="settings-input settings-tpl-input" type="number" step="0.1" placeholder="Markup %" value={newTpl.defaultMarkupPct} onChange={(e) => setNewTpl({ ...newTpl, defaultMarkupPct: e.target.value })} />
+                        <input type="checkbox" title="Taxable" checked={newTpl.taxable} onChange={(e) => setNewTpl({ ...newTpl, taxable: e.target.checked })} />
+                        <input className="settings-input settings-tpl-input" placeholder="Category" value={newTpl.category} onChange={(e) => setNewTpl({ ...newTpl, category: e.target.value })} />
                         <div className="settings-tpl-actions">
-                          <button type="button" className="settings-tpl-action-btn" onClick={() => handleSaveTpl(tpl.id)} title="Save">Save</button>
-                          <button type="button" className="settings-tpl-action-btn" onClick={() => setEditingTpl(null)} title="Cancel">Cancel</button>
+                          <button type="button" className="settings-tpl-action-btn" onClick={handleAddTpl}>Add</button>
+                          <button type="button" className="settings-tpl-action-btn" onClick={() => setAddingTpl(false)}>Cancel</button>
                         </div>
-                      </>
+                      </div>
                     ) : (
-                      <>
-                        <span className="settings-tpl-desc">{tpl.description}</span>
-                        <span className="settings-tpl-qty">{tpl.defaultQuantity != null ? tpl.defaultQuantity : "—"}</span>
-                        <span className="settings-tpl-amt">{tpl.defaultAmount != null ? "$" + Number(tpl.defaultAmount).toFixed(2) : "—"}</span>
-                        <span className="settings-tpl-cat">{tpl.category || "—"}</span>
-                        <div className="settings-tpl-actions">
-                          <button type="button" className="settings-tpl-action-btn" onClick={() => handleEditTpl(tpl)} title="Edit">Edit</button>
-                          <button type="button" className="settings-tpl-action-btn danger" onClick={() => handleDeleteTpl(tpl.id)} title="Delete">Del</button>
-                        </div>
-                      </>
+                      <button
+                        type="button"
+                        className="settings-tpl-add-btn"
+                        onClick={() => setAddingTpl(true)}
+                      >
+                        + Add Template
+                      </button>
                     )}
                   </div>
-                ))}
-
-                {addingTpl ? (
-                  <div className="settings-tpl-row">
-                    <input className="settings-input settings-tpl-input" placeholder="Description" value={newTpl.description} onChange={(e) => setNewTpl({ ...newTpl, description: e.target.value })} />
-                    <input className="settings-input settings-tpl-input" type="number" placeholder="Qty" value={newTpl.defaultQuantity} onChange={(e) => setNewTpl({ ...newTpl, defaultQuantity: e.target.value })} />
-                    <input className="settings-input settings-tpl-input" type="number" step="0.01" placeholder="Amount" value={newTpl.defaultAmount} onChange={(e) => setNewTpl({ ...newTpl, defaultAmount: e.target.value })} />
-                    <input className="settings-input settings-tpl-input" placeholder="Category" value={newTpl.category} onChange={(e) => setNewTpl({ ...newTpl, category: e.target.value })} />
-                    <div className="settings-tpl-actions">
-                      <button type="button" className="settings-tpl-action-btn" onClick={handleAddTpl}>Add</button>
-                      <button type="button" className="settings-tpl-action-btn" onClick={() => setAddingTpl(false)}>Cancel</button>
-                    </div>
-                  </div>
-                ) : (
-                  <button
-                    type="button"
-                    className="settings-tpl-add-btn"
-                    onClick={() => setAddingTpl(true)}
-                  >
-                    + Add Template
-                  </button>
-                )}
-              </div>
-            </div>
+                </div>
+
+                <div className="settings-divider" />
+              </>
+            )}
 
-            <div className="settings-divider" />
 
             <div className="settings-field">
               <div className="settings-label-row">
@@ -624,8 +974,11 @@ export default function Navbar() {
     setOpenDropdown(null);
   }, [currentPath]);
 
-  const handleLogout = () => {
-    localStorage.removeItem("jwt");
+  const handleLogout = async () => {
+    // Revoke the server-side session too, so the refresh token is dead even if
+    // it was copied off this device. Best effort — sign out locally regardless.
+    try { await api.post("/auth/logout"); } catch { /* already signed out */ }
+    clearSession();
     navigate("/login");
   };
 
@@ -696,7 +1049,7 @@ export default function Navbar() {
   const isDropdownActive = useCallback(
     (item) => {
       if (!item.children) return false;
-      return item.children.some(
+      return visibleChildren(item).some(
         (c) => c.to === currentPath || (c.to !== "/" && currentPath.startsWith(c.to))
       );
     },
@@ -734,7 +1087,7 @@ export default function Navbar() {
                 </button>
                 {openDropdown === item.id && (
                   <div className="nav-dropdown-menu">
-                    {item.children.map((child) => (
+                    {visibleChildren(item).map((child) => (
                       <NavLink
                         key={child.to}
                         to={child.to}
@@ -755,7 +1108,7 @@ export default function Navbar() {
                     openDropdown === item.id ? " open" : ""
                   }`}
                 >
-                  {item.children.map((child) => (
+                  {visibleChildren(item).map((child) => (
                     <NavLink
                       key={child.to}
                       to={child.to}
@@ -2,7 +2,7 @@
 import React, { useCallback, useEffect, useMemo, useState } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import api from "./api";
-import API_BASE_URL from "./config";
+import { fileUrl, signFileKeys } from "./files";
 import "./PurchaseOrders.css";
 
 const SUPPLIERS = ["All Suppliers", "All State Metal Fab", "Casco", "Chicago Tempered", "CRL", "Oldcastle Chicago", "Oldcastle Elk Grove"];
@@ -460,14 +460,21 @@ export default function PurchaseOrders() {
     }
   };
 
-  const handleOpenPdf = (po) => {
+  const handleOpenPdf = async (po) => {
     const key = firstNonNullish(po?.poPdfPath, po?.po_pdf_path, po?.poPdf, "") || "";
     if (!key) {
       alert("No PDF attached to this purchase order.");
       return;
     }
 
-    const url = `${API_BASE_URL}/files?key=${encodeURIComponent(key)}`;
+    try {
+      await signFileKeys([key]);
+    } catch (err) {
+      console.error("Error signing PO PDF link:", err);
+      alert("Couldn't open the PDF. Please try again.");
+      return;
+    }
+    const url = fileUrl(key);
     const title = `PO ${po?.poNumber ? `#${po.poNumber}` : ""}`.trim();
 
     setPdfPo(po || null);
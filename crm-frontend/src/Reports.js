@@ -80,7 +80,10 @@ const TABS = [
   { key: "customers", label: "Customers" },
   { key: "estimates", label: "Estimates" },
   { key: "workorders", label: "Work Orders" },
+  { key: "timeinstatus", label: "Time in Status" },
   { key: "pl", label: "P&L" },
+  { key: "jobcosting", label: "Job Costing" },
+  { key: "salestax", label: "Sales Tax" },
 ];
 
 /* ========================= Status pill helper ========================= */
@@ -133,8 +136,16 @@ export default function Reports() {
   const [estLoading, setEstLoading] = useState(false);
   const [workOrders, setWorkOrders] = useState(null);
   const [woLoading, setWoLoading] = useState(false);
+  const [timeInStatus, setTimeInStatus] = useState(null);
+  const [tisLoading, setTisLoading] = useState(false);
   const [pl, setPl] = useState(null);
   const [plLoading, setPlLoading] = useState(false);
+  const [jobCosting, setJobCosting] = useState(null);
+  const [jcLoading, setJcLoading] = useState(false);
+  const [jcGroup, setJcGroup] = useState("byJobType");
+  const [salesTax, setSalesTax] = useState(null);
+  const [stLoading, setStLoading] = useState(false);
+  const [stGroupBy, setStGroupBy] = useState("month");
   const [expandedBucket, setExpandedBucket] = useState(null);
 
   // Expenses management (reached from the P&L tab)
@@ -196,6 +207,13 @@ export default function Reports() {
     finally { setWoLoading(false); }
   }, [params]);
 
+  const fetchTimeInStatus = useCallback(async () => {
+    setTisLoading(true);
+    try { const res = await api.get("/reports/time-in-status", { params }); setTimeInStatus(res.data); }
+    catch (err) { console.error(err); }
+    finally { setTisLoading(false); }
+  }, [params]);
+
   const fetchPL = useCallback(async () => {
     setPlLoading(true);
     try { const res = await api.get("/reports/profit-loss", { params }); setPl(res.data); }
@@ -203,6 +221,20 @@ export default function Reports() {
     finally { setPlLoading(false); }
   }, [params]);
 
+  const fetchJobCosting = useCallback(async () => {
+    setJcLoading(true);
+    try { const res = await api.get("/reports/job-costing", { params }); setJobCosting(res.data); }
+    catch (err) { console.error(err); }
+    finally { setJcLoading(false); }
+  }, [params]);
+
+  const fetchSalesTax = useCallback(async () => {
+    setStLoading(true);
+    try { const res = await api.get("/reports/sales-tax", { params: { ...params, groupBy: stGroupBy } }); setSalesTax(res.data); }
+    catch (err) { console.error(err); }
+    finally { setStLoading(false); }
+  }, [params, stGroupBy]);
+
   // ---- Expenses ----
   const fetchExpenses = useCallback(async () => {
     setExpLoading(true);
@@ -267,8 +299,11 @@ export default function Reports() {
     else if (activeTab === "customers") fetchCustomers();
     else if (activeTab === "estimates") fetchEstimates();
     else if (activeTab === "workorders") fetchWorkOrders();
+    else if (activeTab === "timeinstatus") fetchTimeInStatus();
     else if (activeTab === "pl") fetchPL();
-  }, [activeTab, fetchRevenue, fetchAging, fetchCustomers, fetchEstimates, fetchWorkOrders, fetchPL]);
+    else if (activeTab === "jobcosting") fetchJobCosting();
+    else if (activeTab === "salestax") fetchSalesTax();
+  }, [activeTab, fetchRevenue, fetchAging, fetchCustomers, fetchEstimates, fetchWorkOrders, fetchTimeInStatus, fetchPL, fetchJobCosting, fetchSalesTax]);
 
   /* ---- Chart theme ---- */
   const barColor = isDark ? "#0a84ff" : "#0071e3";
@@ -733,6 +768,283 @@ export default function Reports() {
           </div>
         )}
 
+        {/* ==================== Time in Status Tab ==================== */}
+        {activeTab === "timeinstatus" && (
+          <div className="rpt-tab-content">
+            {tisLoading ? <Loader /> : timeInStatus?.byStatus?.length ? (
+              <>
+                <div className="rpt-section-header">
+                  <h3 className="rpt-section-title">Time in Status</h3>
+                  <button className="rpt-btn rpt-btn-secondary rpt-btn-sm" onClick={() => {
+                    exportCsv("time-in-status-report.csv",
+                      ["Status", "Stints", "Work Orders", "Currently In", "Avg Days", "Median Days", "Max Days", "Total Days"],
+                      timeInStatus.byStatus.map(s => [s.status, s.stints, s.workOrders, s.currentlyIn, s.avgDays, s.medianDays, s.maxDays, s.totalDays]));
+                  }}>Export CSV</button>
+                </div>
+
+                <div className="rpt-card">
+                  <table className="rpt-table">
+                    <thead>
+                      <tr>
+                        <th>Status</th>
+                        <th className="rpt-num">Work Orders</th>
+                        <th className="rpt-num">Currently In</th>
+                        <th className="rpt-num">Avg Days</th>
+                        <th className="rpt-num">Median Days</th>
+                        <th className="rpt-num">Max Days</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {timeInStatus.byStatus.map(s => (
+                        <tr key={s.status}>
+                          <td><span className="rpt-status-pill" style={statusPillStyle(s.status)}>{s.status}</span></td>
+                          <td className="rpt-num rpt-mono">{s.workOrders}</td>
+                          <td className="rpt-num rpt-mono">{s.currentlyIn}</td>
+                          <td className="rpt-num rpt-mono">{s.avgDays}</td>
+                          <td className="rpt-num rpt-mono">{s.medianDays}</td>
+                          <td className="rpt-num rpt-mono">{s.maxDays}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {timeInStatus.longest?.length > 0 && (
+                  <div className="rpt-card">
+                    <div className="rpt-card-header">Longest Stints</div>
+                    <table className="rpt-table">
+                      <thead>
+                        <tr><th>Work Order</th><th>Customer</th><th>Status</th><th>Entered</th><th>Left</th><th className="rpt-num">Days</th></tr>
+                      </thead>
+                      <tbody>
+                        {timeInStatus.longest.map(st => (
+                          <tr key={`${st.workOrderId}-${st.enteredAt}`} onClick={() => navigate(`/view-work-order/${st.workOrderId}`)} style={{ cursor: "pointer" }}>
+                            <td className="rpt-mono">{st.workOrderNumber || `#${st.workOrderId}`}</td>
+                            <td>{st.customer || "\u2014"}</td>
+                            <td><span className="rpt-status-pill" style={statusPillStyle(st.status)}>{st.status}</span></td>
+                            <td>{fmtDate(st.enteredAt)}</td>
+                            <td>{st.open ? "Still there" : fmtDate(st.leftAt)}</td>
+                            <td className="rpt-num rpt-mono">{st.days}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            ) : <div className="rpt-empty">No status history recorded for this period.</div>}
+          </div>
+        )}
+
+        {/* ==================== Job Costing Tab ==================== */}
+        {activeTab === "jobcosting" && (
+          <div className="rpt-tab-content">
+            {jcLoading ? <Loader /> : jobCosting?.jobs?.length ? (
+              <>
+                <div className="rpt-section-header">
+                  <h3 className="rpt-section-title">Least Profitable Jobs</h3>
+                  <button className="rpt-btn rpt-btn-secondary rpt-btn-sm" onClick={() => {
+                    exportCsv("job-costing.csv",
+                      ["Work Order", "Customer", "Job Type", "Status", "Revenue", "Materials", "Labor", "Other Expenses", "Total Cost", "Gross Profit", "Margin %"],
+                      jobCosting.jobs.map(j => [j.workOrderNumber || `#${j.workOrderId}`, j.customer, j.jobType, j.status,
+                        j.revenue.toFixed(2), j.costs.materials.toFixed(2), j.costs.labor.toFixed(2), j.costs.expenses.toFixed(2),
+                        j.costs.total.toFixed(2), j.grossProfit.toFixed(2), j.grossMarginPct]));
+                  }}>Export CSV</button>
+                </div>
+
+                <div className="rpt-kpi-row">
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#34c759" }}>
+                    <div className="rpt-kpi-label">Invoiced Revenue</div>
+                    <div className="rpt-kpi-value">{fmtMoney(jobCosting.totals.revenue)}</div>
+                    <div className="rpt-kpi-hint">{jobCosting.totals.jobs} jobs</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#ff9f0a" }}>
+                    <div className="rpt-kpi-label">Job Costs</div>
+                    <div className="rpt-kpi-value">{fmtMoney(jobCosting.totals.costs)}</div>
+                    <div className="rpt-kpi-hint">materials, labor, tagged expenses</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: jobCosting.totals.grossProfit >= 0 ? "#0071e3" : "#ff3b30" }}>
+                    <div className="rpt-kpi-label">Gross Profit</div>
+                    <div className="rpt-kpi-value">{fmtMoney(jobCosting.totals.grossProfit)}</div>
+                    <div className="rpt-kpi-hint">{fmtPct(jobCosting.totals.grossMarginPct)} margin</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#ff3b30" }}>
+                    <div className="rpt-kpi-label">Jobs Losing Money</div>
+                    <div className="rpt-kpi-value">{jobCosting.totals.losingJobs}</div>
+                    <div className="rpt-kpi-hint">of {jobCosting.totals.jobs}</div>
+                  </div>
+                </div>
+
+                {jobCosting.note && <div className="rpt-note-banner">{jobCosting.note}</div>}
+
+                <div className="rpt-card">
+                  <div className="rpt-card-header" style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                    <span>{jcGroup === "byJobType" ? "By Job Type" : "By Customer"}</span>
+                    <select value={jcGroup} onChange={(e) => setJcGroup(e.target.value)}>
+                      <option value="byJobType">By job type</option>
+                      <option value="byCustomer">By customer</option>
+                    </select>
+                  </div>
+                  <table className="rpt-table">
+                    <thead>
+                      <tr>
+                        <th>{jcGroup === "byJobType" ? "Job Type" : "Customer"}</th>
+                        <th className="rpt-num">Jobs</th>
+                        <th className="rpt-num">Losing</th>
+                        <th className="rpt-num">Revenue</th>
+                        <th className="rpt-num">Costs</th>
+                        <th className="rpt-num">Gross Profit</th>
+                        <th className="rpt-num">Margin</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {jobCosting[jcGroup].map(g => (
+                        <tr key={g.key}>
+                          <td>{g.key}</td>
+                          <td className="rpt-num rpt-mono">{g.jobs}</td>
+                          <td className="rpt-num rpt-mono">{g.losingJobs}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(g.revenue)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(g.costs)}</td>
+                          <td className="rpt-num rpt-mono" style={{ color: g.grossProfit < 0 ? "#ff3b30" : undefined }}>{fmtMoney(g.grossProfit)}</td>
+                          <td className="rpt-num rpt-mono">{fmtPct(g.grossMarginPct)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="rpt-card">
+                  <div className="rpt-card-header">Jobs (least profitable first)</div>
+                  <table className="rpt-table">
+                    <thead>
+                      <tr>
+                        <th>Work Order</th><th>Customer</th><th>Type</th>
+                        <th className="rpt-num">Revenue</th><th className="rpt-num">Materials</th><th className="rpt-num">Labor</th>
+                        <th className="rpt-num">Other</th><th className="rpt-num">Gross Profit</th><th className="rpt-num">Margin</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {jobCosting.jobs.slice(0, 50).map(j => (
+                        <tr key={j.workOrderId} onClick={() => navigate(`/view-work-order/${j.workOrderId}`)} style={{ cursor: "pointer" }}>
+                          <td className="rpt-mono">{j.workOrderNumber || `#${j.workOrderId}`}</td>
+                          <td>{j.customer}</td>
+                          <td>{j.jobType}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.revenue)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.costs.materials)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.costs.labor)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.costs.expenses)}</td>
+                          <td className="rpt-num rpt-mono" style={{ color: j.grossProfit < 0 ? "#ff3b30" : undefined }}>{fmtMoney(j.grossProfit)}</td>
+                          <td className="rpt-num rpt-mono">{fmtPct(j.grossMarginPct)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : <div className="rpt-empty">No invoiced jobs in this period.</div>}
+          </div>
+        )}
+
+        {/* ==================== Sales Tax Tab ==================== */}
+        {activeTab === "salestax" && (
+          <div className="rpt-tab-content">
+            {stLoading ? <Loader /> : salesTax?.rows?.length ? (
+              <>
+                <div className="rpt-section-header">
+                  <h3 className="rpt-section-title">Sales Tax Liability</h3>
+                  <button className="rpt-btn rpt-btn-secondary rpt-btn-sm" onClick={() => {
+                    exportCsv(`sales-tax-${salesTax.groupBy}.csv`,
+                      ["Period", "Jurisdiction", "State", "Rate %", "Invoices", "Gross Sales", "Taxable Sales", "Non-Taxable Sales", "Exempt Sales", "Tax Due"],
+                      salesTax.rows.map(r => [r.period, r.jurisdiction, r.state || "", r.taxRate, r.invoices,
+                        r.grossSales.toFixed(2), r.taxableSales.toFixed(2), r.nonTaxableSales.toFixed(2),
+                        r.exemptSales.toFixed(2), r.taxDue.toFixed(2)]));
+                  }}>Export CSV</button>
+                </div>
+
+                <div className="rpt-kpi-row">
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#0071e3" }}>
+                    <div className="rpt-kpi-label">Gross Sales</div>
+                    <div className="rpt-kpi-value">{fmtMoney(salesTax.totals.grossSales)}</div>
+                    <div className="rpt-kpi-hint">{salesTax.totals.invoices} invoices</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#34c759" }}>
+                    <div className="rpt-kpi-label">Taxable Sales</div>
+                    <div className="rpt-kpi-value">{fmtMoney(salesTax.totals.taxableSales)}</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#8e8e93" }}>
+                    <div className="rpt-kpi-label">Non-Taxable / Exempt</div>
+                    <div className="rpt-kpi-value">{fmtMoney(salesTax.totals.nonTaxableSales + salesTax.totals.exemptSales)}</div>
+                    <div className="rpt-kpi-hint">{fmtMoney(salesTax.totals.exemptSales)} exempt</div>
+                  </div>
+                  <div className="rpt-kpi-card" style={{ borderLeftColor: "#ff9f0a" }}>
+                    <div className="rpt-kpi-label">Tax Due</div>
+                    <div className="rpt-kpi-value">{fmtMoney(salesTax.totals.taxDue)}</div>
+                  </div>
+                </div>
+
+                {salesTax.note && <div className="rpt-note-banner">{salesTax.note}</div>}
+
+                <div className="rpt-card">
+                  <div className="rpt-card-header">By Jurisdiction</div>
+                  <table className="rpt-table">
+                    <thead>
+                      <tr>
+                        <th>Jurisdiction</th><th>State</th><th className="rpt-num">Rate</th><th className="rpt-num">Invoices</th>
+                        <th className="rpt-num">Taxable</th><th className="rpt-num">Non-Taxable</th><th className="rpt-num">Exempt</th><th className="rpt-num">Tax Due</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {salesTax.byJurisdiction.map(j => (
+                        <tr key={`${j.jurisdiction}|${j.taxRate}`}>
+                          <td>{j.jurisdiction}</td>
+                          <td>{j.state || "—"}</td>
+                          <td className="rpt-num rpt-mono">{j.taxRate}%</td>
+                          <td className="rpt-num rpt-mono">{j.invoices}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.taxableSales)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.nonTaxableSales)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.exemptSales)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(j.taxDue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="rpt-card">
+                  <div className="rpt-card-header" style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                    <span>By Filing Period</span>
+                    <select value={stGroupBy} onChange={(e) => setStGroupBy(e.target.value)}>
+                      <option value="month">Monthly</option>
+                      <option value="quarter">Quarterly</option>
+                    </select>
+                  </div>
+                  <table className="rpt-table">
+                    <thead>
+                      <tr>
+                        <th>Period</th><th>Jurisdiction</th><th className="rpt-num">Rate</th><th className="rpt-num">Invoices</th>
+                        <th className="rpt-num">Gross</th><th className="rpt-num">Taxable</th><th className="rpt-num">Tax Due</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {salesTax.rows.map(r => (
+                        <tr key={`${r.period}|${r.jurisdiction}|${r.taxRate}`}>
+                          <td className="rpt-mono">{r.period}</td>
+                          <td>{r.jurisdiction}{r.state ? `, ${r.state}` : ""}</td>
+                          <td className="rpt-num rpt-mono">{r.taxRate}%</td>
+                          <td className="rpt-num rpt-mono">{r.invoices}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(r.grossSales)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(r.taxableSales)}</td>
+                          <td className="rpt-num rpt-mono">{fmtMoney(r.taxDue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : <div className="rpt-empty">No issued invoices in this period.</div>}
+          </div>
+        )}
+
         {/* ==================== P&L Tab ==================== */}
         {activeTab === "pl" && (
           <div className="rpt-tab-content">
@@ -0,0 +1,281 @@
+// File: src/Timesheets.js
+// Weekly timesheet per tech, built from the clock-in / clock-out entries logged
+// on work orders. Techs see their own week; timesheets.approve can pick any
+// tech, approve (lock) or reopen a week, and export approved hours for payroll.
+//
+// Styling follows Users.js: design-system tokens + inline styles.
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api from "./api";
+import { can, getSession } from "./auth";
+import "./Invoices.css";
+
+const SECONDARY_BTN = {
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  display: "inline-flex",
+  alignItems: "center",
+  justifyContent: "center",
+  whiteSpace: "nowrap",
+  boxSizing: "border-box",
+  lineHeight: 1,
+};
+const FIELD = {
+  boxSizing: "border-box",
+  padding: "5px 8px",
+  borderRadius: 8,
+  fontSize: 12,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const SECTION_TITLE = { margin: "0 0 4px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" };
+const HINT = { fontSize: 12, color: "var(--text-tertiary)", margin: "0 0 12px" };
+
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const shiftWeek = (week, days) => {
+  const [y, m, d] = week.split("-").map(Number);
+  return ymd(new Date(y, m - 1, d + days));
+};
+
+const fmtHours = (minutes) => (minutes / 60).toFixed(2);
+
+const fmtDay = (date) => {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+};
+
+// Entry times are stored UTC ("YYYY-MM-DD HH:mm:ss")
+const fmtClock = (s) => {
+  if (!s) return "running";
+  const d = new Date(String(s).replace(" ", "T") + "Z");
+  return isNaN(d) ? String(s) : d.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+};
+
+function exportCsv(filename, headers, rows) {
+  const escape = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const lines = [headers.map(escape).join(",")];
+  for (const row of rows) lines.push(row.map(escape).join(","));
+  const blob = new Blob([lines.join("\n")], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Timesheets() {
+  const me = getSession();
+  const canApprove = can("timesheets.approve");
+  const [users, setUsers] = useState([]);
+  const [userId, setUserId] = useState(me?.id ? String(me.id) : "");
+  const [week, setWeek] = useState(() => ymd(new Date()));
+  const [sheet, setSheet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [exportRange, setExportRange] = useState(() => {
+    const now = new Date();
+    return { from: ymd(new Date(now.getFullYear(), now.getMonth(), 1)), to: ymd(now) };
+  });
+
+  useEffect(() => {
+    if (!canApprove) return;
+    api.get("/users")
+      .then((res) => setUsers(Array.isArray(res.data) ? res.data : []))
+      .catch((err) => console.error("Error loading users:", err));
+  }, [canApprove]);
+
+  const fetchSheet = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get("/timesheets", { params: { userId: userId || undefined, week } });
+      setSheet(res.data);
+    } catch (err) {
+      console.error("Error loading timesheet:", err);
+      setSheet(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, week]);
+
+  useEffect(() => { fetchSheet(); }, [fetchSheet]);
+
+  const setApproval = async (action) => {
+    if (action === "reopen" && !window.confirm("Reopen this week? Its entries become editable and drop out of the payroll export until approved again.")) return;
+    setBusy(true);
+    try {
+      await api.post(`/timesheets/${action}`, { userId: sheet.user.id, week: sheet.weekStart });
+      await fetchSheet();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to update timesheet.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const res = await api.get("/timesheets/export", { params: exportRange });
+      const rows = res.data?.entries || [];
+      if (!rows.length) {
+        alert("No approved hours in that range.");
+        return;
+      }
+      exportCsv(
+        `approved-hours-${res.data.from}-to-${res.data.to}.csv`,
+        ["Tech", "Date", "Work Order", "Customer", "Start (UTC)", "End (UTC)", "Hours", "Labor Rate", "Labor Cost", "Approved By", "Notes"],
+        rows.map((e) => [
+          e.username, e.date, e.workOrderNumber || `#${e.workOrderId}`, e.customer, e.startedAt, e.endedAt,
+          e.hours.toFixed(2), e.laborRate ?? "", e.laborCost ?? "", e.approvedBy, e.notes,
+        ])
+      );
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to export hours.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pendingEntries = sheet ? sheet.days.some((d) => d.entries.some((e) => !e.approved && !e.running)) : false;
+  const approvedEntries = sheet ? sheet.days.some((d) => d.entries.some((e) => e.approved)) : false;
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Timesheets</h2>
+            <div className="inv-subtitle">Hours clocked on work orders, Monday to Sunday. Approved weeks are locked and go to the payroll export.</div>
+          </div>
+        </div>
+
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+            {canApprove && (
+              <select style={FIELD} value={userId} onChange={(e) => setUserId(e.target.value)}>
+                {users.map((u) => (
+                  <option key={u.id} value={u.id}>{u.username}</option>
+                ))}
+              </select>
+            )}
+            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setWeek((w) => shiftWeek(w, -7))}>‹ Prev</button>
+            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setWeek(ymd(new Date()))}>This week</button>
+            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setWeek((w) => shiftWeek(w, 7))}>Next ›</button>
+            {sheet && (
+              <span style={{ fontSize: 13, color: "var(--text-secondary)", marginLeft: 6 }}>
+                {fmtDay(sheet.weekStart)} – {fmtDay(sheet.weekEnd)}
+              </span>
+            )}
+            {sheet && canApprove && (
+              <span style={{ marginLeft: "auto", display: "inline-flex", gap: 6 }}>
+                {approvedEntries && (
+                  <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} disabled={busy} onClick={() => setApproval("reopen")}>
+                    Reopen week
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="btn-primary-apple"
+                  disabled={busy || !pendingEntries}
+                  style={!pendingEntries ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+                  onClick={() => setApproval("approve")}
+                >
+                  Approve week
+                </button>
+              </span>
+            )}
+          </div>
+
+          {loading ? (
+            <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
+          ) : !sheet ? (
+            <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Could not load this timesheet.</div>
+          ) : (
+            <>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th style={{ width: 120 }}>Day</th>
+                    <th>Work order</th>
+                    <th>Time</th>
+                    <th style={{ textAlign: "right" }}>Hours</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sheet.days.map((day) => (
+                    <React.Fragment key={day.date}>
+                      {day.entries.length ? (
+                        day.entries.map((e, i) => (
+                          <tr key={e.id}>
+                            <td style={{ fontWeight: 600 }}>{i === 0 ? fmtDay(day.date) : ""}</td>
+                            <td>
+                              <Link to={`/view-work-order/${e.workOrderId}`}>{e.workOrderNumber || `#${e.workOrderId}`}</Link>
+                              <span style={{ fontSize: 12, color: "var(--text-secondary)" }}> {e.customer || ""}</span>
+                              {e.notes && <div style={{ fontSize: 12, color: "var(--text-tertiary)" }}>{e.notes}</div>}
+                            </td>
+                            <td style={{ fontSize: 12 }}>{fmtClock(e.startedAt)} – {fmtClock(e.endedAt)}</td>
+                            <td style={{ textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{fmtHours(e.minutes)}</td>
+                            <td style={{ fontSize: 12, color: e.approved ? "var(--accent-green)" : e.running ? "var(--accent-orange)" : "var(--text-secondary)" }}>
+                              {e.approved ? `Approved${e.approvedBy ? ` by ${e.approvedBy}` : ""}` : e.running ? "Running" : "Pending"}
+                            </td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td style={{ fontWeight: 600, color: "var(--text-tertiary)" }}>{fmtDay(day.date)}</td>
+                          <td colSpan={4} style={{ fontSize: 12, color: "var(--text-tertiary)" }}>—</td>
+                        </tr>
+                      )}
+                      {day.entries.length > 1 && (
+                        <tr>
+                          <td />
+                          <td colSpan={2} style={{ fontSize: 12, color: "var(--text-secondary)", textAlign: "right" }}>Day total</td>
+                          <td style={{ textAlign: "right", fontWeight: 600, fontVariantNumeric: "tabular-nums" }}>{fmtHours(day.minutes)}</td>
+                          <td />
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ display: "flex", gap: 24, justifyContent: "flex-end", marginTop: 12, fontSize: 13, color: "var(--text-primary)" }}>
+                <span>Total <strong>{fmtHours(sheet.totalMinutes)} h</strong></span>
+                <span>Approved <strong>{fmtHours(sheet.approvedMinutes)} h</strong></span>
+                <span>Pending <strong>{fmtHours(sheet.pendingMinutes)} h</strong></span>
+                {sheet.user.laborRate != null && (
+                  <span>Labor cost <strong>${((sheet.totalMinutes / 60) * sheet.user.laborRate).toFixed(2)}</strong></span>
+                )}
+              </div>
+              {sheet.running && <p style={{ ...HINT, margin: "8px 0 0", textAlign: "right" }}>A timer is still running this week; it can be approved once it's stopped.</p>}
+            </>
+          )}
+        </div>
+
+        {canApprove && (
+          <div className="cust-section-card" style={{ marginBottom: 16 }}>
+            <h3 style={SECTION_TITLE}>Payroll export</h3>
+            <p style={HINT}>Approved entries only, one row per entry, priced at each tech's labor rate (set on the Users page).</p>
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+              <input type="date" style={FIELD} value={exportRange.from} onChange={(e) => setExportRange((r) => ({ ...r, from: e.target.value }))} />
+              <span style={{ fontSize: 12, color: "var(--text-secondary)" }}>to</span>
+              <input type="date" style={FIELD} value={exportRange.to} onChange={(e) => setExportRange((r) => ({ ...r, to: e.target.value }))} />
+              <button type="button" className="btn-primary-apple" disabled={busy} onClick={handleExport}>
+                Export approved hours (CSV)
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
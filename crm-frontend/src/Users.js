@@ -0,0 +1,354 @@
+// File: src/Users.js
+// Admin user management: invite (account + temporary password, emailed when the
+// user has an address and SMTP is configured), change role, reset password and
+// deactivate / reactivate, and force-logout (revoke every session). Everything here requires the users.manage permission
+// on the server; the role → permission matrix itself lives in server.js.
+//
+// Styling follows Collections.js: design-system tokens + inline styles.
+import React, { useCallback, useEffect, useState } from "react";
+import api from "./api";
+import { getSession } from "./auth";
+import "./Invoices.css";
+
+const ROLE_LABELS = {
+  admin: "Admin",
+  dispatcher: "Dispatcher",
+  office: "Office",
+  tech: "Tech",
+  accountant: "Accountant (read-only)",
+};
+
+const SECONDARY_BTN = {
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  display: "inline-flex",
+  alignItems: "center",
+  justifyContent: "center",
+  whiteSpace: "nowrap",
+  boxSizing: "border-box",
+  lineHeight: 1,
+};
+const FIELD = {
+  boxSizing: "border-box",
+  padding: "5px 8px",
+  borderRadius: 8,
+  fontSize: 12,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const SECTION_TITLE = { margin: "0 0 4px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" };
+const HINT = { fontSize: 12, color: "var(--text-tertiary)", margin: "0 0 12px" };
+
+const fmtWhen = (d) => {
+  if (!d) return "Never";
+  const dt = new Date(String(d).replace(" ", "T"));
+  return isNaN(dt) ? String(d) : dt.toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" });
+};
+
+export default function Users() {
+  const me = getSession();
+  const [loading, setLoading] = useState(true);
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_LABELS));
+  const [permissions, setPermissions] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [invite, setInvite] = useState({ username: "", email: "", role: "tech" });
+  const [inviting, setInviting] = useState(false);
+  // Temp password shown once after invite / reset: { username, tempPassword, emailed }
+  const [credentials, setCredentials] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get("/users/accounts");
+      setUsers(res.data?.users || []);
+      if (Array.isArray(res.data?.roles)) setRoles(res.data.roles);
+      setPermissions(res.data?.permissions || {});
+    } catch (err) {
+      console.error("Error fetching users:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const replaceUser = (u) => setUsers((prev) => prev.map((x) => (x.id === u.id ? u : x)));
+
+  const handleInvite = async () => {
+    if (!invite.username.trim()) return;
+    setInviting(true);
+    try {
+      const res = await api.post("/users", invite);
+      setUsers((prev) => [...prev, res.data.user]);
+      setCredentials({ username: res.data.user.username, tempPassword: res.data.tempPassword, emailed: res.data.emailed });
+      setInvite({ username: "", email: "", role: "tech" });
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to invite user.");
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (u, role) => {
+    setBusyId(u.id);
+    try {
+      const res = await api.put(`/users/${u.id}`, { role });
+      replaceUser(res.data);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to change role.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Hourly labor cost, used to price tracked time (job costing, timesheet export)
+  const handleLaborRate = async (u, raw) => {
+    const value = raw.trim();
+    if (value === (u.laborRate == null ? "" : String(Number(u.laborRate)))) return;
+    setBusyId(u.id);
+    try {
+      const res = await api.put(`/users/${u.id}`, { laborRate: value === "" ? null : value });
+      replaceUser({ ...u, ...res.data });
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to save labor rate.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleResetPassword = async (u) => {
+    if (!window.confirm(`Reset the password for ${u.username}? Their current password stops working immediately.`)) return;
+    setBusyId(u.id);
+    try {
+      const res = await api.post(`/users/${u.id}/reset-password`);
+      setCredentials({ username: u.username, tempPassword: res.data.tempPassword, emailed: res.data.emailed });
+      replaceUser({ ...u, mustChangePassword: 1, activeSessions: 0 });
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to reset password.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeSessions = async (u) => {
+    if (!window.confirm(`Sign ${u.username} out of every device?`)) return;
+    setBusyId(u.id);
+    try {
+      await api.post(`/users/${u.id}/revoke-sessions`);
+      replaceUser({ ...u, activeSessions: 0 });
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to revoke sessions.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = async (u) => {
+    const activate = !u.isActive;
+    if (!activate && !window.confirm(`Deactivate ${u.username}? They are signed out and can no longer log in.`)) return;
+    setBusyId(u.id);
+    try {
+      const res = await api.put(`/users/${u.id}/active`, { isActive: activate });
+      replaceUser({ ...res.data, activeSessions: activate ? u.activeSessions : 0 });
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to update user.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const permNames = Object.keys(permissions);
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Users</h2>
+            <div className="inv-subtitle">Accounts, roles and access. Role and deactivation changes apply on the user's next request.</div>
+          </div>
+        </div>
+
+        {credentials && (
+          <div className="cust-section-card" style={{ marginBottom: 16, borderLeft: "3px solid var(--accent-blue)" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+              <div style={{ fontSize: 13, color: "var(--text-primary)" }}>
+                Temporary password for <strong>{credentials.username}</strong>:{" "}
+                <code style={{ fontSize: 14, padding: "2px 6px", borderRadius: 6, background: "var(--bg-secondary)" }}>
+                  {credentials.tempPassword}
+                </code>
+                <div style={{ ...HINT, margin: "6px 0 0" }}>
+                  {credentials.emailed
+                    ? "Also emailed to the user."
+                    : "Not emailed — share it with the user directly. It won't be shown again."}{" "}
+                  They'll be asked to choose a new password after signing in.
+                </div>
+              </div>
+              <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setCredentials(null)}>✕</button>
+            </div>
+          </div>
+        )}
+
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <h3 style={SECTION_TITLE}>Invite user</h3>
+          <p style={HINT}>Creates the account with a temporary password. Add an email to send the login details automatically.</p>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+            <input
+              style={{ ...FIELD, width: 180 }}
+              placeholder="Username"
+              value={invite.username}
+              onChange={(e) => setInvite((v) => ({ ...v, username: e.target.value }))}
+            />
+            <input
+              style={{ ...FIELD, width: 240 }}
+              type="email"
+              placeholder="Email (optional)"
+              value={invite.email}
+              onChange={(e) => setInvite((v) => ({ ...v, email: e.target.value }))}
+            />
+            <select style={FIELD} value={invite.role} onChange={(e) => setInvite((v) => ({ ...v, role: e.target.value }))}>
+              {roles.map((r) => (
+                <option key={r} value={r}>{ROLE_LABELS[r] || r}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn-primary-apple"
+              onClick={handleInvite}
+              disabled={inviting || !invite.username.trim()}
+              style={inviting || !invite.username.trim() ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+            >
+              {inviting ? "Inviting…" : "Invite"}
+            </button>
+          </div>
+        </div>
+
+        <div className="cust-section-card" style={{ marginBottom: 16 }}>
+          <h3 style={SECTION_TITLE}>Accounts</h3>
+          {loading ? (
+            <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
+          ) : (
+            <table className="inv-table">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th title="Hourly labor cost for tracked time">Labor $/hr</th>
+                  <th>Last login</th>
+                  <th style={{ textAlign: "center" }}>Devices</th>
+                  <th>Status</th>
+                  <th style={{ width: 300 }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((u) => {
+                  const isMe = me && Number(me.id) === Number(u.id);
+                  const busy = busyId === u.id;
+                  return (
+                    <tr key={u.id} style={{ opacity: u.isActive ? 1 : 0.55 }}>
+                      <td style={{ fontWeight: 600 }}>
+                        {u.username}
+                        {isMe && <span style={{ marginLeft: 6, fontSize: 11, color: "var(--accent-blue)" }}>you</span>}
+                      </td>
+                      <td style={{ fontSize: 12 }}>{u.email || "—"}</td>
+                      <td>
+                        <select style={FIELD} value={u.role} disabled={busy} onChange={(e) => handleRoleChange(u, e.target.value)}>
+                          {!roles.includes(u.role) && <option value={u.role}>{u.role} (unknown)</option>}
+                          {roles.map((r) => (
+                            <option key={r} value={r}>{ROLE_LABELS[r] || r}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          key={`${u.id}-${u.laborRate}`}
+                          style={{ ...FIELD, width: 80 }}
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          placeholder="—"
+                          defaultValue={u.laborRate == null ? "" : String(Number(u.laborRate))}
+                          disabled={busy}
+                          onBlur={(e) => handleLaborRate(u, e.target.value)}
+                        />
+                      </td>
+                      <td style={{ fontSize: 12 }}>{fmtWhen(u.lastLoginAt)}</td>
+                      <td style={{ fontSize: 12, textAlign: "center" }}>{Number(u.activeSessions) || 0}</td>
+                      <td style={{ fontSize: 12 }}>
+                        {u.isActive ? (u.mustChangePassword ? "Pending password change" : "Active") : "Deactivated"}
+                      </td>
+                      <td>
+                        <div style={{ display: "inline-flex", gap: 6 }}>
+                          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} disabled={busy} onClick={() => handleResetPassword(u)}>
+                            Reset password
+                          </button>
+                          {!isMe && Number(u.activeSessions) > 0 && (
+                            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} disabled={busy} onClick={() => handleRevokeSessions(u)}>
+                              Sign out
+                            </button>
+                          )}
+                          {!isMe && (
+                            <button
+                              type="button"
+                              style={{ ...ROW_BTN, ...SECONDARY_BTN, color: u.isActive ? "var(--accent-red)" : undefined }}
+                              disabled={busy}
+                              onClick={() => handleToggleActive(u)}
+                            >
+                              {u.isActive ? "Deactivate" : "Reactivate"}
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {permNames.length > 0 && (
+          <div className="cust-section-card">
+            <h3 style={SECTION_TITLE}>What each role can do</h3>
+            <p style={HINT}>Everyone signed in can view work orders, customers and the calendar. Rows below are the extra permissions.</p>
+            <div style={{ overflowX: "auto" }}>
+              <table className="inv-table" style={{ fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    <th>Permission</th>
+                    {roles.map((r) => (
+                      <th key={r} style={{ textAlign: "center" }}>{ROLE_LABELS[r] || r}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {permNames.map((p) => (
+                    <tr key={p}>
+                      <td style={{ whiteSpace: "nowrap", fontFamily: "var(--font-mono, monospace)" }}>{p}</td>
+                      {roles.map((r) => (
+                        <td key={r} style={{ textAlign: "center" }}>{permissions[p].includes(r) ? "✓" : ""}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
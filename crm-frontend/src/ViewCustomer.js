@@ -3,6 +3,8 @@ import React, { useCallback, useEffect, useRef, useState } from "react";
 import ReactDOM from "react-dom";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import api from "./api";
+import { can } from "./auth";
+import API_BASE_URL from "./config";
 import "./ViewCustomer.css";
 
 const EMPTY_CUSTOMER = {
@@ -10,7 +12,9 @@ const EMPTY_CUSTOMER = {
   contactName: "",
   phone: "",
   email: "",
+  billingEmail: "",
   fax: "",
+  collectionPolicyId: "",
   billingAddress: "",
   billingCity: "",
   billingState: "",
@@ -22,6 +26,41 @@ const EMPTY_CUSTOMER = {
   notes: "",
 };
 
+const AGREEMENT_FREQUENCIES = [
+  ["monthly", "Monthly"],
+  ["quarterly", "Quarterly"],
+  ["semiannual", "Semi-annual"],
+  ["annual", "Annual"],
+];
+
+const EMPTY_AGREEMENT = {
+  title: "",
+  siteLocation: "",
+  siteAddress: "",
+  frequency: "monthly",
+  price: "",
+  taxable: true,
+  includedWork: "",
+  poNumber: "",
+  startDate: "",
+  endDate: "",
+  autoRenew: false,
+  renewalTermMonths: 12,
+  renewalNoticeDays: 30,
+  createWorkOrder: true,
+  createInvoice: true,
+};
+
+// Statements default to last calendar month
+function lastMonthRange() {
+  const now = new Date();
+  const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  return {
+    from: ymd(new Date(now.getFullYear(), now.getMonth() - 1, 1)),
+    to: ymd(new Date(now.getFullYear(), now.getMonth(), 0)),
+  };
+}
+
 export default function ViewCustomer() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -32,6 +71,8 @@ export default function ViewCustomer() {
   const [editing, setEditing] = useState(isNew);
   const [loading, setLoading] = useState(!isNew);
   const [saving, setSaving] = useState(false);
+  const [certUploading, setCertUploading] = useState(false);
+  const certInputRef = useRef(null);
 
   // Tabs
   const [activeTab, setActiveTab] = useState("workorders");
@@ -41,6 +82,21 @@ export default function ViewCustomer() {
   const [estLoading, setEstLoading] = useState(false);
   const [invoices, setInvoices] = useState([]);
   const [invLoading, setInvLoading] = useState(false);
+  const [agreements, setAgreements] = useState([]);
+  const [agLoading, setAgLoading] = useState(false);
+  const [agForm, setAgForm] = useState(null); // agreement being added/edited
+  const [agSaving, setAgSaving] = useState(false);
+  const [agOpen, setAgOpen] = useState(null); // { id, runs } for the expanded agreement
+  const [creditMemos, setCreditMemos] = useState([]);
+  const [cmLoading, setCmLoading] = useState(false);
+  const [cmForm, setCmForm] = useState(null); // new memo, or { memo } when applying an existing one
+  const [cmSaving, setCmSaving] = useState(false);
+  const [statements, setStatements] = useState([]);
+  const [stRange, setStRange] = useState(lastMonthRange);
+  const [stPreview, setStPreview] = useState(null);
+  const [stBusy, setStBusy] = useState(""); // "preview" | "generate" | "email"
+  const [lateFees, setLateFees] = useState([]);
+  const [policies, setPolicies] = useState([]);
 
   // Merge state
   const [showMerge, setShowMerge] = useState(false);
@@ -113,12 +169,303 @@ export default function ViewCustomer() {
     }
   }, [id, isNew]);
 
+  /* ---------- fetch service agreements ---------- */
+  const fetchAgreements = useCallback(async () => {
+    if (isNew || !can("invoices.view")) return;
+    setAgLoading(true);
+    try {
+      const res = await api.get("/service-agreements", { params: { customerId: id } });
+      setAgreements(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching service agreements:", err);
+    } finally {
+      setAgLoading(false);
+    }
+  }, [id, isNew]);
+
+  /* ---------- fetch credit memos ---------- */
+  const fetchCreditMemos = useCallback(async () => {
+    if (isNew || !can("invoices.view")) return;
+    setCmLoading(true);
+    try {
+      const res = await api.get("/credit-memos", { params: { customerId: id } });
+      setCreditMemos(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching credit memos:", err);
+    } finally {
+      setCmLoading(false);
+    }
+  }, [id, isNew]);
+
+  /* ---------- fetch statements ---------- */
+  const fetchStatements = useCallback(async () => {
+    if (isNew || !can("invoices.view")) return;
+    try {
+      const res = await api.get(`/customers/${id}/statements`);
+      setStatements(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching statements:", err);
+    }
+  }, [id, isNew]);
+
+  /* ---------- fetch late fees ---------- */
+  const fetchLateFees = useCallback(async () => {
+    if (isNew || !can("invoices.view")) return;
+    try {
+      const res = await api.get("/late-fees", { params: { customerId: id } });
+      setLateFees(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching late fees:", err);
+    }
+  }, [id, isNew]);
+
+  /* ---------- collection policies (for the picker) ---------- */
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const res = await api.get("/collection-policies");
+      setPolicies(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error("Error fetching collection policies:", err);
+    }
+  }, []);
+
   useEffect(() => {
     fetchCustomer();
     fetchWorkOrders();
     fetchEstimates();
     fetchInvoices();
-  }, [fetchCustomer, fetchWorkOrders, fetchEstimates, fetchInvoices]);
+    fetchAgreements();
+    fetchCreditMemos();
+    fetchStatements();
+    fetchLateFees();
+    fetchPolicies();
+  }, [fetchCustomer, fetchWorkOrders, fetchEstimates, fetchInvoices, fetchAgreements, fetchCreditMemos, fetchStatements, fetchLateFees, fetchPolicies]);
+
+  /* ---------- service agreements ---------- */
+  const openAgreementForm = (ag) => {
+    if (!ag) {
+      const site = [customer.siteAddress, customer.siteCity, [customer.siteState, customer.siteZip].filter(Boolean).join(" ")]
+        .filter(Boolean).join(", ");
+      setAgForm({ ...EMPTY_AGREEMENT, siteAddress: site, startDate: new Date().toISOString().slice(0, 10) });
+      return;
+    }
+    setAgForm({
+      ...EMPTY_AGREEMENT,
+      ...ag,
+      siteLocation: ag.siteLocation || "",
+      siteAddress: ag.siteAddress || "",
+      includedWork: ag.includedWork || "",
+      poNumber: ag.poNumber || "",
+      endDate: ag.endDate || "",
+      nextRunDate: ag.nextRunDate || "",
+      taxable: !!Number(ag.taxable),
+      autoRenew: !!Number(ag.autoRenew),
+      createWorkOrder: !!Number(ag.createWorkOrder),
+      createInvoice: !!Number(ag.createInvoice),
+    });
+  };
+
+  const handleAgreementChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAgForm((f) => ({ ...f, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const handleSaveAgreement = async () => {
+    if (!agForm.title.trim()) return alert("Give the agreement a title.");
+    if (!agForm.startDate) return alert("Choose a start date.");
+    setAgSaving(true);
+    try {
+      const body = { ...agForm, customerId: Number(id), endDate: agForm.endDate || null };
+      if (agForm.id) await api.put(`/service-agreements/${agForm.id}`, body);
+      else await api.post("/service-agreements", body);
+      setAgForm(null);
+      fetchAgreements();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to save service agreement.");
+    } finally {
+      setAgSaving(false);
+    }
+  };
+
+  const agreementAction = async (ag, action) => {
+    try {
+      if (action === "renew") {
+        const months = window.prompt("Renew for how many months?", String(ag.renewalTermMonths || 12));
+        if (months === null) return;
+        await api.post(`/service-agreements/${ag.id}/renew`, { termMonths: months });
+      } else if (action === "generate") {
+        if (!window.confirm(`Create the work order and invoice for the period starting ${formatDate(ag.nextRunDate)} now?`)) return;
+        await api.post(`/service-agreements/${ag.id}/generate`);
+        fetchWorkOrders();
+        fetchInvoices();
+      } else {
+        if (action === "Cancelled" && !window.confirm("Cancel this agreement? No further visits or invoices will be created.")) return;
+        await api.put(`/service-agreements/${ag.id}`, { status: action });
+      }
+      fetchAgreements();
+      if (agOpen?.id === ag.id) toggleAgreement(ag.id, true);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to update service agreement.");
+    }
+  };
+
+  const toggleAgreement = async (agId, keepOpen = false) => {
+    if (agOpen?.id === agId && !keepOpen) return setAgOpen(null);
+    try {
+      const res = await api.get(`/service-agreements/${agId}`);
+      setAgOpen({ id: agId, runs: res.data?.runs || [] });
+    } catch (err) {
+      console.error("Error fetching agreement history:", err);
+    }
+  };
+
+  /* ---------- credit memos ---------- */
+  const creditableInvoices = invoices
+    .filter((inv) => Number(inv.balanceDue) > 0 && inv.status !== "Draft" && inv.status !== "Void")
+    .sort((a, b) => String(a.issueDate || "").localeCompare(String(b.issueDate || "")));
+
+  const openCreditForm = (memo) => {
+    setCmForm({
+      memo: memo || null,
+      amount: "",
+      reason: "",
+      issueDate: new Date().toISOString().slice(0, 10),
+      notes: "",
+      alloc: {},
+    });
+  };
+
+  const handleCreditChange = (e) => {
+    const { name, value } = e.target;
+    setCmForm((f) => ({ ...f, [name]: value }));
+  };
+
+  // Oldest invoice first until the credit runs out
+  const autoAllocateCredit = () => {
+    let left = Number(cmForm.memo ? cmForm.memo.unapplied : cmForm.amount) || 0;
+    const alloc = {};
+    for (const inv of creditableInvoices) {
+      if (left <= 0) break;
+      const take = Math.min(left, Number(inv.balanceDue));
+      alloc[inv.id] = take.toFixed(2);
+      left = Math.round((left - take) * 100) / 100;
+    }
+    setCmForm((f) => ({ ...f, alloc }));
+  };
+
+  const handleSaveCredit = async () => {
+    const applications = Object.entries(cmForm.alloc)
+      .filter(([, amt]) => Number(amt) > 0)
+      .map(([invoiceId, amount]) => ({ invoiceId: Number(invoiceId), amount }));
+    if (!cmForm.memo) {
+      if (!(Number(cmForm.amount) > 0)) return alert("Enter the credit amount.");
+      if (!cmForm.reason.trim()) return alert("Give a reason for the credit.");
+    } else if (!applications.length) {
+      return alert("Enter an amount against at least one invoice.");
+    }
+    setCmSaving(true);
+    try {
+      if (cmForm.memo) {
+        await api.post(`/credit-memos/${cmForm.memo.id}/apply`, { applications });
+      } else {
+        await api.post("/credit-memos", {
+          customerId: Number(id),
+          amount: cmForm.amount,
+          reason: cmForm.reason,
+          issueDate: cmForm.issueDate,
+          notes: cmForm.notes,
+          applications,
+        });
+      }
+      setCmForm(null);
+      fetchCreditMemos();
+      fetchInvoices();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to save credit memo.");
+    } finally {
+      setCmSaving(false);
+    }
+  };
+
+  const voidCreditMemo = async (memo) => {
+    const reason = window.prompt(`Void ${memo.memoNumber}? It comes off every invoice it was applied to.\n\nReason:`);
+    if (reason === null) return;
+    try {
+      await api.post(`/credit-memos/${memo.id}/void`, { reason });
+      fetchCreditMemos();
+      fetchInvoices();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to void credit memo.");
+    }
+  };
+
+  /* ---------- late fees ---------- */
+  const approveLateFee = async (fee) => {
+    if (!window.confirm(`Bill and email a ${fmtMoney(fee.amount)} finance charge on invoice #${fee.invoiceNumber}?`)) return;
+    try {
+      const res = await api.post(`/late-fees/${fee.id}/approve`, {});
+      fetchLateFees();
+      fetchInvoices();
+      if (res.data.emailError) alert(`Finance-charge invoice created as a draft but not emailed: ${res.data.emailError}`);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to approve late fee.");
+    }
+  };
+
+  const waiveLateFee = async (fee) => {
+    const reason = window.prompt(`Reason for waiving the ${fmtMoney(fee.amount)} late fee on invoice #${fee.invoiceNumber}:`);
+    if (reason == null) return;
+    if (!reason.trim()) return alert("A reason is required to waive a late fee.");
+    try {
+      await api.post(`/late-fees/${fee.id}/waive`, { reason: reason.trim() });
+      fetchLateFees();
+      fetchInvoices();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to waive late fee.");
+    }
+  };
+
+  /* ---------- statements ---------- */
+  const previewStatement = async () => {
+    setStBusy("preview");
+    try {
+      const res = await api.get(`/customers/${id}/statement`, { params: stRange });
+      setStPreview(res.data);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to build statement.");
+    } finally {
+      setStBusy("");
+    }
+  };
+
+  const generateStatement = async (email) => {
+    const to = customer.billingEmail || customer.email;
+    if (email && !to) return alert("Add a billing email (or email) for this customer first.");
+    if (email && !window.confirm(`Email the statement to ${to}?`)) return;
+    setStBusy(email ? "email" : "generate");
+    try {
+      const res = await api.post(`/customers/${id}/statements`, { ...stRange, email });
+      if (res.data?.emailError) alert(`Statement saved, but the email failed: ${res.data.emailError}`);
+      else if (!email && res.data?.pdfUrl) window.open(`${API_BASE_URL}${res.data.pdfUrl}`, "_blank", "noopener");
+      fetchStatements();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to generate statement.");
+    } finally {
+      setStBusy("");
+    }
+  };
+
+  const emailStatement = async (st) => {
+    const to = window.prompt("Send this statement to:", st.sentTo || customer.billingEmail || customer.email || "");
+    if (!to) return;
+    try {
+      await api.post(`/customer-statements/${st.id}/email`, { recipientEmail: to });
+      fetchStatements();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to send statement.");
+      fetchStatements();
+    }
+  };
 
   // Close merge dropdown on outside click (accounts for portal)
   useEffect(() => {
@@ -179,6 +526,27 @@ export default function ViewCustomer() {
     }
   };
 
+  /* ---------- tax exemption certificate ---------- */
+  const handleCertUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setCertUploading(true);
+    try {
+      const fd = new FormData();
+      fd.append("certificate", file);
+      if (customer.taxExemptCertNumber) fd.append("certNumber", customer.taxExemptCertNumber);
+      const res = await api.post(`/customers/${id}/tax-exempt-certificate`, fd);
+      setCustomer(res.data);
+      setDraft(res.data);
+    } catch (err) {
+      console.error("Error uploading certificate:", err);
+      alert(err?.response?.data?.error || "Failed to upload certificate.");
+    } finally {
+      setCertUploading(false);
+    }
+  };
+
   /* ---------- deactivate ---------- */
   const handleDeactivate = async () => {
     const linkedCount = workOrders.length + estimates.length + invoices.length;
@@ -273,6 +641,8 @@ export default function ViewCustomer() {
 
   /* ---------- helpers ---------- */
   const displayVal = (v) => v || "\u2014";
+  const defaultPolicy = policies.find((p) => p.isDefault);
+  const customerPolicy = policies.find((p) => p.id === Number(customer.collectionPolicyId)) || null;
   const fmtMoney = (v) => {
     const n = Number(v) || 0;
     return "$" + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
@@ -305,6 +675,31 @@ export default function ViewCustomer() {
     return {};
   };
 
+  const agreementStatusStyle = (s) => {
+    if (s === "Active") return { background: "rgba(52,199,89,0.12)", color: "#34c759" };
+    if (s === "Paused") return { background: "rgba(255,159,10,0.12)", color: "#ff9f0a" };
+    if (s === "Expired") return { background: "rgba(255,59,48,0.12)", color: "#ff3b30" };
+    return { background: "rgba(142,142,147,0.12)", color: "#8e8e93" };
+  };
+
+  const creditMemoStatusStyle = (s) => {
+    if (s === "Open") return { background: "rgba(0,122,255,0.12)", color: "#007aff" };
+    if (s === "Applied") return { background: "rgba(52,199,89,0.12)", color: "#34c759" };
+    return { background: "rgba(142,142,147,0.12)", color: "#8e8e93" };
+  };
+
+  const lateFeeStatusStyle = (s) => {
+    if (s === "Assessed") return { background: "rgba(255,59,48,0.12)", color: "#ff3b30" };
+    if (s === "Pending") return { background: "rgba(255,149,0,0.12)", color: "#ff9500" };
+    return { background: "rgba(142,142,147,0.12)", color: "#8e8e93" };
+  };
+
+  const statementStatusStyle = (s) => {
+    if (s === "sent") return { background: "rgba(52,199,89,0.12)", color: "#34c759" };
+    if (s === "failed") return { background: "rgba(255,59,48,0.12)", color: "#ff3b30" };
+    return { background: "rgba(142,142,147,0.12)", color: "#8e8e93" };
+  };
+
   const formatDate = (d) => {
     if (!d) return "\u2014";
     try {
@@ -603,6 +998,47 @@ export default function ViewCustomer() {
                   </div>
                 )}
               </div>
+
+              <div className="vc-field">
+                <div className="vc-label">Billing Email</div>
+                {editing ? (
+                  <input
+                    name="billingEmail"
+                    type="email"
+                    value={draft.billingEmail || ""}
+                    onChange={handleChange}
+                    className="vc-input"
+                    placeholder="AP contact for statements"
+                  />
+                ) : (
+                  <div className={`vc-value${customer.billingEmail ? "" : " muted"}`}>
+                    {customer.billingEmail || (customer.email ? `Uses ${customer.email}` : "\u2014")}
+                  </div>
+                )}
+              </div>
+
+              <div className="vc-field">
+                <div className="vc-label">Collection Policy</div>
+                {editing ? (
+                  <select
+                    name="collectionPolicyId"
+                    value={draft.collectionPolicyId || ""}
+                    onChange={handleChange}
+                    className="vc-input"
+                  >
+                    <option value="">Company default</option>
+                    {policies.map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <div className="vc-value" title={(customerPolicy || defaultPolicy)?.termsPreview}>
+                    {customerPolicy
+                      ? customerPolicy.name
+                      : `Company default${defaultPolicy ? ` (${defaultPolicy.name})` : ""}`}
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -787,6 +1223,168 @@ export default function ViewCustomer() {
           </div>
         </div>
 
+        {/* Sales Tax — existing customers only */}
+        {!isNew && (
+          <div className="vc-card">
+            <div className="vc-card-header">Sales Tax</div>
+            <div className="vc-card-body">
+              <div className="vc-grid vc-grid-3">
+                <div className="vc-field">
+                  <div className="vc-label">Status</div>
+                  {editing ? (
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14 }}>
+                      <input
+                        type="checkbox"
+                        checked={!!Number(draft.taxExempt)}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, taxExempt: e.target.checked ? 1 : 0 }))}
+                      />
+                      Tax exempt
+                    </label>
+                  ) : (
+                    <div className="vc-value">
+                      {Number(customer.taxExempt) ? "Tax exempt" : "Taxable"}
+                      {Number(customer.taxExempt) && customer.taxExemptExpiresAt
+                        && customer.taxExemptExpiresAt.slice(0, 10) < new Date().toISOString().slice(0, 10) && (
+                        <span style={{ color: "var(--accent-red)", marginLeft: 8 }}>(certificate expired)</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="vc-field">
+                  <div className="vc-label">Certificate #</div>
+                  {editing ? (
+                    <input
+                      name="taxExemptCertNumber"
+                      value={draft.taxExemptCertNumber || ""}
+                      onChange={handleChange}
+                      className="vc-input"
+                      placeholder="Exemption / resale #"
+                    />
+                  ) : (
+                    <div className={`vc-value${customer.taxExemptCertNumber ? "" : " muted"}`}>
+                      {displayVal(customer.taxExemptCertNumber)}
+                    </div>
+                  )}
+                </div>
+
+                <div className="vc-field">
+                  <div className="vc-label">Expires</div>
+                  {editing ? (
+                    <input
+                      type="date"
+                      value={(draft.taxExemptExpiresAt || "").slice(0, 10)}
+                      onChange={(e) => setDraft((prev) => ({ ...prev, taxExemptExpiresAt: e.target.value || null }))}
+                      className="vc-input"
+                    />
+                  ) : (
+                    <div className={`vc-value${customer.taxExemptExpiresAt ? "" : " muted"}`}>
+                      {customer.taxExemptExpiresAt ? customer.taxExemptExpiresAt.slice(0, 10) : "No expiration"}
+                    </div>
+                  )}
+                </div>
+
+                <div className="vc-field vc-field-full">
+                  <div className="vc-label">Certificate</div>
+                  <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                    {customer.taxExemptCertUrl ? (
+                      <a href={`${API_BASE_URL}${customer.taxExemptCertUrl}`} target="_blank" rel="noopener noreferrer" className="vc-value">
+                        View certificate
+                      </a>
+                    ) : (
+                      <span className="vc-value muted">None on file</span>
+                    )}
+                    {can("customers.edit") && (
+                      <>
+                        <button
+                          type="button"
+                          className="vc-btn vc-btn-secondary"
+                          onClick={() => certInputRef.current?.click()}
+                          disabled={certUploading}
+                        >
+                          {certUploading ? "Uploading..." : customer.taxExemptCertPath ? "Replace" : "Upload"}
+                        </button>
+                        <input
+                          ref={certInputRef}
+                          type="file"
+                          accept="application/pdf,image/*"
+                          style={{ display: "none" }}
+                          onChange={handleCertUpload}
+                        />
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Payment Reminders — existing customers only */}
+        {!isNew && (
+          <div className="vc-card">
+            <div className="vc-card-header">Payment Reminders</div>
+            <div className="vc-card-body">
+              <div className="vc-grid vc-grid-3">
+                <div className="vc-field">
+                  <div className="vc-label">When an invoice reaches a new past-due stage</div>
+                  {editing ? (
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14 }}>
+                      <input
+                        type="checkbox"
+                        checked={!!Number(draft.autoReminders)}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, autoReminders: e.target.checked ? 1 : 0 }))}
+                      />
+                      Send the reminder automatically
+                    </label>
+                  ) : (
+                    <div className="vc-value">
+                      {Number(customer.autoReminders) ? "Sent automatically" : "Queued for approval in Collections"}
+                    </div>
+                  )}
+                </div>
+
+                <div className="vc-field">
+                  <div className="vc-label">Status</div>
+                  {editing ? (
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14 }}>
+                      <input
+                        type="checkbox"
+                        checked={!!Number(draft.remindersPaused)}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, remindersPaused: e.target.checked ? 1 : 0 }))}
+                      />
+                      Paused: in dispute
+                    </label>
+                  ) : (
+                    <div className="vc-value" style={Number(customer.remindersPaused) ? { color: "var(--accent-red)" } : undefined}>
+                      {Number(customer.remindersPaused) ? "Paused: in dispute — no reminders go out" : "Active"}
+                    </div>
+                  )}
+                </div>
+
+                <div className="vc-field">
+                  <div className="vc-label">Pause Reason</div>
+                  {editing ? (
+                    <input
+                      name="remindersPausedReason"
+                      value={draft.remindersPausedReason || ""}
+                      onChange={handleChange}
+                      className="vc-input"
+                      placeholder="e.g. Negotiating change-order pricing"
+                      maxLength={255}
+                      disabled={!Number(draft.remindersPaused)}
+                    />
+                  ) : (
+                    <div className={`vc-value${customer.remindersPausedReason ? "" : " muted"}`}>
+                      {displayVal(Number(customer.remindersPaused) ? customer.remindersPausedReason : "")}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Tabs — only for existing customers */}
         {!isNew && (
           <div className="vc-card">
@@ -809,6 +1407,38 @@ export default function ViewCustomer() {
               >
                 Invoices ({invoices.length})
               </button>
+              {can("invoices.view") && (
+                <button
+                  className={`vc-tab${activeTab === "agreements" ? " active" : ""}`}
+                  onClick={() => setActiveTab("agreements")}
+                >
+                  Service Agreements ({agreements.length})
+                </button>
+              )}
+              {can("invoices.view") && (
+                <button
+                  className={`vc-tab${activeTab === "credits" ? " active" : ""}`}
+                  onClick={() => setActiveTab("credits")}
+                >
+                  Credit Memos ({creditMemos.length})
+                </button>
+              )}
+              {can("invoices.view") && (
+                <button
+                  className={`vc-tab${activeTab === "statements" ? " active" : ""}`}
+                  onClick={() => setActiveTab("statements")}
+                >
+                  Statements ({statements.length})
+                </button>
+              )}
+              {can("invoices.view") && (
+                <button
+                  className={`vc-tab${activeTab === "latefees" ? " active" : ""}`}
+                  onClick={() => setActiveTab("latefees")}
+                >
+                  Late Fees ({lateFees.length})
+                </button>
+              )}
             </div>
 
             {activeTab === "workorders" && (
@@ -868,6 +1498,7 @@ export default function ViewCustomer() {
                   <table className="vc-wo-table">
                     <thead>
                       <tr>
+                        <th>Estimate #</th>
                         <th>Date</th>
                         <th>Project</th>
                         <th>Status</th>
@@ -877,6 +1508,7 @@ export default function ViewCustomer() {
                     <tbody>
                       {estimates.map((est) => (
                         <tr key={est.id} onClick={() => navigate(`/estimates/${est.id}`)}>
+                          <td style={{ fontWeight: 600 }}>{est.estimateNumber || est.id}</td>
                           <td>{formatDate(est.issueDate || est.createdAt)}</td>
                           <td>{est.projectName || "\u2014"}</td>
                           <td>
@@ -946,6 +1578,499 @@ export default function ViewCustomer() {
                 )}
               </div>
             )}
+            {activeTab === "agreements" && (
+              <div className="vc-card-body" style={{ padding: 0 }}>
+                {can("invoices.edit") && !agForm && (
+                  <div style={{ padding: "12px 20px", borderBottom: "1px solid var(--border-color)" }}>
+                    <button
+                      className="vc-btn vc-btn-primary"
+                      style={{ fontSize: 13, padding: "6px 14px" }}
+                      onClick={() => openAgreementForm(null)}
+                    >
+                      + New Agreement
+                    </button>
+                  </div>
+                )}
+
+                {agForm && (
+                  <div className="vc-ag-form">
+                    <div className="vc-grid vc-grid-3">
+                      <div className="vc-field">
+                        <div className="vc-label">Title</div>
+                        <input name="title" value={agForm.title} onChange={handleAgreementChange} className="vc-input" placeholder="Storefront door maintenance" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Site</div>
+                        <input name="siteLocation" value={agForm.siteLocation} onChange={handleAgreementChange} className="vc-input" placeholder="Store #123" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Site Address</div>
+                        <input name="siteAddress" value={agForm.siteAddress} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Frequency</div>
+                        <select name="frequency" value={agForm.frequency} onChange={handleAgreementChange} className="vc-input">
+                          {AGREEMENT_FREQUENCIES.map(([v, label]) => (
+                            <option key={v} value={v}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Price per Period</div>
+                        <input name="price" type="number" min="0" step="0.01" value={agForm.price} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">PO Number</div>
+                        <input name="poNumber" value={agForm.poNumber} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Start Date</div>
+                        <input name="startDate" type="date" value={agForm.startDate} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">End Date</div>
+                        <input name="endDate" type="date" value={agForm.endDate} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      {agForm.id ? (
+                        <div className="vc-field">
+                          <div className="vc-label">Next Service Date</div>
+                          <input name="nextRunDate" type="date" value={agForm.nextRunDate} onChange={handleAgreementChange} className="vc-input" />
+                        </div>
+                      ) : (
+                        <div className="vc-field" />
+                      )}
+                      <div className="vc-field">
+                        <div className="vc-label">Renewal Term (months)</div>
+                        <input name="renewalTermMonths" type="number" min="1" value={agForm.renewalTermMonths} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field">
+                        <div className="vc-label">Renewal Notice (days)</div>
+                        <input name="renewalNoticeDays" type="number" min="0" value={agForm.renewalNoticeDays} onChange={handleAgreementChange} className="vc-input" />
+                      </div>
+                      <div className="vc-field vc-ag-checks">
+                        <label><input type="checkbox" name="autoRenew" checked={agForm.autoRenew} onChange={handleAgreementChange} /> Auto-renew</label>
+                        <label><input type="checkbox" name="taxable" checked={agForm.taxable} onChange={handleAgreementChange} /> Taxable</label>
+                        <label><input type="checkbox" name="createWorkOrder" checked={agForm.createWorkOrder} onChange={handleAgreementChange} /> Work order each period</label>
+                        <label><input type="checkbox" name="createInvoice" checked={agForm.createInvoice} onChange={handleAgreementChange} /> Invoice each period</label>
+                      </div>
+                      <div className="vc-field vc-field-full">
+                        <div className="vc-label">Included Work</div>
+                        <textarea name="includedWork" rows={3} value={agForm.includedWork} onChange={handleAgreementChange} className="vc-textarea" placeholder="Adjust closers, lubricate hinges and locks, inspect weatherstripping..." />
+                      </div>
+                    </div>
+                    <div className="vc-ag-form-actions">
+                      <button className="vc-btn vc-btn-secondary" onClick={() => setAgForm(null)} disabled={agSaving}>Cancel</button>
+                      <button className="vc-btn vc-btn-primary" onClick={handleSaveAgreement} disabled={agSaving}>
+                        {agSaving ? "Saving..." : agForm.id ? "Save Agreement" : "Create Agreement"}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {agLoading ? (
+                  <div className="vc-loading">Loading service agreements...</div>
+                ) : agreements.length === 0 ? (
+                  <div className="vc-empty">No service agreements for this customer yet.</div>
+                ) : (
+                  <table className="vc-wo-table">
+                    <thead>
+                      <tr>
+                        <th>Agreement</th>
+                        <th>Frequency</th>
+                        <th style={{ textAlign: "right" }}>Price</th>
+                        <th>Next Service</th>
+                        <th>Term Ends</th>
+                        <th>Status</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {agreements.map((ag) => (
+                        <React.Fragment key={ag.id}>
+                          <tr onClick={() => toggleAgreement(ag.id)}>
+                            <td>
+                              <div style={{ fontWeight: 600 }}>{ag.title}</div>
+                              <div className="vc-ag-sub">{ag.siteLocation || ag.siteAddress || "\u2014"}</div>
+                            </td>
+                            <td>{ag.frequencyLabel}</td>
+                            <td style={{ textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>
+                              {fmtMoney(ag.price)}
+                            </td>
+                            <td>{ag.status === "Active" ? formatDate(ag.nextRunDate) : "\u2014"}</td>
+                            <td>
+                              {ag.endDate ? formatDate(ag.endDate) : "Open-ended"}
+                              {ag.renewalDue && (
+                                <span className="vc-ag-renewal">
+                                  {ag.daysToEnd < 0 ? "Lapsed" : `Renewal due · ${ag.daysToEnd}d`}
+                                </span>
+                              )}
+                              {Number(ag.autoRenew) === 1 && <div className="vc-ag-sub">Auto-renews</div>}
+                            </td>
+                            <td>
+                              <span className="vc-status-pill" style={agreementStatusStyle(ag.status)}>{ag.status}</span>
+                            </td>
+                            <td className="vc-ag-actions" onClick={(e) => e.stopPropagation()}>
+                              {can("invoices.edit") && (
+                                <>
+                                  <button onClick={() => openAgreementForm(ag)}>Edit</button>
+                                  {ag.status !== "Cancelled" && <button onClick={() => agreementAction(ag, "renew")}>Renew</button>}
+                                  {ag.status === "Active" && <button onClick={() => agreementAction(ag, "generate")}>Generate now</button>}
+                                  {ag.status === "Active" && <button onClick={() => agreementAction(ag, "Paused")}>Pause</button>}
+                                  {ag.status === "Paused" && <button onClick={() => agreementAction(ag, "Active")}>Resume</button>}
+                                  {ag.status !== "Cancelled" && <button onClick={() => agreementAction(ag, "Cancelled")}>Cancel</button>}
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                          {agOpen?.id === ag.id && (
+                            <tr className="vc-ag-history">
+                              <td colSpan={7}>
+                                {ag.includedWork && <div className="vc-ag-included">{ag.includedWork}</div>}
+                                {agOpen.runs.length === 0 ? (
+                                  <div className="vc-ag-sub">Nothing generated yet.</div>
+                                ) : (
+                                  agOpen.runs.map((r) => (
+                                    <div key={r.id} className="vc-ag-run">
+                                      <span>{formatDate(r.periodStart)} – {formatDate(r.periodEnd)}</span>
+                                      {r.workOrderId ? (
+                                        <Link to={`/view-work-order/${r.workOrderId}`}>WO #{r.workOrderNumber || r.workOrderId}</Link>
+                                      ) : <span className="vc-ag-sub">no work order</span>}
+                                      {r.invoiceId ? (
+                                        <Link to={`/invoices/${r.invoiceId}`}>Invoice #{r.invoiceNumber} ({r.invoiceStatus})</Link>
+                                      ) : <span className="vc-ag-sub">no invoice</span>}
+                                      {r.error && <span className="vc-ag-error">{r.error}</span>}
+                                    </div>
+                                  ))
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+            {activeTab === "credits" && (
+              <div className="vc-card-body" style={{ padding: 0 }}>
+                {can("invoices.edit") && !cmForm && (
+                  <div style={{ padding: "12px 20px", borderBottom: "1px solid var(--border-color)" }}>
+                    <button
+                      className="vc-btn vc-btn-primary"
+                      style={{ fontSize: 13, padding: "6px 14px" }}
+                      onClick={() => openCreditForm(null)}
+                    >
+                      + Issue Credit
+                    </button>
+                  </div>
+                )}
+
+                {cmForm && (
+                  <div className="vc-ag-form">
+                    {cmForm.memo ? (
+                      <div className="vc-cm-heading">
+                        Apply {cmForm.memo.memoNumber} — {fmtMoney(cmForm.memo.unapplied)} left to apply
+                      </div>
+                    ) : (
+                      <div className="vc-grid vc-grid-3">
+                        <div className="vc-field">
+                          <div className="vc-label">Amount</div>
+                          <input name="amount" type="number" min="0" step="0.01" value={cmForm.amount} onChange={handleCreditChange} className="vc-input" />
+                        </div>
+                        <div className="vc-field">
+                          <div className="vc-label">Date</div>
+                          <input name="issueDate" type="date" value={cmForm.issueDate} onChange={handleCreditChange} className="vc-input" />
+                        </div>
+                        <div className="vc-field">
+                          <div className="vc-label">Reason</div>
+                          <input name="reason" value={cmForm.reason} onChange={handleCreditChange} className="vc-input" placeholder="Damaged panel — goodwill credit" />
+                        </div>
+                        <div className="vc-field" style={{ gridColumn: "1 / -1" }}>
+                          <div className="vc-label">Notes</div>
+                          <textarea name="notes" rows={2} value={cmForm.notes} onChange={handleCreditChange} className="vc-textarea" />
+                        </div>
+                      </div>
+                    )}
+
+                    {creditableInvoices.length === 0 ? (
+                      <div className="vc-ag-sub">No open invoices — the credit stays on account until one is issued.</div>
+                    ) : (
+                      <table className="vc-cm-alloc">
+                        <thead>
+                          <tr>
+                            <th>Invoice</th>
+                            <th>Date</th>
+                            <th style={{ textAlign: "right" }}>Balance Due</th>
+                            <th style={{ textAlign: "right" }}>
+                              Apply{" "}
+                              <button className="vc-cm-link" onClick={autoAllocateCredit}>oldest first</button>
+                            </th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {creditableInvoices.map((inv) => (
+                            <tr key={inv.id}>
+                              <td>#{inv.invoiceNumber}</td>
+                              <td>{formatDate(inv.issueDate)}</td>
+                              <td style={{ textAlign: "right" }}>{fmtMoney(inv.balanceDue)}</td>
+                              <td style={{ textAlign: "right" }}>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  className="vc-input vc-cm-amount"
+                                  value={cmForm.alloc[inv.id] ?? ""}
+                                  onChange={(e) => setCmForm((f) => ({ ...f, alloc: { ...f.alloc, [inv.id]: e.target.value } }))}
+                                />
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+
+                    <div className="vc-ag-form-actions">
+                      <button className="vc-btn vc-btn-secondary" onClick={() => setCmForm(null)} disabled={cmSaving}>Cancel</button>
+                      <button className="vc-btn vc-btn-primary" onClick={handleSaveCredit} disabled={cmSaving}>
+                        {cmSaving ? "Saving..." : cmForm.memo ? "Apply Credit" : "Issue Credit"}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {cmLoading ? (
+                  <div className="vc-loading">Loading credit memos...</div>
+                ) : creditMemos.length === 0 ? (
+                  <div className="vc-empty">No credit memos for this customer yet.</div>
+                ) : (
+                  <table className="vc-wo-table">
+                    <thead>
+                      <tr>
+                        <th>Memo #</th>
+                        <th>Date</th>
+                        <th>Reason</th>
+                        <th style={{ textAlign: "right" }}>Amount</th>
+                        <th style={{ textAlign: "right" }}>Unapplied</th>
+                        <th>Status</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {creditMemos.map((cm) => (
+                        <tr key={cm.id} style={{ cursor: "default" }}>
+                          <td style={{ fontWeight: 600 }}>{cm.memoNumber}</td>
+                          <td>{formatDate(cm.issueDate)}</td>
+                          <td>
+                            {cm.reason}
+                            {cm.notes && <div className="vc-ag-sub">{cm.notes}</div>}
+                          </td>
+                          <td style={{ textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>
+                            {fmtMoney(cm.amount)}
+                          </td>
+                          <td style={{ textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{fmtMoney(cm.unapplied)}</td>
+                          <td>
+                            <span className="vc-status-pill" style={creditMemoStatusStyle(cm.status)}>{cm.status}</span>
+                          </td>
+                          <td className="vc-ag-actions">
+                            {can("invoices.edit") && cm.status === "Open" && Number(cm.unapplied) > 0 && (
+                              <button onClick={() => openCreditForm(cm)}>Apply</button>
+                            )}
+                            {can("invoices.adjust") && cm.status !== "Void" && (
+                              <button onClick={() => voidCreditMemo(cm)}>Void</button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+            {activeTab === "statements" && (
+              <div className="vc-card-body" style={{ padding: 0 }}>
+                <div className="vc-st-toolbar">
+                  <div className="vc-field">
+                    <div className="vc-label">From</div>
+                    <input type="date" className="vc-input" value={stRange.from} onChange={(e) => setStRange((r) => ({ ...r, from: e.target.value }))} />
+                  </div>
+                  <div className="vc-field">
+                    <div className="vc-label">To</div>
+                    <input type="date" className="vc-input" value={stRange.to} onChange={(e) => setStRange((r) => ({ ...r, to: e.target.value }))} />
+                  </div>
+                  <div className="vc-st-actions">
+                    <button className="vc-btn vc-btn-secondary" onClick={previewStatement} disabled={!!stBusy}>
+                      {stBusy === "preview" ? "Loading..." : "Preview"}
+                    </button>
+                    {can("invoices.edit") && (
+                      <>
+                        <button className="vc-btn vc-btn-secondary" onClick={() => generateStatement(false)} disabled={!!stBusy}>
+                          {stBusy === "generate" ? "Generating..." : "Generate PDF"}
+                        </button>
+                        <button className="vc-btn vc-btn-primary" onClick={() => generateStatement(true)} disabled={!!stBusy}>
+                          {stBusy === "email" ? "Sending..." : "Email Statement"}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {stPreview && (
+                  <div className="vc-ag-form">
+                    <div className="vc-cm-heading">Statement for {stPreview.periodLabel}</div>
+                    <div className="vc-st-summary">
+                      <span>Opening <strong>{fmtMoney(stPreview.openingBalance)}</strong></span>
+                      <span>Invoiced <strong>{fmtMoney(stPreview.totals.invoiced)}</strong></span>
+                      {stPreview.totals.financeCharges > 0 && (
+                        <span>Finance charges <strong>{fmtMoney(stPreview.totals.financeCharges)}</strong></span>
+                      )}
+                      <span>Paid <strong>{fmtMoney(stPreview.totals.paid - stPreview.totals.refunded)}</strong></span>
+                      <span>Credits <strong>{fmtMoney(stPreview.totals.credited + stPreview.totals.writtenOff)}</strong></span>
+                      <span>Closing <strong>{fmtMoney(stPreview.closingBalance)}</strong></span>
+                    </div>
+                    {stPreview.unappliedCredit > 0 && (
+                      <div className="vc-ag-sub">{fmtMoney(stPreview.unappliedCredit)} unapplied credit on account (not in the balance).</div>
+                    )}
+                    {stPreview.activity.length === 0 ? (
+                      <div className="vc-ag-sub">No activity in this period.</div>
+                    ) : (
+                      <table className="vc-cm-alloc">
+                        <thead>
+                          <tr>
+                            <th>Date</th>
+                            <th>Transaction</th>
+                            <th>Details</th>
+                            <th style={{ textAlign: "right" }}>Amount</th>
+                            <th style={{ textAlign: "right" }}>Balance</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {stPreview.activity.map((e) => (
+                            <tr key={`${e.type}-${e.id}`}>
+                              <td>{formatDate(e.date)}</td>
+                              <td>{e.reference}</td>
+                              <td>{e.description}</td>
+                              <td style={{ textAlign: "right" }}>{fmtMoney(e.amount)}</td>
+                              <td style={{ textAlign: "right" }}>{fmtMoney(e.balance)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+
+                {statements.length === 0 ? (
+                  <div className="vc-empty">No statements generated for this customer yet.</div>
+                ) : (
+                  <table className="vc-wo-table">
+                    <thead>
+                      <tr>
+                        <th>Period</th>
+                        <th style={{ textAlign: "right" }}>Closing Balance</th>
+                        <th>Status</th>
+                        <th>Sent To</th>
+                        <th>Created</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statements.map((st) => (
+                        <tr key={st.id} style={{ cursor: "default" }}>
+                          <td style={{ fontWeight: 600 }}>
+                            {formatDate(st.periodStart)} – {formatDate(st.periodEnd)}
+                            {st.monthlyPeriod && <div className="vc-ag-sub">Monthly</div>}
+                          </td>
+                          <td style={{ textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>
+                            {fmtMoney(st.closingBalance)}
+                          </td>
+                          <td>
+                            <span className="vc-status-pill" style={statementStatusStyle(st.status)}>{st.status}</span>
+                            {st.error && <div className="vc-ag-error">{st.error}</div>}
+                          </td>
+                          <td>{st.sentTo || "\u2014"}</td>
+                          <td>{formatDate(st.createdAt)}{st.createdBy ? ` · ${st.createdBy}` : ""}</td>
+                          <td className="vc-ag-actions">
+                            {st.pdfUrl && (
+                              <a href={`${API_BASE_URL}${st.pdfUrl}`} target="_blank" rel="noopener noreferrer">PDF</a>
+                            )}
+                            {can("invoices.edit") && <button onClick={() => emailStatement(st)}>Email</button>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+            {activeTab === "latefees" && (
+              <div className="vc-card-body" style={{ padding: 0 }}>
+                {lateFees.length === 0 ? (
+                  <div className="vc-empty">No late fees for this customer.</div>
+                ) : (
+                  <table className="vc-wo-table">
+                    <thead>
+                      <tr>
+                        <th>Invoice #</th>
+                        <th>Stage</th>
+                        <th style={{ textAlign: "right" }}>Fee</th>
+                        <th>Status</th>
+                        <th>Finance Charge</th>
+                        <th>Proposed</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lateFees.map((fee) => (
+                        <tr key={fee.id} style={{ cursor: "default" }}>
+                          <td style={{ fontWeight: 600 }}>
+                            <Link to={`/invoices/${fee.invoiceId}`}>
+                              #{fee.invoiceNumber}
+                            </Link>
+                          </td>
+                          <td>
+                            {fee.stage}
+                            <div className="vc-ag-sub">{fee.daysOverdue}d past due on {fmtMoney(fee.basisAmount)}</div>
+                          </td>
+                          <td style={{ textAlign: "right", fontWeight: 700, fontVariantNumeric: "tabular-nums" }}>{fmtMoney(fee.amount)}</td>
+                          <td>
+                            <span className="vc-status-pill" style={lateFeeStatusStyle(fee.status)}>{fee.status}</span>
+                            {fee.status === "Waived" && (
+                              <div className="vc-ag-sub">
+                                {fee.waiveReason}{fee.waivedBy ? ` · ${fee.waivedBy}` : ""}
+                              </div>
+                            )}
+                          </td>
+                          <td>
+                            {fee.feeInvoiceId ? (
+                              <>
+                                <Link to={`/invoices/${fee.feeInvoiceId}`}>
+                                  #{fee.feeInvoiceNumber}
+                                </Link>
+                                <div className="vc-ag-sub">
+                                  {fee.feeInvoiceStatus} · {fmtMoney(fee.feeInvoiceBalance)} open
+                                </div>
+                              </>
+                            ) : (
+                              "\u2014"
+                            )}
+                          </td>
+                          <td>{formatDate(fee.createdAt)}</td>
+                          <td className="vc-ag-actions">
+                            {fee.status === "Pending" && can("invoices.edit") && (
+                              <button onClick={() => approveLateFee(fee)}>Approve</button>
+                            )}
+                            {fee.status !== "Waived" && can("invoices.adjust") && (
+                              <button onClick={() => waiveLateFee(fee)}>Waive</button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -2,6 +2,7 @@
 import React, { useCallback, useEffect, useState } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import api from "./api";
+import { can } from "./auth";
 import API_BASE_URL from "./config";
 import SendEmailModal from "./SendEmailModal";
 import "./ViewEstimate.css";
@@ -11,6 +12,11 @@ function fmtMoney(val) {
   return "$" + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+function taxLabel(doc) {
+  if (Number(doc.taxExempt)) return "Tax (exempt)";
+  return `Tax (${doc.taxJurisdictionName ? doc.taxJurisdictionName + " " : ""}${Number(doc.taxRate)}%)`;
+}
+
 function fmtDate(d) {
   if (!d) return "—";
   try {
@@ -24,6 +30,43 @@ function fmtDate(d) {
   }
 }
 
+// Optional add-ons and option-group lines are choices; unselected ones are out of the total.
+const lineIsChoice = (li) => !!(Number(li.isOptional) || li.optionGroup);
+const lineIncluded = (li) => !lineIsChoice(li) || Number(li.isSelected ?? 1) !== 0;
+
+function fmtQty(q) {
+  if (q == null || Number(q) <= 0) return "";
+  const n = Number(q);
+  return n === Math.floor(n) ? String(n) : n.toFixed(2);
+}
+
+// Pair up the lines of two revisions for the side-by-side view. Lines keep their
+// id across revisions (the live estimate is edited in place), so match on id
+// first and fall back to the text for anything re-added.
+function diffRevisionLines(before, after) {
+  const lineText = (li) => (li.itemName || li.description || "").trim().toLowerCase();
+  const left = [...(before?.lineItems || [])];
+  const rows = [];
+  for (const b of after?.lineItems || []) {
+    let i = left.findIndex((a) => a.id === b.id);
+    if (i < 0) i = left.findIndex((a) => lineText(a) && lineText(a) === lineText(b));
+    const a = i >= 0 ? left.splice(i, 1)[0] : null;
+    let change = "added";
+    if (a) {
+      const same = Number(a.amount) === Number(b.amount)
+        && Number(a.quantity || 0) === Number(b.quantity || 0)
+        && (a.description || "") === (b.description || "")
+        && Number(a.taxable ?? 1) === Number(b.taxable ?? 1)
+        && (a.optionGroup || "") === (b.optionGroup || "")
+        && lineIncluded(a) === lineIncluded(b);
+      change = same ? "same" : "changed";
+    }
+    rows.push({ key: `b${b.id}`, before: a, after: b, change });
+  }
+  for (const a of left) rows.push({ key: `a${a.id}`, before: a, after: null, change: "removed" });
+  return rows;
+}
+
 function statusClass(s) {
   if (!s) return "est-status-draft";
   const sl = s.toLowerCase();
@@ -43,9 +86,13 @@ export default function ViewEstimate() {
   const [generatingPdf, setGeneratingPdf] = useState(false);
   const [converting, setConverting] = useState(false);
   const [pdfTemplates, setPdfTemplates] = useState([]);
+  const [taxJurisdictions, setTaxJurisdictions] = useState([]);
   const [selectedTemplateId, setSelectedTemplateId] = useState("");
   const [showEmailModal, setShowEmailModal] = useState(false);
   const [emailHistory, setEmailHistory] = useState([]);
+  const [revisions, setRevisions] = useState([]);
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [revising, setRevising] = useState(false);
 
   const fetchEstimate = useCallback(async () => {
     setLoading(true);
@@ -82,11 +129,45 @@ export default function ViewEstimate() {
     fetchEmailHistory();
   }, [fetchEmailHistory]);
 
+  const fetchRevisions = useCallback(() => {
+    api.get(`/estimates/${id}/revisions`).then((res) => {
+      const list = Array.isArray(res.data?.revisions) ? res.data.revisions : [];
+      setRevisions(list);
+      // Default to "previous vs current"
+      const n = list.length;
+      setCompare({
+        from: n > 1 ? list[n - 2].revisionNumber : null,
+        to: n ? list[n - 1].revisionNumber : null,
+      });
+    }).catch(() => {});
+  }, [id]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    api.get("/tax-jurisdictions").then((res) => {
+      setTaxJurisdictions(Array.isArray(res.data) ? res.data : []);
+    }).catch(() => {});
+  }, []);
+
+  const handleTaxJurisdiction = async (value) => {
+    try {
+      await api.put(`/estimates/${id}`, { taxJurisdictionId: value === "auto" ? "auto" : Number(value) || null });
+      await fetchEstimate();
+    } catch (err) {
+      console.error("Error updating tax jurisdiction:", err);
+      alert("Failed to update tax jurisdiction.");
+    }
+  };
+
   const handleStatusChange = async (newStatus) => {
     setStatusUpdating(true);
     try {
       await api.put(`/estimates/${id}/status`, { status: newStatus });
       await fetchEstimate();
+      fetchRevisions();
       if (newStatus === 'Accepted') {
         alert("Estimate accepted. Work order status updated to Approved.");
       } else if (newStatus === 'Declined') {
@@ -120,6 +201,58 @@ export default function ViewEstimate() {
   const handleEmailSent = () => {
     fetchEstimate();
     fetchEmailHistory();
+    fetchRevisions();
+  };
+
+  // "" = base scope, "__optional" = add-on, "__new" = start a group, else join that group
+  const handleLineOption = async (li, value) => {
+    let body = { isOptional: false, optionGroup: null };
+    if (value === "__optional") body = { isOptional: true, optionGroup: null };
+    else if (value === "__new") {
+      const name = window.prompt("Option group name (e.g. Glass type):");
+      if (!name || !name.trim()) return;
+      body = { isOptional: true, optionGroup: name.trim() };
+    } else if (value) body = { isOptional: true, optionGroup: value };
+    try {
+      await api.put(`/estimates/${id}/line-items/${li.id}`, body);
+      await fetchEstimate();
+    } catch (err) {
+      console.error("Error updating line option:", err);
+      alert("Failed to update line.");
+    }
+  };
+
+  // Record a pick the customer made by phone/email — same rules as the public page.
+  const handleSelectOption = async (li, checked) => {
+    const lines = estimate.lineItems || [];
+    const selected = lines.filter((l) => lineIsChoice(l) && lineIncluded(l)
+      && !(li.optionGroup && l.optionGroup === li.optionGroup) && l.id !== li.id).map((l) => l.id);
+    if (checked || li.optionGroup) selected.push(li.id);
+    try {
+      await api.put(`/estimates/${id}/selection`, { selectedLineIds: selected });
+      await fetchEstimate();
+    } catch (err) {
+      console.error("Error updating option selection:", err);
+      alert(err?.response?.data?.error || "Failed to update selection.");
+    }
+  };
+
+  const handleNewRevision = async () => {
+    const reason = window.prompt(
+      `Start revision ${(Number(estimate.revisionNumber) || 1) + 1}? The current version is kept read-only with its PDF.\n\nReason (optional):`
+    );
+    if (reason === null) return;
+    setRevising(true);
+    try {
+      await api.post(`/estimates/${id}/revisions`, { reason });
+      await fetchEstimate();
+      fetchRevisions();
+    } catch (err) {
+      console.error("Error creating revision:", err);
+      alert(err?.response?.data?.error || "Failed to create revision.");
+    } finally {
+      setRevising(false);
+    }
   };
 
   const handleConvertToInvoice = async () => {
@@ -158,10 +291,15 @@ export default function ViewEstimate() {
 
   const e = estimate;
   const lineItems = e.lineItems || [];
-  const pdfUrl = e.pdfPath
-    ? `${API_BASE_URL}/files?key=${encodeURIComponent(e.pdfPath)}`
-    : null;
+  const pdfUrl = e.pdfUrl ? `${API_BASE_URL}${e.pdfUrl}` : null; // signed, short-lived
   const customerName = e.companyName || e.custName || "—";
+  const canEditLines = can("estimates.edit") && e.status === "Draft";
+  const canPick = can("estimates.edit") && e.status !== "Accepted" && e.status !== "Declined";
+  const optionGroups = [...new Set(lineItems.map((li) => li.optionGroup).filter(Boolean))];
+  const showOptions = canEditLines || lineItems.some(lineIsChoice);
+  const revFrom = revisions.find((r) => r.revisionNumber === compare.from);
+  const revTo = revisions.find((r) => r.revisionNumber === compare.to);
+  const revDiff = revFrom && revTo ? diffRevisionLines(revFrom.snapshot, revTo.snapshot) : [];
 
   return (
     <div className="ve-page">
@@ -170,7 +308,8 @@ export default function ViewEstimate() {
         <div className="ve-topbar">
           <Link to="/estimates" className="ve-back">&larr; Estimates</Link>
           <div className="ve-title-area">
-            <h2 className="ve-title">Estimate</h2>
+            <h2 className="ve-title">Estimate{e.estimateNumber ? ` #${e.estimateNumber}` : ""}</h2>
+            {Number(e.revisionNumber) > 1 && <span className="ve-rev-pill">Rev {e.revisionNumber}</span>}
             <span className={`ve-status-pill ${statusClass(e.status)}`}>
               {e.status || "Draft"}
             </span>
@@ -255,6 +394,16 @@ export default function ViewEstimate() {
                 </button>
               </>
             )}
+            {/* New Revision — once it has gone out to the customer */}
+            {can("estimates.edit") && e.status !== "Draft" && (
+              <button
+                className="ve-btn ve-btn-secondary"
+                onClick={handleNewRevision}
+                disabled={revising}
+              >
+                {revising ? "Creating..." : "New Revision"}
+              </button>
+            )}
             {/* Convert to Invoice — Accepted only */}
             {e.status === "Accepted" && (
               <button
@@ -375,12 +524,13 @@ export default function ViewEstimate() {
                   <tr>
                     <th className="col-qty">Qty</th>
                     <th>Description</th>
+                    {showOptions && <th className="col-option">Option</th>}
                     <th className="col-amount">Amount</th>
                   </tr>
                 </thead>
                 <tbody>
                   {lineItems.map((li) => (
-                    <tr key={li.id}>
+                    <tr key={li.id} className={lineIncluded(li) ? "" : "ve-li-off"}>
                       <td className="col-qty">
                         {li.quantity != null && Number(li.quantity) > 0
                           ? (Number(li.quantity) === Math.floor(Number(li.quantity))
@@ -388,31 +538,97 @@ export default function ViewEstimate() {
                               : Number(li.quantity).toFixed(2))
                           : ""}
                       </td>
-                      <td>{li.description}</td>
+                      <td>
+                        {li.description}
+                        {Number(li.taxable) === 0 && <span className="ve-li-nontax">non-taxable</span>}
+                      </td>
+                      {showOptions && (
+                        <td className="col-option">
+                          {lineIsChoice(li) && (
+                            <input
+                              type={li.optionGroup ? "radio" : "checkbox"}
+                              checked={lineIncluded(li)}
+                              disabled={!canPick}
+                              title={lineIncluded(li) ? "In the total" : "Not in the total"}
+                              onChange={(ev) => handleSelectOption(li, ev.target.checked)}
+                            />
+                          )}
+                          {canEditLines ? (
+                            <select
+                              value={li.optionGroup || (Number(li.isOptional) ? "__optional" : "")}
+                              onChange={(ev) => handleLineOption(li, ev.target.value)}
+                            >
+                              <option value="">Base scope</option>
+                              <option value="__optional">Optional add-on</option>
+                              {optionGroups.map((g) => <option key={g} value={g}>Choice: {g}</option>)}
+                              <option value="__new">New choice group…</option>
+                            </select>
+                          ) : lineIsChoice(li) && (
+                            <span className="ve-li-option">{li.optionGroup ? `Choice: ${li.optionGroup}` : "Optional"}</span>
+                          )}
+                        </td>
+                      )}
                       <td className="col-amount">{fmtMoney(li.amount)}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
 
+              {e.customerSelection && (
+                <div className="ve-li-selection">
+                  Options chosen by the customer on {fmtDate(e.customerSelection.respondedAt)}
+                  {e.customerSelection.recipientEmail ? ` (${e.customerSelection.recipientEmail})` : ""}
+                </div>
+              )}
+
               <div className="ve-totals">
                 <div className="ve-totals-row">
                   <span className="ve-totals-label">Subtotal</span>
                   <span className="ve-totals-value">{fmtMoney(e.subtotal)}</span>
                 </div>
-                {Number(e.taxRate) > 0 && (
-                  <>
-                    <div className="ve-totals-row">
-                      <span className="ve-totals-label">Tax ({e.taxRate}%)</span>
-                      <span className="ve-totals-value">{fmtMoney(e.taxAmount)}</span>
-                    </div>
-                  </>
+                {e.taxableSubtotal != null && Number(e.taxableSubtotal) !== Number(e.subtotal) && (
+                  <div className="ve-totals-row">
+                    <span className="ve-totals-label">Taxable</span>
+                    <span className="ve-totals-value">{fmtMoney(e.taxableSubtotal)}</span>
+                  </div>
+                )}
+                {(Number(e.taxRate) > 0 || Number(e.taxExempt) > 0) && (
+                  <div className="ve-totals-row">
+                    <span className="ve-totals-label">{taxLabel(e)}</span>
+                    <span className="ve-totals-value">{fmtMoney(e.taxAmount)}</span>
+                  </div>
                 )}
                 <div className="ve-totals-row grand">
                   <span className="ve-totals-label">Total</span>
                   <span className="ve-totals-value">{fmtMoney(e.total)}</span>
                 </div>
               </div>
+
+              {can("estimates.edit") && e.margin?.costedLines > 0 && (
+                <div className={`ve-margin${e.margin.belowFloor ? " low" : ""}`} title="Internal only — not printed">
+                  Internal margin: {e.margin.marginPct}% ({fmtMoney(e.margin.grossProfit)} over {fmtMoney(e.margin.cost)} cost)
+                  {e.margin.uncostedLines > 0 && ` · ${e.margin.uncostedLines} line(s) without a cost`}
+                  {e.margin.belowFloor && ` — below the ${e.margin.floorPct}% floor`}
+                </div>
+              )}
+
+              {can("estimates.edit") && e.status === "Draft" && (
+                <div className="ve-tax-jurisdiction">
+                  <span>Sales tax</span>
+                  <select
+                    value={e.taxJurisdictionId ? String(e.taxJurisdictionId) : ""}
+                    onChange={(ev) => handleTaxJurisdiction(ev.target.value)}
+                  >
+                    <option value="">
+                      {Number(e.taxRate) > 0 ? `Manual rate (${Number(e.taxRate)}%)` : "No jurisdiction"}
+                    </option>
+                    {taxJurisdictions.map((j) => (
+                      <option key={j.id} value={j.id}>{j.name} — {Number(j.rate)}%</option>
+                    ))}
+                    <option value="auto">Auto-detect from job site</option>
+                  </select>
+                </div>
+              )}
             </>
           )}
         </div>
@@ -463,6 +679,100 @@ export default function ViewEstimate() {
           </div>
         )}
 
+        {/* Revisions */}
+        {revisions.length > 1 && (
+          <div className="ve-card">
+            <div className="ve-card-header">Revisions</div>
+            <table className="ve-li-table">
+              <thead>
+                <tr>
+                  <th>Rev</th>
+                  <th>Status</th>
+                  <th>Sent</th>
+                  <th>Reason</th>
+                  <th className="col-amount">Total</th>
+                  <th className="col-amount">PDF</th>
+                </tr>
+              </thead>
+              <tbody>
+                {revisions.map((r) => (
+                  <tr key={r.revisionNumber}>
+                    <td>{r.revisionNumber}{r.isCurrent ? " (current)" : ""}</td>
+                    <td>{r.status || "—"}</td>
+                    <td>
+                      {r.sends.length === 0 ? "—" : r.sends.map((sd) => (
+                        <div key={sd.id} className="ve-rev-send">
+                          {fmtDate(sd.sentAt)} · {sd.recipientEmail || (sd.method === "manual" ? "marked sent" : "—")}
+                          {sd.sentBy ? ` · ${sd.sentBy}` : ""}
+                        </div>
+                      ))}
+                    </td>
+                    <td>{r.reason || "—"}</td>
+                    <td className="col-amount">{fmtMoney(r.total)}</td>
+                    <td className="col-amount">
+                      {r.pdfUrl ? (
+                        <a href={`${API_BASE_URL}${r.pdfUrl}`} target="_blank" rel="noopener noreferrer">View</a>
+                      ) : "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="ve-rev-compare">
+              <span>Compare</span>
+              <select value={compare.from ?? ""} onChange={(ev) => setCompare({ ...compare, from: Number(ev.target.value) })}>
+                {revisions.map((r) => <option key={r.revisionNumber} value={r.revisionNumber}>Rev {r.revisionNumber}</option>)}
+              </select>
+              <span>with</span>
+              <select value={compare.to ?? ""} onChange={(ev) => setCompare({ ...compare, to: Number(ev.target.value) })}>
+                {revisions.map((r) => <option key={r.revisionNumber} value={r.revisionNumber}>Rev {r.revisionNumber}</option>)}
+              </select>
+            </div>
+
+            {revFrom && revTo && (
+              <table className="ve-li-table ve-rev-diff">
+                <thead>
+                  <tr>
+                    <th className="col-qty">Qty</th>
+                    <th>Rev {revFrom.revisionNumber}</th>
+                    <th className="col-amount">Amount</th>
+                    <th className="col-qty">Qty</th>
+                    <th>Rev {revTo.revisionNumber}</th>
+                    <th className="col-amount">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revDiff.map((row) => (
+                    <tr key={row.key} className={`ve-rev-${row.change}`}>
+                      <td className="col-qty">{row.before ? fmtQty(row.before.quantity) : ""}</td>
+                      <td>{row.before ? row.before.description || row.before.itemName : ""}</td>
+                      <td className="col-amount">{row.before ? fmtMoney(row.before.amount) : ""}</td>
+                      <td className="col-qty">{row.after ? fmtQty(row.after.quantity) : ""}</td>
+                      <td>{row.after ? row.after.description || row.after.itemName : ""}</td>
+                      <td className="col-amount">{row.after ? fmtMoney(row.after.amount) : ""}</td>
+                    </tr>
+                  ))}
+                  {[["Subtotal", "subtotal"], ["Tax", "taxAmount"], ["Total", "total"]].map(([label, key]) => {
+                    const a = Number(revFrom.snapshot[key]) || 0;
+                    const b = Number(revTo.snapshot[key]) || 0;
+                    return (
+                      <tr key={key} className={`ve-rev-total${a !== b ? " ve-rev-changed" : ""}`}>
+                        <td />
+                        <td>{label}</td>
+                        <td className="col-amount">{fmtMoney(a)}</td>
+                        <td />
+                        <td>{a !== b ? `${b > a ? "+" : "−"}${fmtMoney(Math.abs(b - a))}` : ""}</td>
+                        <td className="col-amount">{fmtMoney(b)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
         {/* Email History */}
         {emailHistory.length > 0 && (
           <div className="ve-card">
@@ -2,6 +2,7 @@
 import React, { useCallback, useEffect, useState } from "react";
 import { useParams, useNavigate, Link } from "react-router-dom";
 import api from "./api";
+import { can } from "./auth";
 import API_BASE_URL from "./config";
 import SendEmailModal from "./SendEmailModal";
 import "./ViewInvoice.css";
@@ -11,6 +12,11 @@ function fmtMoney(val) {
   return "$" + n.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+function taxLabel(doc) {
+  if (Number(doc.taxExempt)) return "Tax (exempt)";
+  return `Tax (${doc.taxJurisdictionName ? doc.taxJurisdictionName + " " : ""}${Number(doc.taxRate)}%)`;
+}
+
 function fmtDate(d) {
   if (!d) return "—";
   try {
@@ -43,12 +49,21 @@ const PAYMENT_METHOD_LABEL = {
   check: "Check",
   credit_card: "Credit Card",
   cash: "Cash",
+  ach: "ACH",
   other: "Other",
 };
 
+const BILLING_TYPE_LABEL = {
+  deposit: "Deposit",
+  progress: "Progress",
+  final: "Final",
+  retainage: "Retainage",
+};
+
 function paymentStatusStyle(status) {
   const s = String(status || "Unpaid");
   if (s === "Paid") return { bg: "#34c759", color: "#fff", label: "Paid" };
+  if (s === "Closed") return { bg: "#636366", color: "#fff", label: "Closed" };
   if (s === "Partial") return { bg: "#f59e0b", color: "#fff", label: "Partial" };
   return { bg: "#ef4444", color: "#fff", label: "Unpaid" };
 }
@@ -62,6 +77,7 @@ export default function ViewInvoice() {
   const [statusUpdating, setStatusUpdating] = useState(false);
   const [generatingPdf, setGeneratingPdf] = useState(false);
   const [pdfTemplates, setPdfTemplates] = useState([]);
+  const [taxJurisdictions, setTaxJurisdictions] = useState([]);
   const [selectedTemplateId, setSelectedTemplateId] = useState("");
   const [showEmailModal, setShowEmailModal] = useState(false);
   const [emailModalType, setEmailModalType] = useState("invoice");
@@ -78,6 +94,11 @@ export default function ViewInvoice() {
   });
   const [paymentSaving, setPaymentSaving] = useState(false);
 
+  // Job billing (deposit / progress / retainage) for invoices tied to a work order
+  const [billing, setBilling] = useState(null);
+  const [billingBusy, setBillingBusy] = useState(false);
+  const [progressPcts, setProgressPcts] = useState(null); // { [sovItemId | "contract"]: "40" } while the form is open
+
   const fetchInvoice = useCallback(async () => {
     setLoading(true);
     try {
@@ -103,6 +124,74 @@ export default function ViewInvoice() {
     }).catch(() => {});
   }, []);
 
+  const workOrderId = invoice?.workOrderId || null;
+  const fetchBilling = useCallback(() => {
+    if (!workOrderId) return;
+    api.get(`/work-orders/${workOrderId}/billing`, { params: { asOfInvoiceId: id } }).then((res) => {
+      setBilling(res.data || null);
+    }).catch(() => {});
+  }, [workOrderId, id]);
+
+  useEffect(() => {
+    fetchBilling();
+  }, [fetchBilling]);
+
+  const handleSetupSov = async (source) => {
+    const pct = window.prompt("Retainage % to hold on progress invoices (blank for none):", billing?.retainage?.pct ?? "");
+    if (pct === null) return;
+    setBillingBusy(true);
+    try {
+      const body = { retainagePct: pct.trim() === "" ? null : pct.trim() };
+      if (source === "estimate") body.fromEstimateId = invoice.estimateId;
+      else if (source === "invoice") body.fromInvoiceId = invoice.id;
+      const res = await api.put(`/work-orders/${workOrderId}/schedule-of-values`, body);
+      setBilling(res.data);
+      fetchBilling();
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to set up the schedule of values.");
+    } finally {
+      setBillingBusy(false);
+    }
+  };
+
+  const openProgressForm = () => {
+    const pcts = {};
+    for (const it of billing.scheduleOfValues) pcts[it.id] = "";
+    if (!billing.scheduleOfValues.length) pcts.contract = "";
+    setProgressPcts(pcts);
+  };
+
+  const createBillingInvoice = async (kind) => {
+    const url = `/work-orders/${workOrderId}/billing/${kind === "final" ? "progress" : kind}`;
+    const body = {};
+    if (kind === "progress") {
+      if (billing.scheduleOfValues.length) {
+        body.items = Object.entries(progressPcts)
+          .filter(([, v]) => String(v).trim() !== "")
+          .map(([sovItemId, percentComplete]) => ({ sovItemId: Number(sovItemId), percentComplete }));
+        if (!body.items.length) return alert("Enter the % complete for at least one line.");
+      } else {
+        if (String(progressPcts.contract).trim() === "") return alert("Enter the % complete for the job.");
+        body.percentComplete = progressPcts.contract;
+      }
+    } else if (kind === "final") {
+      if (!window.confirm("Create the final invoice for everything left on this job? Remaining deposits are credited.")) return;
+      body.final = true;
+    } else if (kind === "retainage") {
+      if (!window.confirm(`Invoice the ${fmtMoney(billing.retainage.outstanding)} of retainage held on this job?`)) return;
+    }
+    setBillingBusy(true);
+    try {
+      const res = await api.post(url, body);
+      setProgressPcts(null);
+      navigate(`/invoices/${res.data.invoiceId}`);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to create invoice.");
+    } finally {
+      setBillingBusy(false);
+    }
+  };
+
   const fetchEmailHistory = useCallback(() => {
     api.get(`/email-log?invoiceId=${id}`).then((res) => {
       setEmailHistory(Array.isArray(res.data) ? res.data : []);
@@ -113,6 +202,22 @@ export default function ViewInvoice() {
     fetchEmailHistory();
   }, [fetchEmailHistory]);
 
+  useEffect(() => {
+    api.get("/tax-jurisdictions").then((res) => {
+      setTaxJurisdictions(Array.isArray(res.data) ? res.data : []);
+    }).catch(() => {});
+  }, []);
+
+  const handleTaxJurisdiction = async (value) => {
+    try {
+      await api.put(`/invoices/${id}`, { taxJurisdictionId: value === "auto" ? "auto" : Number(value) || null });
+      await fetchInvoice();
+    } catch (err) {
+      console.error("Error updating tax jurisdiction:", err);
+      alert("Failed to update tax jurisdiction.");
+    }
+  };
+
   const handleStatusChange = async (newStatus) => {
     if (newStatus === "Void" && !window.confirm("Mark this invoice as void? This cannot be undone.")) return;
     setStatusUpdating(true);
@@ -208,7 +313,79 @@ export default function ViewInvoice() {
       await fetchInvoice();
     } catch (err) {
       console.error("Error deleting payment:", err);
-      alert("Failed to delete payment.");
+      alert(err?.response?.data?.error || "Failed to delete payment.");
+    }
+  };
+
+  // Credits, write-offs and refunds
+  const handleApplyCredit = async () => {
+    try {
+      const { data: memos } = await api.get("/credit-memos", {
+        params: { customerId: invoice.customerId, status: "Open" },
+      });
+      if (!memos.length) {
+        alert("This customer has no open credit memos. Issue one from the customer's Credit Memos tab.");
+        return;
+      }
+      const list = memos.map((m, i) => `${i + 1}. ${m.memoNumber} — ${fmtMoney(m.unapplied)} left (${m.reason})`).join("\n");
+      const pick = window.prompt(`Apply which credit?\n${list}`, "1");
+      if (pick == null) return;
+      const memo = memos[Number(pick) - 1];
+      if (!memo) return;
+      const amount = window.prompt("Amount to apply:", String(Math.min(Number(memo.unapplied), Number(invoice.balanceDue) || 0)));
+      if (amount == null) return;
+      await api.post(`/credit-memos/${memo.id}/apply`, { applications: [{ invoiceId: invoice.id, amount }] });
+      await fetchInvoice();
+    } catch (err) {
+      console.error("Error applying credit:", err);
+      alert(err?.response?.data?.error || "Failed to apply credit.");
+    }
+  };
+
+  const handleWriteOff = async () => {
+    const reason = window.prompt("Reason for writing off this balance (required):");
+    if (!reason || !reason.trim()) return;
+    const amount = window.prompt("Amount to write off:", String(Number(invoice.balanceDue) || 0));
+    if (amount == null) return;
+    try {
+      await api.post(`/invoices/${id}/write-off`, { amount, reason });
+      await fetchInvoice();
+    } catch (err) {
+      console.error("Error writing off balance:", err);
+      alert(err?.response?.data?.error || "Failed to write off balance.");
+    }
+  };
+
+  const handleRemoveAdjustment = async (adj) => {
+    const what = adj.type === "writeoff" ? "write-off" : `credit${adj.memoNumber ? ` from ${adj.memoNumber}` : ""}`;
+    if (!window.confirm(`Remove this ${what}? The invoice balance goes back up by ${fmtMoney(adj.amount)}.`)) return;
+    try {
+      await api.delete(`/invoices/${id}/adjustments/${adj.id}`);
+      await fetchInvoice();
+    } catch (err) {
+      console.error("Error removing adjustment:", err);
+      alert(err?.response?.data?.error || "Failed to remove adjustment.");
+    }
+  };
+
+  const handleRefund = async (payment, refundable) => {
+    const amount = window.prompt(
+      `Refund how much of this ${fmtMoney(payment.amount)} payment?` +
+        (payment.stripePaymentIntentId ? " It will be refunded to the customer through Stripe." : ""),
+      String(refundable)
+    );
+    if (amount == null) return;
+    const reason = window.prompt("Reason for the refund (required):");
+    if (!reason || !reason.trim()) return;
+    const reopen = !window.confirm(
+      "Reduce what the customer owes by the refund?\n\nOK — the invoice stays settled (credited).\nCancel — the customer owes the refunded amount again."
+    );
+    try {
+      await api.post(`/invoices/${id}/refunds`, { paymentId: payment.id, amount, reason, reopen });
+      await fetchInvoice();
+    } catch (err) {
+      console.error("Error refunding payment:", err);
+      alert(err?.response?.data?.error || "Failed to refund payment.");
     }
   };
 
@@ -218,9 +395,14 @@ export default function ViewInvoice() {
   const inv = invoice;
   const lineItems = inv.lineItems || [];
   const payments = inv.payments || [];
-  const pdfUrl = inv.pdfPath
-    ? `${API_BASE_URL}/files?key=${encodeURIComponent(inv.pdfPath)}`
-    : null;
+  const adjustments = inv.adjustments || [];
+  const refundedByPayment = {};
+  for (const p of payments) {
+    if (p.refundOfId) refundedByPayment[p.refundOfId] = (refundedByPayment[p.refundOfId] || 0) - Number(p.amount);
+  }
+  const creditAmount = Number(inv.creditAmount) || 0;
+  const writeOffAmount = Number(inv.writeOffAmount) || 0;
+  const pdfUrl = inv.pdfUrl ? `${API_BASE_URL}${inv.pdfUrl}` : null; // signed, short-lived
   const customerName = inv.companyName || inv.custName || "—";
   const isDraft = inv.status === "Draft";
   const isVoid = inv.status === "Void";
@@ -231,7 +413,8 @@ export default function ViewInvoice() {
   // Derive paymentStatus from amounts if backend didn't supply it
   let paymentStatus = inv.paymentStatus;
   if (!paymentStatus) {
-    if (amountPaid >= invoiceTotal && invoiceTotal > 0) paymentStatus = "Paid";
+    const due = invoiceTotal - (Number(inv.retainageAmount) || 0) - creditAmount - writeOffAmount;
+    if (amountPaid >= due && due > 0) paymentStatus = writeOffAmount > 0 ? "Closed" : "Paid";
     else if (amountPaid > 0) paymentStatus = "Partial";
     else paymentStatus = "Unpaid";
   }
@@ -248,6 +431,9 @@ export default function ViewInvoice() {
             <span className={`vi-status-pill ${statusClass(inv.status)}`}>
               {inv.status || "Draft"}
             </span>
+            {BILLING_TYPE_LABEL[inv.billingType] && (
+              <span className="vi-billing-type">{BILLING_TYPE_LABEL[inv.billingType]} invoice</span>
+            )}
             <span
               style={{
                 background: payStyle.bg,
@@ -327,7 +513,7 @@ export default function ViewInvoice() {
         </div>
 
         {/* Status Controls */}
-        {!isVoid && inv.status !== "Paid" && (
+        {!isVoid && inv.status !== "Paid" && inv.status !== "Closed" && (
           <div className="vi-card">
             <div className="vi-card-body">
               <div className="vi-status-controls">
@@ -501,7 +687,10 @@ export default function ViewInvoice() {
                               : Number(li.quantity).toFixed(2))
                           : ""}
                       </td>
-                      <td>{li.description}</td>
+                      <td>
+                        {li.description}
+                        {Number(li.taxable) === 0 && <span className="vi-li-nontax">non-taxable</span>}
+                      </td>
                       <td className="col-amount">{fmtMoney(li.amount)}</td>
                     </tr>
                   ))}
@@ -513,9 +702,15 @@ export default function ViewInvoice() {
                   <span className="vi-totals-label">Subtotal</span>
                   <span className="vi-totals-value">{fmtMoney(inv.subtotal)}</span>
                 </div>
-                {Number(inv.taxRate) > 0 && (
+                {inv.taxableSubtotal != null && Number(inv.taxableSubtotal) !== Number(inv.subtotal) && (
                   <div className="vi-totals-row">
-                    <span className="vi-totals-label">Tax ({inv.taxRate}%)</span>
+                    <span className="vi-totals-label">Taxable</span>
+                    <span className="vi-totals-value">{fmtMoney(inv.taxableSubtotal)}</span>
+                  </div>
+                )}
+                {(Number(inv.taxRate) > 0 || Number(inv.taxExempt) > 0) && (
+                  <div className="vi-totals-row">
+                    <span className="vi-totals-label">{taxLabel(inv)}</span>
                     <span className="vi-totals-value">{fmtMoney(inv.taxAmount)}</span>
                   </div>
                 )}
@@ -523,6 +718,30 @@ export default function ViewInvoice() {
                   <span className="vi-totals-label">Total</span>
                   <span className="vi-totals-value">{fmtMoney(inv.total)}</span>
                 </div>
+                {Number(inv.retainageAmount) > 0 && (
+                  <>
+                    <div className="vi-totals-row">
+                      <span className="vi-totals-label">Less retainage ({Number(inv.retainagePct)}%)</span>
+                      <span className="vi-totals-value">−{fmtMoney(inv.retainageAmount)}</span>
+                    </div>
+                    <div className="vi-totals-row">
+                      <span className="vi-totals-label">Amount Due</span>
+                      <span className="vi-totals-value">{fmtMoney(invoiceTotal - Number(inv.retainageAmount))}</span>
+                    </div>
+                  </>
+                )}
+                {creditAmount > 0 && (
+                  <div className="vi-totals-row">
+                    <span className="vi-totals-label">Credits</span>
+                    <span className="vi-totals-value">−{fmtMoney(creditAmount)}</span>
+                  </div>
+                )}
+                {writeOffAmount > 0 && (
+                  <div className="vi-totals-row">
+                    <span className="vi-totals-label">Written off</span>
+                    <span className="vi-totals-value">−{fmtMoney(writeOffAmount)}</span>
+                  </div>
+                )}
                 {Number(inv.amountPaid) > 0 && (
                   <div className="vi-totals-row">
                     <span className="vi-totals-label">Amount Paid</span>
@@ -536,22 +755,235 @@ export default function ViewInvoice() {
                   </span>
                 </div>
               </div>
+
+              {can("invoices.edit") && inv.margin?.costedLines > 0 && (
+                <div className={`vi-margin${inv.margin.belowFloor ? " low" : ""}`} title="Internal only — not printed">
+                  Internal margin: {inv.margin.marginPct}% ({fmtMoney(inv.margin.grossProfit)} over {fmtMoney(inv.margin.cost)} cost)
+                  {inv.margin.uncostedLines > 0 && ` · ${inv.margin.uncostedLines} line(s) without a cost`}
+                  {inv.margin.belowFloor && ` — below the ${inv.margin.floorPct}% floor`}
+                </div>
+              )}
+
+              {can("invoices.edit") && inv.status === "Draft" && (
+                <div className="vi-tax-jurisdiction">
+                  <span>Sales tax</span>
+                  <select
+                    value={inv.taxJurisdictionId ? String(inv.taxJurisdictionId) : ""}
+                    onChange={(e) => handleTaxJurisdiction(e.target.value)}
+                  >
+                    <option value="">
+                      {Number(inv.taxRate) > 0 ? `Manual rate (${Number(inv.taxRate)}%)` : "No jurisdiction"}
+                    </option>
+                    {taxJurisdictions.map((j) => (
+                      <option key={j.id} value={j.id}>{j.name} — {Number(j.rate)}%</option>
+                    ))}
+                    <option value="auto">Auto-detect from job site</option>
+                  </select>
+                </div>
+              )}
             </>
           )}
         </div>
 
+        {/* Job billing: schedule of values, deposits, retainage */}
+        {billing && (
+          <div className="vi-card">
+            <div className="vi-card-header">
+              <span>
+                Job Billing
+                {billing.workOrder?.workOrderNumber && (
+                  <Link to={`/view-work-order/${billing.workOrder.id}`} className="vi-sov-wo">
+                    WO #{billing.workOrder.workOrderNumber}
+                  </Link>
+                )}
+              </span>
+              {can("invoices.edit") && (
+                <div className="vi-sov-actions">
+                  {!billing.hasFinal && !billing.deposits.length && Number(billing.contract?.contractTotal) > 0 && (
+                    <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => createBillingInvoice("deposit")}>
+                      Deposit Invoice
+                    </button>
+                  )}
+                  {!billing.hasFinal && (billing.scheduleOfValues.length > 0 || billing.contractTotal > 0) && !progressPcts && (
+                    <>
+                      <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={openProgressForm}>
+                        New Progress Invoice
+                      </button>
+                      <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => createBillingInvoice("final")}>
+                        Final Invoice
+                      </button>
+                    </>
+                  )}
+                  {billing.retainage.outstanding > 0 && (
+                    <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => createBillingInvoice("retainage")}>
+                      Bill Retainage
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {billing.scheduleOfValues.length > 0 ? (
+              <table className="vi-li-table vi-sov-table">
+                <thead>
+                  <tr>
+                    <th>Description</th>
+                    <th className="col-amount">Scheduled</th>
+                    <th className="col-amount">Previous</th>
+                    <th className="col-amount">This Invoice</th>
+                    <th className="col-amount">To Date</th>
+                    <th className="col-amount">%</th>
+                    <th className="col-amount">Balance</th>
+                    {progressPcts && <th className="col-amount">% Complete</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {billing.scheduleOfValues.map((it) => (
+                    <tr key={it.id}>
+                      <td>{it.description}</td>
+                      <td className="col-amount">{fmtMoney(it.scheduledValue)}</td>
+                      <td className="col-amount">{fmtMoney(it.previous)}</td>
+                      <td className="col-amount">{it.thisPeriod ? fmtMoney(it.thisPeriod) : "—"}</td>
+                      <td className="col-amount">{fmtMoney(it.billedToDate)}</td>
+                      <td className="col-amount">{it.pct}%</td>
+                      <td className="col-amount">{fmtMoney(it.remaining)}</td>
+                      {progressPcts && (
+                        <td className="col-amount">
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            className="vi-sov-pct"
+                            placeholder={String(it.pct)}
+                            value={progressPcts[it.id] ?? ""}
+                            onChange={(e) => setProgressPcts((p) => ({ ...p, [it.id]: e.target.value }))}
+                          />
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                  <tr className="vi-sov-total">
+                    <td>Total</td>
+                    <td className="col-amount">{fmtMoney(billing.contractTotal)}</td>
+                    <td className="col-amount">{fmtMoney(billing.scheduleOfValues.reduce((s, it) => s + it.previous, 0))}</td>
+                    <td className="col-amount">{fmtMoney(billing.scheduleOfValues.reduce((s, it) => s + it.thisPeriod, 0))}</td>
+                    <td className="col-amount">{fmtMoney(billing.scopeBilled)}</td>
+                    <td className="col-amount">
+                      {billing.contractTotal > 0 ? Math.round((billing.scopeBilled / billing.contractTotal) * 1000) / 10 : 0}%
+                    </td>
+                    <td className="col-amount">{fmtMoney(billing.remaining)}</td>
+                    {progressPcts && <td />}
+                  </tr>
+                </tbody>
+              </table>
+            ) : (
+              <div className="vi-card-body vi-sov-empty">
+                {billing.contractTotal > 0
+                  ? `No schedule of values — progress is billed against the contract total of ${fmtMoney(billing.contractTotal)} (${fmtMoney(billing.scopeBilled)} billed so far).`
+                  : "No schedule of values or contract total for this job yet."}
+                {can("invoices.edit") && (inv.estimateId || !inv.billingType || inv.billingType === "standard") && (
+                  <div className="vi-sov-setup">
+                    Set up a schedule of values from
+                    {inv.estimateId && (
+                      <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => handleSetupSov("estimate")}>
+                        The Estimate
+                      </button>
+                    )}
+                    {!inv.billingType || inv.billingType === "standard" ? (
+                      <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => handleSetupSov("invoice")}>
+                        This Invoice's Lines
+                      </button>
+                    ) : null}
+                  </div>
+                )}
+                {progressPcts && (
+                  <div className="vi-sov-setup">
+                    Job complete to date (%)
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="vi-sov-pct"
+                      value={progressPcts.contract ?? ""}
+                      onChange={(e) => setProgressPcts((p) => ({ ...p, contract: e.target.value }))}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {progressPcts && (
+              <div className="vi-card-body vi-sov-form">
+                <span>Enter cumulative % complete; deposits are credited in proportion.</span>
+                <button className="vi-btn vi-btn-secondary" disabled={billingBusy} onClick={() => setProgressPcts(null)}>
+                  Cancel
+                </button>
+                <button className="vi-btn vi-btn-primary" disabled={billingBusy} onClick={() => createBillingInvoice("progress")}>
+                  {billingBusy ? "Creating..." : "Create Progress Invoice"}
+                </button>
+              </div>
+            )}
+
+            <div className="vi-card-body">
+              <div className="vi-grid vi-grid-3">
+                <div className="vi-field">
+                  <div className="vi-label">Deposits</div>
+                  <div className="vi-value">
+                    {billing.deposits.length === 0
+                      ? "None"
+                      : billing.deposits.map((d) => (
+                          <div key={d.invoiceId}>
+                            <Link to={`/invoices/${d.invoiceId}`}>#{d.invoiceNumber}</Link> {fmtMoney(d.billed)}
+                            <span className="vi-sov-muted"> · {fmtMoney(d.applied)} applied</span>
+                          </div>
+                        ))}
+                  </div>
+                </div>
+                <div className="vi-field">
+                  <div className="vi-label">Unapplied Deposit</div>
+                  <div className="vi-value">{fmtMoney(billing.depositsUnapplied)}</div>
+                </div>
+                <div className="vi-field">
+                  <div className="vi-label">
+                    Retainage{billing.retainage.pct ? ` (${billing.retainage.pct}%)` : ""}
+                    {can("invoices.edit") && (
+                      <button className="vi-sov-link" disabled={billingBusy} onClick={() => handleSetupSov(null)}>
+                        change
+                      </button>
+                    )}
+                  </div>
+                  <div className="vi-value">
+                    {fmtMoney(billing.retainage.outstanding)} held
+                    {billing.retainage.released > 0 && (
+                      <span className="vi-sov-muted"> · {fmtMoney(billing.retainage.released)} billed</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Payments */}
         <div className="vi-card">
           <div className="vi-card-header">
             <span>Payments</span>
             {!isVoid && balanceDue > 0 && (
-              <button
-                className="vi-btn vi-btn-success"
-                style={{ padding: "6px 14px", fontSize: 13 }}
-                onClick={openPaymentModal}
-              >
-                + Record Payment
-              </button>
+              <div className="vi-pay-actions">
+                {!isDraft && can("invoices.edit") && (
+                  <button className="vi-btn vi-btn-secondary vi-btn-sm" onClick={handleApplyCredit}>
+                    Apply Credit
+                  </button>
+                )}
+                {!isDraft && can("invoices.adjust") && (
+                  <button className="vi-btn vi-btn-secondary vi-btn-sm" onClick={handleWriteOff}>
+                    Write Off
+                  </button>
+                )}
+                <button className="vi-btn vi-btn-success vi-btn-sm" onClick={openPaymentModal}>
+                  + Record Payment
+                </button>
+              </div>
             )}
           </div>
           <div className="vi-card-body" style={{ paddingBottom: 0 }}>
@@ -600,15 +1032,26 @@ export default function ViewInvoice() {
                   const methodKey = String(p.paymentMethod || "").toLowerCase();
                   const methodLabel = PAYMENT_METHOD_LABEL[methodKey] || p.paymentMethod || "—";
                   const isCheck = methodKey === "check";
+                  const isRefund = Number(p.amount) < 0;
+                  const refundable = Math.round((Number(p.amount) - (refundedByPayment[p.id] || 0)) * 100) / 100;
                   return (
-                    <tr key={p.id}>
+                    <tr key={p.id} className={isRefund ? "vi-refund-row" : undefined}>
                       <td>{fmtDate(p.paymentDate)}</td>
-                      <td>{methodLabel}</td>
+                      <td>{isRefund ? `Refund · ${methodLabel}` : methodLabel}</td>
                       <td>{isCheck ? (p.checkNumber || "—") : "—"}</td>
-                      <td style={{ fontWeight: 700, color: "#34c759" }}>{fmtMoney(p.amount)}</td>
+                      <td style={{ fontWeight: 700, color: isRefund ? "#ef4444" : "#34c759" }}>{fmtMoney(p.amount)}</td>
                       <td>{p.referenceNote || p.notes || "—"}</td>
                       <td>{p.recordedBy || "—"}</td>
-                      <td>
+                      <td className="vi-pay-row-actions">
+                        {!isRefund && refundable > 0 && can("invoices.adjust") && (
+                          <button
+                            className="vi-sov-link"
+                            onClick={() => handleRefund(p, refundable)}
+                            title={p.stripePaymentIntentId ? "Refund through Stripe" : "Record a refund"}
+                          >
+                            Refund
+                          </button>
+                        )}
                         <button
                           className="vi-btn-icon danger"
                           onClick={() => handleDeletePayment(p.id)}
@@ -623,6 +1066,42 @@ export default function ViewInvoice() {
               </tbody>
             </table>
           )}
+          {adjustments.length > 0 && (
+            <table className="vi-payments-table vi-adjustments-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Credit / Write-off</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>By</th>
+                  <th style={{ width: 60 }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {adjustments.map((a) => (
+                  <tr key={a.id}>
+                    <td>{fmtDate(a.adjustmentDate)}</td>
+                    <td>{a.type === "writeoff" ? "Write-off" : a.type === "waiver" ? "Late fee waived" : a.memoNumber ? `Credit ${a.memoNumber}` : "Credit"}</td>
+                    <td style={{ fontWeight: 700 }}>{fmtMoney(a.amount)}</td>
+                    <td>{a.reason || "—"}</td>
+                    <td>{a.createdBy || "—"}</td>
+                    <td>
+                      {can("invoices.adjust") && !a.paymentId && a.type !== "waiver" && (
+                        <button
+                          className="vi-btn-icon danger"
+                          onClick={() => handleRemoveAdjustment(a)}
+                          title="Remove"
+                        >
+                          &times;
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
         </div>
 
         {/* Notes & Terms */}
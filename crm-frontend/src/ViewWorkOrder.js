@@ -3,7 +3,8 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useParams, useNavigate, useLocation, Link } from "react-router-dom";
 import api from "./api";
 import moment from "moment";
-import API_BASE_URL from "./config";
+import { fileUrl, rememberFileUrls, signFileKeys } from "./files";
+import { can, getSession } from "./auth";
 import "./ViewWorkOrder.css";
 
 // Downscale/compress a camera photo before upload (canvas — no extra dependency).
@@ -36,6 +37,12 @@ async function compressImage(file, maxDim = 1600, quality = 0.8) {
 // Note timestamps are stored UTC-naive ("YYYY-MM-DD HH:mm:ss", the server/DB run in
 // UTC and appendWorkOrderNote writes new Date().toISOString()). Display them as
 // 12-hour America/Chicago, e.g. "Jul 8, 2026, 10:59 AM".  (15:59 UTC == 10:59 AM CDT.)
+// "$1,234.50" / "-$80.00"
+function fmtJobMoney(v) {
+  const n = Number(v) || 0;
+  return (n < 0 ? "-$" : "$") + Math.abs(n).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
 function fmtNoteTime(raw) {
   if (!raw) return "—";
   const s = String(raw).trim();
@@ -89,8 +96,9 @@ const isPdfFile = (file) =>
 
 /* ---------- Small helpers ---------- */
 const isPdfKey = (key) => /\.pdf(\?|$)/i.test(key);
-const urlFor = (relPath) => `${API_BASE_URL}/files?key=${encodeURIComponent(relPath)}`;
-const pdfThumbUrl = (relPath) => `${urlFor(relPath)}#page=1&view=FitH`;
+// Signed /files links (see files.js) — "" until the key has been signed.
+const urlFor = (relPath) => fileUrl(relPath);
+const pdfThumbUrl = (relPath) => (urlFor(relPath) ? `${urlFor(relPath)}#page=1&view=FitH` : "");
 
 /* ---------- Print helpers ---------- */
 const printImage = (url, title = 'Print') => {
@@ -597,6 +605,20 @@ export default function ViewWorkOrder() {
 
   const [statusSaving, setStatusSaving] = useState(false);
   const [localStatus, setLocalStatus] = useState("");
+  // Statuses the workflow lets this WO move to (null = not loaded → allow all)
+  const [nextStatuses, setNextStatuses] = useState(null);
+  // Recorded status transitions, oldest first (timeline card)
+  const [statusHistory, setStatusHistory] = useState([]);
+  // Vendor emails the ingest worker attached to this WO, grouped into threads
+  const [correspondence, setCorrespondence] = useState([]);
+  const [openThreads, setOpenThreads] = useState(new Set());
+  // Revenue vs. costs (reports.view only)
+  const [jobCost, setJobCost] = useState(null);
+  const [showJobCostDetail, setShowJobCostDetail] = useState(false);
+  // Tech time on this WO: { entries, totalMinutes, assigned }
+  const [timeData, setTimeData] = useState({ entries: [], totalMinutes: 0, assigned: false });
+  const [timeForm, setTimeForm] = useState(null); // null = closed; else manual-entry form
+  const [timeBusy, setTimeBusy] = useState(false);
 
   // PO supplier tracked locally for dropdown + inference
   const [poSupplier, setPoSupplier] = useState("");
@@ -712,10 +734,23 @@ export default function ViewWorkOrder() {
       });
 
       const data = response.data || null;
+      rememberFileUrls(data?.fileUrls);
       setWorkOrder(data);
 
       setLocalStatus(data?.status || "");
 
+      // Allowed next statuses come from the configurable workflow. Non-fatal:
+      // if it fails the picker simply shows every status and the server decides.
+      api
+        .get(`/work-orders/${id}/next-statuses`, { headers: authHeaders() })
+        .then((r) => setNextStatuses(Array.isArray(r.data?.allowed) ? r.data.allowed : null))
+        .catch(() => setNextStatuses(null));
+
+      api
+        .get(`/work-orders/${id}/status-history`, { headers: authHeaders() })
+        .then((r) => setStatusHistory(Array.isArray(r.data) ? r.data : []))
+        .catch(() => setStatusHistory([]));
+
       // IMPORTANT: assignedTo is numeric ID in your backend
       const assignedToVal = data?.assignedTo ?? "";
       setLocalAssignedTo(assignedToVal === null || assignedToVal === undefined ? "" : String(assignedToVal));
@@ -793,7 +828,9 @@ export default function ViewWorkOrder() {
       const res = await api.get(`/work-orders/${id}/estimate-pdfs`, {
         headers: authHeaders(),
       });
-      setEstimatePdfs(Array.isArray(res.data) ? res.data : []);
+      const rows = Array.isArray(res.data) ? res.data : [];
+      rememberFileUrls(Object.fromEntries(rows.map((p) => [p.filename, p.url])));
+      setEstimatePdfs(rows);
     } catch (err) {
       console.error("Error fetching estimate PDFs:", err);
       setEstimatePdfs([]);
@@ -813,6 +850,100 @@ export default function ViewWorkOrder() {
     }
   };
 
+  // Also above the early return — called from the mount effect (TDZ-safe).
+  const fetchCorrespondence = async () => {
+    try {
+      const res = await api.get(`/work-orders/${id}/correspondence`, { headers: authHeaders() });
+      const threads = Array.isArray(res.data) ? res.data : [];
+      rememberFileUrls(Object.fromEntries(
+        threads.flatMap((t) => t.messages.flatMap((m) => m.attachments.map((a) => [a.key, a.url])))
+      ));
+      setCorrespondence(threads);
+      // Threads with unread mail start expanded
+      setOpenThreads(new Set(threads.filter((t) => t.unread > 0).map((t) => t.threadKey)));
+    } catch (err) {
+      console.error("Error fetching correspondence:", err);
+      setCorrespondence([]);
+    }
+  };
+
+  const fetchJobCost = async () => {
+    if (!can("reports.view")) return;
+    try {
+      const res = await api.get(`/work-orders/${id}/job-cost`, { headers: authHeaders() });
+      setJobCost(res.data || null);
+    } catch (err) {
+      console.error("Error fetching job cost:", err);
+      setJobCost(null);
+    }
+  };
+
+  const fetchTimeEntries = async () => {
+    try {
+      const res = await api.get(`/work-orders/${id}/time-entries`, { headers: authHeaders() });
+      setTimeData(res.data || { entries: [], totalMinutes: 0, assigned: false });
+    } catch (err) {
+      console.error("Error fetching time entries:", err);
+    }
+  };
+
+  // Timer start/stop, manual add and delete all refresh the list (and job cost)
+  const runTimeAction = async (fn, failMsg) => {
+    setTimeBusy(true);
+    try {
+      await fn();
+      await Promise.all([fetchTimeEntries(), fetchJobCost()]);
+      return true;
+    } catch (err) {
+      alert(err?.response?.data?.error || failMsg);
+      return false;
+    } finally {
+      setTimeBusy(false);
+    }
+  };
+
+  const startTimer = () =>
+    runTimeAction(() => api.post(`/work-orders/${id}/time-entries/start`, {}, { headers: authHeaders() }), "Failed to start timer.");
+
+  const stopTimer = (entryId) =>
+    runTimeAction(() => api.post(`/time-entries/${entryId}/stop`, {}, { headers: authHeaders() }), "Failed to stop timer.");
+
+  const deleteTimeEntry = (entryId) => {
+    if (!window.confirm("Delete this time entry?")) return;
+    runTimeAction(() => api.delete(`/time-entries/${entryId}`, { headers: authHeaders() }), "Failed to delete time entry.");
+  };
+
+  const saveTimeForm = async () => {
+    const ok = await runTimeAction(
+      () => api.post(`/work-orders/${id}/time-entries`, {
+        userId: timeForm.userId || undefined,
+        startedAt: timeForm.startedAt,
+        endedAt: timeForm.endedAt,
+        notes: timeForm.notes,
+      }, { headers: authHeaders() }),
+      "Failed to add time entry."
+    );
+    if (ok) setTimeForm(null);
+  };
+
+  const acknowledgeCorrespondence = async () => {
+    try {
+      await api.post(`/work-orders/${id}/correspondence/acknowledge`, {}, { headers: authHeaders() });
+      await Promise.all([fetchCorrespondence(), fetchWorkOrder()]);
+    } catch (err) {
+      console.error("Error acknowledging correspondence:", err);
+      alert(err?.response?.data?.error || "Failed to mark correspondence as read.");
+    }
+  };
+
+  const toggleThread = (key) =>
+    setOpenThreads((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
   // Also above the early return — called from the mount effect (TDZ-safe).
   const fetchInvoiceSends = async () => {
     try {
@@ -1080,11 +1211,41 @@ export default function ViewWorkOrder() {
     fetchEstimatePdfs();
     fetchEstimateSends();
     fetchInvoiceSends();
+    fetchCorrespondence();
+    fetchJobCost();
+    fetchTimeEntries();
     fetchResidentialContract();
     fetchTechUsers();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id]);
 
+  // Every stored key this page can link to. Anything the fetches above didn't
+  // come back signed gets signed here; the interval renews links before they
+  // expire on a page left open.
+  const [, setFileUrlsVersion] = useState(0);
+  const fileKeys = useMemo(() => [
+    workOrder?.pdfPath,
+    workOrder?.estimatePdfPath,
+    workOrder?.poPdfPath,
+    ...String(workOrder?.photoPath || "").split(",").map((k) => k.trim()),
+    residentialContract?.generatedPdfPath,
+    residentialContract?.signedPdfPath,
+    ...estimatePdfs.map((p) => p.filename),
+    ...linkedInvoices.map((inv) => inv.pdfPath),
+    ...poList.map((po) => po.poPdfPath),
+    ...correspondence.flatMap((t) => t.messages.flatMap((m) => m.attachments.map((a) => a.key))),
+  ].filter(Boolean), [workOrder, residentialContract, estimatePdfs, linkedInvoices, poList, correspondence]);
+
+  useEffect(() => {
+    const sign = () =>
+      signFileKeys(fileKeys)
+        .then((changed) => changed && setFileUrlsVersion((v) => v + 1))
+        .catch((err) => console.error("Error signing file links:", err));
+    sign();
+    const timer = setInterval(sign, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [fileKeys]);
+
   const { entries: parsedNotes } = useMemo(() => {
     // Prefer the row-based notes (from work_order_notes) which carry a real id
     // for per-note delete. Fall back to parsing the legacy blob if absent.
@@ -1155,7 +1316,9 @@ export default function ViewWorkOrder() {
 
       // ✅ If you set a scheduled date, force status to Scheduled (unless Completed)
       const current = (workOrder?.status || localStatus || "").trim();
-      const shouldForceScheduled = current !== "Completed";
+      const shouldForceScheduled =
+        current !== "Completed" &&
+        (current === "Scheduled" || !nextStatuses || nextStatuses.includes("Scheduled"));
       if (shouldForceScheduled) form.append("status", "Scheduled");
 
       await api.put(`/work-orders/${id}/edit`, form, {
@@ -2157,6 +2320,15 @@ export default function ViewWorkOrder() {
   };
 
   /* ---------- Status (view-mode dropdown) ---------- */
+  // The workflow may define custom statuses beyond the built-in list.
+  const statusPickerOptions = [
+    ...STATUS_OPTIONS,
+    ...(nextStatuses || []).filter((s) => !STATUS_OPTIONS.includes(s)),
+  ];
+
+  const isStatusAllowed = (opt, selected) =>
+    !nextStatuses || opt === workOrder?.status || opt === selected || nextStatuses.includes(opt);
+
   const handleStatusChange = async (e) => {
     const newStatus = e.target.value;
     setLocalStatus(newStatus);
@@ -2164,7 +2336,10 @@ export default function ViewWorkOrder() {
     try {
       try {
         await api.put(`/work-orders/${id}/status`, { status: newStatus }, { headers: authHeaders() });
-      } catch {
+      } catch (statusErr) {
+        // A workflow rejection (400/409) is the answer — don't retry through /edit.
+        const code = statusErr?.response?.status;
+        if (code === 400 || code === 409) throw statusErr;
         const form = new FormData();
         form.append("status", newStatus);
         await api.put(`/work-orders/${id}/edit`, form, {
@@ -2204,6 +2379,7 @@ export default function ViewWorkOrder() {
       }
     } catch (error) {
       console.error("⚠️ Error updating status:", error);
+      setLocalStatus(workOrder?.status || "");
       alert(error?.response?.data?.error || "Failed to update status.");
     } finally {
       setStatusSaving(false);
@@ -3095,6 +3271,7 @@ export default function ViewWorkOrder() {
           <div className="view-header-left">
             <h2 className="view-title">Work Order Details</h2>
             <div className="view-subtitle">
+              {workOrder.jobNumber ? <span className="pill">Job: {workOrder.jobNumber}</span> : null}
               <span className="pill">WO: {cleanedWo}</span>
               {allPoDisplay ? <span className="pill">PO: {allPoDisplay}</span> : null}
               <span className="pill subtle">Created: {createdDisplay}</span>
@@ -3243,8 +3420,8 @@ export default function ViewWorkOrder() {
                         <option value="" disabled>
                           Select status…
                         </option>
-                        {STATUS_OPTIONS.map((opt) => (
-                          <option key={opt} value={opt}>
+                        {statusPickerOptions.map((opt) => (
+                          <option key={opt} value={opt} disabled={!isStatusAllowed(opt, edit.status)}>
                             {opt}
                           </option>
                         ))}
@@ -3260,8 +3437,8 @@ export default function ViewWorkOrder() {
                           <option value="" disabled>
                             Select status…
                           </option>
-                          {STATUS_OPTIONS.map((opt) => (
-                            <option key={opt} value={opt}>
+                          {statusPickerOptions.map((opt) => (
+                            <option key={opt} value={opt} disabled={!isStatusAllowed(opt, localStatus)}>
                               {opt}
                             </option>
                           ))}
@@ -3567,6 +3744,282 @@ export default function ViewWorkOrder() {
           </div>
         </div>
 
+        {/* ======================= Status History ======================= */}
+        <div className="section-card">
+          <h3 className="section-header">Status History</h3>
+          {statusHistory.length ? (
+            <ul className="notes-list notes-list--compact">
+              {[...statusHistory].reverse().map((h) => (
+                <li key={h.id} className="note-item">
+                  <div className="note-header">
+                    <small className="note-timestamp">
+                      {fmtNoteTime(h.changedAt)}
+                      {h.actor ? ` — ${h.actor}` : ""}
+                    </small>
+                    {h.source ? <small className="tiny">{h.source}</small> : null}
+                  </div>
+                  <p className="note-text">
+                    {h.fromStatus ? `${h.fromStatus} → ` : "Created as "}
+                    <strong>{h.toStatus}</strong>
+                  </p>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="empty-text">No status changes recorded yet.</p>
+          )}
+        </div>
+
+        {/* ======================= Vendor Correspondence ======================= */}
+        {correspondence.length > 0 && (
+          <div className="section-card">
+            <h3 className="section-header" style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+              <span>
+                Vendor Correspondence
+                {workOrder.vendorCorrespondenceAt ? (
+                  <span className="tiny" style={{ marginLeft: 8, color: "var(--accent-orange)" }}>New</span>
+                ) : null}
+              </span>
+              {workOrder.vendorCorrespondenceAt ? (
+                <button type="button" className="btn btn-light" onClick={acknowledgeCorrespondence}>
+                  Mark as read
+                </button>
+              ) : null}
+            </h3>
+            <ul className="notes-list">
+              {correspondence.map((t) => {
+                const open = openThreads.has(t.threadKey);
+                return (
+                  <li key={t.threadKey} className="note-item">
+                    <div className="note-header" role="button" tabIndex={0} style={{ cursor: "pointer" }} onClick={() => toggleThread(t.threadKey)}>
+                      <strong>{t.subject || "(no subject)"}</strong>
+                      <small className="note-timestamp">
+                        {t.messages.length} {t.messages.length === 1 ? "email" : "emails"}
+                        {t.unread ? ` · ${t.unread} unread` : ""} · {fmtNoteTime(t.lastAt)} {open ? "▾" : "▸"}
+                      </small>
+                    </div>
+                    {open &&
+                      t.messages.map((m) => (
+                        <div key={m.id} style={{ borderTop: "1px solid var(--border-color)", paddingTop: 10, marginTop: 10 }}>
+                          <div className="note-header">
+                            <small className="note-timestamp">
+                              {m.fromAddress || m.vendor || "Unknown sender"} — {fmtNoteTime(m.receivedAt || m.createdAt)}
+                            </small>
+                            {!m.acknowledgedAt ? <small className="tiny" style={{ color: "var(--accent-orange)" }}>unread</small> : null}
+                          </div>
+                          <p className="note-text" style={{ whiteSpace: "pre-wrap" }}>{m.bodyText || "(no text body)"}</p>
+                          {m.attachments.length > 0 && (
+                            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 6 }}>
+                              {m.attachments.map((a) => (
+                                <a
+                                  key={a.key}
+                                  href={fileUrl(a.key) || undefined}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="tiny"
+                                  title={a.kind === "po" ? "Also added under Purchase Order PDFs" : a.kind === "estimate" ? "Also added under Estimates" : ""}
+                                >
+                                  📎 {a.filename || "attachment"}
+                                  {a.kind === "po" ? " (PO)" : a.kind === "estimate" ? " (estimate)" : ""}
+                                </a>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* ======================= Time Tracking ======================= */}
+        {(() => {
+          const me = getSession();
+          const myId = Number(me?.id);
+          const canApprove = can("timesheets.approve");
+          const myRunning = timeData.entries.find((e) => e.running && Number(e.userId) === myId);
+          const fmtMinutes = (m) => `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+          const assignedTechs = techUsers.filter((t) => assignedTechIds.includes(Number(t.id)));
+          return (
+            <div className="section-card">
+              <h3 className="section-header" style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                <span>
+                  Time
+                  <span className="tiny" style={{ marginLeft: 8, color: "var(--text-secondary)" }}>{fmtMinutes(timeData.totalMinutes)} total</span>
+                </span>
+                <span style={{ display: "flex", gap: 8 }}>
+                  {myRunning ? (
+                    <button type="button" className="btn btn-light" disabled={timeBusy} onClick={() => stopTimer(myRunning.id)} style={{ color: "var(--accent-red)" }}>
+                      Clock out ({fmtMinutes(myRunning.minutes)})
+                    </button>
+                  ) : timeData.assigned ? (
+                    <button type="button" className="btn btn-light" disabled={timeBusy} onClick={startTimer}>
+                      Clock in
+                    </button>
+                  ) : null}
+                  {(timeData.assigned || canApprove) && !timeForm && (
+                    <button
+                      type="button"
+                      className="btn btn-light"
+                      onClick={() => setTimeForm({ userId: timeData.assigned ? "" : String(assignedTechs[0]?.id || ""), startedAt: "", endedAt: "", notes: "" })}
+                    >
+                      + Add time
+                    </button>
+                  )}
+                </span>
+              </h3>
+
+              {timeForm && (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "flex-end", padding: "0 16px 12px" }}>
+                  {canApprove && (
+                    <label className="tiny">
+                      Tech
+                      <select value={timeForm.userId} onChange={(e) => setTimeForm((f) => ({ ...f, userId: e.target.value }))} style={{ display: "block" }}>
+                        {timeData.assigned && <option value="">Me</option>}
+                        {assignedTechs.filter((t) => Number(t.id) !== myId).map((t) => (
+                          <option key={t.id} value={t.id}>{t.username}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <label className="tiny">
+                    Start
+                    <input type="datetime-local" value={timeForm.startedAt} onChange={(e) => setTimeForm((f) => ({ ...f, startedAt: e.target.value }))} style={{ display: "block" }} />
+                  </label>
+                  <label className="tiny">
+                    End
+                    <input type="datetime-local" value={timeForm.endedAt} onChange={(e) => setTimeForm((f) => ({ ...f, endedAt: e.target.value }))} style={{ display: "block" }} />
+                  </label>
+                  <label className="tiny" style={{ flex: 1, minWidth: 160 }}>
+                    Notes
+                    <input type="text" value={timeForm.notes} onChange={(e) => setTimeForm((f) => ({ ...f, notes: e.target.value }))} style={{ display: "block", width: "100%" }} />
+                  </label>
+                  <button type="button" className="btn btn-primary" disabled={timeBusy || !timeForm.startedAt || !timeForm.endedAt} onClick={saveTimeForm}>Save</button>
+                  <button type="button" className="btn btn-light" onClick={() => setTimeForm(null)}>Cancel</button>
+                </div>
+              )}
+
+              {timeData.entries.length ? (
+                <ul className="notes-list notes-list--compact" style={{ padding: "0 16px 16px" }}>
+                  {timeData.entries.map((e) => (
+                    <li key={e.id} className="note-item">
+                      <div className="note-header">
+                        <small className="note-timestamp">
+                          {e.username || `user #${e.userId}`} — {fmtNoteTime(e.startedAt)}
+                          {e.endedAt ? ` → ${fmtNoteTime(e.endedAt)}` : " → running"}
+                        </small>
+                        <span style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                          <strong>{fmtMinutes(e.minutes)}</strong>
+                          {e.approved ? (
+                            <small className="tiny" style={{ color: "var(--accent-green)" }}>approved</small>
+                          ) : (Number(e.userId) === myId || canApprove) ? (
+                            <button type="button" className="btn btn-light" style={{ padding: "2px 8px" }} disabled={timeBusy} onClick={() => deleteTimeEntry(e.id)} title="Delete entry">✕</button>
+                          ) : null}
+                        </span>
+                      </div>
+                      {e.notes ? <p className="note-text">{e.notes}</p> : null}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="empty-text">No time logged yet.</p>
+              )}
+            </div>
+          );
+        })()}
+
+        {/* ======================= Job Cost ======================= */}
+        {jobCost && (
+          <div className="section-card">
+            <h3 className="section-header" style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+              <span>Job Cost</span>
+              <button type="button" className="btn btn-light" onClick={() => setShowJobCostDetail((v) => !v)}>
+                {showJobCostDetail ? "Hide detail" : "Show detail"}
+              </button>
+            </h3>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <tbody>
+                {[
+                  ["Invoiced revenue", jobCost.revenue, `${jobCost.invoiceCount} ${jobCost.invoiceCount === 1 ? "invoice" : "invoices"}, net of retainage, credits and write-offs (drafts and voids excluded)`],
+                  ["Materials", -jobCost.costs.materials, `POs ${fmtJobMoney(jobCost.costs.poMaterials)} + entered ${fmtJobMoney(jobCost.costs.enteredMaterials)}`],
+                  [
+                    "Labor",
+                    -jobCost.costs.labor,
+                    `${jobCost.costs.laborHours} h approved ${fmtJobMoney(jobCost.costs.laborTime)} + ${(jobCost.laborCategories || []).join(" / ")} expenses ${fmtJobMoney(jobCost.costs.laborExpenses)}` +
+                      (jobCost.costs.unpricedTimeEntries ? ` · ${jobCost.costs.unpricedTimeEntries} entries have no labor rate` : "") +
+                      (jobCost.costs.pendingHours ? ` · ${jobCost.costs.pendingHours} h awaiting approval (not costed)` : ""),
+                  ],
+                  ["Other expenses", -jobCost.costs.expenses, "Expenses tagged to this work order"],
+                ].map(([label, amount, hint]) => (
+                  <tr key={label} style={{ borderBottom: "1px solid var(--border-color)" }}>
+                    <td style={{ padding: "10px 16px", fontSize: 14, color: "var(--text-primary)" }}>
+                      {label}
+                      <div className="tiny" style={{ color: "var(--text-secondary)" }}>{hint}</div>
+                    </td>
+                    <td style={{ padding: "10px 16px", fontSize: 14, textAlign: "right", fontVariantNumeric: "tabular-nums", color: "var(--text-primary)" }}>
+                      {fmtJobMoney(amount)}
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td style={{ padding: "12px 16px", fontSize: 15, fontWeight: 700, color: "var(--text-primary)" }}>Gross margin</td>
+                  <td
+                    style={{
+                      padding: "12px 16px", fontSize: 15, fontWeight: 700, textAlign: "right", fontVariantNumeric: "tabular-nums",
+                      color: jobCost.grossProfit < 0 ? "var(--accent-red)" : "var(--accent-green)",
+                    }}
+                  >
+                    {fmtJobMoney(jobCost.grossProfit)}
+                    {jobCost.revenue > 0 ? ` (${jobCost.grossMarginPct}%)` : ""}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+
+            {showJobCostDetail && (
+              <ul className="notes-list notes-list--compact" style={{ padding: "0 16px 16px" }}>
+                {jobCost.invoices.map((i) => (
+                  <li key={`inv-${i.id}`} className="note-item">
+                    <div className="note-header">
+                      <span>Invoice {i.invoiceNumber} · {i.status}{i.counted ? "" : " (not counted)"}</span>
+                      <strong>{fmtJobMoney(i.total)}</strong>
+                    </div>
+                  </li>
+                ))}
+                {jobCost.pos.map((po) => (
+                  <li key={`po-${po.id}`} className="note-item">
+                    <div className="note-header">
+                      <span>PO {po.poNumber || "(no number)"}{po.poSupplier ? ` · ${po.poSupplier}` : ""}</span>
+                      <strong>{po.amount != null ? fmtJobMoney(-po.amount) : "no amount"}</strong>
+                    </div>
+                  </li>
+                ))}
+                {jobCost.timeEntries.map((t) => (
+                  <li key={`time-${t.id}`} className="note-item">
+                    <div className="note-header">
+                      <span>Time · {t.username || `user #${t.userId}`} · {t.hours} h · {fmtNoteTime(t.startedAt)}{t.approvedAt ? "" : " (not approved)"}</span>
+                      <strong>{t.cost != null ? fmtJobMoney(-t.cost) : "no rate"}</strong>
+                    </div>
+                  </li>
+                ))}
+                {jobCost.expenses.map((e) => (
+                  <li key={`exp-${e.id}`} className="note-item">
+                    <div className="note-header">
+                      <span>{e.category} ({e.bucket}){e.vendor ? ` · ${e.vendor}` : ""}{e.description ? ` · ${e.description}` : ""}</span>
+                      <strong>{fmtJobMoney(-e.amount)}</strong>
+                    </div>
+                  </li>
+                ))}
+                {!jobCost.invoices.length && !jobCost.pos.length && !jobCost.expenses.length && !jobCost.timeEntries.length && (
+                  <li className="empty-text">No invoices, POs, time or expenses on this work order yet.</li>
+                )}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* (rest of your attachments/notes rendering stays exactly the same) */}
         {/* Sign-Off / Residential Contract (Sign-Off) section moved to the BOTTOM (below Draw Notes). */}
 
@@ -1052,6 +1052,14 @@ export default function WorkOrders() {
                             <span className="mono">{cleanedPO}</span>
                           </div>
                         ) : null}
+                        {order.vendorCorrespondenceAt ? (
+                          <div
+                            className="wo-idline"
+                            title={`Vendor email received ${moment.utc(order.vendorCorrespondenceAt).local().format("MMM D, YYYY h:mm A")} — open the work order to read it`}
+                          >
+                            <span className="badge badge-alert">New vendor correspondence</span>
+                          </div>
+                        ) : null}
                         {parts ? (
                           <div
                             className="wo-parts"
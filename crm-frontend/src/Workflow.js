@@ -0,0 +1,413 @@
+// File: src/Workflow.js
+// Work-order status workflow admin. Edits the persisted workflow the backend
+// enforces on PUT /work-orders/:id/status and /edit: which statuses exist (and
+// their order / active flag), which from → to moves are allowed, and the hooks
+// that fire on a move or on entering a status. Reads GET /workflow and saves
+// the whole definition at once with PUT /workflow (admin + dispatcher).
+//
+// Styling follows Collections.js: design-system tokens + inline styles.
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import api from "./api";
+import "./Invoices.css";
+
+const HOOK_LABELS = {
+  append_note: "Append note",
+  stamp_timestamp: "Stamp timestamp",
+  require_po: "Require PO",
+};
+
+const SECONDARY_BTN = {
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const ROW_BTN = {
+  fontSize: 12,
+  height: 28,
+  padding: "0 10px",
+  borderRadius: "var(--radius-sm)",
+  cursor: "pointer",
+  display: "inline-flex",
+  alignItems: "center",
+  justifyContent: "center",
+  whiteSpace: "nowrap",
+  boxSizing: "border-box",
+  lineHeight: 1,
+};
+const FIELD = {
+  boxSizing: "border-box",
+  padding: "5px 8px",
+  borderRadius: 8,
+  fontSize: 12,
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+};
+const SECTION_TITLE = { margin: "0 0 4px", fontSize: 16, fontWeight: 700, color: "var(--text-primary)" };
+const HINT = { fontSize: 12, color: "var(--text-tertiary)", margin: "0 0 12px" };
+
+const tKey = (from, to) => `${from}\u0000${to}`;
+
+function hookSummary(h) {
+  if (h.type === "append_note") return `Note: “${h.text}”`;
+  if (h.type === "stamp_timestamp") return `Stamp ${h.column}${h.onlyIfEmpty ? " (once)" : ""}`;
+  if (h.type === "require_po") return "Require PO";
+  return h.type;
+}
+
+/* ---------- Hook list editor (shared by status + transition hooks) ---------- */
+function HookEditor({ hooks, onChange, hookTypes, stampColumns }) {
+  const update = (i, patch) => onChange(hooks.map((h, idx) => (idx === i ? { ...h, ...patch } : h)));
+  const remove = (i) => onChange(hooks.filter((_, idx) => idx !== i));
+  const add = (type) => {
+    if (type === "append_note") onChange([...hooks, { type, text: "" }]);
+    else if (type === "stamp_timestamp") onChange([...hooks, { type, column: stampColumns[0], onlyIfEmpty: true }]);
+    else onChange([...hooks, { type }]);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      {hooks.length === 0 && <span style={{ fontSize: 12, color: "var(--text-tertiary)" }}>No hooks</span>}
+      {hooks.map((h, i) => (
+        <div key={i} style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ fontSize: 12, fontWeight: 600, minWidth: 110 }}>{HOOK_LABELS[h.type] || h.type}</span>
+          {h.type === "append_note" && (
+            <input
+              style={{ ...FIELD, width: 260 }}
+              value={h.text}
+              placeholder="Text — {date} {from} {to} {who}"
+              onChange={(e) => update(i, { text: e.target.value })}
+            />
+          )}
+          {h.type === "stamp_timestamp" && (
+            <>
+              <select style={FIELD} value={h.column} onChange={(e) => update(i, { column: e.target.value })}>
+                {stampColumns.map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+              <label style={{ fontSize: 12, display: "inline-flex", gap: 4, alignItems: "center" }}>
+                <input type="checkbox" checked={!!h.onlyIfEmpty} onChange={(e) => update(i, { onlyIfEmpty: e.target.checked })} />
+                only if empty
+              </label>
+            </>
+          )}
+          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => remove(i)}>✕</button>
+        </div>
+      ))}
+      <div>
+        <select style={FIELD} value="" onChange={(e) => e.target.value && add(e.target.value)}>
+          <option value="">+ Add hook…</option>
+          {hookTypes.map((t) => (
+            <option key={t} value={t}>{HOOK_LABELS[t] || t}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+export default function Workflow() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [statuses, setStatuses] = useState([]);
+  const [transitions, setTransitions] = useState(new Map());
+  const [hookTypes, setHookTypes] = useState([]);
+  const [stampColumns, setStampColumns] = useState([]);
+  const [newStatus, setNewStatus] = useState("");
+  const [editingStatus, setEditingStatus] = useState(null); // status name
+  const [editingTransition, setEditingTransition] = useState(null); // { from, to }
+
+  const hydrate = (data) => {
+    setStatuses(Array.isArray(data?.statuses) ? data.statuses : []);
+    const m = new Map();
+    for (const t of data?.transitions || []) m.set(tKey(t.fromStatus, t.toStatus), t);
+    setTransitions(m);
+    setHookTypes(data?.hookTypes || []);
+    setStampColumns(data?.stampColumns || []);
+    setDirty(false);
+  };
+
+  const fetchWorkflow = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get("/workflow");
+      hydrate(res.data);
+    } catch (err) {
+      console.error("Error fetching workflow:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, [fetchWorkflow]);
+
+  const touch = () => setDirty(true);
+
+  const moveStatus = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= statuses.length) return;
+    const next = [...statuses];
+    [next[i], next[j]] = [next[j], next[i]];
+    setStatuses(next);
+    touch();
+  };
+
+  const patchStatus = (name, patch) => {
+    setStatuses((prev) => prev.map((s) => (s.name === name ? { ...s, ...patch } : s)));
+    touch();
+  };
+
+  const addStatus = () => {
+    const name = newStatus.replace(/\s+/g, " ").trim();
+    if (!name) return;
+    if (statuses.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+      alert("That status already exists.");
+      return;
+    }
+    setStatuses((prev) => [...prev, { name, isActive: true, builtIn: false, enterHooks: [] }]);
+    setNewStatus("");
+    touch();
+  };
+
+  const removeStatus = (name) => {
+    if (!window.confirm(`Remove status "${name}" and all its transitions?`)) return;
+    setStatuses((prev) => prev.filter((s) => s.name !== name));
+    setTransitions((prev) => {
+      const m = new Map();
+      for (const [k, t] of prev) if (t.fromStatus !== name && t.toStatus !== name) m.set(k, t);
+      return m;
+    });
+    touch();
+  };
+
+  const toggleTransition = (from, to) => {
+    setTransitions((prev) => {
+      const m = new Map(prev);
+      const k = tKey(from, to);
+      if (m.has(k)) m.delete(k);
+      else m.set(k, { fromStatus: from, toStatus: to, hooks: [] });
+      return m;
+    });
+    touch();
+  };
+
+  const setTransitionHooks = (from, to, hooks) => {
+    setTransitions((prev) => {
+      const m = new Map(prev);
+      const k = tKey(from, to);
+      if (m.has(k)) m.set(k, { ...m.get(k), hooks });
+      return m;
+    });
+    touch();
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await api.put("/workflow", {
+        statuses: statuses.map((s) => ({ name: s.name, isActive: s.isActive, enterHooks: s.enterHooks || [] })),
+        transitions: [...transitions.values()],
+      });
+      hydrate(res.data);
+      setEditingStatus(null);
+      setEditingTransition(null);
+    } catch (err) {
+      alert(err?.response?.data?.error || "Failed to save workflow.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const editingStatusRow = useMemo(
+    () => statuses.find((s) => s.name === editingStatus) || null,
+    [statuses, editingStatus]
+  );
+  const editingTransitionRow = editingTransition
+    ? transitions.get(tKey(editingTransition.from, editingTransition.to)) || null
+    : null;
+
+  return (
+    <div className="inv-page">
+      <div className="inv-container">
+        <div className="inv-header">
+          <div>
+            <h2 className="inv-title">Workflow</h2>
+            <div className="inv-subtitle">
+              Work-order statuses, the moves allowed between them, and what happens on each move. Changes apply as soon as they're saved.
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN, height: 36, padding: "0 16px" }} onClick={fetchWorkflow} disabled={saving || !dirty}>
+              Discard
+            </button>
+            <button
+              type="button"
+              className="btn-primary-apple"
+              onClick={save}
+              disabled={saving || !dirty}
+              style={saving || !dirty ? { opacity: 0.5, cursor: "not-allowed" } : undefined}
+            >
+              {saving ? "Saving…" : "Save Workflow"}
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div style={{ padding: 16, textAlign: "center", color: "var(--text-tertiary)", fontSize: 13 }}>Loading...</div>
+        ) : (
+          <>
+            {/* Statuses */}
+            <div className="cust-section-card" style={{ marginBottom: 16 }}>
+              <h3 style={SECTION_TITLE}>Statuses</h3>
+              <p style={HINT}>
+                Order here is the order pickers show. Built-in statuses can be deactivated (nobody can move a job into them) but not removed.
+              </p>
+              <table className="inv-table">
+                <thead>
+                  <tr>
+                    <th style={{ width: 70 }}></th>
+                    <th>Status</th>
+                    <th style={{ textAlign: "center" }}>Active</th>
+                    <th>On enter</th>
+                    <th style={{ width: 140 }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statuses.map((s, i) => (
+                    <tr key={s.name}>
+                      <td>
+                        <div style={{ display: "inline-flex", gap: 4 }}>
+                          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => moveStatus(i, -1)} disabled={i === 0}>↑</button>
+                          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => moveStatus(i, 1)} disabled={i === statuses.length - 1}>↓</button>
+                        </div>
+                      </td>
+                      <td style={{ fontWeight: 600 }}>
+                        {s.name}
+                        {!s.builtIn && <span style={{ marginLeft: 6, fontSize: 11, color: "var(--accent-blue)" }}>custom</span>}
+                      </td>
+                      <td style={{ textAlign: "center" }}>
+                        <input type="checkbox" checked={!!s.isActive} onChange={(e) => patchStatus(s.name, { isActive: e.target.checked })} />
+                      </td>
+                      <td style={{ fontSize: 12, color: "var(--text-secondary)" }}>
+                        {(s.enterHooks || []).length ? s.enterHooks.map(hookSummary).join(" · ") : "—"}
+                      </td>
+                      <td>
+                        <div style={{ display: "inline-flex", gap: 6 }}>
+                          <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={() => setEditingStatus(editingStatus === s.name ? null : s.name)}>
+                            Hooks
+                          </button>
+                          {!s.builtIn && (
+                            <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN, color: "var(--accent-red)" }} onClick={() => removeStatus(s.name)}>
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {editingStatusRow && (
+                <div style={{ marginTop: 12, padding: 12, borderRadius: 8, background: "var(--bg-secondary)" }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 8 }}>
+                    Hooks on entering “{editingStatusRow.name}” (from any status)
+                  </div>
+                  <HookEditor
+                    hooks={editingStatusRow.enterHooks || []}
+                    onChange={(hooks) => patchStatus(editingStatusRow.name, { enterHooks: hooks })}
+                    hookTypes={hookTypes}
+                    stampColumns={stampColumns}
+                  />
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 6, marginTop: 12 }}>
+                <input
+                  style={{ ...FIELD, width: 240 }}
+                  value={newStatus}
+                  placeholder="New status name"
+                  onChange={(e) => setNewStatus(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && addStatus()}
+                />
+                <button type="button" style={{ ...ROW_BTN, ...SECONDARY_BTN }} onClick={addStatus}>+ Add Status</button>
+              </div>
+            </div>
+
+            {/* Transition matrix */}
+            <div className="cust-section-card">
+              <h3 style={SECTION_TITLE}>Allowed moves</h3>
+              <p style={HINT}>
+                Tick a box to allow moving a work order from the row's status to the column's. Click “⚙” on an allowed move to add hooks that run only for that move.
+              </p>
+              <div style={{ overflowX: "auto" }}>
+                <table className="inv-table" style={{ fontSize: 12 }}>
+                  <thead>
+                    <tr>
+                      <th>From ↓ / To →</th>
+                      {statuses.map((s) => (
+                        <th key={s.name} style={{ textAlign: "center", whiteSpace: "normal", minWidth: 72, opacity: s.isActive ? 1 : 0.5 }}>
+                          {s.name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {statuses.map((from) => (
+                      <tr key={from.name}>
+                        <td style={{ fontWeight: 600, whiteSpace: "nowrap" }}>{from.name}</td>
+                        {statuses.map((to) => {
+                          if (from.name === to.name) {
+                            return <td key={to.name} style={{ textAlign: "center", color: "var(--text-tertiary)" }}>—</td>;
+                          }
+                          const t = transitions.get(tKey(from.name, to.name));
+                          const selected = editingTransition && editingTransition.from === from.name && editingTransition.to === to.name;
+                          return (
+                            <td key={to.name} style={{ textAlign: "center", whiteSpace: "nowrap", background: selected ? "var(--bg-secondary)" : undefined }}>
+                              <input type="checkbox" checked={!!t} onChange={() => toggleTransition(from.name, to.name)} />
+                              {t && (
+                                <button
+                                  type="button"
+                                  title={t.hooks.length ? t.hooks.map(hookSummary).join("\n") : "Add hooks"}
+                                  onClick={() => setEditingTransition(selected ? null : { from: from.name, to: to.name })}
+                                  style={{
+                                    marginLeft: 2, background: "none", border: "none", cursor: "pointer", padding: 0, fontSize: 12,
+                                    color: t.hooks.length ? "var(--accent-blue)" : "var(--text-tertiary)",
+                                  }}
+                                >
+                                  ⚙{t.hooks.length ? t.hooks.length : ""}
+                                </button>
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {editingTransitionRow && (
+                <div style={{ marginTop: 12, padding: 12, borderRadius: 8, background: "var(--bg-secondary)" }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 8 }}>
+                    Hooks for “{editingTransitionRow.fromStatus}” → “{editingTransitionRow.toStatus}”
+                  </div>
+                  <HookEditor
+                    hooks={editingTransitionRow.hooks}
+                    onChange={(hooks) => setTransitionHooks(editingTransitionRow.fromStatus, editingTransitionRow.toStatus, hooks)}
+                    hookTypes={hookTypes}
+                    stampColumns={stampColumns}
+                  />
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -18,12 +18,51 @@ api.interceptors.request.use((cfg) => {
   return cfg;
 });
 
-// Optional: handle 401s by clearing token
+// Access tokens are short-lived. On a 401, trade the refresh token for a new
+// pair and replay the request once. Concurrent 401s share one refresh call —
+// the refresh token rotates, so a second parallel refresh would be rejected.
+let refreshing = null;
+
+function refreshSession() {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshing = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 15000 })
+      : Promise.reject(new Error("No refresh token"))
+    )
+      .then(({ data }) => {
+        localStorage.setItem("jwt", data.token);
+        localStorage.setItem("refreshToken", data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+export function clearSession() {
+  localStorage.removeItem("jwt");
+  localStorage.removeItem("refreshToken");
+}
+
 api.interceptors.response.use(
   (res) => res,
-  (err) => {
-    if (err?.response?.status === 401) {
-      localStorage.removeItem("jwt");
+  async (err) => {
+    const cfg = err?.config;
+    const isAuthCall = /\/auth\/(login|refresh)$/.test(cfg?.url || "");
+    if (err?.response?.status === 401 && cfg && !isAuthCall) {
+      if (!cfg._retried) {
+        cfg._retried = true;
+        try {
+          await refreshSession();
+          return api(cfg);
+        } catch {
+          // fall through: the session is over (expired, revoked, deactivated)
+        }
+      }
+      clearSession();
     }
     return Promise.reject(err);
   }
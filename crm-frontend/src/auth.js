@@ -0,0 +1,24 @@
+// src/auth.js
+// Who is signed in and what they may do, read from the JWT. The server is the
+// authority (every route checks the PERMISSIONS matrix); this only decides what
+// the UI bothers to show.
+import { jwtDecode } from "jwt-decode";
+
+export function getSession() {
+  const token = localStorage.getItem("jwt");
+  if (!token) return null;
+  try {
+    return jwtDecode(token);
+  } catch {
+    return null;
+  }
+}
+
+// Tokens issued before permissions existed carry no `perms` — show everything
+// and let the server answer until the user signs in again.
+export function can(perm) {
+  const s = getSession();
+  if (!s) return false;
+  if (!Array.isArray(s.perms)) return true;
+  return s.perms.includes(perm);
+}
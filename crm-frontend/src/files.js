@@ -0,0 +1,47 @@
+// src/files.js
+// /files only serves signed, short-lived links (or a Bearer session, which
+// <img>/<a> tags can't send). Routes hand back signed URLs next to the keys
+// they return; remember them here so render code can resolve a key to a link
+// synchronously. signFileKeys() fills in anything a route didn't sign.
+import api from "./api";
+import API_BASE_URL from "./config";
+
+// key → { url, exp } (exp in epoch seconds, read back out of the signed URL)
+const signed = new Map();
+
+// Re-sign a little before expiry so a link never dies between render and click.
+const RENEW_MARGIN_SECONDS = 120;
+
+function expOf(url) {
+  const m = /[?&]exp=(\d+)/.exec(url || "");
+  return m ? Number(m[1]) : 0;
+}
+
+function isFresh(key) {
+  const hit = signed.get(key);
+  return !!hit && hit.exp - RENEW_MARGIN_SECONDS > Date.now() / 1000;
+}
+
+// Accepts the { key: url } maps the server returns (e.g. workOrder.fileUrls).
+export function rememberFileUrls(urls) {
+  if (!urls) return;
+  for (const [key, url] of Object.entries(urls)) {
+    if (key && url) signed.set(key, { url, exp: expOf(url) });
+  }
+}
+
+// Absolute signed URL for a stored key, or "" until it has been signed.
+export function fileUrl(key) {
+  const hit = key ? signed.get(key) : null;
+  return hit ? `${API_BASE_URL}${hit.url}` : "";
+}
+
+// Signs every key that isn't cached (or is about to expire). Resolves true when
+// new links arrived, so callers know to re-render.
+export async function signFileKeys(keys) {
+  const missing = Array.from(new Set((keys || []).filter(Boolean))).filter((k) => !isFresh(k));
+  if (!missing.length) return false;
+  const res = await api.post("/files/sign", { keys: missing });
+  rememberFileUrls(res.data?.urls);
+  return true;
+}